@@ -0,0 +1,36 @@
+-- Migration: 20251107_payroll_tax_engine
+-- Slab-based income tax configuration per financial year and regime,
+-- plus the employee's old/new regime choice on their tax declaration
+
+CREATE TABLE IF NOT EXISTS payroll.tax_configurations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  financial_year TEXT NOT NULL,
+  regime TEXT NOT NULL CHECK (regime IN ('old', 'new')),
+  -- [{ "upto": 300000, "rate": 0 }, ..., { "upto": null, "rate": 30 }]
+  tax_slabs JSONB NOT NULL,
+  standard_deduction DECIMAL(12,2) DEFAULT 0,
+  -- { "income_limit": 700000, "max_rebate": 25000, "marginal_relief": true }
+  rebate JSONB DEFAULT '{}'::jsonb,
+  -- [{ "above": 5000000, "rate": 10 }, ...]
+  surcharge_thresholds JSONB DEFAULT '[]'::jsonb,
+  cess_rate DECIMAL(5,2) DEFAULT 4.00,
+  -- { "section_80c": 150000, "section_80d": 100000, "section_24b": 200000 }
+  deduction_limits JSONB DEFAULT '{}'::jsonb,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(tenant_id, financial_year, regime)
+);
+
+ALTER TABLE payroll.tax_declarations
+  ADD COLUMN IF NOT EXISTS tax_regime TEXT NOT NULL DEFAULT 'new' CHECK (tax_regime IN ('old', 'new'));
+
+CREATE INDEX IF NOT EXISTS idx_payroll_tax_configurations_tenant_fy
+  ON payroll.tax_configurations(tenant_id, financial_year);
+
+CREATE TRIGGER update_payroll_tax_configurations_updated_at BEFORE UPDATE ON payroll.tax_configurations
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.tax_configurations FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.tax_configurations TO payroll_admin_role;
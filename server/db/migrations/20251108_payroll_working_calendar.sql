@@ -0,0 +1,31 @@
+-- Migration: 20251108_payroll_working_calendar
+-- Weekly-off patterns per org/shift, employee exit dates and the tenant's
+-- proration basis for LOP and paid-day computation
+
+CREATE TABLE IF NOT EXISTS payroll.weekly_off_patterns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  -- NULL applies to the whole org; otherwise matches shifts.shift_type
+  shift_type TEXT,
+  -- [{ "day": 0 }, { "day": 6, "weeks": [2, 4] }] (day: 0 = Sunday, weeks: nth occurrence in month)
+  weekly_offs JSONB NOT NULL DEFAULT '[{"day": 0}]'::jsonb,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_payroll_weekly_off_patterns_tenant_shift
+  ON payroll.weekly_off_patterns(tenant_id, COALESCE(shift_type, ''));
+
+ALTER TABLE payroll.payroll_settings
+  ADD COLUMN IF NOT EXISTS proration_basis TEXT NOT NULL DEFAULT 'calendar_days'
+  CHECK (proration_basis IN ('calendar_days', 'working_days'));
+
+ALTER TABLE payroll.employees
+  ADD COLUMN IF NOT EXISTS date_of_exit DATE;
+
+CREATE TRIGGER update_payroll_weekly_off_patterns_updated_at BEFORE UPDATE ON payroll.weekly_off_patterns
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.weekly_off_patterns FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.weekly_off_patterns TO payroll_admin_role;
@@ -0,0 +1,77 @@
+-- Migration: 20251109_payroll_salary_structures
+-- Salary structure templates made of earning/deduction components
+-- (fixed, percentage or formula), assigned to employees through grades
+
+CREATE TABLE IF NOT EXISTS payroll.salary_structure_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES profiles(id),
+  updated_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(tenant_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS payroll.salary_structure_components (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  template_id UUID REFERENCES payroll.salary_structure_templates(id) ON DELETE CASCADE NOT NULL,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  component_type TEXT NOT NULL CHECK (component_type IN ('earning', 'deduction')),
+  calculation_type TEXT NOT NULL CHECK (calculation_type IN ('fixed', 'percentage', 'formula')),
+  -- Monthly amount for fixed components
+  amount DECIMAL(12,2),
+  -- Percentage of another component's code, or of monthly CTC
+  percentage DECIMAL(7,4),
+  percentage_of TEXT,
+  -- e.g. "max(BASIC * 0.5, 15000)"
+  formula TEXT,
+  is_taxable BOOLEAN NOT NULL DEFAULT true,
+  -- Whether the component scales with paid days
+  prorate BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(template_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS payroll.grades (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  salary_structure_template_id UUID REFERENCES payroll.salary_structure_templates(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(tenant_id, code)
+);
+
+ALTER TABLE payroll.employees
+  ADD COLUMN IF NOT EXISTS grade_id UUID REFERENCES payroll.grades(id) ON DELETE SET NULL;
+
+-- Evaluated component breakdown for each processed payslip
+ALTER TABLE payroll.payroll_items
+  ADD COLUMN IF NOT EXISTS components JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_payroll_salary_structure_components_template
+  ON payroll.salary_structure_components(template_id);
+CREATE INDEX IF NOT EXISTS idx_payroll_grades_tenant ON payroll.grades(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_payroll_employees_grade ON payroll.employees(grade_id);
+
+CREATE TRIGGER update_payroll_salary_structure_templates_updated_at BEFORE UPDATE ON payroll.salary_structure_templates
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+CREATE TRIGGER update_payroll_salary_structure_components_updated_at BEFORE UPDATE ON payroll.salary_structure_components
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+CREATE TRIGGER update_payroll_grades_updated_at BEFORE UPDATE ON payroll.grades
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.salary_structure_templates FROM public;
+REVOKE ALL ON payroll.salary_structure_components FROM public;
+REVOKE ALL ON payroll.grades FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.salary_structure_templates TO payroll_admin_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.salary_structure_components TO payroll_admin_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.grades TO payroll_admin_role;
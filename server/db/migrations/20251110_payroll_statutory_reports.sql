@@ -0,0 +1,25 @@
+-- Migration: 20251110_payroll_statutory_reports
+-- Statutory ceilings in payroll settings, statutory identifiers on
+-- employees and the employer/employee contribution split on payroll items
+
+ALTER TABLE payroll.payroll_settings
+  ADD COLUMN IF NOT EXISTS pf_wage_ceiling DECIMAL(12,2) NOT NULL DEFAULT 15000.00,
+  ADD COLUMN IF NOT EXISTS restrict_pf_to_ceiling BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS eps_rate DECIMAL(5,2) NOT NULL DEFAULT 8.33,
+  ADD COLUMN IF NOT EXISTS esi_employee_rate DECIMAL(5,2) NOT NULL DEFAULT 0.75,
+  ADD COLUMN IF NOT EXISTS esi_gross_limit DECIMAL(12,2) NOT NULL DEFAULT 21000.00;
+
+ALTER TABLE payroll.employees
+  ADD COLUMN IF NOT EXISTS uan_number TEXT,
+  ADD COLUMN IF NOT EXISTS esic_ip_number TEXT,
+  ADD COLUMN IF NOT EXISTS work_state TEXT;
+
+ALTER TABLE payroll.payroll_items
+  ADD COLUMN IF NOT EXISTS pf_wages DECIMAL(12,2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS eps_wages DECIMAL(12,2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS edli_wages DECIMAL(12,2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS employer_epf DECIMAL(12,2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS employer_eps DECIMAL(12,2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS esi_wages DECIMAL(12,2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS employer_esi DECIMAL(12,2) DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS pt_state TEXT;
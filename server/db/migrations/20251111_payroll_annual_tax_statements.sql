@@ -0,0 +1,42 @@
+-- Migration: 20251111_payroll_annual_tax_statements
+-- Annual tax statements (Form 16 Part B style) generated as PDFs and stored
+-- as tax documents, plus tenant-wide bulk generation jobs
+
+ALTER TABLE payroll.tax_documents
+  ADD COLUMN IF NOT EXISTS file_name TEXT,
+  ADD COLUMN IF NOT EXISTS content_type TEXT,
+  ADD COLUMN IF NOT EXISTS file_data BYTEA,
+  -- Figures the document was rendered from
+  ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS generated_by UUID REFERENCES profiles(id);
+
+-- One generated statement per employee and financial year
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_tax_documents_annual_statement
+  ON payroll.tax_documents(tenant_id, employee_id, financial_year)
+  WHERE document_type = 'annual_tax_statement';
+
+CREATE TABLE IF NOT EXISTS payroll.tax_document_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  document_type TEXT NOT NULL DEFAULT 'annual_tax_statement',
+  financial_year TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  total_employees INTEGER NOT NULL DEFAULT 0,
+  generated_count INTEGER NOT NULL DEFAULT 0,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_by UUID REFERENCES profiles(id),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_tax_document_jobs_tenant
+  ON payroll.tax_document_jobs(tenant_id, created_at DESC);
+
+CREATE TRIGGER update_payroll_tax_document_jobs_updated_at BEFORE UPDATE ON payroll.tax_document_jobs
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.tax_document_jobs FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.tax_document_jobs TO payroll_admin_role;
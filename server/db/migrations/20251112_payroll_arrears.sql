@@ -0,0 +1,11 @@
+-- Migration: 20251112_payroll_arrears
+-- Arrears for backdated compensation revisions, settled as a separate
+-- earning line in the next processed cycle
+
+ALTER TABLE payroll.payroll_items
+  ADD COLUMN IF NOT EXISTS arrears_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  -- Per source month: { source_cycle_id, month, year, amount, components }
+  ADD COLUMN IF NOT EXISTS arrears JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_payroll_compensation_employee_effective
+  ON payroll.compensation_structures(employee_id, effective_from DESC);
@@ -0,0 +1,30 @@
+-- Migration: 20251113_payroll_bank_disbursement
+-- Bank payout files for approved cycles: salary holds on employees and a
+-- record of every disbursement batch generated
+
+ALTER TABLE payroll.employees
+  ADD COLUMN IF NOT EXISTS payment_hold BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS payment_hold_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS payroll.disbursement_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  payroll_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE CASCADE NOT NULL,
+  format TEXT NOT NULL,
+  file_name TEXT NOT NULL,
+  -- SHA-256 of the generated file, to match against what was uploaded to the bank
+  checksum TEXT NOT NULL,
+  payment_count INTEGER NOT NULL DEFAULT 0,
+  total_amount DECIMAL(14,2) NOT NULL DEFAULT 0,
+  excluded_count INTEGER NOT NULL DEFAULT 0,
+  -- [{ employee_id, employee_code, reason }]
+  excluded JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_disbursement_batches_cycle
+  ON payroll.disbursement_batches(payroll_cycle_id, created_at DESC);
+
+REVOKE ALL ON payroll.disbursement_batches FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.disbursement_batches TO payroll_admin_role;
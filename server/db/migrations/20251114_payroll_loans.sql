@@ -0,0 +1,82 @@
+-- Migration: 20251114_payroll_loans
+-- Employee loans and salary advances, recovered as EMIs through payroll,
+-- with skipped months and foreclosure
+
+CREATE TABLE IF NOT EXISTS payroll.employee_loans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  employee_id UUID REFERENCES payroll.employees(id) ON DELETE CASCADE NOT NULL,
+  loan_type TEXT NOT NULL DEFAULT 'loan' CHECK (loan_type IN ('loan', 'advance')),
+  purpose TEXT,
+  principal DECIMAL(12,2) NOT NULL CHECK (principal > 0),
+  -- Annual interest charged to the employee, reducing balance
+  interest_rate DECIMAL(6,3) NOT NULL DEFAULT 0,
+  -- Benchmark (SBI) rate used to value the interest concession as a perquisite
+  perquisite_rate DECIMAL(6,3),
+  tenure_months INTEGER NOT NULL CHECK (tenure_months > 0),
+  emi_amount DECIMAL(12,2),
+  -- First payroll month to recover from
+  start_month INTEGER CHECK (start_month BETWEEN 1 AND 12),
+  start_year INTEGER,
+  outstanding_principal DECIMAL(12,2) NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'active', 'rejected', 'closed', 'foreclosed')),
+  -- Recover the whole outstanding balance in the next processed cycle
+  foreclose_in_payroll BOOLEAN NOT NULL DEFAULT false,
+  requested_by UUID REFERENCES profiles(id),
+  approved_by UUID REFERENCES profiles(id),
+  approved_at TIMESTAMPTZ,
+  rejection_reason TEXT,
+  closed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS payroll.loan_repayments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  loan_id UUID REFERENCES payroll.employee_loans(id) ON DELETE CASCADE NOT NULL,
+  -- Null for repayments made outside payroll
+  payroll_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE CASCADE,
+  month INTEGER NOT NULL CHECK (month BETWEEN 1 AND 12),
+  year INTEGER NOT NULL,
+  repayment_type TEXT NOT NULL DEFAULT 'emi' CHECK (repayment_type IN ('emi', 'foreclosure')),
+  principal_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  interest_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  amount DECIMAL(12,2) NOT NULL,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS payroll.loan_emi_skips (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  loan_id UUID REFERENCES payroll.employee_loans(id) ON DELETE CASCADE NOT NULL,
+  month INTEGER NOT NULL CHECK (month BETWEEN 1 AND 12),
+  year INTEGER NOT NULL,
+  reason TEXT,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(loan_id, month, year)
+);
+
+ALTER TABLE payroll.payroll_items
+  ADD COLUMN IF NOT EXISTS loan_recovery DECIMAL(12,2) NOT NULL DEFAULT 0,
+  -- [{ loan_id, loan_type, principal, interest, amount, foreclosure }]
+  ADD COLUMN IF NOT EXISTS loan_recoveries JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Taxable value of interest concessions on employee loans
+  ADD COLUMN IF NOT EXISTS perquisite_value DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_payroll_employee_loans_employee ON payroll.employee_loans(tenant_id, employee_id);
+CREATE INDEX IF NOT EXISTS idx_payroll_loan_repayments_loan ON payroll.loan_repayments(loan_id);
+CREATE INDEX IF NOT EXISTS idx_payroll_loan_repayments_cycle ON payroll.loan_repayments(payroll_cycle_id);
+
+CREATE TRIGGER update_payroll_employee_loans_updated_at BEFORE UPDATE ON payroll.employee_loans
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.employee_loans FROM public;
+REVOKE ALL ON payroll.loan_repayments FROM public;
+REVOKE ALL ON payroll.loan_emi_skips FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.employee_loans TO payroll_admin_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.loan_repayments TO payroll_admin_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.loan_emi_skips TO payroll_admin_role;
@@ -0,0 +1,65 @@
+-- Migration: 20251115_payroll_expense_claims
+-- Expense categories with limits, employee claims with receipts, and
+-- non-taxable reimbursement lines on payroll items
+
+CREATE TABLE IF NOT EXISTS payroll.expense_categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  -- Maximum for a single claim; null means no limit
+  per_claim_limit DECIMAL(12,2),
+  -- Maximum across an employee's claims for one calendar month, by expense date
+  monthly_limit DECIMAL(12,2),
+  requires_receipt BOOLEAN NOT NULL DEFAULT true,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(tenant_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS payroll.expense_claims (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  employee_id UUID REFERENCES payroll.employees(id) ON DELETE CASCADE NOT NULL,
+  category_id UUID REFERENCES payroll.expense_categories(id) NOT NULL,
+  expense_date DATE NOT NULL,
+  amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+  description TEXT,
+  receipt_file_name TEXT,
+  receipt_content_type TEXT,
+  receipt_data BYTEA,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected', 'paid')),
+  -- Paid as a reimbursement line in the next processed cycle, or off-cycle
+  payout_mode TEXT NOT NULL DEFAULT 'payroll' CHECK (payout_mode IN ('payroll', 'off_cycle')),
+  payroll_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE SET NULL,
+  payout_reference TEXT,
+  paid_at TIMESTAMPTZ,
+  requested_by UUID REFERENCES profiles(id),
+  approved_at TIMESTAMPTZ,
+  rejection_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE payroll.payroll_items
+  ADD COLUMN IF NOT EXISTS reimbursement_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  -- [{ claim_id, category, expense_date, amount }]
+  ADD COLUMN IF NOT EXISTS reimbursements JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_payroll_expense_categories_tenant ON payroll.expense_categories(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_payroll_expense_claims_employee ON payroll.expense_claims(tenant_id, employee_id);
+CREATE INDEX IF NOT EXISTS idx_payroll_expense_claims_status ON payroll.expense_claims(tenant_id, status);
+CREATE INDEX IF NOT EXISTS idx_payroll_expense_claims_cycle ON payroll.expense_claims(payroll_cycle_id);
+
+CREATE TRIGGER update_payroll_expense_categories_updated_at BEFORE UPDATE ON payroll.expense_categories
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+CREATE TRIGGER update_payroll_expense_claims_updated_at BEFORE UPDATE ON payroll.expense_claims
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.expense_categories FROM public;
+REVOKE ALL ON payroll.expense_claims FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.expense_categories TO payroll_admin_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.expense_claims TO payroll_admin_role;
@@ -0,0 +1,45 @@
+-- Migration: 20251116_payroll_off_cycle_runs
+-- Off-cycle payroll runs (bonuses, incentives, settlements, corrections) for
+-- a chosen set of employees, paid from ad-hoc earning lines
+
+ALTER TABLE payroll.payroll_cycles
+  ADD COLUMN IF NOT EXISTS run_type TEXT NOT NULL DEFAULT 'regular'
+    CHECK (run_type IN ('regular', 'off_cycle')),
+  ADD COLUMN IF NOT EXISTS run_reason TEXT
+    CHECK (run_reason IN ('bonus', 'incentive', 'settlement', 'correction')),
+  ADD COLUMN IF NOT EXISTS title TEXT;
+
+ALTER TABLE payroll.payroll_cycles
+  ADD CONSTRAINT payroll_cycles_off_cycle_reason_check
+    CHECK (run_type = 'regular' OR run_reason IS NOT NULL);
+
+-- Only one regular cycle per month; any number of off-cycle runs
+ALTER TABLE payroll.payroll_cycles DROP CONSTRAINT IF EXISTS payroll_cycles_tenant_id_month_year_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_cycles_regular_month
+  ON payroll.payroll_cycles(tenant_id, month, year)
+  WHERE run_type = 'regular';
+
+CREATE TABLE IF NOT EXISTS payroll.off_cycle_earnings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  payroll_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE CASCADE NOT NULL,
+  employee_id UUID REFERENCES payroll.employees(id) ON DELETE CASCADE NOT NULL,
+  -- Becomes the component code on the payroll item, e.g. BONUS, INCENTIVE
+  component_code TEXT NOT NULL,
+  component_name TEXT NOT NULL,
+  amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+  is_taxable BOOLEAN NOT NULL DEFAULT true,
+  description TEXT,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_off_cycle_earnings_cycle ON payroll.off_cycle_earnings(payroll_cycle_id);
+CREATE INDEX IF NOT EXISTS idx_payroll_off_cycle_earnings_employee ON payroll.off_cycle_earnings(tenant_id, employee_id);
+
+CREATE TRIGGER update_payroll_off_cycle_earnings_updated_at BEFORE UPDATE ON payroll.off_cycle_earnings
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.off_cycle_earnings FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.off_cycle_earnings TO payroll_admin_role;
@@ -0,0 +1,46 @@
+-- Migration: 20251117_payroll_fnf_settlements
+-- Full-and-final settlement statements for leavers: final salary, leave
+-- encashment, gratuity, notice and loan/asset recoveries. Approved
+-- statements are paid through an off-cycle settlement run.
+
+CREATE TABLE IF NOT EXISTS payroll.fnf_settlements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  employee_id UUID REFERENCES payroll.employees(id) ON DELETE CASCADE NOT NULL,
+  -- HR-side offboarding request the dates came from, when there is one
+  offboarding_request_id UUID REFERENCES offboarding_requests(id) ON DELETE SET NULL,
+  last_working_day DATE NOT NULL,
+  -- Month whose salary the settlement pays; the regular cycle skips it
+  salary_month INTEGER CHECK (salary_month BETWEEN 1 AND 12),
+  salary_year INTEGER,
+  -- HR inputs: { leave_encashment_days, waive_notice_recovery, asset_recoveries }
+  inputs JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- Computed statement: salary, leave encashment, gratuity, notice, loans, assets, totals
+  statement JSONB NOT NULL,
+  earnings_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  recoveries_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  -- Before TDS, which payroll deducts when the settlement run is processed
+  net_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'approved', 'rejected', 'paid')),
+  payroll_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE SET NULL,
+  computed_by UUID REFERENCES profiles(id),
+  approved_by UUID REFERENCES profiles(id),
+  approved_at TIMESTAMPTZ,
+  rejection_reason TEXT,
+  paid_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- One open settlement per employee; rejected ones can be recomputed
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_fnf_settlements_open
+  ON payroll.fnf_settlements(tenant_id, employee_id)
+  WHERE status <> 'rejected';
+CREATE INDEX IF NOT EXISTS idx_payroll_fnf_settlements_cycle ON payroll.fnf_settlements(payroll_cycle_id);
+
+CREATE TRIGGER update_payroll_fnf_settlements_updated_at BEFORE UPDATE ON payroll.fnf_settlements
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.fnf_settlements FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.fnf_settlements TO payroll_admin_role;
@@ -0,0 +1,63 @@
+-- Migration: 20251118_payroll_cycle_lifecycle
+-- Unified payroll cycle lifecycle: draft → computed → submitted → approved →
+-- locked → paid. Locked and paid cycles freeze their month's attendance,
+-- leave and compensation. Reopening needs a reason and a second approver.
+
+-- The enum cannot gain values and use them in one transaction, and every
+-- caller already compares the status as text
+ALTER TABLE payroll.payroll_cycles ALTER COLUMN status DROP DEFAULT;
+ALTER TABLE payroll.payroll_cycles ALTER COLUMN status TYPE TEXT USING status::text;
+
+UPDATE payroll.payroll_cycles SET status = 'submitted' WHERE status = 'pending_approval';
+UPDATE payroll.payroll_cycles SET status = 'paid' WHERE status = 'completed';
+-- Only approved cycles could be processed, so processing ones have been paid
+-- out; they stay locked rather than becoming recomputable drafts
+UPDATE payroll.payroll_cycles SET status = 'locked' WHERE status = 'processing';
+UPDATE payroll.payroll_cycles SET status = 'draft' WHERE status = 'failed';
+
+ALTER TABLE payroll.payroll_cycles ALTER COLUMN status SET DEFAULT 'draft';
+ALTER TABLE payroll.payroll_cycles ALTER COLUMN status SET NOT NULL;
+ALTER TABLE payroll.payroll_cycles
+  ADD CONSTRAINT payroll_cycles_status_check
+  CHECK (status IN ('draft', 'computed', 'submitted', 'approved', 'locked', 'paid'));
+
+ALTER TABLE payroll.payroll_cycles
+  ADD COLUMN IF NOT EXISTS computed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS submitted_by UUID REFERENCES profiles(id),
+  ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS locked_by UUID REFERENCES profiles(id),
+  ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ,
+  -- Set while a reopened cycle is corrected: only these employees are recomputed
+  ADD COLUMN IF NOT EXISTS reopen_employee_ids UUID[];
+
+CREATE TABLE IF NOT EXISTS payroll.payroll_cycle_reopen_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  payroll_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE CASCADE NOT NULL,
+  reason TEXT NOT NULL,
+  -- Employees whose payroll is corrected and recomputed
+  employee_ids UUID[] NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  -- Cycle status when the reopen was requested
+  previous_status TEXT NOT NULL,
+  requested_by UUID REFERENCES profiles(id) NOT NULL,
+  reviewed_by UUID REFERENCES profiles(id),
+  reviewed_at TIMESTAMPTZ,
+  review_note TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  -- Maker-checker: the requester cannot approve their own reopen
+  CONSTRAINT payroll_cycle_reopen_second_approver CHECK (reviewed_by IS NULL OR reviewed_by <> requested_by)
+);
+
+-- One pending reopen per cycle
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_cycle_reopen_pending
+  ON payroll.payroll_cycle_reopen_requests(payroll_cycle_id)
+  WHERE status = 'pending';
+
+CREATE TRIGGER update_payroll_cycle_reopen_requests_updated_at BEFORE UPDATE ON payroll.payroll_cycle_reopen_requests
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.payroll_cycle_reopen_requests FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.payroll_cycle_reopen_requests TO payroll_admin_role;
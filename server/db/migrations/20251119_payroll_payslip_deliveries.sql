@@ -0,0 +1,36 @@
+-- Migration: 20251119_payroll_payslip_deliveries
+-- Payslip email distribution: one delivery per payslip, sent as a
+-- password-protected PDF once the cycle is approved. Failed sends are retried
+-- with backoff until the attempts run out; HR can resend any payslip.
+
+CREATE TABLE IF NOT EXISTS payroll.payslip_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  payroll_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE CASCADE NOT NULL,
+  payroll_item_id UUID REFERENCES payroll.payroll_items(id) ON DELETE CASCADE NOT NULL UNIQUE,
+  employee_id UUID REFERENCES payroll.employees(id) ON DELETE CASCADE NOT NULL,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT now(),
+  last_error TEXT,
+  message_id TEXT,
+  sent_at TIMESTAMPTZ,
+  requested_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payslip_deliveries_cycle
+  ON payroll.payslip_deliveries(tenant_id, payroll_cycle_id);
+
+-- The retry worker picks up due pending deliveries
+CREATE INDEX IF NOT EXISTS idx_payslip_deliveries_due
+  ON payroll.payslip_deliveries(next_attempt_at)
+  WHERE status = 'pending';
+
+CREATE TRIGGER update_payslip_deliveries_updated_at BEFORE UPDATE ON payroll.payslip_deliveries
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.payslip_deliveries FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.payslip_deliveries TO payroll_admin_role;
@@ -0,0 +1,9 @@
+-- Migration: 20251120_payroll_employee_cost_center
+-- Cost center on payroll employees, used to roll up the month-end gratuity
+-- and leave encashment liability report alongside departments
+
+ALTER TABLE payroll.employees
+  ADD COLUMN IF NOT EXISTS cost_center TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_payroll_employees_cost_center
+  ON payroll.employees(tenant_id, cost_center);
@@ -0,0 +1,40 @@
+-- Migration: 20251121_payroll_multi_currency
+-- Country and currency dimension for payroll. The tenant's payroll country
+-- and currency are the defaults; employees paid abroad carry their own. The
+-- country picks the statutory rules provider (India, or none for countries
+-- where we only pay contractors). Settled amounts on payroll items are also
+-- stored in the currency's minor units, and cycle totals are kept per currency.
+
+ALTER TABLE payroll.payroll_settings
+  ADD COLUMN IF NOT EXISTS country TEXT NOT NULL DEFAULT 'IN' CHECK (country ~ '^[A-Z]{2}$'),
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'INR' CHECK (currency ~ '^[A-Z]{3}$');
+
+-- NULL inherits the tenant's payroll settings
+ALTER TABLE payroll.employees
+  ADD COLUMN IF NOT EXISTS country TEXT CHECK (country ~ '^[A-Z]{2}$'),
+  ADD COLUMN IF NOT EXISTS currency TEXT CHECK (currency ~ '^[A-Z]{3}$');
+
+ALTER TABLE payroll.payroll_items
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'INR' CHECK (currency ~ '^[A-Z]{3}$'),
+  ADD COLUMN IF NOT EXISTS gross_salary_minor BIGINT,
+  ADD COLUMN IF NOT EXISTS deductions_minor BIGINT,
+  ADD COLUMN IF NOT EXISTS net_salary_minor BIGINT;
+
+-- Existing items are all INR (two minor-unit digits)
+UPDATE payroll.payroll_items
+SET gross_salary_minor = ROUND(gross_salary * 100),
+    deductions_minor = ROUND(deductions * 100),
+    net_salary_minor = ROUND(net_salary * 100)
+WHERE gross_salary_minor IS NULL;
+
+ALTER TABLE payroll.payroll_cycles
+  ADD COLUMN IF NOT EXISTS totals_by_currency JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+UPDATE payroll.payroll_cycles pc
+SET totals_by_currency = jsonb_build_object('INR', t.gross_minor)
+FROM (
+  SELECT payroll_cycle_id, SUM(gross_salary_minor) AS gross_minor
+  FROM payroll.payroll_items
+  GROUP BY payroll_cycle_id
+) t
+WHERE t.payroll_cycle_id = pc.id AND pc.totals_by_currency = '{}'::jsonb;
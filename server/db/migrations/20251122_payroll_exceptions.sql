@@ -0,0 +1,55 @@
+-- Migration: 20251122_payroll_exceptions
+-- Payroll exceptions found while previewing or computing a cycle (missing
+-- compensation or bank details, negative net pay, unapproved timesheets,
+-- attendance gaps), with an owner, comments and a resolve/waive outcome.
+-- Open blocking exceptions stop the cycle from being approved.
+
+CREATE TABLE IF NOT EXISTS payroll.payroll_exceptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  payroll_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE CASCADE NOT NULL,
+  employee_id UUID REFERENCES payroll.employees(id) ON DELETE CASCADE NOT NULL,
+  exception_type TEXT NOT NULL CHECK (exception_type IN (
+    'missing_compensation', 'missing_bank_details', 'negative_net_pay', 'unapproved_timesheet', 'attendance_gap'
+  )),
+  severity TEXT NOT NULL CHECK (severity IN ('blocking', 'warning')),
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'waived')),
+  message TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  owner_id UUID REFERENCES profiles(id),
+  -- Set when resolved or waived; NULL resolver means it was no longer detected
+  resolution_note TEXT,
+  resolved_by UUID REFERENCES profiles(id),
+  resolved_at TIMESTAMPTZ,
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT payroll_exceptions_waive_reason CHECK (status <> 'waived' OR resolution_note IS NOT NULL)
+);
+
+-- Re-detection updates the existing record instead of adding another
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_exceptions_unique
+  ON payroll.payroll_exceptions(payroll_cycle_id, employee_id, exception_type);
+CREATE INDEX IF NOT EXISTS idx_payroll_exceptions_open
+  ON payroll.payroll_exceptions(tenant_id, payroll_cycle_id)
+  WHERE status = 'open';
+
+CREATE TABLE IF NOT EXISTS payroll.payroll_exception_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  exception_id UUID REFERENCES payroll.payroll_exceptions(id) ON DELETE CASCADE NOT NULL,
+  author_id UUID REFERENCES profiles(id) NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_exception_comments_exception
+  ON payroll.payroll_exception_comments(exception_id, created_at);
+
+CREATE TRIGGER update_payroll_exceptions_updated_at BEFORE UPDATE ON payroll.payroll_exceptions
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.payroll_exceptions FROM public;
+REVOKE ALL ON payroll.payroll_exception_comments FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.payroll_exceptions TO payroll_admin_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.payroll_exception_comments TO payroll_admin_role;
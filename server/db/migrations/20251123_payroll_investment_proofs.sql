@@ -0,0 +1,69 @@
+-- Migration: 20251123_payroll_investment_proofs
+-- Proof submission for tax declarations: employees upload receipts per
+-- section (80C, 80D, HRA rent with landlord PAN, 24b interest certificates)
+-- and HR verifies or rejects each line. The tenant sets a declaration window
+-- per financial year and a proof cutoff date after which only verified
+-- amounts count towards TDS.
+
+CREATE TABLE IF NOT EXISTS payroll.tax_declaration_windows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  financial_year TEXT NOT NULL,
+  -- Declarations can only be changed between these dates (inclusive)
+  declaration_opens_on DATE,
+  declaration_closes_on DATE,
+  -- From this date TDS uses verified proof amounts instead of declared ones
+  proof_cutoff_date DATE,
+  updated_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(tenant_id, financial_year),
+  CONSTRAINT tax_declaration_windows_range CHECK (
+    declaration_opens_on IS NULL OR declaration_closes_on IS NULL OR declaration_opens_on <= declaration_closes_on
+  )
+);
+
+CREATE TABLE IF NOT EXISTS payroll.tax_proofs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  employee_id UUID REFERENCES payroll.employees(id) ON DELETE CASCADE NOT NULL,
+  financial_year TEXT NOT NULL,
+  section TEXT NOT NULL CHECK (section IN ('80C', '80D', 'HRA', '24B', 'OTHER')),
+  description TEXT,
+  amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+  -- HRA rent receipts only
+  landlord_name TEXT,
+  landlord_pan TEXT,
+  rent_from DATE,
+  rent_to DATE,
+  file_name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  file_data BYTEA NOT NULL,
+  status TEXT NOT NULL DEFAULT 'submitted' CHECK (status IN ('submitted', 'verified', 'rejected')),
+  -- HR can verify less than was claimed
+  verified_amount DECIMAL(12,2),
+  review_comment TEXT,
+  reviewed_by UUID REFERENCES profiles(id),
+  reviewed_at TIMESTAMPTZ,
+  submitted_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  CONSTRAINT tax_proofs_verified_amount CHECK (status <> 'verified' OR verified_amount IS NOT NULL),
+  CONSTRAINT tax_proofs_rejection_comment CHECK (status <> 'rejected' OR review_comment IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_tax_proofs_employee_fy
+  ON payroll.tax_proofs(tenant_id, employee_id, financial_year);
+CREATE INDEX IF NOT EXISTS idx_payroll_tax_proofs_pending
+  ON payroll.tax_proofs(tenant_id, financial_year)
+  WHERE status = 'submitted';
+
+CREATE TRIGGER update_payroll_tax_declaration_windows_updated_at BEFORE UPDATE ON payroll.tax_declaration_windows
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+CREATE TRIGGER update_payroll_tax_proofs_updated_at BEFORE UPDATE ON payroll.tax_proofs
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.tax_declaration_windows FROM public;
+REVOKE ALL ON payroll.tax_proofs FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.tax_declaration_windows TO payroll_admin_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.tax_proofs TO payroll_admin_role;
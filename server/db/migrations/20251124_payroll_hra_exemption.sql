@@ -0,0 +1,32 @@
+-- Migration: 20251124_payroll_hra_exemption
+-- Rent and metro city on the employee's payroll profile, effective-dated so
+-- rent changes and relocations apply from the month they happen, plus the
+-- month's HRA exemption breakup on each payroll item for the payslip.
+
+CREATE TABLE IF NOT EXISTS payroll.employee_rent_details (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  employee_id UUID REFERENCES payroll.employees(id) ON DELETE CASCADE NOT NULL,
+  effective_from DATE NOT NULL,
+  -- 0 when the employee stops renting
+  monthly_rent DECIMAL(12,2) NOT NULL CHECK (monthly_rent >= 0),
+  is_metro BOOLEAN NOT NULL DEFAULT false,
+  city TEXT,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(employee_id, effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_employee_rent_details_employee
+  ON payroll.employee_rent_details(tenant_id, employee_id, effective_from);
+
+-- { hra_received, rent_paid, is_metro, rent_over_basic, basic_limit, exemption, annual }
+ALTER TABLE payroll.payroll_items
+  ADD COLUMN IF NOT EXISTS hra_exemption JSONB;
+
+CREATE TRIGGER update_payroll_employee_rent_details_updated_at BEFORE UPDATE ON payroll.employee_rent_details
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.employee_rent_details FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.employee_rent_details TO payroll_admin_role;
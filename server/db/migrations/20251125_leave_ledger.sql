@@ -0,0 +1,55 @@
+-- Migration: 20251125_leave_ledger
+-- Leave balances as a ledger per employee, leave type and leave year:
+-- accruals credit days per period of the policy's accrual_frequency and
+-- approved leave posts a debit. The balance is the sum of the entries.
+-- Leave years start in the tenant's leave_year_start_month.
+
+ALTER TABLE organizations
+  ADD COLUMN IF NOT EXISTS leave_year_start_month INTEGER NOT NULL DEFAULT 1
+    CHECK (leave_year_start_month BETWEEN 1 AND 12);
+
+CREATE TABLE IF NOT EXISTS leave_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  employee_id UUID REFERENCES employees(id) ON DELETE CASCADE NOT NULL,
+  leave_policy_id UUID REFERENCES leave_policies(id) ON DELETE CASCADE NOT NULL,
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('accrual', 'debit')),
+  -- Credits are positive, debits negative
+  days NUMERIC(6,2) NOT NULL,
+  leave_year INTEGER NOT NULL,
+  -- First day of the accrual period, for accruals
+  period_start DATE,
+  leave_request_id UUID REFERENCES leave_requests(id) ON DELETE SET NULL,
+  description TEXT,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_ledger_employee_year
+  ON leave_ledger(tenant_id, employee_id, leave_year);
+-- Each period is credited once and each approved request debited once
+CREATE UNIQUE INDEX IF NOT EXISTS uq_leave_ledger_accrual
+  ON leave_ledger(employee_id, leave_policy_id, period_start) WHERE entry_type = 'accrual';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_leave_ledger_debit
+  ON leave_ledger(leave_request_id) WHERE entry_type = 'debit';
+
+-- Debit leave approved before the ledger existed, in the leave year its start
+-- date falls in (as leaveYearOf in services/leave-ledger.js)
+INSERT INTO leave_ledger (tenant_id, employee_id, leave_policy_id, entry_type, days, leave_year, leave_request_id, description)
+SELECT lr.tenant_id, lr.employee_id, lr.leave_type_id, 'debit', -lr.total_days,
+       CASE
+         WHEN EXTRACT(MONTH FROM lr.start_date) >= o.leave_year_start_month
+           THEN EXTRACT(YEAR FROM lr.start_date)::int
+         ELSE EXTRACT(YEAR FROM lr.start_date)::int - 1
+       END,
+       lr.id, 'Approved leave'
+FROM leave_requests lr
+JOIN organizations o ON o.id = lr.tenant_id
+WHERE lr.status = 'approved' AND lr.leave_type_id IS NOT NULL AND lr.tenant_id IS NOT NULL
+ON CONFLICT (leave_request_id) WHERE entry_type = 'debit' DO NOTHING;
+
+ALTER TABLE leave_ledger ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS org_isolation_leave_ledger ON leave_ledger;
+CREATE POLICY org_isolation_leave_ledger ON leave_ledger
+  USING (tenant_id = current_setting('app.org_id', true)::uuid);
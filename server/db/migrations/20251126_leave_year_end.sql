@@ -0,0 +1,64 @@
+-- Migration: 20251126_leave_year_end
+-- Year-end leave processing: a record of each year-end run over the
+-- tenant's leave year (leave_year_start_month, added with the ledger), the
+-- carry-forward, lapse and encashment ledger entries it posts, and the
+-- encashment amounts it hands to payroll.
+
+CREATE TABLE IF NOT EXISTS leave_year_end_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  leave_year INTEGER NOT NULL,
+  encashment_enabled BOOLEAN NOT NULL DEFAULT true,
+  -- { employees, carried_forward, lapsed, encashed_days, encashment_amount }
+  summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+  run_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE(tenant_id, leave_year)
+);
+
+ALTER TABLE leave_ledger DROP CONSTRAINT IF EXISTS leave_ledger_entry_type_check;
+ALTER TABLE leave_ledger ADD CONSTRAINT leave_ledger_entry_type_check
+  CHECK (entry_type IN ('accrual', 'debit', 'carry_forward', 'lapse', 'encashment'));
+
+ALTER TABLE leave_ledger
+  ADD COLUMN IF NOT EXISTS year_end_run_id UUID REFERENCES leave_year_end_runs(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_leave_ledger_year_end_run ON leave_ledger(year_end_run_id);
+
+ALTER TABLE leave_year_end_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS org_isolation_leave_year_end_runs ON leave_year_end_runs;
+CREATE POLICY org_isolation_leave_year_end_runs ON leave_year_end_runs
+  USING (tenant_id = current_setting('app.org_id', true)::uuid);
+
+-- Encashed leave waiting to be paid, picked up by the next regular payroll
+CREATE TABLE IF NOT EXISTS payroll.leave_encashments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  employee_id UUID REFERENCES payroll.employees(id) ON DELETE CASCADE NOT NULL,
+  year_end_run_id UUID REFERENCES leave_year_end_runs(id) ON DELETE CASCADE,
+  leave_policy_id UUID REFERENCES leave_policies(id) ON DELETE SET NULL,
+  leave_type_name TEXT NOT NULL,
+  leave_year INTEGER NOT NULL,
+  days NUMERIC(6,2) NOT NULL CHECK (days > 0),
+  daily_rate DECIMAL(12,2) NOT NULL,
+  amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid')),
+  payroll_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE SET NULL,
+  paid_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_leave_encashments_employee
+  ON payroll.leave_encashments(tenant_id, employee_id, status);
+
+ALTER TABLE payroll.payroll_items
+  ADD COLUMN IF NOT EXISTS leave_encashment_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS leave_encashments JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE TRIGGER update_payroll_leave_encashments_updated_at BEFORE UPDATE ON payroll.leave_encashments
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.leave_encashments FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.leave_encashments TO payroll_admin_role;
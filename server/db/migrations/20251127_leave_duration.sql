@@ -0,0 +1,30 @@
+-- Migration: 20251127_leave_duration
+-- Leave duration from the working calendar: fractional total_days, half-day
+-- sessions, hourly leave for policies that allow it and the day-by-day
+-- breakdown each request was costed with.
+
+ALTER TABLE leave_policies
+  ADD COLUMN IF NOT EXISTS half_day_allowed BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS hourly_allowed BOOLEAN NOT NULL DEFAULT false,
+  -- Hours that make one leave day when leave is taken in hours
+  ADD COLUMN IF NOT EXISTS hours_per_day NUMERIC(4,2) NOT NULL DEFAULT 8
+    CHECK (hours_per_day > 0 AND hours_per_day <= 24);
+
+ALTER TABLE leave_requests ALTER COLUMN total_days TYPE NUMERIC(6,2);
+
+ALTER TABLE leave_requests
+  -- Session of the first day (the only day for single-day leave) and of the last day
+  ADD COLUMN IF NOT EXISTS start_session TEXT NOT NULL DEFAULT 'full'
+    CHECK (start_session IN ('full', 'first_half', 'second_half')),
+  ADD COLUMN IF NOT EXISTS end_session TEXT NOT NULL DEFAULT 'full'
+    CHECK (end_session IN ('full', 'first_half', 'second_half')),
+  ADD COLUMN IF NOT EXISTS leave_hours NUMERIC(5,2),
+  -- [{ date, type: working|weekly_off|holiday, holiday_name?, session, hours, days }]
+  ADD COLUMN IF NOT EXISTS day_breakdown JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE payroll.leave_requests
+  ADD COLUMN IF NOT EXISTS start_session TEXT NOT NULL DEFAULT 'full'
+    CHECK (start_session IN ('full', 'first_half', 'second_half')),
+  ADD COLUMN IF NOT EXISTS end_session TEXT NOT NULL DEFAULT 'full'
+    CHECK (end_session IN ('full', 'first_half', 'second_half')),
+  ADD COLUMN IF NOT EXISTS day_breakdown JSONB NOT NULL DEFAULT '[]'::jsonb;
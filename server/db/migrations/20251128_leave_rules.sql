@@ -0,0 +1,34 @@
+-- Migration: 20251128_leave_rules
+-- Leave policy rules (sandwich, prohibited clubbing, minimum notice, maximum
+-- consecutive days, supporting document above N days), supporting documents
+-- on leave requests, and HR overrides of rule violations.
+
+ALTER TABLE leave_policies
+  -- { sandwich, prohibited_clubbing: [leave_policy_id], min_notice_days,
+  --   max_consecutive_days, document_required_above_days }
+  ADD COLUMN IF NOT EXISTS rules JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE leave_requests
+  -- Rules the request broke when HR filed it anyway: [{ rule, message }]
+  ADD COLUMN IF NOT EXISTS rule_violations JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS override_reason TEXT,
+  ADD COLUMN IF NOT EXISTS overridden_by UUID REFERENCES profiles(id);
+
+CREATE TABLE IF NOT EXISTS leave_request_documents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  leave_request_id UUID REFERENCES leave_requests(id) ON DELETE CASCADE NOT NULL,
+  file_name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  data BYTEA NOT NULL,
+  uploaded_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_request_documents_request ON leave_request_documents(leave_request_id);
+
+ALTER TABLE leave_request_documents ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS org_isolation_leave_request_documents ON leave_request_documents;
+CREATE POLICY org_isolation_leave_request_documents ON leave_request_documents
+  USING (tenant_id = current_setting('app.org_id', true)::uuid);
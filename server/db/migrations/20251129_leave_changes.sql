@@ -0,0 +1,61 @@
+-- Migration: 20251129_leave_changes
+-- Cancelling and changing approved leave: a cancelled status, the request a
+-- change replaces while it waits for approval, reversal entries that give
+-- days back to the leave ledger, and pay adjustments for unpaid leave
+-- changed after its month's payroll was locked, picked up by the next
+-- regular payroll. Unpaid leave policies use the loss_of_pay leave type from
+-- 20251129_loss_of_pay_leave_type.
+
+ALTER TABLE leave_requests DROP CONSTRAINT IF EXISTS leave_requests_status_check;
+ALTER TABLE leave_requests ADD CONSTRAINT leave_requests_status_check
+  CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled'));
+
+ALTER TABLE leave_requests
+  -- Approved leave this request changes; the original is cancelled when this one is approved
+  ADD COLUMN IF NOT EXISTS replaces_leave_id UUID REFERENCES leave_requests(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES profiles(id),
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_replaces ON leave_requests(replaces_leave_id);
+
+ALTER TABLE leave_ledger DROP CONSTRAINT IF EXISTS leave_ledger_entry_type_check;
+ALTER TABLE leave_ledger ADD CONSTRAINT leave_ledger_entry_type_check
+  CHECK (entry_type IN ('accrual', 'debit', 'carry_forward', 'lapse', 'encashment', 'reversal'));
+
+-- Days of unpaid leave added to (lop) or removed from (credit) a month whose
+-- payroll was already locked, settled on the next regular payroll
+CREATE TABLE IF NOT EXISTS payroll.leave_adjustments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+  employee_id UUID REFERENCES payroll.employees(id) ON DELETE CASCADE NOT NULL,
+  leave_request_id UUID REFERENCES leave_requests(id) ON DELETE SET NULL,
+  -- Approved or locked cycle of the month the days fall in
+  source_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE SET NULL,
+  period_month INTEGER NOT NULL CHECK (period_month BETWEEN 1 AND 12),
+  period_year INTEGER NOT NULL,
+  adjustment_type TEXT NOT NULL CHECK (adjustment_type IN ('lop', 'credit')),
+  leave_type_name TEXT NOT NULL,
+  days NUMERIC(6,2) NOT NULL CHECK (days > 0),
+  daily_rate DECIMAL(12,2) NOT NULL,
+  amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied')),
+  payroll_cycle_id UUID REFERENCES payroll.payroll_cycles(id) ON DELETE SET NULL,
+  applied_at TIMESTAMPTZ,
+  created_by UUID REFERENCES profiles(id),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_leave_adjustments_employee
+  ON payroll.leave_adjustments(tenant_id, employee_id, status);
+
+ALTER TABLE payroll.payroll_items
+  ADD COLUMN IF NOT EXISTS leave_adjustment_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS leave_adjustments JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE TRIGGER update_payroll_leave_adjustments_updated_at BEFORE UPDATE ON payroll.leave_adjustments
+  FOR EACH ROW EXECUTE FUNCTION payroll.update_updated_at_column();
+
+REVOKE ALL ON payroll.leave_adjustments FROM public;
+GRANT SELECT, INSERT, UPDATE, DELETE ON payroll.leave_adjustments TO payroll_admin_role;
@@ -0,0 +1,7 @@
+-- Migration: 20251129_loss_of_pay_leave_type
+-- Unpaid (loss of pay) leave policies, whose approved days payroll deducts.
+-- Kept apart from 20251129_leave_changes: an enum value added in a
+-- transaction cannot be used until that transaction commits, so this runs on
+-- its own and nothing in the same file refers to the new value.
+
+ALTER TYPE leave_type ADD VALUE IF NOT EXISTS 'loss_of_pay';
@@ -46,6 +46,8 @@ import payrollServiceRoutes from './routes/payroll-service.js';
 import { setTenantContext } from './middleware/tenant.js';
 import { scheduleHolidayNotifications, scheduleNotificationRules } from './services/cron.js';
 import { scheduleOffboardingJobs } from './services/offboarding-cron.js';
+import { schedulePayslipDeliveries } from './services/payroll/payslip-distribution.js';
+import { scheduleLeaveAccrual } from './services/leave-ledger.js';
 import { createAttendanceTables } from './utils/createAttendanceTables.js';
 import { ensureAdminRole } from './utils/runMigration.js';
 import { ensureOnboardingColumns } from './utils/ensureOnboardingColumns.js';
@@ -258,6 +260,8 @@ createPool().then(async () => {
   scheduleHolidayNotifications();
   scheduleNotificationRules();
   await scheduleOffboardingJobs();
+  await schedulePayslipDeliveries();
+  await scheduleLeaveAccrual();
   console.log('✅ Cron jobs scheduled');
 
   app.listen(PORT, () => {
@@ -5,6 +5,7 @@ import { authenticateToken, requireRole } from '../middleware/auth.js';
 import rateLimit from 'express-rate-limit';
 import crypto from 'crypto';
 import { processAttendanceUpload } from '../services/attendance-processor.js';
+import { checkPeriodLock } from '../services/payroll/cycle-lifecycle.js';
 
 const router = express.Router();
 
@@ -78,6 +79,11 @@ router.post('/punch', authenticateToken, punchRateLimit, async (req, res) => {
       return res.status(400).json({ error: 'Invalid timestamp format' });
     }
 
+    const lockError = await checkPeriodLock({ tenantId: userTenantId, startDate: punchTime });
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
     // Store attendance event
     const eventResult = await query(
       `INSERT INTO attendance_events (
@@ -1,9 +1,36 @@
 import express from 'express';
 import { query } from '../db/pool.js';
 import { authenticateToken } from '../middleware/auth.js';
+import {
+  ACCRUAL_FREQUENCIES,
+  getLeaveYearStartMonth,
+  leaveYearBounds,
+  leaveYearOf,
+  runLeaveAccrual,
+} from '../services/leave-ledger.js';
+import { checkYearEndRun, getYearEndRun, previewYearEnd, runYearEnd } from '../services/leave-year-end.js';
+import { normalizeLeaveRules, validateLeaveRules } from '../services/leave-rules.js';
+import { audit } from '../utils/auditLog.js';
 
 const router = express.Router();
 
+async function getUserTenantAndRole(userId) {
+  const result = await query(
+    `SELECT p.tenant_id, ur.role
+     FROM profiles p
+     LEFT JOIN user_roles ur ON ur.user_id = p.id
+     WHERE p.id = $1
+     LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+function todayKey() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
 // Get all leave policies
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -22,7 +49,8 @@ router.get('/', authenticateToken, async (req, res) => {
     // Fetch all active leave policies
     const { rows } = await query(
       `SELECT id, name, leave_type, annual_entitlement, probation_entitlement, 
-              carry_forward_allowed, max_carry_forward, encashment_allowed, 
+              accrual_frequency, carry_forward_allowed, max_carry_forward, encashment_allowed, 
+              half_day_allowed, hourly_allowed, hours_per_day, rules,
               is_active, created_at, updated_at
        FROM leave_policies
        WHERE tenant_id = $1 AND is_active = true
@@ -45,9 +73,14 @@ router.post('/', authenticateToken, async (req, res) => {
       leave_type, 
       annual_entitlement, 
       probation_entitlement,
+      accrual_frequency,
       carry_forward_allowed,
       max_carry_forward,
-      encashment_allowed 
+      encashment_allowed,
+      half_day_allowed,
+      hourly_allowed,
+      hours_per_day,
+      rules
     } = req.body;
 
     // Validate required fields
@@ -55,6 +88,19 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    if (accrual_frequency && !ACCRUAL_FREQUENCIES[accrual_frequency]) {
+      return res.status(400).json({ error: 'accrual_frequency must be monthly, quarterly or yearly' });
+    }
+
+    if (hours_per_day !== undefined && !(Number(hours_per_day) > 0 && Number(hours_per_day) <= 24)) {
+      return res.status(400).json({ error: 'hours_per_day must be more than 0 and at most 24' });
+    }
+
+    const rulesError = rules !== undefined ? validateLeaveRules(rules) : null;
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
     // Get user's tenant_id
     const tenantResult = await query(
       'SELECT tenant_id FROM profiles WHERE id = $1',
@@ -82,10 +128,11 @@ router.post('/', authenticateToken, async (req, res) => {
     const insertResult = await query(
       `INSERT INTO leave_policies (
         tenant_id, name, leave_type, annual_entitlement, 
-        probation_entitlement, carry_forward_allowed, 
-        max_carry_forward, encashment_allowed, is_active
+        probation_entitlement, accrual_frequency, carry_forward_allowed, 
+        max_carry_forward, encashment_allowed, is_active,
+        half_day_allowed, hourly_allowed, hours_per_day, rules
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14::jsonb)
       RETURNING *`,
       [
         tenantId,
@@ -93,10 +140,15 @@ router.post('/', authenticateToken, async (req, res) => {
         leave_type,
         annual_entitlement,
         probation_entitlement || 0,
+        accrual_frequency || 'yearly',
         carry_forward_allowed || false,
         max_carry_forward || 0,
         encashment_allowed || false,
-        true
+        true,
+        half_day_allowed !== false,
+        hourly_allowed || false,
+        hours_per_day || 8,
+        JSON.stringify(normalizeLeaveRules(rules))
       ]
     );
 
@@ -107,6 +159,205 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Get leave year settings
+router.get('/settings', authenticateToken, async (req, res) => {
+  try {
+    const user = await getUserTenantAndRole(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const startMonth = await getLeaveYearStartMonth(user.tenant_id);
+    res.json({
+      leave_year_start_month: startMonth,
+      current_leave_year: leaveYearOf(todayKey(), startMonth),
+    });
+  } catch (error) {
+    console.error('Error fetching leave settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update leave year settings
+router.put('/settings', authenticateToken, async (req, res) => {
+  try {
+    const startMonth = Number(req.body.leave_year_start_month);
+    if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+      return res.status(400).json({ error: 'leave_year_start_month must be a month from 1 to 12' });
+    }
+
+    const user = await getUserTenantAndRole(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!['hr', 'director', 'ceo'].includes(user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const previous = await getLeaveYearStartMonth(user.tenant_id);
+    if (startMonth !== previous) {
+      // Ledger entries and year-end runs are keyed by the leave year they were
+      // posted in; moving the start month would regroup them into different years
+      const posted = await query(
+        `SELECT 1 FROM leave_ledger WHERE tenant_id = $1
+         UNION ALL
+         SELECT 1 FROM leave_year_end_runs WHERE tenant_id = $1
+         LIMIT 1`,
+        [user.tenant_id]
+      );
+      if (posted.rows.length > 0) {
+        return res.status(409).json({
+          error: 'The leave year start month cannot be changed once leave has been posted to the ledger',
+        });
+      }
+    }
+    await query(
+      'UPDATE organizations SET leave_year_start_month = $1 WHERE id = $2',
+      [startMonth, user.tenant_id]
+    );
+
+    await audit({
+      actorId: req.user.id,
+      action: 'leave_settings_updated',
+      entityType: 'organization',
+      entityId: user.tenant_id,
+      diff: { leave_year_start_month: { from: previous, to: startMonth } },
+    });
+
+    res.json({
+      leave_year_start_month: startMonth,
+      current_leave_year: leaveYearOf(todayKey(), startMonth),
+    });
+  } catch (error) {
+    console.error('Error updating leave settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Post the accruals due today without waiting for the nightly job, e.g. for new joiners
+router.post('/accruals/run', authenticateToken, async (req, res) => {
+  try {
+    const user = await getUserTenantAndRole(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!['hr', 'director', 'ceo'].includes(user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const posted = await runLeaveAccrual(user.tenant_id);
+    await audit({
+      actorId: req.user.id,
+      action: 'leave_accrual_run',
+      entityType: 'organization',
+      entityId: user.tenant_id,
+      details: { posted },
+    });
+
+    res.json({ posted });
+  } catch (error) {
+    console.error('Error running leave accrual:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview closing a leave year: carry-forward, lapse and encashment per employee
+router.get('/year-end/preview', authenticateToken, async (req, res) => {
+  try {
+    const leaveYear = Number(req.query.leave_year);
+    if (!Number.isInteger(leaveYear)) {
+      return res.status(400).json({ error: 'leave_year is required' });
+    }
+
+    const user = await getUserTenantAndRole(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!['hr', 'director', 'ceo'].includes(user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const encash = req.query.encash !== 'false';
+    const preview = await previewYearEnd({ tenantId: user.tenant_id, leaveYear, encash });
+    const run = await getYearEndRun(user.tenant_id, leaveYear);
+    res.json({
+      ...preview,
+      run,
+      blocked_reason: checkYearEndRun({ leaveYearEnd: preview.end, today: todayKey(), existingRun: run }),
+    });
+  } catch (error) {
+    console.error('Error previewing leave year end:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Close a leave year
+router.post('/year-end/run', authenticateToken, async (req, res) => {
+  try {
+    const leaveYear = Number(req.body.leave_year);
+    if (!Number.isInteger(leaveYear)) {
+      return res.status(400).json({ error: 'leave_year is required' });
+    }
+
+    const user = await getUserTenantAndRole(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!['hr', 'director', 'ceo'].includes(user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const tenantId = user.tenant_id;
+    const { end } = leaveYearBounds(leaveYear, await getLeaveYearStartMonth(tenantId));
+    const blockedReason = checkYearEndRun({
+      leaveYearEnd: end,
+      today: todayKey(),
+      existingRun: await getYearEndRun(tenantId, leaveYear),
+    });
+    if (blockedReason) {
+      return res.status(409).json({ error: blockedReason });
+    }
+
+    const encash = req.body.encash !== false;
+    const result = await runYearEnd({ tenantId, leaveYear, encash, actorId: req.user.id });
+    if (!result) {
+      return res.status(409).json({ error: 'This leave year has already been processed' });
+    }
+
+    for (const row of result.rows) {
+      await audit({
+        actorId: req.user.id,
+        action: 'leave_year_end_adjustment',
+        entityType: 'employee',
+        entityId: row.employee_id,
+        details: {
+          year_end_run_id: result.run.id,
+          leave_year: leaveYear,
+          leave_policy_id: row.leave_policy_id,
+          leave_type: row.leave_type,
+          closing_balance: row.closing_balance,
+          carry_forward: row.carry_forward,
+          lapsed: row.lapsed,
+          encashed: row.encashed,
+          encashment_amount: row.encashment_amount,
+        },
+      });
+    }
+    await audit({
+      actorId: req.user.id,
+      action: 'leave_year_end_run',
+      entityType: 'leave_year_end_run',
+      entityId: result.run.id,
+      details: { leave_year: leaveYear, encash, summary: result.run.summary },
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error running leave year end:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Update leave policy
 router.patch('/:id', authenticateToken, async (req, res) => {
   try {
@@ -135,6 +386,23 @@ router.patch('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
 
+    if (updates.accrual_frequency && !ACCRUAL_FREQUENCIES[updates.accrual_frequency]) {
+      return res.status(400).json({ error: 'accrual_frequency must be monthly, quarterly or yearly' });
+    }
+
+    if (updates.hours_per_day !== undefined && !(Number(updates.hours_per_day) > 0 && Number(updates.hours_per_day) <= 24)) {
+      return res.status(400).json({ error: 'hours_per_day must be more than 0 and at most 24' });
+    }
+
+    if (updates.rules !== undefined) {
+      const rulesError = validateLeaveRules(updates.rules);
+      if (rulesError) {
+        return res.status(400).json({ error: rulesError });
+      }
+      // Replaces the policy's rules; anything left out falls back to its default
+      updates.rules = JSON.stringify(normalizeLeaveRules(updates.rules));
+    }
+
     // Build update query dynamically
     const fields = [];
     const values = [];
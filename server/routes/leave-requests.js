@@ -2,9 +2,82 @@ import express from 'express';
 import { query } from '../db/pool.js';
 import { create_approval, apply_approval, next_approver } from '../approval_flow.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { checkPeriodLock } from '../services/payroll/cycle-lifecycle.js';
+import {
+  evaluateLeaveRequest,
+  LEAVE_DOCUMENT_CONTENT_TYPES,
+  MAX_LEAVE_DOCUMENT_BYTES,
+} from '../services/leave-rules.js';
+import {
+  applyLeaveChange,
+  approveLeaveRequest,
+  cancelApprovedLeave,
+  checkLeaveChange,
+  hasPendingLeaveChange,
+} from '../services/leave-changes.js';
+import { toDateKey } from '../services/payroll/working-calendar.js';
+import { audit } from '../utils/auditLog.js';
+import { contentDisposition } from '../utils/content-disposition.js';
+import multer from 'multer';
 
 const router = express.Router();
 
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_LEAVE_DOCUMENT_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (LEAVE_DOCUMENT_CONTENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Supporting documents must be a PDF, JPEG, PNG or WebP file'));
+    }
+  },
+});
+
+// Multer errors (size, type) become 400s instead of falling through to the app error handler
+function handleDocumentUpload(req, res, next) {
+  documentUpload.single('document')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'Supporting document must be 5 MB or smaller' : err.message });
+    }
+    next();
+  });
+}
+
+// Approved leave the caller may cancel or change: their own, or any in their tenant for HR
+async function loadLeaveForChange(leaveId, userId) {
+  const leaveResult = await query(
+    `SELECT lr.*, e.user_id, e.state, e.holiday_override
+     FROM leave_requests lr
+     JOIN employees e ON e.id = lr.employee_id
+     WHERE lr.id = $1`,
+    [leaveId]
+  );
+  const leave = leaveResult.rows[0];
+  if (!leave) return { status: 404, error: 'Leave request not found' };
+
+  const viewer = await query(
+    `SELECT p.tenant_id, ur.role
+     FROM profiles p
+     LEFT JOIN user_roles ur ON ur.user_id = p.id
+     WHERE p.id = $1
+     LIMIT 1`,
+    [userId]
+  );
+  const { tenant_id, role } = viewer.rows[0] || {};
+  const isHr = tenant_id === leave.tenant_id && ['hr', 'director', 'ceo'].includes(role);
+  if (leave.user_id !== userId && !isHr) {
+    return { status: 403, error: 'Only the employee or HR can cancel or change this leave' };
+  }
+
+  const policyResult = await query(
+    `SELECT id, name, leave_type, half_day_allowed, hourly_allowed, hours_per_day, rules
+     FROM leave_policies WHERE id = $1`,
+    [leave.leave_type_id]
+  );
+  return { leave, policy: policyResult.rows[0] || null, isHr };
+}
+
 // Get all leave requests (my requests and team requests based on role)
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -90,7 +163,11 @@ router.get('/', authenticateToken, async (req, res) => {
               )
             ELSE NULL
           END as reviewer,
-          json_build_object('name', lp.name) as leave_type
+          json_build_object('name', lp.name) as leave_type,
+          EXISTS (SELECT 1 FROM leave_request_documents d WHERE d.leave_request_id = lr.id) as has_document,
+          (SELECT json_build_object('start_date', o.start_date, 'end_date', o.end_date, 'total_days', o.total_days)
+           FROM leave_requests o WHERE o.id = lr.replaces_leave_id) as replaces_leave,
+          EXISTS (SELECT 1 FROM leave_requests c WHERE c.replaces_leave_id = lr.id AND c.status = 'pending') as has_pending_change
         FROM leave_requests lr
         LEFT JOIN employees e ON lr.employee_id = e.id
         LEFT JOIN profiles p1 ON e.user_id = p1.id
@@ -132,7 +209,11 @@ router.get('/', authenticateToken, async (req, res) => {
               )
             ELSE NULL
           END as reviewer,
-          json_build_object('name', lp.name) as leave_type
+          json_build_object('name', lp.name) as leave_type,
+          EXISTS (SELECT 1 FROM leave_request_documents d WHERE d.leave_request_id = lr.id) as has_document,
+          (SELECT json_build_object('start_date', o.start_date, 'end_date', o.end_date, 'total_days', o.total_days)
+           FROM leave_requests o WHERE o.id = lr.replaces_leave_id) as replaces_leave,
+          EXISTS (SELECT 1 FROM leave_requests c WHERE c.replaces_leave_id = lr.id AND c.status = 'pending') as has_pending_change
         FROM leave_requests lr
         LEFT JOIN employees e ON lr.employee_id = e.id
         LEFT JOIN profiles p1 ON e.user_id = p1.id
@@ -191,7 +272,11 @@ router.get('/', authenticateToken, async (req, res) => {
               )
             ELSE NULL
           END as reviewer,
-          json_build_object('name', lp.name) as leave_type
+          json_build_object('name', lp.name) as leave_type,
+          EXISTS (SELECT 1 FROM leave_request_documents d WHERE d.leave_request_id = lr.id) as has_document,
+          (SELECT json_build_object('start_date', o.start_date, 'end_date', o.end_date, 'total_days', o.total_days)
+           FROM leave_requests o WHERE o.id = lr.replaces_leave_id) as replaces_leave,
+          EXISTS (SELECT 1 FROM leave_requests c WHERE c.replaces_leave_id = lr.id AND c.status = 'pending') as has_pending_change
         FROM leave_requests lr
         LEFT JOIN employees e ON lr.employee_id = e.id
         LEFT JOIN profiles p1 ON e.user_id = p1.id
@@ -223,18 +308,33 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Create leave request
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, handleDocumentUpload, async (req, res) => {
   try {
-    const { leave_type_id, start_date, end_date, reason } = req.body;
+    const {
+      leave_type_id,
+      start_date,
+      end_date,
+      start_session = 'full',
+      end_session = 'full',
+      reason,
+      employee_id,
+      override_reason,
+    } = req.body;
+    // Multipart bodies (with a supporting document) carry every field as a string
+    const hours = req.body.hours === undefined || req.body.hours === '' ? null : Number(req.body.hours);
 
     // Validate required fields
     if (!leave_type_id || !start_date || !end_date) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    // Get user's tenant_id
+    // Get user's tenant_id and role
     const tenantResult = await query(
-      'SELECT tenant_id FROM profiles WHERE id = $1',
+      `SELECT p.tenant_id, ur.role
+       FROM profiles p
+       LEFT JOIN user_roles ur ON ur.user_id = p.id
+       WHERE p.id = $1
+       LIMIT 1`,
       [req.user.id]
     );
 
@@ -243,50 +343,382 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 
     const tenantId = tenantResult.rows[0].tenant_id;
+    const isHr = ['hr', 'director', 'ceo'].includes(tenantResult.rows[0].role);
 
-    // Get employee ID
-    const empResult = await query(
-      'SELECT id FROM employees WHERE user_id = $1',
-      [req.user.id]
-    );
+    if ((employee_id || override_reason) && !isHr) {
+      return res.status(403).json({ error: 'Only HR can file leave for others or override leave rules' });
+    }
+
+    // HR can file leave for an employee; everyone else files their own
+    const empResult = employee_id
+      ? await query(
+        'SELECT id, user_id, state, holiday_override FROM employees WHERE id = $1 AND tenant_id = $2',
+        [employee_id, tenantId]
+      )
+      : await query(
+        'SELECT id, user_id, state, holiday_override FROM employees WHERE user_id = $1',
+        [req.user.id]
+      );
 
     if (empResult.rows.length === 0) {
       return res.status(404).json({ error: 'Employee not found' });
     }
 
-    const employeeId = empResult.rows[0].id;
+    const employee = empResult.rows[0];
+    const employeeId = employee.id;
+
+    const policyResult = await query(
+      `SELECT id, name, half_day_allowed, hourly_allowed, hours_per_day, rules
+       FROM leave_policies
+       WHERE id = $1 AND tenant_id = $2 AND is_active = true`,
+      [leave_type_id, tenantId]
+    );
+    if (policyResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Leave type not found' });
+    }
+
+    // Leave inside a locked payroll month would change processed pay
+    const lockError = await checkPeriodLock({ tenantId, startDate: start_date, endDate: end_date });
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    // Cost the leave in working days and check the policy's rules
+    const evaluation = await evaluateLeaveRequest({
+      tenantId,
+      employee,
+      policy: policyResult.rows[0],
+      startDate: start_date,
+      endDate: end_date,
+      startSession: start_session,
+      endSession: end_session,
+      hours,
+      hasDocument: !!req.file,
+    });
+    if (evaluation.error) {
+      return res.status(400).json({ error: evaluation.error });
+    }
 
-    // Calculate total days
-    const start = new Date(start_date);
-    const end = new Date(end_date);
-    const totalDays = Math.ceil((end.getTime() - start.getTime()) / (1000 * 60 * 60 * 24)) + 1;
+    const overrideReason = override_reason?.trim() || null;
+    if (evaluation.violations.length > 0 && !overrideReason) {
+      return res.status(422).json({
+        error: evaluation.violations.map(v => v.message).join('. '),
+        violations: evaluation.violations,
+      });
+    }
+    const overridden = evaluation.violations.length > 0;
 
     // Insert leave request
     const insertResult = await query(
       `INSERT INTO leave_requests (
         employee_id, leave_type_id, start_date, end_date, 
-        total_days, reason, status, tenant_id
+        total_days, reason, status, tenant_id,
+        start_session, end_session, leave_hours, day_breakdown,
+        rule_violations, override_reason, overridden_by
       )
-      VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7)
+      VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9, $10, $11::jsonb, $12::jsonb, $13, $14)
       RETURNING *`,
-      [employeeId, leave_type_id, start_date, end_date, totalDays, reason || null, tenantId]
+      [
+        employeeId,
+        leave_type_id,
+        start_date,
+        end_date,
+        evaluation.totalDays,
+        reason || null,
+        tenantId,
+        start_session,
+        end_session,
+        hours,
+        JSON.stringify(evaluation.breakdown),
+        JSON.stringify(overridden ? evaluation.violations : []),
+        overridden ? overrideReason : null,
+        overridden ? req.user.id : null,
+      ]
     );
 
     const leave = insertResult.rows[0];
+
+    if (req.file) {
+      await query(
+        `INSERT INTO leave_request_documents (tenant_id, leave_request_id, file_name, content_type, data, uploaded_by)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [tenantId, leave.id, req.file.originalname, req.file.mimetype, req.file.buffer, req.user.id]
+      );
+    }
+
+    if (overridden) {
+      await audit({
+        actorId: req.user.id,
+        action: 'leave_override',
+        entityType: 'leave_request',
+        entityId: leave.id,
+        reason: overrideReason,
+        details: { employee_id: employeeId, violations: evaluation.violations },
+      });
+    }
+
     // Create approval workflow for this leave
-    await create_approval('leave', leave.total_days, req.user.id, leave.id);
+    await create_approval('leave', evaluation.totalDays, employee.user_id, leave.id);
 
-    res.status(201).json(leave);
+    res.status(201).json({ ...leave, has_document: !!req.file });
   } catch (error) {
     console.error('Error creating leave request:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Supporting document, for the employee, HR and the managers who review leave
+router.get('/:id/document', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT d.file_name, d.content_type, d.data, e.user_id, e.reporting_manager_id, lr.tenant_id
+       FROM leave_request_documents d
+       JOIN leave_requests lr ON lr.id = d.leave_request_id
+       JOIN employees e ON e.id = lr.employee_id
+       WHERE d.leave_request_id = $1
+       ORDER BY d.created_at DESC
+       LIMIT 1`,
+      [req.params.id]
+    );
+    const document = result.rows[0];
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (document.user_id !== req.user.id) {
+      const viewer = await query(
+        `SELECT p.tenant_id, ur.role, e.id AS employee_id
+         FROM profiles p
+         LEFT JOIN user_roles ur ON ur.user_id = p.id
+         LEFT JOIN employees e ON e.user_id = p.id
+         WHERE p.id = $1
+         LIMIT 1`,
+        [req.user.id]
+      );
+      const { tenant_id, role, employee_id } = viewer.rows[0] || {};
+      const canView = tenant_id === document.tenant_id &&
+        (['hr', 'director', 'ceo'].includes(role) || (employee_id && employee_id === document.reporting_manager_id));
+      if (!canView) {
+        return res.status(403).json({ error: 'Not allowed to view this document' });
+      }
+    }
+
+    res.setHeader('Content-Type', document.content_type);
+    res.setHeader('Content-Disposition', contentDisposition('inline', document.file_name, 'document'));
+    res.send(document.data);
+  } catch (error) {
+    console.error('Error downloading leave document:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel approved leave, giving its days back
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadLeaveForChange(req.params.id, req.user.id);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const { leave, policy, isHr } = loaded;
+
+    const changeError = checkLeaveChange({
+      leave,
+      today: toDateKey(new Date()),
+      isHr,
+      hasPendingChange: await hasPendingLeaveChange(leave.id),
+    });
+    if (changeError) {
+      return res.status(400).json({ error: changeError });
+    }
+
+    // Locked payroll months are not reopened; unpaid days come back as a credit on the next cycle
+    const { adjustments } = await cancelApprovedLeave({
+      leave,
+      policy,
+      actorId: req.user.id,
+      reason: req.body?.reason?.trim() || null,
+    });
+    res.json({ ok: true, adjustments });
+  } catch (error) {
+    console.error('Error cancelling leave request:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change the dates of approved leave. Changes that add days go back through approval.
+router.patch('/:id', authenticateToken, async (req, res) => {
+  try {
+    const {
+      start_date,
+      end_date,
+      start_session = 'full',
+      end_session = 'full',
+      reason,
+      override_reason,
+    } = req.body;
+    const hours = req.body.hours === undefined || req.body.hours === null || req.body.hours === ''
+      ? null
+      : Number(req.body.hours);
+
+    if (!start_date || !end_date) {
+      return res.status(400).json({ error: 'start_date and end_date are required' });
+    }
+
+    const loaded = await loadLeaveForChange(req.params.id, req.user.id);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const { leave, policy, isHr } = loaded;
+    if (!policy) {
+      return res.status(404).json({ error: 'Leave policy not found' });
+    }
+    if (override_reason && !isHr) {
+      return res.status(403).json({ error: 'Only HR can override leave rules' });
+    }
+
+    const changeError = checkLeaveChange({
+      leave,
+      change: { start_date, end_date },
+      today: toDateKey(new Date()),
+      isHr,
+      hasPendingChange: await hasPendingLeaveChange(leave.id),
+    });
+    if (changeError) {
+      return res.status(400).json({ error: changeError });
+    }
+
+    const documentResult = await query(
+      'SELECT 1 FROM leave_request_documents WHERE leave_request_id = $1 LIMIT 1',
+      [leave.id]
+    );
+    const evaluation = await evaluateLeaveRequest({
+      tenantId: leave.tenant_id,
+      employee: { id: leave.employee_id, state: leave.state, holiday_override: leave.holiday_override },
+      policy,
+      startDate: start_date,
+      endDate: end_date,
+      startSession: start_session,
+      endSession: end_session,
+      hours,
+      hasDocument: documentResult.rows.length > 0,
+      excludeLeaveIds: [leave.id],
+    });
+    if (evaluation.error) {
+      return res.status(400).json({ error: evaluation.error });
+    }
+
+    const change = {
+      start_date,
+      end_date,
+      start_session,
+      end_session,
+      hours,
+      totalDays: evaluation.totalDays,
+      breakdown: evaluation.breakdown,
+    };
+    // Only a shorter stay within the approved dates applies straight away
+    const shortened = toDateKey(start_date) >= toDateKey(leave.start_date)
+      && toDateKey(end_date) <= toDateKey(leave.end_date)
+      && evaluation.totalDays <= Number(leave.total_days);
+    if (shortened) {
+      const result = await applyLeaveChange({ leave, policy, change, actorId: req.user.id });
+      return res.json({ ...result.leave, adjustments: result.adjustments });
+    }
+
+    // Moved or extended leave is checked like a new request; notice only
+    // applies when the start date moves
+    const violations = toDateKey(start_date) === toDateKey(leave.start_date)
+      ? evaluation.violations.filter(v => v.rule !== 'min_notice_days')
+      : evaluation.violations;
+    const overrideReason = override_reason?.trim() || null;
+    if (violations.length > 0 && !overrideReason) {
+      return res.status(422).json({
+        error: violations.map(v => v.message).join('. '),
+        violations,
+      });
+    }
+    const overridden = violations.length > 0;
+
+    // The approved leave stands until the change is approved
+    const insertResult = await query(
+      `INSERT INTO leave_requests (
+        employee_id, leave_type_id, start_date, end_date,
+        total_days, reason, status, tenant_id,
+        start_session, end_session, leave_hours, day_breakdown, replaces_leave_id,
+        rule_violations, override_reason, overridden_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7, $8, $9, $10, $11::jsonb, $12, $13::jsonb, $14, $15)
+      RETURNING *`,
+      [
+        leave.employee_id,
+        leave.leave_type_id,
+        start_date,
+        end_date,
+        evaluation.totalDays,
+        reason || leave.reason || null,
+        leave.tenant_id,
+        start_session,
+        end_session,
+        hours,
+        JSON.stringify(evaluation.breakdown),
+        leave.id,
+        JSON.stringify(overridden ? violations : []),
+        overridden ? overrideReason : null,
+        overridden ? req.user.id : null,
+      ]
+    );
+    const replacement = insertResult.rows[0];
+
+    await query(
+      `INSERT INTO leave_request_documents (tenant_id, leave_request_id, file_name, content_type, data, uploaded_by)
+       SELECT tenant_id, $1, file_name, content_type, data, uploaded_by
+       FROM leave_request_documents WHERE leave_request_id = $2`,
+      [replacement.id, leave.id]
+    );
+
+    if (overridden) {
+      await audit({
+        actorId: req.user.id,
+        action: 'leave_override',
+        entityType: 'leave_request',
+        entityId: replacement.id,
+        reason: overrideReason,
+        details: { employee_id: leave.employee_id, violations, replaces_leave_id: leave.id },
+      });
+    }
+
+    await create_approval('leave', evaluation.totalDays, leave.user_id, replacement.id);
+
+    res.status(201).json(replacement);
+  } catch (error) {
+    console.error('Error changing leave request:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Approve leave request
 router.patch('/:id/approve', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
+
+    const leavePeriod = await query(
+      'SELECT tenant_id, status, start_date, end_date, replaces_leave_id FROM leave_requests WHERE id = $1',
+      [id]
+    );
+    if (leavePeriod.rows.length === 0) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+    if (leavePeriod.rows[0].status !== 'pending') {
+      return res.status(409).json({ error: 'Only pending leave requests can be approved' });
+    }
+    // Changes to approved leave settle locked months through pay adjustments instead
+    if (!leavePeriod.rows[0].replaces_leave_id) {
+      const { tenant_id, start_date, end_date } = leavePeriod.rows[0];
+      const lockError = await checkPeriodLock({ tenantId: tenant_id, startDate: start_date, endDate: end_date });
+      if (lockError) {
+        return res.status(409).json({ error: lockError });
+      }
+    }
     
     // Check if approvals table exists, if not, allow direct approval for CEO/HR
     let approvalsTableExists = true;
@@ -431,11 +863,6 @@ router.patch('/:id/approve', authenticateToken, async (req, res) => {
       if ((canDirectlyApprove && ['ceo', 'hr', 'director', 'admin'].includes(reviewerRole)) || 
           isManagerApprovingDirectReport) {
         // Directly approve without workflow
-        await query(
-          `UPDATE leave_requests SET status = 'approved', reviewed_by = $1, reviewed_at = now() WHERE id = $2`,
-          [reviewerId, id]
-        );
-        
         result = { updated: true, final: true, status: 'approved' };
       } else {
         // Create approval workflow now
@@ -461,10 +888,6 @@ router.patch('/:id/approve', authenticateToken, async (req, res) => {
             leave.reporting_manager_id === reviewerId;
           if ((canDirectlyApprove && ['ceo', 'hr', 'director', 'admin'].includes(reviewerRole)) || 
               isManagerApprovingDirectReport2) {
-            await query(
-              `UPDATE leave_requests SET status = 'approved', reviewed_by = $1, reviewed_at = now() WHERE id = $2`,
-              [reviewerId, id]
-            );
             result = { updated: true, final: true, status: 'approved' };
           } else {
             throw createError;
@@ -515,19 +938,13 @@ router.patch('/:id/approve', authenticateToken, async (req, res) => {
         result = await apply_approval('leave', id, reviewerId, 'approve', null);
       } else {
         // Fallback to direct approval
-        await query(
-          `UPDATE leave_requests SET status = 'approved', reviewed_by = $1, reviewed_at = now() WHERE id = $2`,
-          [reviewerId, id]
-        );
         result = { updated: true, final: true, status: 'approved' };
       }
     }
 
+    // The status, ledger debit and any leave this change replaces are saved together
     if (result.final && result.status === 'approved') {
-      await query(
-        `UPDATE leave_requests SET status = 'approved', reviewed_by = $1, reviewed_at = now() WHERE id = $2`,
-        [reviewerId, id]
-      );
+      await approveLeaveRequest({ leaveId: id, reviewerId, actorId: req.user.id });
     }
 
     // If still pending next stage, return next approver info
@@ -553,6 +970,14 @@ router.patch('/:id/reject', authenticateToken, async (req, res) => {
     const { id } = req.params;
     const { rejection_reason } = req.body;
 
+    const leaveStatus = await query('SELECT status FROM leave_requests WHERE id = $1', [id]);
+    if (leaveStatus.rows.length === 0) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+    if (leaveStatus.rows[0].status !== 'pending') {
+      return res.status(409).json({ error: 'Only pending leave requests can be rejected' });
+    }
+
     // Get employee ID (reviewer) - check if user has employee record
     let empResult = await query(
       'SELECT id FROM employees WHERE user_id = $1',
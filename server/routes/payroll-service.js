@@ -8,13 +8,127 @@
 
 import express from 'express';
 import jwt from 'jsonwebtoken';
-import { query } from '../db/pool.js';
+import { query, withClient } from '../db/pool.js';
 import { requireCapability, CAPABILITIES, hasCapability } from '../policy/authorize.js';
 import { audit, auditPayroll } from '../utils/auditLog.js';
 import { maskEmployeeData, maskEmployeeList } from '../utils/dataMasking.js';
+import { contentDisposition } from '../utils/content-disposition.js';
 import { verifyHrSsoToken } from '../middleware/payroll-sso.js';
 import { upsertPayrollUser } from '../services/payroll-user-service.js';
+import { loadTaxConfig, getFinancialYear, TAX_REGIMES } from '../services/payroll/tax-engine.js';
+import {
+  getEmployeeWorkingCalendar,
+  getProrationBasis,
+  resolveProrationDays,
+  toDateKey,
+  validateWeeklyOffs,
+  PRORATION_BASES,
+} from '../services/payroll/working-calendar.js';
+import {
+  calculateLopAndPaidDays,
+  computeCyclePayroll,
+  persistPayrollItems,
+} from '../services/payroll/payroll-engine.js';
+import {
+  checkPeriodLock,
+  checkTransition,
+  validateReopenRequest,
+  FINALIZED_CYCLE_STATUSES,
+} from '../services/payroll/cycle-lifecycle.js';
+import {
+  evaluateSalaryStructure,
+  getTemplateComponents,
+  normalizeCode,
+  validateComponents,
+} from '../services/payroll/salary-structure.js';
+import {
+  buildEcrFile,
+  buildEsicFile,
+  buildProfessionalTaxFile,
+  summarizeEcr,
+  summarizeEsi,
+  summarizeProfessionalTax,
+} from '../services/payroll/statutory.js';
+import {
+  generateAnnualStatement,
+  isValidFinancialYear,
+  runAnnualStatementJob,
+} from '../services/payroll/annual-tax-statement.js';
+import {
+  buildDisbursementFile,
+  getDisbursementFormat,
+  listDisbursementFormats,
+  DEFAULT_DISBURSEMENT_FORMAT,
+} from '../services/payroll/bank-disbursement.js';
+import {
+  computeEmi,
+  getLoanStatement,
+  recordCycleLoanRepayments,
+  removeCycleLoanRepayments,
+  validateLoanTerms,
+  LOAN_TYPES,
+} from '../services/payroll/loans.js';
+import {
+  getCategoryMonthToDate,
+  validateExpenseCategory,
+  validateExpenseClaim,
+  EXPENSE_PAYOUT_MODES,
+  MAX_RECEIPT_BYTES,
+  RECEIPT_CONTENT_TYPES,
+} from '../services/payroll/expense-claims.js';
+import { getCycleVariance, DEFAULT_VARIANCE_THRESHOLD_PERCENT } from '../services/payroll/variance.js';
+import {
+  PAYROLL_RUN_TYPES,
+  OFF_CYCLE_REASONS,
+  validateOffCycleEarning,
+  recordCycleSettlements,
+} from '../services/payroll/off-cycle.js';
+import { computeSettlement, validateSettlementInputs } from '../services/payroll/fnf-settlement.js';
+import {
+  resolvePayrollCurrency,
+  validateCountryAndCurrency,
+  COUNTRIES,
+  CURRENCIES,
+} from '../services/payroll/currency.js';
+import {
+  buildLiabilityCsv,
+  buildLiabilityWorkbook,
+  getLiabilityReport,
+} from '../services/payroll/liability-report.js';
+import {
+  checkExceptionAction,
+  countOpenBlockingExceptions,
+  detectCycleExceptions,
+  getCycleExceptions,
+  summarizeExceptions,
+  syncCycleExceptions,
+  EXCEPTION_STATUSES,
+  EXCEPTION_TYPES,
+} from '../services/payroll/payroll-exceptions.js';
+import {
+  checkDeclarationWindow,
+  checkProofReview,
+  getClaimedRent,
+  getDeclarationWindow,
+  isAfterProofCutoff,
+  validateProof,
+  PROOF_SECTIONS,
+  PROOF_STATUSES,
+} from '../services/payroll/investment-proofs.js';
+import { getRentHistory, validateRentDetails } from '../services/payroll/hra-exemption.js';
+import { calculateLeaveDuration } from '../services/leave-duration.js';
+import { create_approval, apply_approval, next_approver } from '../approval_flow.js';
 import PDFDocument from 'pdfkit';
+import {
+  formatRunLabel,
+  loadPayslip,
+  payslipFileName,
+  renderPayslipPdf,
+  runFileSuffix,
+} from '../services/payroll/payslip-pdf.js';
+import { queueCyclePayslipEmails, resetDelivery } from '../services/payroll/payslip-delivery.js';
+import { runPayslipDeliveries } from '../services/payroll/payslip-distribution.js';
+import multer from 'multer';
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret';
@@ -41,48 +155,6 @@ async function isHR(userId) {
   return roles.rows.some(r => ['hr', 'admin'].includes(r.role));
 }
 
-// Helper function to calculate LOP days and paid days
-async function calculateLopAndPaidDays(tenantId, employeeId, month, year) {
-  const daysInMonth = new Date(year, month, 0).getDate();
-  const totalWorkingDays = daysInMonth;
-
-  // Get approved LOP leave requests
-  const leaveResult = await query(
-    `SELECT 
-      COALESCE(SUM(CASE WHEN leave_type = 'loss_of_pay' THEN days ELSE 0 END), 0)::text as lop_days
-    FROM payroll.leave_requests
-    WHERE tenant_id = $1 
-      AND employee_id = $2
-      AND status = 'approved'
-      AND (
-        (EXTRACT(YEAR FROM start_date) = $3 AND EXTRACT(MONTH FROM start_date) = $4) OR
-        (EXTRACT(YEAR FROM end_date) = $3 AND EXTRACT(MONTH FROM end_date) = $4) OR
-        (start_date <= $5::date AND end_date >= $5::date)
-      )`,
-    [tenantId, employeeId, year, month, `${year}-${String(month).padStart(2, '0')}-01`]
-  );
-
-  // Get LOP days from attendance records (if using payroll schema)
-  const attendanceResult = await query(
-    `SELECT 
-      COUNT(*)::text as lop_days_from_attendance
-    FROM payroll.attendance_records
-    WHERE tenant_id = $1 
-      AND employee_id = $2
-      AND status = 'lop'
-      AND EXTRACT(YEAR FROM date) = $3
-      AND EXTRACT(MONTH FROM date) = $4`,
-    [tenantId, employeeId, year, month]
-  );
-
-  const leaveLopDays = Number(leaveResult.rows[0]?.lop_days || 0);
-  const attendanceLopDays = Number(attendanceResult.rows[0]?.lop_days_from_attendance || 0);
-  const lopDays = leaveLopDays + attendanceLopDays;
-  const paidDays = Math.max(0, totalWorkingDays - lopDays);
-
-  return { lopDays, paidDays, totalWorkingDays };
-}
-
 // Middleware to extract tenant and user info
 async function requireAuthWithTenant(req, res, next) {
   try {
@@ -281,16 +353,16 @@ router.get('/stats', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYRO
     );
     
     const cycles = cyclesQ.rows;
-    const activeCycles = cycles.filter(c => c.status === 'draft').length;
-    const pendingApprovals = cycles.filter(c => c.status === 'pending_approval').length;
-    const completedCycles = cycles.filter(c => c.status === 'completed').length;
+    const activeCycles = cycles.filter(c => c.status === 'draft' || c.status === 'computed').length;
+    const pendingApprovals = cycles.filter(c => c.status === 'submitted').length;
+    const completedCycles = cycles.filter(c => c.status === 'paid').length;
     
-    const lastCompleted = cycles.find(c => c.status === 'completed' || c.status === 'approved');
+    const lastCompleted = cycles.find(c => FINALIZED_CYCLE_STATUSES.includes(c.status));
     const monthlyPayroll = lastCompleted ? Number(lastCompleted.total_amount) : 0;
     
     const currentYear = new Date().getFullYear();
     const annualCycles = cycles.filter(c => 
-      (c.status === 'completed' || c.status === 'approved') && 
+      FINALIZED_CYCLE_STATUSES.includes(c.status) && 
       c.year === currentYear
     );
     const totalAnnualPayroll = annualCycles.reduce((sum, cycle) => sum + Number(cycle.total_amount || 0), 0);
@@ -330,23 +402,6 @@ router.get('/stats', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYRO
 router.get('/payroll-cycles', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_READ_TOTALS), async (req, res) => {
   try {
     const tenantId = req.tenantId;
-    const now = new Date();
-    const currentMonth = now.getMonth() + 1;
-    const currentYear = now.getFullYear();
-    
-    // Auto-update past cycles
-    await query(
-      `UPDATE payroll.payroll_cycles 
-       SET status = 'completed', updated_at = NOW()
-       WHERE tenant_id = $1 
-         AND status != 'completed' 
-         AND status != 'failed'
-         AND (
-           year < $2 OR 
-           (year = $2 AND month < $3)
-         )`,
-      [tenantId, currentYear, currentMonth]
-    );
     
     const rows = await query(
       `SELECT 
@@ -356,6 +411,19 @@ router.get('/payroll-cycles', requireAuthWithTenant, requireCapability(CAPABILIT
         pc.total_amount, 
         pc.status, 
         pc.created_at,
+        pc.run_type,
+        pc.run_reason,
+        pc.title,
+        pc.reopen_employee_ids,
+        (SELECT row_to_json(r) FROM (
+           SELECT rr.id, rr.reason, rr.employee_ids, rr.requested_by, rr.created_at
+           FROM payroll.payroll_cycle_reopen_requests rr
+           WHERE rr.payroll_cycle_id = pc.id AND rr.status = 'pending'
+         ) r) AS pending_reopen,
+        (SELECT COUNT(*)::int FROM payroll.payroll_exceptions x
+         WHERE x.payroll_cycle_id = pc.id AND x.status = 'open') AS open_exceptions,
+        (SELECT COUNT(*)::int FROM payroll.payroll_exceptions x
+         WHERE x.payroll_cycle_id = pc.id AND x.status = 'open' AND x.severity = 'blocking') AS blocking_exceptions,
         COALESCE(
           (SELECT COUNT(DISTINCT employee_id) 
            FROM payroll.payroll_items 
@@ -364,7 +432,7 @@ router.get('/payroll-cycles', requireAuthWithTenant, requireCapability(CAPABILIT
         ) as total_employees
       FROM payroll.payroll_cycles pc 
       WHERE pc.tenant_id = $1 
-      ORDER BY pc.year DESC, pc.month DESC`,
+      ORDER BY pc.year DESC, pc.month DESC, (pc.run_type = 'regular') DESC, pc.created_at DESC`,
       [tenantId]
     );
     
@@ -378,14 +446,24 @@ router.get('/payroll-cycles', requireAuthWithTenant, requireCapability(CAPABILIT
 router.post('/payroll-cycles', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
   try {
     const { month, year, payday, employeeCount, totalCompensation } = req.body;
+    const runType = req.body.run_type || 'regular';
+    const runReason = req.body.run_reason || null;
     if (!month || !year || !payday) {
       return res.status(400).json({ error: 'Month, year, and payday are required' });
     }
+    if (!PAYROLL_RUN_TYPES.includes(runType)) {
+      return res.status(400).json({ error: `run_type must be one of: ${PAYROLL_RUN_TYPES.join(', ')}` });
+    }
+    if (runType === 'off_cycle' && !OFF_CYCLE_REASONS[runReason]) {
+      return res.status(400).json({
+        error: `Off-cycle runs need a run_reason: ${Object.keys(OFF_CYCLE_REASONS).join(', ')}`,
+      });
+    }
     
     const { rows } = await query(
       `INSERT INTO payroll.payroll_cycles
-       (tenant_id, created_by, month, year, payday, status, total_employees, total_amount)
-       VALUES ($1, $2, $3, $4, $5, 'draft', $6, $7)
+       (tenant_id, created_by, month, year, payday, status, total_employees, total_amount, run_type, run_reason, title)
+       VALUES ($1, $2, $3, $4, $5, 'draft', $6, $7, $8, $9, $10)
        RETURNING *`,
       [
         req.tenantId,
@@ -393,8 +471,12 @@ router.post('/payroll-cycles', requireAuthWithTenant, requireCapability(CAPABILI
         parseInt(month, 10),
         parseInt(year, 10),
         payday,
-        employeeCount || 0,
-        totalCompensation || 0
+        // Off-cycle runs start empty; totals come from their earning lines
+        runType === 'regular' ? employeeCount || 0 : 0,
+        runType === 'regular' ? totalCompensation || 0 : 0,
+        runType,
+        runType === 'off_cycle' ? runReason : null,
+        req.body.title?.trim() || null,
       ]
     );
     
@@ -407,9 +489,13 @@ router.post('/payroll-cycles', requireAuthWithTenant, requireCapability(CAPABILI
       action: 'payroll_cycle_created',
       entityType: 'payroll_cycle',
       entityId: cycle.id,
-      details: { month, year, payday },
+      details: { month, year, payday, run_type: runType, run_reason: cycle.run_reason },
       ipAddress: req.ip,
     });
+
+    if (runType === 'off_cycle') {
+      return res.status(201).json({ payrollCycle: cycle });
+    }
     
     // Auto-process past cycles
     const now = new Date();
@@ -436,6 +522,14 @@ router.post('/payroll-cycles', requireAuthWithTenant, requireCapability(CAPABILI
 // EMPLOYEE SELF-SERVICE (Own Payslips)
 // ============================================================================
 
+// The locale to render each payslip's amounts in, from the employee's country
+function withPayslipLocale(rows, employeeCountry = null) {
+  return rows.map(row => ({
+    ...row,
+    locale: resolvePayrollCurrency({ country: employeeCountry ?? row.country }, { country: row.tenant_country }).locale,
+  }));
+}
+
 router.get('/payslips', requireAuthWithTenant, async (req, res) => {
   try {
     const tenantId = req.tenantId;
@@ -443,7 +537,7 @@ router.get('/payslips', requireAuthWithTenant, async (req, res) => {
     
     // Get employee ID
     const emp = await query(
-      'SELECT id, date_of_joining FROM payroll.employees WHERE tenant_id = $1 AND email = $2 LIMIT 1',
+      'SELECT id, date_of_joining, country FROM payroll.employees WHERE tenant_id = $1 AND email = $2 LIMIT 1',
       [tenantId, email]
     );
     
@@ -469,11 +563,16 @@ router.get('/payslips', requireAuthWithTenant, async (req, res) => {
         pi.*,
         pc.month,
         pc.year,
-        pc.status as cycle_status
+        pc.status as cycle_status,
+        pc.run_type,
+        pc.run_reason,
+        pc.title as run_title,
+        ps.country as tenant_country
       FROM payroll.payroll_items pi
       JOIN payroll.payroll_cycles pc ON pc.id = pi.payroll_cycle_id
+      LEFT JOIN payroll.payroll_settings ps ON ps.tenant_id = pi.tenant_id
       WHERE pi.employee_id = $1 AND pi.tenant_id = $2
-      ORDER BY pc.year DESC, pc.month DESC`,
+      ORDER BY pc.year DESC, pc.month DESC, pc.created_at DESC`,
       [employeeId, tenantId]
     );
     
@@ -488,7 +587,7 @@ router.get('/payslips', requireAuthWithTenant, async (req, res) => {
       ipAddress: req.ip,
     });
     
-    return res.json({ payslips: payslips.rows });
+    return res.json({ payslips: withPayslipLocale(payslips.rows, emp.rows[0].country) });
   } catch (error) {
     console.error('Error fetching payslips:', error);
     return res.status(500).json({ error: 'Failed to fetch payslips' });
@@ -569,7 +668,14 @@ router.post(
     try {
       const tenantId = req.tenantId;
       const email = req.userEmail;
-      const { leaveType, startDate, endDate, reason } = req.body || {};
+      const {
+        leaveType,
+        startDate,
+        endDate,
+        startSession = 'full',
+        endSession = 'full',
+        reason,
+      } = req.body || {};
 
       if (!leaveType || !startDate || !endDate) {
         return res.status(400).json({ error: 'leaveType, startDate, and endDate are required' });
@@ -586,8 +692,31 @@ router.post(
         return res.status(400).json({ error: 'Invalid leave date range' });
       }
 
-      const millisecondsPerDay = 1000 * 60 * 60 * 24;
-      const days = ((end.getTime() - start.getTime()) / millisecondsPerDay) + 1;
+      const lockError = await checkPeriodLock({ tenantId, startDate: start, endDate: end });
+      if (lockError) {
+        return res.status(409).json({ error: lockError });
+      }
+
+      // Holidays and weekly offs come from the linked HR employee's region and shifts
+      const hrEmployeeResult = await query(
+        `SELECT e.id, e.state, e.holiday_override
+         FROM employees e
+         JOIN profiles p ON p.id = e.user_id
+         WHERE e.tenant_id = $1 AND LOWER(p.email) = LOWER($2)
+         LIMIT 1`,
+        [tenantId, email]
+      );
+      const duration = await calculateLeaveDuration({
+        tenantId,
+        employee: hrEmployeeResult.rows[0] || {},
+        startDate,
+        endDate,
+        startSession,
+        endSession,
+      });
+      if (duration.error) {
+        return res.status(400).json({ error: duration.error });
+      }
 
       const insertResult = await query(
         `INSERT INTO payroll.leave_requests (
@@ -599,7 +728,10 @@ router.post(
           days,
           reason,
           status,
-          created_by
+          created_by,
+          start_session,
+          end_session,
+          day_breakdown
         ) VALUES (
           $1,
           $2,
@@ -609,10 +741,25 @@ router.post(
           $6,
           $7,
           'pending',
-          $8
+          $8,
+          $9,
+          $10,
+          $11::jsonb
         )
         RETURNING *`,
-        [tenantId, employeeId, leaveType, startDate, endDate, days, reason || null, req.userId]
+        [
+          tenantId,
+          employeeId,
+          leaveType,
+          startDate,
+          endDate,
+          duration.totalDays,
+          reason || null,
+          req.userId,
+          startSession,
+          endSession,
+          JSON.stringify(duration.breakdown),
+        ]
       );
 
       const leaveRequest = insertResult.rows[0];
@@ -624,6 +771,60 @@ router.post(
   }
 );
 
+// Employees withdraw pending leave or cancel approved leave that has not
+// started; leave in a locked payroll month stays, as its pay is processed
+router.post(
+  '/leave-requests/me/:leaveId/cancel',
+  requireAuthWithTenant,
+  requireCapability(CAPABILITIES.LEAVE_REQUEST_OWN),
+  async (req, res) => {
+    try {
+      const tenantId = req.tenantId;
+      const employeeId = await getPayrollEmployeeId(tenantId, req.userEmail);
+      if (!employeeId) {
+        return res.status(404).json({ error: 'Employee not found' });
+      }
+
+      const leaveResult = await query(
+        `SELECT id, status, start_date, end_date
+         FROM payroll.leave_requests
+         WHERE id = $1 AND tenant_id = $2 AND employee_id = $3`,
+        [req.params.leaveId, tenantId, employeeId]
+      );
+      const leave = leaveResult.rows[0];
+      if (!leave) {
+        return res.status(404).json({ error: 'Leave request not found' });
+      }
+      if (!['pending', 'approved'].includes(leave.status)) {
+        return res.status(400).json({ error: 'Only pending or approved leave can be cancelled' });
+      }
+      if (leave.status === 'approved' && toDateKey(leave.start_date) <= toDateKey(new Date())) {
+        return res.status(400).json({ error: 'Leave that has started cannot be cancelled' });
+      }
+
+      const lockError = await checkPeriodLock({ tenantId, startDate: leave.start_date, endDate: leave.end_date });
+      if (lockError) {
+        return res.status(409).json({ error: lockError });
+      }
+
+      const result = await query(
+        `UPDATE payroll.leave_requests
+         SET status = 'cancelled', updated_at = NOW()
+         WHERE id = $1 AND status = $2
+         RETURNING *`,
+        [leave.id, leave.status]
+      );
+      if (result.rows.length === 0) {
+        return res.status(409).json({ error: 'This leave request has just changed; reload and try again' });
+      }
+      return res.json({ leaveRequest: result.rows[0] });
+    } catch (error) {
+      console.error('Error cancelling leave request:', error);
+      return res.status(500).json({ error: 'Failed to cancel leave request' });
+    }
+  }
+);
+
 router.get(
   '/leave-summary/me',
   requireAuthWithTenant,
@@ -654,7 +855,8 @@ router.get(
 
       const firstDay = new Date(year, month - 1, 1);
       const lastDay = new Date(year, month, 0);
-      const totalWorkingDays = lastDay.getDate();
+      const { lopDays, paidDays, totalWorkingDays, prorationBasis, calendar } =
+        await calculateLopAndPaidDays(tenantId, employeeId, month, year);
 
       const leaveData = await query(
         `SELECT
@@ -669,20 +871,8 @@ router.get(
         [tenantId, employeeId, lastDay.toISOString().slice(0, 10), firstDay.toISOString().slice(0, 10)]
       );
 
-      const attendanceData = await query(
-        `SELECT
-           COALESCE(SUM(CASE WHEN is_lop THEN 1 ELSE 0 END), 0)::numeric AS lop_days
-         FROM payroll.attendance_records
-         WHERE tenant_id = $1
-           AND employee_id = $2
-           AND attendance_date BETWEEN $3 AND $4`,
-        [tenantId, employeeId, firstDay.toISOString().slice(0, 10), lastDay.toISOString().slice(0, 10)]
-      );
-
-      const lopDays = Number(leaveData.rows[0]?.lop_leave_days || 0) + Number(attendanceData.rows[0]?.lop_days || 0);
       const paidLeaveDays = Number(leaveData.rows[0]?.paid_leave_days || 0);
       const totalLeaveDays = Number(leaveData.rows[0]?.total_leave_days || 0);
-      const paidDays = Math.max(0, totalWorkingDays - lopDays);
 
       return res.json({
         month,
@@ -692,6 +882,8 @@ router.get(
         paidDays,
         paidLeaveDays,
         totalLeaveDays,
+        prorationBasis,
+        calendar,
       });
     } catch (error) {
       console.error('Error fetching leave summary:', error);
@@ -845,10 +1037,16 @@ router.get('/payroll-cycles/:cycleId/payslips', requireAuthWithTenant, requireCa
         e.department,
         pc.month,
         pc.year,
-        pc.status as cycle_status
+        pc.status as cycle_status,
+        pc.run_type,
+        pc.run_reason,
+        pc.title as run_title,
+        e.country,
+        ps.country as tenant_country
       FROM payroll.payroll_items pi
       JOIN payroll.employees e ON pi.employee_id = e.id
       JOIN payroll.payroll_cycles pc ON pi.payroll_cycle_id = pc.id
+      LEFT JOIN payroll.payroll_settings ps ON ps.tenant_id = pi.tenant_id
       WHERE pi.payroll_cycle_id = $1 
         AND pi.tenant_id = $2
       ORDER BY e.full_name ASC`,
@@ -866,59 +1064,65 @@ router.get('/payroll-cycles/:cycleId/payslips', requireAuthWithTenant, requireCa
       ipAddress: req.ip,
     });
     
-    return res.json({ payslips: payslipsResult.rows });
+    return res.json({ payslips: withPayslipLocale(payslipsResult.rows) });
   } catch (error) {
     console.error('Error fetching payslips for cycle:', error);
     return res.status(500).json({ error: 'Failed to fetch payslips' });
   }
 });
 
-router.post('/payroll-cycles/:cycleId/process', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+// Load a cycle and check that the lifecycle allows the action from its status
+async function getCycleForAction(tenantId, cycleId, action) {
+  const result = await query(
+    'SELECT * FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
+    [cycleId, tenantId]
+  );
+  const cycle = result.rows[0];
+  if (!cycle) return { status: 404, error: 'Payroll cycle not found' };
+  const transitionError = checkTransition(cycle, action);
+  if (transitionError) return { status: 400, error: transitionError };
+  return { cycle };
+}
+
+// Compute and persist the payroll items. A reopened cycle recomputes only
+// the employees named in its reopen request.
+router.post('/payroll-cycles/:cycleId/compute', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
   try {
     const { cycleId } = req.params;
     const tenantId = req.tenantId;
     
-    // Get cycle
-    const cycleResult = await query(
-      'SELECT * FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
-      [cycleId, tenantId]
-    );
-    
-    if (cycleResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Payroll cycle not found' });
+    const { cycle, status, error } = await getCycleForAction(tenantId, cycleId, 'compute');
+    if (error) {
+      return res.status(status).json({ error });
     }
     
-    const cycle = cycleResult.rows[0];
-    
-    if (cycle.status !== 'approved') {
-      return res.status(400).json({ 
-        error: `Cannot process payroll. Current status is '${cycle.status}'. Only 'approved' payroll can be processed.` 
-      });
-    }
+    const employeeIds = cycle.reopen_employee_ids?.length ? cycle.reopen_employee_ids : null;
+    const payrollItems = await computeCyclePayroll(tenantId, cycle, { employeeIds });
+    const totals = await persistPayrollItems(tenantId, cycleId, payrollItems, { employeeIds });
+    const detected = await detectCycleExceptions(tenantId, cycle, payrollItems, { employeeIds });
+    const exceptions = summarizeExceptions(await syncCycleExceptions(tenantId, cycleId, detected, { employeeIds }));
     
-    // Process payroll (simplified - full logic would calculate all items)
     await query(
       `UPDATE payroll.payroll_cycles
-       SET status = 'processing', updated_at = NOW()
+       SET status = 'computed', computed_at = NOW(), updated_at = NOW()
        WHERE id = $1 AND tenant_id = $2`,
       [cycleId, tenantId]
     );
     
-    // Audit log
     await auditPayroll({
       actorId: req.userId,
       tenantId,
-      action: 'payroll_cycle_processed',
+      action: 'payroll_cycle_computed',
       entityType: 'payroll_cycle',
       entityId: cycleId,
-      details: { month: cycle.month, year: cycle.year },
+      details: { month: cycle.month, year: cycle.year, employeeIds, ...totals, exceptions },
       ipAddress: req.ip,
     });
     
-    return res.json({ success: true, message: 'Payroll processing started' });
+    return res.json({ success: true, message: 'Payroll computed', ...totals, exceptions });
   } catch (error) {
-    console.error('Error processing payroll:', error);
-    return res.status(500).json({ error: 'Failed to process payroll' });
+    console.error('Error computing payroll:', error);
+    return res.status(500).json({ error: 'Failed to compute payroll' });
   }
 });
 
@@ -933,7 +1137,7 @@ router.get('/payroll-settings', requireAuthWithTenant, requireCapability(CAPABIL
       [req.tenantId]
     );
     
-    return res.json({ settings: rows[0] || null });
+    return res.json({ settings: rows[0] || null, countries: COUNTRIES, currencies: CURRENCIES });
   } catch (error) {
     console.error('Error fetching payroll settings:', error);
     return res.status(500).json({ error: 'Failed to fetch settings' });
@@ -943,12 +1147,25 @@ router.get('/payroll-settings', requireAuthWithTenant, requireCapability(CAPABIL
 router.post('/payroll-settings', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
   try {
     const settings = req.body;
+    const prorationBasis = settings.proration_basis || 'calendar_days';
+
+    if (!PRORATION_BASES.includes(prorationBasis)) {
+      return res.status(400).json({ error: `proration_basis must be one of: ${PRORATION_BASES.join(', ')}` });
+    }
+    const currencyError = validateCountryAndCurrency(settings);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+    const country = settings.country || 'IN';
+    const currency = settings.currency || COUNTRIES[country].currency;
     
     const { rows } = await query(
       `INSERT INTO payroll.payroll_settings (
         tenant_id, pf_rate, esi_rate, pt_rate, tds_threshold,
-        basic_salary_percentage, hra_percentage, special_allowance_percentage
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        basic_salary_percentage, hra_percentage, special_allowance_percentage,
+        proration_basis, pf_wage_ceiling, restrict_pf_to_ceiling, eps_rate,
+        esi_employee_rate, esi_gross_limit, country, currency
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
       ON CONFLICT (tenant_id) DO UPDATE SET
         pf_rate = EXCLUDED.pf_rate,
         esi_rate = EXCLUDED.esi_rate,
@@ -957,6 +1174,14 @@ router.post('/payroll-settings', requireAuthWithTenant, requireCapability(CAPABI
         basic_salary_percentage = EXCLUDED.basic_salary_percentage,
         hra_percentage = EXCLUDED.hra_percentage,
         special_allowance_percentage = EXCLUDED.special_allowance_percentage,
+        proration_basis = EXCLUDED.proration_basis,
+        pf_wage_ceiling = EXCLUDED.pf_wage_ceiling,
+        restrict_pf_to_ceiling = EXCLUDED.restrict_pf_to_ceiling,
+        eps_rate = EXCLUDED.eps_rate,
+        esi_employee_rate = EXCLUDED.esi_employee_rate,
+        esi_gross_limit = EXCLUDED.esi_gross_limit,
+        country = EXCLUDED.country,
+        currency = EXCLUDED.currency,
         updated_at = NOW()
       RETURNING *`,
       [
@@ -968,6 +1193,14 @@ router.post('/payroll-settings', requireAuthWithTenant, requireCapability(CAPABI
         settings.basic_salary_percentage || 40.0,
         settings.hra_percentage || 40.0,
         settings.special_allowance_percentage || 20.0,
+        prorationBasis,
+        settings.pf_wage_ceiling || 15000.0,
+        settings.restrict_pf_to_ceiling !== false,
+        settings.eps_rate || 8.33,
+        settings.esi_employee_rate || 0.75,
+        settings.esi_gross_limit || 21000.0,
+        country,
+        currency,
       ]
     );
     
@@ -978,10 +1211,113 @@ router.post('/payroll-settings', requireAuthWithTenant, requireCapability(CAPABI
   }
 });
 
+// ============================================================================
+// WORKING CALENDAR
+// ============================================================================
+
+router.get('/working-calendar/weekly-offs', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { rows } = await query(
+      `SELECT id, shift_type, weekly_offs, updated_at
+       FROM payroll.weekly_off_patterns
+       WHERE tenant_id = $1
+       ORDER BY shift_type NULLS FIRST`,
+      [req.tenantId]
+    );
+
+    return res.json({ patterns: rows });
+  } catch (error) {
+    console.error('Error fetching weekly off patterns:', error);
+    return res.status(500).json({ error: 'Failed to fetch weekly off patterns' });
+  }
+});
+
+router.post('/working-calendar/weekly-offs', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { shift_type, weekly_offs } = req.body;
+    const shiftType = shift_type ? String(shift_type).trim() : null;
+
+    const validationError = validateWeeklyOffs(weekly_offs);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await query(
+      `SELECT id FROM payroll.weekly_off_patterns
+       WHERE tenant_id = $1 AND COALESCE(shift_type, '') = COALESCE($2, '')`,
+      [req.tenantId, shiftType]
+    );
+
+    const { rows } = existing.rows.length > 0
+      ? await query(
+        `UPDATE payroll.weekly_off_patterns
+         SET weekly_offs = $1::jsonb, updated_at = NOW()
+         WHERE id = $2
+         RETURNING *`,
+        [JSON.stringify(weekly_offs), existing.rows[0].id]
+      )
+      : await query(
+        `INSERT INTO payroll.weekly_off_patterns (tenant_id, shift_type, weekly_offs, created_by)
+         VALUES ($1, $2, $3::jsonb, $4)
+         RETURNING *`,
+        [req.tenantId, shiftType, JSON.stringify(weekly_offs), req.userId]
+      );
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_weekly_offs_updated',
+      entityType: 'weekly_off_pattern',
+      entityId: rows[0].id,
+      details: { shift_type: shiftType, weekly_offs },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ pattern: rows[0] });
+  } catch (error) {
+    console.error('Error saving weekly off pattern:', error);
+    return res.status(500).json({ error: 'Failed to save weekly off pattern' });
+  }
+});
+
+router.get('/working-calendar/employees/:employeeId', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const now = new Date();
+    const month = req.query.month ? parseInt(req.query.month.toString(), 10) : now.getMonth() + 1;
+    const year = req.query.year ? parseInt(req.query.year.toString(), 10) : now.getFullYear();
+
+    if (!month || month < 1 || month > 12 || !year) {
+      return res.status(400).json({ error: 'Invalid month or year' });
+    }
+
+    const employeeCheck = await query(
+      'SELECT id FROM payroll.employees WHERE id = $1 AND tenant_id = $2',
+      [req.params.employeeId, req.tenantId]
+    );
+    if (employeeCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const calendar = await getEmployeeWorkingCalendar({
+      tenantId: req.tenantId,
+      employeeId: req.params.employeeId,
+      month,
+      year,
+    });
+    const prorationBasis = await getProrationBasis(req.tenantId);
+
+    return res.json({ calendar, prorationBasis, ...resolveProrationDays(calendar, prorationBasis) });
+  } catch (error) {
+    console.error('Error building working calendar:', error);
+    return res.status(500).json({ error: 'Failed to build working calendar' });
+  }
+});
+
 // ============================================================================
 // REPORTS
 // ============================================================================
 
+// "Regular" for monthly cycles; off-cycle runs show their reason and title
 router.get('/reports/payroll-register', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
   try {
     const { cycleId } = req.query;
@@ -991,7 +1327,7 @@ router.get('/reports/payroll-register', requireAuthWithTenant, requireCapability
     
     // Verify cycle
     const cycleCheck = await query(
-      'SELECT month, year FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
+      'SELECT month, year, run_type, run_reason, title FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
       [cycleId, req.tenantId]
     );
     
@@ -1001,6 +1337,7 @@ router.get('/reports/payroll-register', requireAuthWithTenant, requireCapability
     
     const cycle = cycleCheck.rows[0];
     const monthName = new Date(2000, cycle.month - 1).toLocaleString('en-IN', { month: 'long' });
+    const runLabel = formatRunLabel(cycle);
     
     // Fetch payroll items - HR only, so full data is OK
     const payrollItems = await query(
@@ -1012,13 +1349,19 @@ router.get('/reports/payroll-register', requireAuthWithTenant, requireCapability
         pi.basic_salary,
         pi.hra,
         pi.special_allowance,
+        pi.components,
+        pi.arrears_amount,
+        pi.arrears,
         pi.gross_salary,
         pi.pf_deduction,
         pi.esi_deduction,
         pi.tds_deduction,
         pi.pt_deduction,
+        pi.loan_recovery,
         pi.deductions,
+        pi.reimbursement_amount,
         pi.net_salary,
+        pi.currency,
         pi.lop_days,
         pi.paid_days,
         pi.total_working_days
@@ -1036,10 +1379,10 @@ router.get('/reports/payroll-register', requireAuthWithTenant, requireCapability
     
     // Generate CSV
     const headers = [
-      'Employee Code', 'Employee Name', 'PAN Number', 'Bank Account Number',
-      'Basic Salary', 'HRA', 'Special Allowance', 'Gross Salary',
-      'PF Deduction', 'ESI Deduction', 'TDS Deduction', 'PT Deduction',
-      'Total Deductions', 'Net Salary', 'LOP Days', 'Paid Days', 'Total Working Days'
+      'Run', 'Employee Code', 'Employee Name', 'PAN Number', 'Bank Account Number',
+      'Basic Salary', 'HRA', 'Special Allowance', 'Ad-hoc Earnings', 'Arrears', 'Arrears Period', 'Gross Salary',
+      'PF Deduction', 'ESI Deduction', 'TDS Deduction', 'PT Deduction', 'Loan Recovery',
+      'Total Deductions', 'Reimbursements', 'Net Salary', 'Currency', 'LOP Days', 'Paid Days', 'Total Working Days'
     ];
     
     const escapeCSV = (value) => {
@@ -1051,29 +1394,47 @@ router.get('/reports/payroll-register', requireAuthWithTenant, requireCapability
       return str;
     };
     
-    const formatCurrency = (amount) => {
-      if (amount === null || amount === undefined) return '0.00';
-      return Number(amount).toFixed(2);
+    // Amounts carry as many decimals as the item's currency has minor units
+    const formatCurrency = (amount, currency) => {
+      const digits = CURRENCIES[currency]?.minorUnits ?? 2;
+      if (amount === null || amount === undefined) return (0).toFixed(digits);
+      return Number(amount).toFixed(digits);
     };
     
+    const formatArrearsPeriod = (arrears) => (arrears || [])
+      .map(entry => new Date(entry.year, entry.month - 1).toLocaleString('en-IN', { month: 'short', year: 'numeric' }))
+      .join('; ');
+
+    // Off-cycle runs pay only ad-hoc earning lines
+    const formatAdhocEarnings = (components) => cycle.run_type === 'off_cycle'
+      ? (components || []).map(c => `${c.name}: ${Number(c.amount).toFixed(2)}`).join('; ')
+      : '';
+    
     const csvRows = [headers.map(escapeCSV).join(',')];
     
     for (const row of payrollItems.rows) {
       const csvRow = [
+        escapeCSV(runLabel),
         escapeCSV(row.employee_code || ''),
         escapeCSV(row.full_name || ''),
         escapeCSV(row.pan_number || ''),
         escapeCSV(row.bank_account_number || ''),
-        formatCurrency(row.basic_salary),
-        formatCurrency(row.hra),
-        formatCurrency(row.special_allowance),
-        formatCurrency(row.gross_salary),
-        formatCurrency(row.pf_deduction),
-        formatCurrency(row.esi_deduction),
-        formatCurrency(row.tds_deduction),
-        formatCurrency(row.pt_deduction),
-        formatCurrency(row.deductions),
-        formatCurrency(row.net_salary),
+        formatCurrency(row.basic_salary, row.currency),
+        formatCurrency(row.hra, row.currency),
+        formatCurrency(row.special_allowance, row.currency),
+        escapeCSV(formatAdhocEarnings(row.components)),
+        formatCurrency(row.arrears_amount, row.currency),
+        escapeCSV(formatArrearsPeriod(row.arrears)),
+        formatCurrency(row.gross_salary, row.currency),
+        formatCurrency(row.pf_deduction, row.currency),
+        formatCurrency(row.esi_deduction, row.currency),
+        formatCurrency(row.tds_deduction, row.currency),
+        formatCurrency(row.pt_deduction, row.currency),
+        formatCurrency(row.loan_recovery, row.currency),
+        formatCurrency(row.deductions, row.currency),
+        formatCurrency(row.reimbursement_amount, row.currency),
+        formatCurrency(row.net_salary, row.currency),
+        escapeCSV(row.currency),
         escapeCSV(row.lop_days || 0),
         escapeCSV(row.paid_days || 0),
         escapeCSV(row.total_working_days || 0)
@@ -1086,7 +1447,7 @@ router.get('/reports/payroll-register', requireAuthWithTenant, requireCapability
     res.setHeader('Content-Type', 'text/csv; charset=utf-8');
     res.setHeader(
       'Content-Disposition',
-      `attachment; filename="payroll-register-${monthName}-${cycle.year}.csv"`
+      `attachment; filename="payroll-register-${monthName}-${cycle.year}${runFileSuffix(cycle)}.csv"`
     );
     
     res.send(csvContent);
@@ -1096,6 +1457,223 @@ router.get('/reports/payroll-register', requireAuthWithTenant, requireCapability
   }
 });
 
+// Statutory filings are built from the processed payroll items of a cycle
+async function getStatutoryReportData(cycleId, tenantId) {
+  const cycleResult = await query(
+    'SELECT id, month, year FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
+    [cycleId, tenantId]
+  );
+  const cycle = cycleResult.rows[0];
+  if (!cycle) return { cycle: null, rows: [] };
+
+  const itemsResult = await query(
+    `SELECT
+      e.employee_code,
+      e.full_name,
+      e.uan_number,
+      e.esic_ip_number,
+      e.date_of_exit,
+      pi.*
+    FROM payroll.payroll_items pi
+    JOIN payroll.employees e ON pi.employee_id = e.id
+    WHERE pi.payroll_cycle_id = $1
+      AND pi.tenant_id = $2
+    ORDER BY e.employee_code ASC`,
+    [cycleId, tenantId]
+  );
+
+  const monthName = new Date(2000, cycle.month - 1).toLocaleString('en-IN', { month: 'long' });
+  return { cycle: { ...cycle, monthName }, rows: itemsResult.rows };
+}
+
+router.get('/reports/pf-ecr', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycleId, format } = req.query;
+    if (!cycleId) {
+      return res.status(400).json({ error: 'cycleId query parameter is required' });
+    }
+
+    const { cycle, rows } = await getStatutoryReportData(cycleId, req.tenantId);
+    if (!cycle) {
+      return res.status(404).json({ error: 'Payroll cycle not found' });
+    }
+
+    const members = rows.filter(row => Number(row.pf_deduction) > 0);
+    if (members.length === 0) {
+      return res.status(404).json({ error: 'No PF contributions found for this cycle' });
+    }
+
+    const missingUan = members.filter(row => !row.uan_number).map(row => row.employee_code);
+    if (format === 'json') {
+      return res.json({ summary: summarizeEcr(members), missingUan, members });
+    }
+    if (missingUan.length > 0) {
+      return res.status(400).json({
+        error: `UAN is missing for ${missingUan.length} employee(s)`,
+        missingUan,
+      });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_statutory_report_generated',
+      entityType: 'payroll_cycle',
+      entityId: cycleId,
+      details: { report: 'pf_ecr', members: members.length },
+      ipAddress: req.ip,
+    });
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="pf-ecr-${cycle.monthName}-${cycle.year}.txt"`
+    );
+    return res.send(buildEcrFile(members));
+  } catch (error) {
+    console.error('Error generating PF ECR:', error);
+    return res.status(500).json({ error: 'Failed to generate PF ECR file' });
+  }
+});
+
+router.get('/reports/esi-contribution', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycleId, format } = req.query;
+    if (!cycleId) {
+      return res.status(400).json({ error: 'cycleId query parameter is required' });
+    }
+
+    const { cycle, rows } = await getStatutoryReportData(cycleId, req.tenantId);
+    if (!cycle) {
+      return res.status(404).json({ error: 'Payroll cycle not found' });
+    }
+
+    const members = rows.filter(row => Number(row.esi_wages) > 0);
+    if (members.length === 0) {
+      return res.status(404).json({ error: 'No ESI contributions found for this cycle' });
+    }
+
+    const missingIpNumber = members.filter(row => !row.esic_ip_number).map(row => row.employee_code);
+    if (format === 'json') {
+      return res.json({ summary: summarizeEsi(members), missingIpNumber, members });
+    }
+    if (missingIpNumber.length > 0) {
+      return res.status(400).json({
+        error: `ESIC IP number is missing for ${missingIpNumber.length} employee(s)`,
+        missingIpNumber,
+      });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_statutory_report_generated',
+      entityType: 'payroll_cycle',
+      entityId: cycleId,
+      details: { report: 'esi_contribution', members: members.length },
+      ipAddress: req.ip,
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="esi-contribution-${cycle.monthName}-${cycle.year}.csv"`
+    );
+    return res.send(buildEsicFile(members));
+  } catch (error) {
+    console.error('Error generating ESI contribution file:', error);
+    return res.status(500).json({ error: 'Failed to generate ESI contribution file' });
+  }
+});
+
+router.get('/reports/professional-tax', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycleId, format } = req.query;
+    if (!cycleId) {
+      return res.status(400).json({ error: 'cycleId query parameter is required' });
+    }
+
+    const { cycle, rows } = await getStatutoryReportData(cycleId, req.tenantId);
+    if (!cycle) {
+      return res.status(404).json({ error: 'Payroll cycle not found' });
+    }
+
+    const deductees = rows.filter(row => Number(row.pt_deduction) > 0);
+    if (deductees.length === 0) {
+      return res.status(404).json({ error: 'No professional tax deductions found for this cycle' });
+    }
+
+    const states = summarizeProfessionalTax(deductees);
+    if (format === 'json') {
+      return res.json({ states });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_statutory_report_generated',
+      entityType: 'payroll_cycle',
+      entityId: cycleId,
+      details: { report: 'professional_tax', states: states.length },
+      ipAddress: req.ip,
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="professional-tax-${cycle.monthName}-${cycle.year}.csv"`
+    );
+    return res.send(buildProfessionalTaxFile(states));
+  } catch (error) {
+    console.error('Error generating professional tax summary:', error);
+    return res.status(500).json({ error: 'Failed to generate professional tax summary' });
+  }
+});
+
+// Month-end gratuity and leave encashment provisions with the movement since
+// the previous month end; format=csv|xlsx downloads the report
+router.get('/reports/liabilities', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const month = Number(req.query.month);
+    const year = Number(req.query.year);
+    const { format = 'json' } = req.query;
+    if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year) || year < 2000) {
+      return res.status(400).json({ error: 'month (1-12) and year query parameters are required' });
+    }
+    if (!['json', 'csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json, csv or xlsx' });
+    }
+
+    const report = await getLiabilityReport({ tenantId: req.tenantId, month, year });
+    if (format === 'json') {
+      return res.json({ report });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_liability_report_generated',
+      entityType: 'liability_report',
+      entityId: null,
+      details: { month, year, format, employees: report.totals.employees, total: report.totals.total },
+      ipAddress: req.ip,
+    });
+
+    const monthName = new Date(2000, month - 1).toLocaleString('en-IN', { month: 'long' });
+    const filename = `liability-provisions-${monthName}-${year}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return res.send(buildLiabilityWorkbook(report));
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    return res.send(buildLiabilityCsv(report));
+  } catch (error) {
+    console.error('Error generating liability report:', error);
+    return res.status(500).json({ error: 'Failed to generate liability report' });
+  }
+});
+
 // ============================================================================
 // EMPLOYEE MANAGEMENT
 // ============================================================================
@@ -1113,40 +1691,110 @@ router.get('/employees/me', requireAuthWithTenant, async (req, res) => {
   }
 });
 
-router.post('/employees', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+// Rent and city for the HRA exemption; a new effective date records a rent change or move
+router.get('/employees/me/rent', requireAuthWithTenant, async (req, res) => {
   try {
-    const {
-      employee_code,
-      full_name,
-      email,
-      phone,
-      date_of_joining,
-      date_of_birth,
-      department,
-      designation,
-      pan_number,
-      aadhaar_number,
-      bank_account_number,
-      bank_ifsc,
-      bank_name,
-    } = req.body;
-    
-    if (!employee_code || !full_name || !email || !date_of_joining) {
+    const employeeId = await getPayrollEmployeeId(req.tenantId, req.userEmail);
+    if (!employeeId) {
+      return res.json({ rentDetails: [] });
+    }
+    return res.json({ rentDetails: await getRentHistory(req.tenantId, employeeId) });
+  } catch (error) {
+    console.error('Error fetching rent details:', error);
+    return res.status(500).json({ error: 'Failed to fetch rent details' });
+  }
+});
+
+router.put('/employees/me/rent', requireAuthWithTenant, async (req, res) => {
+  try {
+    const { effective_from, monthly_rent, is_metro, city } = req.body;
+    const validationError = validateRentDetails({ effective_from, monthly_rent, is_metro });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const employeeId = await getPayrollEmployeeId(req.tenantId, req.userEmail);
+    if (!employeeId) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const { rows } = await query(
+      `INSERT INTO payroll.employee_rent_details (
+         tenant_id, employee_id, effective_from, monthly_rent, is_metro, city, created_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (employee_id, effective_from) DO UPDATE SET
+         monthly_rent = EXCLUDED.monthly_rent,
+         is_metro = EXCLUDED.is_metro,
+         city = EXCLUDED.city,
+         updated_at = NOW()
+       RETURNING id, effective_from, monthly_rent, is_metro, city, created_at`,
+      [req.tenantId, employeeId, effective_from, monthly_rent, is_metro === true, city?.trim() || null, req.userId]
+    );
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_rent_details_updated',
+      entityType: 'employee',
+      entityId: employeeId,
+      details: { effective_from, monthly_rent: Number(monthly_rent), is_metro: is_metro === true, city: city || null },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ rentDetails: rows[0] });
+  } catch (error) {
+    console.error('Error saving rent details:', error);
+    return res.status(500).json({ error: 'Failed to save rent details' });
+  }
+});
+
+router.post('/employees', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const {
+      employee_code,
+      full_name,
+      email,
+      phone,
+      date_of_joining,
+      date_of_birth,
+      department,
+      designation,
+      pan_number,
+      aadhaar_number,
+      bank_account_number,
+      bank_ifsc,
+      bank_name,
+      uan_number,
+      esic_ip_number,
+      work_state,
+      cost_center,
+      country,
+      currency,
+    } = req.body;
+    
+    if (!employee_code || !full_name || !email || !date_of_joining) {
       return res.status(400).json({ error: 'employee_code, full_name, email, and date_of_joining are required' });
     }
+    const currencyError = validateCountryAndCurrency({ country, currency });
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
     
     const { rows } = await query(
       `INSERT INTO payroll.employees (
         tenant_id, employee_code, full_name, email, phone,
         date_of_joining, date_of_birth, department, designation,
         pan_number, aadhaar_number, bank_account_number, bank_ifsc, bank_name,
+        uan_number, esic_ip_number, work_state, cost_center, country, currency,
         created_by, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, 'active')
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, 'active')
       RETURNING *`,
       [
         req.tenantId, employee_code, full_name, email, phone,
         date_of_joining, date_of_birth, department, designation,
         pan_number, aadhaar_number, bank_account_number, bank_ifsc, bank_name,
+        uan_number || null, esic_ip_number || null, work_state || null, cost_center || null,
+        country || null, currency || null,
         req.userId
       ]
     );
@@ -1243,12 +1891,21 @@ router.post('/employees/:employeeId/compensation', requireAuthWithTenant, requir
       bonus,
       pf_contribution,
       esi_contribution,
+      pay_as_arrears,
     } = req.body;
     
     if (!effective_from || !ctc) {
       return res.status(400).json({ error: 'effective_from and ctc are required' });
     }
     
+    // A revision reaching back into a locked month leaves that month's
+    // payroll untouched; the difference is only paid as arrears when HR
+    // asks for it explicitly
+    const lockError = await checkPeriodLock({ tenantId: req.tenantId, startDate: effective_from, endDate: '9999-12-31' });
+    if (lockError && pay_as_arrears !== true) {
+      return res.status(409).json({ error: lockError, locked: true });
+    }
+    
     const { rows } = await query(
       `INSERT INTO payroll.compensation_structures (
         tenant_id, employee_id, effective_from, ctc,
@@ -1263,13 +1920,346 @@ router.post('/employees/:employeeId/compensation', requireAuthWithTenant, requir
       ]
     );
     
-    return res.status(201).json({ compensation: rows[0] });
+    // Already-processed months from the effective date onwards are settled
+    // as arrears in the next processed cycle
+    const arrearsMonths = await query(
+      `SELECT DISTINCT pc.month, pc.year
+       FROM payroll.payroll_items pi
+       JOIN payroll.payroll_cycles pc ON pc.id = pi.payroll_cycle_id
+       WHERE pi.tenant_id = $1
+         AND pi.employee_id = $2
+         AND pc.status = ANY($4::text[])
+         AND make_date(pc.year, pc.month, 1) + INTERVAL '1 month' > $3::date
+       ORDER BY pc.year, pc.month`,
+      [req.tenantId, employeeId, effective_from, FINALIZED_CYCLE_STATUSES]
+    );
+    
+    if (lockError) {
+      await auditPayroll({
+        actorId: req.userId,
+        tenantId: req.tenantId,
+        action: 'payroll_locked_compensation_revised',
+        entityType: 'compensation_structure',
+        entityId: rows[0].id,
+        details: { employeeId, effective_from, arrearsMonths: arrearsMonths.rows },
+        ipAddress: req.ip,
+      });
+    }
+    
+    return res.status(201).json({ compensation: rows[0], arrearsMonths: arrearsMonths.rows });
   } catch (error) {
     console.error('Error creating compensation:', error);
     return res.status(500).json({ error: 'Failed to create compensation' });
   }
 });
 
+// ============================================================================
+// SALARY STRUCTURE TEMPLATES & GRADES
+// ============================================================================
+
+async function replaceTemplateComponents(client, templateId, components) {
+  await client.query('DELETE FROM payroll.salary_structure_components WHERE template_id = $1', [templateId]);
+  for (const [index, component] of components.entries()) {
+    await client.query(
+      `INSERT INTO payroll.salary_structure_components (
+        template_id, code, name, component_type, calculation_type,
+        amount, percentage, percentage_of, formula, is_taxable, prorate, sort_order
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        templateId,
+        normalizeCode(component.code),
+        component.name,
+        component.component_type,
+        component.calculation_type,
+        component.calculation_type === 'fixed' ? Number(component.amount) : null,
+        component.calculation_type === 'percentage' ? Number(component.percentage) : null,
+        component.calculation_type === 'percentage' ? normalizeCode(component.percentage_of || 'CTC') : null,
+        component.calculation_type === 'formula' ? component.formula : null,
+        component.is_taxable !== false,
+        component.prorate !== false,
+        component.sort_order ?? index,
+      ]
+    );
+  }
+}
+
+router.get('/salary-structures', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const templates = await query(
+      `SELECT t.*,
+        (SELECT COUNT(*)::int FROM payroll.grades g WHERE g.salary_structure_template_id = t.id) AS grade_count
+       FROM payroll.salary_structure_templates t
+       WHERE t.tenant_id = $1
+       ORDER BY t.name ASC`,
+      [req.tenantId]
+    );
+
+    const salaryStructures = [];
+    for (const template of templates.rows) {
+      salaryStructures.push({ ...template, components: await getTemplateComponents(template.id) });
+    }
+
+    return res.json({ salaryStructures });
+  } catch (error) {
+    console.error('Error fetching salary structures:', error);
+    return res.status(500).json({ error: 'Failed to fetch salary structures' });
+  }
+});
+
+router.post('/salary-structures', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { name, description, components } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const validationError = validateComponents(components);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const template = await withClient(async (client) => {
+      await client.query('BEGIN');
+      try {
+        const { rows } = await client.query(
+          `INSERT INTO payroll.salary_structure_templates (tenant_id, name, description, created_by, updated_by)
+           VALUES ($1, $2, $3, $4, $4)
+           RETURNING *`,
+          [req.tenantId, name, description || null, req.userId]
+        );
+        await replaceTemplateComponents(client, rows[0].id, components);
+        await client.query('COMMIT');
+        return rows[0];
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+      }
+    });
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_salary_structure_created',
+      entityType: 'salary_structure_template',
+      entityId: template.id,
+      details: { name, components: components.length },
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({
+      salaryStructure: { ...template, components: await getTemplateComponents(template.id) },
+    });
+  } catch (e) {
+    if (e.code === '23505') {
+      return res.status(409).json({ error: 'A salary structure with this name already exists.' });
+    }
+    console.error('Error creating salary structure:', e);
+    return res.status(500).json({ error: 'Failed to create salary structure' });
+  }
+});
+
+router.put('/salary-structures/:templateId', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { name, description, is_active, components } = req.body;
+
+    if (components !== undefined) {
+      const validationError = validateComponents(components);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    const template = await withClient(async (client) => {
+      await client.query('BEGIN');
+      try {
+        const { rows } = await client.query(
+          `UPDATE payroll.salary_structure_templates
+           SET name = COALESCE($1, name),
+               description = COALESCE($2, description),
+               is_active = COALESCE($3, is_active),
+               updated_by = $4,
+               updated_at = NOW()
+           WHERE id = $5 AND tenant_id = $6
+           RETURNING *`,
+          [name || null, description ?? null, typeof is_active === 'boolean' ? is_active : null, req.userId, templateId, req.tenantId]
+        );
+        if (rows.length > 0 && components !== undefined) {
+          await replaceTemplateComponents(client, templateId, components);
+        }
+        await client.query('COMMIT');
+        return rows[0] || null;
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+      }
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Salary structure not found' });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_salary_structure_updated',
+      entityType: 'salary_structure_template',
+      entityId: templateId,
+      details: { name: template.name, is_active: template.is_active, components: components?.length },
+      ipAddress: req.ip,
+    });
+
+    return res.json({
+      salaryStructure: { ...template, components: await getTemplateComponents(templateId) },
+    });
+  } catch (e) {
+    if (e.code === '23505') {
+      return res.status(409).json({ error: 'A salary structure with this name already exists.' });
+    }
+    console.error('Error updating salary structure:', e);
+    return res.status(500).json({ error: 'Failed to update salary structure' });
+  }
+});
+
+// Evaluate a template (saved or unsaved) for a sample CTC
+router.post('/salary-structures/evaluate', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { template_id, components: draftComponents, ctc } = req.body;
+    if (!ctc || Number(ctc) <= 0) {
+      return res.status(400).json({ error: 'A positive annual ctc is required' });
+    }
+
+    let components = draftComponents;
+    if (template_id) {
+      const templateCheck = await query(
+        'SELECT id FROM payroll.salary_structure_templates WHERE id = $1 AND tenant_id = $2',
+        [template_id, req.tenantId]
+      );
+      if (templateCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Salary structure not found' });
+      }
+      components = await getTemplateComponents(template_id);
+    }
+
+    const validationError = validateComponents(components);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    return res.json(evaluateSalaryStructure(components, Number(ctc)));
+  } catch (error) {
+    console.error('Error evaluating salary structure:', error);
+    return res.status(500).json({ error: 'Failed to evaluate salary structure' });
+  }
+});
+
+router.get('/grades', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { rows } = await query(
+      `SELECT g.*, t.name AS salary_structure_name,
+        (SELECT COUNT(*)::int FROM payroll.employees e WHERE e.grade_id = g.id) AS employee_count
+       FROM payroll.grades g
+       LEFT JOIN payroll.salary_structure_templates t ON t.id = g.salary_structure_template_id
+       WHERE g.tenant_id = $1
+       ORDER BY g.code ASC`,
+      [req.tenantId]
+    );
+    return res.json({ grades: rows });
+  } catch (error) {
+    console.error('Error fetching grades:', error);
+    return res.status(500).json({ error: 'Failed to fetch grades' });
+  }
+});
+
+router.post('/grades', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { code, name, salary_structure_template_id } = req.body;
+    if (!code || !name) {
+      return res.status(400).json({ error: 'code and name are required' });
+    }
+
+    if (salary_structure_template_id) {
+      const templateCheck = await query(
+        'SELECT id FROM payroll.salary_structure_templates WHERE id = $1 AND tenant_id = $2',
+        [salary_structure_template_id, req.tenantId]
+      );
+      if (templateCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Salary structure not found' });
+      }
+    }
+
+    const { rows } = await query(
+      `INSERT INTO payroll.grades (tenant_id, code, name, salary_structure_template_id, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (tenant_id, code) DO UPDATE SET
+         name = EXCLUDED.name,
+         salary_structure_template_id = EXCLUDED.salary_structure_template_id,
+         updated_at = NOW()
+       RETURNING *`,
+      [req.tenantId, String(code).trim(), name, salary_structure_template_id || null, req.userId]
+    );
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_grade_saved',
+      entityType: 'grade',
+      entityId: rows[0].id,
+      details: { code: rows[0].code, salary_structure_template_id: rows[0].salary_structure_template_id },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ grade: rows[0] });
+  } catch (error) {
+    console.error('Error saving grade:', error);
+    return res.status(500).json({ error: 'Failed to save grade' });
+  }
+});
+
+router.patch('/employees/:employeeId/grade', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { grade_id } = req.body;
+
+    if (grade_id) {
+      const gradeCheck = await query(
+        'SELECT id FROM payroll.grades WHERE id = $1 AND tenant_id = $2',
+        [grade_id, req.tenantId]
+      );
+      if (gradeCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Grade not found' });
+      }
+    }
+
+    const { rows } = await query(
+      `UPDATE payroll.employees
+       SET grade_id = $1, updated_by = $2, updated_at = NOW()
+       WHERE id = $3 AND tenant_id = $4
+       RETURNING id, grade_id`,
+      [grade_id || null, req.userId, employeeId, req.tenantId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_employee_grade_assigned',
+      entityType: 'employee',
+      entityId: employeeId,
+      details: { grade_id: grade_id || null },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ employee: rows[0] });
+  } catch (error) {
+    console.error('Error assigning grade:', error);
+    return res.status(500).json({ error: 'Failed to assign grade' });
+  }
+});
+
 // ============================================================================
 // PAYROLL CYCLE MANAGEMENT
 // ============================================================================
@@ -1340,154 +2330,2172 @@ router.get('/payroll-cycles/:cycleId/preview', requireAuthWithTenant, requireCap
     }
     
     const cycle = cycleResult.rows[0];
-    const payrollMonthEnd = new Date(cycle.year, cycle.month, 0);
-    
-    // Get settings
-    const settingsResult = await query(
-      'SELECT * FROM payroll.payroll_settings WHERE tenant_id = $1',
-      [tenantId]
-    );
-    const settings = settingsResult.rows[0] || {
-      pf_rate: 12.0,
-      esi_rate: 3.25,
-      pt_rate: 200.0,
-      tds_threshold: 250000.0,
-    };
+    const payrollItems = await computeCyclePayroll(tenantId, cycle);
     
-    // Get employees
-    const employeesResult = await query(
-      `SELECT e.id, e.full_name, e.email, e.employee_code
-       FROM payroll.employees e
-       WHERE e.tenant_id = $1 
-         AND e.status = 'active'
-         AND (e.date_of_joining IS NULL OR e.date_of_joining <= $2)
-       ORDER BY e.date_of_joining ASC`,
-      [tenantId, payrollMonthEnd.toISOString()]
-    );
-    
-    const payrollItems = [];
-    
-    for (const employee of employeesResult.rows) {
-      const compResult = await query(
-        `SELECT * FROM payroll.compensation_structures
-         WHERE employee_id = $1 
-           AND tenant_id = $2
-           AND effective_from <= $3
-         ORDER BY effective_from DESC
-         LIMIT 1`,
-        [employee.id, tenantId, payrollMonthEnd.toISOString()]
-      );
-      
-      if (compResult.rows.length === 0) continue;
-      
-      const compensation = compResult.rows[0];
-      const monthlyBasic = Number(compensation.basic_salary) || 0;
-      const monthlyHRA = Number(compensation.hra) || 0;
-      const monthlySA = Number(compensation.special_allowance) || 0;
-      const grossSalary = monthlyBasic + monthlyHRA + monthlySA;
-      
-      const { lopDays, paidDays, totalWorkingDays } = await calculateLopAndPaidDays(
-        tenantId,
-        employee.id,
-        cycle.month,
-        cycle.year
-      );
-      
-      const dailyRate = grossSalary / totalWorkingDays;
-      const adjustedGross = dailyRate * paidDays;
-      const adjustmentRatio = paidDays / totalWorkingDays;
-      
-      const pfDeduction = (monthlyBasic * adjustmentRatio * Number(settings.pf_rate)) / 100;
-      const esiDeduction = adjustedGross <= 21000 ? (adjustedGross * 0.75) / 100 : 0;
-      const ptDeduction = Number(settings.pt_rate) || 200;
-      const annualIncome = adjustedGross * 12;
-      const tdsDeduction = annualIncome > Number(settings.tds_threshold) 
-        ? ((annualIncome - Number(settings.tds_threshold)) * 5) / 100 / 12 
-        : 0;
-      
-      const totalDeductions = pfDeduction + esiDeduction + ptDeduction + tdsDeduction;
-      const netSalary = adjustedGross - totalDeductions;
-      
-      payrollItems.push({
-        employee_id: employee.id,
-        employee_code: employee.employee_code,
-        employee_name: employee.full_name,
-        employee_email: employee.email,
-        basic_salary: monthlyBasic * adjustmentRatio,
-        hra: monthlyHRA * adjustmentRatio,
-        special_allowance: monthlySA * adjustmentRatio,
-        gross_salary: adjustedGross,
-        pf_deduction: pfDeduction,
-        esi_deduction: esiDeduction,
-        tds_deduction: tdsDeduction,
-        pt_deduction: ptDeduction,
-        deductions: totalDeductions,
-        net_salary: netSalary,
-        lop_days: lopDays,
-        paid_days: paidDays,
-        total_working_days: totalWorkingDays,
-      });
+    // Finalized cycles keep the exceptions they were approved with
+    let exceptions = await getCycleExceptions(tenantId, cycleId);
+    if (!FINALIZED_CYCLE_STATUSES.includes(cycle.status)) {
+      const employeeIds = cycle.reopen_employee_ids?.length ? cycle.reopen_employee_ids : null;
+      const detected = await detectCycleExceptions(tenantId, cycle, payrollItems, { employeeIds });
+      exceptions = await syncCycleExceptions(tenantId, cycleId, detected, { employeeIds });
     }
     
-    return res.json({ payrollItems });
+    return res.json({ payrollItems, exceptions, exceptionSummary: summarizeExceptions(exceptions) });
   } catch (error) {
     console.error('Error previewing payroll:', error);
     return res.status(500).json({ error: 'Failed to preview payroll' });
   }
 });
 
-router.post('/payroll-cycles/:cycleId/submit', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+// Per-employee comparison with the previous processed cycle, for review before approval
+router.get('/payroll-cycles/:cycleId/variance', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
   try {
-    const { cycleId } = req.params;
-    
-    await query(
-      `UPDATE payroll.payroll_cycles
-       SET status = 'pending_approval', updated_at = NOW()
-       WHERE id = $1 AND tenant_id = $2`,
-      [cycleId, req.tenantId]
+    const thresholdPercent = req.query.threshold !== undefined
+      ? Number(req.query.threshold)
+      : DEFAULT_VARIANCE_THRESHOLD_PERCENT;
+    if (!Number.isFinite(thresholdPercent) || thresholdPercent < 0 || thresholdPercent > 1000) {
+      return res.status(400).json({ error: 'threshold must be a percentage between 0 and 1000' });
+    }
+
+    const cycleResult = await query(
+      'SELECT * FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
+      [req.params.cycleId, req.tenantId]
     );
-    
-    return res.json({ success: true, message: 'Payroll submitted for approval' });
+    if (cycleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Payroll cycle not found' });
+    }
+    if (cycleResult.rows[0].run_type === 'off_cycle') {
+      return res.status(400).json({ error: 'Variance is only reported for regular payroll cycles' });
+    }
+
+    const variance = await getCycleVariance({ tenantId: req.tenantId, cycle: cycleResult.rows[0], thresholdPercent });
+    return res.json(variance);
   } catch (error) {
-    console.error('Error submitting payroll:', error);
-    return res.status(500).json({ error: 'Failed to submit payroll' });
+    console.error('Error computing payroll variance:', error);
+    return res.status(500).json({ error: 'Failed to compute payroll variance' });
   }
 });
 
-router.post('/payroll-cycles/:cycleId/approve', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+router.post('/payroll-cycles/:cycleId/submit', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
   try {
     const { cycleId } = req.params;
+
+    const { cycle, status, error } = await getCycleForAction(req.tenantId, cycleId, 'submit');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const earnings = await query(
+      `SELECT (SELECT COUNT(*) FROM payroll.off_cycle_earnings l WHERE l.payroll_cycle_id = $1)::int
+              + (SELECT COUNT(*) FROM payroll.fnf_settlements s WHERE s.payroll_cycle_id = $1)::int AS line_count`,
+      [cycleId]
+    );
+    if (cycle.run_type === 'off_cycle' && earnings.rows[0].line_count === 0) {
+      return res.status(400).json({ error: 'Add at least one earning line before submitting an off-cycle run' });
+    }
     
     await query(
       `UPDATE payroll.payroll_cycles
-       SET status = 'approved', approved_by = $1, approved_at = NOW(), updated_at = NOW()
+       SET status = 'submitted', submitted_by = $1, submitted_at = NOW(), updated_at = NOW()
        WHERE id = $2 AND tenant_id = $3`,
       [req.userId, cycleId, req.tenantId]
     );
     
-    return res.json({ success: true, message: 'Payroll approved' });
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_cycle_submitted',
+      entityType: 'payroll_cycle',
+      entityId: cycleId,
+      details: { month: cycle.month, year: cycle.year },
+      ipAddress: req.ip,
+    });
+    
+    return res.json({ success: true, message: 'Payroll submitted for approval' });
   } catch (error) {
-    console.error('Error approving payroll:', error);
-    return res.status(500).json({ error: 'Failed to approve payroll' });
+    console.error('Error submitting payroll:', error);
+    return res.status(500).json({ error: 'Failed to submit payroll' });
   }
 });
 
-router.post('/payroll-cycles/:cycleId/reject', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+router.post('/payroll-cycles/:cycleId/approve', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
   try {
     const { cycleId } = req.params;
-    const { reason } = req.body;
     
-    await query(
-      `UPDATE payroll.payroll_cycles
-       SET status = 'draft', updated_at = NOW()
-       WHERE id = $1 AND tenant_id = $2`,
-      [cycleId, req.tenantId]
+    const { cycle, status, error } = await getCycleForAction(req.tenantId, cycleId, 'approve');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const blocking = await countOpenBlockingExceptions(req.tenantId, cycleId);
+    if (blocking > 0) {
+      return res.status(409).json({
+        error: `${blocking} blocking payroll exception(s) must be resolved or waived before approval`,
+      });
+    }
+    
+    // Approval closes any reopen correction and recovers the cycle's loan EMIs
+    await withClient(async (client) => {
+      await client.query('BEGIN');
+      try {
+        await client.query(
+          `UPDATE payroll.payroll_cycles
+           SET status = 'approved', approved_by = $1, approved_at = NOW(),
+               reopen_employee_ids = NULL, updated_at = NOW()
+           WHERE id = $2 AND tenant_id = $3`,
+          [req.userId, cycleId, req.tenantId]
+        );
+        await recordCycleLoanRepayments(client, { tenantId: req.tenantId, cycleId, actorId: req.userId });
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      }
+    });
+    
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_cycle_approved',
+      entityType: 'payroll_cycle',
+      entityId: cycleId,
+      details: { month: cycle.month, year: cycle.year, submittedBy: cycle.submitted_by },
+      ipAddress: req.ip,
+    });
+    
+    return res.json({ success: true, message: 'Payroll approved' });
+  } catch (error) {
+    console.error('Error approving payroll:', error);
+    return res.status(500).json({ error: 'Failed to approve payroll' });
+  }
+});
+
+router.post('/payroll-cycles/:cycleId/reject', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycleId } = req.params;
+    const { reason } = req.body;
+    
+    const { cycle, status, error } = await getCycleForAction(req.tenantId, cycleId, 'reject');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    await query(
+      `UPDATE payroll.payroll_cycles
+       SET status = 'draft', updated_at = NOW()
+       WHERE id = $1 AND tenant_id = $2`,
+      [cycleId, req.tenantId]
+    );
+    
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_cycle_rejected',
+      entityType: 'payroll_cycle',
+      entityId: cycleId,
+      details: { month: cycle.month, year: cycle.year, reason: reason || null },
+      ipAddress: req.ip,
+    });
+    
+    return res.json({ success: true, message: 'Payroll rejected' });
+  } catch (error) {
+    console.error('Error rejecting payroll:', error);
+    return res.status(500).json({ error: 'Failed to reject payroll' });
+  }
+});
+
+// Locking freezes the month's attendance, leave and compensation
+router.post('/payroll-cycles/:cycleId/lock', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycleId } = req.params;
+    
+    const { cycle, status, error } = await getCycleForAction(req.tenantId, cycleId, 'lock');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    await query(
+      `UPDATE payroll.payroll_cycles
+       SET status = 'locked', locked_by = $1, locked_at = NOW(), updated_at = NOW()
+       WHERE id = $2 AND tenant_id = $3`,
+      [req.userId, cycleId, req.tenantId]
+    );
+    
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_cycle_locked',
+      entityType: 'payroll_cycle',
+      entityId: cycleId,
+      details: { month: cycle.month, year: cycle.year },
+      ipAddress: req.ip,
+    });
+    
+    return res.json({ success: true, message: 'Payroll locked' });
+  } catch (error) {
+    console.error('Error locking payroll:', error);
+    return res.status(500).json({ error: 'Failed to lock payroll' });
+  }
+});
+
+router.post('/payroll-cycles/:cycleId/pay', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycleId } = req.params;
+    const tenantId = req.tenantId;
+    
+    const { cycle, status, error } = await getCycleForAction(tenantId, cycleId, 'pay');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    await withClient(async (client) => {
+      await client.query('BEGIN');
+      try {
+        await client.query(
+          `UPDATE payroll.payroll_cycles
+           SET status = 'paid', paid_at = NOW(), updated_at = NOW()
+           WHERE id = $1 AND tenant_id = $2`,
+          [cycleId, tenantId]
+        );
+        await recordCycleSettlements(client, { tenantId, cycleId });
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      }
+    });
+    
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId,
+      action: 'payroll_cycle_paid',
+      entityType: 'payroll_cycle',
+      entityId: cycleId,
+      details: { month: cycle.month, year: cycle.year, totalAmount: cycle.total_amount },
+      ipAddress: req.ip,
+    });
+    
+    return res.json({ success: true, message: 'Payroll marked as paid' });
+  } catch (error) {
+    console.error('Error marking payroll paid:', error);
+    return res.status(500).json({ error: 'Failed to mark payroll as paid' });
+  }
+});
+
+// ============================================================================
+// CYCLE REOPEN (maker-checker)
+// ============================================================================
+
+router.get('/payroll-cycles/:cycleId/reopen-requests', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT * FROM payroll.payroll_cycle_reopen_requests
+       WHERE payroll_cycle_id = $1 AND tenant_id = $2
+       ORDER BY created_at DESC`,
+      [req.params.cycleId, req.tenantId]
+    );
+    return res.json({ requests: result.rows });
+  } catch (error) {
+    console.error('Error fetching reopen requests:', error);
+    return res.status(500).json({ error: 'Failed to fetch reopen requests' });
+  }
+});
+
+router.post('/payroll-cycles/:cycleId/reopen-requests', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycleId } = req.params;
+    const validationError = validateReopenRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const { cycle, status, error } = await getCycleForAction(req.tenantId, cycleId, 'reopen');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const itemEmployees = await query(
+      `SELECT employee_id FROM payroll.payroll_items
+       WHERE payroll_cycle_id = $1 AND tenant_id = $2 AND employee_id = ANY($3::uuid[])`,
+      [cycleId, req.tenantId, req.body.employee_ids]
+    );
+    const employeeIds = [...new Set(req.body.employee_ids)];
+    if (itemEmployees.rows.length !== employeeIds.length) {
+      return res.status(400).json({ error: 'Every employee to recompute must be on the cycle' });
+    }
+    
+    const { rows } = await query(
+      `INSERT INTO payroll.payroll_cycle_reopen_requests (
+         tenant_id, payroll_cycle_id, reason, employee_ids, previous_status, requested_by
+       ) VALUES ($1, $2, $3, $4::uuid[], $5, $6)
+       RETURNING *`,
+      [req.tenantId, cycleId, String(req.body.reason).trim(), employeeIds, cycle.status, req.userId]
+    );
+    
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_cycle_reopen_requested',
+      entityType: 'payroll_cycle',
+      entityId: cycleId,
+      details: { requestId: rows[0].id, reason: rows[0].reason, employeeIds, status: cycle.status },
+      ipAddress: req.ip,
+    });
+    
+    return res.status(201).json({ request: rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A reopen request for this cycle is already pending' });
+    }
+    console.error('Error requesting payroll reopen:', error);
+    return res.status(500).json({ error: 'Failed to request payroll reopen' });
+  }
+});
+
+async function getPendingReopenRequest(tenantId, requestId) {
+  const result = await query(
+    `SELECT * FROM payroll.payroll_cycle_reopen_requests
+     WHERE id = $1 AND tenant_id = $2`,
+    [requestId, tenantId]
+  );
+  const request = result.rows[0];
+  if (!request) return { status: 404, error: 'Reopen request not found' };
+  if (request.status !== 'pending') return { status: 400, error: `Reopen request is already ${request.status}` };
+  return { request };
+}
+
+// The second approver reopens the cycle to draft for the named employees
+router.post('/payroll-reopen-requests/:requestId/approve', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_ROLLBACK), async (req, res) => {
+  try {
+    const tenantId = req.tenantId;
+    const { request, status, error } = await getPendingReopenRequest(tenantId, req.params.requestId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (request.requested_by === req.userId) {
+      return res.status(403).json({ error: 'A reopen must be approved by someone other than the requester' });
+    }
+    
+    const cycleCheck = await getCycleForAction(tenantId, request.payroll_cycle_id, 'reopen');
+    if (cycleCheck.error) {
+      return res.status(cycleCheck.status).json({ error: cycleCheck.error });
+    }
+    
+    await withClient(async (client) => {
+      await client.query('BEGIN');
+      try {
+        await client.query(
+          `UPDATE payroll.payroll_cycle_reopen_requests
+           SET status = 'approved', reviewed_by = $1, reviewed_at = NOW(), review_note = $2
+           WHERE id = $3`,
+          [req.userId, req.body?.note || null, request.id]
+        );
+        await client.query(
+          `UPDATE payroll.payroll_cycles
+           SET status = 'draft', reopen_employee_ids = $1::uuid[],
+               approved_by = NULL, approved_at = NULL, locked_by = NULL, locked_at = NULL,
+               updated_at = NOW()
+           WHERE id = $2 AND tenant_id = $3`,
+          [request.employee_ids, request.payroll_cycle_id, tenantId]
+        );
+        // Recorded again when the corrected cycle is approved
+        await removeCycleLoanRepayments(client, { tenantId, cycleId: request.payroll_cycle_id });
+        await client.query('COMMIT');
+      } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+      }
+    });
+    
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId,
+      action: 'payroll_cycle_reopened',
+      entityType: 'payroll_cycle',
+      entityId: request.payroll_cycle_id,
+      details: {
+        requestId: request.id,
+        requestedBy: request.requested_by,
+        reason: request.reason,
+        employeeIds: request.employee_ids,
+        previousStatus: cycleCheck.cycle.status,
+      },
+      ipAddress: req.ip,
+    });
+    
+    return res.json({ success: true, message: 'Payroll cycle reopened' });
+  } catch (error) {
+    console.error('Error approving payroll reopen:', error);
+    return res.status(500).json({ error: 'Failed to approve payroll reopen' });
+  }
+});
+
+router.post('/payroll-reopen-requests/:requestId/reject', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_ROLLBACK), async (req, res) => {
+  try {
+    const tenantId = req.tenantId;
+    const { request, status, error } = await getPendingReopenRequest(tenantId, req.params.requestId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    await query(
+      `UPDATE payroll.payroll_cycle_reopen_requests
+       SET status = 'rejected', reviewed_by = $1, reviewed_at = NOW(), review_note = $2
+       WHERE id = $3`,
+      [req.userId, req.body?.note || null, request.id]
+    );
+    
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId,
+      action: 'payroll_cycle_reopen_rejected',
+      entityType: 'payroll_cycle',
+      entityId: request.payroll_cycle_id,
+      details: { requestId: request.id, note: req.body?.note || null },
+      ipAddress: req.ip,
+    });
+    
+    return res.json({ success: true, message: 'Reopen request rejected' });
+  } catch (error) {
+    console.error('Error rejecting payroll reopen:', error);
+    return res.status(500).json({ error: 'Failed to reject payroll reopen' });
+  }
+});
+
+// ============================================================================
+// PAYROLL EXCEPTIONS
+// ============================================================================
+
+async function getException(tenantId, exceptionId) {
+  const result = await query(
+    'SELECT * FROM payroll.payroll_exceptions WHERE id = $1 AND tenant_id = $2',
+    [exceptionId, tenantId]
+  );
+  return result.rows[0] || null;
+}
+
+router.get('/payroll-cycles/:cycleId/exceptions', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !EXCEPTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${EXCEPTION_STATUSES.join(', ')}` });
+    }
+    
+    const exceptions = await getCycleExceptions(req.tenantId, req.params.cycleId, { status });
+    const summary = summarizeExceptions(status ? await getCycleExceptions(req.tenantId, req.params.cycleId) : exceptions);
+    return res.json({ exceptions, summary, types: EXCEPTION_TYPES });
+  } catch (error) {
+    console.error('Error fetching payroll exceptions:', error);
+    return res.status(500).json({ error: 'Failed to fetch payroll exceptions' });
+  }
+});
+
+router.post('/payroll-exceptions/:exceptionId/assign', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const record = await getException(req.tenantId, req.params.exceptionId);
+    if (!record) {
+      return res.status(404).json({ error: 'Payroll exception not found' });
+    }
+    
+    const ownerId = req.body?.owner_id || null;
+    if (ownerId) {
+      const owner = await query(
+        'SELECT id FROM profiles WHERE id = $1 AND tenant_id = $2',
+        [ownerId, req.tenantId]
+      );
+      if (owner.rows.length === 0) {
+        return res.status(400).json({ error: 'Owner must be a user in your organization' });
+      }
+    }
+    
+    await query(
+      'UPDATE payroll.payroll_exceptions SET owner_id = $1 WHERE id = $2 AND tenant_id = $3',
+      [ownerId, record.id, req.tenantId]
+    );
+    
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_exception_assigned',
+      entityType: 'payroll_exception',
+      entityId: record.id,
+      details: { cycleId: record.payroll_cycle_id, ownerId, previousOwnerId: record.owner_id },
+      ipAddress: req.ip,
+    });
+    
+    return res.json({ success: true, message: ownerId ? 'Exception assigned' : 'Exception unassigned' });
+  } catch (error) {
+    console.error('Error assigning payroll exception:', error);
+    return res.status(500).json({ error: 'Failed to assign payroll exception' });
+  }
+});
+
+router.get('/payroll-exceptions/:exceptionId/comments', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT c.id, c.body, c.author_id, c.created_at,
+              TRIM(CONCAT(p.first_name, ' ', p.last_name)) AS author_name
+       FROM payroll.payroll_exception_comments c
+       LEFT JOIN profiles p ON p.id = c.author_id
+       WHERE c.exception_id = $1 AND c.tenant_id = $2
+       ORDER BY c.created_at`,
+      [req.params.exceptionId, req.tenantId]
+    );
+    return res.json({ comments: result.rows });
+  } catch (error) {
+    console.error('Error fetching payroll exception comments:', error);
+    return res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+router.post('/payroll-exceptions/:exceptionId/comments', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const body = String(req.body?.body || '').trim();
+    if (!body) {
+      return res.status(400).json({ error: 'Comment cannot be empty' });
+    }
+    
+    const record = await getException(req.tenantId, req.params.exceptionId);
+    if (!record) {
+      return res.status(404).json({ error: 'Payroll exception not found' });
+    }
+    
+    const { rows } = await query(
+      `INSERT INTO payroll.payroll_exception_comments (tenant_id, exception_id, author_id, body)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [req.tenantId, record.id, req.userId, body]
+    );
+    
+    return res.status(201).json({ comment: rows[0] });
+  } catch (error) {
+    console.error('Error adding payroll exception comment:', error);
+    return res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+// Resolving records a fix; waiving accepts the exception as it is and needs a reason
+async function closeException(req, res, action) {
+  const record = await getException(req.tenantId, req.params.exceptionId);
+  if (!record) {
+    return res.status(404).json({ error: 'Payroll exception not found' });
+  }
+  
+  const note = req.body?.note ? String(req.body.note).trim() : null;
+  const actionError = checkExceptionAction(record, action, note);
+  if (actionError) {
+    return res.status(400).json({ error: actionError });
+  }
+  
+  const status = action === 'waive' ? 'waived' : 'resolved';
+  await query(
+    `UPDATE payroll.payroll_exceptions
+     SET status = $1, resolution_note = $2, resolved_by = $3, resolved_at = NOW()
+     WHERE id = $4 AND tenant_id = $5`,
+    [status, note, req.userId, record.id, req.tenantId]
+  );
+  
+  await auditPayroll({
+    actorId: req.userId,
+    tenantId: req.tenantId,
+    action: `payroll_exception_${status}`,
+    entityType: 'payroll_exception',
+    entityId: record.id,
+    details: {
+      cycleId: record.payroll_cycle_id,
+      employeeId: record.employee_id,
+      type: record.exception_type,
+      severity: record.severity,
+      note,
+    },
+    ipAddress: req.ip,
+  });
+  
+  return res.json({ success: true, message: `Exception ${status}` });
+}
+
+router.post('/payroll-exceptions/:exceptionId/resolve', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    return await closeException(req, res, 'resolve');
+  } catch (error) {
+    console.error('Error resolving payroll exception:', error);
+    return res.status(500).json({ error: 'Failed to resolve payroll exception' });
+  }
+});
+
+router.post('/payroll-exceptions/:exceptionId/waive', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    return await closeException(req, res, 'waive');
+  } catch (error) {
+    console.error('Error waiving payroll exception:', error);
+    return res.status(500).json({ error: 'Failed to waive payroll exception' });
+  }
+});
+
+// ============================================================================
+// OFF-CYCLE RUNS
+// ============================================================================
+
+// Earning lines can only change before the run is submitted
+async function getDraftOffCycleRun(tenantId, cycleId) {
+  const result = await query(
+    'SELECT * FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
+    [cycleId, tenantId]
+  );
+  const cycle = result.rows[0];
+  if (!cycle) return { status: 404, error: 'Payroll cycle not found' };
+  if (cycle.run_type !== 'off_cycle') return { status: 400, error: 'Earning lines belong to off-cycle runs only' };
+  if (!['draft', 'computed'].includes(cycle.status)) {
+    return { status: 400, error: 'Earning lines can only be changed before the run is submitted' };
+  }
+  return { cycle };
+}
+
+// A computed run goes back to draft when its lines change, so it is recomputed
+async function resetComputedRun(tenantId, cycleId) {
+  await query(
+    `UPDATE payroll.payroll_cycles SET status = 'draft', updated_at = NOW()
+     WHERE id = $1 AND tenant_id = $2 AND status = 'computed'`,
+    [cycleId, tenantId]
+  );
+}
+
+router.get('/off-cycle-reasons', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  return res.json({
+    reasons: Object.entries(OFF_CYCLE_REASONS).map(([id, component]) => ({ id, ...component })),
+  });
+});
+
+router.get('/payroll-cycles/:cycleId/off-cycle-earnings', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT l.*, e.employee_code, e.full_name
+       FROM payroll.off_cycle_earnings l
+       JOIN payroll.employees e ON e.id = l.employee_id
+       WHERE l.payroll_cycle_id = $1 AND l.tenant_id = $2
+       ORDER BY e.full_name ASC, l.created_at ASC`,
+      [req.params.cycleId, req.tenantId]
+    );
+    return res.json({ earnings: result.rows });
+  } catch (error) {
+    console.error('Error fetching off-cycle earnings:', error);
+    return res.status(500).json({ error: 'Failed to fetch off-cycle earnings' });
+  }
+});
+
+router.post('/payroll-cycles/:cycleId/off-cycle-earnings', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const validationError = validateOffCycleEarning(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { cycle, status, error } = await getDraftOffCycleRun(req.tenantId, req.params.cycleId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const employee = await query(
+      'SELECT id FROM payroll.employees WHERE id = $1 AND tenant_id = $2',
+      [req.body.employee_id, req.tenantId]
+    );
+    if (employee.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    // Lines default to the run's reason, e.g. BONUS / Bonus
+    const defaults = OFF_CYCLE_REASONS[cycle.run_reason];
+    const { rows } = await query(
+      `INSERT INTO payroll.off_cycle_earnings
+       (tenant_id, payroll_cycle_id, employee_id, component_code, component_name, amount, is_taxable, description, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        req.tenantId,
+        cycle.id,
+        req.body.employee_id,
+        req.body.component_code || defaults.code,
+        req.body.component_name?.trim() || defaults.name,
+        Number(req.body.amount),
+        req.body.is_taxable !== false,
+        req.body.description || null,
+        req.userId,
+      ]
+    );
+    await resetComputedRun(req.tenantId, cycle.id);
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_off_cycle_earning_added',
+      entityType: 'payroll_cycle',
+      entityId: cycle.id,
+      details: {
+        employee_id: req.body.employee_id,
+        component_code: rows[0].component_code,
+        amount: rows[0].amount,
+        is_taxable: rows[0].is_taxable,
+      },
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({ earning: rows[0] });
+  } catch (error) {
+    console.error('Error adding off-cycle earning:', error);
+    return res.status(500).json({ error: 'Failed to add off-cycle earning' });
+  }
+});
+
+router.delete('/payroll-cycles/:cycleId/off-cycle-earnings/:earningId', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycle, status, error } = await getDraftOffCycleRun(req.tenantId, req.params.cycleId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { rows } = await query(
+      `DELETE FROM payroll.off_cycle_earnings
+       WHERE id = $1 AND payroll_cycle_id = $2 AND tenant_id = $3
+       RETURNING employee_id, component_code, amount`,
+      [req.params.earningId, cycle.id, req.tenantId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Earning line not found' });
+    }
+    await resetComputedRun(req.tenantId, cycle.id);
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_off_cycle_earning_removed',
+      entityType: 'payroll_cycle',
+      entityId: cycle.id,
+      details: rows[0],
+      ipAddress: req.ip,
+    });
+
+    return res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing off-cycle earning:', error);
+    return res.status(500).json({ error: 'Failed to remove off-cycle earning' });
+  }
+});
+
+// ============================================================================
+// FULL & FINAL SETTLEMENTS
+// ============================================================================
+
+const FNF_SETTLEMENT_SELECT = `
+  SELECT s.*, e.full_name, e.employee_code, e.email,
+         pc.status AS run_status, pc.month AS run_month, pc.year AS run_year
+  FROM payroll.fnf_settlements s
+  JOIN payroll.employees e ON e.id = s.employee_id
+  LEFT JOIN payroll.payroll_cycles pc ON pc.id = s.payroll_cycle_id`;
+
+async function getFnfSettlement(tenantId, settlementId) {
+  const result = await query(`${FNF_SETTLEMENT_SELECT} WHERE s.id = $1 AND s.tenant_id = $2`, [settlementId, tenantId]);
+  return result.rows[0] || null;
+}
+
+router.get('/fnf-settlements', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const params = [req.tenantId];
+    let statusFilter = '';
+    if (req.query.status) {
+      params.push(req.query.status);
+      statusFilter = ` AND s.status = $${params.length}`;
+    }
+    const result = await query(
+      `${FNF_SETTLEMENT_SELECT} WHERE s.tenant_id = $1${statusFilter} ORDER BY s.created_at DESC`,
+      params
+    );
+    return res.json({ settlements: result.rows });
+  } catch (error) {
+    console.error('Error fetching F&F settlements:', error);
+    return res.status(500).json({ error: 'Failed to fetch F&F settlements' });
+  }
+});
+
+router.get('/fnf-settlements/:id', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const settlement = await getFnfSettlement(req.tenantId, req.params.id);
+    if (!settlement) {
+      return res.status(404).json({ error: 'Settlement not found' });
+    }
+    return res.json({ settlement });
+  } catch (error) {
+    console.error('Error fetching F&F settlement:', error);
+    return res.status(500).json({ error: 'Failed to fetch F&F settlement' });
+  }
+});
+
+router.post('/fnf-settlements', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { employee_id: employeeId } = req.body;
+    const inputs = req.body.inputs || {};
+    if (!employeeId) {
+      return res.status(400).json({ error: 'employee_id is required' });
+    }
+    const validationError = validateSettlementInputs(inputs);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const computed = await computeSettlement({ tenantId: req.tenantId, employeeId, inputs });
+    if (computed.error) {
+      return res.status(400).json({ error: computed.error });
+    }
+
+    const { statement } = computed;
+    const { rows } = await query(
+      `INSERT INTO payroll.fnf_settlements (
+         tenant_id, employee_id, offboarding_request_id, last_working_day, salary_month, salary_year,
+         inputs, statement, earnings_total, recoveries_total, net_amount, computed_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8::jsonb, $9, $10, $11, $12)
+       RETURNING id`,
+      [
+        req.tenantId, employeeId, computed.offboardingRequestId, computed.lastWorkingDay,
+        computed.salaryMonth, computed.salaryYear, JSON.stringify(inputs), JSON.stringify(statement),
+        statement.totals.earnings, statement.totals.recoveries, statement.totals.net_before_tax, req.userId,
+      ]
+    );
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_fnf_settlement_computed',
+      entityType: 'fnf_settlement',
+      entityId: rows[0].id,
+      details: { employee_id: employeeId, last_working_day: computed.lastWorkingDay, totals: statement.totals },
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({ settlement: await getFnfSettlement(req.tenantId, rows[0].id) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'The employee already has an open settlement' });
+    }
+    console.error('Error computing F&F settlement:', error);
+    return res.status(500).json({ error: 'Failed to compute F&F settlement' });
+  }
+});
+
+// Recompute a draft with new inputs or after exit details changed
+router.patch('/fnf-settlements/:id', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const settlement = await getFnfSettlement(req.tenantId, req.params.id);
+    if (!settlement) {
+      return res.status(404).json({ error: 'Settlement not found' });
+    }
+    if (settlement.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft settlements can be recomputed' });
+    }
+    const inputs = req.body.inputs || settlement.inputs;
+    const validationError = validateSettlementInputs(inputs);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const computed = await computeSettlement({ tenantId: req.tenantId, employeeId: settlement.employee_id, inputs });
+    if (computed.error) {
+      return res.status(400).json({ error: computed.error });
+    }
+
+    const { statement } = computed;
+    await query(
+      `UPDATE payroll.fnf_settlements
+       SET offboarding_request_id = $1, last_working_day = $2, salary_month = $3, salary_year = $4,
+           inputs = $5::jsonb, statement = $6::jsonb, earnings_total = $7, recoveries_total = $8,
+           net_amount = $9, computed_by = $10
+       WHERE id = $11 AND tenant_id = $12`,
+      [
+        computed.offboardingRequestId, computed.lastWorkingDay, computed.salaryMonth, computed.salaryYear,
+        JSON.stringify(inputs), JSON.stringify(statement), statement.totals.earnings,
+        statement.totals.recoveries, statement.totals.net_before_tax, req.userId,
+        settlement.id, req.tenantId,
+      ]
+    );
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_fnf_settlement_computed',
+      entityType: 'fnf_settlement',
+      entityId: settlement.id,
+      details: { employee_id: settlement.employee_id, recomputed: true, totals: statement.totals },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ settlement: await getFnfSettlement(req.tenantId, settlement.id) });
+  } catch (error) {
+    console.error('Error recomputing F&F settlement:', error);
+    return res.status(500).json({ error: 'Failed to recompute F&F settlement' });
+  }
+});
+
+// Approval creates the off-cycle settlement run that pays the statement, in
+// the month of the scheduled F&F pay date when there is one
+router.post('/fnf-settlements/:id/approve', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const settlement = await getFnfSettlement(req.tenantId, req.params.id);
+    if (!settlement) {
+      return res.status(404).json({ error: 'Settlement not found' });
+    }
+    if (settlement.status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft settlements can be approved' });
+    }
+
+    const payDateResult = await query(
+      'SELECT fnf_pay_date FROM offboarding_requests WHERE id = $1',
+      [settlement.offboarding_request_id]
+    );
+    const payday = payDateResult.rows[0]?.fnf_pay_date
+      ? toDateKey(payDateResult.rows[0].fnf_pay_date)
+      : toDateKey(new Date());
+    const [payYear, payMonth] = payday.split('-').map(Number);
+
+    const cycle = await withClient(async (client) => {
+      await client.query('BEGIN');
+      try {
+        const cycleResult = await client.query(
+          `INSERT INTO payroll.payroll_cycles
+           (tenant_id, created_by, month, year, payday, status, total_employees, total_amount, run_type, run_reason, title)
+           VALUES ($1, $2, $3, $4, $5, 'draft', 0, 0, 'off_cycle', 'settlement', $6)
+           RETURNING *`,
+          [req.tenantId, req.userId, payMonth, payYear, payday, `Full and final settlement - ${settlement.full_name}`]
+        );
+        await client.query(
+          `UPDATE payroll.fnf_settlements
+           SET status = 'approved', approved_by = $1, approved_at = NOW(), payroll_cycle_id = $2
+           WHERE id = $3 AND tenant_id = $4`,
+          [req.userId, cycleResult.rows[0].id, settlement.id, req.tenantId]
+        );
+        await client.query('COMMIT');
+        return cycleResult.rows[0];
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    });
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_fnf_settlement_approved',
+      entityType: 'fnf_settlement',
+      entityId: settlement.id,
+      details: { employee_id: settlement.employee_id, payroll_cycle_id: cycle.id, net_amount: settlement.net_amount },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ settlement: await getFnfSettlement(req.tenantId, settlement.id), payrollCycle: cycle });
+  } catch (error) {
+    console.error('Error approving F&F settlement:', error);
+    return res.status(500).json({ error: 'Failed to approve F&F settlement' });
+  }
+});
+
+router.post('/fnf-settlements/:id/reject', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to reject a settlement' });
+    }
+    const { rows } = await query(
+      `UPDATE payroll.fnf_settlements
+       SET status = 'rejected', rejection_reason = $1
+       WHERE id = $2 AND tenant_id = $3 AND status = 'draft'
+       RETURNING id, employee_id`,
+      [reason, req.params.id, req.tenantId]
+    );
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'Only draft settlements can be rejected' });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_fnf_settlement_rejected',
+      entityType: 'fnf_settlement',
+      entityId: rows[0].id,
+      details: { employee_id: rows[0].employee_id, reason },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ success: true });
+  } catch (error) {
+    console.error('Error rejecting F&F settlement:', error);
+    return res.status(500).json({ error: 'Failed to reject F&F settlement' });
+  }
+});
+
+router.get('/fnf-settlements/:id/pdf', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const settlement = await getFnfSettlement(req.tenantId, req.params.id);
+    if (!settlement) {
+      return res.status(404).json({ error: 'Settlement not found' });
+    }
+    const { statement } = settlement;
+    const money = (value) => `₹${Number(value).toFixed(2)}`;
+
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="fnf-statement-${settlement.employee_code}.pdf"`
+    );
+    doc.pipe(res);
+
+    doc.fontSize(18).text('FULL AND FINAL SETTLEMENT', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(12).text(`Employee: ${settlement.full_name} (${settlement.employee_code})`);
+    doc.text(`Last working day: ${statement.last_working_day}`);
+    doc.text(`Status: ${settlement.status}`);
+    doc.moveDown();
+
+    doc.fontSize(13).text('Earnings');
+    doc.fontSize(11);
+    if (statement.salary) {
+      doc.text(`Salary for ${statement.salary.paid_days} of ${statement.salary.total_working_days} days: ${money(statement.salary.gross)}`);
+    } else if (statement.salary_note) {
+      doc.text(statement.salary_note);
+    }
+    doc.text(`Leave encashment (${statement.leave_encashment.days} days): ${money(statement.leave_encashment.amount)}`);
+    doc.text(statement.gratuity.eligible
+      ? `Gratuity (${statement.gratuity.gratuity_years} years, non-taxable): ${money(statement.gratuity.amount)}`
+      : `Gratuity: not eligible (${statement.gratuity.service.years} years of service)`);
+    doc.moveDown();
+
+    doc.fontSize(13).text('Recoveries');
+    doc.fontSize(11);
+    if (statement.salary?.deductions) {
+      doc.text(`Salary deductions: ${money(statement.salary.deductions)}`);
+    }
+    doc.text(statement.notice.waived
+      ? `Notice period shortfall of ${statement.notice.shortfall_days} days: waived`
+      : `Notice period shortfall (${statement.notice.shortfall_days} days): ${money(statement.notice.amount)}`);
+    for (const loan of statement.loans) {
+      doc.text(`${loan.loan_type === 'advance' ? 'Salary advance' : 'Loan'} foreclosure: ${money(loan.amount)}`);
+    }
+    for (const asset of statement.assets) {
+      doc.text(`${asset.description}: ${money(asset.amount)}`);
+    }
+    doc.moveDown();
+
+    doc.fontSize(12).text(`Total earnings: ${money(statement.totals.earnings)}`);
+    doc.text(`Total recoveries: ${money(statement.totals.recoveries)}`);
+    doc.text(`Net payable before tax: ${money(statement.totals.net_before_tax)}`);
+    doc.fontSize(10).text('PF, ESI, professional tax and TDS are deducted when the settlement run is processed.');
+
+    doc.end();
+  } catch (error) {
+    console.error('Error generating F&F statement PDF:', error);
+    return res.status(500).json({ error: 'Failed to generate F&F statement PDF' });
+  }
+});
+
+// ============================================================================
+// BANK DISBURSEMENT
+// ============================================================================
+
+// Payroll items are final once the cycle is approved
+const DISBURSABLE_CYCLE_STATUSES = FINALIZED_CYCLE_STATUSES;
+
+router.get('/disbursement-formats', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  return res.json({ formats: listDisbursementFormats(), defaultFormat: DEFAULT_DISBURSEMENT_FORMAT });
+});
+
+async function getDisbursementRows(cycleId, tenantId) {
+  const result = await query(
+    `SELECT
+       pi.id AS payroll_item_id,
+       pi.employee_id,
+       pi.net_salary,
+       pi.currency,
+       e.employee_code,
+       e.full_name,
+       e.email,
+       e.bank_account_number,
+       e.bank_ifsc,
+       e.bank_name,
+       e.payment_hold,
+       e.payment_hold_reason
+     FROM payroll.payroll_items pi
+     JOIN payroll.employees e ON e.id = pi.employee_id
+     WHERE pi.payroll_cycle_id = $1 AND pi.tenant_id = $2
+     ORDER BY e.employee_code ASC`,
+    [cycleId, tenantId]
+  );
+  return result.rows;
+}
+
+// Validation preview: who will be paid and who is left out, without creating a batch
+router.get('/payroll-cycles/:cycleId/disbursement', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycleId } = req.params;
+    const cycleResult = await query(
+      'SELECT id, month, year, status FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
+      [cycleId, req.tenantId]
+    );
+    const cycle = cycleResult.rows[0];
+    if (!cycle) {
+      return res.status(404).json({ error: 'Payroll cycle not found' });
+    }
+
+    const rows = await getDisbursementRows(cycleId, req.tenantId);
+    const file = buildDisbursementFile({ cycle, rows });
+    const batches = await query(
+      `SELECT id, format, file_name, checksum, payment_count, total_amount, excluded_count, created_by, created_at
+       FROM payroll.disbursement_batches
+       WHERE payroll_cycle_id = $1 AND tenant_id = $2
+       ORDER BY created_at DESC`,
+      [cycleId, req.tenantId]
+    );
+
+    return res.json({
+      cycleStatus: cycle.status,
+      paymentCount: file.payments.length,
+      totalAmount: file.totalAmount,
+      excluded: file.excluded,
+      batches: batches.rows,
+    });
+  } catch (error) {
+    console.error('Error previewing disbursement:', error);
+    return res.status(500).json({ error: 'Failed to preview disbursement' });
+  }
+});
+
+router.post('/payroll-cycles/:cycleId/disbursement-file', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycleId } = req.params;
+    const { format = DEFAULT_DISBURSEMENT_FORMAT, debit_account, value_date } = req.body || {};
+
+    if (!getDisbursementFormat(format)) {
+      return res.status(400).json({ error: `Unknown disbursement format ${format}` });
+    }
+    if (value_date && Number.isNaN(new Date(value_date).getTime())) {
+      return res.status(400).json({ error: 'value_date must be a valid date' });
+    }
+
+    const cycleResult = await query(
+      'SELECT id, month, year, status FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
+      [cycleId, req.tenantId]
+    );
+    const cycle = cycleResult.rows[0];
+    if (!cycle) {
+      return res.status(404).json({ error: 'Payroll cycle not found' });
+    }
+    if (!DISBURSABLE_CYCLE_STATUSES.includes(cycle.status)) {
+      return res.status(400).json({ error: 'Bank files can only be generated for approved and processed payroll cycles' });
+    }
+
+    const rows = await getDisbursementRows(cycleId, req.tenantId);
+    const file = buildDisbursementFile({
+      formatId: format,
+      cycle,
+      rows,
+      debitAccount: debit_account,
+      valueDate: value_date,
+    });
+    if (file.payments.length === 0) {
+      return res.status(400).json({ error: 'No payable employees in this cycle', excluded: file.excluded });
+    }
+
+    const { rows: batchRows } = await query(
+      `INSERT INTO payroll.disbursement_batches (
+         tenant_id, payroll_cycle_id, format, file_name, checksum,
+         payment_count, total_amount, excluded_count, excluded, created_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        req.tenantId, cycleId, format, file.fileName, file.checksum,
+        file.payments.length, file.totalAmount, file.excluded.length, JSON.stringify(file.excluded), req.userId,
+      ]
+    );
+    const batchId = batchRows[0].id;
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_disbursement_batch_created',
+      entityType: 'disbursement_batch',
+      entityId: batchId,
+      details: {
+        payroll_cycle_id: cycleId,
+        format,
+        checksum: file.checksum,
+        payment_count: file.payments.length,
+        total_amount: file.totalAmount,
+        excluded: file.excluded.map(({ employee_code, reason }) => ({ employee_code, reason })),
+      },
+      ipAddress: req.ip,
+    });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.setHeader('X-Disbursement-Batch-Id', batchId);
+    res.setHeader('X-Disbursement-Checksum', file.checksum);
+    return res.send(file.content);
+  } catch (error) {
+    console.error('Error generating disbursement file:', error);
+    return res.status(500).json({ error: 'Failed to generate disbursement file' });
+  }
+});
+
+// Hold or release an employee's salary payout
+router.patch('/employees/:employeeId/payment-hold', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { on_hold, reason } = req.body;
+    if (typeof on_hold !== 'boolean') {
+      return res.status(400).json({ error: 'on_hold must be true or false' });
+    }
+    if (on_hold && !reason?.trim()) {
+      return res.status(400).json({ error: 'A reason is required to hold salary' });
+    }
+
+    const { rows } = await query(
+      `UPDATE payroll.employees
+       SET payment_hold = $1, payment_hold_reason = $2, updated_by = $3, updated_at = NOW()
+       WHERE id = $4 AND tenant_id = $5
+       RETURNING id, employee_code, payment_hold, payment_hold_reason`,
+      [on_hold, on_hold ? reason.trim() : null, req.userId, employeeId, req.tenantId]
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: on_hold ? 'payroll_payment_hold_added' : 'payroll_payment_hold_released',
+      entityType: 'employee',
+      entityId: employeeId,
+      details: { reason: rows[0].payment_hold_reason },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ employee: rows[0] });
+  } catch (error) {
+    console.error('Error updating payment hold:', error);
+    return res.status(500).json({ error: 'Failed to update payment hold' });
+  }
+});
+
+// ============================================================================
+// LOANS & SALARY ADVANCES
+// ============================================================================
+
+async function getTenantLoan(loanId, tenantId) {
+  const result = await query(
+    `SELECT l.*, e.employee_code, e.full_name, e.email
+     FROM payroll.employee_loans l
+     JOIN payroll.employees e ON e.id = l.employee_id
+     WHERE l.id = $1 AND l.tenant_id = $2`,
+    [loanId, tenantId]
+  );
+  return result.rows[0] || null;
+}
+
+// Recovery starts with the month after approval unless HR picks another month
+function defaultLoanStartMonth() {
+  const now = new Date();
+  return now.getMonth() === 11
+    ? { start_month: 1, start_year: now.getFullYear() + 1 }
+    : { start_month: now.getMonth() + 2, start_year: now.getFullYear() };
+}
+
+router.get('/loans/me', requireAuthWithTenant, async (req, res) => {
+  try {
+    const employeeId = await getPayrollEmployeeId(req.tenantId, req.userEmail);
+    if (!employeeId) {
+      return res.json({ loans: [] });
+    }
+
+    const result = await query(
+      `SELECT * FROM payroll.employee_loans
+       WHERE tenant_id = $1 AND employee_id = $2
+       ORDER BY created_at DESC`,
+      [req.tenantId, employeeId]
+    );
+    const loans = await Promise.all(result.rows.map(async loan => ({
+      ...loan,
+      statement: ['pending', 'rejected'].includes(loan.status) ? null : await getLoanStatement(loan),
+    })));
+
+    return res.json({ loans });
+  } catch (error) {
+    console.error('Error fetching employee loans:', error);
+    return res.status(500).json({ error: 'Failed to fetch loans' });
+  }
+});
+
+router.post('/loans/me', requireAuthWithTenant, async (req, res) => {
+  try {
+    const { loan_type = 'loan', principal, tenure_months, purpose } = req.body;
+    if (!LOAN_TYPES.includes(loan_type)) {
+      return res.status(400).json({ error: `loan_type must be one of: ${LOAN_TYPES.join(', ')}` });
+    }
+    const validationError = validateLoanTerms({ principal, tenure_months });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const employeeId = await getPayrollEmployeeId(req.tenantId, req.userEmail);
+    if (!employeeId) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const { rows } = await query(
+      `INSERT INTO payroll.employee_loans (
+         tenant_id, employee_id, loan_type, purpose, principal, tenure_months, status, requested_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7)
+       RETURNING *`,
+      [req.tenantId, employeeId, loan_type, purpose?.trim() || null, principal, tenure_months, req.userId]
+    );
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_loan_requested',
+      entityType: 'employee_loan',
+      entityId: rows[0].id,
+      details: { loan_type, principal: Number(principal), tenure_months: Number(tenure_months) },
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({ loan: rows[0] });
+  } catch (error) {
+    console.error('Error requesting loan:', error);
+    return res.status(500).json({ error: 'Failed to request loan' });
+  }
+});
+
+router.get('/loans', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const params = [req.tenantId];
+    let statusFilter = '';
+    if (req.query.status) {
+      params.push(req.query.status.toString());
+      statusFilter = `AND l.status = $${params.length}`;
+    }
+
+    const result = await query(
+      `SELECT l.*, e.employee_code, e.full_name
+       FROM payroll.employee_loans l
+       JOIN payroll.employees e ON e.id = l.employee_id
+       WHERE l.tenant_id = $1 ${statusFilter}
+       ORDER BY (l.status = 'pending') DESC, l.created_at DESC`,
+      params
+    );
+    return res.json({ loans: result.rows });
+  } catch (error) {
+    console.error('Error fetching loans:', error);
+    return res.status(500).json({ error: 'Failed to fetch loans' });
+  }
+});
+
+// HR grants a loan directly; it is active immediately
+router.post('/loans', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { employee_id, loan_type = 'loan', purpose, principal, tenure_months, interest_rate = 0, perquisite_rate } = req.body;
+    if (!employee_id) {
+      return res.status(400).json({ error: 'employee_id is required' });
+    }
+    if (!LOAN_TYPES.includes(loan_type)) {
+      return res.status(400).json({ error: `loan_type must be one of: ${LOAN_TYPES.join(', ')}` });
+    }
+    const validationError = validateLoanTerms(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const employee = await query(
+      'SELECT id FROM payroll.employees WHERE id = $1 AND tenant_id = $2',
+      [employee_id, req.tenantId]
+    );
+    if (!employee.rows[0]) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const { start_month, start_year } = req.body.start_month ? req.body : defaultLoanStartMonth();
+    const emi = computeEmi({ principal, annualRate: interest_rate, tenureMonths: tenure_months });
+    const { rows } = await query(
+      `INSERT INTO payroll.employee_loans (
+         tenant_id, employee_id, loan_type, purpose, principal, interest_rate, perquisite_rate,
+         tenure_months, emi_amount, start_month, start_year, outstanding_principal,
+         status, requested_by, approved_by, approved_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $5, 'active', $12, $12, NOW())
+       RETURNING *`,
+      [
+        req.tenantId, employee_id, loan_type, purpose?.trim() || null, principal, interest_rate,
+        perquisite_rate ?? null, tenure_months, emi, start_month, start_year, req.userId,
+      ]
+    );
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_loan_created',
+      entityType: 'employee_loan',
+      entityId: rows[0].id,
+      details: { employee_id, loan_type, principal: Number(principal), emi_amount: emi, start_month, start_year },
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({ loan: rows[0] });
+  } catch (error) {
+    console.error('Error creating loan:', error);
+    return res.status(500).json({ error: 'Failed to create loan' });
+  }
+});
+
+// Approve a requested loan; HR may revise the amount and tenure and sets the interest terms
+router.post('/loans/:loanId/approve', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const loan = await getTenantLoan(req.params.loanId, req.tenantId);
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+    if (loan.status !== 'pending') {
+      return res.status(400).json({ error: `Only pending loans can be approved (current status: ${loan.status})` });
+    }
+
+    const terms = {
+      principal: req.body.principal ?? loan.principal,
+      tenure_months: req.body.tenure_months ?? loan.tenure_months,
+      interest_rate: req.body.interest_rate ?? 0,
+      perquisite_rate: req.body.perquisite_rate ?? null,
+      ...(req.body.start_month ? { start_month: req.body.start_month, start_year: req.body.start_year } : defaultLoanStartMonth()),
+    };
+    const validationError = validateLoanTerms(terms);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const emi = computeEmi({ principal: terms.principal, annualRate: terms.interest_rate, tenureMonths: terms.tenure_months });
+    const { rows } = await query(
+      `UPDATE payroll.employee_loans
+       SET principal = $1, tenure_months = $2, interest_rate = $3, perquisite_rate = $4,
+           emi_amount = $5, start_month = $6, start_year = $7, outstanding_principal = $1,
+           status = 'active', approved_by = $8, approved_at = NOW(), updated_at = NOW()
+       WHERE id = $9 AND tenant_id = $10 AND status = 'pending'
+       RETURNING *`,
+      [
+        terms.principal, terms.tenure_months, terms.interest_rate, terms.perquisite_rate,
+        emi, terms.start_month, terms.start_year, req.userId, loan.id, req.tenantId,
+      ]
+    );
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_loan_approved',
+      entityType: 'employee_loan',
+      entityId: loan.id,
+      details: {
+        employee_id: loan.employee_id,
+        principal: Number(terms.principal),
+        tenure_months: Number(terms.tenure_months),
+        interest_rate: Number(terms.interest_rate),
+        emi_amount: emi,
+        start_month: terms.start_month,
+        start_year: terms.start_year,
+      },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ loan: rows[0] });
+  } catch (error) {
+    console.error('Error approving loan:', error);
+    return res.status(500).json({ error: 'Failed to approve loan' });
+  }
+});
+
+router.post('/loans/:loanId/reject', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to reject a loan' });
+    }
+
+    const { rows } = await query(
+      `UPDATE payroll.employee_loans
+       SET status = 'rejected', rejection_reason = $1, approved_by = $2, updated_at = NOW()
+       WHERE id = $3 AND tenant_id = $4 AND status = 'pending'
+       RETURNING *`,
+      [reason, req.userId, req.params.loanId, req.tenantId]
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ error: 'Pending loan not found' });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_loan_rejected',
+      entityType: 'employee_loan',
+      entityId: rows[0].id,
+      details: { employee_id: rows[0].employee_id, reason },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ loan: rows[0] });
+  } catch (error) {
+    console.error('Error rejecting loan:', error);
+    return res.status(500).json({ error: 'Failed to reject loan' });
+  }
+});
+
+// Skip one month's EMI; the remaining instalments move out by a month
+router.post('/loans/:loanId/skip', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const month = Number(req.body.month);
+    const year = Number(req.body.year);
+    if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year)) {
+      return res.status(400).json({ error: 'month (1-12) and year are required' });
+    }
+
+    const loan = await getTenantLoan(req.params.loanId, req.tenantId);
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+    if (loan.status !== 'active') {
+      return res.status(400).json({ error: 'Only active loans can skip an instalment' });
+    }
+
+    const processed = await query(
+      `SELECT 1 FROM payroll.loan_repayments r
+       JOIN payroll.payroll_cycles c ON c.id = r.payroll_cycle_id
+       WHERE r.loan_id = $1 AND r.month = $2 AND r.year = $3 AND c.status = ANY($4::text[])`,
+      [loan.id, month, year, FINALIZED_CYCLE_STATUSES]
+    );
+    if (processed.rows.length > 0) {
+      return res.status(400).json({ error: 'The instalment for this month has already been recovered' });
+    }
+
+    const { rows } = await query(
+      `INSERT INTO payroll.loan_emi_skips (tenant_id, loan_id, month, year, reason, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [req.tenantId, loan.id, month, year, req.body.reason?.trim() || null, req.userId]
+    );
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_loan_emi_skipped',
+      entityType: 'employee_loan',
+      entityId: loan.id,
+      details: { employee_id: loan.employee_id, month, year, reason: rows[0].reason },
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({ skip: rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This month is already skipped' });
+    }
+    console.error('Error skipping loan instalment:', error);
+    return res.status(500).json({ error: 'Failed to skip instalment' });
+  }
+});
+
+// Close a loan early, either by deducting the balance in the next payroll
+// or by recording a repayment the employee made directly
+router.post('/loans/:loanId/foreclose', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const recoverViaPayroll = req.body.recover_via_payroll !== false;
+    const loan = await getTenantLoan(req.params.loanId, req.tenantId);
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+    if (loan.status !== 'active') {
+      return res.status(400).json({ error: 'Only active loans can be foreclosed' });
+    }
+
+    const statement = await getLoanStatement(loan);
+    let updated;
+
+    if (recoverViaPayroll) {
+      const { rows } = await query(
+        `UPDATE payroll.employee_loans SET foreclose_in_payroll = true, updated_at = NOW()
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING *`,
+        [loan.id, req.tenantId]
+      );
+      updated = rows[0];
+    } else {
+      updated = await withClient(async (client) => {
+        await client.query('BEGIN');
+        try {
+          const now = new Date();
+          await client.query(
+            `INSERT INTO payroll.loan_repayments (
+               tenant_id, loan_id, payroll_cycle_id, month, year, repayment_type,
+               principal_amount, interest_amount, amount, created_by
+             ) VALUES ($1, $2, NULL, $3, $4, 'foreclosure', $5, 0, $5, $6)`,
+            [req.tenantId, loan.id, now.getMonth() + 1, now.getFullYear(), statement.outstanding, req.userId]
+          );
+          const { rows } = await client.query(
+            `UPDATE payroll.employee_loans
+             SET status = 'foreclosed', outstanding_principal = 0, closed_at = NOW(), updated_at = NOW()
+             WHERE id = $1 AND tenant_id = $2
+             RETURNING *`,
+            [loan.id, req.tenantId]
+          );
+          await client.query('COMMIT');
+          return rows[0];
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+      });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_loan_foreclosed',
+      entityType: 'employee_loan',
+      entityId: loan.id,
+      details: {
+        employee_id: loan.employee_id,
+        outstanding: statement.outstanding,
+        recover_via_payroll: recoverViaPayroll,
+        reason: req.body.reason?.trim() || null,
+      },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ loan: updated });
+  } catch (error) {
+    console.error('Error foreclosing loan:', error);
+    return res.status(500).json({ error: 'Failed to foreclose loan' });
+  }
+});
+
+// Outstanding-balance statement; employees can see their own loans
+router.get('/loans/:loanId/statement', requireAuthWithTenant, async (req, res) => {
+  try {
+    const loan = await getTenantLoan(req.params.loanId, req.tenantId);
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+
+    const isOwner = loan.email?.toLowerCase() === req.userEmail?.toLowerCase();
+    if (!isOwner) {
+      const canView = await isHR(req.userId) ||
+        await hasCapability(req.userId, CAPABILITIES.PAYROLL_RUN, { employeeId: loan.employee_id });
+      if (!canView) {
+        return res.status(403).json({ error: 'Not allowed to view this loan' });
+      }
+    }
+
+    return res.json({ loan, statement: await getLoanStatement(loan) });
+  } catch (error) {
+    console.error('Error fetching loan statement:', error);
+    return res.status(500).json({ error: 'Failed to fetch loan statement' });
+  }
+});
+
+// ============================================================================
+// EXPENSE CLAIMS & REIMBURSEMENTS
+// ============================================================================
+
+const receiptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_RECEIPT_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (RECEIPT_CONTENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Receipts must be a PDF, JPEG, PNG or WebP file'));
+    }
+  },
+});
+
+// Multer errors (size, type) become 400s instead of falling through to the app error handler
+function handleReceiptUpload(req, res, next) {
+  receiptUpload.single('receipt')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'Receipt must be 5 MB or smaller' : err.message });
+    }
+    next();
+  });
+}
+
+// Claims without the receipt bytes, for lists
+const EXPENSE_CLAIM_COLUMNS = `
+  c.id, c.employee_id, c.category_id, c.expense_date, c.amount, c.description,
+  c.receipt_file_name, c.status, c.payout_mode, c.payroll_cycle_id, c.payout_reference,
+  c.paid_at, c.approved_at, c.rejection_reason, c.created_at`;
+
+async function getHrEmployeeId(userId) {
+  const result = await query('SELECT id FROM employees WHERE user_id = $1', [userId]);
+  return result.rows[0]?.id || null;
+}
+
+router.get('/expense-categories', requireAuthWithTenant, async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true';
+    const result = await query(
+      `SELECT * FROM payroll.expense_categories
+       WHERE tenant_id = $1 ${includeInactive ? '' : 'AND is_active = true'}
+       ORDER BY name ASC`,
+      [req.tenantId]
+    );
+    return res.json({ categories: result.rows });
+  } catch (error) {
+    console.error('Error fetching expense categories:', error);
+    return res.status(500).json({ error: 'Failed to fetch expense categories' });
+  }
+});
+
+router.post('/expense-categories', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { name, description, per_claim_limit, monthly_limit, requires_receipt = true } = req.body;
+    if (!name?.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const validationError = validateExpenseCategory(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { rows } = await query(
+      `INSERT INTO payroll.expense_categories (
+         tenant_id, name, description, per_claim_limit, monthly_limit, requires_receipt, created_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        req.tenantId, name.trim(), description || null, per_claim_limit || null,
+        monthly_limit || null, requires_receipt !== false, req.userId,
+      ]
     );
-    
-    return res.json({ success: true, message: 'Payroll rejected' });
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_expense_category_created',
+      entityType: 'expense_category',
+      entityId: rows[0].id,
+      details: { name: rows[0].name, per_claim_limit, monthly_limit },
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({ category: rows[0] });
   } catch (error) {
-    console.error('Error rejecting payroll:', error);
-    return res.status(500).json({ error: 'Failed to reject payroll' });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An expense category with this name already exists' });
+    }
+    console.error('Error creating expense category:', error);
+    return res.status(500).json({ error: 'Failed to create expense category' });
+  }
+});
+
+router.patch('/expense-categories/:categoryId', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const validationError = validateExpenseCategory(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const fields = ['name', 'description', 'per_claim_limit', 'monthly_limit', 'requires_receipt', 'is_active'];
+    const updates = [];
+    const params = [];
+    for (const field of fields) {
+      if (req.body[field] === undefined) continue;
+      let value = req.body[field];
+      if (field === 'name') value = String(value).trim();
+      if (['per_claim_limit', 'monthly_limit'].includes(field) && value === '') value = null;
+      params.push(value);
+      updates.push(`${field} = $${params.length}`);
+    }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No changes given' });
+    }
+
+    params.push(req.params.categoryId, req.tenantId);
+    const { rows } = await query(
+      `UPDATE payroll.expense_categories
+       SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $${params.length - 1} AND tenant_id = $${params.length}
+       RETURNING *`,
+      params
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ error: 'Expense category not found' });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_expense_category_updated',
+      entityType: 'expense_category',
+      entityId: rows[0].id,
+      details: Object.fromEntries(fields.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]])),
+      ipAddress: req.ip,
+    });
+
+    return res.json({ category: rows[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An expense category with this name already exists' });
+    }
+    console.error('Error updating expense category:', error);
+    return res.status(500).json({ error: 'Failed to update expense category' });
+  }
+});
+
+router.get('/expense-claims/me', requireAuthWithTenant, async (req, res) => {
+  try {
+    const employeeId = await getPayrollEmployeeId(req.tenantId, req.userEmail);
+    if (!employeeId) {
+      return res.json({ claims: [] });
+    }
+
+    const result = await query(
+      `SELECT ${EXPENSE_CLAIM_COLUMNS}, cat.name AS category,
+              pc.month AS paid_month, pc.year AS paid_year
+       FROM payroll.expense_claims c
+       JOIN payroll.expense_categories cat ON cat.id = c.category_id
+       LEFT JOIN payroll.payroll_cycles pc ON pc.id = c.payroll_cycle_id
+       WHERE c.tenant_id = $1 AND c.employee_id = $2
+       ORDER BY c.expense_date DESC, c.created_at DESC`,
+      [req.tenantId, employeeId]
+    );
+    return res.json({ claims: result.rows });
+  } catch (error) {
+    console.error('Error fetching expense claims:', error);
+    return res.status(500).json({ error: 'Failed to fetch expense claims' });
+  }
+});
+
+router.post('/expense-claims/me', requireAuthWithTenant, handleReceiptUpload, async (req, res) => {
+  try {
+    const { category_id, expense_date, amount, description } = req.body;
+    if (!category_id || !expense_date || !amount) {
+      return res.status(400).json({ error: 'category_id, expense_date and amount are required' });
+    }
+    const expenseDate = new Date(expense_date);
+    if (Number.isNaN(expenseDate.getTime())) {
+      return res.status(400).json({ error: 'expense_date must be a valid date' });
+    }
+    if (expenseDate > new Date()) {
+      return res.status(400).json({ error: 'expense_date cannot be in the future' });
+    }
+
+    const employeeId = await getPayrollEmployeeId(req.tenantId, req.userEmail);
+    if (!employeeId) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const categoryResult = await query(
+      'SELECT * FROM payroll.expense_categories WHERE id = $1 AND tenant_id = $2',
+      [category_id, req.tenantId]
+    );
+    const category = categoryResult.rows[0];
+    if (!category) {
+      return res.status(404).json({ error: 'Expense category not found' });
+    }
+
+    const monthToDate = await getCategoryMonthToDate({
+      tenantId: req.tenantId,
+      employeeId,
+      categoryId: category.id,
+      expenseDate: expense_date,
+    });
+    const validationError = validateExpenseClaim({ category, amount, monthToDate, hasReceipt: !!req.file });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { rows } = await query(
+      `INSERT INTO payroll.expense_claims (
+         tenant_id, employee_id, category_id, expense_date, amount, description,
+         receipt_file_name, receipt_content_type, receipt_data, requested_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id, employee_id, category_id, expense_date, amount, description, receipt_file_name, status, created_at`,
+      [
+        req.tenantId, employeeId, category.id, expense_date, amount, description?.trim() || null,
+        req.file?.originalname || null, req.file?.mimetype || null, req.file?.buffer || null, req.userId,
+      ]
+    );
+    const claim = rows[0];
+
+    // Route through the shared approval chain; the threshold decides whether HR signs off too
+    try {
+      await create_approval('expense', Number(amount), req.userId, claim.id);
+    } catch (approvalError) {
+      await query('DELETE FROM payroll.expense_claims WHERE id = $1', [claim.id]);
+      return res.status(400).json({ error: `Could not route the claim for approval: ${approvalError.message}` });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_expense_claim_submitted',
+      entityType: 'expense_claim',
+      entityId: claim.id,
+      details: { category: category.name, amount: Number(amount), expense_date },
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({ claim: { ...claim, category: category.name } });
+  } catch (error) {
+    console.error('Error submitting expense claim:', error);
+    return res.status(500).json({ error: 'Failed to submit expense claim' });
+  }
+});
+
+// Claims waiting on the current user's approval stage
+router.get('/expense-claims/approvals', requireAuthWithTenant, async (req, res) => {
+  try {
+    const approverId = await getHrEmployeeId(req.userId);
+    if (!approverId) {
+      return res.json({ claims: [] });
+    }
+    const roleResult = await query(
+      `SELECT 1 FROM user_roles WHERE user_id = $1 AND role IN ('hr', 'ceo') LIMIT 1`,
+      [req.userId]
+    );
+
+    const result = await query(
+      `SELECT ${EXPENSE_CLAIM_COLUMNS}, cat.name AS category, e.employee_code, e.full_name,
+              a.approver_type, a.stage_index, a.total_stages
+       FROM payroll.expense_claims c
+       JOIN payroll.expense_categories cat ON cat.id = c.category_id
+       JOIN payroll.employees e ON e.id = c.employee_id
+       JOIN approvals a ON a.resource_type = 'expense' AND a.resource_id = c.id AND a.status = 'pending'
+       WHERE c.tenant_id = $1
+         AND c.status = 'pending'
+         AND a.stage_index = (
+           SELECT MIN(p.stage_index) FROM approvals p
+           WHERE p.resource_type = 'expense' AND p.resource_id = c.id AND p.status = 'pending'
+         )
+         AND (a.approver_id = $2 OR ($3 AND a.approver_type IN ('hr', 'ceo')))
+       ORDER BY c.created_at ASC`,
+      [req.tenantId, approverId, roleResult.rows.length > 0]
+    );
+    return res.json({ claims: result.rows });
+  } catch (error) {
+    console.error('Error fetching expense approvals:', error);
+    return res.status(500).json({ error: 'Failed to fetch expense approvals' });
+  }
+});
+
+router.get('/expense-claims', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const params = [req.tenantId];
+    let statusFilter = '';
+    if (req.query.status) {
+      params.push(req.query.status.toString());
+      statusFilter = `AND c.status = $${params.length}`;
+    }
+
+    const result = await query(
+      `SELECT ${EXPENSE_CLAIM_COLUMNS}, cat.name AS category, e.employee_code, e.full_name,
+              pc.month AS paid_month, pc.year AS paid_year
+       FROM payroll.expense_claims c
+       JOIN payroll.expense_categories cat ON cat.id = c.category_id
+       JOIN payroll.employees e ON e.id = c.employee_id
+       LEFT JOIN payroll.payroll_cycles pc ON pc.id = c.payroll_cycle_id
+       WHERE c.tenant_id = $1 ${statusFilter}
+       ORDER BY c.created_at DESC`,
+      params
+    );
+    return res.json({ claims: result.rows });
+  } catch (error) {
+    console.error('Error fetching expense claims:', error);
+    return res.status(500).json({ error: 'Failed to fetch expense claims' });
+  }
+});
+
+async function decideExpenseClaim(req, res, action) {
+  const comment = req.body.comment?.trim() || null;
+  if (action === 'reject' && !comment) {
+    return res.status(400).json({ error: 'A comment is required to reject a claim' });
+  }
+
+  const claimResult = await query(
+    'SELECT id, employee_id, amount, status FROM payroll.expense_claims WHERE id = $1 AND tenant_id = $2',
+    [req.params.claimId, req.tenantId]
+  );
+  const claim = claimResult.rows[0];
+  if (!claim) {
+    return res.status(404).json({ error: 'Expense claim not found' });
+  }
+  if (claim.status !== 'pending') {
+    return res.status(400).json({ error: `This claim is already ${claim.status}` });
+  }
+
+  const approverId = await getHrEmployeeId(req.userId);
+  if (!approverId) {
+    return res.status(403).json({ error: 'Employee record not found' });
+  }
+
+  const result = await apply_approval('expense', claim.id, approverId, action, comment);
+  if (!result.updated) {
+    return res.status(403).json({ error: result.reason });
+  }
+
+  let updated = claim;
+  if (result.final) {
+    const { rows } = await query(
+      `UPDATE payroll.expense_claims
+       SET status = $1,
+           approved_at = CASE WHEN $1 = 'approved' THEN NOW() ELSE NULL END,
+           rejection_reason = $2,
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING id, employee_id, amount, status, approved_at, rejection_reason`,
+      [result.status, action === 'reject' ? comment : null, claim.id]
+    );
+    updated = rows[0];
+  }
+
+  await auditPayroll({
+    actorId: req.userId,
+    tenantId: req.tenantId,
+    action: action === 'approve' ? 'payroll_expense_claim_approved' : 'payroll_expense_claim_rejected',
+    entityType: 'expense_claim',
+    entityId: claim.id,
+    details: { employee_id: claim.employee_id, amount: Number(claim.amount), final: result.final, comment },
+    ipAddress: req.ip,
+  });
+
+  return res.json({ claim: updated, workflow: result, next: await next_approver('expense', claim.id) });
+}
+
+router.post('/expense-claims/:claimId/approve', requireAuthWithTenant, async (req, res) => {
+  try {
+    return await decideExpenseClaim(req, res, 'approve');
+  } catch (error) {
+    console.error('Error approving expense claim:', error);
+    return res.status(500).json({ error: 'Failed to approve expense claim' });
+  }
+});
+
+router.post('/expense-claims/:claimId/reject', requireAuthWithTenant, async (req, res) => {
+  try {
+    return await decideExpenseClaim(req, res, 'reject');
+  } catch (error) {
+    console.error('Error rejecting expense claim:', error);
+    return res.status(500).json({ error: 'Failed to reject expense claim' });
+  }
+});
+
+// Choose whether an approved claim waits for the next payroll or is paid off-cycle
+router.patch('/expense-claims/:claimId/payout-mode', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { payout_mode } = req.body;
+    if (!EXPENSE_PAYOUT_MODES.includes(payout_mode)) {
+      return res.status(400).json({ error: `payout_mode must be one of: ${EXPENSE_PAYOUT_MODES.join(', ')}` });
+    }
+
+    const { rows } = await query(
+      `UPDATE payroll.expense_claims SET payout_mode = $1, updated_at = NOW()
+       WHERE id = $2 AND tenant_id = $3 AND status IN ('pending', 'approved') AND payroll_cycle_id IS NULL
+       RETURNING id, status, payout_mode`,
+      [payout_mode, req.params.claimId, req.tenantId]
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ error: 'Unpaid expense claim not found' });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_expense_claim_payout_mode_changed',
+      entityType: 'expense_claim',
+      entityId: rows[0].id,
+      details: { payout_mode },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ claim: rows[0] });
+  } catch (error) {
+    console.error('Error updating expense payout mode:', error);
+    return res.status(500).json({ error: 'Failed to update payout mode' });
+  }
+});
+
+// Record approved claims as paid outside payroll
+router.post('/expense-claims/off-cycle-payout', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { claim_ids, payout_reference } = req.body;
+    if (!Array.isArray(claim_ids) || claim_ids.length === 0) {
+      return res.status(400).json({ error: 'claim_ids must be a non-empty array' });
+    }
+    if (!payout_reference?.trim()) {
+      return res.status(400).json({ error: 'payout_reference is required' });
+    }
+
+    const { rows } = await query(
+      `UPDATE payroll.expense_claims
+       SET status = 'paid', payout_mode = 'off_cycle', payout_reference = $1, paid_at = NOW(), updated_at = NOW()
+       WHERE tenant_id = $2 AND id = ANY($3::uuid[]) AND status = 'approved' AND payroll_cycle_id IS NULL
+       RETURNING id, employee_id, amount`,
+      [payout_reference.trim(), req.tenantId, claim_ids]
+    );
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'None of the claims are approved and unpaid' });
+    }
+
+    const totalAmount = rows.reduce((sum, row) => sum + Number(row.amount), 0);
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_expense_claims_paid_off_cycle',
+      entityType: 'expense_claim',
+      entityId: null,
+      details: { claim_ids: rows.map(r => r.id), payout_reference: payout_reference.trim(), total_amount: totalAmount },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ paidCount: rows.length, totalAmount, skipped: claim_ids.length - rows.length });
+  } catch (error) {
+    console.error('Error paying expense claims off-cycle:', error);
+    return res.status(500).json({ error: 'Failed to record off-cycle payout' });
+  }
+});
+
+// Receipt download for the claimant, anyone on the approval chain, or payroll
+router.get('/expense-claims/:claimId/receipt', requireAuthWithTenant, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT c.id, c.employee_id, c.receipt_file_name, c.receipt_content_type, c.receipt_data, e.email
+       FROM payroll.expense_claims c
+       JOIN payroll.employees e ON e.id = c.employee_id
+       WHERE c.id = $1 AND c.tenant_id = $2`,
+      [req.params.claimId, req.tenantId]
+    );
+    const claim = result.rows[0];
+    if (!claim || !claim.receipt_data) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const isOwner = claim.email?.toLowerCase() === req.userEmail?.toLowerCase();
+    if (!isOwner) {
+      const approverId = await getHrEmployeeId(req.userId);
+      const onChain = approverId && (await query(
+        `SELECT 1 FROM approvals WHERE resource_type = 'expense' AND resource_id = $1 AND approver_id = $2 LIMIT 1`,
+        [claim.id, approverId]
+      )).rows.length > 0;
+      const canView = onChain || await isHR(req.userId) ||
+        await hasCapability(req.userId, CAPABILITIES.PAYROLL_RUN, { employeeId: claim.employee_id });
+      if (!canView) {
+        return res.status(403).json({ error: 'Not allowed to view this receipt' });
+      }
+    }
+
+    res.setHeader('Content-Type', claim.receipt_content_type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', contentDisposition('inline', claim.receipt_file_name, 'receipt'));
+    return res.send(claim.receipt_data);
+  } catch (error) {
+    console.error('Error downloading receipt:', error);
+    return res.status(500).json({ error: 'Failed to download receipt' });
   }
 });
 
@@ -1528,77 +4536,127 @@ router.get('/payslips/:payslipId/pdf', requireAuthWithTenant, async (req, res) =
       return res.status(403).json({ error: 'You can only download your own payslips' });
     }
     
-    // Get payslip details
-    const payslipResult = await query(
-      `SELECT 
-        pi.*,
-        e.full_name,
-        e.employee_code,
-        e.email,
-        e.designation,
-        e.department,
-        e.date_of_joining,
-        e.pan_number,
-        e.bank_account_number,
-        e.bank_ifsc,
-        e.bank_name,
-        pc.month,
-        pc.year,
-        pc.payday,
-        o.name as tenant_name
-      FROM payroll.payroll_items pi
-      JOIN payroll.employees e ON pi.employee_id = e.id
-      JOIN payroll.payroll_cycles pc ON pi.payroll_cycle_id = pc.id
-      LEFT JOIN organizations o ON e.tenant_id = o.id
-      WHERE pi.id = $1 
-        AND pi.tenant_id = $2`,
-      [payslipId, tenantId]
-    );
-    
-    if (payslipResult.rows.length === 0) {
+    const payslip = await loadPayslip(tenantId, payslipId);
+    if (!payslip) {
       return res.status(404).json({ error: 'Payslip not found' });
     }
     
-    const payslip = payslipResult.rows[0];
-    const monthName = new Date(2000, payslip.month - 1).toLocaleString('en-IN', { month: 'long' });
-    
-    // Create PDF
-    const doc = new PDFDocument({ margin: 40, size: 'A4' });
+    const pdf = await renderPayslipPdf(payslip);
     
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename="payslip-${payslip.employee_code}-${monthName}-${payslip.year}.pdf"`
-    );
-    
-    doc.pipe(res);
-    
-    // PDF content (simplified - full implementation would have proper formatting)
-    doc.fontSize(20).text('PAYSLIP', { align: 'center' });
-    doc.moveDown();
-    doc.fontSize(12).text(`Employee: ${payslip.full_name}`, { align: 'left' });
-    doc.text(`Code: ${payslip.employee_code}`);
-    doc.text(`Period: ${monthName} ${payslip.year}`);
-    doc.moveDown();
-    doc.text(`Gross Salary: ₹${Number(payslip.gross_salary).toFixed(2)}`);
-    doc.text(`Deductions: ₹${Number(payslip.deductions).toFixed(2)}`);
-    doc.text(`Net Salary: ₹${Number(payslip.net_salary).toFixed(2)}`);
-    
-    doc.end();
+    res.setHeader('Content-Disposition', `attachment; filename="${payslipFileName(payslip)}"`);
+    res.send(pdf);
     
     // Audit log
     await auditPayroll({
       actorId: req.userId,
       tenantId,
-      action: 'payroll_payslip_viewed',
+      action: 'payroll_payslip_viewed',
+      entityType: 'payslip',
+      entityId: payslipId,
+      details: { format: 'pdf' },
+      ipAddress: req.ip,
+    });
+  } catch (error) {
+    console.error('Error generating payslip PDF:', error);
+    return res.status(500).json({ error: 'Failed to generate payslip PDF' });
+  }
+});
+
+// ============================================================================
+// PAYSLIP EMAILS
+// ============================================================================
+
+router.get('/payroll-cycles/:cycleId/payslip-emails', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT d.id, d.payroll_item_id, d.employee_id, d.email, d.status, d.attempts,
+              d.next_attempt_at, d.last_error, d.sent_at, d.updated_at,
+              e.full_name, e.employee_code
+       FROM payroll.payslip_deliveries d
+       JOIN payroll.employees e ON e.id = d.employee_id
+       WHERE d.payroll_cycle_id = $1 AND d.tenant_id = $2
+       ORDER BY e.full_name ASC`,
+      [req.params.cycleId, req.tenantId]
+    );
+    const summary = { pending: 0, sending: 0, sent: 0, failed: 0 };
+    for (const delivery of result.rows) {
+      summary[delivery.status]++;
+    }
+    return res.json({ deliveries: result.rows, summary });
+  } catch (error) {
+    console.error('Error fetching payslip deliveries:', error);
+    return res.status(500).json({ error: 'Failed to fetch payslip deliveries' });
+  }
+});
+
+// Email every payslip on an approved cycle; sending continues in the background
+router.post('/payroll-cycles/:cycleId/payslip-emails', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { cycleId } = req.params;
+    const tenantId = req.tenantId;
+
+    const cycleResult = await query(
+      'SELECT id, month, year, status FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
+      [cycleId, tenantId]
+    );
+    const cycle = cycleResult.rows[0];
+    if (!cycle) {
+      return res.status(404).json({ error: 'Payroll cycle not found' });
+    }
+    if (!FINALIZED_CYCLE_STATUSES.includes(cycle.status)) {
+      return res.status(400).json({ error: 'Payslips can only be emailed once the payroll cycle is approved' });
+    }
+
+    const { queued, skipped } = await queueCyclePayslipEmails({ tenantId, cycleId, actorId: req.userId });
+
+    runPayslipDeliveries({ tenantId, cycleId }).catch(error => {
+      console.error('Error sending payslip emails:', error);
+    });
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId,
+      action: 'payroll_payslip_emails_queued',
+      entityType: 'payroll_cycle',
+      entityId: cycleId,
+      details: { month: cycle.month, year: cycle.year, queued, skipped },
+      ipAddress: req.ip,
+    });
+
+    return res.status(202).json({ queued, skipped });
+  } catch (error) {
+    console.error('Error queueing payslip emails:', error);
+    return res.status(500).json({ error: 'Failed to queue payslip emails' });
+  }
+});
+
+router.post('/payslip-emails/:deliveryId/resend', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const tenantId = req.tenantId;
+    const delivery = await resetDelivery({ tenantId, deliveryId: req.params.deliveryId, actorId: req.userId });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Payslip delivery not found or currently sending' });
+    }
+
+    runPayslipDeliveries({ tenantId, cycleId: delivery.payroll_cycle_id }).catch(error => {
+      console.error('Error resending payslip email:', error);
+    });
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId,
+      action: 'payroll_payslip_email_resent',
       entityType: 'payslip',
-      entityId: payslipId,
-      details: { format: 'pdf' },
+      entityId: delivery.payroll_item_id,
+      details: { deliveryId: delivery.id, email: delivery.email },
       ipAddress: req.ip,
     });
+
+    return res.status(202).json({ delivery });
   } catch (error) {
-    console.error('Error generating payslip PDF:', error);
-    return res.status(500).json({ error: 'Failed to generate payslip PDF' });
+    console.error('Error resending payslip email:', error);
+    return res.status(500).json({ error: 'Failed to resend payslip email' });
   }
 });
 
@@ -1639,7 +4697,21 @@ router.post('/tax-declarations', requireAuthWithTenant, async (req, res) => {
   try {
     const tenantId = req.tenantId;
     const email = req.userEmail;
-    const { financial_year, section_80c, section_80d, section_24b, other_deductions } = req.body;
+    const { financial_year, section_80c, section_80d, section_24b, other_deductions, tax_regime } = req.body;
+    
+    if (!financial_year) {
+      return res.status(400).json({ error: 'financial_year is required' });
+    }
+    
+    if (tax_regime && !TAX_REGIMES.includes(tax_regime)) {
+      return res.status(400).json({ error: `tax_regime must be one of: ${TAX_REGIMES.join(', ')}` });
+    }
+    
+    // Declarations are locked outside the tenant's window for the year
+    const windowError = checkDeclarationWindow(await getDeclarationWindow(tenantId, financial_year), new Date());
+    if (windowError) {
+      return res.status(409).json({ error: windowError });
+    }
     
     // Get employee ID
     const emp = await query(
@@ -1658,18 +4730,19 @@ router.post('/tax-declarations', requireAuthWithTenant, async (req, res) => {
     const { rows } = await query(
       `INSERT INTO payroll.tax_declarations (
         tenant_id, employee_id, financial_year,
-        section_80c, section_80d, section_24b, other_deductions, total_deductions
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        section_80c, section_80d, section_24b, other_deductions, total_deductions, tax_regime
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       ON CONFLICT (employee_id, financial_year) DO UPDATE SET
         section_80c = EXCLUDED.section_80c,
         section_80d = EXCLUDED.section_80d,
         section_24b = EXCLUDED.section_24b,
         other_deductions = EXCLUDED.other_deductions,
         total_deductions = EXCLUDED.total_deductions,
+        tax_regime = EXCLUDED.tax_regime,
         updated_at = NOW()
       RETURNING *`,
       [tenantId, employeeId, financial_year, section_80c || 0, section_80d || 0, 
-       section_24b || 0, other_deductions || 0, totalDeductions]
+       section_24b || 0, other_deductions || 0, totalDeductions, tax_regime || 'new']
     );
     
     return res.json({ taxDeclaration: rows[0] });
@@ -1679,6 +4752,105 @@ router.post('/tax-declarations', requireAuthWithTenant, async (req, res) => {
   }
 });
 
+router.get('/tax-configurations', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const now = new Date();
+    const financialYear = req.query.financial_year
+      ? req.query.financial_year.toString()
+      : getFinancialYear(now.getMonth() + 1, now.getFullYear());
+    
+    // Effective configuration (tenant override or statutory default) for both regimes
+    const [oldRegime, newRegime] = await Promise.all([
+      loadTaxConfig(req.tenantId, financialYear, 'old'),
+      loadTaxConfig(req.tenantId, financialYear, 'new'),
+    ]);
+    
+    return res.json({ financialYear, regimes: { old: oldRegime, new: newRegime } });
+  } catch (error) {
+    console.error('Error fetching tax configurations:', error);
+    return res.status(500).json({ error: 'Failed to fetch tax configurations' });
+  }
+});
+
+router.post('/tax-configurations', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const {
+      financial_year,
+      regime,
+      tax_slabs,
+      standard_deduction,
+      rebate,
+      surcharge_thresholds,
+      cess_rate,
+      deduction_limits,
+    } = req.body;
+    
+    if (!financial_year || !regime || !Array.isArray(tax_slabs) || tax_slabs.length === 0) {
+      return res.status(400).json({ error: 'financial_year, regime and tax_slabs are required' });
+    }
+    
+    if (!TAX_REGIMES.includes(regime)) {
+      return res.status(400).json({ error: `regime must be one of: ${TAX_REGIMES.join(', ')}` });
+    }
+    
+    const invalidSlab = tax_slabs.some((slab, index) => {
+      const isLast = index === tax_slabs.length - 1;
+      const rate = Number(slab.rate);
+      if (Number.isNaN(rate) || rate < 0 || rate > 100) return true;
+      if (isLast) return slab.upto !== null && slab.upto !== undefined;
+      return !(Number(slab.upto) > (index > 0 ? Number(tax_slabs[index - 1].upto) : 0));
+    });
+    if (invalidSlab) {
+      return res.status(400).json({
+        error: 'tax_slabs must have ascending upper limits, rates between 0 and 100, and an open-ended last slab (upto: null)',
+      });
+    }
+    
+    const { rows } = await query(
+      `INSERT INTO payroll.tax_configurations (
+        tenant_id, financial_year, regime, tax_slabs, standard_deduction,
+        rebate, surcharge_thresholds, cess_rate, deduction_limits, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (tenant_id, financial_year, regime) DO UPDATE SET
+        tax_slabs = EXCLUDED.tax_slabs,
+        standard_deduction = EXCLUDED.standard_deduction,
+        rebate = EXCLUDED.rebate,
+        surcharge_thresholds = EXCLUDED.surcharge_thresholds,
+        cess_rate = EXCLUDED.cess_rate,
+        deduction_limits = EXCLUDED.deduction_limits,
+        updated_at = NOW()
+      RETURNING *`,
+      [
+        req.tenantId,
+        financial_year,
+        regime,
+        JSON.stringify(tax_slabs),
+        standard_deduction || 0,
+        JSON.stringify(rebate || {}),
+        JSON.stringify(surcharge_thresholds || []),
+        cess_rate ?? 4.0,
+        JSON.stringify(deduction_limits || {}),
+        req.userId,
+      ]
+    );
+    
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_tax_configuration_updated',
+      entityType: 'tax_configuration',
+      entityId: rows[0].id,
+      details: { financial_year, regime },
+      ipAddress: req.ip,
+    });
+    
+    return res.json({ taxConfiguration: rows[0] });
+  } catch (error) {
+    console.error('Error saving tax configuration:', error);
+    return res.status(500).json({ error: 'Failed to save tax configuration' });
+  }
+});
+
 router.get('/tax-documents', requireAuthWithTenant, async (req, res) => {
   try {
     const tenantId = req.tenantId;
@@ -1697,7 +4869,11 @@ router.get('/tax-documents', requireAuthWithTenant, async (req, res) => {
     const employeeId = emp.rows[0].id;
     
     const result = await query(
-      'SELECT * FROM payroll.tax_documents WHERE tenant_id = $1 AND employee_id = $2 ORDER BY uploaded_at DESC',
+      `SELECT id, tenant_id, employee_id, document_type, document_url, financial_year,
+              file_name, content_type, metadata, uploaded_at, created_at
+       FROM payroll.tax_documents
+       WHERE tenant_id = $1 AND employee_id = $2
+       ORDER BY uploaded_at DESC`,
       [tenantId, employeeId]
     );
     
@@ -1708,5 +4884,446 @@ router.get('/tax-documents', requireAuthWithTenant, async (req, res) => {
   }
 });
 
-export default router;
+// ============================================================================
+// INVESTMENT PROOFS
+// ============================================================================
+
+// Proofs are stored like expense receipts, under the 'proof' field
+function handleProofUpload(req, res, next) {
+  receiptUpload.single('proof')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'Proof must be 5 MB or smaller' : err.message });
+    }
+    next();
+  });
+}
+
+// Proofs without the file bytes, for lists
+const TAX_PROOF_COLUMNS = `
+  p.id, p.employee_id, p.financial_year, p.section, p.description, p.amount,
+  p.landlord_name, p.landlord_pan, p.rent_from, p.rent_to, p.file_name, p.status,
+  p.verified_amount, p.review_comment, p.reviewed_at, p.created_at`;
+
+function currentFinancialYear() {
+  const now = new Date();
+  return getFinancialYear(now.getMonth() + 1, now.getFullYear());
+}
+
+router.get('/tax-declaration-windows', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT * FROM payroll.tax_declaration_windows WHERE tenant_id = $1 ORDER BY financial_year DESC',
+      [req.tenantId]
+    );
+    return res.json({ windows: result.rows });
+  } catch (error) {
+    console.error('Error fetching declaration windows:', error);
+    return res.status(500).json({ error: 'Failed to fetch declaration windows' });
+  }
+});
+
+router.put('/tax-declaration-windows/:financialYear', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { financialYear } = req.params;
+    const { declaration_opens_on, declaration_closes_on, proof_cutoff_date } = req.body;
+    if (!isValidFinancialYear(financialYear)) {
+      return res.status(400).json({ error: 'financial_year must look like 2025-26' });
+    }
+    if (declaration_opens_on && declaration_closes_on && declaration_opens_on > declaration_closes_on) {
+      return res.status(400).json({ error: 'declaration_opens_on must be on or before declaration_closes_on' });
+    }
+
+    const { rows } = await query(
+      `INSERT INTO payroll.tax_declaration_windows (
+         tenant_id, financial_year, declaration_opens_on, declaration_closes_on, proof_cutoff_date, updated_by
+       ) VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (tenant_id, financial_year) DO UPDATE SET
+         declaration_opens_on = EXCLUDED.declaration_opens_on,
+         declaration_closes_on = EXCLUDED.declaration_closes_on,
+         proof_cutoff_date = EXCLUDED.proof_cutoff_date,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+       RETURNING *`,
+      [
+        req.tenantId, financialYear, declaration_opens_on || null, declaration_closes_on || null,
+        proof_cutoff_date || null, req.userId,
+      ]
+    );
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_tax_declaration_window_updated',
+      entityType: 'tax_declaration_window',
+      entityId: rows[0].id,
+      details: { financial_year: financialYear, declaration_opens_on, declaration_closes_on, proof_cutoff_date },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ window: rows[0] });
+  } catch (error) {
+    console.error('Error saving declaration window:', error);
+    return res.status(500).json({ error: 'Failed to save declaration window' });
+  }
+});
+
+router.get('/tax-proofs/me', requireAuthWithTenant, async (req, res) => {
+  try {
+    const financialYear = req.query.financial_year ? req.query.financial_year.toString() : currentFinancialYear();
+    const window = await getDeclarationWindow(req.tenantId, financialYear);
+    const employeeId = await getPayrollEmployeeId(req.tenantId, req.userEmail);
+    if (!employeeId) {
+      return res.json({ financialYear, window, sections: PROOF_SECTIONS, proofs: [] });
+    }
+
+    const result = await query(
+      `SELECT ${TAX_PROOF_COLUMNS}
+       FROM payroll.tax_proofs p
+       WHERE p.tenant_id = $1 AND p.employee_id = $2 AND p.financial_year = $3
+       ORDER BY p.created_at DESC`,
+      [req.tenantId, employeeId, financialYear]
+    );
+    return res.json({ financialYear, window, sections: PROOF_SECTIONS, proofs: result.rows });
+  } catch (error) {
+    console.error('Error fetching investment proofs:', error);
+    return res.status(500).json({ error: 'Failed to fetch investment proofs' });
+  }
+});
+
+router.post('/tax-proofs/me', requireAuthWithTenant, handleProofUpload, async (req, res) => {
+  try {
+    const { financial_year, section, description, amount, landlord_name, landlord_pan, rent_from, rent_to } = req.body;
+    if (!isValidFinancialYear(financial_year)) {
+      return res.status(400).json({ error: 'financial_year must look like 2025-26' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'A proof document is required' });
+    }
+
+    const employeeId = await getPayrollEmployeeId(req.tenantId, req.userEmail);
+    if (!employeeId) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const window = await getDeclarationWindow(req.tenantId, financial_year);
+    if (isAfterProofCutoff(window, new Date())) {
+      return res.status(409).json({ error: `Proof submission for ${financial_year} closed on ${toDateKey(window.proof_cutoff_date)}` });
+    }
+
+    const otherRent = section === 'HRA' ? await getClaimedRent(req.tenantId, employeeId, financial_year) : 0;
+    const validationError = validateProof(
+      { section, amount, landlord_name, landlord_pan, rent_from, rent_to },
+      { otherRent }
+    );
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const isRent = section === 'HRA';
+    const { rows } = await query(
+      `INSERT INTO payroll.tax_proofs (
+         tenant_id, employee_id, financial_year, section, description, amount,
+         landlord_name, landlord_pan, rent_from, rent_to,
+         file_name, content_type, file_data, submitted_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING id, employee_id, financial_year, section, description, amount,
+         landlord_name, landlord_pan, rent_from, rent_to, file_name, status, created_at`,
+      [
+        req.tenantId, employeeId, financial_year, section, description?.trim() || null, amount,
+        isRent ? landlord_name.trim() : null,
+        isRent ? landlord_pan?.trim().toUpperCase() || null : null,
+        isRent ? rent_from : null,
+        isRent ? rent_to : null,
+        req.file.originalname, req.file.mimetype, req.file.buffer, req.userId,
+      ]
+    );
+    const proof = rows[0];
 
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_tax_proof_submitted',
+      entityType: 'tax_proof',
+      entityId: proof.id,
+      details: { financial_year, section, amount: Number(amount) },
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({ proof });
+  } catch (error) {
+    console.error('Error submitting investment proof:', error);
+    return res.status(500).json({ error: 'Failed to submit investment proof' });
+  }
+});
+
+router.get('/tax-proofs', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const financialYear = req.query.financial_year ? req.query.financial_year.toString() : currentFinancialYear();
+    const status = req.query.status ? req.query.status.toString() : null;
+    if (status && !PROOF_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${PROOF_STATUSES.join(', ')}` });
+    }
+
+    const result = await query(
+      `SELECT ${TAX_PROOF_COLUMNS}, e.employee_code, e.full_name, TRIM(CONCAT(r.first_name, ' ', r.last_name)) AS reviewed_by_name
+       FROM payroll.tax_proofs p
+       JOIN payroll.employees e ON e.id = p.employee_id
+       LEFT JOIN profiles r ON r.id = p.reviewed_by
+       WHERE p.tenant_id = $1 AND p.financial_year = $2 AND ($3::text IS NULL OR p.status = $3)
+       ORDER BY p.created_at`,
+      [req.tenantId, financialYear, status]
+    );
+    const window = await getDeclarationWindow(req.tenantId, financialYear);
+    return res.json({ financialYear, window, sections: PROOF_SECTIONS, proofs: result.rows });
+  } catch (error) {
+    console.error('Error fetching investment proofs:', error);
+    return res.status(500).json({ error: 'Failed to fetch investment proofs' });
+  }
+});
+
+// Verify and reject share the checks; only the stored outcome differs
+async function reviewProof(req, res, action) {
+  try {
+    const { verified_amount, comment } = req.body;
+    const result = await query(
+      'SELECT id, employee_id, financial_year, section, amount, status FROM payroll.tax_proofs WHERE id = $1 AND tenant_id = $2',
+      [req.params.id, req.tenantId]
+    );
+    const proof = result.rows[0];
+    if (!proof) {
+      return res.status(404).json({ error: 'Proof not found' });
+    }
+
+    const reviewError = checkProofReview(proof, action, { verified_amount, comment });
+    if (reviewError) {
+      return res.status(400).json({ error: reviewError });
+    }
+
+    const verify = action === 'verify';
+    const verifiedAmount = verify
+      ? (verified_amount === undefined || verified_amount === null || verified_amount === '' ? proof.amount : verified_amount)
+      : null;
+    const { rows } = await query(
+      `UPDATE payroll.tax_proofs
+       SET status = $1, verified_amount = $2, review_comment = $3, reviewed_by = $4, reviewed_at = NOW()
+       WHERE id = $5 AND tenant_id = $6 AND status = 'submitted'
+       RETURNING id, status, amount, verified_amount, review_comment, reviewed_at`,
+      [verify ? 'verified' : 'rejected', verifiedAmount, comment?.trim() || null, req.userId, proof.id, req.tenantId]
+    );
+    if (!rows[0]) {
+      return res.status(409).json({ error: 'Proof was reviewed by someone else' });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: verify ? 'payroll_tax_proof_verified' : 'payroll_tax_proof_rejected',
+      entityType: 'tax_proof',
+      entityId: proof.id,
+      details: {
+        employee_id: proof.employee_id,
+        financial_year: proof.financial_year,
+        section: proof.section,
+        amount: Number(proof.amount),
+        verified_amount: verifiedAmount === null ? null : Number(verifiedAmount),
+        comment: comment?.trim() || null,
+      },
+      ipAddress: req.ip,
+    });
+
+    return res.json({ proof: rows[0], message: verify ? 'Proof verified' : 'Proof rejected' });
+  } catch (error) {
+    console.error(`Error reviewing investment proof (${action}):`, error);
+    return res.status(500).json({ error: 'Failed to review investment proof' });
+  }
+}
+
+router.post('/tax-proofs/:id/verify', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), (req, res) =>
+  reviewProof(req, res, 'verify')
+);
+
+router.post('/tax-proofs/:id/reject', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), (req, res) =>
+  reviewProof(req, res, 'reject')
+);
+
+router.get('/tax-proofs/:id/file', requireAuthWithTenant, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT p.employee_id, p.file_name, p.content_type, p.file_data, e.email
+       FROM payroll.tax_proofs p
+       JOIN payroll.employees e ON e.id = p.employee_id
+       WHERE p.id = $1 AND p.tenant_id = $2`,
+      [req.params.id, req.tenantId]
+    );
+    const proof = result.rows[0];
+    if (!proof) {
+      return res.status(404).json({ error: 'Proof not found' });
+    }
+
+    const isOwner = proof.email?.toLowerCase() === req.userEmail?.toLowerCase();
+    if (!isOwner) {
+      const canView = await isHR(req.userId) ||
+        await hasCapability(req.userId, CAPABILITIES.PAYROLL_RUN, { employeeId: proof.employee_id });
+      if (!canView) {
+        return res.status(403).json({ error: 'Not allowed to view this proof' });
+      }
+    }
+
+    res.setHeader('Content-Type', proof.content_type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', contentDisposition('inline', proof.file_name, 'proof'));
+    return res.send(proof.file_data);
+  } catch (error) {
+    console.error('Error downloading investment proof:', error);
+    return res.status(500).json({ error: 'Failed to download investment proof' });
+  }
+});
+
+// ============================================================================
+// ANNUAL TAX STATEMENTS
+// ============================================================================
+
+// Queue statement generation for every employee paid in the financial year
+router.post('/tax-documents/annual-statements', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { financial_year } = req.body;
+    if (!isValidFinancialYear(financial_year)) {
+      return res.status(400).json({ error: 'financial_year must look like 2025-26' });
+    }
+
+    const { rows } = await query(
+      `INSERT INTO payroll.tax_document_jobs (tenant_id, financial_year, created_by)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [req.tenantId, financial_year, req.userId]
+    );
+    const job = rows[0];
+
+    runAnnualStatementJob(job.id, req.tenantId, financial_year, req.userId)
+      .catch(error => {
+        console.error('Error running annual tax statement job:', error);
+        query(
+          `UPDATE payroll.tax_document_jobs
+           SET status = 'failed', errors = errors || $2::jsonb, completed_at = now()
+           WHERE id = $1`,
+          [job.id, JSON.stringify([{ error: error.message || 'Job failed' }])]
+        ).catch(err => {
+          console.error('Error updating tax document job status:', err);
+        });
+      });
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_annual_statements_queued',
+      entityType: 'tax_document_job',
+      entityId: job.id,
+      details: { financial_year },
+      ipAddress: req.ip,
+    });
+
+    return res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error queuing annual tax statements:', error);
+    return res.status(500).json({ error: 'Failed to queue annual tax statements' });
+  }
+});
+
+router.get('/tax-documents/jobs/:jobId', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { rows } = await query(
+      'SELECT * FROM payroll.tax_document_jobs WHERE id = $1 AND tenant_id = $2',
+      [req.params.jobId, req.tenantId]
+    );
+    if (!rows[0]) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    return res.json({ job: rows[0] });
+  } catch (error) {
+    console.error('Error fetching tax document job:', error);
+    return res.status(500).json({ error: 'Failed to fetch tax document job' });
+  }
+});
+
+// Generate (or regenerate) a single employee's statement
+router.post('/tax-documents/annual-statements/:employeeId', requireAuthWithTenant, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { financial_year } = req.body;
+    if (!isValidFinancialYear(financial_year)) {
+      return res.status(400).json({ error: 'financial_year must look like 2025-26' });
+    }
+
+    const document = await generateAnnualStatement({
+      tenantId: req.tenantId,
+      employeeId,
+      financialYear: financial_year,
+      actorId: req.userId,
+    });
+    if (!document) {
+      return res.status(404).json({ error: 'No processed payroll found for this employee in the financial year' });
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId: req.tenantId,
+      action: 'payroll_annual_statement_generated',
+      entityType: 'tax_document',
+      entityId: document.id,
+      details: { employee_id: employeeId, financial_year },
+      ipAddress: req.ip,
+    });
+
+    return res.status(201).json({ taxDocument: document });
+  } catch (error) {
+    console.error('Error generating annual tax statement:', error);
+    return res.status(500).json({ error: 'Failed to generate annual tax statement' });
+  }
+});
+
+router.get('/tax-documents/:documentId/download', requireAuthWithTenant, async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const tenantId = req.tenantId;
+
+    const { rows } = await query(
+      `SELECT td.id, td.employee_id, td.file_name, td.content_type, td.file_data, td.financial_year,
+              e.email
+       FROM payroll.tax_documents td
+       JOIN payroll.employees e ON e.id = td.employee_id
+       WHERE td.id = $1 AND td.tenant_id = $2`,
+      [documentId, tenantId]
+    );
+    const document = rows[0];
+    if (!document || !document.file_data) {
+      return res.status(404).json({ error: 'Tax document not found' });
+    }
+
+    const isOwner = document.email?.toLowerCase() === req.userEmail?.toLowerCase();
+    if (!isOwner) {
+      const canAccess = await isHR(req.userId) ||
+        await hasCapability(req.userId, CAPABILITIES.PAYROLL_RUN, { employeeId: document.employee_id });
+      if (!canAccess) {
+        return res.status(403).json({ error: 'You can only download your own tax documents' });
+      }
+    }
+
+    await auditPayroll({
+      actorId: req.userId,
+      tenantId,
+      action: 'payroll_tax_document_downloaded',
+      entityType: 'tax_document',
+      entityId: documentId,
+      details: { financial_year: document.financial_year },
+      ipAddress: req.ip,
+    });
+
+    res.setHeader('Content-Type', document.content_type || 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${document.file_name || `tax-document-${documentId}.pdf`}"`);
+    return res.send(document.file_data);
+  } catch (error) {
+    console.error('Error downloading tax document:', error);
+    return res.status(500).json({ error: 'Failed to download tax document' });
+  }
+});
+
+export default router;
@@ -10,6 +10,14 @@ import { query } from '../db/pool.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import { requireCapability, CAPABILITIES } from '../policy/authorize.js';
 import { audit } from '../utils/auditLog.js';
+import { checkPeriodLock } from '../services/payroll/cycle-lifecycle.js';
+import {
+  computeHourlyPay,
+  getHourlyPayRules,
+  getPayableEntries,
+  saveHourlyPayRules,
+  validateHourlyPayRules,
+} from '../services/payroll/hourly-pay.js';
 import { Parser } from 'json2csv';
 
 const router = express.Router();
@@ -47,10 +55,48 @@ const ensurePayrollTables = async () => {
       created_at TIMESTAMPTZ NOT NULL DEFAULT now()
     );
 
+    ALTER TABLE payroll_run_employees ADD COLUMN IF NOT EXISTS regular_hours DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE payroll_run_employees ADD COLUMN IF NOT EXISTS overtime_hours DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE payroll_run_employees ADD COLUMN IF NOT EXISTS night_hours DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE payroll_run_employees ADD COLUMN IF NOT EXISTS holiday_hours DECIMAL(10,2) DEFAULT 0;
+    ALTER TABLE payroll_run_employees ADD COLUMN IF NOT EXISTS line_items JSONB NOT NULL DEFAULT '[]'::jsonb;
+    ALTER TABLE payroll_run_employees ADD COLUMN IF NOT EXISTS timesheet_entry_ids UUID[] NOT NULL DEFAULT '{}';
+
+    -- Overtime, night shift and holiday rules for hourly workers
+    CREATE TABLE IF NOT EXISTS hourly_pay_rules (
+      tenant_id UUID PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+      -- NULL: employees without their own rate are reported as exceptions
+      default_rate_cents BIGINT CHECK (default_rate_cents >= 0),
+      daily_overtime_hours DECIMAL(5,2) NOT NULL DEFAULT 8,
+      weekly_overtime_hours DECIMAL(5,2) NOT NULL DEFAULT 40,
+      overtime_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.5 CHECK (overtime_multiplier >= 1),
+      night_start TIME NOT NULL DEFAULT '22:00',
+      night_end TIME NOT NULL DEFAULT '06:00',
+      night_differential_percent DECIMAL(5,2) NOT NULL DEFAULT 10,
+      holiday_multiplier DECIMAL(4,2) NOT NULL DEFAULT 2 CHECK (holiday_multiplier >= 1),
+      deduction_percent DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (deduction_percent BETWEEN 0 AND 100),
+      updated_by UUID REFERENCES profiles(id),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    ALTER TABLE hourly_pay_rules ALTER COLUMN default_rate_cents DROP NOT NULL;
+    ALTER TABLE hourly_pay_rules ALTER COLUMN default_rate_cents DROP DEFAULT;
+    ALTER TABLE hourly_pay_rules ALTER COLUMN deduction_percent SET DEFAULT 0;
+
+    CREATE TABLE IF NOT EXISTS employee_hourly_rates (
+      employee_id UUID PRIMARY KEY REFERENCES employees(id) ON DELETE CASCADE,
+      tenant_id UUID REFERENCES organizations(id) ON DELETE CASCADE NOT NULL,
+      rate_cents BIGINT NOT NULL CHECK (rate_cents >= 0),
+      updated_by UUID REFERENCES profiles(id),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
     CREATE INDEX IF NOT EXISTS idx_payroll_runs_tenant ON payroll_runs(tenant_id);
     CREATE INDEX IF NOT EXISTS idx_payroll_runs_status ON payroll_runs(status);
     CREATE INDEX IF NOT EXISTS idx_payroll_run_employees_run ON payroll_run_employees(payroll_run_id);
     CREATE INDEX IF NOT EXISTS idx_payroll_run_employees_employee ON payroll_run_employees(employee_id);
+    CREATE INDEX IF NOT EXISTS idx_employee_hourly_rates_tenant ON employee_hourly_rates(tenant_id);
   `).catch(err => {
     if (!err.message.includes('already exists')) {
       console.error('Error creating payroll tables:', err);
@@ -276,44 +322,50 @@ router.post('/runs/:id/process', authenticateToken, requireCapability(CAPABILITI
       ['processing', id]
     );
 
-    // Get approved timesheets for this pay period
-    const timesheetsResult = await query(
-      `SELECT 
-        t.id,
-        t.employee_id,
-        t.total_hours,
-        e.employee_id as emp_id
-       FROM timesheets t
-       JOIN employees e ON e.id = t.employee_id
-       WHERE t.tenant_id = $1
-       AND t.status = 'approved'
-       AND t.week_start_date >= $2
-       AND t.week_end_date <= $3`,
-      [run.tenant_id, run.pay_period_start, run.pay_period_end]
-    );
+    // Split approved timesheet entries into regular, overtime, night and holiday pay
+    const rules = await getHourlyPayRules(run.tenant_id);
+    const orgResult = await query('SELECT timezone FROM organizations WHERE id = $1', [run.tenant_id]);
+    const timeZone = orgResult.rows[0]?.timezone || 'UTC';
+    const payable = await getPayableEntries(run.tenant_id, run.pay_period_start, run.pay_period_end);
 
-    // Process each employee (simplified - would need actual rate calculation)
     let totalAmount = 0;
     let totalEmployees = 0;
+    let exceptions = 0;
 
-    for (const ts of timesheetsResult.rows) {
-      // Get employee rate (placeholder - would come from employee compensation table)
-      const rateCents = 5000 * 100; // $50/hour placeholder
-      const hours = parseFloat(ts.total_hours) || 0;
-      const grossPayCents = Math.round(hours * rateCents);
-      const deductionsCents = Math.round(grossPayCents * 0.2); // 20% placeholder
-      const netPayCents = grossPayCents - deductionsCents;
+    for (const employee of payable) {
+      const rateCents = employee.rate_cents ?? rules.default_rate_cents;
+      const pay = computeHourlyPay(employee.entries, rateCents, rules, timeZone);
+      const entryIds = employee.entries.map(entry => entry.id);
+      const status = rateCents !== null && rateCents > 0 ? 'processed' : 'exception';
 
       await query(
         `INSERT INTO payroll_run_employees (
           payroll_run_id, employee_id, hours, rate_cents,
-          gross_pay_cents, deductions_cents, net_pay_cents, status
+          gross_pay_cents, deductions_cents, net_pay_cents, status, exception_reason,
+          regular_hours, overtime_hours, night_hours, holiday_hours, line_items, timesheet_entry_ids
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [id, ts.employee_id, hours, rateCents, grossPayCents, deductionsCents, netPayCents, 'processed']
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+        [
+          id, employee.employee_id, pay.total_hours, rateCents,
+          pay.gross_pay_cents, pay.deductions_cents, pay.net_pay_cents, status,
+          status === 'exception' ? 'No hourly rate set for employee' : null,
+          pay.regular_hours, pay.overtime_hours, pay.night_hours, pay.holiday_hours,
+          JSON.stringify(pay.line_items), entryIds,
+        ]
       );
 
-      totalAmount += netPayCents;
+      if (status === 'exception') {
+        exceptions++;
+        continue;
+      }
+
+      // Paid entries are not picked up by a later run
+      await query(
+        `UPDATE timesheet_entries SET payroll_status = 'processed' WHERE id = ANY($1::uuid[])`,
+        [entryIds]
+      );
+
+      totalAmount += pay.net_pay_cents;
       totalEmployees++;
     }
 
@@ -331,10 +383,10 @@ router.post('/runs/:id/process', authenticateToken, requireCapability(CAPABILITI
       action: 'payroll_run_processed',
       entityType: 'payroll_run',
       entityId: id,
-      details: { total_employees: totalEmployees, total_amount_cents: totalAmount },
+      details: { total_employees: totalEmployees, total_amount_cents: totalAmount, exceptions, rules },
     });
 
-    res.json({ success: true, message: 'Payroll run processed successfully' });
+    res.json({ success: true, message: 'Payroll run processed successfully', exceptions });
   } catch (error) {
     console.error('Error processing payroll run:', error);
     res.status(500).json({ error: error.message || 'Failed to process payroll run' });
@@ -366,12 +418,32 @@ router.post('/runs/:id/rollback', authenticateToken, requireCapability(CAPABILIT
       return res.status(400).json({ error: 'Only completed payroll runs can be rolled back' });
     }
 
+    // A locked payroll cycle is corrected through a reopen request instead
+    const lockError = await checkPeriodLock({
+      tenantId: run.tenant_id,
+      startDate: run.pay_period_start,
+      endDate: run.pay_period_end,
+    });
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
     // Update status
     await query(
       'UPDATE payroll_runs SET status = $1 WHERE id = $2',
       ['rolled_back', id]
     );
 
+    // Release the run's timesheet entries so a new run can pay them
+    await query(
+      `UPDATE timesheet_entries SET payroll_status = 'pending_for_payroll'
+       WHERE id IN (
+         SELECT unnest(timesheet_entry_ids) FROM payroll_run_employees
+         WHERE payroll_run_id = $1 AND status = 'processed'
+       )`,
+      [id]
+    );
+
     // Delete payroll run employees (or mark as excluded)
     await query(
       'UPDATE payroll_run_employees SET status = $1 WHERE payroll_run_id = $2',
@@ -395,6 +467,123 @@ router.post('/runs/:id/rollback', authenticateToken, requireCapability(CAPABILIT
   }
 });
 
+// Get hourly pay rules
+router.get('/hourly-pay-rules', authenticateToken, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const tenantResult = await query(
+      'SELECT tenant_id FROM profiles WHERE id = $1',
+      [req.user.id]
+    );
+    const tenantId = tenantResult.rows[0]?.tenant_id;
+
+    if (!tenantId) {
+      return res.status(403).json({ error: 'No organization found' });
+    }
+
+    res.json(await getHourlyPayRules(tenantId));
+  } catch (error) {
+    console.error('Error fetching hourly pay rules:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch hourly pay rules' });
+  }
+});
+
+// Update hourly pay rules
+router.put('/hourly-pay-rules', authenticateToken, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const tenantResult = await query(
+      'SELECT tenant_id FROM profiles WHERE id = $1',
+      [req.user.id]
+    );
+    const tenantId = tenantResult.rows[0]?.tenant_id;
+
+    if (!tenantId) {
+      return res.status(403).json({ error: 'No organization found' });
+    }
+
+    const fields = [
+      'default_rate_cents', 'daily_overtime_hours', 'weekly_overtime_hours', 'overtime_multiplier',
+      'night_start', 'night_end', 'night_differential_percent', 'holiday_multiplier', 'deduction_percent',
+    ];
+    const updates = Object.fromEntries(fields.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+
+    const validationError = validateHourlyPayRules(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const rules = await saveHourlyPayRules(tenantId, updates, req.user.id);
+
+    // Audit log
+    await audit({
+      actorId: req.user.id,
+      action: 'hourly_pay_rules_updated',
+      entityType: 'hourly_pay_rules',
+      entityId: tenantId,
+      details: updates,
+    });
+
+    res.json(rules);
+  } catch (error) {
+    console.error('Error updating hourly pay rules:', error);
+    res.status(500).json({ error: error.message || 'Failed to update hourly pay rules' });
+  }
+});
+
+// Set an employee's hourly rate
+router.put('/hourly-rates/:employeeId', authenticateToken, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { rate_cents } = req.body;
+
+    if (!Number.isInteger(Number(rate_cents)) || Number(rate_cents) < 0) {
+      return res.status(400).json({ error: 'rate_cents must be a whole number of cents, zero or more' });
+    }
+
+    const tenantResult = await query(
+      'SELECT tenant_id FROM profiles WHERE id = $1',
+      [req.user.id]
+    );
+    const tenantId = tenantResult.rows[0]?.tenant_id;
+
+    if (!tenantId) {
+      return res.status(403).json({ error: 'No organization found' });
+    }
+
+    const employeeResult = await query(
+      'SELECT id FROM employees WHERE id = $1 AND tenant_id = $2',
+      [employeeId, tenantId]
+    );
+    if (employeeResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const result = await query(
+      `INSERT INTO employee_hourly_rates (employee_id, tenant_id, rate_cents, updated_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (employee_id) DO UPDATE SET
+         rate_cents = EXCLUDED.rate_cents,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = now()
+       RETURNING *`,
+      [employeeId, tenantId, Number(rate_cents), req.user.id]
+    );
+
+    // Audit log
+    await audit({
+      actorId: req.user.id,
+      action: 'employee_hourly_rate_updated',
+      entityType: 'employee',
+      entityId: employeeId,
+      details: { rate_cents: Number(rate_cents) },
+    });
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating hourly rate:', error);
+    res.status(500).json({ error: error.message || 'Failed to update hourly rate' });
+  }
+});
+
 // Export approved timesheets for payroll
 router.get('/export/timesheets', authenticateToken, requireCapability(CAPABILITIES.PAYROLL_RUN), async (req, res) => {
   try {
@@ -1,6 +1,7 @@
 import express from 'express';
 import { query } from '../db/pool.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { getLeaveBalances } from '../services/leave-ledger.js';
 
 const router = express.Router();
 
@@ -115,7 +116,7 @@ router.get('/leave-balance', authenticateToken, async (req, res) => {
     const tenantId = tenantResult.rows[0]?.tenant_id;
 
     if (!tenantId) {
-      return res.json({ leaveBalance: 0, totalLeaves: 0, approvedLeaves: 0 });
+      return res.json({ leaveBalance: 0, totalLeaves: 0, approvedLeaves: 0, balances: [] });
     }
 
     // Get employee ID
@@ -125,40 +126,24 @@ router.get('/leave-balance', authenticateToken, async (req, res) => {
     );
 
     if (empResult.rows.length === 0) {
-      return res.json({ leaveBalance: 0, totalLeaves: 0, approvedLeaves: 0 });
+      return res.json({ leaveBalance: 0, totalLeaves: 0, approvedLeaves: 0, balances: [] });
     }
 
     const employeeId = empResult.rows[0].id;
 
-    // Get all leave policies for the tenant
-    const policiesResult = await query(
-      'SELECT id, annual_entitlement FROM leave_policies WHERE tenant_id = $1 AND is_active = true',
-      [tenantId]
-    );
-
-    let totalLeaves = 0;
-    const policyIds = policiesResult.rows.map(p => p.id);
-    
-    if (policyIds.length > 0) {
-      totalLeaves = policiesResult.rows.reduce((sum, p) => sum + (p.annual_entitlement || 0), 0);
-    }
-
-    // Get approved leave requests for current year
-    const currentYear = new Date().getFullYear();
-    const approvedLeavesResult = await query(
-      `SELECT COALESCE(SUM(total_days), 0) as days FROM leave_requests 
-       WHERE employee_id = $1 AND status = 'approved' 
-       AND EXTRACT(YEAR FROM start_date) = $2`,
-      [employeeId, currentYear]
-    );
-
-    const approvedLeaves = parseInt(approvedLeavesResult.rows[0]?.days || '0');
-    const leaveBalance = totalLeaves - approvedLeaves;
+    // Balances come from the leave ledger, per leave type
+    const { leaveYear, balances } = await getLeaveBalances({ tenantId, employeeId });
+    const sumDays = (field) => Math.round(balances.reduce((sum, b) => sum + b[field], 0) * 100) / 100;
+    const totalLeaves = sumDays('credited');
+    const approvedLeaves = sumDays('used');
+    const leaveBalance = sumDays('balance');
 
     res.json({
       leaveBalance: Math.max(0, leaveBalance), // Ensure non-negative
       totalLeaves,
       approvedLeaves,
+      leaveYear,
+      balances,
     });
   } catch (error) {
     console.error('Error fetching leave balance:', error);
@@ -2,6 +2,7 @@ import express from 'express';
 import { query } from '../db/pool.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { injectHolidayRowsIntoTimesheet, selectEmployeeHolidays } from '../services/holidays.js';
+import { checkPeriodLock } from '../services/payroll/cycle-lifecycle.js';
 
 // Helper function to auto-persist holiday entries
 async function persistHolidayEntries(timesheetId, orgId, employee, month, existingEntries) {
@@ -424,6 +425,11 @@ router.post('/', authenticateToken, async (req, res) => {
 
     const { id: employeeId, tenant_id: tenantId } = empResult.rows[0];
 
+    const lockError = await checkPeriodLock({ tenantId, startDate: weekStart, endDate: weekEnd });
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
     await query('BEGIN');
 
     try {
@@ -653,6 +659,15 @@ router.post('/:id/approve', authenticateToken, async (req, res) => {
 
     const timesheet = timesheetResult.rows[0];
 
+    const lockError = await checkPeriodLock({
+      tenantId: timesheet.tenant_id,
+      startDate: timesheet.week_start_date,
+      endDate: timesheet.week_end_date,
+    });
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
     // Check permission based on role
     if (role === 'manager') {
       // Managers can only approve timesheets from their direct reports
@@ -1,4 +1,5 @@
 import { query } from '../../db/pool.js';
+import { evaluateLeaveRequest } from '../leave-rules.js';
 import { authenticateToken } from '../../middleware/auth.js';
 
 /**
@@ -112,7 +113,10 @@ export async function listEmployees(filters, userId, tenantId) {
 export async function getMyLeaveRequests(userId, tenantId) {
   try {
     // Get employee ID for current user
-    const empResult = await query('SELECT id FROM employees WHERE user_id = $1 AND tenant_id = $2', [userId, tenantId]);
+    const empResult = await query(
+      'SELECT id, state, holiday_override FROM employees WHERE user_id = $1 AND tenant_id = $2',
+      [userId, tenantId]
+    );
     if (empResult.rows.length === 0) {
       return { error: 'Employee record not found for user' };
     }
@@ -623,7 +627,7 @@ export async function createLeaveRequest(args, userId, tenantId) {
     const leaveTypeName = leaveTypeMap[leave_type.toLowerCase()] || leave_type;
     
     const policyResult = await query(
-      `SELECT id FROM leave_policies 
+      `SELECT id, name, half_day_allowed, hourly_allowed, hours_per_day, rules FROM leave_policies 
        WHERE tenant_id = $1 AND LOWER(name) LIKE LOWER($2) AND is_active = true
        LIMIT 1`,
       [tenantId, `%${leaveTypeName}%`]
@@ -635,23 +639,37 @@ export async function createLeaveRequest(args, userId, tenantId) {
 
     const leaveTypeId = policyResult.rows[0].id;
 
-    // Calculate total days
-    const start = new Date(start_date);
-    const end = new Date(end_date);
-    const timeDiff = end.getTime() - start.getTime();
-    const totalDays = Math.ceil(timeDiff / (1000 * 60 * 60 * 24)) + 1;
-
-    if (totalDays <= 0) {
-      return { error: 'End date must be after start date' };
+    // Working days only, checked against the leave policy's rules
+    const duration = await evaluateLeaveRequest({
+      tenantId,
+      employee: empResult.rows[0],
+      policy: policyResult.rows[0],
+      startDate: start_date,
+      endDate: end_date,
+    });
+    if (duration.error) {
+      return { error: duration.error };
+    }
+    if (duration.violations.length > 0) {
+      return { error: duration.violations.map(v => v.message).join('. ') };
     }
 
     // Create leave request
     const result = await query(
       `INSERT INTO leave_requests 
-       (tenant_id, employee_id, leave_type_id, start_date, end_date, total_days, reason, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
+       (tenant_id, employee_id, leave_type_id, start_date, end_date, total_days, reason, status, day_breakdown)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', $8::jsonb)
        RETURNING id, start_date, end_date, total_days, status, submitted_at`,
-      [tenantId, employeeId, leaveTypeId, start_date, end_date, totalDays, reason || null]
+      [
+        tenantId,
+        employeeId,
+        leaveTypeId,
+        start_date,
+        end_date,
+        duration.totalDays,
+        reason || null,
+        JSON.stringify(duration.breakdown),
+      ]
     );
 
     const leaveRequest = result.rows[0];
@@ -659,7 +677,7 @@ export async function createLeaveRequest(args, userId, tenantId) {
     // Create approval workflow if needed
     try {
       const { create_approval } = await import('../../approval_flow.js');
-      await create_approval('leave', leaveRequest.total_days, userId, leaveRequest.id);
+      await create_approval('leave', duration.totalDays, userId, leaveRequest.id);
     } catch (approvalError) {
       console.warn('Could not create approval workflow:', approvalError.message);
       // Continue even if approval creation fails
@@ -3,6 +3,7 @@ import { parse } from 'csv-parse/sync';
 import XLSX from 'xlsx';
 import crypto from 'crypto';
 import { selectEmployeeHolidays } from './holidays.js';
+import { checkPeriodLock } from './payroll/cycle-lifecycle.js';
 
 /**
  * Process attendance upload file (CSV or Excel)
@@ -90,6 +91,19 @@ export async function processAttendanceUpload(uploadId, fileBuffer, filename, te
           continue;
         }
 
+        // Rows in a locked payroll month cannot change processed pay
+        const lockError = await checkPeriodLock({ tenantId, startDate: normalized.work_date });
+        if (lockError) {
+          await query(
+            `UPDATE attendance_upload_rows 
+             SET status = 'failed', error_message = $1
+             WHERE upload_id = $2 AND row_number = $3`,
+            [lockError, uploadId, rowNumber]
+          );
+          failedCount++;
+          continue;
+        }
+
         // Check if date is a weekend (Saturday = 6, Sunday = 0)
         const workDate = new Date(normalized.work_date);
         const dayOfWeek = workDate.getDay();
@@ -30,8 +30,11 @@ async function initTransporter() {
     },
   };
 
-  // If no SMTP config, use console for dev
-  if (!smtpConfig.auth.user || !smtpConfig.auth.pass) {
+  // A local SMTP sink (e.g. Mailpit in docker-compose) accepts mail without credentials
+  if (process.env.SMTP_HOST && !smtpConfig.auth.user) {
+    delete smtpConfig.auth;
+  } else if (!smtpConfig.auth.user || !smtpConfig.auth.pass) {
+    // If no SMTP config, use console for dev
     console.warn('⚠️  SMTP not configured. Emails will be logged to console.');
     return null;
   }
@@ -149,6 +152,90 @@ If you need help, please contact your HR department.
   }
 }
 
+/**
+ * Send an employee their payslip as a password-protected PDF attachment.
+ * Throws when the SMTP server rejects the message so the caller can retry.
+ * @param {object} params
+ * @param {string} params.to - Employee email
+ * @param {string} params.employeeName - Employee full name
+ * @param {string} params.orgName - Organization name
+ * @param {string} params.period - Pay period label, e.g. "March 2025"
+ * @param {string} params.passwordHint - How the PDF password is formed
+ * @param {Buffer} params.pdf - Encrypted payslip PDF
+ * @param {string} params.filename - Attachment file name
+ */
+export async function sendPayslipEmail({ to, employeeName, orgName, period, passwordHint, pdf, filename }) {
+  const emailFrom = process.env.EMAIL_FROM || 'HR Portal <no-reply@example.com>';
+  const subject = `Your payslip for ${period}`;
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #4f46e5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+        .footer { text-align: center; margin-top: 20px; color: #6b7280; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Payslip for ${period}</h1>
+        </div>
+        <div class="content">
+          <p>Hello ${employeeName},</p>
+          <p>Your payslip for <strong>${period}</strong> is attached.</p>
+          <p>The PDF is password protected. ${passwordHint}</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated message from ${orgName || 'your'} payroll.</p>
+          <p>If you have questions about your pay, please contact your HR department.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const textContent = `
+Payslip for ${period}
+
+Hello ${employeeName},
+
+Your payslip for ${period} is attached.
+
+The PDF is password protected. ${passwordHint}
+
+---
+This is an automated message from ${orgName || 'your'} payroll.
+If you have questions about your pay, please contact your HR department.
+  `;
+
+  const emailTransporter = await initTransporter();
+
+  if (!emailTransporter) {
+    console.log('\n=== PAYSLIP EMAIL (Dev Mode) ===');
+    console.log('To:', to);
+    console.log('Subject:', subject);
+    console.log('Attachment:', filename, `(${pdf.length} bytes)`);
+    console.log('================================\n');
+    return { success: true, messageId: null, message: 'Email logged to console' };
+  }
+
+  const info = await emailTransporter.sendMail({
+    from: emailFrom,
+    to,
+    subject,
+    text: textContent,
+    html: htmlContent,
+    attachments: [{ filename, content: pdf, contentType: 'application/pdf' }],
+  });
+  return { success: true, messageId: info.messageId };
+}
+
 /**
  * Verify email transporter configuration
  */
@@ -168,6 +255,7 @@ export async function verifyEmailConfig() {
 
 export default {
   sendInviteEmail,
+  sendPayslipEmail,
   verifyEmailConfig,
 };
 
@@ -37,7 +37,14 @@ export async function selectEmployeeHolidays({ orgId, employee, year, month }) {
   const allHolidays = [...nationals, ...regionals]; // No .slice() - get all
   
   // filter to month
-  const picksThisMonth = allHolidays.filter(h => String(h.date).startsWith(`${year}-${String(month).padStart(2,'0')}`));
+  // pg returns DATE columns as local-midnight Date objects, so format before matching
+  const monthPrefix = `${year}-${String(month).padStart(2,'0')}`;
+  const picksThisMonth = allHolidays.filter(h => {
+    const d = h.date instanceof Date
+      ? `${h.date.getFullYear()}-${String(h.date.getMonth() + 1).padStart(2,'0')}-${String(h.date.getDate()).padStart(2,'0')}`
+      : String(h.date);
+    return d.startsWith(monthPrefix);
+  });
   return picksThisMonth;
 }
 
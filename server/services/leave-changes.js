@@ -0,0 +1,234 @@
+/**
+ * Leave Changes
+ *
+ * Approved leave can be cancelled or changed once plans change. Cancelling
+ * gives the days back to the leave ledger. Shortening leave within its
+ * approved dates applies straight away and reverses the days it removes; any
+ * other change (moving or adding days) is checked against the leave type's
+ * rules and filed as a new request that replaces the approved one and goes
+ * through approval, and the original is cancelled when it is approved. HR can
+ * override the rules with a reason. Employees can cancel leave that has not
+ * started and change leave that is not over without touching the days
+ * already taken; HR can change any approved leave. Unpaid leave changed in a
+ * month whose payroll is approved or locked becomes a pay adjustment on the
+ * next cycle (see services/payroll/leave-adjustments.js).
+ */
+
+import { query, withClient } from '../db/pool.js';
+import { postLeaveDebit, postLeaveReversal } from './leave-ledger.js';
+import { recordLeavePayAdjustments } from './payroll/leave-adjustments.js';
+import { toDateKey } from './payroll/working-calendar.js';
+
+function shiftDateKey(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  return toDateKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * Check whether a leave request can be cancelled (no change) or changed
+ *
+ * @param {Object} params
+ * @param {Object} params.leave - Leave request with status and start/end dates
+ * @param {{ start_date: string, end_date: string }|null} [params.change] - New dates, null to cancel
+ * @param {string} params.today - YYYY-MM-DD
+ * @param {boolean} [params.isHr=false]
+ * @param {boolean} [params.hasPendingChange=false] - A replacement request is waiting for approval
+ * @returns {string|null} Error message, or null when allowed
+ */
+export function checkLeaveChange({ leave, change = null, today, isHr = false, hasPendingChange = false }) {
+  if (leave.status !== 'approved') return 'Only approved leave can be cancelled or changed';
+  if (hasPendingChange) return 'A change to this leave is already waiting for approval';
+  if (isHr) return null;
+
+  const startKey = toDateKey(leave.start_date);
+  const started = startKey <= today;
+  if (!change) {
+    return started ? 'Leave that has started can be shortened but not cancelled' : null;
+  }
+  if (toDateKey(leave.end_date) < today) return 'Leave that is over cannot be changed';
+  if (started) {
+    if (toDateKey(change.start_date) !== startKey) return 'The start date of leave that has started cannot be changed';
+    // Days up to yesterday have been taken
+    if (toDateKey(change.end_date) < shiftDateKey(today, -1)) return 'Days of leave already taken cannot be removed';
+  } else if (toDateKey(change.start_date) < today) {
+    return 'Leave cannot be moved to a date that has passed';
+  }
+  return null;
+}
+
+// Approved requests waiting on a change of their own
+export async function hasPendingLeaveChange(leaveRequestId) {
+  const result = await query(
+    `SELECT 1 FROM leave_requests WHERE replaces_leave_id = $1 AND status = 'pending' LIMIT 1`,
+    [leaveRequestId]
+  );
+  return result.rows.length > 0;
+}
+
+// Cancel inside the caller's transaction
+async function cancelLeave(client, { leave, policy, actorId, reason, replacement }) {
+  const updated = await client.query(
+    `UPDATE leave_requests
+     SET status = 'cancelled', cancelled_by = $1, cancelled_at = now(), cancellation_reason = $2
+     WHERE id = $3 AND status = 'approved'`,
+    [actorId, reason || (replacement ? 'Replaced by a changed request' : null), leave.id]
+  );
+  if (updated.rowCount === 0) throw new Error('Only approved leave can be cancelled or changed');
+
+  await postLeaveReversal(client, leave.id, Number(leave.total_days), {
+    actorId,
+    description: replacement ? 'Replaced by a changed request' : 'Cancelled leave',
+  });
+  return recordLeavePayAdjustments(client, {
+    tenantId: leave.tenant_id,
+    leave,
+    policy,
+    before: leave.day_breakdown || [],
+    after: replacement?.day_breakdown || [],
+    actorId,
+  });
+}
+
+/**
+ * Cancel an approved leave request, giving its days back. The ledger
+ * reversal, status change and pay adjustments are saved together.
+ *
+ * @param {Object} params
+ * @param {Object} params.leave - Leave request row
+ * @param {Object} params.policy - Its leave policy with name and leave_type
+ * @returns {Promise<{ adjustments: Array }>} Pay adjustments recorded
+ */
+export async function cancelApprovedLeave({ leave, policy, actorId, reason = null }) {
+  return withClient(async (client) => {
+    await client.query('BEGIN');
+    try {
+      const adjustments = await cancelLeave(client, { leave, policy, actorId, reason, replacement: null });
+      await client.query('COMMIT');
+      return { adjustments };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  });
+}
+
+/**
+ * Mark a leave request approved once its last approval stage is through and
+ * debit its days. An approved change cancels the leave it replaces, with
+ * unpaid days compared against the replacement's. Either all of it is saved
+ * or none of it is.
+ *
+ * @param {Object} params
+ * @param {string} params.leaveId
+ * @param {string} params.reviewerId - Employee id of the approver
+ * @param {string} params.actorId - User id of the approver
+ * @returns {Promise<{ leave: Object, adjustments: Array }>}
+ */
+export async function approveLeaveRequest({ leaveId, reviewerId, actorId }) {
+  return withClient(async (client) => {
+    await client.query('BEGIN');
+    try {
+      const approved = await client.query(
+        `UPDATE leave_requests SET status = 'approved', reviewed_by = $1, reviewed_at = now()
+         WHERE id = $2 AND status = 'pending'
+         RETURNING *`,
+        [reviewerId, leaveId]
+      );
+      const leave = approved.rows[0];
+      if (!leave) throw new Error('Only pending leave requests can be approved');
+
+      // Approved days come off the leave type's balance
+      await postLeaveDebit(client, leave.id, actorId);
+
+      let adjustments = [];
+      if (leave.replaces_leave_id) {
+        const originalResult = await client.query(
+          `SELECT lr.*, lp.name AS policy_name, lp.leave_type AS policy_leave_type
+           FROM leave_requests lr
+           LEFT JOIN leave_policies lp ON lp.id = lr.leave_type_id
+           WHERE lr.id = $1
+           FOR UPDATE OF lr`,
+          [leave.replaces_leave_id]
+        );
+        const original = originalResult.rows[0];
+        if (original?.status !== 'approved') {
+          throw new Error('The leave this change replaces is no longer approved');
+        }
+        adjustments = await cancelLeave(client, {
+          leave: original,
+          policy: { name: original.policy_name, leave_type: original.policy_leave_type },
+          actorId,
+          reason: null,
+          replacement: leave,
+        });
+      }
+
+      await client.query('COMMIT');
+      return { leave, adjustments };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  });
+}
+
+/**
+ * Shorten an approved request in place, reversing the days it removes. The
+ * reversal goes to the leave year the request was debited in.
+ *
+ * @param {Object} params
+ * @param {Object} params.change - start_date, end_date, start_session, end_session,
+ *   hours, totalDays and breakdown of the changed leave
+ * @returns {Promise<{ leave: Object, adjustments: Array }>}
+ */
+export async function applyLeaveChange({ leave, policy, change, actorId }) {
+  return withClient(async (client) => {
+    await client.query('BEGIN');
+    try {
+      await postLeaveReversal(client, leave.id, Number(leave.total_days) - change.totalDays, {
+        actorId,
+        description: 'Shortened leave',
+      });
+      const result = await client.query(
+        `UPDATE leave_requests
+         SET start_date = $1, end_date = $2, start_session = $3, end_session = $4,
+             leave_hours = $5, total_days = $6, day_breakdown = $7::jsonb
+         WHERE id = $8 AND status = 'approved'
+         RETURNING *`,
+        [
+          change.start_date,
+          change.end_date,
+          change.start_session,
+          change.end_session,
+          change.hours,
+          change.totalDays,
+          JSON.stringify(change.breakdown),
+          leave.id,
+        ]
+      );
+      if (result.rows.length === 0) throw new Error('Only approved leave can be cancelled or changed');
+
+      const adjustments = await recordLeavePayAdjustments(client, {
+        tenantId: leave.tenant_id,
+        leave,
+        policy,
+        before: leave.day_breakdown || [],
+        after: change.breakdown,
+        actorId,
+      });
+      await client.query('COMMIT');
+      return { leave: result.rows[0], adjustments };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  });
+}
+
+export default {
+  checkLeaveChange,
+  hasPendingLeaveChange,
+  cancelApprovedLeave,
+  approveLeaveRequest,
+  applyLeaveChange,
+};
@@ -0,0 +1,214 @@
+/**
+ * Leave Duration
+ *
+ * Works out how many days a leave request costs from the employee's working
+ * calendar: weekly offs of their shift (or the org pattern), and published
+ * holidays from selectEmployeeHolidays, cost nothing. The first and last day
+ * can be a half day, and a single-day request can be taken in hours when the
+ * leave policy allows it. Every request carries a day-by-day breakdown.
+ */
+
+import { query } from '../db/pool.js';
+import { selectEmployeeHolidays } from './holidays.js';
+import { buildMonthCalendar, loadWeeklyOffs, toDateKey } from './payroll/working-calendar.js';
+
+export const LEAVE_SESSIONS = ['full', 'first_half', 'second_half'];
+export const DEFAULT_HOURS_PER_DAY = 8;
+
+function roundDays(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Validate the shape of a leave request's dates, sessions and hours
+ *
+ * @param {Object} params
+ * @param {Object} [params.policy] - half_day_allowed, hourly_allowed, hours_per_day;
+ *   without a policy half days are allowed and hourly leave is not
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateLeaveDuration({
+  startDate,
+  endDate,
+  startSession = 'full',
+  endSession = 'full',
+  hours = null,
+  policy = null,
+}) {
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startKey) || !/^\d{4}-\d{2}-\d{2}$/.test(endKey)) {
+    return 'Invalid leave date range';
+  }
+  if (endKey < startKey) return 'End date must be on or after the start date';
+  if (!LEAVE_SESSIONS.includes(startSession) || !LEAVE_SESSIONS.includes(endSession)) {
+    return 'start_session and end_session must be full, first_half or second_half';
+  }
+
+  const singleDay = startKey === endKey;
+  if (!singleDay && startSession === 'first_half') {
+    return 'Leave spanning several days can only start in the second half of the first day';
+  }
+  if (!singleDay && endSession === 'second_half') {
+    return 'Leave spanning several days can only end in the first half of the last day';
+  }
+  const halfDay = startSession !== 'full' || (!singleDay && endSession !== 'full');
+  if (halfDay && policy && policy.half_day_allowed === false) {
+    return 'This leave type cannot be taken in half days';
+  }
+
+  if (hours !== null && hours !== undefined && hours !== '') {
+    if (!policy?.hourly_allowed) return 'This leave type cannot be taken in hours';
+    if (!singleDay || halfDay) return 'Hourly leave is for part of a single full day';
+    const hoursPerDay = Number(policy.hours_per_day) || DEFAULT_HOURS_PER_DAY;
+    if (!(Number(hours) > 0 && Number(hours) < hoursPerDay)) {
+      return `Hourly leave must be more than 0 and less than ${hoursPerDay} hours`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Day-by-day cost of a leave request
+ *
+ * @param {Object} params
+ * @param {Array<{ date: string, type: string, holiday_name?: string }>} params.calendarDays -
+ *   Every date of the range, typed working, weekly_off or holiday
+ * @param {string} params.startDate
+ * @param {string} params.endDate
+ * @param {string} [params.startSession='full'] - Session of the first day (the only day for single-day leave)
+ * @param {string} [params.endSession='full'] - Session of the last day
+ * @param {number|null} [params.hours] - Hours of a single-day hourly leave
+ * @param {number} [params.hoursPerDay=8] - Hours that make a full leave day
+ * @returns {{ totalDays: number, breakdown: Array }}
+ */
+export function computeLeaveDuration({
+  calendarDays,
+  startDate,
+  endDate,
+  startSession = 'full',
+  endSession = 'full',
+  hours = null,
+  hoursPerDay = DEFAULT_HOURS_PER_DAY,
+}) {
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  const hourly = hours !== null && hours !== undefined && hours !== '';
+
+  const breakdown = calendarDays
+    .filter(day => day.date >= startKey && day.date <= endKey)
+    .map(day => {
+      let session = 'full';
+      if (day.date === startKey) session = startSession;
+      else if (day.date === endKey) session = endSession;
+
+      const entry = { date: day.date, type: day.type, session: null, hours: null, days: 0 };
+      if (day.type === 'holiday') entry.holiday_name = day.holiday_name || 'Holiday';
+      if (day.type !== 'working') return entry;
+
+      if (hourly) {
+        entry.hours = Number(hours);
+        entry.days = roundDays(Number(hours) / hoursPerDay);
+      } else {
+        entry.session = session;
+        entry.days = session === 'full' ? 1 : 0.5;
+      }
+      return entry;
+    });
+
+  return {
+    totalDays: roundDays(breakdown.reduce((sum, day) => sum + day.days, 0)),
+    breakdown,
+  };
+}
+
+// Shift type the employee is rostered on most in the range, for its weekly offs
+async function getRangeShiftType(employeeId, startKey, endKey) {
+  if (!employeeId) return null;
+  const result = await query(
+    `SELECT shift_type FROM shifts
+     WHERE employee_id = $1 AND shift_date BETWEEN $2 AND $3
+     GROUP BY shift_type
+     ORDER BY COUNT(*) DESC
+     LIMIT 1`,
+    [employeeId, startKey, endKey]
+  );
+  return result.rows[0]?.shift_type || null;
+}
+
+/**
+ * The employee's working calendar for a date range
+ *
+ * @param {Object} params
+ * @param {string} params.tenantId
+ * @param {Object} params.employee - HR employee row with id, state and
+ *   holiday_override ({} when there is none)
+ */
+export async function getLeaveCalendar({ tenantId, employee, startDate, endDate }) {
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  const weeklyOffs = await loadWeeklyOffs(tenantId, await getRangeShiftType(employee.id, startKey, endKey));
+
+  const days = [];
+  let [year, month] = startKey.split('-').map(Number);
+  const [endYear, endMonth] = endKey.split('-').map(Number);
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    const holidays = await selectEmployeeHolidays({ orgId: tenantId, employee, year, month });
+    const holidayNames = new Map(holidays.map(h => [toDateKey(h.date), h.name]));
+    const calendar = buildMonthCalendar({ year, month, weeklyOffs, holidays });
+    for (const day of calendar.days) {
+      if (day.date < startKey || day.date > endKey) continue;
+      days.push(day.type === 'holiday'
+        ? { date: day.date, type: day.type, holiday_name: holidayNames.get(day.date) }
+        : { date: day.date, type: day.type });
+    }
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return days;
+}
+
+/**
+ * Validate a leave request and cost it against the employee's calendar
+ *
+ * @returns {Promise<{ error: string }|{ totalDays: number, breakdown: Array }>}
+ */
+export async function calculateLeaveDuration({
+  tenantId,
+  employee,
+  startDate,
+  endDate,
+  startSession = 'full',
+  endSession = 'full',
+  hours = null,
+  policy = null,
+}) {
+  const error = validateLeaveDuration({ startDate, endDate, startSession, endSession, hours, policy });
+  if (error) return { error };
+
+  const calendarDays = await getLeaveCalendar({ tenantId, employee, startDate, endDate });
+  const duration = computeLeaveDuration({
+    calendarDays,
+    startDate,
+    endDate,
+    startSession,
+    endSession,
+    hours,
+    hoursPerDay: Number(policy?.hours_per_day) || DEFAULT_HOURS_PER_DAY,
+  });
+  if (duration.totalDays <= 0) {
+    return { error: 'The selected dates fall entirely on weekly offs or holidays' };
+  }
+  return duration;
+}
+
+export default {
+  LEAVE_SESSIONS,
+  validateLeaveDuration,
+  computeLeaveDuration,
+  getLeaveCalendar,
+  calculateLeaveDuration,
+};
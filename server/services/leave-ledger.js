@@ -0,0 +1,363 @@
+/**
+ * Leave Ledger
+ *
+ * Every change to an employee's leave balance is a row in leave_ledger,
+ * kept per leave type (leave policy) and leave year: accruals are positive,
+ * approved leave is a negative debit, cancelled or shortened leave is
+ * reversed with a positive entry, and the balance is the sum. Accrual is
+ * credited at the start of each period of the policy's accrual_frequency
+ * (monthly, quarterly or yearly), pro rata for the period an employee joins
+ * in, and at the probation_entitlement rate until the probation period
+ * (org policy probation.period_days) has ended. Unpaid (loss_of_pay)
+ * policies never accrue. Accruals are posted by the daily scheduler and year
+ * end processing, never when balances are read. Leave years start in the
+ * tenant's leave_year_start_month.
+ */
+
+import { query } from '../db/pool.js';
+
+// Accrual periods per leave year; policies without a frequency credit yearly
+export const ACCRUAL_FREQUENCIES = {
+  monthly: 12,
+  quarterly: 4,
+  yearly: 1,
+};
+
+// Employees serving notice keep accruing until they exit
+const ACCRUING_STATUSES = ['active', 'offboarding'];
+
+// Unpaid leave is taken without an entitlement, so it has nothing to accrue
+const NON_ACCRUING_LEAVE_TYPES = ['loss_of_pay'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function roundDays(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function toDateKey(value) {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function dateKey(year, monthIndex, day) {
+  return toDateKey(new Date(year, monthIndex, day));
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Leave year a date falls in, named by the calendar year it starts in
+ *
+ * @param {Date|string} date
+ * @param {number} [startMonth=1] - Month the leave year starts (1-12)
+ */
+export function leaveYearOf(date, startMonth = 1) {
+  const [year, month] = toDateKey(date).split('-').map(Number);
+  return month >= startMonth ? year : year - 1;
+}
+
+/**
+ * First and last day of a leave year
+ */
+export function leaveYearBounds(leaveYear, startMonth = 1) {
+  return {
+    start: dateKey(leaveYear, startMonth - 1, 1),
+    end: dateKey(leaveYear + 1, startMonth - 1, 0),
+  };
+}
+
+export function normalizeAccrualFrequency(frequency) {
+  return ACCRUAL_FREQUENCIES[frequency] ? frequency : 'yearly';
+}
+
+/**
+ * Accrual periods of a leave year
+ *
+ * @returns {Array<{ start: string, end: string }>} YYYY-MM-DD bounds
+ */
+export function accrualPeriods(frequency, leaveYear, startMonth = 1) {
+  const count = ACCRUAL_FREQUENCIES[normalizeAccrualFrequency(frequency)];
+  const monthsPerPeriod = 12 / count;
+  const periods = [];
+  for (let i = 0; i < count; i++) {
+    const firstMonth = startMonth - 1 + i * monthsPerPeriod;
+    periods.push({
+      start: dateKey(leaveYear, firstMonth, 1),
+      end: dateKey(leaveYear, firstMonth + monthsPerPeriod, 0),
+    });
+  }
+  return periods;
+}
+
+/**
+ * Days credited for one accrual period
+ *
+ * @param {Object} params
+ * @param {Object} params.policy - Leave policy with leave_type,
+ *   annual_entitlement, probation_entitlement and accrual_frequency
+ * @param {{ start: string, end: string }} params.period
+ * @param {Date|string|null} params.joinDate
+ * @param {number} [params.probationDays=0] - Probation length from the joining date
+ * @returns {{ days: number, probation: boolean }}
+ */
+export function computeAccrual({ policy, period, joinDate, probationDays = 0 }) {
+  if (NON_ACCRUING_LEAVE_TYPES.includes(policy.leave_type)) return { days: 0, probation: false };
+  const joinKey = joinDate ? toDateKey(joinDate) : null;
+  if (joinKey && joinKey > period.end) return { days: 0, probation: false };
+
+  const employedFrom = joinKey && joinKey > period.start ? joinKey : period.start;
+  // A period is at the probation rate unless probation ended by the first day employed in it
+  let probationEnd = null;
+  if (joinKey && probationDays > 0) {
+    const [year, month, day] = joinKey.split('-').map(Number);
+    probationEnd = dateKey(year, month - 1, day + probationDays);
+  }
+  const probation = !!probationEnd && probationEnd > employedFrom;
+  const annual = Number(probation ? policy.probation_entitlement : policy.annual_entitlement) || 0;
+  const periodCredit = annual / ACCRUAL_FREQUENCIES[normalizeAccrualFrequency(policy.accrual_frequency)];
+
+  const periodDays = daysBetween(period.start, period.end) + 1;
+  const employedDays = daysBetween(employedFrom, period.end) + 1;
+  return { days: roundDays((periodCredit * employedDays) / periodDays), probation };
+}
+
+export async function getLeaveYearStartMonth(tenantId) {
+  const result = await query('SELECT leave_year_start_month FROM organizations WHERE id = $1', [tenantId]);
+  return Number(result.rows[0]?.leave_year_start_month) || 1;
+}
+
+async function getProbationDays(userId, joinDate) {
+  if (!joinDate) return 0;
+  const result = await query(
+    `SELECT resolve_policy_value($1, 'probation.period_days', $2::date) AS value`,
+    [userId, toDateKey(joinDate)]
+  );
+  const value = result.rows[0]?.value;
+  return Number(value && typeof value === 'object' ? value.value : value) || 0;
+}
+
+/**
+ * Post any accruals due up to a date for one employee. Safe to repeat:
+ * each policy period is credited at most once.
+ *
+ * @returns {Promise<number>} Entries posted
+ */
+export async function accrueEmployeeLeave({ tenantId, employeeId, asOf = new Date() }) {
+  const empResult = await query(
+    `SELECT id, user_id, join_date, status FROM employees WHERE id = $1 AND tenant_id = $2`,
+    [employeeId, tenantId]
+  );
+  const employee = empResult.rows[0];
+  if (!employee || !ACCRUING_STATUSES.includes(employee.status || 'active')) return 0;
+
+  const policies = await query(
+    `SELECT id, leave_type, annual_entitlement, probation_entitlement, accrual_frequency
+     FROM leave_policies
+     WHERE tenant_id = $1 AND is_active = true`,
+    [tenantId]
+  );
+  if (policies.rows.length === 0) return 0;
+
+  const asOfKey = toDateKey(asOf);
+  const startMonth = await getLeaveYearStartMonth(tenantId);
+  const leaveYear = leaveYearOf(asOfKey, startMonth);
+  const probationDays = await getProbationDays(employee.user_id, employee.join_date);
+
+  let posted = 0;
+  for (const policy of policies.rows) {
+    for (const period of accrualPeriods(policy.accrual_frequency, leaveYear, startMonth)) {
+      if (period.start > asOfKey) break;
+      const { days, probation } = computeAccrual({ policy, period, joinDate: employee.join_date, probationDays });
+      if (days <= 0) continue;
+      const result = await query(
+        `INSERT INTO leave_ledger (
+           tenant_id, employee_id, leave_policy_id, entry_type, days, leave_year, period_start, description
+         )
+         VALUES ($1, $2, $3, 'accrual', $4, $5, $6, $7)
+         ON CONFLICT (employee_id, leave_policy_id, period_start) WHERE entry_type = 'accrual' DO NOTHING`,
+        [
+          tenantId,
+          employeeId,
+          policy.id,
+          days,
+          leaveYear,
+          period.start,
+          probation ? 'Probation accrual' : 'Accrual',
+        ]
+      );
+      posted += result.rowCount;
+    }
+  }
+  return posted;
+}
+
+/**
+ * Post due accruals for every active employee of a tenant
+ */
+export async function runLeaveAccrual(tenantId, asOf = new Date()) {
+  const employees = await query(
+    `SELECT id FROM employees WHERE tenant_id = $1 AND COALESCE(status, 'active') = ANY($2::text[])`,
+    [tenantId, ACCRUING_STATUSES]
+  );
+  let posted = 0;
+  for (const employee of employees.rows) {
+    posted += await accrueEmployeeLeave({ tenantId, employeeId: employee.id, asOf });
+  }
+  return posted;
+}
+
+/**
+ * Balance by leave type for a leave year from the entries posted so far.
+ * Read only: accruals due are posted by scheduleLeaveAccrual or runLeaveAccrual.
+ */
+export async function getLeaveBalances({ tenantId, employeeId, asOf = new Date() }) {
+  const leaveYear = leaveYearOf(asOf, await getLeaveYearStartMonth(tenantId));
+
+  const result = await query(
+    `SELECT lp.id, lp.name, lp.leave_type, lp.annual_entitlement, lp.accrual_frequency,
+            COALESCE(SUM(ll.days) FILTER (WHERE ll.days > 0 AND ll.entry_type <> 'reversal'), 0)::numeric AS credited,
+            -- Reversed leave comes off what was used rather than counting as a credit
+            COALESCE(-SUM(ll.days) FILTER (WHERE ll.days < 0 OR ll.entry_type = 'reversal'), 0)::numeric AS used,
+            COALESCE(SUM(ll.days), 0)::numeric AS balance
+     FROM leave_policies lp
+     LEFT JOIN leave_ledger ll
+       ON ll.leave_policy_id = lp.id AND ll.employee_id = $2 AND ll.leave_year = $3
+     WHERE lp.tenant_id = $1 AND lp.is_active = true
+     GROUP BY lp.id
+     ORDER BY lp.name`,
+    [tenantId, employeeId, leaveYear]
+  );
+  return {
+    leaveYear,
+    balances: result.rows.map(row => ({
+      leave_policy_id: row.id,
+      name: row.name,
+      leave_type: row.leave_type,
+      annual_entitlement: Number(row.annual_entitlement || 0),
+      accrual_frequency: normalizeAccrualFrequency(row.accrual_frequency),
+      credited: Number(row.credited),
+      used: Number(row.used),
+      balance: Number(row.balance),
+    })),
+  };
+}
+
+/**
+ * Debit an approved leave request from its leave type. Posting twice for
+ * the same request is a no-op. Runs inside the caller's transaction.
+ *
+ * @returns {Promise<Object|null>} The ledger entry, or null when nothing was posted
+ */
+export async function postLeaveDebit(client, leaveRequestId, actorId = null) {
+  const leaveResult = await client.query(
+    `SELECT id, tenant_id, employee_id, leave_type_id, start_date, total_days
+     FROM leave_requests WHERE id = $1`,
+    [leaveRequestId]
+  );
+  const leave = leaveResult.rows[0];
+  if (!leave || !leave.leave_type_id) return null;
+
+  const result = await client.query(
+    `INSERT INTO leave_ledger (
+       tenant_id, employee_id, leave_policy_id, entry_type, days, leave_year, leave_request_id, description, created_by
+     )
+     VALUES ($1, $2, $3, 'debit', $4, $5, $6, 'Approved leave', $7)
+     ON CONFLICT (leave_request_id) WHERE entry_type = 'debit' DO NOTHING
+     RETURNING *`,
+    [
+      leave.tenant_id,
+      leave.employee_id,
+      leave.leave_type_id,
+      -Number(leave.total_days || 0),
+      leaveYearOf(leave.start_date, await getLeaveYearStartMonth(leave.tenant_id)),
+      leave.id,
+      actorId,
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Give days of a cancelled or shortened leave request back to its leave
+ * type, in the leave year the request was debited in. Runs inside the
+ * caller's transaction.
+ *
+ * @returns {Promise<Object|null>} The ledger entry, or null when nothing was posted
+ */
+export async function postLeaveReversal(client, leaveRequestId, days, { actorId = null, description = 'Cancelled leave' } = {}) {
+  if (!(Number(days) > 0)) return null;
+  const leaveResult = await client.query(
+    `SELECT lr.id, lr.tenant_id, lr.employee_id, lr.leave_type_id, lr.start_date, debit.leave_year
+     FROM leave_requests lr
+     LEFT JOIN leave_ledger debit ON debit.leave_request_id = lr.id AND debit.entry_type = 'debit'
+     WHERE lr.id = $1`,
+    [leaveRequestId]
+  );
+  const leave = leaveResult.rows[0];
+  if (!leave || !leave.leave_type_id) return null;
+
+  // A request without a debit entry falls back to the year of its start date
+  const leaveYear = leave.leave_year ?? leaveYearOf(leave.start_date, await getLeaveYearStartMonth(leave.tenant_id));
+  const result = await client.query(
+    `INSERT INTO leave_ledger (
+       tenant_id, employee_id, leave_policy_id, entry_type, days, leave_year, leave_request_id, description, created_by
+     )
+     VALUES ($1, $2, $3, 'reversal', $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      leave.tenant_id,
+      leave.employee_id,
+      leave.leave_type_id,
+      roundDays(days),
+      leaveYear,
+      leave.id,
+      description,
+      actorId,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Post accruals daily so new periods are credited on their first day
+ */
+export async function scheduleLeaveAccrual() {
+  if (String(process.env.CRON_ENABLED || 'true') !== 'true') return;
+
+  let cron;
+  try {
+    ({ default: cron } = await import('node-cron'));
+  } catch (e) {
+    console.error('node-cron not installed, skipping leave accrual scheduler');
+    return;
+  }
+
+  cron.schedule('20 0 * * *', async () => {
+    try {
+      const orgs = await query('SELECT id FROM organizations');
+      for (const org of orgs.rows) {
+        await runLeaveAccrual(org.id);
+      }
+    } catch (error) {
+      console.error('Leave accrual cron error', error);
+    }
+  });
+}
+
+export default {
+  leaveYearOf,
+  leaveYearBounds,
+  getLeaveYearStartMonth,
+  accrualPeriods,
+  computeAccrual,
+  accrueEmployeeLeave,
+  runLeaveAccrual,
+  getLeaveBalances,
+  postLeaveDebit,
+  postLeaveReversal,
+  scheduleLeaveAccrual,
+};
@@ -0,0 +1,372 @@
+/**
+ * Leave Policy Rules
+ *
+ * Rules a leave policy can set on top of its entitlement, checked when a
+ * leave request is created:
+ * - sandwich: weekly offs and holidays between two leave days count as leave,
+ *   including those between the request and other leave taken back to back
+ * - prohibited_clubbing: leave types that cannot be taken back to back with
+ *   this one (only weekly offs or holidays in between)
+ * - min_notice_days: days between applying and the first day of leave
+ * - max_consecutive_days: longest single request
+ * - document_required_above_days: a supporting document is needed for
+ *   requests longer than this
+ * HR can file a request that breaks the rules with an override reason. A
+ * request that overlaps the employee's pending or approved leave is refused
+ * outright.
+ */
+
+import { query } from '../db/pool.js';
+import { calculateLeaveDuration, getLeaveCalendar } from './leave-duration.js';
+import { toDateKey } from './payroll/working-calendar.js';
+
+export const DEFAULT_LEAVE_RULES = {
+  sandwich: false,
+  prohibited_clubbing: [],
+  min_notice_days: 0,
+  max_consecutive_days: null,
+  document_required_above_days: null,
+};
+
+export const MAX_LEAVE_DOCUMENT_BYTES = 5 * 1024 * 1024;
+export const LEAVE_DOCUMENT_CONTENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+
+// Leaves of other types this close to a request are checked for clubbing
+const CLUBBING_WINDOW_DAYS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function roundDays(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+}
+
+function shiftDateKey(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  return toDateKey(new Date(year, month - 1, day + days));
+}
+
+/**
+ * A policy's rules with defaults filled in
+ */
+export function normalizeLeaveRules(rules) {
+  const merged = { ...DEFAULT_LEAVE_RULES, ...(rules || {}) };
+  const optionalNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+  return {
+    sandwich: !!merged.sandwich,
+    prohibited_clubbing: Array.isArray(merged.prohibited_clubbing) ? merged.prohibited_clubbing : [],
+    min_notice_days: Number(merged.min_notice_days) || 0,
+    max_consecutive_days: optionalNumber(merged.max_consecutive_days),
+    document_required_above_days: optionalNumber(merged.document_required_above_days),
+  };
+}
+
+/**
+ * Validate a rules update
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateLeaveRules(rules) {
+  if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'rules must be an object';
+  }
+  const unknown = Object.keys(rules).filter(key => !(key in DEFAULT_LEAVE_RULES));
+  if (unknown.length > 0) {
+    return `Unknown leave rules: ${unknown.join(', ')}`;
+  }
+  if (rules.prohibited_clubbing !== undefined
+    && (!Array.isArray(rules.prohibited_clubbing) || rules.prohibited_clubbing.some(id => typeof id !== 'string'))) {
+    return 'prohibited_clubbing must be a list of leave policy ids';
+  }
+  if (rules.min_notice_days !== undefined && !(Number.isInteger(Number(rules.min_notice_days)) && Number(rules.min_notice_days) >= 0)) {
+    return 'min_notice_days must be a whole number of days, zero or more';
+  }
+  for (const field of ['max_consecutive_days', 'document_required_above_days']) {
+    const value = rules[field];
+    if (value !== undefined && value !== null && value !== '' && !(Number(value) > 0)) {
+      return `${field} must be more than 0, or empty for no limit`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Count the weekly offs and holidays between the first and last day of leave
+ * as leave days, along with any days off between the request and adjacent
+ * leave (from findSandwichedGaps)
+ *
+ * @param {Array} breakdown
+ * @param {Array<{ date: string, type: string, holiday_name?: string }>} [gapDays=[]]
+ * @returns {{ totalDays: number, breakdown: Array }}
+ */
+export function applySandwichRule(breakdown, gapDays = []) {
+  const first = breakdown.findIndex(day => day.days > 0);
+  let last = -1;
+  breakdown.forEach((day, index) => {
+    if (day.days > 0) last = index;
+  });
+
+  const sandwiched = breakdown.map((day, index) =>
+    index > first && index < last && day.type !== 'working'
+      ? { ...day, session: 'full', days: 1, sandwiched: true }
+      : day
+  );
+  for (const day of gapDays) {
+    sandwiched.push({
+      date: day.date,
+      type: day.type,
+      ...(day.type === 'holiday' ? { holiday_name: day.holiday_name || 'Holiday' } : {}),
+      session: 'full',
+      hours: null,
+      days: 1,
+      sandwiched: true,
+    });
+  }
+  sandwiched.sort((a, b) => a.date.localeCompare(b.date));
+  return {
+    totalDays: roundDays(sandwiched.reduce((sum, day) => sum + day.days, 0)),
+    breakdown: sandwiched,
+  };
+}
+
+/**
+ * Other leaves taken back to back with a request: overlapping it, or
+ * separated from it only by weekly offs and holidays
+ *
+ * @param {Object} params
+ * @param {Array<{ start_date, end_date }>} params.otherLeaves
+ * @param {Array<{ date: string, type: string }>} params.calendarDays - Covers the gaps
+ */
+export function findClubbedLeaves({ startDate, endDate, otherLeaves, calendarDays }) {
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  const typeOf = new Map(calendarDays.map(day => [day.date, day.type]));
+  const onlyDaysOff = (fromKey, toKey) => {
+    for (let key = fromKey; key <= toKey; key = shiftDateKey(key, 1)) {
+      if ((typeOf.get(key) || 'working') === 'working') return false;
+    }
+    return true;
+  };
+
+  return otherLeaves.filter(leave => {
+    const otherStart = toDateKey(leave.start_date);
+    const otherEnd = toDateKey(leave.end_date);
+    if (otherStart <= endKey && otherEnd >= startKey) return true;
+    if (otherEnd < startKey) return onlyDaysOff(shiftDateKey(otherEnd, 1), shiftDateKey(startKey, -1));
+    return onlyDaysOff(shiftDateKey(endKey, 1), shiftDateKey(otherStart, -1));
+  });
+}
+
+/**
+ * Pending or approved leave that shares a day with a request. Half days on
+ * the same date only clash when they are the same half.
+ *
+ * @param {Object} params
+ * @param {Array<{ start_date, end_date, start_session, end_session }>} params.otherLeaves
+ */
+export function findOverlappingLeaves({ startDate, endDate, startSession = 'full', endSession = 'full', otherLeaves }) {
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  // Single-day leave keeps its session in start_session
+  const lastSession = startKey === endKey ? startSession : endSession;
+  const differentHalves = (a, b) => a !== 'full' && b !== 'full' && a !== b;
+
+  return otherLeaves.filter(leave => {
+    const otherStart = toDateKey(leave.start_date);
+    const otherEnd = toDateKey(leave.end_date);
+    if (otherStart > endKey || otherEnd < startKey) return false;
+    const otherFirstSession = leave.start_session || 'full';
+    const otherLastSession = (otherStart === otherEnd ? leave.start_session : leave.end_session) || 'full';
+    if (otherEnd === startKey && differentHalves(otherLastSession, startSession)) return false;
+    if (otherStart === endKey && differentHalves(otherFirstSession, lastSession)) return false;
+    return true;
+  });
+}
+
+/**
+ * Weekly offs and holidays between a request and leave taken back to back
+ * with it (from findClubbedLeaves), which the sandwich rule counts as part of
+ * the request
+ *
+ * @param {Object} params
+ * @param {Array<{ start_date, end_date }>} params.adjacentLeaves
+ * @param {Array<{ date: string, type: string }>} params.calendarDays - Covers the gaps
+ */
+export function findSandwichedGaps({ startDate, endDate, adjacentLeaves, calendarDays }) {
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  const gapKeys = new Set();
+  const addRange = (fromKey, toKey) => {
+    for (let key = fromKey; key <= toKey; key = shiftDateKey(key, 1)) gapKeys.add(key);
+  };
+
+  for (const leave of adjacentLeaves) {
+    const otherStart = toDateKey(leave.start_date);
+    const otherEnd = toDateKey(leave.end_date);
+    if (otherEnd < startKey) addRange(shiftDateKey(otherEnd, 1), shiftDateKey(startKey, -1));
+    else if (otherStart > endKey) addRange(shiftDateKey(endKey, 1), shiftDateKey(otherStart, -1));
+  }
+  return calendarDays.filter(day => gapKeys.has(day.date) && day.type !== 'working');
+}
+
+/**
+ * Check a costed leave request against its policy's rules
+ *
+ * @param {Object} params
+ * @param {Object} params.policy - Leave policy with id, name and rules
+ * @param {number} params.totalDays
+ * @param {string} params.startDate
+ * @param {string} params.today - YYYY-MM-DD the request is made
+ * @param {Array} [params.clubbedLeaves] - From findClubbedLeaves, each with
+ *   leave_policy_id, leave_type_name and rules
+ * @param {boolean} [params.hasDocument=false]
+ * @returns {Array<{ rule: string, message: string }>} Violations, empty when none
+ */
+export function checkLeaveRules({ policy, totalDays, startDate, today, clubbedLeaves = [], hasDocument = false }) {
+  const rules = normalizeLeaveRules(policy.rules);
+  const violations = [];
+
+  const noticeDays = daysBetween(today, toDateKey(startDate));
+  if (rules.min_notice_days > 0 && noticeDays < rules.min_notice_days) {
+    violations.push({
+      rule: 'min_notice_days',
+      message: `${policy.name} must be applied for at least ${rules.min_notice_days} days in advance`,
+    });
+  }
+
+  if (rules.max_consecutive_days !== null && totalDays > rules.max_consecutive_days) {
+    violations.push({
+      rule: 'max_consecutive_days',
+      message: `${policy.name} can be taken for at most ${rules.max_consecutive_days} consecutive days; this request is ${totalDays} days`,
+    });
+  }
+
+  if (rules.document_required_above_days !== null && totalDays > rules.document_required_above_days && !hasDocument) {
+    violations.push({
+      rule: 'document_required_above_days',
+      message: `A supporting document is required for ${policy.name} longer than ${rules.document_required_above_days} days`,
+    });
+  }
+
+  for (const other of clubbedLeaves) {
+    const otherRules = normalizeLeaveRules(other.rules);
+    if (rules.prohibited_clubbing.includes(other.leave_policy_id) || otherRules.prohibited_clubbing.includes(policy.id)) {
+      violations.push({
+        rule: 'prohibited_clubbing',
+        message: `${policy.name} cannot be combined with ${other.leave_type_name} taken from ${toDateKey(other.start_date)} to ${toDateKey(other.end_date)}`,
+      });
+    }
+  }
+
+  return violations;
+}
+
+// Pending and approved leave close to the requested range, other than the
+// leave a change request replaces
+async function getNearbyLeaves({ employeeId, startKey, endKey, excludeLeaveIds }) {
+  const result = await query(
+    `SELECT lr.id, lr.leave_type_id AS leave_policy_id, lr.start_date, lr.end_date,
+            lr.start_session, lr.end_session, lp.name AS leave_type_name, lp.rules
+     FROM leave_requests lr
+     JOIN leave_policies lp ON lp.id = lr.leave_type_id
+     WHERE lr.employee_id = $1
+       AND lr.status IN ('pending', 'approved')
+       AND lr.start_date <= $3::date
+       AND lr.end_date >= $2::date
+       AND NOT (lr.id = ANY($4::uuid[]))
+     ORDER BY lr.start_date`,
+    [employeeId, shiftDateKey(startKey, -CLUBBING_WINDOW_DAYS), shiftDateKey(endKey, CLUBBING_WINDOW_DAYS), excludeLeaveIds]
+  );
+  return result.rows;
+}
+
+/**
+ * Cost a leave request and check it against its policy's rules
+ *
+ * @param {Object} params
+ * @param {string} params.tenantId
+ * @param {Object} params.employee - HR employee row with id, state and holiday_override
+ * @param {Object} params.policy - Leave policy row including rules and the
+ *   half-day and hourly settings
+ * @param {boolean} [params.hasDocument=false]
+ * @param {Array<string>} [params.excludeLeaveIds=[]] - Leave a change request replaces
+ * @returns {Promise<{ error: string }|{ totalDays: number, breakdown: Array, violations: Array }>}
+ */
+export async function evaluateLeaveRequest({
+  tenantId,
+  employee,
+  policy,
+  startDate,
+  endDate,
+  startSession = 'full',
+  endSession = 'full',
+  hours = null,
+  hasDocument = false,
+  excludeLeaveIds = [],
+  today = toDateKey(new Date()),
+}) {
+  const duration = await calculateLeaveDuration({
+    tenantId,
+    employee,
+    startDate,
+    endDate,
+    startSession,
+    endSession,
+    hours,
+    policy,
+  });
+  if (duration.error) return duration;
+
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  const nearbyLeaves = await getNearbyLeaves({ employeeId: employee.id, startKey, endKey, excludeLeaveIds });
+  const overlapping = findOverlappingLeaves({ startDate: startKey, endDate: endKey, startSession, endSession, otherLeaves: nearbyLeaves });
+  if (overlapping.length > 0) {
+    const clash = overlapping[0];
+    return {
+      error: `These dates overlap ${clash.leave_type_name} already requested from ${toDateKey(clash.start_date)} to ${toDateKey(clash.end_date)}`,
+    };
+  }
+
+  let calendarDays = [];
+  let adjacentLeaves = [];
+  if (nearbyLeaves.length > 0) {
+    calendarDays = await getLeaveCalendar({
+      tenantId,
+      employee,
+      startDate: shiftDateKey(startKey, -CLUBBING_WINDOW_DAYS),
+      endDate: shiftDateKey(endKey, CLUBBING_WINDOW_DAYS),
+    });
+    adjacentLeaves = findClubbedLeaves({ startDate: startKey, endDate: endKey, otherLeaves: nearbyLeaves, calendarDays });
+  }
+
+  const rules = normalizeLeaveRules(policy.rules);
+  const { totalDays, breakdown } = rules.sandwich
+    ? applySandwichRule(
+      duration.breakdown,
+      findSandwichedGaps({ startDate: startKey, endDate: endKey, adjacentLeaves, calendarDays })
+    )
+    : duration;
+  // Back-to-back leave of the same type is not clubbing
+  const clubbedLeaves = adjacentLeaves.filter(leave => leave.leave_policy_id !== policy.id);
+
+  return {
+    totalDays,
+    breakdown,
+    violations: checkLeaveRules({ policy, totalDays, startDate: startKey, today, clubbedLeaves, hasDocument }),
+  };
+}
+
+export default {
+  DEFAULT_LEAVE_RULES,
+  normalizeLeaveRules,
+  validateLeaveRules,
+  applySandwichRule,
+  findOverlappingLeaves,
+  findSandwichedGaps,
+  findClubbedLeaves,
+  checkLeaveRules,
+  evaluateLeaveRequest,
+};
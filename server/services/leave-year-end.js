@@ -0,0 +1,252 @@
+/**
+ * Leave Year End
+ *
+ * Closes a tenant's leave year. Each employee's remaining balance per leave
+ * type is carried into the next leave year up to the policy's
+ * max_carry_forward; the excess is encashed when the policy allows it and HR
+ * chooses to, and lapses otherwise. The preview works out exactly what the
+ * run would post. The run writes the carry-forward, lapse and encashment
+ * entries to the leave ledger and queues encashment amounts for the next
+ * regular payroll (see services/payroll/leave-encashments.js).
+ */
+
+import { query, withClient } from '../db/pool.js';
+import { getLeaveYearStartMonth, leaveYearBounds, runLeaveAccrual } from './leave-ledger.js';
+import { resolveSalaryComponents } from './payroll/payroll-engine.js';
+import { SETTLEMENT_DAYS_PER_MONTH } from './payroll/fnf-settlement.js';
+
+function roundDays(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function todayKey() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Split a closing balance into carry-forward, encashment and lapse
+ *
+ * @param {Object} params
+ * @param {Object} params.policy - carry_forward_allowed, max_carry_forward, encashment_allowed
+ * @param {number} params.balance - Days left at the end of the leave year
+ * @param {boolean} [params.encash=true] - Encash eligible excess instead of lapsing it
+ * @returns {{ closing_balance: number, carry_forward: number, encashed: number, lapsed: number }}
+ */
+export function computeYearEndAdjustment({ policy, balance, encash = true }) {
+  const closingBalance = roundDays(Math.max(0, Number(balance) || 0));
+  const cap = Math.max(0, Number(policy.max_carry_forward) || 0);
+  const carryForward = policy.carry_forward_allowed ? Math.min(closingBalance, cap) : 0;
+  const excess = roundDays(closingBalance - carryForward);
+  const encashed = encash && policy.encashment_allowed ? excess : 0;
+  return {
+    closing_balance: closingBalance,
+    carry_forward: carryForward,
+    encashed,
+    lapsed: roundDays(excess - encashed),
+  };
+}
+
+/**
+ * Whether a leave year can be closed
+ * @returns {string|null} Error message, or null when it can
+ */
+export function checkYearEndRun({ leaveYearEnd, today, existingRun }) {
+  if (existingRun) return 'This leave year has already been processed';
+  if (leaveYearEnd >= today) return `The leave year ends on ${leaveYearEnd} and cannot be processed before then`;
+  return null;
+}
+
+async function getClosingBalances(tenantId, leaveYear) {
+  const result = await query(
+    `SELECT ll.employee_id, e.employee_id AS employee_code, LOWER(p.email) AS email,
+            TRIM(CONCAT(p.first_name, ' ', p.last_name)) AS full_name,
+            lp.id AS leave_policy_id, lp.name AS leave_type,
+            lp.carry_forward_allowed, lp.max_carry_forward, lp.encashment_allowed,
+            SUM(ll.days)::numeric AS balance
+     FROM leave_ledger ll
+     JOIN employees e ON e.id = ll.employee_id
+     JOIN profiles p ON p.id = e.user_id
+     JOIN leave_policies lp ON lp.id = ll.leave_policy_id
+     WHERE ll.tenant_id = $1 AND ll.leave_year = $2
+     GROUP BY ll.employee_id, e.employee_id, p.email, p.first_name, p.last_name, lp.id
+     HAVING SUM(ll.days) > 0
+     ORDER BY e.employee_id, lp.name`,
+    [tenantId, leaveYear]
+  );
+  return result.rows;
+}
+
+// Payroll employee and daily basic rate at the year end, keyed by email
+async function getEncashmentRates(tenantId, emails, asOf) {
+  if (emails.length === 0) return new Map();
+  const result = await query(
+    `SELECT e.id, LOWER(e.email) AS email, cs.ctc, cs.basic_salary, cs.hra, cs.special_allowance
+     FROM payroll.employees e
+     JOIN LATERAL (
+       SELECT * FROM payroll.compensation_structures
+       WHERE employee_id = e.id AND tenant_id = e.tenant_id AND effective_from <= $3
+       ORDER BY effective_from DESC, created_at DESC
+       LIMIT 1
+     ) cs ON true
+     WHERE e.tenant_id = $1 AND LOWER(e.email) = ANY($2::text[])`,
+    [tenantId, emails, asOf]
+  );
+
+  const rates = new Map();
+  for (const employee of result.rows) {
+    const structure = await resolveSalaryComponents(tenantId, employee.id, employee);
+    const amountOf = (code) => structure.components.find(c => c.code === code && c.component_type === 'earning')?.amount || 0;
+    rates.set(employee.email, {
+      payroll_employee_id: employee.id,
+      daily_rate: roundAmount((amountOf('BASIC') + amountOf('DA')) / SETTLEMENT_DAYS_PER_MONTH),
+    });
+  }
+  return rates;
+}
+
+function summarize(rows) {
+  return {
+    employees: new Set(rows.map(r => r.employee_id)).size,
+    carried_forward: roundDays(rows.reduce((sum, r) => sum + r.carry_forward, 0)),
+    lapsed: roundDays(rows.reduce((sum, r) => sum + r.lapsed, 0)),
+    encashed_days: roundDays(rows.reduce((sum, r) => sum + r.encashed, 0)),
+    encashment_amount: roundAmount(rows.reduce((sum, r) => sum + r.encashment_amount, 0)),
+  };
+}
+
+/**
+ * What closing a leave year would post, per employee and leave type
+ */
+export async function previewYearEnd({ tenantId, leaveYear, encash = true }) {
+  const startMonth = await getLeaveYearStartMonth(tenantId);
+  const { start, end } = leaveYearBounds(leaveYear, startMonth);
+  const today = todayKey();
+  // Credit the year's accrual periods (only those already started for an open year)
+  await runLeaveAccrual(tenantId, end < today ? end : today);
+
+  const balances = await getClosingBalances(tenantId, leaveYear);
+  const rates = await getEncashmentRates(tenantId, [...new Set(balances.map(b => b.email))], end);
+
+  const rows = balances.map(balance => {
+    const rate = rates.get(balance.email);
+    // Without a payroll salary to value it, excess leave cannot be encashed
+    const encashable = !!rate && rate.daily_rate > 0;
+    const adjustment = computeYearEndAdjustment({ policy: balance, balance: balance.balance, encash: encash && encashable });
+    return {
+      employee_id: balance.employee_id,
+      employee_code: balance.employee_code,
+      full_name: balance.full_name,
+      leave_policy_id: balance.leave_policy_id,
+      leave_type: balance.leave_type,
+      ...adjustment,
+      encashment_unavailable: encash && !!balance.encashment_allowed && !encashable,
+      payroll_employee_id: rate?.payroll_employee_id || null,
+      daily_rate: rate?.daily_rate || 0,
+      encashment_amount: roundAmount(adjustment.encashed * (rate?.daily_rate || 0)),
+    };
+  });
+
+  return {
+    leave_year: leaveYear,
+    start,
+    end,
+    encash,
+    rows,
+    summary: summarize(rows),
+  };
+}
+
+export async function getYearEndRun(tenantId, leaveYear) {
+  const result = await query(
+    `SELECT r.*, TRIM(CONCAT(p.first_name, ' ', p.last_name)) AS run_by_name
+     FROM leave_year_end_runs r
+     LEFT JOIN profiles p ON p.id = r.run_by
+     WHERE r.tenant_id = $1 AND r.leave_year = $2`,
+    [tenantId, leaveYear]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Close a leave year: post the previewed adjustments to the ledger and queue
+ * encashments for payroll, in one transaction
+ *
+ * @returns {Promise<{ run: Object, rows: Array }|null>} null when the year was already processed
+ */
+export async function runYearEnd({ tenantId, leaveYear, encash = true, actorId }) {
+  const preview = await previewYearEnd({ tenantId, leaveYear, encash });
+  const nextYear = leaveYearBounds(leaveYear + 1, await getLeaveYearStartMonth(tenantId));
+
+  return withClient(async (client) => {
+    await client.query('BEGIN');
+    try {
+      const runResult = await client.query(
+        `INSERT INTO leave_year_end_runs (tenant_id, leave_year, encashment_enabled, summary, run_by)
+         VALUES ($1, $2, $3, $4::jsonb, $5)
+         ON CONFLICT (tenant_id, leave_year) DO NOTHING
+         RETURNING *`,
+        [tenantId, leaveYear, encash, JSON.stringify(preview.summary), actorId]
+      );
+      const run = runResult.rows[0];
+      if (!run) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const postEntry = (row, entryType, days, year, description) => client.query(
+        `INSERT INTO leave_ledger (
+           tenant_id, employee_id, leave_policy_id, entry_type, days, leave_year,
+           period_start, description, created_by, year_end_run_id
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          tenantId, row.employee_id, row.leave_policy_id, entryType, days, year,
+          year > leaveYear ? nextYear.start : null, description, actorId, run.id,
+        ]
+      );
+
+      for (const row of preview.rows) {
+        if (row.carry_forward > 0) {
+          await postEntry(row, 'carry_forward', -row.carry_forward, leaveYear, `Carried forward to ${leaveYear + 1}`);
+          await postEntry(row, 'carry_forward', row.carry_forward, leaveYear + 1, `Carried forward from ${leaveYear}`);
+        }
+        if (row.lapsed > 0) {
+          await postEntry(row, 'lapse', -row.lapsed, leaveYear, 'Lapsed at year end');
+        }
+        if (row.encashed > 0) {
+          await postEntry(row, 'encashment', -row.encashed, leaveYear, 'Encashed at year end');
+          await client.query(
+            `INSERT INTO payroll.leave_encashments (
+               tenant_id, employee_id, year_end_run_id, leave_policy_id, leave_type_name,
+               leave_year, days, daily_rate, amount
+             )
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [
+              tenantId, row.payroll_employee_id, run.id, row.leave_policy_id, row.leave_type,
+              leaveYear, row.encashed, row.daily_rate, row.encashment_amount,
+            ]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+      return { run, rows: preview.rows };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  });
+}
+
+export default {
+  computeYearEndAdjustment,
+  checkYearEndRun,
+  previewYearEnd,
+  getYearEndRun,
+  runYearEnd,
+};
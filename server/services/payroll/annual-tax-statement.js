@@ -0,0 +1,431 @@
+/**
+ * Annual Tax Statement
+ *
+ * Builds a Form 16 Part B style statement for an employee and financial
+ * year from the processed payroll items of that year: salary breakup by
+ * component, exempt allowances, deductions declared in tax_declarations and
+ * the TDS deducted month by month. The rendered PDF is stored in
+ * payroll.tax_documents so employees can download it later.
+ */
+
+import PDFDocument from 'pdfkit';
+import { query } from '../../db/pool.js';
+import {
+  computeAnnualTax,
+  getFinancialYearBounds,
+  getFinancialYearMonths,
+  getTaxDeclaration,
+  loadTaxConfig,
+} from './tax-engine.js';
+import { FINALIZED_CYCLE_STATUSES } from './cycle-lifecycle.js';
+import { computeAnnualHraExemption, getRentHistory, getVerifiedRentByMonth } from './hra-exemption.js';
+
+export const ANNUAL_STATEMENT_DOCUMENT_TYPE = 'annual_tax_statement';
+
+const FINANCIAL_YEAR_PATTERN = /^(\d{4})-(\d{2})$/;
+
+export function isValidFinancialYear(financialYear) {
+  const match = FINANCIAL_YEAR_PATTERN.exec(String(financialYear || ''));
+  if (!match) return false;
+  return (Number(match[1]) + 1) % 100 === Number(match[2]);
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function itemComponents(item) {
+  if (Array.isArray(item.components) && item.components.length > 0) {
+    return item.components;
+  }
+  // Items processed before salary structures only carry the fixed columns
+  return [
+    { code: 'BASIC', name: 'Basic Salary', amount: item.basic_salary },
+    { code: 'HRA', name: 'House Rent Allowance', amount: item.hra },
+    { code: 'SPECIAL_ALLOWANCE', name: 'Special Allowance', amount: item.special_allowance },
+  ].map(c => ({ ...c, component_type: 'earning', is_taxable: true }));
+}
+
+/**
+ * Assemble the statement figures from a year's payroll items
+ *
+ * @param {Object} params
+ * @param {string} params.financialYear - e.g. '2025-26'
+ * @param {Array} params.items - Payroll items with month, year and components
+ * @param {Object} params.declaration - Row from tax_declarations (or defaults)
+ * @param {Object} params.config - Tax configuration for the declared regime
+ * @param {Object} [params.hraExemption] - computeAnnualHraExemption result (old regime only)
+ * @returns {Object} { financialYear, regime, salary, computation, monthly, totals }
+ */
+export function buildAnnualStatement({ financialYear, items, declaration = {}, config, hraExemption = null }) {
+  const earnings = new Map();
+  const monthly = getFinancialYearMonths(financialYear).map(({ month, year }) => ({
+    month,
+    year,
+    grossSalary: 0,
+    perquisites: 0,
+    tdsDeducted: 0,
+    pfDeduction: 0,
+    ptDeduction: 0,
+  }));
+
+  for (const item of items) {
+    const row = monthly.find(m => m.month === Number(item.month) && m.year === Number(item.year));
+    if (!row) continue;
+    row.grossSalary += Number(item.gross_salary) || 0;
+    row.perquisites += Number(item.perquisite_value) || 0;
+    row.tdsDeducted += Number(item.tds_deduction) || 0;
+    row.pfDeduction += Number(item.pf_deduction) || 0;
+    row.ptDeduction += Number(item.pt_deduction) || 0;
+
+    for (const component of itemComponents(item)) {
+      if (component.component_type !== 'earning') continue;
+      const existing = earnings.get(component.code) || {
+        code: component.code,
+        name: component.name || component.code,
+        isTaxable: component.is_taxable !== false,
+        amount: 0,
+      };
+      existing.amount += Number(component.amount) || 0;
+      earnings.set(component.code, existing);
+    }
+  }
+
+  const sum = (key) => roundAmount(monthly.reduce((total, m) => total + m[key], 0));
+  const totals = {
+    grossSalary: sum('grossSalary'),
+    perquisites: sum('perquisites'),
+    tdsDeducted: sum('tdsDeducted'),
+    pfDeduction: sum('pfDeduction'),
+    ptDeduction: sum('ptDeduction'),
+  };
+
+  const components = [...earnings.values()].map(c => ({ ...c, amount: roundAmount(c.amount) }));
+  // Non-taxable allowances are reported as Section 10 exemptions
+  const exemptAllowances = roundAmount(
+    components.filter(c => !c.isTaxable).reduce((total, c) => total + c.amount, 0)
+  );
+
+  const hraExempt = hraExemption?.total || 0;
+
+  const computation = computeAnnualTax({
+    grossIncome: totals.grossSalary + totals.perquisites,
+    regime: declaration.tax_regime,
+    config,
+    declarations: declaration,
+    exemptions: exemptAllowances + hraExempt,
+    professionalTax: totals.ptDeduction,
+    employeePf: totals.pfDeduction,
+  });
+
+  return {
+    financialYear,
+    regime: computation.regime,
+    salary: { components, exemptAllowances, hraExemption: hraExempt },
+    hraExemption: hraExemption?.months?.filter(m => m.rent_paid > 0 || m.hra_received > 0) || [],
+    declared: {
+      section_80c: Number(declaration.section_80c) || 0,
+      section_80d: Number(declaration.section_80d) || 0,
+      section_24b: Number(declaration.section_24b) || 0,
+      other_deductions: Number(declaration.other_deductions) || 0,
+    },
+    computation,
+    monthly: monthly.map(m => ({
+      ...m,
+      grossSalary: roundAmount(m.grossSalary),
+      perquisites: roundAmount(m.perquisites),
+      tdsDeducted: roundAmount(m.tdsDeducted),
+      pfDeduction: roundAmount(m.pfDeduction),
+      ptDeduction: roundAmount(m.ptDeduction),
+    })),
+    totals: {
+      ...totals,
+      // Positive when more tax is due than was deducted through payroll
+      balanceTax: roundAmount(computation.totalTax - totals.tdsDeducted),
+    },
+  };
+}
+
+// ============================================================================
+// PDF RENDERING
+// ============================================================================
+
+function formatAmount(value) {
+  return `Rs. ${(Number(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function amountRow(doc, label, value, { indent = 0, bold = false } = {}) {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(label, 40 + indent, y, { width: 340 - indent });
+  doc.text(formatAmount(value), 380, y, { width: 175, align: 'right' });
+  doc.font('Helvetica');
+}
+
+function sectionHeading(doc, title) {
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).text(title, 40);
+  doc.font('Helvetica').fontSize(10);
+  doc.moveDown(0.3);
+}
+
+/**
+ * Render the statement as a PDF and resolve with its bytes
+ */
+export function renderAnnualStatementPdf({ statement, employee, tenantName }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 40, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { computation, salary, totals } = statement;
+    const { startYear, endYear } = getFinancialYearBounds(statement.financialYear);
+
+    doc.fontSize(18).text('ANNUAL TAX STATEMENT', { align: 'center' });
+    doc.fontSize(10).text('Salary details in the format of Form 16 Part B', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(10);
+    if (tenantName) doc.text(`Employer: ${tenantName}`);
+    doc.text(`Employee: ${employee.full_name} (${employee.employee_code})`);
+    doc.text(`PAN: ${employee.pan_number || 'Not available'}`);
+    doc.text(`Financial Year: ${statement.financialYear} (Assessment Year ${endYear}-${String(endYear + 1).slice(-2)})`);
+    doc.text(`Period: 01-Apr-${startYear} to 31-Mar-${endYear}`);
+    doc.text(`Tax Regime: ${statement.regime === 'old' ? 'Old' : 'New'}`);
+
+    sectionHeading(doc, '1. Gross Salary');
+    for (const component of salary.components) {
+      amountRow(doc, component.name, component.amount, { indent: 12 });
+    }
+    if (totals.perquisites > 0) {
+      amountRow(doc, 'Perquisites under Section 17(2)', totals.perquisites, { indent: 12 });
+    }
+    amountRow(doc, 'Total Gross Salary', totals.grossSalary + totals.perquisites, { bold: true });
+
+    sectionHeading(doc, '2. Allowances exempt under Section 10');
+    if (statement.regime === 'old' && salary.hraExemption > 0) {
+      amountRow(doc, 'House rent allowance under Section 10(13A)', salary.hraExemption, { indent: 12 });
+    }
+    amountRow(doc, 'Exempt allowances', computation.exemptions, { indent: 12 });
+
+    sectionHeading(doc, '3. Deductions under Section 16');
+    amountRow(doc, 'Standard deduction', computation.standardDeduction, { indent: 12 });
+    amountRow(doc, 'Professional tax', computation.professionalTax, { indent: 12 });
+
+    sectionHeading(doc, '4. Deductions under Chapter VI-A');
+    amountRow(doc, 'Section 80C (incl. employee PF)', computation.chapterVIA.section_80c, { indent: 12 });
+    amountRow(doc, 'Section 80D', computation.chapterVIA.section_80d, { indent: 12 });
+    amountRow(doc, 'Section 24(b) housing loan interest', computation.chapterVIA.section_24b, { indent: 12 });
+    amountRow(doc, 'Other deductions', computation.chapterVIA.other_deductions, { indent: 12 });
+
+    sectionHeading(doc, '5. Tax Computation');
+    amountRow(doc, 'Total taxable income', computation.taxableIncome, { bold: true });
+    amountRow(doc, 'Tax on total income', computation.slabTax, { indent: 12 });
+    amountRow(doc, 'Rebate under Section 87A', computation.rebate, { indent: 12 });
+    amountRow(doc, 'Surcharge', computation.surcharge, { indent: 12 });
+    amountRow(doc, 'Health and education cess', computation.cess, { indent: 12 });
+    amountRow(doc, 'Total tax payable', computation.totalTax, { bold: true });
+    amountRow(doc, 'Tax deducted at source', totals.tdsDeducted, { indent: 12 });
+    amountRow(doc, totals.balanceTax >= 0 ? 'Balance tax payable' : 'Excess tax deducted', Math.abs(totals.balanceTax), { bold: true });
+
+    sectionHeading(doc, '6. Month-wise Salary and TDS');
+    for (const row of statement.monthly) {
+      const label = new Date(row.year, row.month - 1).toLocaleString('en-IN', { month: 'short', year: 'numeric' });
+      const y = doc.y;
+      doc.text(label, 52, y, { width: 120 });
+      doc.text(formatAmount(row.grossSalary), 180, y, { width: 180, align: 'right' });
+      doc.text(formatAmount(row.tdsDeducted), 380, y, { width: 175, align: 'right' });
+    }
+
+    if (statement.regime === 'old' && statement.hraExemption.length > 0) {
+      sectionHeading(doc, '7. HRA Exemption (least of HRA received, rent over 10% of basic, 50%/40% of basic)');
+      for (const row of statement.hraExemption) {
+        const label = new Date(row.year, row.month - 1).toLocaleString('en-IN', { month: 'short', year: 'numeric' });
+        const y = doc.y;
+        doc.text(`${label} (${row.is_metro ? 'metro' : 'non-metro'})`, 52, y, { width: 130 });
+        doc.text(`Rent ${formatAmount(row.rent_paid)}`, 180, y, { width: 120, align: 'right' });
+        doc.text(`HRA ${formatAmount(row.hra_received)}`, 300, y, { width: 120, align: 'right' });
+        doc.text(formatAmount(row.exemption), 420, y, { width: 135, align: 'right' });
+      }
+    }
+
+    doc.moveDown(1.5);
+    doc.fontSize(8).text(
+      `Generated on ${new Date().toLocaleDateString('en-IN')} from processed payroll. ` +
+      'Figures are based on the declarations on record and are subject to verification.',
+      40
+    );
+
+    doc.end();
+  });
+}
+
+// ============================================================================
+// GENERATION & STORAGE
+// ============================================================================
+
+async function loadStatementItems(tenantId, employeeId, financialYear) {
+  const { startYear } = getFinancialYearBounds(financialYear);
+  const result = await query(
+    `SELECT pi.gross_salary, pi.basic_salary, pi.hra, pi.special_allowance,
+            pi.tds_deduction, pi.pf_deduction, pi.pt_deduction, pi.components, pi.perquisite_value,
+            pc.month, pc.year
+     FROM payroll.payroll_items pi
+     JOIN payroll.payroll_cycles pc ON pc.id = pi.payroll_cycle_id
+     WHERE pi.tenant_id = $1
+       AND pi.employee_id = $2
+       AND pc.status = ANY($4::text[])
+       AND (pc.year * 12 + pc.month) BETWEEN ($3 * 12 + 4) AND ($3 * 12 + 15)
+     ORDER BY pc.year, pc.month`,
+    [tenantId, employeeId, startYear, FINALIZED_CYCLE_STATUSES]
+  );
+  return result.rows;
+}
+
+// HRA exemption from the basic and HRA actually paid each month
+async function loadHraExemption(tenantId, employeeId, financialYear, items, verifiedOnly) {
+  const [rentHistory, verifiedRent] = await Promise.all([
+    getRentHistory(tenantId, employeeId),
+    verifiedOnly ? getVerifiedRentByMonth(tenantId, employeeId, financialYear) : null,
+  ]);
+  const months = getFinancialYearMonths(financialYear).map(({ month, year }) => {
+    const paid = items.filter(item => Number(item.month) === month && Number(item.year) === year);
+    return {
+      month,
+      year,
+      basic: paid.reduce((sum, item) => sum + (Number(item.basic_salary) || 0), 0),
+      hra: paid.reduce((sum, item) => sum + (Number(item.hra) || 0), 0),
+    };
+  });
+  return computeAnnualHraExemption({ months, rentHistory, verifiedRent });
+}
+
+/**
+ * Generate and store the annual statement for one employee. Regenerating
+ * replaces the previously stored document for the same financial year.
+ *
+ * @returns {Object|null} The stored tax document (without file bytes), or
+ *   null when the employee has no processed payroll in the year
+ */
+export async function generateAnnualStatement({ tenantId, employeeId, financialYear, actorId = null }) {
+  const employeeResult = await query(
+    `SELECT e.id, e.full_name, e.employee_code, e.pan_number, o.name AS tenant_name
+     FROM payroll.employees e
+     LEFT JOIN organizations o ON o.id = e.tenant_id
+     WHERE e.id = $1 AND e.tenant_id = $2`,
+    [employeeId, tenantId]
+  );
+  const employee = employeeResult.rows[0];
+  if (!employee) return null;
+
+  const items = await loadStatementItems(tenantId, employeeId, financialYear);
+  if (items.length === 0) return null;
+
+  const declaration = await getTaxDeclaration(tenantId, employeeId, financialYear, {
+    asOf: `${getFinancialYearBounds(financialYear).endYear}-03-31`,
+  });
+  const config = await loadTaxConfig(tenantId, financialYear, declaration.tax_regime);
+  const hraExemption = declaration.tax_regime === 'old'
+    ? await loadHraExemption(tenantId, employeeId, financialYear, items, declaration.proofs_applied)
+    : null;
+  const statement = buildAnnualStatement({ financialYear, items, declaration, config, hraExemption });
+  const pdf = await renderAnnualStatementPdf({ statement, employee, tenantName: employee.tenant_name });
+  const fileName = `annual-tax-statement-${employee.employee_code}-${financialYear}.pdf`;
+
+  const { rows } = await query(
+    `INSERT INTO payroll.tax_documents (
+       tenant_id, employee_id, document_type, document_url, financial_year,
+       file_name, content_type, file_data, metadata, generated_by
+     )
+     VALUES ($1, $2, $3, '', $4, $5, 'application/pdf', $6, $7, $8)
+     ON CONFLICT (tenant_id, employee_id, financial_year) WHERE document_type = 'annual_tax_statement'
+     DO UPDATE SET
+       file_name = EXCLUDED.file_name,
+       file_data = EXCLUDED.file_data,
+       metadata = EXCLUDED.metadata,
+       generated_by = EXCLUDED.generated_by,
+       uploaded_at = now()
+     RETURNING id`,
+    [
+      tenantId,
+      employeeId,
+      ANNUAL_STATEMENT_DOCUMENT_TYPE,
+      financialYear,
+      fileName,
+      pdf,
+      JSON.stringify({ regime: statement.regime, totals: statement.totals, computation: statement.computation }),
+      actorId,
+    ]
+  );
+
+  const documentId = rows[0].id;
+  const updated = await query(
+    `UPDATE payroll.tax_documents SET document_url = $2
+     WHERE id = $1
+     RETURNING id, tenant_id, employee_id, document_type, document_url, financial_year,
+               file_name, content_type, metadata, generated_by, uploaded_at, created_at`,
+    [documentId, `/api/payroll/tax-documents/${documentId}/download`]
+  );
+  return updated.rows[0];
+}
+
+/**
+ * Bulk job: generate statements for every employee of the tenant with
+ * processed payroll in the financial year. Per-employee failures are
+ * recorded on the job and do not stop the run.
+ */
+export async function runAnnualStatementJob(jobId, tenantId, financialYear, actorId = null) {
+  const { startYear } = getFinancialYearBounds(financialYear);
+  const employeesResult = await query(
+    `SELECT DISTINCT pi.employee_id
+     FROM payroll.payroll_items pi
+     JOIN payroll.payroll_cycles pc ON pc.id = pi.payroll_cycle_id
+     WHERE pi.tenant_id = $1
+       AND pc.status = ANY($3::text[])
+       AND (pc.year * 12 + pc.month) BETWEEN ($2 * 12 + 4) AND ($2 * 12 + 15)`,
+    [tenantId, startYear, FINALIZED_CYCLE_STATUSES]
+  );
+  const employeeIds = employeesResult.rows.map(r => r.employee_id);
+
+  await query(
+    `UPDATE payroll.tax_document_jobs
+     SET status = 'running', total_employees = $2, started_at = now()
+     WHERE id = $1`,
+    [jobId, employeeIds.length]
+  );
+
+  let generated = 0;
+  const errors = [];
+  for (const employeeId of employeeIds) {
+    try {
+      const document = await generateAnnualStatement({ tenantId, employeeId, financialYear, actorId });
+      if (document) generated++;
+    } catch (error) {
+      console.error(`Error generating annual tax statement for employee ${employeeId}:`, error);
+      errors.push({ employee_id: employeeId, error: error.message || 'Generation failed' });
+    }
+
+    await query(
+      `UPDATE payroll.tax_document_jobs
+       SET generated_count = $2, failed_count = $3, errors = $4
+       WHERE id = $1`,
+      [jobId, generated, errors.length, JSON.stringify(errors)]
+    );
+  }
+
+  await query(
+    `UPDATE payroll.tax_document_jobs SET status = 'completed', completed_at = now() WHERE id = $1`,
+    [jobId]
+  );
+  return { total: employeeIds.length, generated, failed: errors.length };
+}
+
+export default {
+  ANNUAL_STATEMENT_DOCUMENT_TYPE,
+  isValidFinancialYear,
+  buildAnnualStatement,
+  renderAnnualStatementPdf,
+  generateAnnualStatement,
+  runAnnualStatementJob,
+};
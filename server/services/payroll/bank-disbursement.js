@@ -0,0 +1,226 @@
+/**
+ * Bank Disbursement Files
+ *
+ * Turns the net pay of an approved cycle into a bulk transfer file for the
+ * bank. Payments are validated against the employee's payroll bank details
+ * first; employees with zero net pay, a salary hold or unusable bank details
+ * are left out and reported. File layouts are pluggable: each format
+ * registers a builder, and the generic NEFT/RTGS CSV is always available.
+ */
+
+import crypto from 'crypto';
+
+// RBI minimum for RTGS; smaller transfers go through NEFT
+export const RTGS_MINIMUM_AMOUNT = 200000;
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^[0-9]{9,18}$/;
+
+export function normalizeIfsc(ifsc) {
+  return String(ifsc || '').replace(/\s+/g, '').toUpperCase();
+}
+
+export function normalizeAccountNumber(accountNumber) {
+  return String(accountNumber || '').replace(/[\s-]+/g, '');
+}
+
+/**
+ * Validate the bank details on a payroll employee record
+ * @returns {string|null} Error message, or null when the details are usable
+ */
+export function validateBankDetails({ bank_account_number, bank_ifsc }) {
+  const accountNumber = normalizeAccountNumber(bank_account_number);
+  const ifsc = normalizeIfsc(bank_ifsc);
+  if (!accountNumber) return 'Bank account number is missing';
+  if (!ACCOUNT_NUMBER_PATTERN.test(accountNumber)) {
+    return 'Bank account number must be 9 to 18 digits';
+  }
+  if (!ifsc) return 'IFSC is missing';
+  if (!IFSC_PATTERN.test(ifsc)) {
+    return `IFSC ${ifsc} is invalid (expected 4 letters, 0, then 6 letters or digits)`;
+  }
+  return null;
+}
+
+/**
+ * Split a cycle's payroll items into payable transfers and exclusions
+ *
+ * @param {Array} rows - Payroll items joined with the employee's bank details
+ * @returns {Object} { payments, excluded, totalAmount }
+ */
+export function preparePayments(rows) {
+  const payments = [];
+  const excluded = [];
+
+  for (const row of rows) {
+    const amount = Math.round((Number(row.net_salary) || 0) * 100) / 100;
+    const exclude = (reason) => excluded.push({
+      employee_id: row.employee_id,
+      employee_code: row.employee_code,
+      full_name: row.full_name,
+      amount,
+      reason,
+    });
+
+    if (row.payment_hold) {
+      exclude(row.payment_hold_reason ? `Salary on hold: ${row.payment_hold_reason}` : 'Salary on hold');
+      continue;
+    }
+    if (amount <= 0) {
+      exclude('Net pay is zero');
+      continue;
+    }
+    // The bank formats here are domestic INR transfers
+    if (row.currency && row.currency !== 'INR') {
+      exclude(`Paid in ${row.currency}; pay through an international transfer`);
+      continue;
+    }
+    const bankError = validateBankDetails(row);
+    if (bankError) {
+      exclude(bankError);
+      continue;
+    }
+
+    payments.push({
+      payroll_item_id: row.payroll_item_id,
+      employee_id: row.employee_id,
+      employee_code: row.employee_code,
+      full_name: row.full_name,
+      email: row.email,
+      account_number: normalizeAccountNumber(row.bank_account_number),
+      ifsc: normalizeIfsc(row.bank_ifsc),
+      bank_name: row.bank_name,
+      amount,
+      mode: amount >= RTGS_MINIMUM_AMOUNT ? 'RTGS' : 'NEFT',
+    });
+  }
+
+  const totalAmount = Math.round(payments.reduce((sum, p) => sum + p.amount, 0) * 100) / 100;
+  return { payments, excluded, totalAmount };
+}
+
+export function computeChecksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// ============================================================================
+// FORMATS
+// ============================================================================
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  if (str.includes(',') || str.includes('\n') || str.includes('"')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+function formatValueDate(value) {
+  const date = value ? new Date(value) : new Date();
+  return [
+    String(date.getDate()).padStart(2, '0'),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    date.getFullYear(),
+  ].join('/');
+}
+
+/**
+ * Generic bulk upload accepted by most Indian banks' corporate portals
+ */
+const genericNeftRtgsFormat = {
+  id: 'generic-neft-rtgs',
+  name: 'Generic NEFT/RTGS bulk upload (CSV)',
+  extension: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+  build(payments, { debitAccount, valueDate, narration }) {
+    const header = [
+      'Transaction Type',
+      'Beneficiary Name',
+      'Beneficiary Account Number',
+      'IFSC Code',
+      'Amount',
+      'Value Date',
+      'Debit Account Number',
+      'Narration',
+      'Beneficiary Email',
+      'Reference',
+    ];
+    const lines = payments.map(payment => [
+      payment.mode,
+      csvValue(payment.full_name),
+      csvValue(payment.account_number),
+      payment.ifsc,
+      payment.amount.toFixed(2),
+      formatValueDate(valueDate),
+      csvValue(debitAccount || ''),
+      csvValue(narration),
+      csvValue(payment.email || ''),
+      csvValue(payment.employee_code),
+    ].join(','));
+    return [header.join(','), ...lines].join('\n');
+  },
+};
+
+const formats = new Map();
+
+/**
+ * Add a bank-specific layout. A format is
+ * { id, name, extension, contentType, build(payments, context) => string },
+ * where context carries { cycle, debitAccount, valueDate, narration }.
+ */
+export function registerDisbursementFormat(format) {
+  if (!format?.id || typeof format.build !== 'function') {
+    throw new Error('Disbursement formats need an id and a build function');
+  }
+  formats.set(format.id, format);
+}
+
+export function getDisbursementFormat(id) {
+  return formats.get(id) || null;
+}
+
+export function listDisbursementFormats() {
+  return [...formats.values()].map(({ id, name, extension }) => ({ id, name, extension }));
+}
+
+export const DEFAULT_DISBURSEMENT_FORMAT = genericNeftRtgsFormat.id;
+
+registerDisbursementFormat(genericNeftRtgsFormat);
+
+/**
+ * Build the payout file for a cycle with the given format
+ * @returns {Object} { fileName, contentType, content, checksum, payments, excluded, totalAmount }
+ */
+export function buildDisbursementFile({ formatId = DEFAULT_DISBURSEMENT_FORMAT, cycle, rows, debitAccount, valueDate }) {
+  const format = getDisbursementFormat(formatId);
+  if (!format) {
+    throw new Error(`Unknown disbursement format ${formatId}`);
+  }
+
+  const { payments, excluded, totalAmount } = preparePayments(rows);
+  const monthName = new Date(2000, cycle.month - 1).toLocaleString('en-IN', { month: 'short' });
+  const narration = `Salary ${monthName} ${cycle.year}`;
+  const content = format.build(payments, { cycle, debitAccount, valueDate, narration });
+
+  return {
+    fileName: `salary-disbursement-${cycle.year}-${String(cycle.month).padStart(2, '0')}-${format.id}.${format.extension}`,
+    contentType: format.contentType,
+    content,
+    checksum: computeChecksum(content),
+    payments,
+    excluded,
+    totalAmount,
+  };
+}
+
+export default {
+  RTGS_MINIMUM_AMOUNT,
+  DEFAULT_DISBURSEMENT_FORMAT,
+  validateBankDetails,
+  preparePayments,
+  registerDisbursementFormat,
+  getDisbursementFormat,
+  listDisbursementFormats,
+  buildDisbursementFile,
+};
@@ -0,0 +1,137 @@
+/**
+ * Payroll Countries & Currencies
+ *
+ * The country and currency an employee is paid in. Employees default to the
+ * tenant's payroll country and currency; an employee's own country brings
+ * its local currency unless one is set explicitly. Statutory rules follow the
+ * employee's country; an employee paid in another currency without a country
+ * of their own has none. Amounts are rounded to, and settled amounts stored
+ * in, the currency's minor units (paise, cents) and rendered in the country's
+ * locale.
+ */
+
+export const DEFAULT_COUNTRY = 'IN';
+export const DEFAULT_CURRENCY = 'INR';
+
+// ISO 4217 codes with the number of minor-unit digits
+export const CURRENCIES = {
+  INR: { name: 'Indian Rupee', minorUnits: 2 },
+  USD: { name: 'US Dollar', minorUnits: 2 },
+  EUR: { name: 'Euro', minorUnits: 2 },
+  GBP: { name: 'Pound Sterling', minorUnits: 2 },
+  AED: { name: 'UAE Dirham', minorUnits: 2 },
+  SGD: { name: 'Singapore Dollar', minorUnits: 2 },
+  AUD: { name: 'Australian Dollar', minorUnits: 2 },
+  CAD: { name: 'Canadian Dollar', minorUnits: 2 },
+  JPY: { name: 'Japanese Yen', minorUnits: 0 },
+};
+
+// ISO 3166 alpha-2 codes with the local currency and number formatting locale
+export const COUNTRIES = {
+  IN: { name: 'India', currency: 'INR', locale: 'en-IN' },
+  US: { name: 'United States', currency: 'USD', locale: 'en-US' },
+  GB: { name: 'United Kingdom', currency: 'GBP', locale: 'en-GB' },
+  DE: { name: 'Germany', currency: 'EUR', locale: 'de-DE' },
+  NL: { name: 'Netherlands', currency: 'EUR', locale: 'nl-NL' },
+  AE: { name: 'United Arab Emirates', currency: 'AED', locale: 'en-AE' },
+  SG: { name: 'Singapore', currency: 'SGD', locale: 'en-SG' },
+  AU: { name: 'Australia', currency: 'AUD', locale: 'en-AU' },
+  CA: { name: 'Canada', currency: 'CAD', locale: 'en-CA' },
+  JP: { name: 'Japan', currency: 'JPY', locale: 'ja-JP' },
+};
+
+export function isSupportedCountry(code) {
+  return Object.prototype.hasOwnProperty.call(COUNTRIES, code);
+}
+
+export function isSupportedCurrency(code) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+}
+
+/**
+ * Validate optional country and currency codes
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCountryAndCurrency({ country, currency } = {}) {
+  if (country !== undefined && country !== null && country !== '' && !isSupportedCountry(country)) {
+    return `country must be one of: ${Object.keys(COUNTRIES).join(', ')}`;
+  }
+  if (currency !== undefined && currency !== null && currency !== '' && !isSupportedCurrency(currency)) {
+    return `currency must be one of: ${Object.keys(CURRENCIES).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * The country, currency and locale an employee is paid in, and the country
+ * whose statutory rules apply (null when there are none)
+ * @param {Object} employee - { country, currency }
+ * @param {Object} settings - Tenant payroll settings { country, currency }
+ */
+export function resolvePayrollCurrency(employee = {}, settings = {}) {
+  const country = employee.country || settings.country || DEFAULT_COUNTRY;
+  const tenantCurrency = settings.currency || DEFAULT_CURRENCY;
+  const currency = employee.currency
+    || (employee.country ? COUNTRIES[employee.country]?.currency : null)
+    || tenantCurrency;
+  // A currency override alone does not say which country's rules apply
+  const currencyOnly = !employee.country && Boolean(employee.currency) && employee.currency !== tenantCurrency;
+  return {
+    country,
+    currency,
+    statutoryCountry: currencyOnly ? null : country,
+    locale: COUNTRIES[country]?.locale || COUNTRIES[DEFAULT_COUNTRY].locale,
+  };
+}
+
+function minorUnitsOf(currency) {
+  return CURRENCIES[currency]?.minorUnits ?? 2;
+}
+
+/**
+ * Round a major-unit amount to the currency's minor units (2 places for INR,
+ * none for JPY)
+ */
+export function roundMoney(amount, currency = DEFAULT_CURRENCY) {
+  const factor = 10 ** minorUnitsOf(currency);
+  return Math.round((Number(amount) || 0) * factor) / factor;
+}
+
+/**
+ * Major-unit amount (e.g. 1234.5 rupees) to an integer of minor units (123450 paise)
+ */
+export function toMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+  return Math.round((Number(amount) || 0) * 10 ** minorUnitsOf(currency));
+}
+
+export function fromMinorUnits(minor, currency = DEFAULT_CURRENCY) {
+  return (Number(minor) || 0) / 10 ** minorUnitsOf(currency);
+}
+
+/**
+ * Format a major-unit amount with the currency symbol in the given locale
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, locale = COUNTRIES[DEFAULT_COUNTRY].locale) {
+  const digits = minorUnitsOf(currency);
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(Number(amount) || 0);
+}
+
+export default {
+  DEFAULT_COUNTRY,
+  DEFAULT_CURRENCY,
+  CURRENCIES,
+  COUNTRIES,
+  isSupportedCountry,
+  isSupportedCurrency,
+  validateCountryAndCurrency,
+  resolvePayrollCurrency,
+  roundMoney,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+};
@@ -0,0 +1,106 @@
+/**
+ * Payroll Cycle Lifecycle
+ *
+ * Cycles move draft → computed → submitted → approved → locked → paid.
+ * Computing persists the payroll items; a locked or paid regular cycle
+ * freezes the attendance, leave and compensation data of its month so the
+ * payroll cannot drift from what was approved. Reopening a locked cycle
+ * needs a reason and a second approver, and only the employees named in the
+ * reopen request are recomputed.
+ */
+
+import { query } from '../../db/pool.js';
+import { toDateKey } from './working-calendar.js';
+
+export const CYCLE_STATUSES = ['draft', 'computed', 'submitted', 'approved', 'locked', 'paid'];
+
+// Regular cycles in these states freeze their month's inputs
+export const LOCKED_CYCLE_STATUSES = ['locked', 'paid'];
+
+// Cycles whose payroll is final enough to count as paid for tax, variance
+// and disbursement
+export const FINALIZED_CYCLE_STATUSES = ['approved', 'locked', 'paid'];
+
+export const CYCLE_TRANSITIONS = {
+  compute: { from: ['draft', 'computed'], to: 'computed' },
+  submit: { from: ['computed'], to: 'submitted' },
+  approve: { from: ['submitted'], to: 'approved' },
+  reject: { from: ['submitted'], to: 'draft' },
+  lock: { from: ['approved'], to: 'locked' },
+  pay: { from: ['locked'], to: 'paid' },
+  reopen: { from: ['approved', 'locked'], to: 'draft' },
+};
+
+/**
+ * Check that an action is allowed from the cycle's current status
+ * @returns {string|null} Error message, or null when allowed
+ */
+export function checkTransition(cycle, action) {
+  const transition = CYCLE_TRANSITIONS[action];
+  if (!transition) return `Unknown payroll cycle action '${action}'`;
+  if (!transition.from.includes(cycle.status)) {
+    return `Cannot ${action} a payroll cycle that is '${cycle.status}'. Allowed from: ${transition.from.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a reopen request
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateReopenRequest({ reason, employee_ids } = {}) {
+  if (!reason || !String(reason).trim()) return 'A reason is required to reopen a payroll cycle';
+  if (!Array.isArray(employee_ids) || employee_ids.length === 0) {
+    return 'employee_ids must list the employees to recompute';
+  }
+  return null;
+}
+
+export function formatCyclePeriod(cycle) {
+  const monthName = new Date(2000, cycle.month - 1).toLocaleString('en-IN', { month: 'long' });
+  return `${monthName} ${cycle.year}`;
+}
+
+/**
+ * The first locked regular cycle whose month overlaps the date range. Pass
+ * FINALIZED_CYCLE_STATUSES to include approved cycles that are not locked yet.
+ */
+export async function findLockedCycle({ tenantId, startDate, endDate = startDate, statuses = LOCKED_CYCLE_STATUSES }) {
+  const result = await query(
+    `SELECT id, month, year, status
+     FROM payroll.payroll_cycles
+     WHERE tenant_id = $1
+       AND run_type = 'regular'
+       AND status = ANY($4::text[])
+       AND make_date(year, month, 1) <= $3::date
+       AND (make_date(year, month, 1) + INTERVAL '1 month - 1 day')::date >= $2::date
+     ORDER BY year, month
+     LIMIT 1`,
+    [tenantId, toDateKey(startDate), toDateKey(endDate), statuses]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Refuse changes to attendance, leave or compensation inside a locked period
+ * @returns {string|null} Error message, or null when the period is open
+ */
+export async function checkPeriodLock({ tenantId, startDate, endDate = startDate }) {
+  if (!tenantId || !startDate) return null;
+  const cycle = await findLockedCycle({ tenantId, startDate, endDate });
+  if (!cycle) return null;
+  return `Payroll for ${formatCyclePeriod(cycle)} is ${cycle.status}; ` +
+    'its attendance, leave and compensation cannot be changed unless the cycle is reopened';
+}
+
+export default {
+  CYCLE_STATUSES,
+  LOCKED_CYCLE_STATUSES,
+  FINALIZED_CYCLE_STATUSES,
+  CYCLE_TRANSITIONS,
+  checkTransition,
+  validateReopenRequest,
+  formatCyclePeriod,
+  findLockedCycle,
+  checkPeriodLock,
+};
@@ -0,0 +1,157 @@
+/**
+ * Expense Claims & Reimbursements
+ *
+ * Employees claim expenses against tenant categories, each with optional
+ * per-claim and monthly limits. Claims go through the shared approval flow
+ * (resource type 'expense'), and approved claims are paid as a non-taxable
+ * reimbursement: either as a line on the next processed payroll cycle or
+ * off-cycle with a payment reference.
+ */
+
+import { query } from '../../db/pool.js';
+
+export const EXPENSE_PAYOUT_MODES = ['payroll', 'off_cycle'];
+
+// Receipts are kept in the database, so keep them small
+export const MAX_RECEIPT_BYTES = 5 * 1024 * 1024;
+export const RECEIPT_CONTENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Check a claim against its category's rules
+ *
+ * @param {Object} params
+ * @param {Object} params.category - Expense category row
+ * @param {number} params.amount - Claimed amount
+ * @param {number} [params.monthToDate] - Other non-rejected claims in the same category and month
+ * @param {boolean} [params.hasReceipt]
+ * @returns {string|null} Error message, or null when the claim is allowed
+ */
+export function validateExpenseClaim({ category, amount, monthToDate = 0, hasReceipt = false }) {
+  const claimed = Number(amount);
+  if (!(claimed > 0)) return 'amount must be greater than zero';
+  if (!category.is_active) return `${category.name} is no longer open for claims`;
+
+  if (category.per_claim_limit !== null && category.per_claim_limit !== undefined &&
+      claimed > Number(category.per_claim_limit)) {
+    return `${category.name} claims are limited to ${Number(category.per_claim_limit).toFixed(2)} each`;
+  }
+  if (category.monthly_limit !== null && category.monthly_limit !== undefined) {
+    const remaining = roundAmount(Number(category.monthly_limit) - (Number(monthToDate) || 0));
+    if (claimed > remaining) {
+      return `${category.name} claims are limited to ${Number(category.monthly_limit).toFixed(2)} a month ` +
+        `(${Math.max(0, remaining).toFixed(2)} remaining)`;
+    }
+  }
+  if (category.requires_receipt && !hasReceipt) {
+    return `A receipt is required for ${category.name} claims`;
+  }
+  return null;
+}
+
+/**
+ * Validate a category's limits
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateExpenseCategory({ name, per_claim_limit, monthly_limit }) {
+  if (name !== undefined && !String(name).trim()) return 'name is required';
+  for (const [field, value] of [['per_claim_limit', per_claim_limit], ['monthly_limit', monthly_limit]]) {
+    if (value !== undefined && value !== null && value !== '' && !(Number(value) > 0)) {
+      return `${field} must be greater than zero`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Total of an employee's other open or settled claims in a category for the
+ * calendar month of the expense date
+ */
+export async function getCategoryMonthToDate({ tenantId, employeeId, categoryId, expenseDate, excludeClaimId = null }) {
+  const result = await query(
+    `SELECT COALESCE(SUM(amount), 0)::numeric AS total
+     FROM payroll.expense_claims
+     WHERE tenant_id = $1
+       AND employee_id = $2
+       AND category_id = $3
+       AND status <> 'rejected'
+       AND date_trunc('month', expense_date) = date_trunc('month', $4::date)
+       AND id IS DISTINCT FROM $5`,
+    [tenantId, employeeId, categoryId, expenseDate, excludeClaimId]
+  );
+  return Number(result.rows[0].total);
+}
+
+// ============================================================================
+// PAYROLL INTEGRATION
+// ============================================================================
+
+/**
+ * Approved claims to reimburse through a cycle: those not yet paid, plus
+ * those this same cycle already paid so reprocessing gives the same result
+ *
+ * @returns {Object} { total, reimbursements }
+ */
+export async function getEmployeeReimbursements({ tenantId, employeeId, cycle }) {
+  const result = await query(
+    `SELECT c.id, c.expense_date, c.amount, cat.name AS category
+     FROM payroll.expense_claims c
+     JOIN payroll.expense_categories cat ON cat.id = c.category_id
+     WHERE c.tenant_id = $1
+       AND c.employee_id = $2
+       AND c.payout_mode = 'payroll'
+       AND (
+         (c.status = 'approved' AND c.payroll_cycle_id IS NULL)
+         OR (c.status = 'paid' AND c.payroll_cycle_id = $3)
+       )
+     ORDER BY c.expense_date ASC`,
+    [tenantId, employeeId, cycle.id]
+  );
+
+  const reimbursements = result.rows.map(row => ({
+    claim_id: row.id,
+    category: row.category,
+    expense_date: row.expense_date,
+    amount: roundAmount(row.amount),
+  }));
+  return {
+    total: roundAmount(reimbursements.reduce((sum, r) => sum + r.amount, 0)),
+    reimbursements,
+  };
+}
+
+/**
+ * Mark the claims a processed cycle reimbursed as paid. Claims an earlier
+ * run of the same cycle paid but this run did not are released back to
+ * approved. Runs inside the caller's transaction.
+ */
+export async function recordCycleReimbursements(client, { tenantId, cycleId, payrollItems }) {
+  await client.query(
+    `UPDATE payroll.expense_claims
+     SET status = 'approved', payroll_cycle_id = NULL, paid_at = NULL, updated_at = NOW()
+     WHERE tenant_id = $1 AND payroll_cycle_id = $2 AND payout_mode = 'payroll'`,
+    [tenantId, cycleId]
+  );
+
+  const claimIds = payrollItems.flatMap(item => (item.reimbursements || []).map(r => r.claim_id));
+  if (claimIds.length === 0) return;
+
+  await client.query(
+    `UPDATE payroll.expense_claims
+     SET status = 'paid', payroll_cycle_id = $1, paid_at = NOW(), updated_at = NOW()
+     WHERE tenant_id = $2 AND id = ANY($3::uuid[]) AND status = 'approved'`,
+    [cycleId, tenantId, claimIds]
+  );
+}
+
+export default {
+  EXPENSE_PAYOUT_MODES,
+  validateExpenseClaim,
+  validateExpenseCategory,
+  getCategoryMonthToDate,
+  getEmployeeReimbursements,
+  recordCycleReimbursements,
+};
@@ -0,0 +1,369 @@
+/**
+ * Full & Final Settlement
+ *
+ * Builds the settlement statement for an employee who is leaving: salary for
+ * the final month up to the last working day (unless the regular cycle has
+ * already paid it), encashment of leave under encashable leave policies,
+ * gratuity, and recoveries for notice-period shortfall, outstanding loans
+ * and unreturned assets. HR reviews and approves the statement; it is then
+ * paid through an off-cycle settlement run, which deducts statutory
+ * contributions and the final TDS.
+ */
+
+import { query } from '../../db/pool.js';
+import { FINALIZED_CYCLE_STATUSES } from './cycle-lifecycle.js';
+import { calculateLopAndPaidDays, resolveSalaryComponents } from './payroll-engine.js';
+import { getEmployeeLoanRecoveries } from './loans.js';
+import { toDateKey } from './working-calendar.js';
+
+// Payment of Gratuity Act: 15 days' wages per year, a month taken as 26 days
+export const GRATUITY_MIN_YEARS = 5;
+export const GRATUITY_CAP = 2000000;
+// Leave encashment and notice recovery use calendar-day rates
+export const SETTLEMENT_DAYS_PER_MONTH = 30;
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function parseDate(value) {
+  const [year, month, day] = toDateKey(value).split('-').map(Number);
+  return { year, month, day };
+}
+
+function daysBetween(from, to) {
+  const a = parseDate(from);
+  const b = parseDate(to);
+  return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / 86400000);
+}
+
+/**
+ * Length of service from the joining date through the last working day
+ * @returns {Object} { years, months, days }
+ */
+export function computeServicePeriod(dateOfJoining, lastWorkingDay) {
+  const start = parseDate(dateOfJoining);
+  const lwd = parseDate(lastWorkingDay);
+  // Count the last working day itself
+  const end = new Date(Date.UTC(lwd.year, lwd.month - 1, lwd.day + 1));
+
+  let years = end.getUTCFullYear() - start.year;
+  let months = end.getUTCMonth() + 1 - start.month;
+  let days = end.getUTCDate() - start.day;
+  if (days < 0) {
+    months -= 1;
+    days += new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 0)).getUTCDate();
+  }
+  if (months < 0) {
+    years -= 1;
+    months += 12;
+  }
+  return { years, months, days };
+}
+
+/**
+ * Gratuity on the last drawn basic: 15/26 of a month per year of service,
+ * counting six months or more as a full year, once five years are completed
+ */
+export function computeGratuity({ monthlyBasic, dateOfJoining, lastWorkingDay }) {
+  const service = computeServicePeriod(dateOfJoining, lastWorkingDay);
+  const eligible = service.years >= GRATUITY_MIN_YEARS;
+  const gratuityYears = service.years + (service.months >= 6 ? 1 : 0);
+  const amount = eligible
+    ? Math.min(GRATUITY_CAP, roundAmount((Number(monthlyBasic) || 0) * 15 / 26 * gratuityYears))
+    : 0;
+  return {
+    eligible,
+    service,
+    gratuity_years: eligible ? gratuityYears : 0,
+    last_basic: roundAmount(monthlyBasic),
+    amount,
+  };
+}
+
+/**
+ * Days of the notice period not served between resignation and the last
+ * working day (both inclusive)
+ */
+export function computeNoticeShortfall({ noticePeriodDays, resignedOn, lastWorkingDay }) {
+  const required = Math.max(0, Number(noticePeriodDays) || 0);
+  if (!resignedOn) {
+    return { notice_period_days: required, served_days: null, shortfall_days: 0 };
+  }
+  const served = Math.max(0, daysBetween(resignedOn, lastWorkingDay) + 1);
+  return { notice_period_days: required, served_days: served, shortfall_days: Math.max(0, required - served) };
+}
+
+/**
+ * Encashable leave balance: each policy's entitlement accrued for the months
+ * of the year worked (in half days), less leave already taken
+ *
+ * @param {Object} params
+ * @param {Array} params.policies - [{ name, annual_entitlement, taken }]
+ * @param {number} [params.overrideDays] - Days HR settled on instead of the computed balance
+ */
+export function computeLeaveEncashment({ policies, lastWorkingDay, monthlyBasic, overrideDays = null }) {
+  const monthsWorked = parseDate(lastWorkingDay).month;
+  const breakdown = policies.map(policy => {
+    const accrued = Math.floor((Number(policy.annual_entitlement) || 0) * monthsWorked / 12 * 2) / 2;
+    const taken = Number(policy.taken) || 0;
+    return { name: policy.name, accrued, taken, balance: Math.max(0, accrued - taken) };
+  });
+
+  const computedDays = breakdown.reduce((sum, p) => sum + p.balance, 0);
+  const days = overrideDays !== null && overrideDays !== undefined ? Number(overrideDays) : computedDays;
+  const dailyRate = roundAmount((Number(monthlyBasic) || 0) / SETTLEMENT_DAYS_PER_MONTH);
+  return {
+    days,
+    computed_days: computedDays,
+    overridden: days !== computedDays,
+    daily_rate: dailyRate,
+    amount: roundAmount(days * dailyRate),
+    policies: breakdown,
+  };
+}
+
+/**
+ * Assemble the statement and its totals
+ *
+ * @returns {Object} statement with totals { earnings, recoveries, net_before_tax }
+ */
+export function buildSettlementStatement({
+  lastWorkingDay,
+  salary = null,
+  salaryNote = null,
+  leaveEncashment,
+  gratuity,
+  notice,
+  monthlyGross,
+  waiveNoticeRecovery = false,
+  loans = [],
+  assets = [],
+  assetsPending = 0,
+}) {
+  const noticeDailyRate = roundAmount((Number(monthlyGross) || 0) / SETTLEMENT_DAYS_PER_MONTH);
+  const noticeAmount = waiveNoticeRecovery ? 0 : roundAmount(notice.shortfall_days * noticeDailyRate);
+  const assetRecoveries = assets.map(a => ({ description: String(a.description), amount: roundAmount(a.amount) }));
+
+  const earnings = roundAmount((salary?.gross || 0) + leaveEncashment.amount + gratuity.amount);
+  const recoveries = roundAmount(
+    (salary?.deductions || 0) +
+    noticeAmount +
+    loans.reduce((sum, l) => sum + l.amount, 0) +
+    assetRecoveries.reduce((sum, a) => sum + a.amount, 0)
+  );
+
+  return {
+    last_working_day: toDateKey(lastWorkingDay),
+    salary,
+    salary_note: salaryNote,
+    leave_encashment: leaveEncashment,
+    gratuity,
+    notice: { ...notice, daily_rate: noticeDailyRate, amount: noticeAmount, waived: Boolean(waiveNoticeRecovery) },
+    loans,
+    assets: assetRecoveries,
+    assets_pending: Number(assetsPending) || 0,
+    totals: { earnings, recoveries, net_before_tax: roundAmount(earnings - recoveries) },
+  };
+}
+
+/**
+ * Validate HR's settlement inputs
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSettlementInputs({ leave_encashment_days, asset_recoveries } = {}) {
+  if (leave_encashment_days !== undefined && leave_encashment_days !== null &&
+      !(Number(leave_encashment_days) >= 0)) {
+    return 'leave_encashment_days cannot be negative';
+  }
+  if (asset_recoveries !== undefined) {
+    if (!Array.isArray(asset_recoveries)) return 'asset_recoveries must be a list';
+    for (const asset of asset_recoveries) {
+      if (!asset?.description || !String(asset.description).trim()) return 'Each asset recovery needs a description';
+      if (!(Number(asset.amount) > 0)) return 'Each asset recovery needs an amount greater than zero';
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// COMPUTATION
+// ============================================================================
+
+async function getHrExitContext(tenantId, email) {
+  const result = await query(
+    `SELECT e.id AS hr_employee_id, e.policy_id,
+            o.id AS offboarding_request_id, o.last_working_day, o.requested_at,
+            o.notice_period_days, o.fnf_pay_date, ec.assets_pending, ec.financials_due
+     FROM employees e
+     JOIN profiles p ON p.id = e.user_id
+     LEFT JOIN offboarding_requests o
+       ON o.employee_id = e.id AND o.status IN ('approved', 'auto_approved')
+     LEFT JOIN exit_checklists ec ON ec.offboarding_id = o.id
+     WHERE e.tenant_id = $1 AND LOWER(p.email) = LOWER($2)
+     LIMIT 1`,
+    [tenantId, email]
+  );
+  return result.rows[0] || null;
+}
+
+// The employee's own offboarding policy, else the organisation default
+async function getNoticePeriodDays(tenantId, policyId, fallback) {
+  const result = await query(
+    `SELECT notice_period_days FROM offboarding_policies
+     WHERE org_id = $1 AND (id = $2 OR is_default)
+     ORDER BY (id = $2) IS TRUE DESC
+     LIMIT 1`,
+    [tenantId, policyId || null]
+  );
+  return result.rows[0]?.notice_period_days ?? fallback ?? 0;
+}
+
+async function getEncashableLeave(tenantId, hrEmployeeId, year) {
+  if (!hrEmployeeId) return [];
+  const result = await query(
+    `SELECT lp.name, lp.annual_entitlement,
+            COALESCE(SUM(lr.total_days), 0)::numeric AS taken
+     FROM leave_policies lp
+     LEFT JOIN leave_requests lr
+       ON lr.leave_type_id = lp.id
+      AND lr.employee_id = $2
+      AND lr.status = 'approved'
+      AND EXTRACT(YEAR FROM lr.start_date) = $3
+     WHERE lp.tenant_id = $1 AND lp.encashment_allowed = true AND lp.is_active = true
+     GROUP BY lp.id, lp.name, lp.annual_entitlement
+     ORDER BY lp.name`,
+    [tenantId, hrEmployeeId, year]
+  );
+  return result.rows;
+}
+
+async function isRegularMonthPaid(tenantId, employeeId, month, year) {
+  const result = await query(
+    `SELECT 1 FROM payroll.payroll_items pi
+     JOIN payroll.payroll_cycles pc ON pc.id = pi.payroll_cycle_id
+     WHERE pi.tenant_id = $1 AND pi.employee_id = $2
+       AND pc.run_type = 'regular' AND pc.status = ANY($5::text[])
+       AND pc.month = $3 AND pc.year = $4
+     LIMIT 1`,
+    [tenantId, employeeId, month, year, FINALIZED_CYCLE_STATUSES]
+  );
+  return result.rows.length > 0;
+}
+
+// HR's asset recoveries, else the dues recorded on the exit checklist (in paise)
+function defaultAssetRecoveries(inputs, exit) {
+  if (Array.isArray(inputs.asset_recoveries)) return inputs.asset_recoveries;
+  const dues = Number(exit?.financials_due) || 0;
+  return dues > 0 ? [{ description: 'Dues from exit checklist', amount: dues / 100 }] : [];
+}
+
+/**
+ * Compute an employee's settlement from their exit details and HR inputs
+ *
+ * @param {Object} params
+ * @param {Object} [params.inputs] - { leave_encashment_days, waive_notice_recovery, asset_recoveries }
+ * @returns {Object} { statement, lastWorkingDay, salaryMonth, salaryYear, offboardingRequestId, payDate }
+ *   or { error } when the employee cannot be settled yet
+ */
+export async function computeSettlement({ tenantId, employeeId, inputs = {} }) {
+  const employeeResult = await query(
+    `SELECT id, email, full_name, date_of_joining, date_of_exit
+     FROM payroll.employees WHERE id = $1 AND tenant_id = $2`,
+    [employeeId, tenantId]
+  );
+  const employee = employeeResult.rows[0];
+  if (!employee) return { error: 'Employee not found' };
+
+  const exit = await getHrExitContext(tenantId, employee.email);
+  const lastWorkingDay = exit?.last_working_day || employee.date_of_exit;
+  if (!lastWorkingDay) {
+    return { error: 'The employee has no approved offboarding request or exit date' };
+  }
+  const { month, year } = parseDate(lastWorkingDay);
+
+  const compResult = await query(
+    `SELECT * FROM payroll.compensation_structures
+     WHERE employee_id = $1 AND tenant_id = $2 AND effective_from <= $3
+     ORDER BY effective_from DESC, created_at DESC
+     LIMIT 1`,
+    [employeeId, tenantId, toDateKey(lastWorkingDay)]
+  );
+  if (compResult.rows.length === 0) {
+    return { error: 'The employee has no compensation effective by their last working day' };
+  }
+
+  const structure = await resolveSalaryComponents(tenantId, employeeId, compResult.rows[0]);
+  const earnings = structure.components.filter(c => c.component_type === 'earning');
+  const amountOf = (code) => earnings.find(c => c.code === code)?.amount || 0;
+  const monthlyBasic = amountOf('BASIC') + amountOf('DA');
+  const monthlyGross = roundAmount(earnings.reduce((sum, c) => sum + c.amount, 0));
+
+  let salary = null;
+  let salaryNote = null;
+  if (await isRegularMonthPaid(tenantId, employeeId, month, year)) {
+    salaryNote = 'Salary for the final month was paid in the regular payroll cycle';
+  } else {
+    const { lopDays, paidDays, totalWorkingDays } = await calculateLopAndPaidDays(tenantId, employeeId, month, year);
+    const ratio = totalWorkingDays > 0 ? paidDays / totalWorkingDays : 0;
+    const components = structure.components.map(c => ({
+      ...c,
+      amount: roundAmount(c.prorate ? c.amount * ratio : c.amount),
+    }));
+    salary = {
+      month,
+      year,
+      paid_days: paidDays,
+      lop_days: lopDays,
+      total_working_days: totalWorkingDays,
+      components,
+      gross: roundAmount(components.filter(c => c.component_type === 'earning').reduce((sum, c) => sum + c.amount, 0)),
+      deductions: roundAmount(components.filter(c => c.component_type === 'deduction').reduce((sum, c) => sum + c.amount, 0)),
+    };
+  }
+
+  const [noticePeriodDays, leavePolicies, loanRecoveries] = await Promise.all([
+    getNoticePeriodDays(tenantId, exit?.policy_id, exit?.notice_period_days),
+    getEncashableLeave(tenantId, exit?.hr_employee_id, year),
+    // Outstanding loans are foreclosed in full
+    getEmployeeLoanRecoveries({ tenantId, employeeId, cycle: { month, year }, foreclose: true }),
+  ]);
+
+  const statement = buildSettlementStatement({
+    lastWorkingDay,
+    salary,
+    salaryNote,
+    leaveEncashment: computeLeaveEncashment({
+      policies: leavePolicies,
+      lastWorkingDay,
+      monthlyBasic,
+      overrideDays: inputs.leave_encashment_days,
+    }),
+    gratuity: computeGratuity({ monthlyBasic, dateOfJoining: employee.date_of_joining, lastWorkingDay }),
+    notice: computeNoticeShortfall({ noticePeriodDays, resignedOn: exit?.requested_at, lastWorkingDay }),
+    monthlyGross,
+    waiveNoticeRecovery: inputs.waive_notice_recovery,
+    loans: loanRecoveries.recoveries,
+    assets: defaultAssetRecoveries(inputs, exit),
+    assetsPending: exit?.assets_pending,
+  });
+
+  return {
+    statement,
+    lastWorkingDay: toDateKey(lastWorkingDay),
+    salaryMonth: salary ? month : null,
+    salaryYear: salary ? year : null,
+    offboardingRequestId: exit?.offboarding_request_id || null,
+    payDate: exit?.fnf_pay_date ? toDateKey(exit.fnf_pay_date) : null,
+  };
+}
+
+export default {
+  computeServicePeriod,
+  computeGratuity,
+  computeNoticeShortfall,
+  computeLeaveEncashment,
+  buildSettlementStatement,
+  validateSettlementInputs,
+  computeSettlement,
+};
@@ -0,0 +1,334 @@
+/**
+ * Hourly Pay Rules
+ *
+ * Turns an hourly worker's approved timesheet entries into pay. Hours worked
+ * on holidays earn the holiday premium; the rest are regular until they cross
+ * the daily or weekly overtime threshold. Hours falling in the night window
+ * earn a shift differential on top of whatever they were already paid at.
+ * Thresholds, multipliers and the night window are configured per tenant.
+ */
+
+import { query } from '../../db/pool.js';
+
+// Without a default rate, employees with no rate of their own are exceptions.
+// Deductions default to none; statutory deductions are not modelled here.
+export const DEFAULT_HOURLY_PAY_RULES = {
+  default_rate_cents: null,
+  daily_overtime_hours: 8,
+  weekly_overtime_hours: 40,
+  overtime_multiplier: 1.5,
+  night_start: '22:00',
+  night_end: '06:00',
+  night_differential_percent: 10,
+  holiday_multiplier: 2,
+  deduction_percent: 0,
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+function roundHours(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate a rules update
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateHourlyPayRules(rules = {}) {
+  const nonNegative = ['default_rate_cents', 'daily_overtime_hours', 'weekly_overtime_hours', 'night_differential_percent'];
+  for (const field of nonNegative) {
+    // The default rate can be cleared
+    if (field === 'default_rate_cents' && rules[field] === null) continue;
+    if (rules[field] !== undefined && !(Number(rules[field]) >= 0)) {
+      return `${field} must be zero or more`;
+    }
+  }
+  for (const field of ['overtime_multiplier', 'holiday_multiplier']) {
+    if (rules[field] !== undefined && !(Number(rules[field]) >= 1)) {
+      return `${field} must be at least 1`;
+    }
+  }
+  if (rules.deduction_percent !== undefined
+    && !(Number(rules.deduction_percent) >= 0 && Number(rules.deduction_percent) <= 100)) {
+    return 'deduction_percent must be between 0 and 100';
+  }
+  for (const field of ['night_start', 'night_end']) {
+    if (rules[field] !== undefined && !TIME_PATTERN.test(String(rules[field]))) {
+      return `${field} must be a time in HH:MM format`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Minutes of [startMinute, startMinute + duration) that fall in the night
+ * window. The window may wrap past midnight (22:00 to 06:00).
+ */
+export function nightMinutes(startMinute, durationMinutes, nightStart, nightEnd) {
+  const windowStart = toMinutes(nightStart);
+  let windowEnd = toMinutes(nightEnd);
+  if (windowEnd <= windowStart) windowEnd += MINUTES_PER_DAY;
+
+  const start = startMinute;
+  const end = startMinute + durationMinutes;
+  let total = 0;
+  // Windows opening the previous day through the day the shift ends
+  for (let day = -1; day * MINUTES_PER_DAY < end; day++) {
+    const from = Math.max(start, day * MINUTES_PER_DAY + windowStart);
+    const to = Math.min(end, day * MINUTES_PER_DAY + windowEnd);
+    if (to > from) total += to - from;
+  }
+  return total;
+}
+
+// Minutes past local midnight at which a UTC instant falls in a time zone
+function localMinuteOfDay(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(instant));
+  const value = (type) => Number(parts.find(part => part.type === type)?.value || 0);
+  return value('hour') * 60 + value('minute');
+}
+
+/**
+ * Night hours in one timesheet entry. Clocked entries are measured against
+ * the night window in the tenant's time zone; entries without clock times
+ * count as night hours when worked on a night shift.
+ */
+export function entryNightHours(entry, rules, timeZone = 'UTC') {
+  const hours = Number(entry.hours) || 0;
+  if (entry.start_time_utc && entry.end_time_utc) {
+    const duration = (new Date(entry.end_time_utc) - new Date(entry.start_time_utc)) / 60000;
+    if (duration > 0) {
+      const minutes = nightMinutes(
+        localMinuteOfDay(entry.start_time_utc, timeZone),
+        duration,
+        rules.night_start,
+        rules.night_end
+      );
+      return Math.min(hours, minutes / 60);
+    }
+  }
+  return entry.shift_type === 'night' ? hours : 0;
+}
+
+/**
+ * Split an employee's entries into regular, overtime, holiday and night hours.
+ * Holiday hours are paid at the holiday premium and do not count towards the
+ * overtime thresholds. Daily overtime is taken first; the weekly threshold
+ * then applies to the straight-time hours left in each timesheet week.
+ * @param {Array} entries - [{ work_date, hours, is_holiday, week_start_date, start_time_utc, end_time_utc, shift_type }]
+ */
+export function splitTimesheetHours(entries, rules = DEFAULT_HOURLY_PAY_RULES, timeZone = 'UTC') {
+  const dailyThreshold = Number(rules.daily_overtime_hours) || Infinity;
+  const weeklyThreshold = Number(rules.weekly_overtime_hours) || Infinity;
+
+  let holiday = 0;
+  let night = 0;
+  const workedByDay = new Map();
+  for (const entry of entries) {
+    const hours = Number(entry.hours) || 0;
+    if (hours <= 0) continue;
+    night += entryNightHours(entry, rules, timeZone);
+    if (entry.is_holiday) {
+      holiday += hours;
+      continue;
+    }
+    const day = String(entry.work_date).slice(0, 10);
+    const current = workedByDay.get(day) || { week: String(entry.week_start_date || '').slice(0, 10), hours: 0 };
+    current.hours += hours;
+    workedByDay.set(day, current);
+  }
+
+  let regular = 0;
+  let overtime = 0;
+  const straightTimeByWeek = new Map();
+  for (const [, day] of [...workedByDay.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const dailyOvertime = Math.max(0, day.hours - dailyThreshold);
+    const straightTime = day.hours - dailyOvertime;
+    const weekSoFar = straightTimeByWeek.get(day.week) || 0;
+    const weeklyOvertime = Math.max(0, Math.min(straightTime, weekSoFar + straightTime - weeklyThreshold));
+    straightTimeByWeek.set(day.week, weekSoFar + straightTime - weeklyOvertime);
+    regular += straightTime - weeklyOvertime;
+    overtime += dailyOvertime + weeklyOvertime;
+  }
+
+  return {
+    regular_hours: roundHours(regular),
+    overtime_hours: roundHours(overtime),
+    holiday_hours: roundHours(holiday),
+    night_hours: roundHours(night),
+    total_hours: roundHours(regular + overtime + holiday),
+  };
+}
+
+/**
+ * Pay lines for split hours at an hourly rate. The night differential is a
+ * premium on top of the base pay for those hours.
+ */
+export function buildPayLineItems(split, rateCents, rules = DEFAULT_HOURLY_PAY_RULES) {
+  const line = (type, label, hours, multiplier) => ({
+    type,
+    label,
+    hours,
+    rate_cents: rateCents,
+    multiplier,
+    amount_cents: Math.round(hours * rateCents * multiplier),
+  });
+
+  const overtimeMultiplier = Number(rules.overtime_multiplier);
+  const holidayMultiplier = Number(rules.holiday_multiplier);
+  const nightPremium = Number(rules.night_differential_percent) / 100;
+  return [
+    line('regular', 'Regular', split.regular_hours, 1),
+    line('overtime', `Overtime (${overtimeMultiplier}x)`, split.overtime_hours, overtimeMultiplier),
+    line('holiday', `Holiday premium (${holidayMultiplier}x)`, split.holiday_hours, holidayMultiplier),
+    line('night_differential', `Night shift differential (${Number(rules.night_differential_percent)}%)`, split.night_hours, nightPremium),
+  ].filter(item => item.hours > 0 && item.amount_cents !== 0);
+}
+
+/**
+ * Gross, deductions and net pay for one employee's entries
+ */
+export function computeHourlyPay(entries, rateCents, rules = DEFAULT_HOURLY_PAY_RULES, timeZone = 'UTC') {
+  const split = splitTimesheetHours(entries, rules, timeZone);
+  const lineItems = buildPayLineItems(split, rateCents, rules);
+  const grossPayCents = lineItems.reduce((sum, item) => sum + item.amount_cents, 0);
+  const deductionsCents = Math.round(grossPayCents * (Number(rules.deduction_percent) || 0) / 100);
+  return {
+    ...split,
+    line_items: lineItems,
+    gross_pay_cents: grossPayCents,
+    deductions_cents: deductionsCents,
+    net_pay_cents: grossPayCents - deductionsCents,
+  };
+}
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+/**
+ * A tenant's rules, falling back to the defaults
+ */
+export async function getHourlyPayRules(tenantId) {
+  const result = await query(
+    'SELECT * FROM hourly_pay_rules WHERE tenant_id = $1',
+    [tenantId]
+  );
+  const row = result.rows[0];
+  if (!row) return { ...DEFAULT_HOURLY_PAY_RULES };
+  return {
+    default_rate_cents: row.default_rate_cents === null ? null : Number(row.default_rate_cents),
+    daily_overtime_hours: Number(row.daily_overtime_hours),
+    weekly_overtime_hours: Number(row.weekly_overtime_hours),
+    overtime_multiplier: Number(row.overtime_multiplier),
+    night_start: String(row.night_start).slice(0, 5),
+    night_end: String(row.night_end).slice(0, 5),
+    night_differential_percent: Number(row.night_differential_percent),
+    holiday_multiplier: Number(row.holiday_multiplier),
+    deduction_percent: Number(row.deduction_percent),
+  };
+}
+
+export async function saveHourlyPayRules(tenantId, rules, updatedBy) {
+  const merged = { ...(await getHourlyPayRules(tenantId)), ...rules };
+  await query(
+    `INSERT INTO hourly_pay_rules (
+      tenant_id, default_rate_cents, daily_overtime_hours, weekly_overtime_hours,
+      overtime_multiplier, night_start, night_end, night_differential_percent,
+      holiday_multiplier, deduction_percent, updated_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (tenant_id) DO UPDATE SET
+      default_rate_cents = EXCLUDED.default_rate_cents,
+      daily_overtime_hours = EXCLUDED.daily_overtime_hours,
+      weekly_overtime_hours = EXCLUDED.weekly_overtime_hours,
+      overtime_multiplier = EXCLUDED.overtime_multiplier,
+      night_start = EXCLUDED.night_start,
+      night_end = EXCLUDED.night_end,
+      night_differential_percent = EXCLUDED.night_differential_percent,
+      holiday_multiplier = EXCLUDED.holiday_multiplier,
+      deduction_percent = EXCLUDED.deduction_percent,
+      updated_by = EXCLUDED.updated_by,
+      updated_at = now()`,
+    [
+      tenantId,
+      merged.default_rate_cents === null ? null : Math.round(Number(merged.default_rate_cents)),
+      merged.daily_overtime_hours,
+      merged.weekly_overtime_hours,
+      merged.overtime_multiplier,
+      merged.night_start,
+      merged.night_end,
+      merged.night_differential_percent,
+      merged.holiday_multiplier,
+      merged.deduction_percent,
+      updatedBy,
+    ]
+  );
+  return getHourlyPayRules(tenantId);
+}
+
+/**
+ * Approved, unprocessed timesheet entries in a pay period, grouped by employee,
+ * with the employee's hourly rate and the shift worked that day
+ */
+export async function getPayableEntries(tenantId, periodStart, periodEnd) {
+  const result = await query(
+    `SELECT te.id, te.work_date, te.hours, COALESCE(te.is_holiday, false) AS is_holiday,
+            te.start_time_utc, te.end_time_utc,
+            t.employee_id, t.week_start_date,
+            ehr.rate_cents,
+            s.shift_type
+     FROM timesheet_entries te
+     JOIN timesheets t ON t.id = te.timesheet_id
+     LEFT JOIN employee_hourly_rates ehr ON ehr.employee_id = t.employee_id AND ehr.tenant_id = t.tenant_id
+     LEFT JOIN LATERAL (
+       SELECT shift_type FROM shifts
+       WHERE employee_id = t.employee_id AND tenant_id = t.tenant_id AND shift_date = te.work_date
+       ORDER BY (shift_type = 'night') DESC
+       LIMIT 1
+     ) s ON true
+     WHERE t.tenant_id = $1
+       AND t.status = 'approved'
+       AND te.work_date BETWEEN $2 AND $3
+       AND COALESCE(te.payroll_status, 'pending_for_payroll') = 'pending_for_payroll'
+     ORDER BY t.employee_id, te.work_date`,
+    [tenantId, periodStart, periodEnd]
+  );
+
+  const byEmployee = new Map();
+  for (const row of result.rows) {
+    if (!byEmployee.has(row.employee_id)) {
+      byEmployee.set(row.employee_id, {
+        employee_id: row.employee_id,
+        rate_cents: row.rate_cents === null ? null : Number(row.rate_cents),
+        entries: [],
+      });
+    }
+    byEmployee.get(row.employee_id).entries.push(row);
+  }
+  return [...byEmployee.values()];
+}
+
+export default {
+  DEFAULT_HOURLY_PAY_RULES,
+  validateHourlyPayRules,
+  nightMinutes,
+  entryNightHours,
+  splitTimesheetHours,
+  buildPayLineItems,
+  computeHourlyPay,
+  getHourlyPayRules,
+  saveHourlyPayRules,
+  getPayableEntries,
+};
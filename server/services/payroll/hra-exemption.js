@@ -0,0 +1,195 @@
+/**
+ * HRA Exemption
+ *
+ * House rent allowance exempt under Section 10(13A), computed month by month
+ * as the least of the HRA received, rent paid less 10% of basic, and 50% of
+ * basic in a metro city (40% elsewhere). Employees record their rent and
+ * city on their payroll profile with an effective date, so rent changes and
+ * relocations during the year apply from the month they happen. Once the
+ * proof cutoff has passed, only rent backed by verified receipts counts.
+ */
+
+import { query } from '../../db/pool.js';
+import { FINALIZED_CYCLE_STATUSES } from './cycle-lifecycle.js';
+import { toDateKey } from './working-calendar.js';
+
+export const HRA_METRO_BASIC_PERCENT = 50;
+export const HRA_NON_METRO_BASIC_PERCENT = 40;
+// Rent up to this share of basic does not earn an exemption
+const RENT_BASIC_THRESHOLD_PERCENT = 10;
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function monthKey(month, year) {
+  return `${year}-${month}`;
+}
+
+/**
+ * Exempt HRA for one month
+ *
+ * @param {Object} params
+ * @param {number} params.basic - Basic salary paid in the month
+ * @param {number} params.hra - HRA paid in the month
+ * @param {number} params.rent - Rent paid for the month
+ * @param {boolean} params.isMetro - Whether the rented home is in a metro city
+ * @returns {Object} { hra_received, rent_paid, is_metro, rent_over_basic, basic_limit, exemption }
+ */
+export function computeMonthlyHraExemption({ basic, hra, rent, isMetro }) {
+  const basicPaid = Math.max(0, Number(basic) || 0);
+  const hraReceived = Math.max(0, Number(hra) || 0);
+  const rentPaid = Math.max(0, Number(rent) || 0);
+  const rentOverBasic = roundAmount(Math.max(0, rentPaid - (basicPaid * RENT_BASIC_THRESHOLD_PERCENT) / 100));
+  const basicLimit = roundAmount(
+    (basicPaid * (isMetro ? HRA_METRO_BASIC_PERCENT : HRA_NON_METRO_BASIC_PERCENT)) / 100
+  );
+
+  return {
+    hra_received: roundAmount(hraReceived),
+    rent_paid: roundAmount(rentPaid),
+    is_metro: !!isMetro,
+    rent_over_basic: rentOverBasic,
+    basic_limit: basicLimit,
+    exemption: rentPaid > 0 ? Math.min(roundAmount(hraReceived), rentOverBasic, basicLimit) : 0,
+  };
+}
+
+/**
+ * Validate rent details entered on the payroll profile
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRentDetails({ effective_from, monthly_rent, is_metro }) {
+  if (!effective_from || Number.isNaN(new Date(effective_from).getTime())) {
+    return 'effective_from must be a valid date';
+  }
+  const rent = Number(monthly_rent);
+  if (monthly_rent === undefined || monthly_rent === null || monthly_rent === '' || !(rent >= 0)) {
+    return 'monthly_rent must be zero or more';
+  }
+  if (is_metro !== undefined && typeof is_metro !== 'boolean') return 'is_metro must be true or false';
+  return null;
+}
+
+/**
+ * The rent details in force at the end of a month
+ *
+ * @param {Array} rentHistory - Rows with effective_from, monthly_rent and is_metro
+ * @returns {Object|null}
+ */
+export function rentDetailsForMonth(rentHistory, month, year) {
+  const monthEnd = toDateKey(new Date(year, month, 0));
+  return rentHistory
+    .filter(row => toDateKey(row.effective_from) <= monthEnd)
+    .sort((a, b) => toDateKey(b.effective_from).localeCompare(toDateKey(a.effective_from)))[0] || null;
+}
+
+/**
+ * Spread each verified rent receipt evenly over the months it covers
+ *
+ * @param {Array} proofs - Verified HRA proofs with rent_from, rent_to and verified_amount
+ * @returns {Map<string, number>} Rent by 'YYYY-M'
+ */
+export function spreadVerifiedRent(proofs) {
+  const rentByMonth = new Map();
+  for (const proof of proofs) {
+    const [fromYear, fromMonth] = toDateKey(proof.rent_from).split('-').map(Number);
+    const [toYear, toMonth] = toDateKey(proof.rent_to).split('-').map(Number);
+    const months = (toYear * 12 + toMonth) - (fromYear * 12 + fromMonth) + 1;
+    if (months <= 0) continue;
+    const perMonth = (Number(proof.verified_amount) || 0) / months;
+    for (let i = 0; i < months; i++) {
+      const month = ((fromMonth - 1 + i) % 12) + 1;
+      const year = fromYear + Math.floor((fromMonth - 1 + i) / 12);
+      const key = monthKey(month, year);
+      rentByMonth.set(key, (rentByMonth.get(key) || 0) + perMonth);
+    }
+  }
+  return rentByMonth;
+}
+
+/**
+ * Exempt HRA for each month of a year and in total
+ *
+ * @param {Object} params
+ * @param {Array} params.months - { month, year, basic, hra } for each payroll month
+ * @param {Array} params.rentHistory - Employee rent details, any order
+ * @param {Map} [params.verifiedRent] - When given, rent comes from verified
+ *   receipts (see spreadVerifiedRent) instead of the declared monthly rent
+ * @returns {{ total: number, months: Array }}
+ */
+export function computeAnnualHraExemption({ months, rentHistory = [], verifiedRent = null }) {
+  const breakup = months.map(({ month, year, basic, hra }) => {
+    const details = rentDetailsForMonth(rentHistory, month, year);
+    const rent = verifiedRent ? verifiedRent.get(monthKey(month, year)) || 0 : Number(details?.monthly_rent) || 0;
+    return {
+      month,
+      year,
+      basic: roundAmount(basic),
+      ...computeMonthlyHraExemption({ basic, hra, rent, isMetro: details?.is_metro }),
+    };
+  });
+  return {
+    total: roundAmount(breakup.reduce((sum, m) => sum + m.exemption, 0)),
+    months: breakup,
+  };
+}
+
+export async function getRentHistory(tenantId, employeeId) {
+  const result = await query(
+    `SELECT id, effective_from, monthly_rent, is_metro, city, created_at
+     FROM payroll.employee_rent_details
+     WHERE tenant_id = $1 AND employee_id = $2
+     ORDER BY effective_from DESC`,
+    [tenantId, employeeId]
+  );
+  return result.rows;
+}
+
+export async function getVerifiedRentByMonth(tenantId, employeeId, financialYear) {
+  const result = await query(
+    `SELECT rent_from, rent_to, verified_amount
+     FROM payroll.tax_proofs
+     WHERE tenant_id = $1 AND employee_id = $2 AND financial_year = $3
+       AND section = 'HRA' AND status = 'verified' AND rent_from IS NOT NULL AND rent_to IS NOT NULL`,
+    [tenantId, employeeId, financialYear]
+  );
+  return spreadVerifiedRent(result.rows);
+}
+
+/**
+ * Basic and HRA paid by regular payroll in each month of the financial year
+ * before the given month
+ */
+export async function getPaidHraMonths(tenantId, employeeId, startYear, month, year) {
+  const result = await query(
+    `SELECT pc.month, pc.year, SUM(pi.basic_salary)::numeric AS basic, SUM(pi.hra)::numeric AS hra
+     FROM payroll.payroll_items pi
+     JOIN payroll.payroll_cycles pc ON pc.id = pi.payroll_cycle_id
+     WHERE pi.tenant_id = $1
+       AND pi.employee_id = $2
+       AND pc.status = ANY($6::text[])
+       AND pc.run_type = 'regular'
+       AND (pc.year * 12 + pc.month) >= ($3 * 12 + 4)
+       AND (pc.year * 12 + pc.month) < ($4 * 12 + $5)
+     GROUP BY pc.year, pc.month`,
+    [tenantId, employeeId, startYear, year, month, FINALIZED_CYCLE_STATUSES]
+  );
+  return result.rows.map(row => ({
+    month: Number(row.month),
+    year: Number(row.year),
+    basic: Number(row.basic || 0),
+    hra: Number(row.hra || 0),
+  }));
+}
+
+export default {
+  computeMonthlyHraExemption,
+  validateRentDetails,
+  rentDetailsForMonth,
+  spreadVerifiedRent,
+  computeAnnualHraExemption,
+  getRentHistory,
+  getVerifiedRentByMonth,
+  getPaidHraMonths,
+};
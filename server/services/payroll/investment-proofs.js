@@ -0,0 +1,179 @@
+/**
+ * Investment Proofs
+ *
+ * Employees back their tax declaration with proofs per section (80C, 80D,
+ * HRA rent receipts, 24b interest certificates) and HR verifies or rejects
+ * each line. Each tenant sets, per financial year, a window in which
+ * declarations can be changed and a proof cutoff date. Until the cutoff TDS
+ * is projected on declared amounts; from the cutoff only verified amounts
+ * count.
+ */
+
+import { query } from '../../db/pool.js';
+import { toDateKey } from './working-calendar.js';
+
+export const PROOF_SECTIONS = {
+  '80C': { label: 'Section 80C investments', declarationField: 'section_80c' },
+  '80D': { label: 'Section 80D medical insurance', declarationField: 'section_80d' },
+  HRA: { label: 'HRA rent receipts', declarationField: null },
+  '24B': { label: 'Section 24(b) home loan interest', declarationField: 'section_24b' },
+  OTHER: { label: 'Other deductions', declarationField: 'other_deductions' },
+};
+
+export const PROOF_STATUSES = ['submitted', 'verified', 'rejected'];
+
+// Rent above this in a financial year needs the landlord's PAN
+export const LANDLORD_PAN_RENT_THRESHOLD = 100000;
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Check a proof before it is stored
+ *
+ * @param {Object} proof - section, amount, landlord_name, landlord_pan, rent_from, rent_to
+ * @param {Object} [context]
+ * @param {number} [context.otherRent] - Rent already claimed in the financial year's other open HRA proofs
+ * @returns {string|null} Error message, or null when the proof is acceptable
+ */
+export function validateProof(proof, { otherRent = 0 } = {}) {
+  if (!PROOF_SECTIONS[proof.section]) {
+    return `section must be one of: ${Object.keys(PROOF_SECTIONS).join(', ')}`;
+  }
+  if (!(Number(proof.amount) > 0)) return 'amount must be greater than zero';
+  if (proof.section !== 'HRA') return null;
+
+  if (!proof.landlord_name?.trim()) return 'landlord_name is required for rent receipts';
+  if (!proof.rent_from || !proof.rent_to) return 'rent_from and rent_to are required for rent receipts';
+  if (toDateKey(proof.rent_from) > toDateKey(proof.rent_to)) return 'rent_from must be on or before rent_to';
+
+  const pan = proof.landlord_pan?.trim().toUpperCase();
+  if (pan && !PAN_PATTERN.test(pan)) return 'landlord_pan is not a valid PAN';
+  if (!pan && roundAmount(Number(proof.amount) + (Number(otherRent) || 0)) > LANDLORD_PAN_RENT_THRESHOLD) {
+    return `landlord_pan is required when rent for the year exceeds ${LANDLORD_PAN_RENT_THRESHOLD}`;
+  }
+  return null;
+}
+
+/**
+ * Whether an employee can change their declaration on a date
+ *
+ * @param {Object|null} window - payroll.tax_declaration_windows row; no row means always open
+ * @param {Date|string} asOf
+ * @returns {string|null} Error message, or null when the window is open
+ */
+export function checkDeclarationWindow(window, asOf) {
+  if (!window) return null;
+  const date = toDateKey(asOf);
+  const opensOn = toDateKey(window.declaration_opens_on);
+  const closesOn = toDateKey(window.declaration_closes_on);
+  if (opensOn && date < opensOn) {
+    return `Declarations for ${window.financial_year} open on ${opensOn}`;
+  }
+  if (closesOn && date > closesOn) {
+    return `Declarations for ${window.financial_year} closed on ${closesOn}`;
+  }
+  return null;
+}
+
+/**
+ * Whether TDS on a date should use verified proof amounts only
+ */
+export function isAfterProofCutoff(window, asOf) {
+  const cutoff = toDateKey(window?.proof_cutoff_date);
+  return !!cutoff && toDateKey(asOf) >= cutoff;
+}
+
+/**
+ * Check an HR review of a proof
+ *
+ * @param {Object} proof - payroll.tax_proofs row
+ * @param {'verify'|'reject'} action
+ * @param {Object} review - verified_amount (verify) and comment (required to reject)
+ * @returns {string|null} Error message, or null when allowed
+ */
+export function checkProofReview(proof, action, { verified_amount, comment } = {}) {
+  if (proof.status !== 'submitted') return `Proof is already ${proof.status}`;
+  if (action === 'reject' && !comment?.trim()) return 'A comment is required to reject a proof';
+  if (action === 'verify' && verified_amount !== undefined && verified_amount !== null && verified_amount !== '') {
+    const amount = Number(verified_amount);
+    if (!(amount >= 0)) return 'verified_amount must be zero or more';
+    if (amount > Number(proof.amount)) return 'verified_amount cannot exceed the claimed amount';
+  }
+  return null;
+}
+
+/**
+ * Verified amounts per declaration field, plus verified HRA rent
+ *
+ * @param {Array} proofs - Rows with section, status and verified_amount
+ * @returns {{ section_80c: number, section_80d: number, section_24b: number, other_deductions: number, hra_rent: number }}
+ */
+export function summarizeVerifiedProofs(proofs) {
+  const totals = { section_80c: 0, section_80d: 0, section_24b: 0, other_deductions: 0, hra_rent: 0 };
+  for (const proof of proofs) {
+    if (proof.status !== 'verified') continue;
+    const field = PROOF_SECTIONS[proof.section]?.declarationField || (proof.section === 'HRA' ? 'hra_rent' : null);
+    if (field) totals[field] = roundAmount(totals[field] + Number(proof.verified_amount || 0));
+  }
+  return totals;
+}
+
+/**
+ * Replace the declared section amounts with verified ones. The regime choice
+ * is kept.
+ */
+export function applyVerifiedProofs(declaration, verified) {
+  const applied = { ...declaration, proofs_applied: true };
+  for (const { declarationField } of Object.values(PROOF_SECTIONS)) {
+    if (declarationField) applied[declarationField] = verified[declarationField] || 0;
+  }
+  return applied;
+}
+
+export async function getDeclarationWindow(tenantId, financialYear) {
+  const result = await query(
+    `SELECT * FROM payroll.tax_declaration_windows WHERE tenant_id = $1 AND financial_year = $2`,
+    [tenantId, financialYear]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getVerifiedProofTotals(tenantId, employeeId, financialYear) {
+  const result = await query(
+    `SELECT section, status, verified_amount
+     FROM payroll.tax_proofs
+     WHERE tenant_id = $1 AND employee_id = $2 AND financial_year = $3 AND status = 'verified'`,
+    [tenantId, employeeId, financialYear]
+  );
+  return summarizeVerifiedProofs(result.rows);
+}
+
+/**
+ * Rent claimed in the employee's HRA proofs for the year that are not rejected
+ */
+export async function getClaimedRent(tenantId, employeeId, financialYear) {
+  const result = await query(
+    `SELECT COALESCE(SUM(amount), 0)::numeric AS rent
+     FROM payroll.tax_proofs
+     WHERE tenant_id = $1 AND employee_id = $2 AND financial_year = $3
+       AND section = 'HRA' AND status <> 'rejected'`,
+    [tenantId, employeeId, financialYear]
+  );
+  return Number(result.rows[0]?.rent || 0);
+}
+
+export default {
+  PROOF_SECTIONS,
+  validateProof,
+  checkDeclarationWindow,
+  isAfterProofCutoff,
+  checkProofReview,
+  summarizeVerifiedProofs,
+  applyVerifiedProofs,
+  getDeclarationWindow,
+  getVerifiedProofTotals,
+};
@@ -0,0 +1,228 @@
+/**
+ * Leave Pay Adjustments
+ *
+ * When unpaid (loss of pay) leave is cancelled or changed after the payroll
+ * of its month was approved or locked, that payroll is not reopened. Instead
+ * the days added or removed in that month become an adjustment settled on the
+ * next regular payroll: a deduction for added days (lop) and a refund for
+ * removed ones (credit), at the daily rate that payroll prorated the
+ * employee's salary with. Payroll counts the days of an unpaid leave's day
+ * breakdown as loss of pay (calculateLopAndPaidDays), so the adjustment
+ * matches what the finalized cycle deducted. Adjustments are picked up like
+ * leave encashments and marked applied when the cycle's items are saved.
+ */
+
+import { query } from '../../db/pool.js';
+import { FINALIZED_CYCLE_STATUSES, findLockedCycle } from './cycle-lifecycle.js';
+import { toDateKey } from './working-calendar.js';
+
+export const LEAVE_ADJUSTMENT_COMPONENT_CODE = 'LEAVE_ADJUSTMENT';
+
+// Leave policies of this type are unpaid; other leave does not change pay
+export const UNPAID_LEAVE_TYPE = 'loss_of_pay';
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Leave days added (positive) or removed (negative) in each month between
+ * two day-by-day breakdowns of the same leave
+ *
+ * @param {Object} params
+ * @param {Array<{ date: string, days: number }>} [params.before] - Breakdown before the change
+ * @param {Array<{ date: string, days: number }>} [params.after] - Breakdown after it; empty when cancelled
+ * @returns {Array<{ year: number, month: number, days: number }>} Months that changed, in order
+ */
+export function computeLeaveDayChanges({ before = [], after = [] }) {
+  const byMonth = new Map();
+  const add = (breakdown, sign) => {
+    for (const day of breakdown) {
+      const key = toDateKey(day.date).slice(0, 7);
+      byMonth.set(key, (byMonth.get(key) || 0) + sign * (Number(day.days) || 0));
+    }
+  };
+  add(before, -1);
+  add(after, 1);
+
+  return [...byMonth.entries()]
+    .map(([key, days]) => {
+      const [year, month] = key.split('-').map(Number);
+      return { year, month, days: roundAmount(days) };
+    })
+    .filter(change => change.days !== 0)
+    .sort((a, b) => a.year - b.year || a.month - b.month);
+}
+
+/**
+ * Pay for one day of a processed payroll item: its prorated earnings over
+ * the days it paid
+ */
+export function dailyLopRate(item) {
+  const paidDays = Number(item?.paid_days) || 0;
+  if (paidDays <= 0) return 0;
+  const prorated = (item.components || [])
+    .filter(c => c.component_type === 'earning' && c.prorate)
+    .reduce((sum, c) => sum + (Number(c.amount) || 0), 0);
+  return roundAmount(prorated / paidDays);
+}
+
+function monthBounds(year, month) {
+  return {
+    start: toDateKey(new Date(year, month - 1, 1)),
+    end: toDateKey(new Date(year, month, 0)),
+  };
+}
+
+/**
+ * Record pay adjustments for an approved leave that was cancelled or
+ * changed, for the months whose payroll is already approved or locked. Months still open
+ * are left to their own payroll run. Runs inside the caller's transaction.
+ *
+ * @param {Object} params
+ * @param {string} params.tenantId
+ * @param {Object} params.leave - HR leave request with id and employee_id
+ * @param {Object} params.policy - Leave policy with name and leave_type
+ * @param {Array} params.before - Day breakdown before the change
+ * @param {Array} [params.after] - Day breakdown after it; empty when cancelled
+ * @param {string} [params.actorId]
+ * @returns {Promise<Array>} Adjustments recorded
+ */
+export async function recordLeavePayAdjustments(client, { tenantId, leave, policy, before, after = [], actorId = null }) {
+  if (policy?.leave_type !== UNPAID_LEAVE_TYPE) return [];
+  const changes = computeLeaveDayChanges({ before, after });
+  if (changes.length === 0) return [];
+
+  const payrollEmployee = await client.query(
+    `SELECT pe.id
+     FROM employees e
+     JOIN profiles p ON p.id = e.user_id
+     JOIN payroll.employees pe ON pe.tenant_id = e.tenant_id AND LOWER(pe.email) = LOWER(p.email)
+     WHERE e.id = $1 AND e.tenant_id = $2
+     LIMIT 1`,
+    [leave.employee_id, tenantId]
+  );
+  const payrollEmployeeId = payrollEmployee.rows[0]?.id;
+  if (!payrollEmployeeId) return [];
+
+  const adjustments = [];
+  for (const change of changes) {
+    const { start, end } = monthBounds(change.year, change.month);
+    // Approved cycles are not locked yet but their pay is settled all the same
+    const cycle = await findLockedCycle({
+      tenantId,
+      startDate: start,
+      endDate: end,
+      statuses: FINALIZED_CYCLE_STATUSES,
+    });
+    if (!cycle) continue;
+
+    const itemResult = await client.query(
+      `SELECT components, paid_days FROM payroll.payroll_items
+       WHERE tenant_id = $1 AND payroll_cycle_id = $2 AND employee_id = $3`,
+      [tenantId, cycle.id, payrollEmployeeId]
+    );
+    const dailyRate = dailyLopRate(itemResult.rows[0]);
+    const days = Math.abs(change.days);
+    const amount = roundAmount(days * dailyRate);
+    if (amount <= 0) continue;
+
+    const result = await client.query(
+      `INSERT INTO payroll.leave_adjustments (
+         tenant_id, employee_id, leave_request_id, source_cycle_id, period_month, period_year,
+         adjustment_type, leave_type_name, days, daily_rate, amount, created_by
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        tenantId,
+        payrollEmployeeId,
+        leave.id,
+        cycle.id,
+        change.month,
+        change.year,
+        change.days > 0 ? 'lop' : 'credit',
+        policy.name,
+        days,
+        dailyRate,
+        amount,
+        actorId,
+      ]
+    );
+    adjustments.push(result.rows[0]);
+  }
+  return adjustments;
+}
+
+/**
+ * Pending adjustments for an employee, plus any this cycle already applied
+ * (so recomputing a cycle keeps them). The total is credits less deductions.
+ *
+ * @returns {Promise<{ total: number, adjustments: Array }>}
+ */
+export async function getEmployeeLeaveAdjustments({ tenantId, employeeId, cycle }) {
+  const result = await query(
+    `SELECT id, leave_type_name, period_month, period_year, adjustment_type, days, daily_rate, amount
+     FROM payroll.leave_adjustments
+     WHERE tenant_id = $1
+       AND employee_id = $2
+       AND (
+         (status = 'pending' AND payroll_cycle_id IS NULL)
+         OR (status = 'applied' AND payroll_cycle_id = $3)
+       )
+     ORDER BY period_year ASC, period_month ASC, created_at ASC`,
+    [tenantId, employeeId, cycle.id]
+  );
+
+  const adjustments = result.rows.map(row => ({
+    adjustment_id: row.id,
+    leave_type: row.leave_type_name,
+    period_month: Number(row.period_month),
+    period_year: Number(row.period_year),
+    adjustment_type: row.adjustment_type,
+    days: Number(row.days),
+    daily_rate: roundAmount(row.daily_rate),
+    amount: roundAmount(row.amount),
+  }));
+  return {
+    total: roundAmount(adjustments.reduce(
+      (sum, a) => sum + (a.adjustment_type === 'credit' ? a.amount : -a.amount),
+      0
+    )),
+    adjustments,
+  };
+}
+
+/**
+ * Mark the adjustments a processed cycle applied. Adjustments an earlier run
+ * of the same cycle applied but this run did not go back to pending. Runs
+ * inside the caller's transaction.
+ */
+export async function recordCycleLeaveAdjustments(client, { tenantId, cycleId, payrollItems }) {
+  await client.query(
+    `UPDATE payroll.leave_adjustments
+     SET status = 'pending', payroll_cycle_id = NULL, applied_at = NULL, updated_at = NOW()
+     WHERE tenant_id = $1 AND payroll_cycle_id = $2`,
+    [tenantId, cycleId]
+  );
+
+  const adjustmentIds = payrollItems.flatMap(item => (item.leave_adjustments || []).map(a => a.adjustment_id));
+  if (adjustmentIds.length === 0) return;
+
+  await client.query(
+    `UPDATE payroll.leave_adjustments
+     SET status = 'applied', payroll_cycle_id = $1, applied_at = NOW(), updated_at = NOW()
+     WHERE tenant_id = $2 AND id = ANY($3::uuid[]) AND status = 'pending'`,
+    [cycleId, tenantId, adjustmentIds]
+  );
+}
+
+export default {
+  LEAVE_ADJUSTMENT_COMPONENT_CODE,
+  UNPAID_LEAVE_TYPE,
+  computeLeaveDayChanges,
+  dailyLopRate,
+  recordLeavePayAdjustments,
+  getEmployeeLeaveAdjustments,
+  recordCycleLeaveAdjustments,
+};
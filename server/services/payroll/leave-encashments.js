@@ -0,0 +1,80 @@
+/**
+ * Leave Encashments
+ *
+ * Leave encashed at the leave year end (see services/leave-year-end.js) is
+ * paid as a taxable earning on the next processed regular payroll cycle,
+ * the same way approved expense claims are picked up, and marked paid when
+ * the cycle's items are saved.
+ */
+
+import { query } from '../../db/pool.js';
+
+export const LEAVE_ENCASHMENT_COMPONENT_CODE = 'LEAVE_ENCASHMENT';
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Pending encashments for an employee, plus any this cycle already paid
+ * (so recomputing a cycle keeps them)
+ *
+ * @returns {Promise<{ total: number, encashments: Array }>}
+ */
+export async function getEmployeeLeaveEncashments({ tenantId, employeeId, cycle }) {
+  const result = await query(
+    `SELECT id, leave_type_name, leave_year, days, daily_rate, amount
+     FROM payroll.leave_encashments
+     WHERE tenant_id = $1
+       AND employee_id = $2
+       AND (
+         (status = 'pending' AND payroll_cycle_id IS NULL)
+         OR (status = 'paid' AND payroll_cycle_id = $3)
+       )
+     ORDER BY leave_year ASC, leave_type_name ASC`,
+    [tenantId, employeeId, cycle.id]
+  );
+
+  const encashments = result.rows.map(row => ({
+    encashment_id: row.id,
+    leave_type: row.leave_type_name,
+    leave_year: Number(row.leave_year),
+    days: Number(row.days),
+    daily_rate: roundAmount(row.daily_rate),
+    amount: roundAmount(row.amount),
+  }));
+  return {
+    total: roundAmount(encashments.reduce((sum, e) => sum + e.amount, 0)),
+    encashments,
+  };
+}
+
+/**
+ * Mark the encashments a processed cycle paid. Encashments an earlier run
+ * of the same cycle paid but this run did not go back to pending. Runs
+ * inside the caller's transaction.
+ */
+export async function recordCycleLeaveEncashments(client, { tenantId, cycleId, payrollItems }) {
+  await client.query(
+    `UPDATE payroll.leave_encashments
+     SET status = 'pending', payroll_cycle_id = NULL, paid_at = NULL, updated_at = NOW()
+     WHERE tenant_id = $1 AND payroll_cycle_id = $2`,
+    [tenantId, cycleId]
+  );
+
+  const encashmentIds = payrollItems.flatMap(item => (item.leave_encashments || []).map(e => e.encashment_id));
+  if (encashmentIds.length === 0) return;
+
+  await client.query(
+    `UPDATE payroll.leave_encashments
+     SET status = 'paid', payroll_cycle_id = $1, paid_at = NOW(), updated_at = NOW()
+     WHERE tenant_id = $2 AND id = ANY($3::uuid[]) AND status = 'pending'`,
+    [cycleId, tenantId, encashmentIds]
+  );
+}
+
+export default {
+  LEAVE_ENCASHMENT_COMPONENT_CODE,
+  getEmployeeLeaveEncashments,
+  recordCycleLeaveEncashments,
+};
@@ -0,0 +1,333 @@
+/**
+ * Liability Provisioning
+ *
+ * Month-end accruals for finance: the gratuity earned so far by every
+ * employee on the rolls and the value of their unused encashable leave,
+ * with department and cost-center rollups and the movement since the
+ * previous month end. Uses the same rules as the full & final settlement,
+ * except that gratuity is provided for from the first day of service rather
+ * than only once it vests.
+ */
+
+import XLSX from 'xlsx';
+import { query } from '../../db/pool.js';
+import { resolveSalaryComponents } from './payroll-engine.js';
+import {
+  computeLeaveEncashment,
+  computeServicePeriod,
+  GRATUITY_CAP,
+  GRATUITY_MIN_YEARS,
+} from './fnf-settlement.js';
+import { toDateKey } from './working-calendar.js';
+
+const UNASSIGNED = 'Unassigned';
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Last day of the month as YYYY-MM-DD
+ */
+export function monthEnd(month, year) {
+  return toDateKey(new Date(year, month, 0));
+}
+
+export function previousMonth(month, year) {
+  return month === 1 ? { month: 12, year: year - 1 } : { month: month - 1, year };
+}
+
+/**
+ * Gratuity accrued on the current basic for the service completed by the
+ * as-of date, counting part years in whole months
+ */
+export function computeAccruedGratuity({ monthlyBasic, dateOfJoining, asOf }) {
+  if (toDateKey(dateOfJoining) > toDateKey(asOf)) {
+    return { service_years: 0, vested: false, amount: 0 };
+  }
+  const service = computeServicePeriod(dateOfJoining, asOf);
+  const serviceYears = service.years + service.months / 12;
+  return {
+    service_years: Math.round(serviceYears * 100) / 100,
+    vested: service.years >= GRATUITY_MIN_YEARS,
+    amount: Math.min(GRATUITY_CAP, roundAmount((Number(monthlyBasic) || 0) * 15 / 26 * serviceYears)),
+  };
+}
+
+/**
+ * Liability for one employee at a month end
+ * @param {Object} params.employee - { id, employee_code, full_name, department, cost_center, date_of_joining }
+ * @param {Array} params.policies - Encashable policies: [{ name, annual_entitlement, taken }]
+ */
+export function computeEmployeeLiability({ employee, monthlyBasic, policies, asOf }) {
+  const gratuity = computeAccruedGratuity({ monthlyBasic, dateOfJoining: employee.date_of_joining, asOf });
+  const encashment = computeLeaveEncashment({ policies, lastWorkingDay: asOf, monthlyBasic });
+  return {
+    employee_id: employee.id,
+    employee_code: employee.employee_code,
+    full_name: employee.full_name,
+    department: employee.department || UNASSIGNED,
+    cost_center: employee.cost_center || UNASSIGNED,
+    monthly_basic: roundAmount(monthlyBasic),
+    service_years: gratuity.service_years,
+    gratuity_vested: gratuity.vested,
+    gratuity: gratuity.amount,
+    encashable_days: encashment.days,
+    leave_encashment: encashment.amount,
+    total: roundAmount(gratuity.amount + encashment.amount),
+  };
+}
+
+/**
+ * Pair each employee's current liability with the previous month end. Joiners
+ * have no opening balance; leavers keep their opening balance and close at zero.
+ */
+export function computeMovement(current, previous) {
+  const openingById = new Map(previous.map(row => [row.employee_id, row]));
+  const rows = current.map(row => {
+    const opening = openingById.get(row.employee_id);
+    openingById.delete(row.employee_id);
+    return {
+      ...row,
+      opening_gratuity: opening?.gratuity || 0,
+      opening_leave_encashment: opening?.leave_encashment || 0,
+      opening_total: opening?.total || 0,
+      movement: roundAmount(row.total - (opening?.total || 0)),
+    };
+  });
+
+  for (const opening of openingById.values()) {
+    rows.push({
+      ...opening,
+      gratuity: 0,
+      encashable_days: 0,
+      leave_encashment: 0,
+      total: 0,
+      exited: true,
+      opening_gratuity: opening.gratuity,
+      opening_leave_encashment: opening.leave_encashment,
+      opening_total: opening.total,
+      movement: roundAmount(-opening.total),
+    });
+  }
+
+  return rows.sort((a, b) => String(a.employee_code).localeCompare(String(b.employee_code)));
+}
+
+const TOTAL_FIELDS = [
+  'gratuity', 'leave_encashment', 'total',
+  'opening_gratuity', 'opening_leave_encashment', 'opening_total', 'movement',
+];
+
+function sumRows(rows) {
+  const totals = Object.fromEntries(TOTAL_FIELDS.map(field => [field, 0]));
+  for (const row of rows) {
+    for (const field of TOTAL_FIELDS) totals[field] += Number(row[field]) || 0;
+  }
+  for (const field of TOTAL_FIELDS) totals[field] = roundAmount(totals[field]);
+  return totals;
+}
+
+/**
+ * Totals per department or cost center, largest closing liability first
+ * @param {'department'|'cost_center'} key
+ */
+export function rollupLiabilities(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    const name = row[key] || UNASSIGNED;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(row);
+  }
+  return [...groups.entries()]
+    .map(([name, members]) => ({
+      name,
+      employees: members.filter(row => !row.exited).length,
+      ...sumRows(members),
+    }))
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+}
+
+export function buildLiabilityReport({ month, year, current, previous }) {
+  const employees = computeMovement(current, previous);
+  const prior = previousMonth(month, year);
+  return {
+    month,
+    year,
+    as_of: monthEnd(month, year),
+    previous_as_of: monthEnd(prior.month, prior.year),
+    totals: { employees: current.length, ...sumRows(employees) },
+    departments: rollupLiabilities(employees, 'department'),
+    cost_centers: rollupLiabilities(employees, 'cost_center'),
+    employees,
+  };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+const EMPLOYEE_COLUMNS = [
+  ['Employee Code', 'employee_code'],
+  ['Employee Name', 'full_name'],
+  ['Department', 'department'],
+  ['Cost Center', 'cost_center'],
+  ['Monthly Basic', 'monthly_basic'],
+  ['Service Years', 'service_years'],
+  ['Gratuity Vested', row => (row.gratuity_vested ? 'Yes' : 'No')],
+  ['Opening Gratuity', 'opening_gratuity'],
+  ['Gratuity', 'gratuity'],
+  ['Encashable Leave Days', 'encashable_days'],
+  ['Opening Leave Encashment', 'opening_leave_encashment'],
+  ['Leave Encashment', 'leave_encashment'],
+  ['Opening Total', 'opening_total'],
+  ['Closing Total', 'total'],
+  ['Movement', 'movement'],
+  ['Exited', row => (row.exited ? 'Yes' : '')],
+];
+
+const ROLLUP_COLUMNS = [
+  ['Name', 'name'],
+  ['Employees', 'employees'],
+  ['Opening Gratuity', 'opening_gratuity'],
+  ['Gratuity', 'gratuity'],
+  ['Opening Leave Encashment', 'opening_leave_encashment'],
+  ['Leave Encashment', 'leave_encashment'],
+  ['Opening Total', 'opening_total'],
+  ['Closing Total', 'total'],
+  ['Movement', 'movement'],
+];
+
+function tableRows(columns, rows) {
+  return [
+    columns.map(([header]) => header),
+    ...rows.map(row => columns.map(([, field]) => (typeof field === 'function' ? field(row) : row[field] ?? ''))),
+  ];
+}
+
+function csvValue(value) {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Employee-level CSV, one row per employee
+ */
+export function buildLiabilityCsv(report) {
+  return tableRows(EMPLOYEE_COLUMNS, report.employees)
+    .map(row => row.map(csvValue).join(','))
+    .join('\n');
+}
+
+/**
+ * Workbook with the employee detail and both rollups on separate sheets
+ */
+export function buildLiabilityWorkbook(report) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(tableRows(EMPLOYEE_COLUMNS, report.employees)), 'Employees');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(tableRows(ROLLUP_COLUMNS, report.departments)), 'Departments');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(tableRows(ROLLUP_COLUMNS, report.cost_centers)), 'Cost Centers');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// ============================================================================
+// COMPUTATION
+// ============================================================================
+
+async function getEmployeesOnRolls(tenantId, asOf) {
+  const result = await query(
+    `SELECT e.id, e.employee_code, e.full_name, e.email, e.department, e.cost_center, e.date_of_joining,
+            cs.ctc, cs.basic_salary, cs.hra, cs.special_allowance
+     FROM payroll.employees e
+     JOIN LATERAL (
+       SELECT * FROM payroll.compensation_structures
+       WHERE employee_id = e.id AND tenant_id = e.tenant_id AND effective_from <= $2
+       ORDER BY effective_from DESC, created_at DESC
+       LIMIT 1
+     ) cs ON true
+     WHERE e.tenant_id = $1
+       AND e.date_of_joining <= $2
+       AND (e.date_of_exit IS NULL OR e.date_of_exit > $2)
+     ORDER BY e.employee_code`,
+    [tenantId, asOf]
+  );
+  return result.rows;
+}
+
+// Leave taken this calendar year under encashable policies, keyed by email
+async function getEncashableLeaveByEmail(tenantId, asOf) {
+  const year = Number(asOf.slice(0, 4));
+  const result = await query(
+    `SELECT LOWER(p.email) AS email, lp.name, lp.annual_entitlement,
+            COALESCE(SUM(lr.total_days), 0)::numeric AS taken
+     FROM employees he
+     JOIN profiles p ON p.id = he.user_id
+     CROSS JOIN leave_policies lp
+     LEFT JOIN leave_requests lr
+       ON lr.leave_type_id = lp.id
+      AND lr.employee_id = he.id
+      AND lr.status = 'approved'
+      AND EXTRACT(YEAR FROM lr.start_date) = $3
+      AND lr.start_date <= $2
+     WHERE he.tenant_id = $1
+       AND lp.tenant_id = $1 AND lp.encashment_allowed = true AND lp.is_active = true
+     GROUP BY p.email, lp.id, lp.name, lp.annual_entitlement
+     ORDER BY lp.name`,
+    [tenantId, asOf, year]
+  );
+  const byEmail = new Map();
+  for (const row of result.rows) {
+    if (!byEmail.has(row.email)) byEmail.set(row.email, []);
+    byEmail.get(row.email).push(row);
+  }
+  return byEmail;
+}
+
+/**
+ * Every employee's liability at a month end
+ */
+export async function computeMonthEndLiabilities(tenantId, month, year) {
+  const asOf = monthEnd(month, year);
+  const [employees, leaveByEmail] = await Promise.all([
+    getEmployeesOnRolls(tenantId, asOf),
+    getEncashableLeaveByEmail(tenantId, asOf),
+  ]);
+
+  const rows = [];
+  for (const employee of employees) {
+    const structure = await resolveSalaryComponents(tenantId, employee.id, employee);
+    const earnings = structure.components.filter(c => c.component_type === 'earning');
+    const amountOf = (code) => earnings.find(c => c.code === code)?.amount || 0;
+    rows.push(computeEmployeeLiability({
+      employee,
+      monthlyBasic: amountOf('BASIC') + amountOf('DA'),
+      policies: leaveByEmail.get(String(employee.email).toLowerCase()) || [],
+      asOf,
+    }));
+  }
+  return rows;
+}
+
+/**
+ * Liabilities at the month end with the movement since the previous one
+ */
+export async function getLiabilityReport({ tenantId, month, year }) {
+  const prior = previousMonth(month, year);
+  const current = await computeMonthEndLiabilities(tenantId, month, year);
+  const previous = await computeMonthEndLiabilities(tenantId, prior.month, prior.year);
+  return buildLiabilityReport({ month, year, current, previous });
+}
+
+export default {
+  monthEnd,
+  previousMonth,
+  computeAccruedGratuity,
+  computeEmployeeLiability,
+  computeMovement,
+  rollupLiabilities,
+  buildLiabilityReport,
+  buildLiabilityCsv,
+  buildLiabilityWorkbook,
+  computeMonthEndLiabilities,
+  getLiabilityReport,
+};
@@ -0,0 +1,355 @@
+/**
+ * Employee Loans & Salary Advances
+ *
+ * Loans are recovered through payroll as equated monthly instalments on a
+ * reducing balance. Each cycle records a repayment per loan when it is
+ * approved and drops it again if it is reopened, so the outstanding balance
+ * is always the principal less what approved payroll (or a direct
+ * foreclosure) has recovered. Months can be skipped, which simply
+ * pushes the remaining instalments out by a month.
+ */
+
+import { query } from '../../db/pool.js';
+
+// Loans up to this aggregate amount carry no interest perquisite (Rule 3(7)(i))
+export const PERQUISITE_EXEMPT_LOAN_LIMIT = 20000;
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function monthIndex(month, year) {
+  return Number(year) * 12 + Number(month) - 1;
+}
+
+/**
+ * Equated monthly instalment on a reducing balance, rounded to the rupee.
+ * Interest-free loans and advances are split evenly.
+ */
+export function computeEmi({ principal, annualRate = 0, tenureMonths }) {
+  const amount = Number(principal) || 0;
+  const months = Math.max(1, Number(tenureMonths) || 1);
+  const rate = (Number(annualRate) || 0) / 1200;
+  if (rate === 0) return Math.ceil(amount / months);
+  const factor = Math.pow(1 + rate, months);
+  return Math.round((amount * rate * factor) / (factor - 1));
+}
+
+/**
+ * Split one month's recovery into interest and principal
+ */
+export function computeMonthlyRecovery({ outstanding, annualRate = 0, emi, foreclose = false }) {
+  const balance = Math.max(0, Number(outstanding) || 0);
+  if (balance === 0) return { principal: 0, interest: 0, amount: 0 };
+
+  const interest = roundAmount((balance * (Number(annualRate) || 0)) / 1200);
+  const principal = foreclose
+    ? balance
+    : roundAmount(Math.min(balance, Math.max(0, (Number(emi) || 0) - interest)));
+  return { principal, interest, amount: roundAmount(principal + interest) };
+}
+
+/**
+ * Monthly taxable value of a concessional loan: the interest the employee
+ * saves compared with the benchmark rate, on the balance for the month
+ */
+export function computeInterestPerquisite({ outstanding, annualRate = 0, benchmarkRate, aggregatePrincipal }) {
+  if (benchmarkRate === null || benchmarkRate === undefined) return 0;
+  if ((Number(aggregatePrincipal) || 0) <= PERQUISITE_EXEMPT_LOAN_LIMIT) return 0;
+  const concession = Number(benchmarkRate) - (Number(annualRate) || 0);
+  if (concession <= 0) return 0;
+  return roundAmount(((Number(outstanding) || 0) * concession) / 1200);
+}
+
+/**
+ * Projected instalments from a balance, skipping the given months
+ *
+ * @param {Object} params
+ * @param {number} params.outstanding - Balance to project from
+ * @param {number} params.month - First month to project (1-12)
+ * @param {number} params.year
+ * @param {Array} [params.skips] - [{ month, year }] with no recovery
+ * @returns {Array} [{ month, year, principal, interest, amount, balance }]
+ */
+export function buildRepaymentSchedule({ outstanding, annualRate = 0, emi, month, year, skips = [] }) {
+  const skipped = new Set(skips.map(s => monthIndex(s.month, s.year)));
+  const schedule = [];
+  let balance = roundAmount(outstanding);
+  let index = monthIndex(month, year);
+  // Guard against an EMI that never covers the interest
+  const maxMonths = 600;
+
+  while (balance > 0 && schedule.length < maxMonths) {
+    if (!skipped.has(index)) {
+      const recovery = computeMonthlyRecovery({ outstanding: balance, annualRate, emi });
+      if (recovery.principal <= 0) break;
+      balance = roundAmount(balance - recovery.principal);
+      schedule.push({ month: (index % 12) + 1, year: Math.floor(index / 12), ...recovery, balance });
+    }
+    index++;
+  }
+  return schedule;
+}
+
+/**
+ * Outstanding-balance statement: every recovery with the running balance,
+ * followed by the projected remaining instalments
+ */
+export function buildLoanStatement({ loan, repayments = [], skips = [], asOf = new Date() }) {
+  let balance = roundAmount(loan.principal);
+  const transactions = [...repayments]
+    .sort((a, b) => monthIndex(a.month, a.year) - monthIndex(b.month, b.year) ||
+      new Date(a.created_at) - new Date(b.created_at))
+    .map(repayment => {
+      balance = roundAmount(balance - Number(repayment.principal_amount));
+      return {
+        month: repayment.month,
+        year: repayment.year,
+        type: repayment.repayment_type,
+        principal: Number(repayment.principal_amount),
+        interest: Number(repayment.interest_amount),
+        amount: Number(repayment.amount),
+        balance: Math.max(0, balance),
+        viaPayroll: Boolean(repayment.payroll_cycle_id),
+      };
+    });
+
+  const outstanding = Math.max(0, balance);
+  let projection = [];
+  if (loan.status === 'active' && outstanding > 0) {
+    // Project from the month after the latest recovery, or from the start month
+    const last = transactions[transactions.length - 1];
+    const startIndex = Math.max(
+      last ? monthIndex(last.month, last.year) + 1 : 0,
+      loan.start_month ? monthIndex(loan.start_month, loan.start_year) : 0,
+      monthIndex(asOf.getMonth() + 1, asOf.getFullYear())
+    );
+    projection = buildRepaymentSchedule({
+      outstanding,
+      annualRate: loan.interest_rate,
+      emi: loan.emi_amount,
+      month: (startIndex % 12) + 1,
+      year: Math.floor(startIndex / 12),
+      skips,
+    });
+  }
+
+  return {
+    principal: Number(loan.principal),
+    principalRepaid: roundAmount(transactions.reduce((sum, t) => sum + t.principal, 0)),
+    interestPaid: roundAmount(transactions.reduce((sum, t) => sum + t.interest, 0)),
+    outstanding,
+    transactions,
+    projection,
+  };
+}
+
+export const LOAN_TYPES = ['loan', 'advance'];
+
+/**
+ * Validate the terms HR sets when approving or creating a loan
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateLoanTerms({ principal, tenure_months, interest_rate, perquisite_rate, start_month, start_year }) {
+  if (!(Number(principal) > 0)) return 'principal must be greater than zero';
+  if (!Number.isInteger(Number(tenure_months)) || Number(tenure_months) < 1 || Number(tenure_months) > 360) {
+    return 'tenure_months must be a whole number between 1 and 360';
+  }
+  if (interest_rate !== undefined && interest_rate !== null &&
+      (Number.isNaN(Number(interest_rate)) || Number(interest_rate) < 0 || Number(interest_rate) > 50)) {
+    return 'interest_rate must be between 0 and 50';
+  }
+  if (perquisite_rate !== undefined && perquisite_rate !== null && perquisite_rate !== '' &&
+      (Number.isNaN(Number(perquisite_rate)) || Number(perquisite_rate) < 0 || Number(perquisite_rate) > 50)) {
+    return 'perquisite_rate must be between 0 and 50';
+  }
+  if ((start_month === undefined) !== (start_year === undefined)) {
+    return 'start_month and start_year must be given together';
+  }
+  if (start_month !== undefined &&
+      (!Number.isInteger(Number(start_month)) || Number(start_month) < 1 || Number(start_month) > 12 ||
+       !Number.isInteger(Number(start_year)))) {
+    return 'start_month must be 1-12 and start_year a valid year';
+  }
+  return null;
+}
+
+// ============================================================================
+// PAYROLL INTEGRATION
+// ============================================================================
+
+/**
+ * EMIs due from an employee in a cycle, plus the interest perquisite on
+ * concessional loans. Repayments already recorded for this same cycle are
+ * ignored so previewing or reprocessing gives the same result. With
+ * `foreclose`, every loan with a balance is recovered in full regardless of
+ * its start month or skips, as in a full and final settlement.
+ *
+ * @returns {Object} { total, recoveries, perquisite }
+ */
+export async function getEmployeeLoanRecoveries({ tenantId, employeeId, cycle, foreclose = false }) {
+  const loansResult = await query(
+    `SELECT l.*,
+            l.principal - COALESCE((
+              SELECT SUM(r.principal_amount) FROM payroll.loan_repayments r
+              WHERE r.loan_id = l.id AND r.payroll_cycle_id IS DISTINCT FROM $3
+            ), 0) AS balance,
+            EXISTS (
+              SELECT 1 FROM payroll.loan_emi_skips s
+              WHERE s.loan_id = l.id AND s.month = $4 AND s.year = $5
+            ) AS skipped
+     FROM payroll.employee_loans l
+     WHERE l.tenant_id = $1
+       AND l.employee_id = $2
+       AND l.status IN ('active', 'closed', 'foreclosed')
+       AND ($6 OR (l.start_year * 12 + l.start_month) <= ($5 * 12 + $4))`,
+    [tenantId, employeeId, cycle.id || null, cycle.month, cycle.year, foreclose]
+  );
+
+  // Closed loans only show a balance here when this very cycle closed them,
+  // so they are recovered again when the cycle is reprocessed
+  const loans = loansResult.rows.filter(loan => Number(loan.balance) > 0);
+  const aggregatePrincipal = loans.reduce((sum, loan) => sum + Number(loan.principal), 0);
+
+  const recoveries = [];
+  let perquisite = 0;
+  for (const loan of loans) {
+    perquisite += computeInterestPerquisite({
+      outstanding: loan.balance,
+      annualRate: loan.interest_rate,
+      benchmarkRate: loan.perquisite_rate,
+      aggregatePrincipal,
+    });
+    const forecloseLoan = foreclose || loan.foreclose_in_payroll;
+    if (loan.skipped && !forecloseLoan) continue;
+
+    const recovery = computeMonthlyRecovery({
+      outstanding: loan.balance,
+      annualRate: loan.interest_rate,
+      emi: loan.emi_amount,
+      foreclose: forecloseLoan,
+    });
+    if (recovery.amount <= 0) continue;
+    recoveries.push({
+      loan_id: loan.id,
+      loan_type: loan.loan_type,
+      ...recovery,
+      foreclosure: Boolean(forecloseLoan),
+    });
+  }
+
+  return {
+    total: roundAmount(recoveries.reduce((sum, r) => sum + r.amount, 0)),
+    recoveries,
+    perquisite: roundAmount(perquisite),
+  };
+}
+
+// Bring each loan's balance and status up to date with its recorded repayments
+async function refreshLoanBalances(client, loanIds) {
+  for (const loanId of loanIds) {
+    await client.query(
+      `UPDATE payroll.employee_loans l
+       SET outstanding_principal = GREATEST(0, l.principal - COALESCE((
+             SELECT SUM(r.principal_amount) FROM payroll.loan_repayments r WHERE r.loan_id = l.id
+           ), 0)),
+           updated_at = NOW()
+       WHERE l.id = $1`,
+      [loanId]
+    );
+    await client.query(
+      `UPDATE payroll.employee_loans
+       SET status = CASE
+             WHEN outstanding_principal > 0 THEN 'active'
+             WHEN foreclose_in_payroll THEN 'foreclosed'
+             ELSE 'closed'
+           END,
+           closed_at = CASE WHEN outstanding_principal > 0 THEN NULL ELSE COALESCE(closed_at, NOW()) END
+       WHERE id = $1 AND status IN ('active', 'closed', 'foreclosed')`,
+      [loanId]
+    );
+  }
+}
+
+/**
+ * Record an approved cycle's loan recoveries from its payroll items,
+ * replacing any recorded earlier, and bring each loan's balance and status up
+ * to date. Runs inside the caller's transaction.
+ */
+export async function recordCycleLoanRepayments(client, { tenantId, cycleId, actorId = null }) {
+  const cycleResult = await client.query(
+    'SELECT month, year FROM payroll.payroll_cycles WHERE id = $1 AND tenant_id = $2',
+    [cycleId, tenantId]
+  );
+  const cycle = cycleResult.rows[0];
+
+  const removed = await client.query(
+    'DELETE FROM payroll.loan_repayments WHERE payroll_cycle_id = $1 AND tenant_id = $2 RETURNING loan_id',
+    [cycleId, tenantId]
+  );
+  const loanIds = new Set(removed.rows.map(r => r.loan_id));
+
+  const itemsResult = await client.query(
+    'SELECT loan_recoveries FROM payroll.payroll_items WHERE payroll_cycle_id = $1 AND tenant_id = $2',
+    [cycleId, tenantId]
+  );
+  for (const item of itemsResult.rows) {
+    for (const recovery of item.loan_recoveries || []) {
+      await client.query(
+        `INSERT INTO payroll.loan_repayments (
+           tenant_id, loan_id, payroll_cycle_id, month, year, repayment_type,
+           principal_amount, interest_amount, amount, created_by
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          tenantId, recovery.loan_id, cycleId, cycle.month, cycle.year,
+          recovery.foreclosure ? 'foreclosure' : 'emi',
+          recovery.principal, recovery.interest, recovery.amount, actorId,
+        ]
+      );
+      loanIds.add(recovery.loan_id);
+    }
+  }
+
+  await refreshLoanBalances(client, loanIds);
+}
+
+/**
+ * Drop a reopened cycle's loan repayments so its loans show their balance
+ * before the cycle until it is approved again. Runs inside the caller's
+ * transaction.
+ */
+export async function removeCycleLoanRepayments(client, { tenantId, cycleId }) {
+  const removed = await client.query(
+    'DELETE FROM payroll.loan_repayments WHERE payroll_cycle_id = $1 AND tenant_id = $2 RETURNING loan_id',
+    [cycleId, tenantId]
+  );
+  await refreshLoanBalances(client, new Set(removed.rows.map(r => r.loan_id)));
+}
+
+export async function getLoanStatement(loan) {
+  const [repayments, skips] = await Promise.all([
+    query(
+      'SELECT * FROM payroll.loan_repayments WHERE loan_id = $1 ORDER BY year, month, created_at',
+      [loan.id]
+    ),
+    query('SELECT month, year, reason FROM payroll.loan_emi_skips WHERE loan_id = $1 ORDER BY year, month', [loan.id]),
+  ]);
+  return {
+    ...buildLoanStatement({ loan, repayments: repayments.rows, skips: skips.rows }),
+    skips: skips.rows,
+  };
+}
+
+export default {
+  LOAN_TYPES,
+  validateLoanTerms,
+  computeEmi,
+  computeMonthlyRecovery,
+  computeInterestPerquisite,
+  buildRepaymentSchedule,
+  buildLoanStatement,
+  getEmployeeLoanRecoveries,
+  recordCycleLoanRepayments,
+  removeCycleLoanRepayments,
+  getLoanStatement,
+};
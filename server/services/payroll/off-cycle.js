@@ -0,0 +1,165 @@
+/**
+ * Off-Cycle Payroll Runs
+ *
+ * Runs outside the monthly cycle for bonuses, incentives, settlements and
+ * corrections. HR picks the employees by adding ad-hoc earning lines to the
+ * run; only those employees get a payroll item. Taxable lines are treated
+ * as irregular income: the run deducts the full extra tax they cause in the
+ * financial year instead of spreading it over the remaining months. PF, ESI
+ * and professional tax are left to the regular cycle, except on the final
+ * salary paid in a full and final settlement.
+ */
+
+import { query } from '../../db/pool.js';
+
+export const PAYROLL_RUN_TYPES = ['regular', 'off_cycle'];
+
+export const OFF_CYCLE_REASONS = {
+  bonus: { code: 'BONUS', name: 'Bonus' },
+  incentive: { code: 'INCENTIVE', name: 'Incentive' },
+  settlement: { code: 'SETTLEMENT', name: 'Settlement' },
+  correction: { code: 'CORRECTION', name: 'Salary Correction' },
+};
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Validate an ad-hoc earning line
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateOffCycleEarning({ employee_id, amount, component_code, component_name }) {
+  if (!employee_id) return 'employee_id is required';
+  if (!(Number(amount) > 0)) return 'amount must be greater than zero';
+  if (component_code !== undefined && component_code !== null &&
+      !/^[A-Z][A-Z0-9_]{0,29}$/.test(String(component_code))) {
+    return 'component_code must be upper-case letters, digits or underscores';
+  }
+  if (component_name !== undefined && component_name !== null && !String(component_name).trim()) {
+    return 'component_name cannot be empty';
+  }
+  return null;
+}
+
+/**
+ * Collapse an employee's earning lines into payroll item components
+ *
+ * @param {Array} lines - Rows from off_cycle_earnings
+ * @returns {Object} { components, gross, taxable }
+ */
+export function summarizeOffCycleEarnings(lines) {
+  const byCode = new Map();
+  for (const line of lines) {
+    const key = `${line.component_code}:${line.is_taxable !== false}`;
+    const entry = byCode.get(key) || {
+      code: line.component_code,
+      name: line.component_name,
+      component_type: 'earning',
+      is_taxable: line.is_taxable !== false,
+      prorate: false,
+      amount: 0,
+    };
+    entry.amount = roundAmount(entry.amount + Number(line.amount));
+    byCode.set(key, entry);
+  }
+  const components = [...byCode.values()];
+  return {
+    components,
+    gross: roundAmount(components.reduce((sum, c) => sum + c.amount, 0)),
+    taxable: roundAmount(components.filter(c => c.is_taxable).reduce((sum, c) => sum + c.amount, 0)),
+  };
+}
+
+/**
+ * Earning lines of an off-cycle run with the employee details the payroll
+ * engine needs, grouped by employee
+ *
+ * @returns {Array} [{ employee, lines }]
+ */
+export async function getOffCycleEarningsByEmployee(tenantId, cycleId) {
+  const result = await query(
+    `SELECT l.*, e.full_name, e.email, e.employee_code, e.date_of_birth, e.work_state, e.date_of_exit,
+            e.country, e.currency
+     FROM payroll.off_cycle_earnings l
+     JOIN payroll.employees e ON e.id = l.employee_id
+     WHERE l.tenant_id = $1 AND l.payroll_cycle_id = $2
+     ORDER BY e.full_name ASC, l.created_at ASC`,
+    [tenantId, cycleId]
+  );
+
+  const groups = new Map();
+  for (const row of result.rows) {
+    if (!groups.has(row.employee_id)) {
+      groups.set(row.employee_id, {
+        employee: {
+          id: row.employee_id,
+          full_name: row.full_name,
+          email: row.email,
+          employee_code: row.employee_code,
+          date_of_birth: row.date_of_birth,
+          work_state: row.work_state,
+          date_of_exit: row.date_of_exit,
+          country: row.country,
+          currency: row.currency,
+        },
+        lines: [],
+      });
+    }
+    groups.get(row.employee_id).lines.push(row);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Approved full and final settlements paid by an off-cycle run, with the
+ * employee details the payroll engine needs
+ */
+export async function getCycleSettlements(tenantId, cycleId) {
+  const result = await query(
+    `SELECT s.*, e.full_name, e.email, e.employee_code, e.date_of_birth, e.work_state, e.date_of_exit,
+            e.country, e.currency
+     FROM payroll.fnf_settlements s
+     JOIN payroll.employees e ON e.id = s.employee_id
+     WHERE s.tenant_id = $1 AND s.payroll_cycle_id = $2 AND s.status IN ('approved', 'paid')
+     ORDER BY e.full_name ASC`,
+    [tenantId, cycleId]
+  );
+  return result.rows.map(row => ({
+    settlement: row,
+    employee: {
+      id: row.employee_id,
+      full_name: row.full_name,
+      email: row.email,
+      employee_code: row.employee_code,
+      date_of_birth: row.date_of_birth,
+      work_state: row.work_state,
+      date_of_exit: row.date_of_exit,
+      country: row.country,
+      currency: row.currency,
+    },
+  }));
+}
+
+/**
+ * Mark the settlements on a run paid once the run itself is paid. Runs
+ * inside the caller's transaction.
+ */
+export async function recordCycleSettlements(client, { tenantId, cycleId }) {
+  await client.query(
+    `UPDATE payroll.fnf_settlements
+     SET status = 'paid', paid_at = COALESCE(paid_at, NOW())
+     WHERE tenant_id = $1 AND payroll_cycle_id = $2 AND status = 'approved'`,
+    [tenantId, cycleId]
+  );
+}
+
+export default {
+  PAYROLL_RUN_TYPES,
+  OFF_CYCLE_REASONS,
+  validateOffCycleEarning,
+  summarizeOffCycleEarnings,
+  getOffCycleEarningsByEmployee,
+  getCycleSettlements,
+  recordCycleSettlements,
+};
@@ -0,0 +1,873 @@
+/**
+ * Payroll Engine
+ *
+ * Computes each employee's payroll item for a cycle. Shared by the cycle
+ * preview and by processing, so what HR reviews is exactly what gets
+ * persisted to payroll.payroll_items.
+ */
+
+import { query, withClient } from '../../db/pool.js';
+import {
+  getEmployeeWorkingCalendar,
+  getProrationBasis,
+  resolveProrationDays,
+  countPayableDaysInRange,
+  toDateKey,
+} from './working-calendar.js';
+import { FINALIZED_CYCLE_STATUSES } from './cycle-lifecycle.js';
+import { evaluateSalaryStructure, getEmployeeSalaryTemplate } from './salary-structure.js';
+import { DEFAULT_STATUTORY_SETTINGS } from './statutory.js';
+import { getStatutoryProvider } from './statutory-providers.js';
+import { resolvePayrollCurrency, roundMoney, toMinorUnits, DEFAULT_COUNTRY, DEFAULT_CURRENCY } from './currency.js';
+import { getEmployeeLoanRecoveries } from './loans.js';
+import { getEmployeeReimbursements, recordCycleReimbursements } from './expense-claims.js';
+import {
+  LEAVE_ENCASHMENT_COMPONENT_CODE,
+  getEmployeeLeaveEncashments,
+  recordCycleLeaveEncashments,
+} from './leave-encashments.js';
+import {
+  LEAVE_ADJUSTMENT_COMPONENT_CODE,
+  UNPAID_LEAVE_TYPE,
+  getEmployeeLeaveAdjustments,
+  recordCycleLeaveAdjustments,
+} from './leave-adjustments.js';
+import {
+  getOffCycleEarningsByEmployee,
+  summarizeOffCycleEarnings,
+  getCycleSettlements,
+} from './off-cycle.js';
+
+const DEFAULT_SETTINGS = {
+  ...DEFAULT_STATUTORY_SETTINGS,
+  pt_rate: 200.0,
+  tds_threshold: 250000.0,
+  country: DEFAULT_COUNTRY,
+  currency: DEFAULT_CURRENCY,
+};
+
+function roundAmount(value, currency = DEFAULT_CURRENCY) {
+  return roundMoney(value, currency);
+}
+
+export async function loadPayrollSettings(tenantId) {
+  const result = await query(
+    'SELECT * FROM payroll.payroll_settings WHERE tenant_id = $1',
+    [tenantId]
+  );
+  return result.rows[0] || DEFAULT_SETTINGS;
+}
+
+/**
+ * Calculate LOP days and paid days against the employee's working calendar
+ * (weekly offs, holidays, joining/exit dates). Unpaid days come from payroll
+ * leave requests, HR leave under a loss-of-pay policy (the days its day
+ * breakdown charges in the month, which pay adjustments for changed leave
+ * are based on too) and LOP attendance.
+ */
+export async function calculateLopAndPaidDays(tenantId, employeeId, month, year) {
+  const calendar = await getEmployeeWorkingCalendar({ tenantId, employeeId, month, year });
+  const prorationBasis = await getProrationBasis(tenantId);
+  const { totalDays, eligibleDays } = resolveProrationDays(calendar, prorationBasis);
+  const monthStart = `${year}-${String(month).padStart(2, '0')}-01`;
+  const monthEnd = `${year}-${String(month).padStart(2, '0')}-${String(calendar.daysInMonth).padStart(2, '0')}`;
+
+  // Get approved LOP leave requests overlapping the month
+  const leaveResult = await query(
+    `SELECT start_date, end_date, days
+    FROM payroll.leave_requests
+    WHERE tenant_id = $1
+      AND employee_id = $2
+      AND status = 'approved'
+      AND leave_type = 'loss_of_pay'
+      AND start_date <= $4::date
+      AND end_date >= $3::date`,
+    [tenantId, employeeId, monthStart, monthEnd]
+  );
+
+  // Approved HR leave under an unpaid policy, matched to the payroll employee by email
+  const hrLeaveResult = await query(
+    `SELECT lr.start_date, lr.end_date, lr.total_days, lr.day_breakdown
+    FROM leave_requests lr
+    JOIN leave_policies lp ON lp.id = lr.leave_type_id
+    JOIN employees e ON e.id = lr.employee_id
+    JOIN profiles p ON p.id = e.user_id
+    JOIN payroll.employees pe ON pe.tenant_id = lr.tenant_id AND LOWER(pe.email) = LOWER(p.email)
+    WHERE lr.tenant_id = $1
+      AND pe.id = $2
+      AND lr.status = 'approved'
+      AND lp.leave_type::text = $5
+      AND lr.start_date <= $4::date
+      AND lr.end_date >= $3::date`,
+    [tenantId, employeeId, monthStart, monthEnd, UNPAID_LEAVE_TYPE]
+  );
+
+  // Get LOP days from attendance records (if using payroll schema)
+  const attendanceResult = await query(
+    `SELECT date
+    FROM payroll.attendance_records
+    WHERE tenant_id = $1
+      AND employee_id = $2
+      AND status = 'lop'
+      AND date BETWEEN $3::date AND $4::date`,
+    [tenantId, employeeId, monthStart, monthEnd]
+  );
+
+  // Leave spanning month boundaries only counts the payable days inside this month
+  const leaveLopDays = leaveResult.rows.reduce((sum, leave) => {
+    const daysInMonth = countPayableDaysInRange(calendar, leave.start_date, leave.end_date, prorationBasis);
+    return sum + Math.min(Number(leave.days) || 0, daysInMonth);
+  }, 0);
+  const employedDates = new Set(calendar.days.filter(day => day.employed).map(day => day.date));
+  const hrLeaveLopDays = hrLeaveResult.rows.reduce((sum, leave) => {
+    const breakdown = leave.day_breakdown || [];
+    if (breakdown.length === 0) {
+      const daysInMonth = countPayableDaysInRange(calendar, leave.start_date, leave.end_date, prorationBasis);
+      return sum + Math.min(Number(leave.total_days) || 0, daysInMonth);
+    }
+    return sum + breakdown
+      .filter(day => employedDates.has(toDateKey(day.date)))
+      .reduce((days, day) => days + (Number(day.days) || 0), 0);
+  }, 0);
+  const attendanceLopDays = attendanceResult.rows.reduce(
+    (sum, record) => sum + countPayableDaysInRange(calendar, record.date, record.date, prorationBasis),
+    0
+  );
+  const lopDays = Math.min(eligibleDays, leaveLopDays + hrLeaveLopDays + attendanceLopDays);
+  const paidDays = Math.max(0, eligibleDays - lopDays);
+
+  return {
+    lopDays,
+    paidDays,
+    totalWorkingDays: totalDays,
+    prorationBasis,
+    calendar: {
+      daysInMonth: calendar.daysInMonth,
+      workingDays: calendar.workingDays,
+      weeklyOffs: calendar.weeklyOffs,
+      holidays: calendar.holidays,
+      employedDays: calendar.employedDays,
+      employedWorkingDays: calendar.employedWorkingDays,
+    },
+  };
+}
+
+/**
+ * Monthly salary components for an employee. Employees whose grade has a
+ * salary structure template are evaluated from it; everyone else falls back
+ * to the fixed columns on their compensation structure.
+ */
+export async function resolveSalaryComponents(tenantId, employeeId, compensation) {
+  const template = await getEmployeeSalaryTemplate(tenantId, employeeId);
+  if (template) {
+    const { components } = evaluateSalaryStructure(template.components, compensation.ctc);
+    return { templateId: template.id, templateName: template.name, components };
+  }
+
+  const fixed = [
+    { code: 'BASIC', name: 'Basic Salary', amount: Number(compensation.basic_salary) || 0 },
+    { code: 'HRA', name: 'House Rent Allowance', amount: Number(compensation.hra) || 0 },
+    { code: 'SPECIAL_ALLOWANCE', name: 'Special Allowance', amount: Number(compensation.special_allowance) || 0 },
+  ];
+  return {
+    templateId: null,
+    templateName: null,
+    components: fixed.map(c => ({ ...c, component_type: 'earning', is_taxable: true, prorate: true })),
+  };
+}
+
+export const ARREARS_COMPONENT_CODE = 'ARREARS';
+// One-time earnings are not part of a month's salary when working out arrears
+const ONE_TIME_EARNING_CODES = [ARREARS_COMPONENT_CODE, LEAVE_ENCASHMENT_COMPONENT_CODE];
+
+function earningAmounts(components) {
+  const amounts = new Map();
+  for (const component of components || []) {
+    if (component.component_type !== 'earning' || ONE_TIME_EARNING_CODES.includes(component.code)) continue;
+    const entry = amounts.get(component.code) || { code: component.code, name: component.name, amount: 0 };
+    entry.amount += Number(component.amount) || 0;
+    amounts.set(component.code, entry);
+  }
+  return amounts;
+}
+
+function paidEarnings(item) {
+  if (Array.isArray(item.components) && item.components.length > 0) {
+    return earningAmounts(item.components);
+  }
+  return earningAmounts([
+    { code: 'BASIC', name: 'Basic Salary', amount: item.basic_salary },
+    { code: 'HRA', name: 'House Rent Allowance', amount: item.hra },
+    { code: 'SPECIAL_ALLOWANCE', name: 'Special Allowance', amount: item.special_allowance },
+  ].map(c => ({ ...c, component_type: 'earning' })));
+}
+
+/**
+ * Arrears owed for earlier, already-processed months. A month is revisited
+ * when a compensation revision effective by its month end was recorded after
+ * its payroll was processed. For each such month the salary is re-evaluated
+ * with the revised compensation and the same paid days, and the difference
+ * from what was paid (including arrears settled in earlier cycles) is owed.
+ *
+ * @returns {Object} { amount, details: [{ source_cycle_id, month, year, amount, components }] }
+ */
+export async function computeEmployeeArrears({ tenantId, cycle, employeeId, currency = DEFAULT_CURRENCY }) {
+  const affected = await query(
+    `SELECT pi.payroll_cycle_id, pi.components, pi.basic_salary, pi.hra, pi.special_allowance,
+            pi.paid_days, pi.total_working_days, pc.month, pc.year
+     FROM payroll.payroll_items pi
+     JOIN payroll.payroll_cycles pc ON pc.id = pi.payroll_cycle_id
+     WHERE pi.tenant_id = $1
+       AND pi.employee_id = $2
+       AND pc.id != $3
+       AND pc.status = ANY($6::text[])
+       AND pc.run_type = 'regular'
+       AND (pc.year * 12 + pc.month) < ($4 * 12 + $5)
+       AND EXISTS (
+         SELECT 1 FROM payroll.compensation_structures cs
+         WHERE cs.tenant_id = pi.tenant_id
+           AND cs.employee_id = pi.employee_id
+           AND cs.effective_from < make_date(pc.year, pc.month, 1) + INTERVAL '1 month'
+           AND cs.created_at > pi.created_at
+       )
+     ORDER BY pc.year, pc.month`,
+    [tenantId, employeeId, cycle.id, cycle.year, cycle.month, FINALIZED_CYCLE_STATUSES]
+  );
+  if (affected.rows.length === 0) return { amount: 0, details: [] };
+
+  // Arrears already settled for the same months by other cycles
+  const settledResult = await query(
+    `SELECT pi.arrears
+     FROM payroll.payroll_items pi
+     JOIN payroll.payroll_cycles pc ON pc.id = pi.payroll_cycle_id
+     WHERE pi.tenant_id = $1
+       AND pi.employee_id = $2
+       AND pc.id != $3
+       AND pc.status = ANY($4::text[])
+       AND jsonb_array_length(pi.arrears) > 0`,
+    [tenantId, employeeId, cycle.id, FINALIZED_CYCLE_STATUSES]
+  );
+  const settled = settledResult.rows.flatMap(row => row.arrears || []);
+
+  const details = [];
+  for (const item of affected.rows) {
+    const monthEnd = new Date(item.year, item.month, 0);
+    const compResult = await query(
+      `SELECT * FROM payroll.compensation_structures
+       WHERE employee_id = $1
+         AND tenant_id = $2
+         AND effective_from <= $3
+       ORDER BY effective_from DESC, created_at DESC
+       LIMIT 1`,
+      [employeeId, tenantId, monthEnd.toISOString()]
+    );
+    if (compResult.rows.length === 0) continue;
+
+    const totalDays = Number(item.total_working_days) || 0;
+    const ratio = totalDays > 0 ? (Number(item.paid_days) || 0) / totalDays : 0;
+    const structure = await resolveSalaryComponents(tenantId, employeeId, compResult.rows[0]);
+    const due = earningAmounts(structure.components.map(c => ({
+      ...c,
+      amount: roundAmount(c.prorate ? c.amount * ratio : c.amount, currency),
+    })));
+
+    const paid = paidEarnings(item);
+    const previous = settled.filter(entry => entry.month === item.month && entry.year === item.year);
+    for (const entry of previous) {
+      for (const component of entry.components || []) {
+        const existing = paid.get(component.code) || { code: component.code, name: component.name, amount: 0 };
+        existing.amount += Number(component.amount) || 0;
+        paid.set(component.code, existing);
+      }
+    }
+
+    const components = [];
+    for (const code of new Set([...due.keys(), ...paid.keys()])) {
+      const difference = roundAmount((due.get(code)?.amount || 0) - (paid.get(code)?.amount || 0), currency);
+      if (difference !== 0) {
+        components.push({ code, name: due.get(code)?.name || paid.get(code)?.name || code, amount: difference });
+      }
+    }
+    if (components.length === 0) continue;
+
+    details.push({
+      source_cycle_id: item.payroll_cycle_id,
+      month: item.month,
+      year: item.year,
+      amount: roundAmount(components.reduce((sum, c) => sum + c.amount, 0), currency),
+      components,
+    });
+  }
+
+  return {
+    amount: roundAmount(details.reduce((sum, entry) => sum + entry.amount, 0), currency),
+    details,
+  };
+}
+
+/**
+ * Compute one employee's payroll item for a cycle. Returns null when the
+ * employee has no compensation effective by the end of the cycle month.
+ */
+export async function computeEmployeePayroll({ tenantId, cycle, employee, settings }) {
+  const payrollMonthEnd = new Date(cycle.year, cycle.month, 0);
+  const { country, currency, statutoryCountry } = resolvePayrollCurrency(employee, settings);
+
+  const compResult = await query(
+    `SELECT * FROM payroll.compensation_structures
+     WHERE employee_id = $1
+       AND tenant_id = $2
+       AND effective_from <= $3
+     ORDER BY effective_from DESC, created_at DESC
+     LIMIT 1`,
+    [employee.id, tenantId, payrollMonthEnd.toISOString()]
+  );
+
+  if (compResult.rows.length === 0) return null;
+
+  const compensation = compResult.rows[0];
+  const { lopDays, paidDays, totalWorkingDays, prorationBasis } = await calculateLopAndPaidDays(
+    tenantId,
+    employee.id,
+    cycle.month,
+    cycle.year
+  );
+  const adjustmentRatio = totalWorkingDays > 0 ? paidDays / totalWorkingDays : 0;
+
+  const structure = await resolveSalaryComponents(tenantId, employee.id, compensation);
+  const components = structure.components.map(c => ({
+    ...c,
+    amount: roundAmount(c.prorate ? c.amount * adjustmentRatio : c.amount, currency),
+  }));
+
+  const earnings = components.filter(c => c.component_type === 'earning');
+  const amountOf = (code) => earnings.find(c => c.code === code)?.amount || 0;
+  const basicSalary = amountOf('BASIC');
+  const hra = amountOf('HRA');
+  const regularGross = roundAmount(earnings.reduce((sum, c) => sum + c.amount, 0), currency);
+  const otherEarnings = roundAmount(regularGross - basicSalary - hra, currency);
+
+  const arrears = await computeEmployeeArrears({ tenantId, cycle, employeeId: employee.id, currency });
+  if (arrears.amount !== 0) {
+    components.push({
+      code: ARREARS_COMPONENT_CODE,
+      name: 'Salary Arrears',
+      component_type: 'earning',
+      is_taxable: true,
+      prorate: false,
+      amount: arrears.amount,
+    });
+  }
+  const leaveEncashments = await getEmployeeLeaveEncashments({ tenantId, employeeId: employee.id, cycle });
+  if (leaveEncashments.total > 0) {
+    components.push({
+      code: LEAVE_ENCASHMENT_COMPONENT_CODE,
+      name: 'Leave Encashment',
+      component_type: 'earning',
+      is_taxable: true,
+      prorate: false,
+      amount: leaveEncashments.total,
+    });
+  }
+  // Unpaid leave changed after an earlier month was locked: a refund or a deduction
+  const leaveAdjustments = await getEmployeeLeaveAdjustments({ tenantId, employeeId: employee.id, cycle });
+  if (leaveAdjustments.total !== 0) {
+    components.push({
+      code: LEAVE_ADJUSTMENT_COMPONENT_CODE,
+      name: 'Leave Adjustment',
+      component_type: 'earning',
+      is_taxable: true,
+      prorate: false,
+      amount: leaveAdjustments.total,
+    });
+  }
+  const adjustedGross = roundAmount(regularGross + arrears.amount + leaveEncashments.total + leaveAdjustments.total, currency);
+  const otherDeductions = roundAmount(
+    components.filter(c => c.component_type === 'deduction').reduce((sum, c) => sum + c.amount, 0),
+    currency
+  );
+
+  const statutory = getStatutoryProvider(statutoryCountry);
+  const { pf, esi, pt } = statutory.computeContributions({
+    basicWages: basicSalary,
+    grossWages: regularGross,
+    settings,
+    dateOfBirth: employee.date_of_birth,
+    asOf: payrollMonthEnd,
+  });
+  const pfDeduction = pf.employeePf;
+  const esiDeduction = esi.employeeEsi;
+  const ptDeduction = pt;
+  const loans = await getEmployeeLoanRecoveries({ tenantId, employeeId: employee.id, cycle });
+  const taxProjection = await statutory.computeTax({
+    tenantId,
+    employeeId: employee.id,
+    month: cycle.month,
+    year: cycle.year,
+    // Loan interest perquisites are taxable but not paid out
+    monthlyGross: regularGross + loans.perquisite,
+    monthlyPf: pfDeduction,
+    monthlyPt: ptDeduction,
+    monthlyBasic: basicSalary,
+    monthlyHra: hra,
+    oneTimeIncome: arrears.amount + leaveEncashments.total + leaveAdjustments.total,
+  });
+  const tdsDeduction = taxProjection.monthlyTds;
+
+  const totalDeductions = pfDeduction + esiDeduction + ptDeduction + tdsDeduction + otherDeductions + loans.total;
+  // Approved expense claims are paid on top of net pay and stay out of gross and TDS
+  const expenses = await getEmployeeReimbursements({ tenantId, employeeId: employee.id, cycle });
+  const netSalary = adjustedGross - totalDeductions + expenses.total;
+
+  return {
+    employee_id: employee.id,
+    employee_code: employee.employee_code,
+    employee_name: employee.full_name,
+    employee_email: employee.email,
+    country,
+    currency,
+    basic_salary: basicSalary,
+    hra,
+    special_allowance: otherEarnings,
+    gross_salary: adjustedGross,
+    arrears_amount: arrears.amount,
+    arrears: arrears.details,
+    leave_encashment_amount: leaveEncashments.total,
+    leave_encashments: leaveEncashments.encashments,
+    leave_adjustment_amount: leaveAdjustments.total,
+    leave_adjustments: leaveAdjustments.adjustments,
+    pf_deduction: pfDeduction,
+    esi_deduction: esiDeduction,
+    tds_deduction: tdsDeduction,
+    pt_deduction: ptDeduction,
+    pt_state: employee.work_state || null,
+    pf_wages: pf.epfWages,
+    eps_wages: pf.epsWages,
+    edli_wages: pf.edliWages,
+    employer_epf: pf.employerEpf,
+    employer_eps: pf.employerEps,
+    esi_wages: esi.esiWages,
+    employer_esi: esi.employerEsi,
+    other_deductions: otherDeductions,
+    loan_recovery: loans.total,
+    loan_recoveries: loans.recoveries,
+    perquisite_value: loans.perquisite,
+    reimbursement_amount: expenses.total,
+    reimbursements: expenses.reimbursements,
+    deductions: totalDeductions,
+    net_salary: netSalary,
+    lop_days: lopDays,
+    paid_days: paidDays,
+    total_working_days: totalWorkingDays,
+    proration_basis: prorationBasis,
+    salary_structure_template_id: structure.templateId,
+    salary_structure_template: structure.templateName,
+    components,
+    tax_regime: taxProjection.regime,
+    hra_exemption: taxProjection.hraExemption,
+    projected_annual_income: taxProjection.projectedAnnualIncome,
+    projected_annual_tax: taxProjection.annualTax,
+  };
+}
+
+/**
+ * Compute one employee's item for an off-cycle run from their ad-hoc earning
+ * lines. TDS is the extra tax the taxable lines add to the year, projected on
+ * top of the employee's regular monthly salary (none once they have left).
+ */
+export async function computeOffCycleEmployeePayroll({ tenantId, cycle, employee, lines, settings }) {
+  const { components, gross, taxable } = summarizeOffCycleEarnings(lines);
+  const payrollMonthStart = new Date(cycle.year, cycle.month - 1, 1);
+  const payrollMonthEnd = new Date(cycle.year, cycle.month, 0);
+
+  const { country, currency, statutoryCountry } = resolvePayrollCurrency(employee, settings);
+  const statutory = getStatutoryProvider(statutoryCountry);
+  let regularGross = 0;
+  let regularPf = 0;
+  let regularPt = 0;
+  let regularBasic = 0;
+  let regularHra = 0;
+  const hasLeft = employee.date_of_exit && new Date(employee.date_of_exit) < payrollMonthStart;
+  if (!hasLeft) {
+    const compResult = await query(
+      `SELECT * FROM payroll.compensation_structures
+       WHERE employee_id = $1 AND tenant_id = $2 AND effective_from <= $3
+       ORDER BY effective_from DESC, created_at DESC
+       LIMIT 1`,
+      [employee.id, tenantId, payrollMonthEnd.toISOString()]
+    );
+    if (compResult.rows[0]) {
+      const structure = await resolveSalaryComponents(tenantId, employee.id, compResult.rows[0]);
+      const earnings = structure.components.filter(c => c.component_type === 'earning');
+      regularGross = roundAmount(earnings.reduce((sum, c) => sum + c.amount, 0), currency);
+      regularBasic = earnings.find(c => c.code === 'BASIC')?.amount || 0;
+      regularHra = earnings.find(c => c.code === 'HRA')?.amount || 0;
+      const regular = statutory.computeContributions({
+        basicWages: regularBasic,
+        grossWages: regularGross,
+        settings,
+        dateOfBirth: employee.date_of_birth,
+        asOf: payrollMonthEnd,
+        professionalTax: regularGross > 0,
+      });
+      regularPf = regular.pf.employeePf;
+      regularPt = regular.pt;
+    }
+  }
+
+  const taxProjection = await statutory.computeTax({
+    tenantId,
+    employeeId: employee.id,
+    month: cycle.month,
+    year: cycle.year,
+    monthlyGross: regularGross,
+    monthlyPf: regularPf,
+    monthlyPt: regularPt,
+    monthlyBasic: regularBasic,
+    monthlyHra: regularHra,
+    oneTimeIncome: taxable,
+    excludeCycleId: cycle.id,
+  });
+  const tdsDeduction = taxable > 0 ? Math.max(0, Math.round(taxProjection.oneTimeTax)) : 0;
+
+  return {
+    employee_id: employee.id,
+    employee_code: employee.employee_code,
+    employee_name: employee.full_name,
+    employee_email: employee.email,
+    country,
+    currency,
+    basic_salary: 0,
+    hra: 0,
+    special_allowance: 0,
+    gross_salary: gross,
+    arrears_amount: 0,
+    arrears: [],
+    pf_deduction: 0,
+    esi_deduction: 0,
+    tds_deduction: tdsDeduction,
+    pt_deduction: 0,
+    pt_state: employee.work_state || null,
+    pf_wages: 0,
+    eps_wages: 0,
+    edli_wages: 0,
+    employer_epf: 0,
+    employer_eps: 0,
+    esi_wages: 0,
+    employer_esi: 0,
+    other_deductions: 0,
+    loan_recovery: 0,
+    loan_recoveries: [],
+    perquisite_value: 0,
+    reimbursement_amount: 0,
+    reimbursements: [],
+    deductions: tdsDeduction,
+    net_salary: roundAmount(gross - tdsDeduction, currency),
+    lop_days: 0,
+    paid_days: 0,
+    total_working_days: 0,
+    salary_structure_template_id: null,
+    salary_structure_template: null,
+    components,
+    tax_regime: taxProjection.regime,
+    projected_annual_income: taxProjection.projectedAnnualIncome,
+    projected_annual_tax: taxProjection.annualTax,
+  };
+}
+
+/**
+ * Compute a leaver's item for an off-cycle settlement run from their approved
+ * full and final statement, plus any ad-hoc earning lines on the run. PF, ESI
+ * and professional tax apply to the final salary only; outstanding loans are
+ * foreclosed; TDS settles the tax still due for the year, since no further
+ * salary will be paid.
+ */
+export async function computeSettlementEmployeePayroll({ tenantId, cycle, employee, settlement, lines = [], settings }) {
+  const { country, currency, statutoryCountry } = resolvePayrollCurrency(employee, settings);
+  const statement = settlement.statement;
+  const salary = statement.salary;
+  const components = (salary?.components || []).map(c => ({ ...c }));
+  const salaryEarnings = components.filter(c => c.component_type === 'earning');
+  const amountOf = (code) => salaryEarnings.find(c => c.code === code)?.amount || 0;
+
+  const settlementEarnings = [
+    { code: 'LEAVE_ENCASHMENT', name: 'Leave Encashment', is_taxable: true, amount: statement.leave_encashment.amount },
+    { code: 'GRATUITY', name: 'Gratuity', is_taxable: false, amount: statement.gratuity.amount },
+  ];
+  const settlementRecoveries = [
+    { code: 'NOTICE_RECOVERY', name: 'Notice Period Recovery', amount: statement.notice.amount },
+    {
+      code: 'ASSET_RECOVERY',
+      name: 'Asset Recovery',
+      amount: roundAmount(statement.assets.reduce((sum, a) => sum + a.amount, 0), currency),
+    },
+  ];
+  for (const earning of settlementEarnings) {
+    if (earning.amount > 0) components.push({ ...earning, component_type: 'earning', prorate: false });
+  }
+  components.push(...summarizeOffCycleEarnings(lines).components);
+  for (const recovery of settlementRecoveries) {
+    if (recovery.amount > 0) {
+      components.push({ ...recovery, component_type: 'deduction', is_taxable: false, prorate: false });
+    }
+  }
+
+  const earnings = components.filter(c => c.component_type === 'earning');
+  const basicSalary = amountOf('BASIC');
+  const hra = amountOf('HRA');
+  const gross = roundAmount(earnings.reduce((sum, c) => sum + c.amount, 0), currency);
+  const taxable = roundAmount(earnings.filter(c => c.is_taxable !== false).reduce((sum, c) => sum + c.amount, 0), currency);
+  const otherDeductions = roundAmount(
+    components.filter(c => c.component_type === 'deduction').reduce((sum, c) => sum + c.amount, 0),
+    currency
+  );
+
+  const salaryGross = salary ? Number(salary.gross) || 0 : 0;
+  const statutory = getStatutoryProvider(statutoryCountry);
+  const { pf, esi, pt: ptDeduction } = statutory.computeContributions({
+    basicWages: basicSalary,
+    grossWages: salaryGross,
+    settings,
+    dateOfBirth: employee.date_of_birth,
+    asOf: new Date(cycle.year, cycle.month, 0),
+    professionalTax: Boolean(salary),
+  });
+  const loans = await getEmployeeLoanRecoveries({ tenantId, employeeId: employee.id, cycle, foreclose: true });
+
+  const taxProjection = await statutory.computeTax({
+    tenantId,
+    employeeId: employee.id,
+    month: cycle.month,
+    year: cycle.year,
+    monthlyGross: 0,
+    oneTimeIncome: taxable + loans.perquisite,
+    excludeCycleId: cycle.id,
+  });
+  const tdsDeduction = Math.max(0, Math.round(taxProjection.annualTax - taxProjection.ytd.tds));
+
+  const totalDeductions = roundAmount(
+    pf.employeePf + esi.employeeEsi + ptDeduction + tdsDeduction + otherDeductions + loans.total,
+    currency
+  );
+  const expenses = await getEmployeeReimbursements({ tenantId, employeeId: employee.id, cycle });
+
+  return {
+    employee_id: employee.id,
+    employee_code: employee.employee_code,
+    employee_name: employee.full_name,
+    employee_email: employee.email,
+    country,
+    currency,
+    basic_salary: basicSalary,
+    hra,
+    special_allowance: roundAmount(gross - basicSalary - hra, currency),
+    gross_salary: gross,
+    arrears_amount: 0,
+    arrears: [],
+    pf_deduction: pf.employeePf,
+    esi_deduction: esi.employeeEsi,
+    tds_deduction: tdsDeduction,
+    pt_deduction: ptDeduction,
+    pt_state: employee.work_state || null,
+    pf_wages: pf.epfWages,
+    eps_wages: pf.epsWages,
+    edli_wages: pf.edliWages,
+    employer_epf: pf.employerEpf,
+    employer_eps: pf.employerEps,
+    esi_wages: esi.esiWages,
+    employer_esi: esi.employerEsi,
+    other_deductions: otherDeductions,
+    loan_recovery: loans.total,
+    loan_recoveries: loans.recoveries,
+    perquisite_value: loans.perquisite,
+    reimbursement_amount: expenses.total,
+    reimbursements: expenses.reimbursements,
+    deductions: totalDeductions,
+    net_salary: roundAmount(gross - totalDeductions + expenses.total, currency),
+    lop_days: salary?.lop_days || 0,
+    paid_days: salary?.paid_days || 0,
+    total_working_days: salary?.total_working_days || 0,
+    salary_structure_template_id: null,
+    salary_structure_template: null,
+    components,
+    fnf_settlement_id: settlement.id,
+    tax_regime: taxProjection.regime,
+    projected_annual_income: taxProjection.projectedAnnualIncome,
+    projected_annual_tax: taxProjection.annualTax,
+  };
+}
+
+/**
+ * Compute payroll items for every payable employee in a cycle: active
+ * employees who joined by month end, plus leavers whose exit falls in or
+ * after the cycle month, except leavers whose final salary for the month is
+ * paid in their full and final settlement. Off-cycle runs cover only the
+ * employees with earning lines or a settlement on the run. When employeeIds
+ * is given (a reopened cycle), only those employees are computed.
+ */
+export async function computeCyclePayroll(tenantId, cycle, { employeeIds = null } = {}) {
+  const payrollMonthStart = new Date(cycle.year, cycle.month - 1, 1);
+  const payrollMonthEnd = new Date(cycle.year, cycle.month, 0);
+  const settings = await loadPayrollSettings(tenantId);
+  const inScope = (employeeId) => !employeeIds || employeeIds.includes(employeeId);
+
+  if (cycle.run_type === 'off_cycle') {
+    const earningGroups = (await getOffCycleEarningsByEmployee(tenantId, cycle.id))
+      .filter(group => inScope(group.employee.id));
+    const payrollItems = [];
+    for (const { employee, settlement } of await getCycleSettlements(tenantId, cycle.id)) {
+      if (!inScope(employee.id)) continue;
+      const lines = earningGroups.find(group => group.employee.id === employee.id)?.lines || [];
+      payrollItems.push(
+        await computeSettlementEmployeePayroll({ tenantId, cycle, employee, settlement, lines, settings })
+      );
+    }
+    for (const { employee, lines } of earningGroups) {
+      if (payrollItems.some(item => item.employee_id === employee.id)) continue;
+      payrollItems.push(await computeOffCycleEmployeePayroll({ tenantId, cycle, employee, lines, settings }));
+    }
+    return payrollItems;
+  }
+
+  const employeesResult = await query(
+    `SELECT e.id, e.full_name, e.email, e.employee_code, e.date_of_birth, e.work_state, e.country, e.currency
+     FROM payroll.employees e
+     WHERE e.tenant_id = $1
+       AND (e.status = 'active' OR (e.date_of_exit IS NOT NULL AND e.date_of_exit >= $3))
+       AND (e.date_of_joining IS NULL OR e.date_of_joining <= $2)
+       AND NOT EXISTS (
+         SELECT 1 FROM payroll.fnf_settlements s
+         WHERE s.employee_id = e.id AND s.status <> 'rejected'
+           AND s.salary_month = $4 AND s.salary_year = $5
+       )
+       AND ($6::uuid[] IS NULL OR e.id = ANY($6::uuid[]))
+     ORDER BY e.date_of_joining ASC`,
+    [tenantId, payrollMonthEnd.toISOString(), payrollMonthStart.toISOString(), cycle.month, cycle.year, employeeIds]
+  );
+
+  const payrollItems = [];
+  for (const employee of employeesResult.rows) {
+    const item = await computeEmployeePayroll({ tenantId, cycle, employee, settings });
+    if (item) payrollItems.push(item);
+  }
+  return payrollItems;
+}
+
+/**
+ * Gross pay per currency in minor units, e.g. { INR: 12500000, USD: 450000 }
+ */
+export function summarizeGrossByCurrency(items) {
+  const totals = {};
+  for (const item of items) {
+    const currency = item.currency || DEFAULT_CURRENCY;
+    totals[currency] = (totals[currency] || 0) + toMinorUnits(item.gross_salary, currency);
+  }
+  return totals;
+}
+
+/**
+ * Replace a cycle's payroll items with freshly computed ones and update the
+ * cycle totals, in a single transaction. With employeeIds only those
+ * employees' items are replaced; reimbursement, leave encashment, leave
+ * adjustment and total bookkeeping still covers every item on the cycle. Loan
+ * repayments are recorded when the cycle is approved, not here.
+ * The cycle's total_amount covers pay in the tenant's payroll currency only.
+ */
+export async function persistPayrollItems(tenantId, cycleId, payrollItems, { employeeIds = null } = {}) {
+  return withClient(async (client) => {
+    await client.query('BEGIN');
+    try {
+      await client.query(
+        `DELETE FROM payroll.payroll_items
+         WHERE payroll_cycle_id = $1 AND tenant_id = $2
+           AND ($3::uuid[] IS NULL OR employee_id = ANY($3::uuid[]))`,
+        [cycleId, tenantId, employeeIds]
+      );
+
+      for (const item of payrollItems) {
+        const currency = item.currency || DEFAULT_CURRENCY;
+        await client.query(
+          `INSERT INTO payroll.payroll_items (
+            tenant_id, payroll_cycle_id, employee_id,
+            gross_salary, deductions, net_salary,
+            basic_salary, hra, special_allowance,
+            pf_deduction, esi_deduction, tds_deduction, pt_deduction,
+            lop_days, paid_days, total_working_days, components,
+            pf_wages, eps_wages, edli_wages, employer_epf, employer_eps,
+            esi_wages, employer_esi, pt_state, arrears_amount, arrears,
+            loan_recovery, loan_recoveries, perquisite_value, reimbursement_amount, reimbursements,
+            currency, gross_salary_minor, deductions_minor, net_salary_minor, hra_exemption,
+            leave_encashment_amount, leave_encashments, leave_adjustment_amount, leave_adjustments
+          ) VALUES (
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17::jsonb,
+            $18, $19, $20, $21, $22, $23, $24, $25, $26, $27::jsonb,
+            $28, $29::jsonb, $30, $31, $32::jsonb,
+            $33, $34, $35, $36, $37::jsonb,
+            $38, $39::jsonb, $40, $41::jsonb
+          )`,
+          [
+            tenantId, cycleId, item.employee_id,
+            item.gross_salary, item.deductions, item.net_salary,
+            item.basic_salary, item.hra, item.special_allowance,
+            item.pf_deduction, item.esi_deduction, item.tds_deduction, item.pt_deduction,
+            item.lop_days, item.paid_days, item.total_working_days, JSON.stringify(item.components),
+            item.pf_wages, item.eps_wages, item.edli_wages, item.employer_epf, item.employer_eps,
+            item.esi_wages, item.employer_esi, item.pt_state,
+            item.arrears_amount || 0, JSON.stringify(item.arrears || []),
+            item.loan_recovery || 0, JSON.stringify(item.loan_recoveries || []), item.perquisite_value || 0,
+            item.reimbursement_amount || 0, JSON.stringify(item.reimbursements || []),
+            currency, toMinorUnits(item.gross_salary, currency), toMinorUnits(item.deductions, currency),
+            toMinorUnits(item.net_salary, currency), item.hra_exemption ? JSON.stringify(item.hra_exemption) : null,
+            item.leave_encashment_amount || 0, JSON.stringify(item.leave_encashments || []),
+            item.leave_adjustment_amount || 0, JSON.stringify(item.leave_adjustments || []),
+          ]
+        );
+      }
+
+      const cycleItems = employeeIds
+        ? (await client.query(
+          `SELECT employee_id, gross_salary, currency, reimbursements, leave_encashments, leave_adjustments
+           FROM payroll.payroll_items
+           WHERE payroll_cycle_id = $1 AND tenant_id = $2`,
+          [cycleId, tenantId]
+        )).rows
+        : payrollItems;
+
+      await recordCycleReimbursements(client, { tenantId, cycleId, payrollItems: cycleItems });
+      await recordCycleLeaveEncashments(client, { tenantId, cycleId, payrollItems: cycleItems });
+      await recordCycleLeaveAdjustments(client, { tenantId, cycleId, payrollItems: cycleItems });
+
+      // total_amount stays in the tenant's payroll currency; pay in other
+      // currencies is only counted in totals_by_currency
+      const baseCurrency = (await loadPayrollSettings(tenantId)).currency || DEFAULT_CURRENCY;
+      const totalAmount = cycleItems
+        .filter(item => (item.currency || DEFAULT_CURRENCY) === baseCurrency)
+        .reduce((sum, item) => sum + Number(item.gross_salary), 0);
+      const totalsByCurrency = summarizeGrossByCurrency(cycleItems);
+      await client.query(
+        `UPDATE payroll.payroll_cycles
+         SET total_employees = $1, total_amount = $2, totals_by_currency = $5::jsonb, updated_at = NOW()
+         WHERE id = $3 AND tenant_id = $4`,
+        [cycleItems.length, totalAmount, cycleId, tenantId, JSON.stringify(totalsByCurrency)]
+      );
+
+      await client.query('COMMIT');
+      return { totalEmployees: cycleItems.length, totalAmount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  });
+}
+
+export default {
+  loadPayrollSettings,
+  calculateLopAndPaidDays,
+  resolveSalaryComponents,
+  computeEmployeePayroll,
+  computeOffCycleEmployeePayroll,
+  computeSettlementEmployeePayroll,
+  computeCyclePayroll,
+  summarizeGrossByCurrency,
+  persistPayrollItems,
+};
@@ -0,0 +1,351 @@
+/**
+ * Payroll Exceptions
+ *
+ * Problems found in a cycle's payroll before it is approved: employees with
+ * no compensation structure or unusable bank details, negative net pay,
+ * timesheets still awaiting approval and working days with no attendance.
+ * Exceptions are re-detected every time the cycle is previewed or computed;
+ * fixed problems close themselves, while anything still open is owned,
+ * discussed and then resolved or waived by payroll. Blocking exceptions that
+ * are still open stop the cycle from being approved.
+ */
+
+import { query, withClient } from '../../db/pool.js';
+import { validateBankDetails } from './bank-disbursement.js';
+import { getEmployeeWorkingCalendar, toDateKey } from './working-calendar.js';
+
+export const EXCEPTION_TYPES = {
+  missing_compensation: { label: 'Missing compensation', severity: 'blocking' },
+  missing_bank_details: { label: 'Missing bank details', severity: 'blocking' },
+  negative_net_pay: { label: 'Negative net pay', severity: 'blocking' },
+  unapproved_timesheet: { label: 'Unapproved timesheet', severity: 'warning' },
+  attendance_gap: { label: 'Attendance gap', severity: 'warning' },
+};
+
+export const EXCEPTION_STATUSES = ['open', 'resolved', 'waived'];
+
+const AUTO_RESOLVED_NOTE = 'No longer detected';
+
+function exception(employee, type, message, details = {}) {
+  return {
+    employee_id: employee.id,
+    exception_type: type,
+    severity: EXCEPTION_TYPES[type].severity,
+    message,
+    details,
+  };
+}
+
+/**
+ * Exceptions for a cycle's employees from their computed items and inputs
+ * @param {Array} params.employees - Payroll employees in scope with bank details
+ * @param {Array} params.items - Computed payroll items
+ * @param {Map} params.unapprovedTimesheets - employee id → [{ week_start_date, week_end_date, status }]
+ * @param {Map} params.attendanceGaps - employee id → ['YYYY-MM-DD', ...]
+ * @param {boolean} params.requireCompensation - Regular cycles pay everyone in scope
+ */
+export function detectExceptions({
+  employees,
+  items,
+  unapprovedTimesheets = new Map(),
+  attendanceGaps = new Map(),
+  requireCompensation = true,
+}) {
+  const itemsByEmployee = new Map(items.map(item => [item.employee_id, item]));
+  const detected = [];
+
+  for (const employee of employees) {
+    const item = itemsByEmployee.get(employee.id);
+
+    if (!item) {
+      if (requireCompensation) {
+        detected.push(exception(employee, 'missing_compensation', 'No compensation structure is effective for the month'));
+      }
+    } else {
+      const netSalary = Number(item.net_salary) || 0;
+      if (netSalary < 0) {
+        detected.push(exception(employee, 'negative_net_pay', `Deductions exceed earnings by ${Math.abs(netSalary).toFixed(2)}`, {
+          net_salary: netSalary,
+        }));
+      }
+      if (netSalary > 0) {
+        // Only domestic INR transfers need an IFSC
+        const bankError = (item.currency || 'INR') === 'INR'
+          ? validateBankDetails(employee)
+          : (employee.bank_account_number ? null : 'Bank account number is missing');
+        if (bankError) {
+          detected.push(exception(employee, 'missing_bank_details', bankError));
+        }
+      }
+    }
+
+    const timesheets = unapprovedTimesheets.get(employee.id) || [];
+    if (timesheets.length > 0) {
+      detected.push(exception(
+        employee,
+        'unapproved_timesheet',
+        `${timesheets.length} timesheet(s) in the month are not approved`,
+        {
+          timesheets: timesheets.map(t => ({
+            week_start_date: toDateKey(t.week_start_date),
+            week_end_date: toDateKey(t.week_end_date),
+            status: t.status,
+          })),
+        }
+      ));
+    }
+
+    const gaps = attendanceGaps.get(employee.id) || [];
+    if (gaps.length > 0) {
+      detected.push(exception(employee, 'attendance_gap', `No attendance or leave on ${gaps.length} working day(s)`, {
+        dates: gaps,
+      }));
+    }
+  }
+
+  return detected;
+}
+
+/**
+ * Employed working days up to the as-of date with no attendance record and
+ * no approved leave
+ * @param {Object} calendar - From buildMonthCalendar
+ * @param {Set} recordedDates - Dates with an attendance record
+ * @param {Array} leaves - Approved leave [{ start_date, end_date }]
+ */
+export function findAttendanceGaps(calendar, recordedDates, leaves = [], asOf = null) {
+  const asOfKey = asOf ? toDateKey(asOf) : null;
+  const onLeave = (date) => leaves.some(leave => toDateKey(leave.start_date) <= date && toDateKey(leave.end_date) >= date);
+  return calendar.days
+    .filter(day => day.type === 'working' && day.employed)
+    .map(day => day.date)
+    .filter(date => (!asOfKey || date <= asOfKey) && !recordedDates.has(date) && !onLeave(date));
+}
+
+/**
+ * Check that an exception can be resolved or waived
+ * @returns {string|null} Error message, or null when allowed
+ */
+export function checkExceptionAction(record, action, note) {
+  if (record.status !== 'open') {
+    return `Only open exceptions can be ${action === 'waive' ? 'waived' : 'resolved'}; this one is '${record.status}'`;
+  }
+  if (action === 'waive' && (!note || !String(note).trim())) {
+    return 'A reason is required to waive an exception';
+  }
+  return null;
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+async function getCycleEmployees(tenantId, cycle, items, employeeIds) {
+  const monthStart = `${cycle.year}-${String(cycle.month).padStart(2, '0')}-01`;
+  const monthEnd = toDateKey(new Date(cycle.year, cycle.month, 0));
+
+  // Off-cycle runs only pay the employees they have lines for
+  if (cycle.run_type === 'off_cycle') {
+    const result = await query(
+      `SELECT id, email, bank_account_number, bank_ifsc
+       FROM payroll.employees
+       WHERE tenant_id = $1 AND id = ANY($2::uuid[])`,
+      [tenantId, items.map(item => item.employee_id)]
+    );
+    return result.rows;
+  }
+
+  const result = await query(
+    `SELECT e.id, e.email, e.bank_account_number, e.bank_ifsc
+     FROM payroll.employees e
+     WHERE e.tenant_id = $1
+       AND (e.status = 'active' OR (e.date_of_exit IS NOT NULL AND e.date_of_exit >= $3))
+       AND (e.date_of_joining IS NULL OR e.date_of_joining <= $2)
+       AND NOT EXISTS (
+         SELECT 1 FROM payroll.fnf_settlements s
+         WHERE s.employee_id = e.id AND s.status <> 'rejected'
+           AND s.salary_month = $4 AND s.salary_year = $5
+       )
+       AND ($6::uuid[] IS NULL OR e.id = ANY($6::uuid[]))`,
+    [tenantId, monthEnd, monthStart, cycle.month, cycle.year, employeeIds]
+  );
+  return result.rows;
+}
+
+// Pending or rejected HR timesheets in the month, keyed by payroll employee
+async function getUnapprovedTimesheets(tenantId, employees, monthStart, monthEnd) {
+  const idByEmail = new Map(employees.filter(e => e.email).map(e => [String(e.email).toLowerCase(), e.id]));
+  const result = await query(
+    `SELECT LOWER(p.email) AS email, t.week_start_date, t.week_end_date, t.status
+     FROM timesheets t
+     JOIN employees he ON he.id = t.employee_id
+     JOIN profiles p ON p.id = he.user_id
+     WHERE t.tenant_id = $1
+       AND t.status IN ('pending', 'rejected')
+       AND t.week_start_date <= $3
+       AND t.week_end_date >= $2
+       AND LOWER(p.email) = ANY($4::text[])
+     ORDER BY t.week_start_date`,
+    [tenantId, monthStart, monthEnd, [...idByEmail.keys()]]
+  );
+  const byEmployee = new Map();
+  for (const row of result.rows) {
+    const employeeId = idByEmail.get(row.email);
+    if (!byEmployee.has(employeeId)) byEmployee.set(employeeId, []);
+    byEmployee.get(employeeId).push(row);
+  }
+  return byEmployee;
+}
+
+// Only employees whose attendance is recorded in payroll are checked for gaps
+async function getAttendanceGaps(tenantId, cycle, employees, monthStart, monthEnd) {
+  const attendance = await query(
+    `SELECT employee_id, date FROM payroll.attendance_records
+     WHERE tenant_id = $1 AND employee_id = ANY($2::uuid[]) AND date BETWEEN $3 AND $4`,
+    [tenantId, employees.map(e => e.id), monthStart, monthEnd]
+  );
+  const recordedByEmployee = new Map();
+  for (const row of attendance.rows) {
+    if (!recordedByEmployee.has(row.employee_id)) recordedByEmployee.set(row.employee_id, new Set());
+    recordedByEmployee.get(row.employee_id).add(toDateKey(row.date));
+  }
+  if (recordedByEmployee.size === 0) return new Map();
+
+  const leaveResult = await query(
+    `SELECT employee_id, start_date, end_date FROM payroll.leave_requests
+     WHERE tenant_id = $1 AND employee_id = ANY($2::uuid[]) AND status = 'approved'
+       AND start_date <= $4 AND end_date >= $3`,
+    [tenantId, [...recordedByEmployee.keys()], monthStart, monthEnd]
+  );
+
+  const today = toDateKey(new Date());
+  const gaps = new Map();
+  for (const [employeeId, recordedDates] of recordedByEmployee) {
+    const calendar = await getEmployeeWorkingCalendar({ tenantId, employeeId, month: cycle.month, year: cycle.year });
+    const leaves = leaveResult.rows.filter(leave => leave.employee_id === employeeId);
+    const dates = findAttendanceGaps(calendar, recordedDates, leaves, today < monthEnd ? today : monthEnd);
+    if (dates.length > 0) gaps.set(employeeId, dates);
+  }
+  return gaps;
+}
+
+/**
+ * Detect a cycle's exceptions from its freshly computed items
+ */
+export async function detectCycleExceptions(tenantId, cycle, items, { employeeIds = null } = {}) {
+  const monthStart = `${cycle.year}-${String(cycle.month).padStart(2, '0')}-01`;
+  const monthEnd = toDateKey(new Date(cycle.year, cycle.month, 0));
+  const employees = await getCycleEmployees(tenantId, cycle, items, employeeIds);
+  if (employees.length === 0) return [];
+
+  const isRegular = cycle.run_type !== 'off_cycle';
+  return detectExceptions({
+    employees,
+    items,
+    unapprovedTimesheets: isRegular ? await getUnapprovedTimesheets(tenantId, employees, monthStart, monthEnd) : new Map(),
+    attendanceGaps: isRegular ? await getAttendanceGaps(tenantId, cycle, employees, monthStart, monthEnd) : new Map(),
+    requireCompensation: isRegular,
+  });
+}
+
+/**
+ * Record detected exceptions on the cycle. Resolved exceptions that are
+ * detected again reopen; waived ones stay waived. Open exceptions that are no
+ * longer detected close themselves. A reopened cycle only touches the
+ * employees being corrected.
+ */
+export async function syncCycleExceptions(tenantId, cycleId, detected, { employeeIds = null } = {}) {
+  return withClient(async (client) => {
+    await client.query('BEGIN');
+    try {
+      for (const item of detected) {
+        await client.query(
+          `INSERT INTO payroll.payroll_exceptions (
+             tenant_id, payroll_cycle_id, employee_id, exception_type, severity, message, details
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+           ON CONFLICT (payroll_cycle_id, employee_id, exception_type) DO UPDATE SET
+             severity = EXCLUDED.severity,
+             message = EXCLUDED.message,
+             details = EXCLUDED.details,
+             detected_at = NOW(),
+             status = CASE WHEN payroll_exceptions.status = 'resolved' THEN 'open' ELSE payroll_exceptions.status END,
+             resolution_note = CASE WHEN payroll_exceptions.status = 'resolved' THEN NULL ELSE payroll_exceptions.resolution_note END,
+             resolved_by = CASE WHEN payroll_exceptions.status = 'resolved' THEN NULL ELSE payroll_exceptions.resolved_by END,
+             resolved_at = CASE WHEN payroll_exceptions.status = 'resolved' THEN NULL ELSE payroll_exceptions.resolved_at END`,
+          [tenantId, cycleId, item.employee_id, item.exception_type, item.severity, item.message, JSON.stringify(item.details)]
+        );
+      }
+
+      await client.query(
+        `UPDATE payroll.payroll_exceptions
+         SET status = 'resolved', resolution_note = $4, resolved_by = NULL, resolved_at = NOW()
+         WHERE tenant_id = $1 AND payroll_cycle_id = $2 AND status = 'open'
+           AND ($5::uuid[] IS NULL OR employee_id = ANY($5::uuid[]))
+           AND NOT ((employee_id::text || ':' || exception_type) = ANY($3::text[]))`,
+        [
+          tenantId,
+          cycleId,
+          detected.map(item => `${item.employee_id}:${item.exception_type}`),
+          AUTO_RESOLVED_NOTE,
+          employeeIds,
+        ]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+    return getCycleExceptions(tenantId, cycleId);
+  });
+}
+
+/**
+ * A cycle's exceptions, open blocking ones first
+ */
+export async function getCycleExceptions(tenantId, cycleId, { status = null } = {}) {
+  const result = await query(
+    `SELECT x.*, e.employee_code, e.full_name,
+            TRIM(CONCAT(o.first_name, ' ', o.last_name)) AS owner_name,
+            (SELECT COUNT(*) FROM payroll.payroll_exception_comments c WHERE c.exception_id = x.id)::int AS comment_count
+     FROM payroll.payroll_exceptions x
+     JOIN payroll.employees e ON e.id = x.employee_id
+     LEFT JOIN profiles o ON o.id = x.owner_id
+     WHERE x.tenant_id = $1 AND x.payroll_cycle_id = $2
+       AND ($3::text IS NULL OR x.status = $3)
+     ORDER BY (x.status = 'open') DESC, (x.severity = 'blocking') DESC, e.employee_code, x.exception_type`,
+    [tenantId, cycleId, status]
+  );
+  return result.rows;
+}
+
+export function summarizeExceptions(exceptions) {
+  const summary = { open: 0, blocking_open: 0, resolved: 0, waived: 0 };
+  for (const record of exceptions) {
+    summary[record.status]++;
+    if (record.status === 'open' && record.severity === 'blocking') summary.blocking_open++;
+  }
+  return summary;
+}
+
+export async function countOpenBlockingExceptions(tenantId, cycleId) {
+  const result = await query(
+    `SELECT COUNT(*)::int AS count FROM payroll.payroll_exceptions
+     WHERE tenant_id = $1 AND payroll_cycle_id = $2 AND status = 'open' AND severity = 'blocking'`,
+    [tenantId, cycleId]
+  );
+  return result.rows[0].count;
+}
+
+export default {
+  EXCEPTION_TYPES,
+  EXCEPTION_STATUSES,
+  detectExceptions,
+  findAttendanceGaps,
+  checkExceptionAction,
+  detectCycleExceptions,
+  syncCycleExceptions,
+  getCycleExceptions,
+  summarizeExceptions,
+  countOpenBlockingExceptions,
+};
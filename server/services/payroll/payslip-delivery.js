@@ -0,0 +1,157 @@
+/**
+ * Payslip Delivery
+ *
+ * Bookkeeping for emailed payslips: one delivery row per payslip, the PDF
+ * password rule, and the retry schedule for failed sends. The sending itself
+ * lives in payslip-distribution.js.
+ */
+
+import { query } from '../../db/pool.js';
+import { toDateKey } from './working-calendar.js';
+
+export const PAYSLIP_DELIVERY_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Minutes to wait before each retry; a send is given up after the last one
+export const RETRY_DELAYS_MINUTES = [5, 30, 120];
+export const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// A delivery stuck in 'sending' this long (e.g. the server restarted) is picked up again
+const STALE_SENDING_MINUTES = 15;
+
+export const PAYSLIP_PASSWORD_HINT =
+  'Open it with the first four letters of your PAN in capitals followed by your date of birth as DDMMYYYY (for example ABCD01011990).';
+
+/**
+ * The PDF password: first four characters of the PAN in upper case followed
+ * by the date of birth as DDMMYYYY
+ * @returns {string|null} null when the PAN or date of birth is missing
+ */
+export function derivePayslipPassword({ pan_number, date_of_birth }) {
+  const pan = String(pan_number || '').replace(/\s/g, '').toUpperCase();
+  const dob = toDateKey(date_of_birth);
+  if (pan.length < 4 || !dob) return null;
+  const [year, month, day] = dob.split('-');
+  return `${pan.slice(0, 4)}${day}${month}${year}`;
+}
+
+/**
+ * When to try again after a failed send
+ * @param {number} attempts - Attempts made so far, including the failed one
+ * @returns {Date|null} null when no attempts are left
+ */
+export function getNextAttemptAt(attempts, now = new Date()) {
+  if (attempts >= MAX_DELIVERY_ATTEMPTS) return null;
+  const delay = RETRY_DELAYS_MINUTES[Math.max(0, attempts - 1)];
+  return new Date(now.getTime() + delay * 60 * 1000);
+}
+
+/**
+ * Create a pending delivery for every payslip on the cycle that has not been
+ * queued before. Employees without an email address are skipped.
+ */
+export async function queueCyclePayslipEmails({ tenantId, cycleId, actorId = null }) {
+  const inserted = await query(
+    `INSERT INTO payroll.payslip_deliveries (
+       tenant_id, payroll_cycle_id, payroll_item_id, employee_id, email, requested_by
+     )
+     SELECT pi.tenant_id, pi.payroll_cycle_id, pi.id, pi.employee_id, e.email, $3
+     FROM payroll.payroll_items pi
+     JOIN payroll.employees e ON e.id = pi.employee_id
+     WHERE pi.tenant_id = $1 AND pi.payroll_cycle_id = $2
+       AND NULLIF(TRIM(e.email), '') IS NOT NULL
+     ON CONFLICT (payroll_item_id) DO NOTHING
+     RETURNING id`,
+    [tenantId, cycleId, actorId]
+  );
+  const missingEmail = await query(
+    `SELECT COUNT(*)::int AS count
+     FROM payroll.payroll_items pi
+     JOIN payroll.employees e ON e.id = pi.employee_id
+     WHERE pi.tenant_id = $1 AND pi.payroll_cycle_id = $2
+       AND NULLIF(TRIM(e.email), '') IS NULL`,
+    [tenantId, cycleId]
+  );
+  return { queued: inserted.rows.length, skipped: missingEmail.rows[0].count };
+}
+
+/**
+ * Mark due deliveries as sending and return them. Optional tenant and cycle
+ * filters scope the batch to one distribution.
+ */
+export async function claimDueDeliveries({ tenantId = null, cycleId = null, limit = 25 } = {}) {
+  const result = await query(
+    `UPDATE payroll.payslip_deliveries
+     SET status = 'sending', updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM payroll.payslip_deliveries
+       WHERE (
+           (status = 'pending' AND next_attempt_at <= NOW())
+           OR (status = 'sending' AND updated_at < NOW() - make_interval(mins => $4))
+         )
+         AND ($1::uuid IS NULL OR tenant_id = $1)
+         AND ($2::uuid IS NULL OR payroll_cycle_id = $2)
+       ORDER BY next_attempt_at
+       LIMIT $3
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [tenantId, cycleId, limit, STALE_SENDING_MINUTES]
+  );
+  return result.rows;
+}
+
+export async function markDeliverySent(deliveryId, messageId) {
+  await query(
+    `UPDATE payroll.payslip_deliveries
+     SET status = 'sent', attempts = attempts + 1, message_id = $2, sent_at = NOW(),
+         last_error = NULL, next_attempt_at = NULL
+     WHERE id = $1`,
+    [deliveryId, messageId || null]
+  );
+}
+
+/**
+ * Record a failed send: back to pending with a later attempt time, or failed
+ * for good once attempts run out or the failure cannot be retried
+ */
+export async function markDeliveryFailed(delivery, errorMessage, { retryable = true } = {}) {
+  const attempts = Number(delivery.attempts || 0) + 1;
+  const nextAttemptAt = retryable ? getNextAttemptAt(attempts) : null;
+  await query(
+    `UPDATE payroll.payslip_deliveries
+     SET status = $2, attempts = $3, next_attempt_at = $4, last_error = $5
+     WHERE id = $1`,
+    [delivery.id, nextAttemptAt ? 'pending' : 'failed', attempts, nextAttemptAt, String(errorMessage).slice(0, 500)]
+  );
+}
+
+/**
+ * Queue a payslip to be sent again from scratch, e.g. after HR corrects the
+ * employee's email address
+ */
+export async function resetDelivery({ tenantId, deliveryId, actorId = null }) {
+  const result = await query(
+    `UPDATE payroll.payslip_deliveries d
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL,
+         email = COALESCE(NULLIF(TRIM(e.email), ''), d.email), requested_by = $3
+     FROM payroll.employees e
+     WHERE d.id = $1 AND d.tenant_id = $2 AND e.id = d.employee_id AND d.status <> 'sending'
+     RETURNING d.*`,
+    [deliveryId, tenantId, actorId]
+  );
+  return result.rows[0] || null;
+}
+
+export default {
+  PAYSLIP_DELIVERY_STATUSES,
+  RETRY_DELAYS_MINUTES,
+  MAX_DELIVERY_ATTEMPTS,
+  PAYSLIP_PASSWORD_HINT,
+  derivePayslipPassword,
+  getNextAttemptAt,
+  queueCyclePayslipEmails,
+  claimDueDeliveries,
+  markDeliverySent,
+  markDeliveryFailed,
+  resetDelivery,
+};
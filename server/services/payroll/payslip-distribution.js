@@ -0,0 +1,102 @@
+/**
+ * Payslip Distribution
+ *
+ * Sends queued payslip deliveries: renders each payslip as a PDF encrypted
+ * with the employee's password and emails it. Failed sends are retried by a
+ * scheduled sweep until the attempts run out.
+ */
+
+import { sendPayslipEmail } from '../email.js';
+import { formatPayslipPeriod, loadPayslip, payslipFileName, renderPayslipPdf } from './payslip-pdf.js';
+import {
+  PAYSLIP_PASSWORD_HINT,
+  claimDueDeliveries,
+  derivePayslipPassword,
+  markDeliveryFailed,
+  markDeliverySent,
+} from './payslip-delivery.js';
+
+/**
+ * Send one claimed delivery and record the outcome
+ * @returns {Promise<boolean>} Whether the payslip was sent
+ */
+export async function deliverPayslip(delivery) {
+  try {
+    const payslip = await loadPayslip(delivery.tenant_id, delivery.payroll_item_id);
+    if (!payslip) {
+      await markDeliveryFailed(delivery, 'Payslip no longer exists', { retryable: false });
+      return false;
+    }
+
+    const password = derivePayslipPassword(payslip);
+    if (!password) {
+      await markDeliveryFailed(delivery, 'PAN or date of birth is missing, so the payslip cannot be password protected', {
+        retryable: false,
+      });
+      return false;
+    }
+
+    const pdf = await renderPayslipPdf(payslip, { userPassword: password });
+    const result = await sendPayslipEmail({
+      to: delivery.email,
+      employeeName: payslip.full_name,
+      orgName: payslip.tenant_name,
+      period: formatPayslipPeriod(payslip),
+      passwordHint: PAYSLIP_PASSWORD_HINT,
+      pdf,
+      filename: payslipFileName(payslip),
+    });
+    await markDeliverySent(delivery.id, result.messageId);
+    return true;
+  } catch (error) {
+    console.error(`Error sending payslip delivery ${delivery.id}:`, error);
+    await markDeliveryFailed(delivery, error.message || 'Send failed');
+    return false;
+  }
+}
+
+/**
+ * Send every due delivery, optionally limited to one tenant's cycle
+ */
+export async function runPayslipDeliveries({ tenantId = null, cycleId = null } = {}) {
+  let sent = 0;
+  let failed = 0;
+  for (;;) {
+    const batch = await claimDueDeliveries({ tenantId, cycleId });
+    if (batch.length === 0) break;
+    for (const delivery of batch) {
+      if (await deliverPayslip(delivery)) sent++;
+      else failed++;
+    }
+  }
+  return { sent, failed };
+}
+
+/**
+ * Retry failed sends every five minutes
+ */
+export async function schedulePayslipDeliveries() {
+  if (String(process.env.CRON_ENABLED || 'true') !== 'true') return;
+
+  let cron;
+  try {
+    ({ default: cron } = await import('node-cron'));
+  } catch (e) {
+    console.error('node-cron not installed, skipping payslip delivery scheduler');
+    return;
+  }
+
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await runPayslipDeliveries();
+    } catch (error) {
+      console.error('Payslip delivery cron error', error);
+    }
+  });
+}
+
+export default {
+  deliverPayslip,
+  runPayslipDeliveries,
+  schedulePayslipDeliveries,
+};
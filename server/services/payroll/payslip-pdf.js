@@ -0,0 +1,164 @@
+/**
+ * Payslip PDF
+ *
+ * Renders a payroll item as a payslip PDF. Shared by the download route and
+ * by emailed payslips, which are encrypted with the employee's password.
+ */
+
+import PDFDocument from 'pdfkit';
+import { query } from '../../db/pool.js';
+import { OFF_CYCLE_REASONS } from './off-cycle.js';
+import { formatMoney, resolvePayrollCurrency } from './currency.js';
+
+export function formatRunLabel(cycle) {
+  if (cycle.run_type !== 'off_cycle') return 'Regular';
+  const reason = OFF_CYCLE_REASONS[cycle.run_reason]?.name || 'Off-cycle';
+  return cycle.title ? `Off-cycle ${reason}: ${cycle.title}` : `Off-cycle ${reason}`;
+}
+
+export function runFileSuffix(cycle) {
+  if (cycle.run_type !== 'off_cycle') return '';
+  return `-${cycle.run_reason}-${String(cycle.id).slice(0, 8)}`;
+}
+
+export function formatPayslipPeriod(payslip) {
+  const monthName = new Date(2000, payslip.month - 1).toLocaleString('en-IN', { month: 'long' });
+  return `${monthName} ${payslip.year}`;
+}
+
+export function payslipFileName(payslip) {
+  const monthName = new Date(2000, payslip.month - 1).toLocaleString('en-IN', { month: 'long' });
+  return `payslip-${payslip.employee_code}-${monthName}-${payslip.year}${runFileSuffix({ ...payslip, id: payslip.cycle_id })}.pdf`;
+}
+
+/**
+ * A payroll item with the employee, cycle and organization details printed
+ * on the payslip
+ */
+export async function loadPayslip(tenantId, payslipId) {
+  const result = await query(
+    `SELECT
+      pi.*,
+      e.full_name,
+      e.employee_code,
+      e.email,
+      e.designation,
+      e.department,
+      e.date_of_joining,
+      e.date_of_birth,
+      e.pan_number,
+      e.country,
+      e.bank_account_number,
+      e.bank_ifsc,
+      e.bank_name,
+      pc.month,
+      pc.year,
+      pc.payday,
+      pc.id as cycle_id,
+      pc.run_type,
+      pc.run_reason,
+      pc.title,
+      o.name as tenant_name,
+      ps.country as tenant_country
+    FROM payroll.payroll_items pi
+    JOIN payroll.employees e ON pi.employee_id = e.id
+    JOIN payroll.payroll_cycles pc ON pi.payroll_cycle_id = pc.id
+    LEFT JOIN organizations o ON e.tenant_id = o.id
+    LEFT JOIN payroll.payroll_settings ps ON ps.tenant_id = pi.tenant_id
+    WHERE pi.id = $1
+      AND pi.tenant_id = $2`,
+    [payslipId, tenantId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Format a payslip amount in the item's currency and the employee's locale
+ */
+export function formatPayslipAmount(payslip, amount) {
+  const { locale } = resolvePayrollCurrency({ country: payslip.country }, { country: payslip.tenant_country });
+  return formatMoney(amount, payslip.currency || undefined, locale);
+}
+
+/**
+ * Render the payslip and resolve with its bytes. With userPassword the PDF
+ * is encrypted and can only be opened with that password.
+ */
+export function renderPayslipPdf(payslip, { userPassword = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const options = { margin: 40, size: 'A4' };
+    if (userPassword) {
+      Object.assign(options, {
+        userPassword,
+        ownerPassword: process.env.PAYSLIP_PDF_OWNER_PASSWORD || `${userPassword}-owner`,
+        pdfVersion: '1.7',
+        permissions: { printing: 'highResolution', copying: false, modifying: false },
+      });
+    }
+    const money = (amount) => formatPayslipAmount(payslip, amount);
+    const doc = new PDFDocument(options);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // PDF content (simplified - full implementation would have proper formatting)
+    doc.fontSize(20).text('PAYSLIP', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(12).text(`Employee: ${payslip.full_name}`, { align: 'left' });
+    doc.text(`Code: ${payslip.employee_code}`);
+    doc.text(`Period: ${formatPayslipPeriod(payslip)}`);
+    if (payslip.run_type === 'off_cycle') {
+      doc.text(`Run: ${formatRunLabel(payslip)}`);
+    }
+    doc.moveDown();
+    if (payslip.run_type === 'off_cycle') {
+      for (const component of payslip.components || []) {
+        const taxNote = component.is_taxable === false && component.component_type !== 'deduction' ? ' (non-taxable)' : '';
+        const sign = component.component_type === 'deduction' ? '-' : '';
+        doc.text(`${component.name}${taxNote}: ${sign}${money(component.amount)}`);
+      }
+      doc.text(`TDS: ${money(payslip.tds_deduction)}`);
+    }
+    if (Number(payslip.arrears_amount)) {
+      doc.text(`Regular Earnings: ${money(Number(payslip.gross_salary) - Number(payslip.arrears_amount))}`);
+      for (const entry of payslip.arrears || []) {
+        const arrearsMonth = new Date(2000, entry.month - 1).toLocaleString('en-IN', { month: 'long' });
+        doc.text(`Arrears for ${arrearsMonth} ${entry.year}: ${money(entry.amount)}`);
+      }
+    }
+    doc.text(`Gross Salary: ${money(payslip.gross_salary)}`);
+    if (Number(payslip.loan_recovery)) {
+      doc.text(`Loan Recovery: ${money(payslip.loan_recovery)}`);
+    }
+    doc.text(`Deductions: ${money(payslip.deductions)}`);
+    if (Number(payslip.reimbursement_amount)) {
+      doc.text(`Reimbursements (non-taxable): ${money(payslip.reimbursement_amount)}`);
+    }
+    doc.text(`Net Salary: ${money(payslip.net_salary)}`);
+
+    const hra = payslip.hra_exemption;
+    if (hra && (Number(hra.rent_paid) || Number(hra.hra_received))) {
+      doc.moveDown();
+      doc.text('HRA Exemption (Section 10(13A))');
+      doc.text(`HRA Received: ${money(hra.hra_received)}`);
+      doc.text(`Rent Paid: ${money(hra.rent_paid)}`);
+      doc.text(`Rent less 10% of Basic: ${money(hra.rent_over_basic)}`);
+      doc.text(`${hra.is_metro ? '50% of Basic (metro)' : '40% of Basic (non-metro)'}: ${money(hra.basic_limit)}`);
+      doc.text(`Exempt this month: ${money(hra.exemption)}`);
+      doc.text(`Exempt for the year (projected): ${money(hra.annual)}`);
+    }
+
+    doc.end();
+  });
+}
+
+export default {
+  formatRunLabel,
+  runFileSuffix,
+  formatPayslipPeriod,
+  payslipFileName,
+  loadPayslip,
+  formatPayslipAmount,
+  renderPayslipPdf,
+};
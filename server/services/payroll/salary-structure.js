@@ -0,0 +1,450 @@
+/**
+ * Salary Structure Templates
+ *
+ * A template is a list of earning and deduction components. Each component
+ * is a fixed monthly amount, a percentage of another component (or of CTC),
+ * or a small formula such as `max(BASIC * 0.4, 10000)`. Components are
+ * evaluated in dependency order; templates with circular references are
+ * rejected when saved and again when evaluated.
+ *
+ * All amounts are monthly. `CTC` refers to the monthly CTC and `ANNUAL_CTC`
+ * to the annual figure stored on the compensation structure.
+ */
+
+import { query } from '../../db/pool.js';
+
+export const COMPONENT_TYPES = ['earning', 'deduction'];
+export const CALCULATION_TYPES = ['fixed', 'percentage', 'formula'];
+
+const CODE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const BUILTIN_VARIABLES = ['CTC', 'ANNUAL_CTC'];
+
+const FUNCTIONS = {
+  min: { arity: [1, Infinity], fn: (...args) => Math.min(...args) },
+  max: { arity: [1, Infinity], fn: (...args) => Math.max(...args) },
+  round: { arity: [1, 1], fn: (x) => Math.round(x) },
+  floor: { arity: [1, 1], fn: (x) => Math.floor(x) },
+  ceil: { arity: [1, 1], fn: (x) => Math.ceil(x) },
+  if: { arity: [3, 3], fn: (cond, a, b) => (cond ? a : b) },
+};
+
+// Component codes the payroll engine adds to payslips itself
+const SYSTEM_COMPONENT_CODES = ['ARREARS'];
+
+const RESERVED_CODES = [
+  ...BUILTIN_VARIABLES,
+  ...SYSTEM_COMPONENT_CODES,
+  ...Object.keys(FUNCTIONS).map(name => name.toUpperCase()),
+];
+
+// ============================================================================
+// FORMULA PARSER
+// ============================================================================
+
+function tokenize(formula) {
+  const tokens = [];
+  const source = String(formula);
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const numberMatch = /^\d+(\.\d+)?/.exec(source.slice(i));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]) });
+      i += numberMatch[0].length;
+      continue;
+    }
+    const identMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (identMatch) {
+      tokens.push({ type: 'ident', value: identMatch[0] });
+      i += identMatch[0].length;
+      continue;
+    }
+    const opMatch = /^(<=|>=|==|!=|[-+*/(),<>])/.exec(source.slice(i));
+    if (opMatch) {
+      tokens.push({ type: 'op', value: opMatch[0] });
+      i += opMatch[0].length;
+      continue;
+    }
+    throw new Error(`Unexpected character '${ch}' in formula`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a formula into an expression tree. Supports + - * /, comparisons,
+ * parentheses, numbers, component codes and min/max/round/floor/ceil/if.
+ */
+export function parseFormula(formula) {
+  const tokens = tokenize(formula);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expectOp = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Expected '${value}' in formula`);
+    }
+    pos++;
+  };
+
+  function parseComparison() {
+    const left = parseAdditive();
+    const token = peek();
+    if (token?.type === 'op' && ['<', '>', '<=', '>=', '==', '!='].includes(token.value)) {
+      pos++;
+      return { type: 'binary', op: token.value, left, right: parseAdditive() };
+    }
+    return left;
+  }
+
+  function parseAdditive() {
+    let node = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[pos++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp('-')) {
+      pos++;
+      return { type: 'negate', arg: parseUnary() };
+    }
+    if (isOp('+')) {
+      pos++;
+      return parseUnary();
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of formula');
+    }
+    if (token.type === 'number') {
+      pos++;
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'ident') {
+      pos++;
+      if (isOp('(')) {
+        const name = token.value.toLowerCase();
+        const spec = FUNCTIONS[name];
+        if (!spec) {
+          throw new Error(`Unknown function '${token.value}'`);
+        }
+        pos++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseComparison());
+          while (isOp(',')) {
+            pos++;
+            args.push(parseComparison());
+          }
+        }
+        expectOp(')');
+        if (args.length < spec.arity[0] || args.length > spec.arity[1]) {
+          throw new Error(`Wrong number of arguments for ${name}()`);
+        }
+        return { type: 'call', name, args };
+      }
+      return { type: 'variable', name: token.value.toUpperCase() };
+    }
+    if (isOp('(')) {
+      pos++;
+      const node = parseComparison();
+      expectOp(')');
+      return node;
+    }
+    throw new Error(`Unexpected '${token.value}' in formula`);
+  }
+
+  const ast = parseComparison();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected '${tokens[pos].value}' in formula`);
+  }
+  return ast;
+}
+
+function collectVariables(node, into = new Set()) {
+  switch (node.type) {
+    case 'variable':
+      into.add(node.name);
+      break;
+    case 'binary':
+      collectVariables(node.left, into);
+      collectVariables(node.right, into);
+      break;
+    case 'negate':
+      collectVariables(node.arg, into);
+      break;
+    case 'call':
+      node.args.forEach(arg => collectVariables(arg, into));
+      break;
+    default:
+      break;
+  }
+  return into;
+}
+
+function evaluateNode(node, variables) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'variable':
+      if (!(node.name in variables)) {
+        throw new Error(`Unknown component '${node.name}' in formula`);
+      }
+      return variables[node.name];
+    case 'negate':
+      return -evaluateNode(node.arg, variables);
+    case 'call':
+      return FUNCTIONS[node.name].fn(...node.args.map(arg => evaluateNode(arg, variables)));
+    case 'binary': {
+      const left = evaluateNode(node.left, variables);
+      const right = evaluateNode(node.right, variables);
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        // Division by zero yields 0 rather than Infinity in a payslip
+        case '/': return right === 0 ? 0 : left / right;
+        case '<': return left < right ? 1 : 0;
+        case '>': return left > right ? 1 : 0;
+        case '<=': return left <= right ? 1 : 0;
+        case '>=': return left >= right ? 1 : 0;
+        case '==': return left === right ? 1 : 0;
+        case '!=': return left !== right ? 1 : 0;
+        default: throw new Error(`Unsupported operator '${node.op}'`);
+      }
+    }
+    default:
+      throw new Error('Invalid formula');
+  }
+}
+
+export function evaluateFormula(formula, variables = {}) {
+  return evaluateNode(parseFormula(formula), variables);
+}
+
+// ============================================================================
+// COMPONENT ORDERING AND EVALUATION
+// ============================================================================
+
+export function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Component codes (or CTC) that a component reads from
+ */
+export function getComponentDependencies(component) {
+  if (component.calculation_type === 'percentage') {
+    return [normalizeCode(component.percentage_of || 'CTC')];
+  }
+  if (component.calculation_type === 'formula') {
+    return [...collectVariables(parseFormula(component.formula))];
+  }
+  return [];
+}
+
+/**
+ * Topologically sort components so every component comes after the ones it
+ * references. Throws with the offending path when a cycle exists.
+ */
+export function orderComponents(components) {
+  const byCode = new Map(components.map(c => [normalizeCode(c.code), c]));
+  const state = new Map();
+  const ordered = [];
+
+  function visit(code, path) {
+    if (state.get(code) === 'done') return;
+    if (state.get(code) === 'visiting') {
+      const cycle = [...path.slice(path.indexOf(code)), code];
+      throw new Error(`Circular reference between components: ${cycle.join(' -> ')}`);
+    }
+    state.set(code, 'visiting');
+    for (const dependency of getComponentDependencies(byCode.get(code))) {
+      if (BUILTIN_VARIABLES.includes(dependency)) continue;
+      if (!byCode.has(dependency)) {
+        throw new Error(`Component ${code} references unknown component ${dependency}`);
+      }
+      visit(dependency, [...path, code]);
+    }
+    state.set(code, 'done');
+    ordered.push(byCode.get(code));
+  }
+
+  for (const code of byCode.keys()) {
+    visit(code, []);
+  }
+  return ordered;
+}
+
+/**
+ * Validate template components before saving. Returns an error message or null.
+ */
+export function validateComponents(components) {
+  if (!Array.isArray(components) || components.length === 0) {
+    return 'At least one component is required';
+  }
+
+  const seen = new Set();
+  for (const component of components) {
+    const code = normalizeCode(component.code);
+    if (!CODE_PATTERN.test(code)) {
+      return `Invalid component code '${component.code}'. Use letters, digits and underscores, starting with a letter`;
+    }
+    if (RESERVED_CODES.includes(code)) {
+      return `${code} is reserved and cannot be used as a component code`;
+    }
+    if (seen.has(code)) {
+      return `Duplicate component code ${code}`;
+    }
+    seen.add(code);
+
+    if (!component.name) {
+      return `Component ${code} needs a name`;
+    }
+    if (!COMPONENT_TYPES.includes(component.component_type)) {
+      return `Component ${code} must be an earning or a deduction`;
+    }
+    if (!CALCULATION_TYPES.includes(component.calculation_type)) {
+      return `Component ${code} must be fixed, percentage or formula`;
+    }
+    if (component.calculation_type === 'fixed' && !(Number(component.amount) >= 0)) {
+      return `Component ${code} needs a non-negative amount`;
+    }
+    if (component.calculation_type === 'percentage') {
+      const percentage = Number(component.percentage);
+      if (!(percentage >= 0 && percentage <= 100)) {
+        return `Component ${code} needs a percentage between 0 and 100`;
+      }
+    }
+    if (component.calculation_type === 'formula') {
+      if (!component.formula) {
+        return `Component ${code} needs a formula`;
+      }
+      try {
+        parseFormula(component.formula);
+      } catch (error) {
+        return `Component ${code}: ${error.message}`;
+      }
+    }
+  }
+
+  try {
+    orderComponents(components);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Evaluate a template for an annual CTC. Returns every component's monthly
+ * amount in template order plus earning and deduction totals.
+ */
+export function evaluateSalaryStructure(components, annualCtc) {
+  const variables = {
+    CTC: roundAmount((Number(annualCtc) || 0) / 12),
+    ANNUAL_CTC: Number(annualCtc) || 0,
+  };
+
+  for (const component of orderComponents(components)) {
+    const code = normalizeCode(component.code);
+    let amount = 0;
+    if (component.calculation_type === 'fixed') {
+      amount = Number(component.amount) || 0;
+    } else if (component.calculation_type === 'percentage') {
+      amount = (variables[normalizeCode(component.percentage_of || 'CTC')] * Number(component.percentage)) / 100;
+    } else {
+      amount = evaluateFormula(component.formula, variables);
+    }
+    variables[code] = roundAmount(Math.max(0, amount));
+  }
+
+  const evaluated = components.map(component => ({
+    code: normalizeCode(component.code),
+    name: component.name,
+    component_type: component.component_type,
+    is_taxable: component.is_taxable !== false,
+    prorate: component.prorate !== false,
+    amount: variables[normalizeCode(component.code)],
+  }));
+
+  const sum = (type) => roundAmount(
+    evaluated.filter(c => c.component_type === type).reduce((total, c) => total + c.amount, 0)
+  );
+
+  return {
+    components: evaluated,
+    totalEarnings: sum('earning'),
+    totalDeductions: sum('deduction'),
+  };
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+export async function getTemplateComponents(templateId) {
+  const result = await query(
+    `SELECT code, name, component_type, calculation_type, amount, percentage,
+            percentage_of, formula, is_taxable, prorate, sort_order
+     FROM payroll.salary_structure_components
+     WHERE template_id = $1
+     ORDER BY sort_order ASC, code ASC`,
+    [templateId]
+  );
+  return result.rows;
+}
+
+/**
+ * The active template assigned to the employee's grade, if any
+ */
+export async function getEmployeeSalaryTemplate(tenantId, employeeId) {
+  const result = await query(
+    `SELECT t.id, t.name, g.code AS grade_code
+     FROM payroll.employees e
+     JOIN payroll.grades g ON g.id = e.grade_id AND g.tenant_id = e.tenant_id
+     JOIN payroll.salary_structure_templates t ON t.id = g.salary_structure_template_id
+     WHERE e.id = $1 AND e.tenant_id = $2 AND t.is_active = true`,
+    [employeeId, tenantId]
+  );
+  const template = result.rows[0];
+  if (!template) return null;
+
+  return { ...template, components: await getTemplateComponents(template.id) };
+}
+
+export default {
+  parseFormula,
+  evaluateFormula,
+  orderComponents,
+  validateComponents,
+  evaluateSalaryStructure,
+  getTemplateComponents,
+  getEmployeeSalaryTemplate,
+};
@@ -0,0 +1,93 @@
+/**
+ * Statutory Rules Providers
+ *
+ * Country-specific statutory deductions behind one interface, so the payroll
+ * engine does not hard-code Indian rules. A provider computes the month's
+ * social-security contributions and the income tax to withhold:
+ *
+ *   computeContributions({ basicWages, grossWages, settings, dateOfBirth, asOf, professionalTax })
+ *     -> { pf, esi, pt }
+ *   computeTax({ tenantId, employeeId, month, year, monthlyGross, monthlyPf, monthlyPt,
+ *                monthlyBasic, monthlyHra, oneTimeIncome, excludeCycleId })
+ *     -> Promise<{ monthlyTds, oneTimeTax, annualTax, projectedAnnualIncome, regime, ytd, hraExemption }>
+ *
+ * India is the first implementation. Countries without a provider, such as
+ * those where we only pay contractors, get the "none" provider: no statutory
+ * deductions and no withholding.
+ */
+
+import { computePfContribution, computeEsiContribution } from './statutory.js';
+import { computeEmployeeTds } from './tax-engine.js';
+
+const DEFAULT_PT_RATE = 200;
+
+const NO_PF = {
+  grossWages: 0,
+  epfWages: 0,
+  epsWages: 0,
+  edliWages: 0,
+  employeePf: 0,
+  employerEps: 0,
+  employerEpf: 0,
+};
+
+const NO_ESI = { covered: false, esiWages: 0, employeeEsi: 0, employerEsi: 0 };
+
+export const indiaStatutoryProvider = {
+  code: 'india',
+  name: 'India (PF, ESI, professional tax and TDS)',
+  computeContributions({ basicWages, grossWages, settings, dateOfBirth, asOf, professionalTax = true }) {
+    return {
+      pf: computePfContribution({ basicWages, settings, dateOfBirth, asOf }),
+      esi: computeEsiContribution({ grossWages, settings }),
+      pt: professionalTax ? Number(settings?.pt_rate) || DEFAULT_PT_RATE : 0,
+    };
+  },
+  computeTax(params) {
+    return computeEmployeeTds(params);
+  },
+};
+
+export const noStatutoryProvider = {
+  code: 'none',
+  name: 'No statutory deductions',
+  computeContributions() {
+    return { pf: { ...NO_PF }, esi: { ...NO_ESI }, pt: 0 };
+  },
+  async computeTax() {
+    return {
+      financialYear: null,
+      regime: null,
+      ytd: { gross: 0, tds: 0, pf: 0, pt: 0 },
+      hraExemption: null,
+      monthlyTds: 0,
+      oneTimeTax: 0,
+      annualTax: 0,
+      projectedAnnualIncome: 0,
+    };
+  },
+};
+
+const providersByCountry = new Map([['IN', indiaStatutoryProvider]]);
+
+/**
+ * Use a provider for a country's employees
+ * @param {string} country - ISO 3166 alpha-2 code
+ */
+export function registerStatutoryProvider(country, provider) {
+  if (typeof provider?.computeContributions !== 'function' || typeof provider?.computeTax !== 'function') {
+    throw new Error('A statutory provider needs computeContributions and computeTax');
+  }
+  providersByCountry.set(country, provider);
+}
+
+export function getStatutoryProvider(country) {
+  return providersByCountry.get(country) || noStatutoryProvider;
+}
+
+export default {
+  indiaStatutoryProvider,
+  noStatutoryProvider,
+  registerStatutoryProvider,
+  getStatutoryProvider,
+};
@@ -0,0 +1,250 @@
+/**
+ * Statutory Contributions & Filings
+ *
+ * Splits PF and ESI into employee and employer shares using the ceilings
+ * configured in payroll_settings, and builds the monthly filings from
+ * processed payroll items: the EPFO ECR text file, the ESIC monthly
+ * contribution file and state-wise Professional Tax summaries.
+ */
+
+export const DEFAULT_STATUTORY_SETTINGS = {
+  pf_rate: 12.0,
+  pf_wage_ceiling: 15000,
+  restrict_pf_to_ceiling: true,
+  eps_rate: 8.33,
+  esi_rate: 3.25,
+  esi_employee_rate: 0.75,
+  esi_gross_limit: 21000,
+};
+
+// Members aged 58 or more stop contributing to the pension scheme
+const EPS_MAX_AGE = 58;
+
+function setting(settings, key) {
+  const value = settings?.[key];
+  if (value === null || value === undefined) return DEFAULT_STATUTORY_SETTINGS[key];
+  return typeof DEFAULT_STATUTORY_SETTINGS[key] === 'boolean' ? Boolean(value) : Number(value);
+}
+
+function ageOn(dateOfBirth, onDate) {
+  if (!dateOfBirth) return null;
+  const dob = new Date(dateOfBirth);
+  let age = onDate.getFullYear() - dob.getFullYear();
+  const beforeBirthday = onDate.getMonth() < dob.getMonth() ||
+    (onDate.getMonth() === dob.getMonth() && onDate.getDate() < dob.getDate());
+  if (beforeBirthday) age--;
+  return age;
+}
+
+/**
+ * PF for a month. EPF wages are the prorated basic, capped at the wage
+ * ceiling unless the tenant contributes on full basic. The employer's 12%
+ * is split into EPS (8.33% of wages up to the ceiling) and the EPF balance.
+ */
+export function computePfContribution({ basicWages, settings = {}, dateOfBirth = null, asOf = new Date() }) {
+  const rate = setting(settings, 'pf_rate');
+  const ceiling = setting(settings, 'pf_wage_ceiling');
+  const wages = Math.max(0, Math.round(Number(basicWages) || 0));
+
+  const epfWages = setting(settings, 'restrict_pf_to_ceiling') ? Math.min(wages, ceiling) : wages;
+  const age = ageOn(dateOfBirth, asOf);
+  const epsWages = age !== null && age >= EPS_MAX_AGE ? 0 : Math.min(wages, ceiling);
+  const edliWages = Math.min(wages, ceiling);
+
+  const employeePf = Math.round((epfWages * rate) / 100);
+  // Employer matches the employee's contribution
+  const employerTotal = employeePf;
+  const employerEps = Math.min(employerTotal, Math.round((epsWages * setting(settings, 'eps_rate')) / 100));
+
+  return {
+    grossWages: wages,
+    epfWages,
+    epsWages,
+    edliWages,
+    employeePf,
+    employerEps,
+    employerEpf: employerTotal - employerEps,
+  };
+}
+
+/**
+ * ESI for a month. Only employees whose gross is within the limit are
+ * covered; contributions are rounded up to the next rupee as ESIC does.
+ */
+export function computeEsiContribution({ grossWages, settings = {} }) {
+  const wages = Math.max(0, Number(grossWages) || 0);
+  const covered = wages > 0 && wages <= setting(settings, 'esi_gross_limit');
+  if (!covered) {
+    return { covered: false, esiWages: 0, employeeEsi: 0, employerEsi: 0 };
+  }
+
+  return {
+    covered: true,
+    esiWages: Math.round(wages),
+    employeeEsi: Math.ceil((wages * setting(settings, 'esi_employee_rate')) / 100),
+    employerEsi: Math.ceil((wages * setting(settings, 'esi_rate')) / 100),
+  };
+}
+
+// ============================================================================
+// FILE BUILDERS
+// ============================================================================
+
+const ECR_SEPARATOR = '#~#';
+
+function ecrText(value) {
+  return String(value ?? '').replace(/#~#|[\r\n]/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * EPFO ECR 2.0 text file: one line per member with
+ * UAN, name, gross, EPF, EPS and EDLI wages, EE share, EPS share,
+ * ER (EPF - EPS) share, NCP days and refund of advances
+ */
+export function buildEcrFile(rows) {
+  const lines = rows.map(row => [
+    ecrText(row.uan_number),
+    ecrText(row.full_name),
+    Math.round(Number(row.gross_salary) || 0),
+    Math.round(Number(row.pf_wages) || 0),
+    Math.round(Number(row.eps_wages) || 0),
+    Math.round(Number(row.edli_wages) || 0),
+    Math.round(Number(row.pf_deduction) || 0),
+    Math.round(Number(row.employer_eps) || 0),
+    Math.round(Number(row.employer_epf) || 0),
+    Math.round(Number(row.lop_days) || 0),
+    0,
+  ].join(ECR_SEPARATOR));
+  return lines.join('\n');
+}
+
+export function summarizeEcr(rows) {
+  const sum = (key) => rows.reduce((total, row) => total + Math.round(Number(row[key]) || 0), 0);
+  return {
+    members: rows.length,
+    epfWages: sum('pf_wages'),
+    epsWages: sum('eps_wages'),
+    edliWages: sum('edli_wages'),
+    employeeShare: sum('pf_deduction'),
+    employerEps: sum('employer_eps'),
+    employerEpf: sum('employer_epf'),
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  if (str.includes(',') || str.includes('\n') || str.includes('"')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+// ESIC reason code 2 = left service (needs last working day), 0 = worked
+const ESIC_REASON_LEFT_SERVICE = 2;
+
+/**
+ * ESIC monthly contribution upload: IP number, IP name, days paid, total
+ * monthly wages, reason code for zero working days and last working day
+ */
+export function buildEsicFile(rows) {
+  const header = [
+    'IP Number',
+    'IP Name',
+    'No of Days for which wages paid/payable during the month',
+    'Total Monthly Wages',
+    'Reason Code for Zero workings days',
+    'Last Working Day',
+  ];
+  const lines = rows.map(row => {
+    const days = Math.round(Number(row.paid_days) || 0);
+    const exited = Boolean(row.date_of_exit);
+    return [
+      csvValue(row.esic_ip_number),
+      csvValue(row.full_name),
+      days,
+      Math.round(Number(row.esi_wages) || 0),
+      days === 0 && exited ? ESIC_REASON_LEFT_SERVICE : 0,
+      exited ? csvValue(formatEsicDate(row.date_of_exit)) : '',
+    ].join(',');
+  });
+  return [header.map(csvValue).join(','), ...lines].join('\n');
+}
+
+function formatEsicDate(value) {
+  const date = new Date(value);
+  return [
+    String(date.getDate()).padStart(2, '0'),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    date.getFullYear(),
+  ].join('/');
+}
+
+export function summarizeEsi(rows) {
+  const sum = (key) => rows.reduce((total, row) => total + (Number(row[key]) || 0), 0);
+  return {
+    members: rows.length,
+    esiWages: Math.round(sum('esi_wages')),
+    employeeShare: sum('esi_deduction'),
+    employerShare: sum('employer_esi'),
+  };
+}
+
+/**
+ * Professional Tax grouped by state, with a slab-wise breakdown of how many
+ * employees paid each PT amount
+ */
+export function summarizeProfessionalTax(rows) {
+  const states = new Map();
+  for (const row of rows) {
+    const state = row.pt_state || 'UNASSIGNED';
+    const amount = Number(row.pt_deduction) || 0;
+    if (!states.has(state)) {
+      states.set(state, { state, employees: 0, grossWages: 0, ptAmount: 0, slabs: new Map() });
+    }
+    const summary = states.get(state);
+    summary.employees++;
+    summary.grossWages += Number(row.gross_salary) || 0;
+    summary.ptAmount += amount;
+    const slab = summary.slabs.get(amount) || { ptPerEmployee: amount, employees: 0, ptAmount: 0 };
+    slab.employees++;
+    slab.ptAmount += amount;
+    summary.slabs.set(amount, slab);
+  }
+
+  return [...states.values()]
+    .sort((a, b) => a.state.localeCompare(b.state))
+    .map(summary => ({
+      ...summary,
+      grossWages: Math.round(summary.grossWages * 100) / 100,
+      slabs: [...summary.slabs.values()].sort((a, b) => a.ptPerEmployee - b.ptPerEmployee),
+    }));
+}
+
+export function buildProfessionalTaxFile(summaries) {
+  const header = ['State', 'PT per Employee', 'Employees', 'PT Amount', 'State Gross Wages', 'State PT Total'];
+  const lines = [];
+  for (const summary of summaries) {
+    for (const slab of summary.slabs) {
+      lines.push([
+        csvValue(summary.state),
+        slab.ptPerEmployee.toFixed(2),
+        slab.employees,
+        slab.ptAmount.toFixed(2),
+        summary.grossWages.toFixed(2),
+        summary.ptAmount.toFixed(2),
+      ].join(','));
+    }
+  }
+  return [header.map(csvValue).join(','), ...lines].join('\n');
+}
+
+export default {
+  DEFAULT_STATUTORY_SETTINGS,
+  computePfContribution,
+  computeEsiContribution,
+  buildEcrFile,
+  buildEsicFile,
+  summarizeProfessionalTax,
+  buildProfessionalTaxFile,
+};
@@ -0,0 +1,513 @@
+/**
+ * Income Tax Engine
+ *
+ * Computes annual income tax under the old and new regimes from slabs
+ * configured per financial year, and projects the TDS to deduct in a
+ * payroll month. Tenants can override slabs in payroll.tax_configurations;
+ * years without an override fall back to the statutory defaults below.
+ */
+
+import { query } from '../../db/pool.js';
+import { toDateKey } from './working-calendar.js';
+import { FINALIZED_CYCLE_STATUSES } from './cycle-lifecycle.js';
+import {
+  applyVerifiedProofs,
+  getDeclarationWindow,
+  getVerifiedProofTotals,
+  isAfterProofCutoff,
+} from './investment-proofs.js';
+import {
+  computeAnnualHraExemption,
+  getPaidHraMonths,
+  getRentHistory,
+  getVerifiedRentByMonth,
+} from './hra-exemption.js';
+
+export const TAX_REGIMES = ['old', 'new'];
+export const DEFAULT_TAX_REGIME = 'new';
+
+const OLD_REGIME_DEFAULTS = {
+  tax_slabs: [
+    { upto: 250000, rate: 0 },
+    { upto: 500000, rate: 5 },
+    { upto: 1000000, rate: 20 },
+    { upto: null, rate: 30 },
+  ],
+  standard_deduction: 50000,
+  rebate: { income_limit: 500000, max_rebate: 12500, marginal_relief: false },
+  surcharge_thresholds: [
+    { above: 5000000, rate: 10 },
+    { above: 10000000, rate: 15 },
+    { above: 20000000, rate: 25 },
+    { above: 50000000, rate: 37 },
+  ],
+  cess_rate: 4,
+  deduction_limits: { section_80c: 150000, section_80d: 100000, section_24b: 200000 },
+};
+
+const NEW_REGIME_SURCHARGE = [
+  { above: 5000000, rate: 10 },
+  { above: 10000000, rate: 15 },
+  { above: 20000000, rate: 25 },
+];
+
+export const DEFAULT_TAX_CONFIGS = {
+  '2024-25': {
+    old: OLD_REGIME_DEFAULTS,
+    new: {
+      tax_slabs: [
+        { upto: 300000, rate: 0 },
+        { upto: 700000, rate: 5 },
+        { upto: 1000000, rate: 10 },
+        { upto: 1200000, rate: 15 },
+        { upto: 1500000, rate: 20 },
+        { upto: null, rate: 30 },
+      ],
+      standard_deduction: 75000,
+      rebate: { income_limit: 700000, max_rebate: 25000, marginal_relief: true },
+      surcharge_thresholds: NEW_REGIME_SURCHARGE,
+      cess_rate: 4,
+      deduction_limits: {},
+    },
+  },
+  '2025-26': {
+    old: OLD_REGIME_DEFAULTS,
+    new: {
+      tax_slabs: [
+        { upto: 400000, rate: 0 },
+        { upto: 800000, rate: 5 },
+        { upto: 1200000, rate: 10 },
+        { upto: 1600000, rate: 15 },
+        { upto: 2000000, rate: 20 },
+        { upto: 2400000, rate: 25 },
+        { upto: null, rate: 30 },
+      ],
+      standard_deduction: 75000,
+      rebate: { income_limit: 1200000, max_rebate: 60000, marginal_relief: true },
+      surcharge_thresholds: NEW_REGIME_SURCHARGE,
+      cess_rate: 4,
+      deduction_limits: {},
+    },
+  },
+};
+
+/**
+ * Financial year label (April–March) for a payroll month, e.g. '2025-26'
+ * @param {number} month - 1-12
+ * @param {number} year - Calendar year
+ * @returns {string}
+ */
+export function getFinancialYear(month, year) {
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Calendar years spanned by a financial year label
+ * @param {string} financialYear - e.g. '2025-26'
+ * @returns {{ startYear: number, endYear: number }}
+ */
+export function getFinancialYearBounds(financialYear) {
+  const startYear = parseInt(String(financialYear).slice(0, 4), 10);
+  return { startYear, endYear: startYear + 1 };
+}
+
+/**
+ * Payroll months of a financial year in order, April to March
+ * @param {string} financialYear - e.g. '2025-26'
+ * @returns {Array<{ month: number, year: number }>}
+ */
+export function getFinancialYearMonths(financialYear) {
+  const { startYear } = getFinancialYearBounds(financialYear);
+  return Array.from({ length: 12 }, (_, i) => {
+    const month = ((i + 3) % 12) + 1;
+    return { month, year: month >= 4 ? startYear : startYear + 1 };
+  });
+}
+
+/**
+ * Payroll months left in the financial year, counting the given month
+ * (April → 12, March → 1)
+ */
+export function getRemainingMonthsInFinancialYear(month) {
+  return month >= 4 ? 16 - month : 4 - month;
+}
+
+/**
+ * Default configuration for a financial year and regime. Years newer than the
+ * built-in table reuse the latest known year.
+ */
+export function getDefaultTaxConfig(financialYear, regime = DEFAULT_TAX_REGIME) {
+  const knownYears = Object.keys(DEFAULT_TAX_CONFIGS).sort();
+  const year = DEFAULT_TAX_CONFIGS[financialYear]
+    ? financialYear
+    : knownYears.filter(y => y <= financialYear).pop() || knownYears[0];
+  return DEFAULT_TAX_CONFIGS[year][regime === 'old' ? 'old' : 'new'];
+}
+
+function computeSlabTax(taxableIncome, slabs) {
+  let tax = 0;
+  let lowerBound = 0;
+  for (const slab of slabs) {
+    const upperBound = slab.upto === null || slab.upto === undefined ? Infinity : Number(slab.upto);
+    if (taxableIncome > lowerBound) {
+      tax += ((Math.min(taxableIncome, upperBound) - lowerBound) * Number(slab.rate)) / 100;
+    }
+    lowerBound = upperBound;
+  }
+  return tax;
+}
+
+function computeRebate(taxableIncome, tax, rebate = {}) {
+  const incomeLimit = Number(rebate.income_limit) || 0;
+  if (!incomeLimit) return 0;
+  if (taxableIncome <= incomeLimit) {
+    return Math.min(tax, Number(rebate.max_rebate) || 0);
+  }
+  // Marginal relief: tax payable may not exceed the income earned above the rebate limit
+  if (rebate.marginal_relief) {
+    const excessIncome = taxableIncome - incomeLimit;
+    return tax > excessIncome ? tax - excessIncome : 0;
+  }
+  return 0;
+}
+
+// Tax after rebate and surcharge (before cess), with marginal relief on surcharge
+function computeTaxWithSurcharge(taxableIncome, config) {
+  const slabTax = computeSlabTax(taxableIncome, config.tax_slabs);
+  const rebate = computeRebate(taxableIncome, slabTax, config.rebate);
+  const taxAfterRebate = slabTax - rebate;
+
+  const bands = [...(config.surcharge_thresholds || [])].sort((a, b) => Number(a.above) - Number(b.above));
+  const band = bands.filter(b => taxableIncome > Number(b.above)).pop();
+  if (!band) {
+    return { slabTax, rebate, surcharge: 0 };
+  }
+
+  let surcharge = (taxAfterRebate * Number(band.rate)) / 100;
+  const atThreshold = computeTaxWithSurcharge(Number(band.above), config);
+  const ceiling = atThreshold.slabTax - atThreshold.rebate + atThreshold.surcharge + (taxableIncome - Number(band.above));
+  if (taxAfterRebate + surcharge > ceiling) {
+    surcharge = Math.max(0, ceiling - taxAfterRebate);
+  }
+
+  return { slabTax, rebate, surcharge };
+}
+
+function capDeduction(amount, limit) {
+  const value = Math.max(0, Number(amount) || 0);
+  return limit === null || limit === undefined ? value : Math.min(value, Number(limit));
+}
+
+/**
+ * Compute annual income tax for one employee
+ *
+ * @param {Object} params
+ * @param {number} params.grossIncome - Annual gross salary income
+ * @param {string} [params.regime] - 'old' or 'new'
+ * @param {Object} params.config - Tax configuration for the financial year and regime
+ * @param {Object} [params.declarations] - section_80c, section_80d, section_24b, other_deductions
+ * @param {number} [params.exemptions] - Salary exemptions (e.g. HRA) allowed under the old regime
+ * @param {number} [params.professionalTax] - Annual professional tax paid
+ * @param {number} [params.employeePf] - Annual employee PF contribution (counts towards 80C)
+ * @returns {Object} Computation breakup
+ */
+export function computeAnnualTax({
+  grossIncome,
+  regime = DEFAULT_TAX_REGIME,
+  config,
+  declarations = {},
+  exemptions = 0,
+  professionalTax = 0,
+  employeePf = 0,
+}) {
+  const gross = Math.max(0, Number(grossIncome) || 0);
+  const isOldRegime = regime === 'old';
+  const limits = config.deduction_limits || {};
+
+  const standardDeduction = Math.min(Number(config.standard_deduction) || 0, gross);
+  const allowedExemptions = isOldRegime ? Math.max(0, Number(exemptions) || 0) : 0;
+  const professionalTaxDeduction = isOldRegime ? Math.max(0, Number(professionalTax) || 0) : 0;
+
+  const chapterVIA = {
+    section_80c: 0,
+    section_80d: 0,
+    section_24b: 0,
+    other_deductions: 0,
+  };
+  if (isOldRegime) {
+    chapterVIA.section_80c = capDeduction(
+      (Number(declarations.section_80c) || 0) + (Number(employeePf) || 0),
+      limits.section_80c
+    );
+    chapterVIA.section_80d = capDeduction(declarations.section_80d, limits.section_80d);
+    chapterVIA.section_24b = capDeduction(declarations.section_24b, limits.section_24b);
+    chapterVIA.other_deductions = capDeduction(declarations.other_deductions, limits.other_deductions);
+  }
+  const totalChapterVIA = Object.values(chapterVIA).reduce((sum, v) => sum + v, 0);
+
+  const deductionsBeforeTaxable = standardDeduction + allowedExemptions + professionalTaxDeduction + totalChapterVIA;
+  // Section 288A: taxable income is rounded to the nearest ten rupees
+  const taxableIncome = Math.round(Math.max(0, gross - deductionsBeforeTaxable) / 10) * 10;
+
+  const { slabTax, rebate, surcharge } = computeTaxWithSurcharge(taxableIncome, config);
+  const taxBeforeCess = Math.max(0, slabTax - rebate + surcharge);
+  const cess = (taxBeforeCess * (Number(config.cess_rate) || 0)) / 100;
+
+  return {
+    regime: isOldRegime ? 'old' : 'new',
+    grossIncome: gross,
+    standardDeduction,
+    exemptions: allowedExemptions,
+    professionalTax: professionalTaxDeduction,
+    chapterVIA,
+    taxableIncome,
+    slabTax: Math.round(slabTax),
+    rebate: Math.round(rebate),
+    surcharge: Math.round(surcharge),
+    cess: Math.round(cess),
+    totalTax: Math.round(taxBeforeCess + cess),
+  };
+}
+
+/**
+ * Project annual tax and spread what is still unpaid over the remaining months
+ *
+ * @param {Object} params
+ * @param {number} params.monthlyGross - Taxable gross for the current month
+ * @param {number} params.month - Payroll month (1-12)
+ * @param {Object} [params.ytd] - Totals already paid this financial year ({ gross, tds, pf, pt })
+ * @param {number} [params.monthlyPf] - Employee PF for the current month
+ * @param {number} [params.monthlyPt] - Professional tax for the current month
+ * @param {number} [params.annualExemptions] - Projected annual exemptions
+ * @param {number} [params.oneTimeIncome] - Income paid only this month (arrears,
+ *   bonus); not projected forward, and its tax is deducted in full this month
+ * @returns {Object} { monthlyTds, oneTimeTax, remainingMonths, projectedAnnualIncome, annualTax, computation }
+ */
+export function projectMonthlyTds({
+  monthlyGross,
+  month,
+  regime,
+  config,
+  declarations,
+  ytd = {},
+  monthlyPf = 0,
+  monthlyPt = 0,
+  annualExemptions = 0,
+  oneTimeIncome = 0,
+}) {
+  const remainingMonths = getRemainingMonthsInFinancialYear(month);
+  const regularIncome = (Number(ytd.gross) || 0) + (Number(monthlyGross) || 0) * remainingMonths;
+  const extraIncome = Math.max(0, Number(oneTimeIncome) || 0);
+  const projectedAnnualIncome = regularIncome + extraIncome;
+
+  const taxOn = (grossIncome) => computeAnnualTax({
+    grossIncome,
+    regime,
+    config,
+    declarations,
+    exemptions: annualExemptions,
+    professionalTax: (Number(ytd.pt) || 0) + (Number(monthlyPt) || 0) * remainingMonths,
+    employeePf: (Number(ytd.pf) || 0) + (Number(monthlyPf) || 0) * remainingMonths,
+  });
+
+  const computation = taxOn(projectedAnnualIncome);
+  const regularTax = extraIncome > 0 ? taxOn(regularIncome).totalTax : computation.totalTax;
+
+  const taxStillDue = Math.max(0, regularTax - (Number(ytd.tds) || 0));
+  const oneTimeTax = computation.totalTax - regularTax;
+  const monthlyTds = Math.round(taxStillDue / remainingMonths + oneTimeTax);
+
+  return {
+    monthlyTds,
+    oneTimeTax,
+    remainingMonths,
+    projectedAnnualIncome,
+    annualTax: computation.totalTax,
+    computation,
+  };
+}
+
+/**
+ * Load the tenant's tax configuration, falling back to statutory defaults
+ */
+export async function loadTaxConfig(tenantId, financialYear, regime = DEFAULT_TAX_REGIME) {
+  const defaults = getDefaultTaxConfig(financialYear, regime);
+  const result = await query(
+    `SELECT tax_slabs, standard_deduction, rebate, surcharge_thresholds, cess_rate, deduction_limits
+     FROM payroll.tax_configurations
+     WHERE tenant_id = $1 AND financial_year = $2 AND regime = $3`,
+    [tenantId, financialYear, regime]
+  );
+
+  const row = result.rows[0];
+  if (!row) return defaults;
+
+  return {
+    tax_slabs: row.tax_slabs || defaults.tax_slabs,
+    standard_deduction: row.standard_deduction ?? defaults.standard_deduction,
+    rebate: { ...defaults.rebate, ...(row.rebate || {}) },
+    surcharge_thresholds: row.surcharge_thresholds || defaults.surcharge_thresholds,
+    cess_rate: row.cess_rate ?? defaults.cess_rate,
+    deduction_limits: { ...defaults.deduction_limits, ...(row.deduction_limits || {}) },
+  };
+}
+
+/**
+ * Employee's declaration for a financial year (regime + 80C/80D/24b figures).
+ * From the tenant's proof cutoff date on or before asOf, the section figures
+ * are the verified proof amounts instead of the declared ones.
+ */
+export async function getTaxDeclaration(tenantId, employeeId, financialYear, { asOf = null } = {}) {
+  const result = await query(
+    `SELECT tax_regime, section_80c, section_80d, section_24b, other_deductions
+     FROM payroll.tax_declarations
+     WHERE tenant_id = $1 AND employee_id = $2 AND financial_year = $3`,
+    [tenantId, employeeId, financialYear]
+  );
+  const declaration = result.rows[0] || { tax_regime: DEFAULT_TAX_REGIME };
+  if (!asOf) return declaration;
+
+  const window = await getDeclarationWindow(tenantId, financialYear);
+  if (!isAfterProofCutoff(window, asOf)) return declaration;
+  return applyVerifiedProofs(declaration, await getVerifiedProofTotals(tenantId, employeeId, financialYear));
+}
+
+/**
+ * Salary, TDS, PF and PT already paid out in the financial year before the
+ * given month, plus off-cycle runs already processed in that month
+ */
+export async function getYtdTaxTotals(tenantId, employeeId, month, year, { excludeCycleId = null } = {}) {
+  const { startYear } = getFinancialYearBounds(getFinancialYear(month, year));
+  const result = await query(
+    `SELECT
+       COALESCE(SUM(pi.gross_salary + pi.perquisite_value), 0)::numeric AS gross,
+       COALESCE(SUM(pi.tds_deduction), 0)::numeric AS tds,
+       COALESCE(SUM(pi.pf_deduction), 0)::numeric AS pf,
+       COALESCE(SUM(pi.pt_deduction), 0)::numeric AS pt
+     FROM payroll.payroll_items pi
+     JOIN payroll.payroll_cycles pc ON pc.id = pi.payroll_cycle_id
+     WHERE pi.tenant_id = $1
+       AND pi.employee_id = $2
+       AND pc.status = ANY($7::text[])
+       AND pc.id IS DISTINCT FROM $6
+       AND (pc.year * 12 + pc.month) >= ($3 * 12 + 4)
+       AND (
+         (pc.year * 12 + pc.month) < ($4 * 12 + $5)
+         OR (pc.run_type = 'off_cycle' AND pc.year = $4 AND pc.month = $5)
+       )`,
+    [tenantId, employeeId, startYear, year, month, excludeCycleId, FINALIZED_CYCLE_STATUSES]
+  );
+  const row = result.rows[0] || {};
+  return {
+    gross: Number(row.gross || 0),
+    tds: Number(row.tds || 0),
+    pf: Number(row.pf || 0),
+    pt: Number(row.pt || 0),
+  };
+}
+
+/**
+ * HRA exemption for the financial year: months already paid use the basic
+ * and HRA actually paid, the given month and the rest of the year use the
+ * current month's figures. With verifiedOnly, rent comes from verified
+ * receipts instead of the employee's declared rent.
+ *
+ * @returns {{ total: number, months: Array, month: Object }} month is the given month's breakup
+ */
+export async function projectHraExemption({
+  tenantId,
+  employeeId,
+  month,
+  year,
+  monthlyBasic,
+  monthlyHra,
+  verifiedOnly = false,
+}) {
+  const financialYear = getFinancialYear(month, year);
+  const { startYear } = getFinancialYearBounds(financialYear);
+  const [rentHistory, paidMonths, verifiedRent] = await Promise.all([
+    getRentHistory(tenantId, employeeId),
+    getPaidHraMonths(tenantId, employeeId, startYear, month, year),
+    verifiedOnly ? getVerifiedRentByMonth(tenantId, employeeId, financialYear) : null,
+  ]);
+
+  const current = year * 12 + month;
+  const months = getFinancialYearMonths(financialYear).map(m => {
+    if (m.year * 12 + m.month >= current) return { ...m, basic: monthlyBasic, hra: monthlyHra };
+    return paidMonths.find(p => p.month === m.month && p.year === m.year) || { ...m, basic: 0, hra: 0 };
+  });
+  const exemption = computeAnnualHraExemption({ months, rentHistory, verifiedRent });
+  return { ...exemption, month: exemption.months.find(m => m.month === month && m.year === year) };
+}
+
+/**
+ * Monthly TDS for an employee in a payroll cycle, using their declared regime
+ * and deductions plus what has already been paid this financial year. Under
+ * the old regime the projected HRA exemption is added to annualExemptions.
+ */
+export async function computeEmployeeTds({
+  tenantId,
+  employeeId,
+  month,
+  year,
+  monthlyGross,
+  monthlyPf = 0,
+  monthlyPt = 0,
+  monthlyBasic = 0,
+  monthlyHra = 0,
+  annualExemptions = 0,
+  oneTimeIncome = 0,
+  excludeCycleId = null,
+}) {
+  const financialYear = getFinancialYear(month, year);
+  const declaration = await getTaxDeclaration(tenantId, employeeId, financialYear, {
+    asOf: toDateKey(new Date(year, month, 0)),
+  });
+  const regime = TAX_REGIMES.includes(declaration.tax_regime) ? declaration.tax_regime : DEFAULT_TAX_REGIME;
+  const [config, ytd, hraExemption] = await Promise.all([
+    loadTaxConfig(tenantId, financialYear, regime),
+    getYtdTaxTotals(tenantId, employeeId, month, year, { excludeCycleId }),
+    regime === 'old'
+      ? projectHraExemption({
+        tenantId,
+        employeeId,
+        month,
+        year,
+        monthlyBasic,
+        monthlyHra,
+        verifiedOnly: !!declaration.proofs_applied,
+      })
+      : null,
+  ]);
+
+  const projection = projectMonthlyTds({
+    monthlyGross,
+    month,
+    regime,
+    config,
+    declarations: declaration,
+    ytd,
+    monthlyPf,
+    monthlyPt,
+    annualExemptions: (Number(annualExemptions) || 0) + (hraExemption?.total || 0),
+    oneTimeIncome,
+  });
+
+  return {
+    financialYear,
+    regime,
+    ytd,
+    hraExemption: hraExemption ? { annual: hraExemption.total, ...hraExemption.month } : null,
+    ...projection,
+  };
+}
+
+export default {
+  computeAnnualTax,
+  projectMonthlyTds,
+  computeEmployeeTds,
+  projectHraExemption,
+  loadTaxConfig,
+  getFinancialYear,
+};
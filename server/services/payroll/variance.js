@@ -0,0 +1,248 @@
+/**
+ * Payroll Variance
+ *
+ * Compares a cycle with the previous processed cycle, employee by employee,
+ * so reviewers can see what changed before approving: joiners and exits,
+ * gross and net movements above a threshold, LOP changes, component-level
+ * deltas, and anomalies such as net pay dropping to zero or doubling.
+ */
+
+import { query } from '../../db/pool.js';
+import { computeCyclePayroll } from './payroll-engine.js';
+import { FINALIZED_CYCLE_STATUSES } from './cycle-lifecycle.js';
+
+export const DEFAULT_VARIANCE_THRESHOLD_PERCENT = 10;
+
+// Cycle statuses whose payroll items are final enough to compare against
+const COMPARABLE_CYCLE_STATUSES = FINALIZED_CYCLE_STATUSES;
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function percentChange(previous, current) {
+  const before = Number(previous) || 0;
+  if (before === 0) return current ? null : 0;
+  return Math.round(((Number(current) - before) / Math.abs(before)) * 10000) / 100;
+}
+
+/**
+ * Component amounts keyed by code, with repeated codes added together; falls
+ * back to the fixed columns (under the codes the engine uses) for items
+ * processed before salary structures recorded components
+ */
+function componentMap(item) {
+  const map = new Map();
+  const components = Array.isArray(item.components) ? item.components : [];
+  if (components.length > 0) {
+    for (const c of components) {
+      const existing = map.get(c.code);
+      if (existing) {
+        existing.amount = roundAmount(existing.amount + (Number(c.amount) || 0));
+      } else {
+        map.set(c.code, { code: c.code, name: c.name || c.code, type: c.component_type, amount: Number(c.amount) || 0 });
+      }
+    }
+    return map;
+  }
+  map.set('BASIC', { code: 'BASIC', name: 'Basic Salary', type: 'earning', amount: Number(item.basic_salary) || 0 });
+  map.set('HRA', { code: 'HRA', name: 'House Rent Allowance', type: 'earning', amount: Number(item.hra) || 0 });
+  map.set('SPECIAL_ALLOWANCE', {
+    code: 'SPECIAL_ALLOWANCE',
+    name: 'Special Allowance',
+    type: 'earning',
+    amount: Number(item.special_allowance) || 0,
+  });
+  return map;
+}
+
+function componentDeltas(previousItem, currentItem) {
+  const before = componentMap(previousItem);
+  const after = componentMap(currentItem);
+  const deltas = [];
+  for (const code of new Set([...before.keys(), ...after.keys()])) {
+    const previous = before.get(code)?.amount || 0;
+    const current = after.get(code)?.amount || 0;
+    const delta = roundAmount(current - previous);
+    if (delta === 0) continue;
+    const meta = after.get(code) || before.get(code);
+    deltas.push({ code, name: meta.name, type: meta.type, previous, current, delta });
+  }
+  return deltas.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+function detectAnomalies(previousItem, currentItem) {
+  const anomalies = [];
+  const net = Number(currentItem.net_salary) || 0;
+  const previousNet = previousItem ? Number(previousItem.net_salary) || 0 : null;
+
+  if (net < 0) {
+    anomalies.push({ type: 'negative_net', message: 'Net pay is negative' });
+  } else if (net === 0) {
+    anomalies.push({ type: 'zero_net', message: 'Net pay is zero' });
+  }
+  if (previousNet !== null && previousNet > 0 && net >= previousNet * 2) {
+    anomalies.push({ type: 'net_doubled', message: 'Net pay has doubled or more' });
+  }
+  if (previousNet !== null && previousNet > 0 && net > 0 && net <= previousNet / 2) {
+    anomalies.push({ type: 'net_halved', message: 'Net pay has fallen by half or more' });
+  }
+  return anomalies;
+}
+
+/**
+ * Compare two sets of payroll items
+ *
+ * @param {Object} params
+ * @param {Array} params.currentItems - Items for the cycle under review
+ * @param {Array} params.previousItems - Items from the previous processed cycle
+ * @param {number} [params.thresholdPercent] - Gross/net change that gets flagged
+ * @returns {Object} { summary, employees }
+ */
+export function buildVarianceReport({ currentItems, previousItems, thresholdPercent = DEFAULT_VARIANCE_THRESHOLD_PERCENT }) {
+  const previousById = new Map(previousItems.map(item => [item.employee_id, item]));
+  const currentById = new Map(currentItems.map(item => [item.employee_id, item]));
+  const employees = [];
+
+  for (const item of currentItems) {
+    const previous = previousById.get(item.employee_id) || null;
+    const gross = roundAmount(item.gross_salary);
+    const net = roundAmount(item.net_salary);
+    const previousGross = previous ? roundAmount(previous.gross_salary) : 0;
+    const previousNet = previous ? roundAmount(previous.net_salary) : 0;
+    const grossChangePercent = previous ? percentChange(previousGross, gross) : null;
+    const netChangePercent = previous ? percentChange(previousNet, net) : null;
+    const lopDelta = roundAmount((Number(item.lop_days) || 0) - (previous ? Number(previous.lop_days) || 0 : 0));
+
+    const exceeds = (pct, before, after) =>
+      pct === null ? before !== after : Math.abs(pct) >= thresholdPercent;
+    const flags = [];
+    if (!previous) flags.push('new_joiner');
+    if (previous && exceeds(grossChangePercent, previousGross, gross)) flags.push('gross_change');
+    if (previous && exceeds(netChangePercent, previousNet, net)) flags.push('net_change');
+    if (previous && lopDelta !== 0) flags.push('lop_change');
+    const anomalies = detectAnomalies(previous, item);
+    if (anomalies.length > 0) flags.push('anomaly');
+
+    employees.push({
+      employee_id: item.employee_id,
+      employee_code: item.employee_code,
+      employee_name: item.employee_name || item.full_name,
+      status: previous ? 'continuing' : 'new_joiner',
+      previous: previous ? { gross: previousGross, net: previousNet, lop_days: Number(previous.lop_days) || 0 } : null,
+      current: { gross, net, lop_days: Number(item.lop_days) || 0 },
+      gross_delta: roundAmount(gross - previousGross),
+      net_delta: roundAmount(net - previousNet),
+      gross_change_percent: grossChangePercent,
+      net_change_percent: netChangePercent,
+      lop_delta: lopDelta,
+      components: previous ? componentDeltas(previous, item) : [],
+      anomalies,
+      flags,
+    });
+  }
+
+  for (const previous of previousItems) {
+    if (currentById.has(previous.employee_id)) continue;
+    employees.push({
+      employee_id: previous.employee_id,
+      employee_code: previous.employee_code,
+      employee_name: previous.employee_name || previous.full_name,
+      status: 'exit',
+      previous: {
+        gross: roundAmount(previous.gross_salary),
+        net: roundAmount(previous.net_salary),
+        lop_days: Number(previous.lop_days) || 0,
+      },
+      current: null,
+      gross_delta: -roundAmount(previous.gross_salary),
+      net_delta: -roundAmount(previous.net_salary),
+      gross_change_percent: -100,
+      net_change_percent: -100,
+      lop_delta: 0,
+      components: [],
+      anomalies: [],
+      flags: ['exit'],
+    });
+  }
+
+  const sum = (items, field) => roundAmount(items.reduce((total, item) => total + (Number(item[field]) || 0), 0));
+  const previousGross = sum(previousItems, 'gross_salary');
+  const currentGross = sum(currentItems, 'gross_salary');
+  const previousNet = sum(previousItems, 'net_salary');
+  const currentNet = sum(currentItems, 'net_salary');
+
+  return {
+    summary: {
+      threshold_percent: thresholdPercent,
+      previous_headcount: previousItems.length,
+      current_headcount: currentItems.length,
+      new_joiners: employees.filter(e => e.status === 'new_joiner').length,
+      exits: employees.filter(e => e.status === 'exit').length,
+      flagged: employees.filter(e => e.flags.length > 0).length,
+      anomalies: employees.filter(e => e.anomalies.length > 0).length,
+      previous_gross: previousGross,
+      current_gross: currentGross,
+      gross_delta: roundAmount(currentGross - previousGross),
+      gross_change_percent: percentChange(previousGross, currentGross),
+      previous_net: previousNet,
+      current_net: currentNet,
+      net_delta: roundAmount(currentNet - previousNet),
+      net_change_percent: percentChange(previousNet, currentNet),
+    },
+    // Anomalies first, then the biggest net movements
+    employees: employees.sort((a, b) =>
+      (b.anomalies.length > 0) - (a.anomalies.length > 0) ||
+      b.flags.length - a.flags.length ||
+      Math.abs(b.net_delta) - Math.abs(a.net_delta)),
+  };
+}
+
+async function getStoredItems(tenantId, cycleId) {
+  const result = await query(
+    `SELECT pi.*, e.employee_code, e.full_name AS employee_name
+     FROM payroll.payroll_items pi
+     JOIN payroll.employees e ON e.id = pi.employee_id
+     WHERE pi.payroll_cycle_id = $1 AND pi.tenant_id = $2`,
+    [cycleId, tenantId]
+  );
+  return result.rows;
+}
+
+/**
+ * Variance of a regular cycle against the latest processed regular cycle
+ * before it. Cycles not processed yet are compared using a fresh
+ * computation, the same one the preview shows.
+ */
+export async function getCycleVariance({ tenantId, cycle, thresholdPercent = DEFAULT_VARIANCE_THRESHOLD_PERCENT }) {
+  const previousResult = await query(
+    `SELECT id, month, year, status
+     FROM payroll.payroll_cycles
+     WHERE tenant_id = $1
+       AND run_type = 'regular'
+       AND (year * 12 + month) < ($2 * 12 + $3)
+       AND status::text = ANY($4::text[])
+     ORDER BY year DESC, month DESC
+     LIMIT 1`,
+    [tenantId, cycle.year, cycle.month, COMPARABLE_CYCLE_STATUSES]
+  );
+  const previousCycle = previousResult.rows[0] || null;
+
+  const processed = COMPARABLE_CYCLE_STATUSES.includes(cycle.status);
+  const [currentItems, previousItems] = await Promise.all([
+    processed ? getStoredItems(tenantId, cycle.id) : computeCyclePayroll(tenantId, cycle),
+    previousCycle ? getStoredItems(tenantId, previousCycle.id) : [],
+  ]);
+
+  return {
+    cycle: { id: cycle.id, month: cycle.month, year: cycle.year, status: cycle.status, computed: !processed },
+    previousCycle,
+    ...buildVarianceReport({ currentItems, previousItems, thresholdPercent }),
+  };
+}
+
+export default {
+  DEFAULT_VARIANCE_THRESHOLD_PERCENT,
+  buildVarianceReport,
+  getCycleVariance,
+};
@@ -0,0 +1,250 @@
+/**
+ * Working-Day Calendar
+ *
+ * Builds an employee's calendar for a payroll month from the weekly-off
+ * pattern of their org/shift, the published holiday list and their
+ * joining/exit dates. Payroll proration divides by either calendar days
+ * or working days depending on the tenant's payroll_settings.proration_basis.
+ */
+
+import { query } from '../../db/pool.js';
+import { selectEmployeeHolidays } from '../holidays.js';
+
+export const PRORATION_BASES = ['calendar_days', 'working_days'];
+export const DEFAULT_PRORATION_BASIS = 'calendar_days';
+export const DEFAULT_WEEKLY_OFFS = [{ day: 0 }];
+
+/**
+ * Format a Date or date-like value as YYYY-MM-DD without shifting timezones
+ */
+export function toDateKey(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return [
+      value.getFullYear(),
+      String(value.getMonth() + 1).padStart(2, '0'),
+      String(value.getDate()).padStart(2, '0'),
+    ].join('-');
+  }
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Validate a weekly-off pattern: [{ day: 0-6, weeks?: [1-5] }]
+ */
+export function validateWeeklyOffs(weeklyOffs) {
+  if (!Array.isArray(weeklyOffs)) {
+    return 'weekly_offs must be an array';
+  }
+  for (const entry of weeklyOffs) {
+    if (!Number.isInteger(entry?.day) || entry.day < 0 || entry.day > 6) {
+      return 'Each weekly off needs a day between 0 (Sunday) and 6 (Saturday)';
+    }
+    if (entry.weeks !== undefined) {
+      if (!Array.isArray(entry.weeks) || entry.weeks.some(w => !Number.isInteger(w) || w < 1 || w > 5)) {
+        return 'weeks must list occurrences between 1 and 5';
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a date falls on a weekly off. `weeks` restricts the off to the nth
+ * occurrences of that weekday in the month (e.g. 2nd and 4th Saturdays).
+ */
+export function isWeeklyOff(date, weeklyOffs = DEFAULT_WEEKLY_OFFS) {
+  const weekday = date.getDay();
+  const occurrence = Math.ceil(date.getDate() / 7);
+  return weeklyOffs.some(entry =>
+    entry.day === weekday && (!entry.weeks || entry.weeks.includes(occurrence))
+  );
+}
+
+/**
+ * Build the day-by-day calendar for a month. Days before joining or after
+ * exit are marked as not employed and never count as payable.
+ */
+export function buildMonthCalendar({
+  year,
+  month,
+  weeklyOffs = DEFAULT_WEEKLY_OFFS,
+  holidays = [],
+  joiningDate = null,
+  exitDate = null,
+}) {
+  const daysInMonth = new Date(year, month, 0).getDate();
+  const holidayKeys = new Set(holidays.map(h => toDateKey(h.date ?? h)));
+  const joinKey = toDateKey(joiningDate);
+  const exitKey = toDateKey(exitDate);
+
+  const days = [];
+  let workingDays = 0;
+  let employedDays = 0;
+  let employedWorkingDays = 0;
+  let weeklyOffCount = 0;
+  let holidayCount = 0;
+
+  for (let d = 1; d <= daysInMonth; d++) {
+    const date = new Date(year, month - 1, d);
+    const key = toDateKey(date);
+    const employed = (!joinKey || key >= joinKey) && (!exitKey || key <= exitKey);
+
+    let type = 'working';
+    if (isWeeklyOff(date, weeklyOffs)) {
+      type = 'weekly_off';
+      weeklyOffCount++;
+    } else if (holidayKeys.has(key)) {
+      type = 'holiday';
+      holidayCount++;
+    } else {
+      workingDays++;
+    }
+
+    if (employed) {
+      employedDays++;
+      if (type === 'working') employedWorkingDays++;
+    }
+
+    days.push({ date: key, type, employed });
+  }
+
+  return {
+    year,
+    month,
+    daysInMonth,
+    workingDays,
+    weeklyOffs: weeklyOffCount,
+    holidays: holidayCount,
+    employedDays,
+    employedWorkingDays,
+    days,
+  };
+}
+
+/**
+ * Resolve the proration denominator and the days the employee is eligible
+ * to be paid for (before LOP) under the given basis
+ */
+export function resolveProrationDays(calendar, basis = DEFAULT_PRORATION_BASIS) {
+  if (basis === 'working_days') {
+    return { totalDays: calendar.workingDays, eligibleDays: calendar.employedWorkingDays };
+  }
+  return { totalDays: calendar.daysInMonth, eligibleDays: calendar.employedDays };
+}
+
+/**
+ * Count the payable days of a date range that fall within the calendar
+ * month, used to clip leave that spans month boundaries
+ */
+export function countPayableDaysInRange(calendar, startDate, endDate, basis = DEFAULT_PRORATION_BASIS) {
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  return calendar.days.filter(day =>
+    day.employed &&
+    (basis !== 'working_days' || day.type === 'working') &&
+    day.date >= startKey &&
+    day.date <= endKey
+  ).length;
+}
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+export async function getProrationBasis(tenantId) {
+  const result = await query(
+    'SELECT proration_basis FROM payroll.payroll_settings WHERE tenant_id = $1',
+    [tenantId]
+  );
+  const basis = result.rows[0]?.proration_basis;
+  return PRORATION_BASES.includes(basis) ? basis : DEFAULT_PRORATION_BASIS;
+}
+
+/**
+ * Weekly offs for a shift type, falling back to the org-wide pattern and
+ * then to Sundays only
+ */
+export async function loadWeeklyOffs(tenantId, shiftType = null) {
+  const result = await query(
+    `SELECT shift_type, weekly_offs
+     FROM payroll.weekly_off_patterns
+     WHERE tenant_id = $1 AND (shift_type IS NULL OR shift_type = $2)
+     ORDER BY shift_type NULLS LAST`,
+    [tenantId, shiftType]
+  );
+  return result.rows[0]?.weekly_offs || DEFAULT_WEEKLY_OFFS;
+}
+
+/**
+ * Look up the HR-side employee record for a payroll employee (linked by
+ * email) together with the shift type they worked most in the month
+ */
+async function getHrEmployeeContext(tenantId, email, month, year) {
+  const result = await query(
+    `SELECT e.id, e.state, e.holiday_override,
+       (SELECT o.last_working_day FROM offboarding_requests o
+        WHERE o.employee_id = e.id AND o.status IN ('approved', 'auto_approved')
+        LIMIT 1) AS last_working_day,
+       (SELECT s.shift_type FROM shifts s
+        WHERE s.employee_id = e.id
+          AND EXTRACT(YEAR FROM s.shift_date) = $3
+          AND EXTRACT(MONTH FROM s.shift_date) = $4
+        GROUP BY s.shift_type
+        ORDER BY COUNT(*) DESC
+        LIMIT 1) AS shift_type
+     FROM employees e
+     JOIN profiles p ON p.id = e.user_id
+     WHERE e.tenant_id = $1 AND LOWER(p.email) = LOWER($2)
+     LIMIT 1`,
+    [tenantId, email, year, month]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Build the working calendar for a payroll employee in a month
+ */
+export async function getEmployeeWorkingCalendar({ tenantId, employeeId, month, year }) {
+  const employeeResult = await query(
+    `SELECT id, email, date_of_joining, date_of_exit
+     FROM payroll.employees
+     WHERE id = $1 AND tenant_id = $2`,
+    [employeeId, tenantId]
+  );
+  const employee = employeeResult.rows[0];
+  if (!employee) {
+    throw new Error('Payroll employee not found');
+  }
+
+  const hrEmployee = employee.email
+    ? await getHrEmployeeContext(tenantId, employee.email, month, year)
+    : null;
+
+  const weeklyOffs = await loadWeeklyOffs(tenantId, hrEmployee?.shift_type || null);
+  const holidays = await selectEmployeeHolidays({
+    orgId: tenantId,
+    employee: hrEmployee || {},
+    year,
+    month,
+  });
+
+  return buildMonthCalendar({
+    year,
+    month,
+    weeklyOffs,
+    holidays,
+    joiningDate: employee.date_of_joining,
+    exitDate: employee.date_of_exit || hrEmployee?.last_working_day || null,
+  });
+}
+
+export default {
+  PRORATION_BASES,
+  buildMonthCalendar,
+  resolveProrationDays,
+  countPayableDaysInRange,
+  getProrationBasis,
+  loadWeeklyOffs,
+  getEmployeeWorkingCalendar,
+};
@@ -0,0 +1,173 @@
+/**
+ * Bank Disbursement Tests
+ *
+ * Tests for bank detail validation, payment exclusions and the generic
+ * NEFT/RTGS file format
+ * Run with: node server/tests/bank-disbursement.test.js
+ */
+
+import {
+  buildDisbursementFile,
+  preparePayments,
+  registerDisbursementFormat,
+  validateBankDetails,
+} from '../services/payroll/bank-disbursement.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const employee = (overrides = {}) => ({
+  payroll_item_id: 'item-1',
+  employee_id: 'emp-1',
+  employee_code: 'E001',
+  full_name: 'Asha Rao',
+  email: 'asha@example.com',
+  bank_account_number: '123456789012',
+  bank_ifsc: 'HDFC0001234',
+  net_salary: 50000,
+  payment_hold: false,
+  ...overrides,
+});
+
+// Validation and exclusions
+async function runValidationTests() {
+  console.log('\n🧪 Running Bank Detail Validation Tests...\n');
+
+  test('Valid details pass after normalising spaces and case', () => {
+    assertEqual(validateBankDetails({ bank_account_number: '1234 5678 9012', bank_ifsc: ' hdfc0001234 ' }), null, 'error');
+  });
+
+  test('Malformed IFSC and account numbers are rejected', () => {
+    assertEqual(
+      validateBankDetails({ bank_account_number: '123456789012', bank_ifsc: 'HDFC1001234' }),
+      'IFSC HDFC1001234 is invalid (expected 4 letters, 0, then 6 letters or digits)',
+      'ifsc'
+    );
+    assertEqual(
+      validateBankDetails({ bank_account_number: '12345', bank_ifsc: 'HDFC0001234' }),
+      'Bank account number must be 9 to 18 digits',
+      'account'
+    );
+    assertEqual(validateBankDetails({ bank_account_number: '', bank_ifsc: 'HDFC0001234' }), 'Bank account number is missing', 'missing');
+  });
+
+  test('Zero net, held and invalid employees are excluded with reasons', () => {
+    const { payments, excluded, totalAmount } = preparePayments([
+      employee(),
+      employee({ employee_id: 'emp-2', employee_code: 'E002', net_salary: 0 }),
+      employee({ employee_id: 'emp-3', employee_code: 'E003', payment_hold: true, payment_hold_reason: 'Pending clearance' }),
+      employee({ employee_id: 'emp-4', employee_code: 'E004', bank_ifsc: null }),
+    ]);
+    assertEqual(payments.length, 1, 'payments');
+    assertEqual(totalAmount, 50000, 'total');
+    assertEqual(excluded.map(e => e.reason).join('|'), 'Net pay is zero|Salary on hold: Pending clearance|IFSC is missing', 'reasons');
+  });
+
+  test('Employees paid in another currency are left out of the INR bank file', () => {
+    const { payments, excluded } = preparePayments([
+      employee({ currency: 'INR' }),
+      employee({ employee_id: 'emp-5', employee_code: 'E005', currency: 'USD' }),
+    ]);
+    assertEqual(payments.length, 1, 'payments');
+    assertEqual(excluded[0].reason, 'Paid in USD; pay through an international transfer', 'reason');
+  });
+
+  console.log(`\n📊 Validation Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// File formats
+async function runFormatTests() {
+  console.log('\n🧪 Running Disbursement Format Tests...\n');
+
+  const cycle = { month: 3, year: 2026 };
+
+  test('Generic file uses RTGS from 2 lakh and a stable checksum', () => {
+    const rows = [employee(), employee({ employee_id: 'emp-2', employee_code: 'E002', net_salary: 250000 })];
+    const file = buildDisbursementFile({ cycle, rows, debitAccount: '999988887777', valueDate: '2026-03-31' });
+    const lines = file.content.split('\n');
+    assertEqual(lines.length, 3, 'lines');
+    assertEqual(
+      lines[1],
+      'NEFT,Asha Rao,123456789012,HDFC0001234,50000.00,31/03/2026,999988887777,Salary Mar 2026,asha@example.com,E001',
+      'NEFT line'
+    );
+    assertEqual(lines[2].split(',')[0], 'RTGS', 'RTGS mode');
+    assertEqual(file.fileName, 'salary-disbursement-2026-03-generic-neft-rtgs.csv', 'file name');
+    const again = buildDisbursementFile({ cycle, rows, debitAccount: '999988887777', valueDate: '2026-03-31' });
+    assertEqual(again.checksum, file.checksum, 'checksum');
+    assertEqual(file.checksum.length, 64, 'sha-256 hex');
+  });
+
+  test('Registered bank formats are used by id', () => {
+    registerDisbursementFormat({
+      id: 'test-bank',
+      name: 'Test Bank',
+      extension: 'txt',
+      contentType: 'text/plain',
+      build: (payments) => payments.map(p => `${p.ifsc}|${p.amount}`).join('\n'),
+    });
+    const file = buildDisbursementFile({ formatId: 'test-bank', cycle, rows: [employee()] });
+    assertEqual(file.content, 'HDFC0001234|50000', 'content');
+    assertEqual(file.fileName.endsWith('test-bank.txt'), true, 'file name');
+  });
+
+  console.log(`\n📊 Format Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Main test runner
+async function runTests() {
+  console.log('🚀 Starting Bank Disbursement Tests...\n');
+
+  await runValidationTests();
+  await runFormatTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All bank disbursement tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
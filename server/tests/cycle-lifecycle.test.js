@@ -0,0 +1,141 @@
+/**
+ * Payroll Cycle Lifecycle Tests
+ *
+ * Tests for the draft → computed → submitted → approved → locked → paid
+ * transitions and reopen request validation
+ * Run with: node server/tests/cycle-lifecycle.test.js
+ */
+
+import {
+  checkTransition,
+  validateReopenRequest,
+  formatCyclePeriod,
+  CYCLE_STATUSES,
+} from '../services/payroll/cycle-lifecycle.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+async function runTransitionTests() {
+  console.log('\n🧪 Running Transition Tests...\n');
+
+  test('The happy path moves one step at a time', () => {
+    const path = [
+      ['draft', 'compute'],
+      ['computed', 'submit'],
+      ['submitted', 'approve'],
+      ['approved', 'lock'],
+      ['locked', 'pay'],
+    ];
+    for (const [status, action] of path) {
+      assertEqual(checkTransition({ status }, action), null, `${action} from ${status}`);
+    }
+  });
+
+  test('Steps cannot be skipped', () => {
+    assertEqual(checkTransition({ status: 'draft' }, 'submit') !== null, true, 'submit a draft');
+    assertEqual(checkTransition({ status: 'computed' }, 'approve') !== null, true, 'approve unsubmitted');
+    assertEqual(checkTransition({ status: 'submitted' }, 'lock') !== null, true, 'lock unapproved');
+    assertEqual(checkTransition({ status: 'approved' }, 'pay') !== null, true, 'pay unlocked');
+  });
+
+  test('A computed cycle can be recomputed, a submitted one cannot', () => {
+    assertEqual(checkTransition({ status: 'computed' }, 'compute'), null, 'recompute');
+    assertEqual(
+      checkTransition({ status: 'submitted' }, 'compute'),
+      "Cannot compute a payroll cycle that is 'submitted'. Allowed from: draft, computed",
+      'submitted'
+    );
+  });
+
+  test('Only approved or locked cycles can be reopened; paid cycles cannot', () => {
+    assertEqual(checkTransition({ status: 'approved' }, 'reopen'), null, 'approved');
+    assertEqual(checkTransition({ status: 'locked' }, 'reopen'), null, 'locked');
+    assertEqual(checkTransition({ status: 'paid' }, 'reopen') !== null, true, 'paid');
+    assertEqual(checkTransition({ status: 'draft' }, 'reopen') !== null, true, 'draft');
+  });
+
+  test('Unknown actions are refused', () => {
+    assertEqual(checkTransition({ status: 'draft' }, 'process'), "Unknown payroll cycle action 'process'", 'process');
+    assertEqual(CYCLE_STATUSES.length, 6, 'statuses');
+  });
+}
+
+async function runReopenTests() {
+  console.log('\n🧪 Running Reopen Request Tests...\n');
+
+  test('A reopen needs a reason and at least one employee', () => {
+    assertEqual(
+      validateReopenRequest({ reason: '  ', employee_ids: ['e1'] }),
+      'A reason is required to reopen a payroll cycle',
+      'blank reason'
+    );
+    assertEqual(
+      validateReopenRequest({ reason: 'Missed overtime', employee_ids: [] }),
+      'employee_ids must list the employees to recompute',
+      'no employees'
+    );
+    assertEqual(validateReopenRequest({ reason: 'Missed overtime', employee_ids: ['e1'] }), null, 'valid');
+  });
+
+  test('Lock messages name the payroll month', () => {
+    assertEqual(formatCyclePeriod({ month: 3, year: 2025 }), 'March 2025', 'period');
+  });
+}
+
+async function runTests() {
+  console.log('🚀 Starting Payroll Cycle Lifecycle Tests...\n');
+
+  await runTransitionTests();
+  await runReopenTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All payroll cycle lifecycle tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
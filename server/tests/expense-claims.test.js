@@ -0,0 +1,133 @@
+/**
+ * Expense Claim Tests
+ *
+ * Tests for category limits, receipt rules and category validation
+ * Run with: node server/tests/expense-claims.test.js
+ */
+
+import { validateExpenseCategory, validateExpenseClaim } from '../services/payroll/expense-claims.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const category = (overrides = {}) => ({
+  name: 'Travel',
+  per_claim_limit: 5000,
+  monthly_limit: 8000,
+  requires_receipt: true,
+  is_active: true,
+  ...overrides,
+});
+
+// Claim rules
+async function runClaimTests() {
+  console.log('\n🧪 Running Expense Claim Rule Tests...\n');
+
+  test('Claim within limits with a receipt is allowed', () => {
+    assertEqual(validateExpenseClaim({ category: category(), amount: 4000, monthToDate: 2000, hasReceipt: true }), null, 'error');
+  });
+
+  test('Per-claim limit is enforced', () => {
+    assertEqual(
+      validateExpenseClaim({ category: category(), amount: 6000, hasReceipt: true }),
+      'Travel claims are limited to 5000.00 each',
+      'error'
+    );
+  });
+
+  test('Monthly limit counts earlier claims in the month', () => {
+    assertEqual(
+      validateExpenseClaim({ category: category(), amount: 3000, monthToDate: 6000, hasReceipt: true }),
+      'Travel claims are limited to 8000.00 a month (2000.00 remaining)',
+      'error'
+    );
+  });
+
+  test('Receipt is required unless the category waives it', () => {
+    assertEqual(
+      validateExpenseClaim({ category: category(), amount: 100 }),
+      'A receipt is required for Travel claims',
+      'required'
+    );
+    assertEqual(validateExpenseClaim({ category: category({ requires_receipt: false }), amount: 100 }), null, 'waived');
+  });
+
+  test('Categories without limits accept any positive amount', () => {
+    const open = category({ per_claim_limit: null, monthly_limit: null });
+    assertEqual(validateExpenseClaim({ category: open, amount: 250000, hasReceipt: true }), null, 'error');
+    assertEqual(validateExpenseClaim({ category: open, amount: 0, hasReceipt: true }), 'amount must be greater than zero', 'zero');
+  });
+
+  test('Inactive categories reject new claims', () => {
+    assertEqual(
+      validateExpenseClaim({ category: category({ is_active: false }), amount: 100, hasReceipt: true }),
+      'Travel is no longer open for claims',
+      'error'
+    );
+  });
+
+  test('Category limits must be positive', () => {
+    assertEqual(validateExpenseCategory({ name: 'Meals', per_claim_limit: 500 }), null, 'valid');
+    assertEqual(validateExpenseCategory({ name: 'Meals', monthly_limit: -1 }), 'monthly_limit must be greater than zero', 'negative');
+    assertEqual(validateExpenseCategory({ name: '  ' }), 'name is required', 'blank name');
+  });
+
+  console.log(`\n📊 Claim Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Main test runner
+async function runTests() {
+  console.log('🚀 Starting Expense Claim Tests...\n');
+
+  await runClaimTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All expense claim tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
@@ -0,0 +1,190 @@
+/**
+ * Full & Final Settlement Tests
+ *
+ * Tests for service period, gratuity, notice shortfall, leave encashment and
+ * the settlement statement totals
+ * Run with: node server/tests/fnf-settlement.test.js
+ */
+
+import {
+  computeServicePeriod,
+  computeGratuity,
+  computeNoticeShortfall,
+  computeLeaveEncashment,
+  buildSettlementStatement,
+  validateSettlementInputs,
+  GRATUITY_CAP,
+} from '../services/payroll/fnf-settlement.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+async function runGratuityTests() {
+  console.log('\n🧪 Running Service and Gratuity Tests...\n');
+
+  test('Service includes the last working day', () => {
+    const service = computeServicePeriod('2015-04-01', '2020-03-31');
+    assertEqual(service.years, 5, 'years');
+    assertEqual(service.months, 0, 'months');
+    assertEqual(service.days, 0, 'days');
+  });
+
+  test('Six months or more of a year counts as a full year', () => {
+    const gratuity = computeGratuity({ monthlyBasic: 30000, dateOfJoining: '2015-04-01', lastWorkingDay: '2021-10-15' });
+    assertEqual(gratuity.eligible, true, 'eligible');
+    assertEqual(gratuity.gratuity_years, 7, 'years');
+    assertEqual(gratuity.amount, 121153.85, 'amount');
+  });
+
+  test('No gratuity before five completed years, and a statutory cap above', () => {
+    const early = computeGratuity({ monthlyBasic: 30000, dateOfJoining: '2018-01-01', lastWorkingDay: '2022-09-30' });
+    assertEqual(early.eligible, false, 'eligible');
+    assertEqual(early.amount, 0, 'amount');
+
+    const capped = computeGratuity({ monthlyBasic: 500000, dateOfJoining: '1990-01-01', lastWorkingDay: '2020-01-31' });
+    assertEqual(capped.amount, GRATUITY_CAP, 'capped amount');
+  });
+
+  console.log(`\n📊 Gratuity Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+async function runNoticeAndLeaveTests() {
+  console.log('\n🧪 Running Notice and Leave Encashment Tests...\n');
+
+  test('Notice shortfall counts the days not served', () => {
+    const notice = computeNoticeShortfall({ noticePeriodDays: 60, resignedOn: '2024-01-01', lastWorkingDay: '2024-01-31' });
+    assertEqual(notice.served_days, 31, 'served');
+    assertEqual(notice.shortfall_days, 29, 'shortfall');
+    assertEqual(
+      computeNoticeShortfall({ noticePeriodDays: 60, resignedOn: null, lastWorkingDay: '2024-01-31' }).shortfall_days,
+      0,
+      'no resignation date'
+    );
+  });
+
+  test('Encashable leave accrues by month in half days, less leave taken', () => {
+    const encashment = computeLeaveEncashment({
+      policies: [{ name: 'Earned Leave', annual_entitlement: 18, taken: 3 }],
+      lastWorkingDay: '2024-07-15',
+      monthlyBasic: 30000,
+    });
+    assertEqual(encashment.policies[0].accrued, 10.5, 'accrued');
+    assertEqual(encashment.days, 7.5, 'days');
+    assertEqual(encashment.amount, 7500, 'amount');
+    assertEqual(encashment.overridden, false, 'overridden');
+  });
+
+  test('HR can settle on a different number of leave days', () => {
+    const encashment = computeLeaveEncashment({
+      policies: [{ name: 'Earned Leave', annual_entitlement: 18, taken: 3 }],
+      lastWorkingDay: '2024-07-15',
+      monthlyBasic: 30000,
+      overrideDays: 5,
+    });
+    assertEqual(encashment.amount, 5000, 'amount');
+    assertEqual(encashment.overridden, true, 'overridden');
+  });
+
+  console.log(`\n📊 Notice and Leave Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+async function runStatementTests() {
+  console.log('\n🧪 Running Settlement Statement Tests...\n');
+
+  const base = {
+    lastWorkingDay: '2024-07-15',
+    salary: { gross: 20000, deductions: 0 },
+    leaveEncashment: { amount: 7500 },
+    gratuity: { amount: 0 },
+    notice: { notice_period_days: 30, served_days: 20, shortfall_days: 10 },
+    monthlyGross: 60000,
+    loans: [{ loan_id: 'l1', amount: 5000 }],
+    assets: [{ description: 'Laptop', amount: 15000 }],
+  };
+
+  test('Recoveries can exceed earnings', () => {
+    const statement = buildSettlementStatement(base);
+    assertEqual(statement.notice.amount, 20000, 'notice recovery');
+    assertEqual(statement.totals.earnings, 27500, 'earnings');
+    assertEqual(statement.totals.recoveries, 40000, 'recoveries');
+    assertEqual(statement.totals.net_before_tax, -12500, 'net');
+  });
+
+  test('A waived notice shortfall is not recovered', () => {
+    const statement = buildSettlementStatement({ ...base, waiveNoticeRecovery: true });
+    assertEqual(statement.notice.amount, 0, 'notice recovery');
+    assertEqual(statement.notice.waived, true, 'waived');
+    assertEqual(statement.totals.net_before_tax, 7500, 'net');
+  });
+
+  test('Inputs are validated', () => {
+    assertEqual(validateSettlementInputs({ leave_encashment_days: -1 }), 'leave_encashment_days cannot be negative', 'days');
+    assertEqual(
+      validateSettlementInputs({ asset_recoveries: [{ description: 'Laptop', amount: 0 }] }),
+      'Each asset recovery needs an amount greater than zero',
+      'asset amount'
+    );
+    assertEqual(validateSettlementInputs({ asset_recoveries: [{ description: 'Laptop', amount: 100 }] }), null, 'valid');
+  });
+
+  console.log(`\n📊 Statement Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Main test runner
+async function runTests() {
+  console.log('🚀 Starting Full & Final Settlement Tests...\n');
+
+  await runGratuityTests();
+  await runNoticeAndLeaveTests();
+  await runStatementTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All full and final settlement tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
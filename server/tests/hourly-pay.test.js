@@ -0,0 +1,194 @@
+/**
+ * Hourly Pay Rules Tests
+ *
+ * Tests for splitting timesheet hours into regular, overtime, night and
+ * holiday hours and pricing them into pay run line items
+ * Run with: node server/tests/hourly-pay.test.js
+ */
+
+import {
+  DEFAULT_HOURLY_PAY_RULES,
+  computeHourlyPay,
+  entryNightHours,
+  nightMinutes,
+  splitTimesheetHours,
+  validateHourlyPayRules,
+} from '../services/payroll/hourly-pay.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const WEEK = '2025-01-06';
+
+function day(workDate, hours, extra = {}) {
+  return { work_date: workDate, hours, is_holiday: false, week_start_date: WEEK, ...extra };
+}
+
+async function runSplitTests() {
+  console.log('\n🧪 Running Hour Split Tests...\n');
+
+  test('Hours past the daily threshold are overtime', () => {
+    const split = splitTimesheetHours([day('2025-01-06', 10)]);
+    assertEqual(split.regular_hours, 8, 'regular');
+    assertEqual(split.overtime_hours, 2, 'overtime');
+  });
+
+  test('Straight-time hours past the weekly threshold are overtime', () => {
+    const entries = ['06', '07', '08', '09', '10', '11'].map(d => day(`2025-01-${d}`, 8));
+    const split = splitTimesheetHours(entries);
+    assertEqual(split.regular_hours, 40, 'regular');
+    assertEqual(split.overtime_hours, 8, 'sixth day is overtime');
+  });
+
+  test('Daily overtime does not count towards the weekly threshold', () => {
+    const entries = ['06', '07', '08', '09', '10'].map(d => day(`2025-01-${d}`, 9));
+    const split = splitTimesheetHours(entries);
+    assertEqual(split.regular_hours, 40, 'regular');
+    assertEqual(split.overtime_hours, 5, 'one daily overtime hour each day');
+  });
+
+  test('Holiday hours earn the holiday premium and skip the overtime thresholds', () => {
+    const entries = [
+      ...['06', '07', '08', '09', '10'].map(d => day(`2025-01-${d}`, 8)),
+      day('2025-01-11', 10, { is_holiday: true }),
+    ];
+    const split = splitTimesheetHours(entries);
+    assertEqual(split.regular_hours, 40, 'regular');
+    assertEqual(split.overtime_hours, 0, 'overtime');
+    assertEqual(split.holiday_hours, 10, 'holiday');
+    assertEqual(split.total_hours, 50, 'total');
+  });
+
+  test('Each timesheet week has its own weekly threshold', () => {
+    const entries = [
+      ...['06', '07', '08', '09', '10'].map(d => day(`2025-01-${d}`, 8)),
+      day('2025-01-13', 8, { week_start_date: '2025-01-13' }),
+    ];
+    const split = splitTimesheetHours(entries);
+    assertEqual(split.regular_hours, 48, 'regular');
+    assertEqual(split.overtime_hours, 0, 'overtime');
+  });
+}
+
+async function runNightShiftTests() {
+  console.log('\n🧪 Running Night Shift Tests...\n');
+
+  test('Night minutes are the overlap with a window that wraps midnight', () => {
+    assertEqual(nightMinutes(20 * 60, 8 * 60, '22:00', '06:00'), 360, '20:00 to 04:00');
+    assertEqual(nightMinutes(2 * 60, 6 * 60, '22:00', '06:00'), 240, '02:00 to 08:00');
+    assertEqual(nightMinutes(9 * 60, 8 * 60, '22:00', '06:00'), 0, 'day shift');
+  });
+
+  test('Clocked entries are measured in the tenant time zone', () => {
+    const entry = {
+      hours: 8,
+      start_time_utc: '2025-01-06T16:30:00Z',
+      end_time_utc: '2025-01-07T00:30:00Z',
+    };
+    assertEqual(entryNightHours(entry, DEFAULT_HOURLY_PAY_RULES, 'Asia/Kolkata'), 8, '22:00 to 06:00 IST');
+    assertEqual(entryNightHours(entry, DEFAULT_HOURLY_PAY_RULES, 'UTC'), 2.5, '16:30 to 00:30 UTC');
+  });
+
+  test('Unclocked entries on a night shift are all night hours', () => {
+    assertEqual(entryNightHours({ hours: 7, shift_type: 'night' }, DEFAULT_HOURLY_PAY_RULES), 7, 'night shift');
+    assertEqual(entryNightHours({ hours: 7, shift_type: 'morning' }, DEFAULT_HOURLY_PAY_RULES), 0, 'morning shift');
+  });
+}
+
+async function runPayTests() {
+  console.log('\n🧪 Running Pay Tests...\n');
+
+  test('Each kind of hour is priced on its own line', () => {
+    const pay = computeHourlyPay(
+      [day('2025-01-06', 10), day('2025-01-07', 4, { is_holiday: true }), day('2025-01-08', 5, { shift_type: 'night' })],
+      2000,
+      { ...DEFAULT_HOURLY_PAY_RULES, deduction_percent: 20 }
+    );
+    const amountOf = (type) => pay.line_items.find(item => item.type === type)?.amount_cents;
+    assertEqual(amountOf('regular'), 26000, 'regular 13h');
+    assertEqual(amountOf('overtime'), 6000, 'overtime 2h at 1.5x');
+    assertEqual(amountOf('holiday'), 16000, 'holiday 4h at 2x');
+    assertEqual(amountOf('night_differential'), 1000, 'night 5h at 10%');
+    assertEqual(pay.gross_pay_cents, 49000, 'gross');
+    assertEqual(pay.deductions_cents, 9800, 'deductions at 20%');
+    assertEqual(pay.net_pay_cents, 39200, 'net');
+  });
+
+  test('Default rules have no default rate and deduct nothing', () => {
+    assertEqual(DEFAULT_HOURLY_PAY_RULES.default_rate_cents, null, 'no default rate');
+    const pay = computeHourlyPay([day('2025-01-06', 8)], 2000);
+    assertEqual(pay.deductions_cents, 0, 'no deductions');
+    assertEqual(pay.net_pay_cents, 16000, 'net equals gross');
+    assertEqual(validateHourlyPayRules({ default_rate_cents: null }), null, 'default rate cleared');
+  });
+
+  test('Empty hour buckets produce no lines', () => {
+    const pay = computeHourlyPay([day('2025-01-06', 6)], 2000);
+    assertEqual(pay.line_items.length, 1, 'regular only');
+  });
+
+  test('Rules updates are validated', () => {
+    assertEqual(validateHourlyPayRules({ overtime_multiplier: 1.5, night_start: '21:30' }), null, 'valid');
+    assertEqual(validateHourlyPayRules({ overtime_multiplier: 0.5 }), 'overtime_multiplier must be at least 1', 'multiplier');
+    assertEqual(validateHourlyPayRules({ night_end: '25:00' }), 'night_end must be a time in HH:MM format', 'time');
+    assertEqual(validateHourlyPayRules({ deduction_percent: 120 }), 'deduction_percent must be between 0 and 100', 'deduction');
+  });
+}
+
+async function runTests() {
+  console.log('🚀 Starting Hourly Pay Rules Tests...\n');
+
+  await runSplitTests();
+  await runNightShiftTests();
+  await runPayTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All hourly pay rules tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
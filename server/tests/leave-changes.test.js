@@ -0,0 +1,181 @@
+/**
+ * Leave Changes Tests
+ *
+ * Tests for cancelling and changing approved leave: who can change what and
+ * when, and the pay adjustments for unpaid leave changed after its month's
+ * payroll was locked
+ * Run with: node server/tests/leave-changes.test.js
+ */
+
+import { checkLeaveChange } from '../services/leave-changes.js';
+import { computeLeaveDayChanges, dailyLopRate } from '../services/payroll/leave-adjustments.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const TODAY = '2025-03-12';
+const FUTURE = { status: 'approved', start_date: '2025-03-17', end_date: '2025-03-19' };
+const ONGOING = { status: 'approved', start_date: '2025-03-10', end_date: '2025-03-14' };
+
+async function runChangeCheckTests() {
+  console.log('\n📋 Testing Change Checks...');
+
+  test('Only approved leave without a pending change can be changed', () => {
+    assertEqual(
+      checkLeaveChange({ leave: { ...FUTURE, status: 'pending' }, today: TODAY }),
+      'Only approved leave can be cancelled or changed',
+      'pending leave'
+    );
+    assertEqual(
+      checkLeaveChange({ leave: FUTURE, today: TODAY, hasPendingChange: true }),
+      'A change to this leave is already waiting for approval',
+      'change pending'
+    );
+  });
+
+  test('Employees cancel leave that has not started', () => {
+    assertEqual(checkLeaveChange({ leave: FUTURE, today: TODAY }), null, 'future leave');
+    assertEqual(
+      checkLeaveChange({ leave: ONGOING, today: TODAY }),
+      'Leave that has started can be shortened but not cancelled',
+      'ongoing leave'
+    );
+    assertEqual(checkLeaveChange({ leave: ONGOING, today: TODAY, isHr: true }), null, 'HR cancels ongoing leave');
+  });
+
+  test('Leave that has started keeps the days already taken', () => {
+    assertEqual(
+      checkLeaveChange({ leave: ONGOING, change: { start_date: '2025-03-10', end_date: '2025-03-11' }, today: TODAY }),
+      null,
+      'ends yesterday'
+    );
+    assertEqual(
+      checkLeaveChange({ leave: ONGOING, change: { start_date: '2025-03-10', end_date: '2025-03-10' }, today: TODAY }),
+      'Days of leave already taken cannot be removed',
+      'drops a taken day'
+    );
+    assertEqual(
+      checkLeaveChange({ leave: ONGOING, change: { start_date: '2025-03-11', end_date: '2025-03-14' }, today: TODAY }),
+      'The start date of leave that has started cannot be changed',
+      'moves the start'
+    );
+  });
+
+  test('Future leave cannot move into the past, and past leave is left to HR', () => {
+    assertEqual(
+      checkLeaveChange({ leave: FUTURE, change: { start_date: '2025-03-11', end_date: '2025-03-13' }, today: TODAY }),
+      'Leave cannot be moved to a date that has passed',
+      'moved into the past'
+    );
+    const past = { status: 'approved', start_date: '2025-03-03', end_date: '2025-03-04' };
+    assertEqual(
+      checkLeaveChange({ leave: past, change: { start_date: '2025-03-03', end_date: '2025-03-03' }, today: TODAY }),
+      'Leave that is over cannot be changed',
+      'past leave'
+    );
+    assertEqual(
+      checkLeaveChange({ leave: past, change: { start_date: '2025-03-03', end_date: '2025-03-03' }, today: TODAY, isHr: true }),
+      null,
+      'HR changes past leave'
+    );
+  });
+}
+
+async function runPayAdjustmentTests() {
+  console.log('\n📋 Testing Pay Adjustments...');
+
+  const before = [
+    { date: '2025-02-27', days: 1 },
+    { date: '2025-02-28', days: 1 },
+    { date: '2025-03-01', days: 0 },
+    { date: '2025-03-03', days: 1 },
+  ];
+
+  test('Cancelling removes every day, month by month', () => {
+    const changes = computeLeaveDayChanges({ before });
+    assertEqual(changes.length, 2, 'months');
+    assertEqual(changes[0].month, 2, 'February first');
+    assertEqual(changes[0].days, -2, 'February days');
+    assertEqual(changes[1].days, -1, 'March days');
+  });
+
+  test('Only months whose days changed are adjusted', () => {
+    const after = [...before, { date: '2025-03-04', days: 0.5 }];
+    const changes = computeLeaveDayChanges({ before, after });
+    assertEqual(changes.length, 1, 'months');
+    assertEqual(changes[0].month, 3, 'March');
+    assertEqual(changes[0].days, 0.5, 'half day added');
+  });
+
+  test('Daily rate is the prorated earnings over the days paid', () => {
+    const item = {
+      paid_days: 20,
+      components: [
+        { code: 'BASIC', component_type: 'earning', prorate: true, amount: 20000 },
+        { code: 'HRA', component_type: 'earning', prorate: true, amount: 8000 },
+        { code: 'BONUS', component_type: 'earning', prorate: false, amount: 5000 },
+        { code: 'CANTEEN', component_type: 'deduction', prorate: true, amount: 500 },
+      ],
+    };
+    assertEqual(dailyLopRate(item), 1400, 'daily rate');
+    assertEqual(dailyLopRate({ ...item, paid_days: 0 }), 0, 'nothing paid');
+    assertEqual(dailyLopRate(undefined), 0, 'no payroll item');
+  });
+}
+
+async function runTests() {
+  console.log('🚀 Starting Leave Changes Tests...\n');
+
+  await runChangeCheckTests();
+  await runPayAdjustmentTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All leave changes tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
@@ -0,0 +1,170 @@
+/**
+ * Leave Duration Tests
+ *
+ * Tests for costing leave against the working calendar: weekly offs and
+ * holidays are free, half days at either end, hourly leave, and validation
+ * of sessions and hours against the leave policy
+ * Run with: node server/tests/leave-duration.test.js
+ */
+
+import { computeLeaveDuration, validateLeaveDuration } from '../services/leave-duration.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// Fri 2025-03-07 to Tue 2025-03-11: Sunday off, Monday a holiday
+const CALENDAR = [
+  { date: '2025-03-07', type: 'working' },
+  { date: '2025-03-08', type: 'working' },
+  { date: '2025-03-09', type: 'weekly_off' },
+  { date: '2025-03-10', type: 'holiday', holiday_name: 'Founders Day' },
+  { date: '2025-03-11', type: 'working' },
+];
+
+const HOURLY_POLICY = { half_day_allowed: true, hourly_allowed: true, hours_per_day: 8 };
+
+async function runValidationTests() {
+  console.log('\n📋 Testing Leave Duration Validation...');
+
+  test('Half sessions must leave the range contiguous', () => {
+    assertEqual(validateLeaveDuration({ startDate: '2025-03-07', endDate: '2025-03-07', startSession: 'first_half' }), null, 'single first half');
+    assertEqual(validateLeaveDuration({ startDate: '2025-03-07', endDate: '2025-03-11', startSession: 'second_half', endSession: 'first_half' }), null, 'half at both ends');
+    assertEqual(
+      validateLeaveDuration({ startDate: '2025-03-07', endDate: '2025-03-11', startSession: 'first_half' }) !== null,
+      true,
+      'multi-day starting in the first half'
+    );
+    assertEqual(
+      validateLeaveDuration({ startDate: '2025-03-11', endDate: '2025-03-07' }),
+      'End date must be on or after the start date',
+      'reversed range'
+    );
+  });
+
+  test('Half days and hours follow the leave policy', () => {
+    assertEqual(
+      validateLeaveDuration({ startDate: '2025-03-07', endDate: '2025-03-07', startSession: 'second_half', policy: { half_day_allowed: false } }),
+      'This leave type cannot be taken in half days',
+      'half days off'
+    );
+    assertEqual(
+      validateLeaveDuration({ startDate: '2025-03-07', endDate: '2025-03-07', hours: 2, policy: { half_day_allowed: true } }),
+      'This leave type cannot be taken in hours',
+      'hourly off'
+    );
+    assertEqual(validateLeaveDuration({ startDate: '2025-03-07', endDate: '2025-03-07', hours: 2, policy: HOURLY_POLICY }), null, 'hourly');
+    assertEqual(
+      validateLeaveDuration({ startDate: '2025-03-07', endDate: '2025-03-08', hours: 2, policy: HOURLY_POLICY }),
+      'Hourly leave is for part of a single full day',
+      'hourly over two days'
+    );
+    assertEqual(
+      validateLeaveDuration({ startDate: '2025-03-07', endDate: '2025-03-07', hours: 8, policy: HOURLY_POLICY }) !== null,
+      true,
+      'a full day of hours'
+    );
+  });
+}
+
+async function runDurationTests() {
+  console.log('\n📋 Testing Leave Duration...');
+
+  test('Weekly offs and holidays in the range cost nothing', () => {
+    const { totalDays, breakdown } = computeLeaveDuration({ calendarDays: CALENDAR, startDate: '2025-03-07', endDate: '2025-03-11' });
+    assertEqual(totalDays, 3, 'total days');
+    assertEqual(breakdown.length, 5, 'breakdown covers every date');
+    assertEqual(breakdown[2].days, 0, 'weekly off');
+    assertEqual(breakdown[3].holiday_name, 'Founders Day', 'holiday name');
+    assertEqual(breakdown[3].days, 0, 'holiday');
+  });
+
+  test('Half days at either end count as half', () => {
+    const { totalDays, breakdown } = computeLeaveDuration({
+      calendarDays: CALENDAR,
+      startDate: '2025-03-07',
+      endDate: '2025-03-11',
+      startSession: 'second_half',
+      endSession: 'first_half',
+    });
+    assertEqual(totalDays, 2, 'total days');
+    assertEqual(breakdown[0].session, 'second_half', 'first day session');
+    assertEqual(breakdown[4].days, 0.5, 'last day');
+
+    const single = computeLeaveDuration({ calendarDays: CALENDAR, startDate: '2025-03-08', endDate: '2025-03-08', startSession: 'first_half' });
+    assertEqual(single.totalDays, 0.5, 'single half day');
+  });
+
+  test('Hourly leave is costed in days by the policy hours', () => {
+    const { totalDays, breakdown } = computeLeaveDuration({
+      calendarDays: CALENDAR,
+      startDate: '2025-03-07',
+      endDate: '2025-03-07',
+      hours: 3,
+      hoursPerDay: 8,
+    });
+    assertEqual(totalDays, 0.38, 'total days');
+    assertEqual(breakdown[0].hours, 3, 'hours');
+  });
+
+  test('Leave on a holiday alone costs nothing', () => {
+    const { totalDays } = computeLeaveDuration({ calendarDays: CALENDAR, startDate: '2025-03-09', endDate: '2025-03-10' });
+    assertEqual(totalDays, 0, 'total days');
+  });
+}
+
+async function runTests() {
+  console.log('🚀 Starting Leave Duration Tests...\n');
+
+  await runValidationTests();
+  await runDurationTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All leave duration tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
@@ -0,0 +1,148 @@
+/**
+ * Leave Ledger Tests
+ *
+ * Tests for accrual periods by frequency, the credit per period including
+ * the pro rata joining period and the probation entitlement, and leave years
+ * Run with: node server/tests/leave-ledger.test.js
+ */
+
+import {
+  accrualPeriods,
+  computeAccrual,
+  leaveYearOf,
+  normalizeAccrualFrequency,
+} from '../services/leave-ledger.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const CASUAL = { annual_entitlement: 12, probation_entitlement: 6, accrual_frequency: 'monthly' };
+
+async function runPeriodTests() {
+  console.log('\n📋 Testing Accrual Periods...');
+
+  test('Monthly, quarterly and yearly periods cover the leave year', () => {
+    const monthly = accrualPeriods('monthly', 2025);
+    assertEqual(monthly.length, 12, 'monthly count');
+    assertEqual(monthly[1].start, '2025-02-01', 'February start');
+    assertEqual(monthly[1].end, '2025-02-28', 'February end');
+
+    const quarterly = accrualPeriods('quarterly', 2025);
+    assertEqual(quarterly.length, 4, 'quarterly count');
+    assertEqual(quarterly[3].start, '2025-10-01', 'Q4 start');
+    assertEqual(quarterly[3].end, '2025-12-31', 'Q4 end');
+
+    const yearly = accrualPeriods(null, 2025);
+    assertEqual(yearly.length, 1, 'yearly count');
+    assertEqual(yearly[0].end, '2025-12-31', 'year end');
+  });
+
+  test('Unknown frequencies accrue yearly', () => {
+    assertEqual(normalizeAccrualFrequency('weekly'), 'yearly', 'unknown');
+    assertEqual(normalizeAccrualFrequency('quarterly'), 'quarterly', 'known');
+  });
+
+  test('Leave year follows its start month', () => {
+    assertEqual(leaveYearOf('2025-03-15'), 2025, 'calendar year');
+    assertEqual(leaveYearOf('2025-03-15', 4), 2024, 'April year, March');
+    assertEqual(leaveYearOf('2025-04-01', 4), 2025, 'April year, April');
+    assertEqual(accrualPeriods('quarterly', 2025, 4)[3].end, '2026-03-31', 'April year Q4 end');
+  });
+}
+
+async function runAccrualTests() {
+  console.log('\n📋 Testing Accrual Credit...');
+
+  test('Full period credits the entitlement divided by the periods', () => {
+    const period = accrualPeriods('monthly', 2025)[5];
+    const { days, probation } = computeAccrual({ policy: CASUAL, period, joinDate: '2020-01-01', probationDays: 90 });
+    assertEqual(days, 1, 'monthly credit');
+    assertEqual(probation, false, 'past probation');
+
+    const quarter = accrualPeriods('quarterly', 2025)[0];
+    const sick = { annual_entitlement: 10, probation_entitlement: 0, accrual_frequency: 'quarterly' };
+    assertEqual(computeAccrual({ policy: sick, period: quarter, joinDate: null }).days, 2.5, 'quarterly credit');
+  });
+
+  test('Unpaid leave policies never accrue', () => {
+    const period = accrualPeriods('monthly', 2025)[5];
+    const unpaid = { ...CASUAL, leave_type: 'loss_of_pay' };
+    assertEqual(computeAccrual({ policy: unpaid, period, joinDate: '2020-01-01' }).days, 0, 'loss of pay');
+  });
+
+  test('Joining period is credited pro rata and earlier periods not at all', () => {
+    const june = accrualPeriods('monthly', 2025)[5];
+    const policy = { ...CASUAL, probation_entitlement: 12 };
+    assertEqual(computeAccrual({ policy, period: june, joinDate: '2025-06-16' }).days, 0.5, 'half of June');
+    const may = accrualPeriods('monthly', 2025)[4];
+    assertEqual(computeAccrual({ policy, period: may, joinDate: '2025-06-16' }).days, 0, 'before joining');
+  });
+
+  test('Probation entitlement applies until probation ends', () => {
+    const months = accrualPeriods('monthly', 2025);
+    // Joined 1 Jan with 90 days probation: ends 1 April
+    const march = computeAccrual({ policy: CASUAL, period: months[2], joinDate: '2025-01-01', probationDays: 90 });
+    assertEqual(march.probation, true, 'March in probation');
+    assertEqual(march.days, 0.5, 'March at probation rate');
+    const april = computeAccrual({ policy: CASUAL, period: months[3], joinDate: '2025-01-01', probationDays: 90 });
+    assertEqual(april.probation, false, 'April after probation');
+    assertEqual(april.days, 1, 'April at full rate');
+  });
+}
+
+async function runTests() {
+  console.log('🚀 Starting Leave Ledger Tests...\n');
+
+  await runPeriodTests();
+  await runAccrualTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All leave ledger tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
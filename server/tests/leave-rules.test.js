@@ -0,0 +1,219 @@
+/**
+ * Leave Rules Tests
+ *
+ * Tests for leave policy rules: validating a rules update, the sandwich
+ * rule, finding overlapping leave and leave taken back to back, and the
+ * notice, consecutive-day, document and clubbing checks
+ * Run with: node server/tests/leave-rules.test.js
+ */
+
+import {
+  applySandwichRule,
+  checkLeaveRules,
+  findClubbedLeaves,
+  findOverlappingLeaves,
+  findSandwichedGaps,
+  normalizeLeaveRules,
+  validateLeaveRules,
+} from '../services/leave-rules.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// Fri 2025-03-07 to Mon 2025-03-10 with the weekend off
+const BREAKDOWN = [
+  { date: '2025-03-07', type: 'working', session: 'full', days: 1 },
+  { date: '2025-03-08', type: 'weekly_off', session: null, days: 0 },
+  { date: '2025-03-09', type: 'weekly_off', session: null, days: 0 },
+  { date: '2025-03-10', type: 'working', session: 'full', days: 1 },
+];
+
+const CALENDAR = [
+  { date: '2025-03-05', type: 'working' },
+  { date: '2025-03-06', type: 'working' },
+  { date: '2025-03-07', type: 'working' },
+  { date: '2025-03-08', type: 'weekly_off' },
+  { date: '2025-03-09', type: 'weekly_off' },
+  { date: '2025-03-10', type: 'working' },
+  { date: '2025-03-11', type: 'working' },
+  { date: '2025-03-12', type: 'working' },
+];
+
+const CASUAL = { id: 'casual', name: 'Casual Leave', rules: { prohibited_clubbing: ['earned'], min_notice_days: 2 } };
+const SICK = { id: 'sick', name: 'Sick Leave', rules: { max_consecutive_days: 3, document_required_above_days: 2 } };
+
+async function runRuleValidationTests() {
+  console.log('\n📋 Testing Rule Validation...');
+
+  test('Rules updates are checked field by field', () => {
+    assertEqual(validateLeaveRules({ sandwich: true, min_notice_days: 3, max_consecutive_days: null }), null, 'valid rules');
+    assertEqual(validateLeaveRules({ carry_over: true }), 'Unknown leave rules: carry_over', 'unknown rule');
+    assertEqual(validateLeaveRules({ prohibited_clubbing: 'earned' }), 'prohibited_clubbing must be a list of leave policy ids', 'clubbing list');
+    assertEqual(validateLeaveRules({ min_notice_days: -1 }) !== null, true, 'negative notice');
+    assertEqual(validateLeaveRules({ max_consecutive_days: 0 }) !== null, true, 'zero consecutive days');
+  });
+
+  test('Missing rules fall back to no restrictions', () => {
+    const rules = normalizeLeaveRules(null);
+    assertEqual(rules.sandwich, false, 'sandwich');
+    assertEqual(rules.min_notice_days, 0, 'notice');
+    assertEqual(rules.max_consecutive_days, null, 'consecutive days');
+    assertEqual(rules.prohibited_clubbing.length, 0, 'clubbing');
+  });
+}
+
+async function runSandwichAndClubbingTests() {
+  console.log('\n📋 Testing Sandwich Rule and Clubbing...');
+
+  test('Days off between two leave days count under the sandwich rule', () => {
+    const { totalDays, breakdown } = applySandwichRule(BREAKDOWN);
+    assertEqual(totalDays, 4, 'total days');
+    assertEqual(breakdown[1].sandwiched, true, 'Saturday sandwiched');
+    assertEqual(BREAKDOWN[1].days, 0, 'input breakdown unchanged');
+  });
+
+  test('Days off at the edges of a leave are not sandwiched', () => {
+    const { totalDays } = applySandwichRule(BREAKDOWN.slice(0, 3));
+    assertEqual(totalDays, 1, 'Friday to Sunday');
+  });
+
+  test('Leave separated only by days off is back to back', () => {
+    const clubbed = findClubbedLeaves({
+      startDate: '2025-03-10',
+      endDate: '2025-03-11',
+      calendarDays: CALENDAR,
+      otherLeaves: [
+        { id: 'friday', start_date: '2025-03-06', end_date: '2025-03-07' },
+        { id: 'wednesday', start_date: '2025-03-05', end_date: '2025-03-05' },
+        { id: 'next-day', start_date: '2025-03-12', end_date: '2025-03-12' },
+      ],
+    });
+    assertEqual(clubbed.map(l => l.id).join(','), 'friday,next-day', 'clubbed leaves');
+  });
+
+  test('Days off between a request and adjacent leave count under the sandwich rule', () => {
+    const gaps = findSandwichedGaps({
+      startDate: '2025-03-10',
+      endDate: '2025-03-10',
+      adjacentLeaves: [{ start_date: '2025-03-07', end_date: '2025-03-07' }],
+      calendarDays: CALENDAR,
+    });
+    assertEqual(gaps.map(day => day.date).join(','), '2025-03-08,2025-03-09', 'weekend between');
+    const { totalDays, breakdown } = applySandwichRule([BREAKDOWN[3]], gaps);
+    assertEqual(totalDays, 3, 'Monday plus the weekend');
+    assertEqual(breakdown.map(day => day.date).join(','), '2025-03-08,2025-03-09,2025-03-10', 'in date order');
+    assertEqual(breakdown[0].sandwiched, true, 'Saturday sandwiched');
+  });
+
+  test('Leave sharing a day clashes unless it is the other half', () => {
+    const otherLeaves = [
+      { id: 'long', start_date: '2025-03-03', end_date: '2025-03-07', start_session: 'full', end_session: 'first_half' },
+      { id: 'later', start_date: '2025-03-12', end_date: '2025-03-12', start_session: 'full', end_session: 'full' },
+    ];
+    const afternoon = findOverlappingLeaves({
+      startDate: '2025-03-07', endDate: '2025-03-07', startSession: 'second_half', otherLeaves,
+    });
+    assertEqual(afternoon.length, 0, 'second half after a first-half end');
+    const morning = findOverlappingLeaves({
+      startDate: '2025-03-07', endDate: '2025-03-07', startSession: 'first_half', otherLeaves,
+    });
+    assertEqual(morning.map(l => l.id).join(','), 'long', 'same half');
+    const span = findOverlappingLeaves({ startDate: '2025-03-10', endDate: '2025-03-14', otherLeaves });
+    assertEqual(span.map(l => l.id).join(','), 'later', 'full days inside the range');
+  });
+}
+
+async function runRuleCheckTests() {
+  console.log('\n📋 Testing Rule Checks...');
+
+  test('Short notice is a violation', () => {
+    const violations = checkLeaveRules({ policy: CASUAL, totalDays: 1, startDate: '2025-03-07', today: '2025-03-06' });
+    assertEqual(violations.length, 1, 'violations');
+    assertEqual(violations[0].rule, 'min_notice_days', 'rule');
+    assertEqual(checkLeaveRules({ policy: CASUAL, totalDays: 1, startDate: '2025-03-07', today: '2025-03-05' }).length, 0, 'enough notice');
+  });
+
+  test('Long sick leave needs a document and stays within the consecutive limit', () => {
+    const violations = checkLeaveRules({ policy: SICK, totalDays: 4, startDate: '2025-03-07', today: '2025-03-07' });
+    assertEqual(violations.map(v => v.rule).join(','), 'max_consecutive_days,document_required_above_days', 'rules');
+    assertEqual(
+      checkLeaveRules({ policy: SICK, totalDays: 3, startDate: '2025-03-07', today: '2025-03-07', hasDocument: true }).length,
+      0,
+      'three days with a document'
+    );
+  });
+
+  test('Clubbing is prohibited from either leave type', () => {
+    const earnedLeave = { leave_policy_id: 'earned', leave_type_name: 'Earned Leave', start_date: '2025-03-10', end_date: '2025-03-11', rules: {} };
+    const fromCasual = checkLeaveRules({ policy: CASUAL, totalDays: 1, startDate: '2025-03-07', today: '2025-03-01', clubbedLeaves: [earnedLeave] });
+    assertEqual(fromCasual[0]?.rule, 'prohibited_clubbing', 'casual prohibits earned');
+
+    const casualLeave = { leave_policy_id: 'casual', leave_type_name: 'Casual Leave', start_date: '2025-03-07', end_date: '2025-03-07', rules: CASUAL.rules };
+    const fromEarned = checkLeaveRules({
+      policy: { id: 'earned', name: 'Earned Leave', rules: {} },
+      totalDays: 2,
+      startDate: '2025-03-10',
+      today: '2025-03-01',
+      clubbedLeaves: [casualLeave],
+    });
+    assertEqual(fromEarned.length, 1, 'earned next to casual');
+  });
+}
+
+async function runTests() {
+  console.log('🚀 Starting Leave Rules Tests...\n');
+
+  await runRuleValidationTests();
+  await runSandwichAndClubbingTests();
+  await runRuleCheckTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All leave rules tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
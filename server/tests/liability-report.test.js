@@ -0,0 +1,170 @@
+/**
+ * Liability Report Tests
+ *
+ * Tests for month-end gratuity and leave encashment provisions, rollups and
+ * month-over-month movement
+ * Run with: node server/tests/liability-report.test.js
+ */
+
+import XLSX from 'xlsx';
+import {
+  buildLiabilityCsv,
+  buildLiabilityReport,
+  buildLiabilityWorkbook,
+  computeAccruedGratuity,
+  computeEmployeeLiability,
+  monthEnd,
+} from '../services/payroll/liability-report.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function liability(id, department, costCenter, total) {
+  return {
+    employee_id: id,
+    employee_code: id,
+    full_name: id,
+    department,
+    cost_center: costCenter,
+    gratuity: total,
+    leave_encashment: 0,
+    total,
+  };
+}
+
+async function runAccrualTests() {
+  console.log('\n🧪 Running Accrual Tests...\n');
+
+  test('Month end handles leap years', () => {
+    assertEqual(monthEnd(2, 2024), '2024-02-29', 'February 2024');
+    assertEqual(monthEnd(12, 2025), '2025-12-31', 'December 2025');
+  });
+
+  test('Gratuity accrues before it vests, counting whole months', () => {
+    // 2 years 6 months on a basic of 26,000: 26000 * 15/26 * 2.5
+    const gratuity = computeAccruedGratuity({ monthlyBasic: 26000, dateOfJoining: '2023-01-01', asOf: '2025-06-30' });
+    assertEqual(gratuity.service_years, 2.5, 'service years');
+    assertEqual(gratuity.vested, false, 'vested');
+    assertEqual(gratuity.amount, 37500, 'amount');
+  });
+
+  test('Gratuity is capped at the statutory ceiling', () => {
+    const gratuity = computeAccruedGratuity({ monthlyBasic: 500000, dateOfJoining: '2000-04-01', asOf: '2025-03-31' });
+    assertEqual(gratuity.vested, true, 'vested');
+    assertEqual(gratuity.amount, 2000000, 'amount');
+  });
+
+  test('Leave encashment values the unused accrued balance at basic / 30', () => {
+    const row = computeEmployeeLiability({
+      employee: { id: 'e1', employee_code: 'E1', full_name: 'A', department: null, cost_center: 'CC-1', date_of_joining: '2025-01-01' },
+      monthlyBasic: 30000,
+      // 12 days a year, 6 accrued by June, 2 taken
+      policies: [{ name: 'Earned Leave', annual_entitlement: 12, taken: 2 }],
+      asOf: '2025-06-30',
+    });
+    assertEqual(row.encashable_days, 4, 'days');
+    assertEqual(row.leave_encashment, 4000, 'encashment');
+    assertEqual(row.department, 'Unassigned', 'department');
+    assertEqual(row.total, row.gratuity + 4000, 'total');
+  });
+}
+
+async function runReportTests() {
+  console.log('\n🧪 Running Report Tests...\n');
+
+  const report = buildLiabilityReport({
+    month: 6,
+    year: 2025,
+    current: [liability('E1', 'Sales', 'CC-1', 1200), liability('E3', 'Sales', 'CC-2', 300)],
+    previous: [liability('E1', 'Sales', 'CC-1', 1000), liability('E2', 'Ops', 'CC-2', 500)],
+  });
+
+  test('Movement covers continuing employees, joiners and leavers', () => {
+    const byId = Object.fromEntries(report.employees.map(row => [row.employee_id, row]));
+    assertEqual(byId.E1.movement, 200, 'continuing');
+    assertEqual(byId.E3.movement, 300, 'joiner');
+    assertEqual(byId.E2.movement, -500, 'leaver');
+    assertEqual(byId.E2.exited, true, 'leaver flagged');
+    assertEqual(report.totals.employees, 2, 'employees on rolls');
+    assertEqual(report.totals.opening_total, 1500, 'opening');
+    assertEqual(report.totals.total, 1500, 'closing');
+    assertEqual(report.totals.movement, 0, 'net movement');
+  });
+
+  test('Rollups group by department and cost center', () => {
+    const sales = report.departments.find(d => d.name === 'Sales');
+    assertEqual(sales.employees, 2, 'sales headcount');
+    assertEqual(sales.total, 1500, 'sales closing');
+    const cc2 = report.cost_centers.find(c => c.name === 'CC-2');
+    assertEqual(cc2.employees, 1, 'CC-2 headcount excludes the leaver');
+    assertEqual(cc2.movement, -200, 'CC-2 movement');
+  });
+
+  test('CSV and XLSX exports carry every employee', () => {
+    const csv = buildLiabilityCsv(report).split('\n');
+    assertEqual(csv.length, 4, 'CSV rows');
+    assertEqual(csv[0].startsWith('Employee Code,Employee Name,Department,Cost Center'), true, 'CSV header');
+
+    const workbook = XLSX.read(buildLiabilityWorkbook(report), { type: 'buffer' });
+    assertEqual(workbook.SheetNames.join('|'), 'Employees|Departments|Cost Centers', 'sheets');
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets.Departments);
+    assertEqual(rows.length, 2, 'department rows');
+  });
+}
+
+async function runTests() {
+  console.log('🚀 Starting Liability Report Tests...\n');
+
+  await runAccrualTests();
+  await runReportTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All liability report tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
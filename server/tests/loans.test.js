@@ -0,0 +1,195 @@
+/**
+ * Employee Loan Tests
+ *
+ * Tests for EMI calculation, monthly principal/interest split, the interest
+ * perquisite, repayment schedules with skipped months and loan statements
+ * Run with: node server/tests/loans.test.js
+ */
+
+import {
+  buildLoanStatement,
+  buildRepaymentSchedule,
+  computeEmi,
+  computeInterestPerquisite,
+  computeMonthlyRecovery,
+  validateLoanTerms,
+} from '../services/payroll/loans.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// EMI and monthly recovery
+async function runRecoveryTests() {
+  console.log('\n🧪 Running EMI & Recovery Tests...\n');
+
+  test('Interest-free advance is split evenly, rounding up', () => {
+    assertEqual(computeEmi({ principal: 50000, tenureMonths: 12 }), 4167, 'emi');
+  });
+
+  test('Interest-bearing loan uses the reducing-balance EMI', () => {
+    assertEqual(computeEmi({ principal: 100000, annualRate: 12, tenureMonths: 12 }), 8885, 'emi');
+  });
+
+  test('Monthly recovery charges interest on the balance first', () => {
+    const recovery = computeMonthlyRecovery({ outstanding: 100000, annualRate: 12, emi: 8885 });
+    assertEqual(recovery.interest, 1000, 'interest');
+    assertEqual(recovery.principal, 7885, 'principal');
+    assertEqual(recovery.amount, 8885, 'amount');
+  });
+
+  test('Final instalment recovers only the remaining balance', () => {
+    const recovery = computeMonthlyRecovery({ outstanding: 3000, emi: 4167 });
+    assertEqual(recovery.principal, 3000, 'principal');
+    assertEqual(recovery.amount, 3000, 'amount');
+  });
+
+  test('Foreclosure recovers the whole balance plus the month\'s interest', () => {
+    const recovery = computeMonthlyRecovery({ outstanding: 50000, annualRate: 12, emi: 4442, foreclose: true });
+    assertEqual(recovery.principal, 50000, 'principal');
+    assertEqual(recovery.interest, 500, 'interest');
+    assertEqual(recovery.amount, 50500, 'amount');
+  });
+
+  test('Interest perquisite applies only above the exempt aggregate', () => {
+    assertEqual(
+      computeInterestPerquisite({ outstanding: 20000, annualRate: 0, benchmarkRate: 9, aggregatePrincipal: 20000 }),
+      0,
+      'small loan'
+    );
+    assertEqual(
+      computeInterestPerquisite({ outstanding: 500000, annualRate: 4, benchmarkRate: 9, aggregatePrincipal: 500000 }),
+      2083.33,
+      'concessional loan'
+    );
+    assertEqual(
+      computeInterestPerquisite({ outstanding: 500000, annualRate: 10, benchmarkRate: 9, aggregatePrincipal: 500000 }),
+      0,
+      'above benchmark'
+    );
+  });
+
+  test('Loan terms are validated', () => {
+    assertEqual(validateLoanTerms({ principal: 10000, tenure_months: 10 }), null, 'valid');
+    assertEqual(validateLoanTerms({ principal: 0, tenure_months: 10 }), 'principal must be greater than zero', 'principal');
+    assertEqual(
+      validateLoanTerms({ principal: 10000, tenure_months: 10, start_month: 4 }),
+      'start_month and start_year must be given together',
+      'start month'
+    );
+  });
+
+  console.log(`\n📊 Recovery Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Schedules and statements
+async function runScheduleTests() {
+  console.log('\n🧪 Running Schedule & Statement Tests...\n');
+
+  test('Schedule repays the full principal over the tenure', () => {
+    const schedule = buildRepaymentSchedule({ outstanding: 100000, annualRate: 12, emi: 8885, month: 4, year: 2025 });
+    assertEqual(schedule.length, 12, 'instalments');
+    assertEqual(schedule[schedule.length - 1].month, 3, 'last month');
+    assertEqual(schedule[schedule.length - 1].year, 2026, 'last year');
+    assertEqual(schedule[schedule.length - 1].balance, 0, 'closing balance');
+  });
+
+  test('Skipped months push the remaining instalments out', () => {
+    const schedule = buildRepaymentSchedule({
+      outstanding: 12000,
+      emi: 4000,
+      month: 11,
+      year: 2025,
+      skips: [{ month: 12, year: 2025 }],
+    });
+    assertEqual(schedule.map(s => `${s.month}/${s.year}`).join(','), '11/2025,1/2026,2/2026', 'months');
+    assertEqual(schedule.map(s => s.balance).join(','), '8000,4000,0', 'balances');
+  });
+
+  test('Statement shows recoveries and projects the rest', () => {
+    const statement = buildLoanStatement({
+      loan: { principal: 12000, interest_rate: 0, emi_amount: 4000, status: 'active', start_month: 1, start_year: 2025 },
+      repayments: [
+        { month: 1, year: 2025, repayment_type: 'emi', principal_amount: 4000, interest_amount: 0, amount: 4000, payroll_cycle_id: 'c1' },
+      ],
+      asOf: new Date(2025, 1, 15),
+    });
+    assertEqual(statement.principalRepaid, 4000, 'repaid');
+    assertEqual(statement.outstanding, 8000, 'outstanding');
+    assertEqual(statement.transactions[0].balance, 8000, 'running balance');
+    assertEqual(statement.projection.length, 2, 'projected instalments');
+    assertEqual(statement.projection[0].month, 2, 'next month');
+  });
+
+  test('Foreclosed loan has no projection', () => {
+    const statement = buildLoanStatement({
+      loan: { principal: 12000, interest_rate: 0, emi_amount: 4000, status: 'foreclosed', start_month: 1, start_year: 2025 },
+      repayments: [
+        { month: 1, year: 2025, repayment_type: 'emi', principal_amount: 4000, interest_amount: 0, amount: 4000, payroll_cycle_id: 'c1' },
+        { month: 2, year: 2025, repayment_type: 'foreclosure', principal_amount: 8000, interest_amount: 0, amount: 8000, payroll_cycle_id: null },
+      ],
+    });
+    assertEqual(statement.outstanding, 0, 'outstanding');
+    assertEqual(statement.projection.length, 0, 'projection');
+    assertEqual(statement.transactions[1].viaPayroll, false, 'direct repayment');
+  });
+
+  console.log(`\n📊 Schedule Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Main test runner
+async function runTests() {
+  console.log('🚀 Starting Employee Loan Tests...\n');
+
+  await runRecoveryTests();
+  await runScheduleTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All employee loan tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
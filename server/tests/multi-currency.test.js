@@ -0,0 +1,181 @@
+/**
+ * Multi-Currency Payroll Tests
+ *
+ * Tests for minor-unit conversion, currency and locale resolution, and the
+ * per-country statutory rules providers
+ * Run with: node server/tests/multi-currency.test.js
+ */
+
+import {
+  formatMoney,
+  fromMinorUnits,
+  resolvePayrollCurrency,
+  roundMoney,
+  toMinorUnits,
+  validateCountryAndCurrency,
+} from '../services/payroll/currency.js';
+import {
+  getStatutoryProvider,
+  indiaStatutoryProvider,
+  noStatutoryProvider,
+  registerStatutoryProvider,
+} from '../services/payroll/statutory-providers.js';
+import { summarizeGrossByCurrency } from '../services/payroll/payroll-engine.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+async function test(name, fn) {
+  try {
+    await fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+async function runCurrencyTests() {
+  console.log('\n🧪 Running Currency Tests...\n');
+
+  await test('Amounts convert to and from minor units by currency', () => {
+    assertEqual(toMinorUnits(1234.56, 'INR'), 123456, 'paise');
+    assertEqual(toMinorUnits(0.1 + 0.2, 'USD'), 30, 'cents round');
+    assertEqual(toMinorUnits(1500, 'JPY'), 1500, 'yen has no minor unit');
+    assertEqual(fromMinorUnits(123456, 'INR'), 1234.56, 'back to rupees');
+  });
+
+  await test('Amounts round to the currency\'s minor units', () => {
+    assertEqual(roundMoney(1234.567, 'INR'), 1234.57, 'paise');
+    assertEqual(roundMoney(1234.5, 'JPY'), 1235, 'whole yen');
+    assertEqual(roundMoney(1234.567), 1234.57, 'defaults to INR');
+  });
+
+  await test('Employees inherit the tenant country and currency unless they have their own', () => {
+    const tenant = { country: 'IN', currency: 'INR' };
+    const local = resolvePayrollCurrency({}, tenant);
+    assertEqual(`${local.country}/${local.currency}/${local.locale}`, 'IN/INR/en-IN', 'local');
+    const abroad = resolvePayrollCurrency({ country: 'DE' }, tenant);
+    assertEqual(`${abroad.country}/${abroad.currency}/${abroad.locale}`, 'DE/EUR/de-DE', 'country brings currency');
+    const override = resolvePayrollCurrency({ country: 'AE', currency: 'USD' }, tenant);
+    assertEqual(override.currency, 'USD', 'explicit currency');
+  });
+
+  await test('Statutory rules follow the employee country, not a currency override', () => {
+    const tenant = { country: 'IN', currency: 'INR' };
+    assertEqual(resolvePayrollCurrency({}, tenant).statutoryCountry, 'IN', 'tenant country');
+    assertEqual(resolvePayrollCurrency({ country: 'DE' }, tenant).statutoryCountry, 'DE', 'own country');
+    const paidInUsd = resolvePayrollCurrency({ currency: 'USD' }, tenant);
+    assertEqual(paidInUsd.statutoryCountry, null, 'currency only');
+    assertEqual(getStatutoryProvider(paidInUsd.statutoryCountry), noStatutoryProvider, 'no provider');
+    assertEqual(resolvePayrollCurrency({ currency: 'INR' }, tenant).statutoryCountry, 'IN', 'tenant currency');
+  });
+
+  await test('Unknown countries and currencies are rejected', () => {
+    assertEqual(validateCountryAndCurrency({ country: 'US', currency: 'USD' }), null, 'valid');
+    assertEqual(validateCountryAndCurrency({ country: '', currency: null }), null, 'blank inherits');
+    assertEqual(validateCountryAndCurrency({ country: 'XX' }).startsWith('country must be one of'), true, 'country');
+    assertEqual(validateCountryAndCurrency({ currency: 'ABC' }).startsWith('currency must be one of'), true, 'currency');
+  });
+
+  await test('Money is formatted in the currency and locale', () => {
+    assertEqual(formatMoney(1234.5, 'USD', 'en-US'), '$1,234.50', 'USD');
+    assertEqual(formatMoney(150000, 'INR', 'en-IN'), '₹1,50,000.00', 'INR lakh grouping');
+  });
+
+  await test('Cycle totals are kept per currency in minor units', () => {
+    const totals = summarizeGrossByCurrency([
+      { gross_salary: 50000, currency: 'INR' },
+      { gross_salary: 25000.5, currency: 'INR' },
+      { gross_salary: 4000, currency: 'USD' },
+    ]);
+    assertEqual(totals.INR, 7500050, 'INR');
+    assertEqual(totals.USD, 400000, 'USD');
+  });
+}
+
+async function runProviderTests() {
+  console.log('\n🧪 Running Statutory Provider Tests...\n');
+
+  await test('India applies PF, ESI and professional tax', () => {
+    const { pf, esi, pt } = indiaStatutoryProvider.computeContributions({
+      basicWages: 10000,
+      grossWages: 20000,
+      settings: { pt_rate: 200 },
+      asOf: new Date(2025, 5, 30),
+    });
+    assertEqual(pf.employeePf, 1200, 'PF');
+    assertEqual(esi.employeeEsi, 150, 'ESI');
+    assertEqual(pt, 200, 'PT');
+  });
+
+  await test('Countries without a provider have no statutory deductions or withholding', async () => {
+    const provider = getStatutoryProvider('US');
+    assertEqual(provider, noStatutoryProvider, 'provider');
+    const { pf, esi, pt } = provider.computeContributions({ basicWages: 10000, grossWages: 20000, settings: {} });
+    assertEqual(pf.employeePf + esi.employeeEsi + pt, 0, 'contributions');
+    const tax = await provider.computeTax({ monthlyGross: 20000 });
+    assertEqual(tax.monthlyTds + tax.oneTimeTax + tax.ytd.tds, 0, 'tax');
+  });
+
+  await test('Providers can be registered per country', () => {
+    const provider = { code: 'test', computeContributions: () => ({}), computeTax: async () => ({}) };
+    registerStatutoryProvider('SG', provider);
+    assertEqual(getStatutoryProvider('SG'), provider, 'registered');
+    assertEqual(getStatutoryProvider('IN'), indiaStatutoryProvider, 'India unchanged');
+    let error = null;
+    try {
+      registerStatutoryProvider('AE', {});
+    } catch (e) {
+      error = e.message;
+    }
+    assertEqual(error, 'A statutory provider needs computeContributions and computeTax', 'invalid provider');
+  });
+}
+
+async function runTests() {
+  console.log('🚀 Starting Multi-Currency Payroll Tests...\n');
+
+  await runCurrencyTests();
+  await runProviderTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All multi-currency payroll tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
@@ -0,0 +1,120 @@
+/**
+ * Off-Cycle Run Tests
+ *
+ * Tests for earning line validation and how lines become payroll item
+ * components
+ * Run with: node server/tests/off-cycle.test.js
+ */
+
+import { validateOffCycleEarning, summarizeOffCycleEarnings } from '../services/payroll/off-cycle.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+async function runValidationTests() {
+  console.log('\n🧪 Running Earning Line Validation Tests...\n');
+
+  test('A line needs an employee and a positive amount', () => {
+    assertEqual(validateOffCycleEarning({ amount: 100 }), 'employee_id is required', 'employee');
+    assertEqual(validateOffCycleEarning({ employee_id: 'e1', amount: 0 }), 'amount must be greater than zero', 'amount');
+    assertEqual(validateOffCycleEarning({ employee_id: 'e1', amount: 5000 }), null, 'valid');
+  });
+
+  test('Component codes are upper-case identifiers', () => {
+    assertEqual(
+      validateOffCycleEarning({ employee_id: 'e1', amount: 5000, component_code: 'joining bonus' }),
+      'component_code must be upper-case letters, digits or underscores',
+      'invalid code'
+    );
+    assertEqual(validateOffCycleEarning({ employee_id: 'e1', amount: 5000, component_code: 'JOINING_BONUS' }), null, 'valid code');
+  });
+
+  console.log(`\n📊 Validation Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+async function runSummaryTests() {
+  console.log('\n🧪 Running Earning Summary Tests...\n');
+
+  test('Lines with the same code are combined', () => {
+    const summary = summarizeOffCycleEarnings([
+      { component_code: 'BONUS', component_name: 'Bonus', amount: '50000.00', is_taxable: true },
+      { component_code: 'BONUS', component_name: 'Bonus', amount: '10000.50', is_taxable: true },
+      { component_code: 'INCENTIVE', component_name: 'Sales Incentive', amount: '7500', is_taxable: true },
+    ]);
+    assertEqual(summary.components.length, 2, 'components');
+    assertEqual(summary.components[0].amount, 60000.5, 'combined bonus');
+    assertEqual(summary.components[0].component_type, 'earning', 'earning');
+    assertEqual(summary.gross, 67500.5, 'gross');
+    assertEqual(summary.taxable, 67500.5, 'taxable');
+  });
+
+  test('Non-taxable lines count towards gross but not taxable income', () => {
+    const summary = summarizeOffCycleEarnings([
+      { component_code: 'CORRECTION', component_name: 'Salary Correction', amount: 4000, is_taxable: true },
+      { component_code: 'CORRECTION', component_name: 'Salary Correction', amount: 1500, is_taxable: false },
+    ]);
+    assertEqual(summary.components.length, 2, 'kept apart');
+    assertEqual(summary.gross, 5500, 'gross');
+    assertEqual(summary.taxable, 4000, 'taxable');
+  });
+
+  console.log(`\n📊 Summary Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Main test runner
+async function runTests() {
+  console.log('🚀 Starting Off-Cycle Run Tests...\n');
+
+  await runValidationTests();
+  await runSummaryTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All off-cycle run tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
@@ -0,0 +1,172 @@
+/**
+ * Payroll Variance Tests
+ *
+ * Tests for joiner/exit detection, threshold flags, LOP and component
+ * deltas, and net pay anomalies
+ * Run with: node server/tests/payroll-variance.test.js
+ */
+
+import { buildVarianceReport } from '../services/payroll/variance.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+const item = (employeeId, overrides = {}) => ({
+  employee_id: employeeId,
+  employee_code: employeeId.toUpperCase(),
+  employee_name: `Employee ${employeeId}`,
+  gross_salary: 50000,
+  net_salary: 42000,
+  lop_days: 0,
+  components: [
+    { code: 'BASIC', name: 'Basic', component_type: 'earning', amount: 25000 },
+    { code: 'HRA', name: 'HRA', component_type: 'earning', amount: 10000 },
+    { code: 'SPECIAL', name: 'Special', component_type: 'earning', amount: 15000 },
+  ],
+  ...overrides,
+});
+
+const find = (report, employeeId) => report.employees.find(e => e.employee_id === employeeId);
+
+async function runVarianceTests() {
+  console.log('\n🧪 Running Variance Tests...\n');
+
+  test('Joiners and exits are detected', () => {
+    const report = buildVarianceReport({
+      previousItems: [item('e1'), item('e2')],
+      currentItems: [item('e1'), item('e3')],
+    });
+    assertEqual(find(report, 'e3').status, 'new_joiner', 'joiner');
+    assertEqual(find(report, 'e2').status, 'exit', 'exit');
+    assertEqual(find(report, 'e2').net_delta, -42000, 'exit delta');
+    assertEqual(report.summary.new_joiners, 1, 'joiner count');
+    assertEqual(report.summary.exits, 1, 'exit count');
+    assertEqual(find(report, 'e1').flags.length, 0, 'unchanged employee');
+  });
+
+  test('Changes are flagged only above the threshold', () => {
+    const previousItems = [item('e1'), item('e2')];
+    const currentItems = [item('e1', { gross_salary: 54000, net_salary: 45400 }), item('e2', { gross_salary: 52000, net_salary: 43700 })];
+    const report = buildVarianceReport({ previousItems, currentItems, thresholdPercent: 5 });
+    assertEqual(find(report, 'e1').flags.includes('gross_change'), true, 'above threshold');
+    assertEqual(find(report, 'e1').gross_change_percent, 8, 'percent');
+    assertEqual(find(report, 'e2').flags.includes('gross_change'), false, 'below threshold');
+  });
+
+  test('LOP and component deltas are reported', () => {
+    const report = buildVarianceReport({
+      previousItems: [item('e1')],
+      currentItems: [item('e1', {
+        lop_days: 2,
+        components: [
+          { code: 'BASIC', name: 'Basic', component_type: 'earning', amount: 23333.33 },
+          { code: 'HRA', name: 'HRA', component_type: 'earning', amount: 10000 },
+          { code: 'SPECIAL', name: 'Special', component_type: 'earning', amount: 15000 },
+          { code: 'ARREARS', name: 'Salary Arrears', component_type: 'earning', amount: 1500 },
+        ],
+      })],
+    });
+    const employee = find(report, 'e1');
+    assertEqual(employee.lop_delta, 2, 'lop delta');
+    assertEqual(employee.flags.includes('lop_change'), true, 'lop flag');
+    assertEqual(employee.components.length, 2, 'changed components');
+    assertEqual(employee.components[0].code, 'BASIC', 'largest delta first');
+    assertEqual(employee.components[0].delta, -1666.67, 'basic delta');
+    assertEqual(employee.components[1].previous, 0, 'new component');
+  });
+
+  test('Fixed columns match engine component codes and repeated codes add up', () => {
+    const report = buildVarianceReport({
+      previousItems: [item('e1', { components: [], basic_salary: 25000, hra: 10000, special_allowance: 15000 })],
+      currentItems: [item('e1', {
+        components: [
+          { code: 'BASIC', name: 'Basic', component_type: 'earning', amount: 25000 },
+          { code: 'HRA', name: 'HRA', component_type: 'earning', amount: 10000 },
+          { code: 'SPECIAL_ALLOWANCE', name: 'Special', component_type: 'earning', amount: 10000 },
+          { code: 'SPECIAL_ALLOWANCE', name: 'Special', component_type: 'earning', amount: 5000 },
+        ],
+      })],
+    });
+    assertEqual(find(report, 'e1').components.length, 0, 'no component deltas');
+  });
+
+  test('Zero and doubled net pay are anomalies', () => {
+    const report = buildVarianceReport({
+      previousItems: [item('e1'), item('e2')],
+      currentItems: [item('e1', { net_salary: 0 }), item('e2', { net_salary: 90000 })],
+    });
+    assertEqual(find(report, 'e1').anomalies[0].type, 'zero_net', 'zero');
+    assertEqual(find(report, 'e2').anomalies[0].type, 'net_doubled', 'doubled');
+    assertEqual(report.summary.anomalies, 2, 'anomaly count');
+    assertEqual(report.employees[0].anomalies.length > 0, true, 'anomalies sorted first');
+  });
+
+  test('Summary totals compare both cycles', () => {
+    const report = buildVarianceReport({
+      previousItems: [item('e1')],
+      currentItems: [item('e1', { net_salary: 46200 })],
+    });
+    assertEqual(report.summary.previous_net, 42000, 'previous net');
+    assertEqual(report.summary.net_delta, 4200, 'net delta');
+    assertEqual(report.summary.net_change_percent, 10, 'net percent');
+  });
+
+  console.log(`\n📊 Variance Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Main test runner
+async function runTests() {
+  console.log('🚀 Starting Payroll Variance Tests...\n');
+
+  await runVarianceTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All payroll variance tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
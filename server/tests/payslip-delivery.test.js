@@ -0,0 +1,113 @@
+/**
+ * Payslip Delivery Tests
+ *
+ * Tests for the emailed payslip password rule and the retry schedule for
+ * failed sends
+ * Run with: node server/tests/payslip-delivery.test.js
+ */
+
+import {
+  derivePayslipPassword,
+  getNextAttemptAt,
+  MAX_DELIVERY_ATTEMPTS,
+} from '../services/payroll/payslip-delivery.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+async function runPasswordTests() {
+  console.log('\n🧪 Running Payslip Password Tests...\n');
+
+  test('Password is the PAN prefix followed by the date of birth as DDMMYYYY', () => {
+    assertEqual(
+      derivePayslipPassword({ pan_number: 'abcde1234f', date_of_birth: '1990-01-31' }),
+      'ABCD31011990',
+      'string date'
+    );
+    assertEqual(
+      derivePayslipPassword({ pan_number: 'PQRST9876K', date_of_birth: new Date(1985, 11, 5) }),
+      'PQRS05121985',
+      'Date object'
+    );
+  });
+
+  test('No password without a PAN or date of birth', () => {
+    assertEqual(derivePayslipPassword({ pan_number: null, date_of_birth: '1990-01-31' }), null, 'no PAN');
+    assertEqual(derivePayslipPassword({ pan_number: 'ABCDE1234F', date_of_birth: null }), null, 'no DOB');
+    assertEqual(derivePayslipPassword({ pan_number: 'AB', date_of_birth: '1990-01-31' }), null, 'short PAN');
+  });
+}
+
+async function runRetryTests() {
+  console.log('\n🧪 Running Retry Schedule Tests...\n');
+
+  const now = new Date('2025-04-01T10:00:00Z');
+  const minutesAfter = (date) => (date.getTime() - now.getTime()) / 60000;
+
+  test('Retries back off after each failed attempt', () => {
+    assertEqual(minutesAfter(getNextAttemptAt(1, now)), 5, 'first retry');
+    assertEqual(minutesAfter(getNextAttemptAt(2, now)), 30, 'second retry');
+    assertEqual(minutesAfter(getNextAttemptAt(3, now)), 120, 'third retry');
+  });
+
+  test('A send is given up once the attempts run out', () => {
+    assertEqual(getNextAttemptAt(MAX_DELIVERY_ATTEMPTS, now), null, 'exhausted');
+  });
+}
+
+async function runTests() {
+  console.log('🚀 Starting Payslip Delivery Tests...\n');
+
+  await runPasswordTests();
+  await runRetryTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All payslip delivery tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
@@ -0,0 +1,161 @@
+/**
+ * Salary Structure Tests
+ *
+ * Tests for the formula parser, dependency ordering and template evaluation
+ * Run with: node server/tests/salary-structure.test.js
+ */
+
+import {
+  evaluateFormula,
+  evaluateSalaryStructure,
+  orderComponents,
+  validateComponents,
+} from '../services/payroll/salary-structure.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, pattern, label) {
+  try {
+    fn();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(`${label}: unexpected error "${error.message}"`);
+    }
+    return;
+  }
+  throw new Error(`${label}: expected an error`);
+}
+
+// Formula parser
+async function runFormulaTests() {
+  console.log('\n🧪 Running Formula Tests...\n');
+
+  test('Arithmetic respects precedence and parentheses', () => {
+    assertEqual(evaluateFormula('2 + 3 * 4'), 14, 'precedence');
+    assertEqual(evaluateFormula('(2 + 3) * 4'), 20, 'parentheses');
+    assertEqual(evaluateFormula('-BASIC / 2', { BASIC: 100 }), -50, 'unary minus');
+  });
+
+  test('Functions and comparisons', () => {
+    assertEqual(evaluateFormula('max(BASIC * 0.1, 1600)', { BASIC: 10000 }), 1600, 'max');
+    assertEqual(evaluateFormula('if(CTC > 50000, 2000, 0)', { CTC: 60000 }), 2000, 'if');
+    assertEqual(evaluateFormula('round(10 / 3)'), 3, 'round');
+  });
+
+  test('Division by zero yields zero', () => {
+    assertEqual(evaluateFormula('BASIC / 0', { BASIC: 100 }), 0, 'division');
+  });
+
+  test('Invalid formulas are rejected', () => {
+    assertThrows(() => evaluateFormula('BASIC +'), /end of formula/, 'dangling operator');
+    assertThrows(() => evaluateFormula('pow(2, 3)'), /Unknown function/, 'unknown function');
+    assertThrows(() => evaluateFormula('BASIC; DROP'), /Unexpected character/, 'bad character');
+  });
+
+  console.log(`\n📊 Formula Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Template ordering and evaluation
+async function runTemplateTests() {
+  console.log('\n🧪 Running Template Tests...\n');
+
+  const template = [
+    { code: 'SPECIAL', name: 'Special Allowance', component_type: 'earning', calculation_type: 'formula', formula: 'CTC - BASIC - HRA - CONVEYANCE' },
+    { code: 'HRA', name: 'HRA', component_type: 'earning', calculation_type: 'percentage', percentage: 50, percentage_of: 'BASIC' },
+    { code: 'BASIC', name: 'Basic', component_type: 'earning', calculation_type: 'percentage', percentage: 40, percentage_of: 'CTC' },
+    { code: 'CONVEYANCE', name: 'Conveyance', component_type: 'earning', calculation_type: 'fixed', amount: 1600 },
+    { code: 'CANTEEN', name: 'Canteen', component_type: 'deduction', calculation_type: 'fixed', amount: 500, prorate: false },
+  ];
+
+  test('Components are ordered after their dependencies', () => {
+    const order = orderComponents(template).map(c => c.code);
+    assertEqual(order.indexOf('BASIC') < order.indexOf('HRA'), true, 'BASIC before HRA');
+    assertEqual(order.indexOf('HRA') < order.indexOf('SPECIAL'), true, 'HRA before SPECIAL');
+  });
+
+  test('Template evaluates monthly amounts from annual CTC', () => {
+    const result = evaluateSalaryStructure(template, 1200000);
+    const byCode = Object.fromEntries(result.components.map(c => [c.code, c.amount]));
+    assertEqual(byCode.BASIC, 40000, 'basic');
+    assertEqual(byCode.HRA, 20000, 'hra');
+    assertEqual(byCode.SPECIAL, 38400, 'special');
+    assertEqual(result.totalEarnings, 100000, 'earnings');
+    assertEqual(result.totalDeductions, 500, 'deductions');
+  });
+
+  test('Circular references are rejected', () => {
+    const cyclic = [
+      { code: 'A', name: 'A', component_type: 'earning', calculation_type: 'formula', formula: 'B + 1' },
+      { code: 'B', name: 'B', component_type: 'earning', calculation_type: 'percentage', percentage: 10, percentage_of: 'A' },
+    ];
+    assertEqual(validateComponents(cyclic), 'Circular reference between components: A -> B -> A', 'cycle');
+  });
+
+  test('Unknown references and reserved codes are rejected', () => {
+    const unknown = [{ code: 'A', name: 'A', component_type: 'earning', calculation_type: 'formula', formula: 'GHOST * 2' }];
+    assertEqual(validateComponents(unknown), 'Component A references unknown component GHOST', 'unknown');
+    const reserved = [{ code: 'CTC', name: 'CTC', component_type: 'earning', calculation_type: 'fixed', amount: 1 }];
+    assertEqual(validateComponents(reserved), 'CTC is reserved and cannot be used as a component code', 'reserved');
+  });
+
+  console.log(`\n📊 Template Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Main test runner
+async function runTests() {
+  console.log('🚀 Starting Salary Structure Tests...\n');
+
+  await runFormulaTests();
+  await runTemplateTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All salary structure tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
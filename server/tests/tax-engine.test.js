@@ -0,0 +1,234 @@
+/**
+ * Tax Engine Tests
+ *
+ * Tests for slab computation, regimes, rebate, surcharge and TDS projection
+ * Run with: node server/tests/tax-engine.test.js
+ */
+
+import {
+  computeAnnualTax,
+  projectMonthlyTds,
+  getDefaultTaxConfig,
+  getFinancialYear,
+  getRemainingMonthsInFinancialYear,
+} from '../services/payroll/tax-engine.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// Financial year helpers
+async function runFinancialYearTests() {
+  console.log('\n🧪 Running Financial Year Tests...\n');
+
+  test('Financial year runs April to March', () => {
+    assertEqual(getFinancialYear(4, 2025), '2025-26', 'April 2025');
+    assertEqual(getFinancialYear(3, 2026), '2025-26', 'March 2026');
+    assertEqual(getFinancialYear(12, 2099), '2099-00', 'December 2099');
+  });
+
+  test('Remaining months include the current month', () => {
+    assertEqual(getRemainingMonthsInFinancialYear(4), 12, 'April');
+    assertEqual(getRemainingMonthsInFinancialYear(12), 4, 'December');
+    assertEqual(getRemainingMonthsInFinancialYear(3), 1, 'March');
+  });
+
+  test('Unknown future years fall back to the latest defaults', () => {
+    const config = getDefaultTaxConfig('2030-31', 'new');
+    assertEqual(config, getDefaultTaxConfig('2025-26', 'new'), 'config');
+  });
+
+  console.log(`\n📊 Financial Year Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Annual tax computation
+async function runAnnualTaxTests() {
+  console.log('\n🧪 Running Annual Tax Tests...\n');
+
+  const newRegime = getDefaultTaxConfig('2025-26', 'new');
+  const oldRegime = getDefaultTaxConfig('2025-26', 'old');
+
+  test('New regime: full rebate up to 12 lakh taxable income', () => {
+    const result = computeAnnualTax({ grossIncome: 1275000, regime: 'new', config: newRegime });
+    assertEqual(result.taxableIncome, 1200000, 'taxable income');
+    assertEqual(result.slabTax, 60000, 'slab tax');
+    assertEqual(result.totalTax, 0, 'total tax');
+  });
+
+  test('New regime: marginal relief just above the rebate limit', () => {
+    const result = computeAnnualTax({ grossIncome: 1285000, regime: 'new', config: newRegime });
+    assertEqual(result.taxableIncome, 1210000, 'taxable income');
+    assertEqual(result.rebate, 51500, 'rebate');
+    assertEqual(result.totalTax, 10400, 'total tax');
+  });
+
+  test('New regime ignores declared deductions', () => {
+    const result = computeAnnualTax({
+      grossIncome: 1375000,
+      regime: 'new',
+      config: newRegime,
+      declarations: { section_80c: 150000, section_80d: 25000 },
+    });
+    assertEqual(result.taxableIncome, 1300000, 'taxable income');
+    assertEqual(result.totalTax, 78000, 'total tax');
+  });
+
+  test('Old regime applies standard deduction, PT and Chapter VI-A', () => {
+    const result = computeAnnualTax({
+      grossIncome: 1000000,
+      regime: 'old',
+      config: oldRegime,
+      declarations: { section_80c: 150000, section_80d: 25000 },
+      professionalTax: 2400,
+    });
+    assertEqual(result.taxableIncome, 772600, 'taxable income');
+    assertEqual(result.slabTax, 67020, 'slab tax');
+    assertEqual(result.totalTax, 69701, 'total tax');
+  });
+
+  test('Old regime caps 80C including employee PF', () => {
+    const result = computeAnnualTax({
+      grossIncome: 1000000,
+      regime: 'old',
+      config: oldRegime,
+      declarations: { section_80c: 200000 },
+      employeePf: 21600,
+    });
+    assertEqual(result.chapterVIA.section_80c, 150000, '80C');
+  });
+
+  test('Surcharge marginal relief above 50 lakh', () => {
+    const result = computeAnnualTax({ grossIncome: 5110000, regime: 'old', config: oldRegime });
+    assertEqual(result.taxableIncome, 5060000, 'taxable income');
+    assertEqual(result.surcharge, 42000, 'surcharge');
+    assertEqual(result.totalTax, 1427400, 'total tax');
+  });
+
+  console.log(`\n📊 Annual Tax Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Monthly TDS projection
+async function runProjectionTests() {
+  console.log('\n🧪 Running TDS Projection Tests...\n');
+
+  const newRegime = getDefaultTaxConfig('2025-26', 'new');
+
+  test('April projection spreads annual tax over 12 months', () => {
+    const result = projectMonthlyTds({ monthlyGross: 150000, month: 4, regime: 'new', config: newRegime });
+    assertEqual(result.projectedAnnualIncome, 1800000, 'projected income');
+    assertEqual(result.annualTax, 150800, 'annual tax');
+    assertEqual(result.monthlyTds, 12567, 'monthly TDS');
+  });
+
+  test('Mid-year projection subtracts TDS already deducted', () => {
+    const result = projectMonthlyTds({
+      monthlyGross: 150000,
+      month: 10,
+      regime: 'new',
+      config: newRegime,
+      ytd: { gross: 900000, tds: 60000 },
+    });
+    assertEqual(result.remainingMonths, 6, 'remaining months');
+    assertEqual(result.monthlyTds, 15133, 'monthly TDS');
+  });
+
+  test('Over-deducted TDS never goes negative', () => {
+    const result = projectMonthlyTds({
+      monthlyGross: 50000,
+      month: 1,
+      regime: 'new',
+      config: newRegime,
+      ytd: { gross: 450000, tds: 40000 },
+    });
+    assertEqual(result.monthlyTds, 0, 'monthly TDS');
+  });
+
+  test('One-time income is taxed in full in the month it is paid', () => {
+    const regular = projectMonthlyTds({ monthlyGross: 150000, month: 4, regime: 'new', config: newRegime });
+    const withArrears = projectMonthlyTds({
+      monthlyGross: 150000,
+      month: 4,
+      regime: 'new',
+      config: newRegime,
+      oneTimeIncome: 120000,
+    });
+    assertEqual(withArrears.projectedAnnualIncome, 1920000, 'projected income');
+    assertEqual(withArrears.annualTax, 175760, 'annual tax');
+    // 24960 of extra tax is recovered now rather than spread over the year
+    assertEqual(withArrears.monthlyTds, regular.monthlyTds + 24960, 'monthly TDS');
+  });
+
+  test('Tax on one-time income is reported for off-cycle runs', () => {
+    const bonus = projectMonthlyTds({
+      monthlyGross: 150000,
+      month: 4,
+      regime: 'new',
+      config: newRegime,
+      ytd: { gross: 0, tds: 0 },
+      oneTimeIncome: 120000,
+    });
+    assertEqual(bonus.oneTimeTax, 24960, 'one-time tax');
+    const none = projectMonthlyTds({ monthlyGross: 150000, month: 4, regime: 'new', config: newRegime });
+    assertEqual(none.oneTimeTax, 0, 'no one-time income');
+  });
+
+  console.log(`\n📊 TDS Projection Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Main test runner
+async function runTests() {
+  console.log('🚀 Starting Tax Engine Tests...\n');
+
+  await runFinancialYearTests();
+  await runAnnualTaxTests();
+  await runProjectionTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All tax engine tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
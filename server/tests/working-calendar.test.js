@@ -0,0 +1,166 @@
+/**
+ * Working Calendar Tests
+ *
+ * Tests for weekly offs, holidays, joining/exit dates and proration bases
+ * Run with: node server/tests/working-calendar.test.js
+ */
+
+import {
+  buildMonthCalendar,
+  resolveProrationDays,
+  countPayableDaysInRange,
+  isWeeklyOff,
+  validateWeeklyOffs,
+} from '../services/payroll/working-calendar.js';
+
+const testResults = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function test(name, fn) {
+  try {
+    fn();
+    testResults.passed++;
+    testResults.tests.push({ name, status: 'PASS' });
+    console.log(`✅ PASS: ${name}`);
+  } catch (error) {
+    testResults.failed++;
+    testResults.tests.push({ name, status: 'FAIL', error: error.message });
+    console.error(`❌ FAIL: ${name} - ${error.message}`);
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// Weekly off patterns
+async function runWeeklyOffTests() {
+  console.log('\n🧪 Running Weekly Off Tests...\n');
+
+  test('Sundays are off by default', () => {
+    assertEqual(isWeeklyOff(new Date(2025, 10, 2)), true, 'Sunday 2 Nov 2025');
+    assertEqual(isWeeklyOff(new Date(2025, 10, 3)), false, 'Monday 3 Nov 2025');
+  });
+
+  test('Alternate Saturdays only match the listed occurrences', () => {
+    const pattern = [{ day: 0 }, { day: 6, weeks: [2, 4] }];
+    assertEqual(isWeeklyOff(new Date(2025, 10, 1), pattern), false, '1st Saturday');
+    assertEqual(isWeeklyOff(new Date(2025, 10, 8), pattern), true, '2nd Saturday');
+    assertEqual(isWeeklyOff(new Date(2025, 10, 22), pattern), true, '4th Saturday');
+  });
+
+  test('Invalid patterns are rejected', () => {
+    assertEqual(validateWeeklyOffs([{ day: 7 }]) !== null, true, 'day 7');
+    assertEqual(validateWeeklyOffs([{ day: 6, weeks: [6] }]) !== null, true, 'week 6');
+    assertEqual(validateWeeklyOffs([{ day: 0 }, { day: 6 }]), null, 'weekend');
+  });
+
+  console.log(`\n📊 Weekly Off Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Month calendar and proration
+async function runProrationTests() {
+  console.log('\n🧪 Running Proration Tests...\n');
+
+  const weekend = [{ day: 0 }, { day: 6 }];
+
+  test('Working days exclude weekly offs and holidays', () => {
+    const calendar = buildMonthCalendar({
+      year: 2025,
+      month: 11,
+      weeklyOffs: weekend,
+      holidays: [{ date: '2025-11-05' }],
+    });
+    assertEqual(calendar.daysInMonth, 30, 'days in month');
+    assertEqual(calendar.weeklyOffs, 10, 'weekly offs');
+    assertEqual(calendar.holidays, 1, 'holidays');
+    assertEqual(calendar.workingDays, 19, 'working days');
+  });
+
+  test('Holidays on a weekly off are not double counted', () => {
+    const calendar = buildMonthCalendar({
+      year: 2025,
+      month: 11,
+      weeklyOffs: weekend,
+      holidays: [{ date: new Date(2025, 10, 15) }],
+    });
+    assertEqual(calendar.holidays, 0, 'holidays');
+    assertEqual(calendar.workingDays, 20, 'working days');
+  });
+
+  test('Mid-month joiner is paid only from joining date', () => {
+    const calendar = buildMonthCalendar({
+      year: 2025,
+      month: 11,
+      weeklyOffs: weekend,
+      joiningDate: '2025-11-17',
+    });
+    const calendarBasis = resolveProrationDays(calendar, 'calendar_days');
+    assertEqual(calendarBasis.totalDays, 30, 'calendar total');
+    assertEqual(calendarBasis.eligibleDays, 14, 'calendar eligible');
+
+    const workingBasis = resolveProrationDays(calendar, 'working_days');
+    assertEqual(workingBasis.totalDays, 20, 'working total');
+    assertEqual(workingBasis.eligibleDays, 10, 'working eligible');
+  });
+
+  test('Exit date stops payable days', () => {
+    const calendar = buildMonthCalendar({
+      year: 2025,
+      month: 11,
+      weeklyOffs: weekend,
+      exitDate: '2025-11-07',
+    });
+    assertEqual(calendar.employedDays, 7, 'employed days');
+    assertEqual(calendar.employedWorkingDays, 5, 'employed working days');
+  });
+
+  test('Leave across month boundary is clipped to the month', () => {
+    const calendar = buildMonthCalendar({ year: 2025, month: 11, weeklyOffs: weekend });
+    assertEqual(countPayableDaysInRange(calendar, '2025-10-28', '2025-11-04', 'calendar_days'), 4, 'calendar basis');
+    assertEqual(countPayableDaysInRange(calendar, '2025-10-28', '2025-11-04', 'working_days'), 2, 'working basis');
+  });
+
+  console.log(`\n📊 Proration Test Results: ${testResults.passed} passed, ${testResults.failed} failed\n`);
+}
+
+// Main test runner
+async function runTests() {
+  console.log('🚀 Starting Working Calendar Tests...\n');
+
+  await runWeeklyOffTests();
+  await runProrationTests();
+
+  console.log('\n📋 Final Test Summary:');
+  console.log(`   ✅ Passed: ${testResults.passed}`);
+  console.log(`   ❌ Failed: ${testResults.failed}`);
+  console.log(`   📊 Total: ${testResults.passed + testResults.failed}\n`);
+
+  if (testResults.failed > 0) {
+    console.log('\n❌ Failed Tests:');
+    testResults.tests
+      .filter(t => t.status === 'FAIL')
+      .forEach(t => {
+        console.log(`   - ${t.name}: ${t.error}`);
+      });
+    process.exit(1);
+  } else {
+    console.log('✅ All working calendar tests passed!\n');
+    process.exit(0);
+  }
+}
+
+// Run tests if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runTests().catch(error => {
+    console.error('❌ Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+export { runTests, testResults };
@@ -0,0 +1,24 @@
+/**
+ * Content-Disposition headers for files users uploaded. The stored file name
+ * is user input: quotes and line breaks are stripped so it cannot end the
+ * header value, and the UTF-8 name is sent in filename* alongside an ASCII
+ * filename for older clients.
+ */
+
+/**
+ * Build a Content-Disposition header value
+ * @param {string} type - 'inline' or 'attachment'
+ * @param {string} fileName - Stored file name, possibly empty
+ * @param {string} fallback - Name to use when there is none
+ * @returns {string} e.g. `inline; filename="receipt.pdf"; filename*=UTF-8''receipt.pdf`
+ */
+export function contentDisposition(type, fileName, fallback = 'download') {
+  const name = String(fileName || '').replace(/["\r\n]/g, '').trim() || fallback;
+  const asciiName = name.replace(/[^\x20-\x7e]|\\/g, '_');
+  // encodeURIComponent leaves ' ( ) * unescaped, which RFC 5987 does not allow
+  const encodedName = encodeURIComponent(name)
+    .replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+}
+
+export default { contentDisposition };
@@ -0,0 +1,273 @@
+import { useEffect, useState } from "react";
+import { api } from "@/lib/api";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { useToast } from "@/hooks/use-toast";
+import { format } from "date-fns";
+import { CalendarClock, Loader2 } from "lucide-react";
+
+interface YearEndRow {
+  employee_id: string;
+  employee_code: string;
+  full_name: string;
+  leave_policy_id: string;
+  leave_type: string;
+  closing_balance: number;
+  carry_forward: number;
+  encashed: number;
+  lapsed: number;
+  encashment_unavailable: boolean;
+  encashment_amount: number;
+}
+
+interface YearEndPreview {
+  leave_year: number;
+  start: string;
+  end: string;
+  rows: YearEndRow[];
+  summary: {
+    employees: number;
+    carried_forward: number;
+    lapsed: number;
+    encashed_days: number;
+    encashment_amount: number;
+  };
+  run: { id: string; created_at: string; run_by_name: string | null } | null;
+  blocked_reason: string | null;
+}
+
+const MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 2,
+  }).format(Number(amount) || 0);
+
+export const LeaveYearEndCard = () => {
+  const { toast } = useToast();
+  const [startMonth, setStartMonth] = useState(1);
+  const [leaveYear, setLeaveYear] = useState("");
+  const [encash, setEncash] = useState(true);
+  const [preview, setPreview] = useState<YearEndPreview | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+
+  useEffect(() => {
+    api.getLeaveSettings()
+      .then((settings) => {
+        setStartMonth(settings.leave_year_start_month);
+        setLeaveYear(String(settings.current_leave_year - 1));
+      })
+      .catch((error) => console.error("Error fetching leave settings:", error));
+  }, []);
+
+  const handleStartMonthChange = async (value: string) => {
+    try {
+      const settings = await api.saveLeaveSettings({ leave_year_start_month: Number(value) });
+      setStartMonth(settings.leave_year_start_month);
+      setPreview(null);
+      toast({ title: "Leave year updated", description: `Leave years now start in ${MONTHS[Number(value) - 1]}` });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to update the leave year",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    try {
+      setPreview(await api.previewLeaveYearEnd(Number(leaveYear), encash));
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to preview the year end",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRun = async () => {
+    setLoading(true);
+    try {
+      await api.runLeaveYearEnd({ leave_year: Number(leaveYear), encash });
+      toast({ title: "Year end processed", description: `Leave year ${leaveYear} has been closed` });
+      setPreview(await api.previewLeaveYearEnd(Number(leaveYear), encash));
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to process the year end",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <CalendarClock className="h-5 w-5" />
+          Leave Year End
+        </CardTitle>
+        <CardDescription>
+          Carry forward balances up to each policy's cap, encash the excess where allowed and lapse the rest.
+          Encashments are paid in the next payroll run.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-4 md:grid-cols-4">
+          <div className="space-y-2">
+            <Label htmlFor="leave-year-start">Leave year starts in</Label>
+            <Select value={String(startMonth)} onValueChange={handleStartMonthChange}>
+              <SelectTrigger id="leave-year-start">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {MONTHS.map((month, index) => (
+                  <SelectItem key={month} value={String(index + 1)}>{month}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="leave-year">Leave year</Label>
+            <Input
+              id="leave-year"
+              type="number"
+              value={leaveYear}
+              onChange={(e) => {
+                setLeaveYear(e.target.value);
+                setPreview(null);
+              }}
+            />
+          </div>
+          <div className="flex items-center gap-2 pt-8">
+            <Switch
+              id="leave-year-encash"
+              checked={encash}
+              onCheckedChange={(checked) => {
+                setEncash(checked);
+                setPreview(null);
+              }}
+            />
+            <Label htmlFor="leave-year-encash">Encash excess leave</Label>
+          </div>
+          <div className="flex items-end justify-end gap-2">
+            <Button variant="outline" onClick={handlePreview} disabled={loading || !leaveYear}>
+              {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Preview
+            </Button>
+            <Button onClick={() => setConfirmOpen(true)} disabled={loading || !preview || !!preview.blocked_reason}>
+              Run
+            </Button>
+          </div>
+        </div>
+
+        {preview && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap gap-2 text-sm">
+              <Badge variant="outline">
+                {format(new Date(preview.start), "dd MMM yyyy")} – {format(new Date(preview.end), "dd MMM yyyy")}
+              </Badge>
+              <Badge variant="outline">{preview.summary.employees} employees</Badge>
+              <Badge variant="outline">{preview.summary.carried_forward} days carried forward</Badge>
+              <Badge variant="outline">{preview.summary.lapsed} days lapsed</Badge>
+              <Badge variant="outline">
+                {preview.summary.encashed_days} days encashed ({formatCurrency(preview.summary.encashment_amount)})
+              </Badge>
+            </div>
+            {preview.run ? (
+              <p className="text-sm text-muted-foreground">
+                Processed on {format(new Date(preview.run.created_at), "dd MMM yyyy")}
+                {preview.run.run_by_name && ` by ${preview.run.run_by_name}`}.
+              </p>
+            ) : (
+              preview.blocked_reason && <p className="text-sm text-muted-foreground">{preview.blocked_reason}.</p>
+            )}
+            {preview.rows.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No leave balances left in this leave year.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Employee</TableHead>
+                    <TableHead>Leave Type</TableHead>
+                    <TableHead className="text-right">Balance</TableHead>
+                    <TableHead className="text-right">Carry Forward</TableHead>
+                    <TableHead className="text-right">Encashed</TableHead>
+                    <TableHead className="text-right">Lapsed</TableHead>
+                    <TableHead className="text-right">Amount</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {preview.rows.map((row) => (
+                    <TableRow key={`${row.employee_id}-${row.leave_policy_id}`}>
+                      <TableCell>
+                        {row.full_name}
+                        <span className="ml-2 text-xs text-muted-foreground">{row.employee_code}</span>
+                      </TableCell>
+                      <TableCell>{row.leave_type}</TableCell>
+                      <TableCell className="text-right">{row.closing_balance}</TableCell>
+                      <TableCell className="text-right">{row.carry_forward}</TableCell>
+                      <TableCell className="text-right">{row.encashed}</TableCell>
+                      <TableCell className="text-right">
+                        {row.lapsed}
+                        {row.encashment_unavailable && (
+                          <Badge variant="outline" className="ml-2">No payroll salary</Badge>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">{formatCurrency(row.encashment_amount)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </div>
+        )}
+      </CardContent>
+
+      <AlertDialog open={confirmOpen} onOpenChange={setConfirmOpen}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Close leave year {leaveYear}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The carry-forward, lapse and encashment shown in the preview will be posted to every employee's leave
+              balance. A leave year can only be closed once.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleRun}>Close Year</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+};
@@ -0,0 +1,364 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { api } from "@/lib/api";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { toast } from "sonner";
+import { format } from "date-fns";
+import { Check, Loader2, Paperclip, Receipt, X } from "lucide-react";
+
+interface ExpenseCategory {
+  id: string;
+  name: string;
+  per_claim_limit: number | null;
+  monthly_limit: number | null;
+  requires_receipt: boolean;
+}
+
+interface ExpenseClaim {
+  id: string;
+  category: string;
+  expense_date: string;
+  amount: number;
+  description: string | null;
+  receipt_file_name: string | null;
+  status: string;
+  payout_mode: "payroll" | "off_cycle";
+  payout_reference: string | null;
+  paid_month: number | null;
+  paid_year: number | null;
+  rejection_reason: string | null;
+  full_name?: string;
+  employee_code?: string;
+  stage_index?: number;
+  total_stages?: number;
+}
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 2,
+  }).format(Number(amount) || 0);
+
+const getStatusVariant = (status: string) => {
+  switch (status) {
+    case "approved":
+    case "paid":
+      return "default" as const;
+    case "pending":
+      return "outline" as const;
+    case "rejected":
+      return "destructive" as const;
+    default:
+      return "secondary" as const;
+  }
+};
+
+const describePayout = (claim: ExpenseClaim) => {
+  if (claim.status === "paid") {
+    if (claim.paid_month && claim.paid_year) {
+      const month = new Date(claim.paid_year, claim.paid_month - 1).toLocaleString("en-IN", { month: "short", year: "numeric" });
+      return `Paid with ${month} salary`;
+    }
+    return claim.payout_reference ? `Paid off-cycle (${claim.payout_reference})` : "Paid off-cycle";
+  }
+  if (claim.status === "approved") {
+    return claim.payout_mode === "payroll" ? "With next payroll" : "Off-cycle payout";
+  }
+  return "";
+};
+
+export const ExpensesTab = () => {
+  const queryClient = useQueryClient();
+  const [categoryId, setCategoryId] = useState("");
+  const [expenseDate, setExpenseDate] = useState("");
+  const [amount, setAmount] = useState("");
+  const [description, setDescription] = useState("");
+  const [receipt, setReceipt] = useState<File | null>(null);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+  const [deciding, setDeciding] = useState<string | null>(null);
+
+  const { data: categoriesData } = useQuery({
+    queryKey: ["expense-categories"],
+    queryFn: () => api.expenses.getCategories(),
+  });
+
+  const { data: claims, isLoading } = useQuery({
+    queryKey: ["my-expense-claims"],
+    queryFn: async () => {
+      const result = await api.expenses.getMyClaims();
+      return (result.claims || []) as ExpenseClaim[];
+    },
+  });
+
+  const { data: approvals } = useQuery({
+    queryKey: ["expense-approvals"],
+    queryFn: async () => {
+      const result = await api.expenses.getApprovals();
+      return (result.claims || []) as ExpenseClaim[];
+    },
+  });
+
+  const categories: ExpenseCategory[] = categoriesData?.categories || [];
+  const selectedCategory = categories.find((c) => c.id === categoryId);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      await api.expenses.submitClaim({
+        category_id: categoryId,
+        expense_date: expenseDate,
+        amount: Number(amount),
+        description: description || undefined,
+        receipt: receipt || undefined,
+      });
+      toast.success("Claim submitted for approval");
+      setAmount("");
+      setDescription("");
+      setReceipt(null);
+      setFileInputKey((key) => key + 1);
+      queryClient.invalidateQueries({ queryKey: ["my-expense-claims"] });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to submit claim");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDecision = async (claim: ExpenseClaim, action: "approve" | "reject") => {
+    let comment: string | undefined;
+    if (action === "reject") {
+      comment = window.prompt("Reason for rejecting this claim")?.trim();
+      if (!comment) return;
+    }
+    setDeciding(claim.id);
+    try {
+      if (action === "approve") {
+        await api.expenses.approve(claim.id);
+      } else {
+        await api.expenses.reject(claim.id, comment as string);
+      }
+      toast.success(action === "approve" ? "Claim approved" : "Claim rejected");
+      queryClient.invalidateQueries({ queryKey: ["expense-approvals"] });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to update claim");
+    } finally {
+      setDeciding(null);
+    }
+  };
+
+  const handleReceipt = async (claimId: string) => {
+    try {
+      await api.expenses.downloadReceipt(claimId);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to download receipt");
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="space-y-4">
+        <Skeleton className="h-40 w-full" />
+        <Skeleton className="h-40 w-full" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {approvals && approvals.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Awaiting Your Approval</CardTitle>
+            <CardDescription>Expense claims routed to you</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Employee</TableHead>
+                  <TableHead>Category</TableHead>
+                  <TableHead>Date</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead>Stage</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {approvals.map((claim) => (
+                  <TableRow key={claim.id}>
+                    <TableCell>
+                      <div className="font-medium">{claim.full_name}</div>
+                      <div className="text-xs text-muted-foreground">{claim.employee_code}</div>
+                    </TableCell>
+                    <TableCell>
+                      {claim.category}
+                      {claim.description && <div className="text-xs text-muted-foreground">{claim.description}</div>}
+                    </TableCell>
+                    <TableCell>{format(new Date(claim.expense_date), "dd MMM yyyy")}</TableCell>
+                    <TableCell className="text-right">{formatCurrency(claim.amount)}</TableCell>
+                    <TableCell>
+                      {(claim.stage_index ?? 0) + 1} of {claim.total_stages ?? 1}
+                    </TableCell>
+                    <TableCell className="text-right space-x-2">
+                      {claim.receipt_file_name && (
+                        <Button size="sm" variant="ghost" onClick={() => handleReceipt(claim.id)}>
+                          <Paperclip className="h-4 w-4" />
+                        </Button>
+                      )}
+                      <Button size="sm" disabled={deciding === claim.id} onClick={() => handleDecision(claim, "approve")}>
+                        <Check className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={deciding === claim.id}
+                        onClick={() => handleDecision(claim, "reject")}
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Receipt className="h-5 w-5" />
+            Submit an Expense Claim
+          </CardTitle>
+          <CardDescription>Approved claims are reimbursed tax-free with your salary or separately</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid gap-4 md:grid-cols-3">
+            <div className="space-y-2">
+              <Label htmlFor="expense-category">Category</Label>
+              <Select value={categoryId} onValueChange={setCategoryId}>
+                <SelectTrigger id="expense-category">
+                  <SelectValue placeholder="Select category" />
+                </SelectTrigger>
+                <SelectContent>
+                  {categories.map((category) => (
+                    <SelectItem key={category.id} value={category.id}>
+                      {category.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="expense-date">Expense Date</Label>
+              <Input id="expense-date" type="date" value={expenseDate} onChange={(e) => setExpenseDate(e.target.value)} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="expense-amount">Amount</Label>
+              <Input
+                id="expense-amount"
+                type="number"
+                min="1"
+                step="0.01"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+              />
+            </div>
+          </div>
+          <div className="grid gap-4 md:grid-cols-2">
+            <div className="space-y-2">
+              <Label htmlFor="expense-description">Description</Label>
+              <Input id="expense-description" value={description} onChange={(e) => setDescription(e.target.value)} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="expense-receipt">
+                Receipt{selectedCategory?.requires_receipt ? " (required)" : ""}
+              </Label>
+              <Input
+                key={fileInputKey}
+                id="expense-receipt"
+                type="file"
+                accept="application/pdf,image/jpeg,image/png,image/webp"
+                onChange={(e) => setReceipt(e.target.files?.[0] || null)}
+              />
+            </div>
+          </div>
+          {selectedCategory && (selectedCategory.per_claim_limit || selectedCategory.monthly_limit) && (
+            <p className="text-xs text-muted-foreground">
+              {selectedCategory.per_claim_limit ? `Up to ${formatCurrency(selectedCategory.per_claim_limit)} per claim. ` : ""}
+              {selectedCategory.monthly_limit ? `Up to ${formatCurrency(selectedCategory.monthly_limit)} per month.` : ""}
+            </p>
+          )}
+          <div className="flex justify-end">
+            <Button onClick={handleSubmit} disabled={submitting || !categoryId || !expenseDate || !(Number(amount) > 0)}>
+              {submitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Submit Claim
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">My Claims</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {!claims || claims.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No expense claims yet.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Category</TableHead>
+                  <TableHead>Date</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Payout</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {claims.map((claim) => (
+                  <TableRow key={claim.id}>
+                    <TableCell>
+                      {claim.category}
+                      {claim.description && <div className="text-xs text-muted-foreground">{claim.description}</div>}
+                    </TableCell>
+                    <TableCell>{format(new Date(claim.expense_date), "dd MMM yyyy")}</TableCell>
+                    <TableCell className="text-right">{formatCurrency(claim.amount)}</TableCell>
+                    <TableCell>
+                      <Badge variant={getStatusVariant(claim.status)} className="uppercase">
+                        {claim.status}
+                      </Badge>
+                      {claim.status === "rejected" && claim.rejection_reason && (
+                        <div className="text-xs text-destructive mt-1">{claim.rejection_reason}</div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm text-muted-foreground">{describePayout(claim)}</TableCell>
+                    <TableCell className="text-right">
+                      {claim.receipt_file_name && (
+                        <Button size="sm" variant="ghost" onClick={() => handleReceipt(claim.id)}>
+                          <Paperclip className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
@@ -0,0 +1,269 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { api } from "@/lib/api";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { toast } from "sonner";
+import { format } from "date-fns";
+import { FileCheck, Loader2, Paperclip } from "lucide-react";
+
+interface InvestmentProof {
+  id: string;
+  section: string;
+  description: string | null;
+  amount: number;
+  landlord_name: string | null;
+  rent_from: string | null;
+  rent_to: string | null;
+  file_name: string;
+  status: "submitted" | "verified" | "rejected";
+  verified_amount: number | null;
+  review_comment: string | null;
+  created_at: string;
+}
+
+interface DeclarationWindow {
+  declaration_opens_on: string | null;
+  declaration_closes_on: string | null;
+  proof_cutoff_date: string | null;
+}
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 2,
+  }).format(Number(amount) || 0);
+
+const getStatusVariant = (status: InvestmentProof["status"]) => {
+  switch (status) {
+    case "verified":
+      return "default" as const;
+    case "rejected":
+      return "destructive" as const;
+    default:
+      return "outline" as const;
+  }
+};
+
+const formatDate = (value: string | null) => (value ? format(new Date(value), "dd MMM yyyy") : null);
+
+export const InvestmentProofsCard = () => {
+  const queryClient = useQueryClient();
+  const [section, setSection] = useState("80C");
+  const [amount, setAmount] = useState("");
+  const [description, setDescription] = useState("");
+  const [landlordName, setLandlordName] = useState("");
+  const [landlordPan, setLandlordPan] = useState("");
+  const [rentFrom, setRentFrom] = useState("");
+  const [rentTo, setRentTo] = useState("");
+  const [proofFile, setProofFile] = useState<File | null>(null);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["my-tax-proofs"],
+    queryFn: () => api.tax.getMyProofs(),
+  });
+
+  const financialYear: string = data?.financialYear || "";
+  const declarationWindow: DeclarationWindow | null = data?.window || null;
+  const sections: Record<string, { label: string }> = data?.sections || {};
+  const proofs: InvestmentProof[] = data?.proofs || [];
+  const cutoffPassed = !!declarationWindow?.proof_cutoff_date && new Date(declarationWindow.proof_cutoff_date) <= new Date();
+  const isRent = section === "HRA";
+
+  const handleSubmit = async () => {
+    if (!proofFile) return;
+    setSubmitting(true);
+    try {
+      await api.tax.submitProof({
+        financial_year: financialYear,
+        section,
+        amount: Number(amount),
+        description: description || undefined,
+        landlord_name: isRent ? landlordName : undefined,
+        landlord_pan: isRent && landlordPan ? landlordPan : undefined,
+        rent_from: isRent ? rentFrom : undefined,
+        rent_to: isRent ? rentTo : undefined,
+        proof: proofFile,
+      });
+      toast.success("Proof submitted for verification");
+      setAmount("");
+      setDescription("");
+      setProofFile(null);
+      setFileInputKey((key) => key + 1);
+      queryClient.invalidateQueries({ queryKey: ["my-tax-proofs"] });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to submit proof");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownload = async (proofId: string) => {
+    try {
+      await api.tax.downloadProof(proofId);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to download proof");
+    }
+  };
+
+  const canSubmit =
+    !!proofFile && Number(amount) > 0 && (!isRent || (!!landlordName.trim() && !!rentFrom && !!rentTo));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileCheck className="h-5 w-5" />
+          Investment Proofs {financialYear && `- FY ${financialYear}`}
+        </CardTitle>
+        <CardDescription>
+          {declarationWindow?.proof_cutoff_date
+            ? `Submit proofs by ${formatDate(declarationWindow.proof_cutoff_date)}. After that, only verified amounts reduce your TDS.`
+            : "Upload receipts for your declared investments so HR can verify them."}
+          {declarationWindow?.declaration_closes_on && ` Declarations close on ${formatDate(declarationWindow.declaration_closes_on)}.`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <Loader2 className="h-5 w-5 animate-spin" />
+        ) : (
+          <>
+            {!cutoffPassed && (
+              <div className="space-y-4 rounded-lg border p-4">
+                <div className="grid gap-4 md:grid-cols-3">
+                  <div className="space-y-2">
+                    <Label htmlFor="proof-section">Section</Label>
+                    <Select value={section} onValueChange={setSection}>
+                      <SelectTrigger id="proof-section">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(sections).map(([code, info]) => (
+                          <SelectItem key={code} value={code}>
+                            {info.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="proof-amount">{isRent ? "Rent Paid" : "Amount"}</Label>
+                    <Input
+                      id="proof-amount"
+                      type="number"
+                      min="1"
+                      step="0.01"
+                      value={amount}
+                      onChange={(e) => setAmount(e.target.value)}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="proof-description">Description</Label>
+                    <Input id="proof-description" value={description} onChange={(e) => setDescription(e.target.value)} />
+                  </div>
+                </div>
+                {isRent && (
+                  <div className="grid gap-4 md:grid-cols-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="proof-landlord">Landlord Name</Label>
+                      <Input id="proof-landlord" value={landlordName} onChange={(e) => setLandlordName(e.target.value)} />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="proof-landlord-pan">Landlord PAN</Label>
+                      <Input
+                        id="proof-landlord-pan"
+                        value={landlordPan}
+                        placeholder="Required above ₹1,00,000 a year"
+                        onChange={(e) => setLandlordPan(e.target.value.toUpperCase())}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="proof-rent-from">Rent From</Label>
+                      <Input id="proof-rent-from" type="date" value={rentFrom} onChange={(e) => setRentFrom(e.target.value)} />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="proof-rent-to">Rent To</Label>
+                      <Input id="proof-rent-to" type="date" value={rentTo} onChange={(e) => setRentTo(e.target.value)} />
+                    </div>
+                  </div>
+                )}
+                <div className="flex items-end gap-4">
+                  <div className="flex-1 space-y-2">
+                    <Label htmlFor="proof-file">Proof Document</Label>
+                    <Input
+                      key={fileInputKey}
+                      id="proof-file"
+                      type="file"
+                      accept="application/pdf,image/jpeg,image/png,image/webp"
+                      onChange={(e) => setProofFile(e.target.files?.[0] || null)}
+                    />
+                  </div>
+                  <Button onClick={handleSubmit} disabled={submitting || !canSubmit}>
+                    {submitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                    Submit Proof
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {proofs.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No proofs submitted for this year.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Section</TableHead>
+                    <TableHead className="text-right">Claimed</TableHead>
+                    <TableHead className="text-right">Verified</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {proofs.map((proof) => (
+                    <TableRow key={proof.id}>
+                      <TableCell>
+                        {sections[proof.section]?.label || proof.section}
+                        {proof.description && <div className="text-xs text-muted-foreground">{proof.description}</div>}
+                        {proof.landlord_name && (
+                          <div className="text-xs text-muted-foreground">
+                            {proof.landlord_name}, {formatDate(proof.rent_from)} - {formatDate(proof.rent_to)}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">{formatCurrency(proof.amount)}</TableCell>
+                      <TableCell className="text-right">
+                        {proof.verified_amount !== null ? formatCurrency(proof.verified_amount) : "-"}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant={getStatusVariant(proof.status)} className="uppercase">
+                          {proof.status}
+                        </Badge>
+                        {proof.review_comment && (
+                          <div className="text-xs text-muted-foreground mt-1">{proof.review_comment}</div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button size="sm" variant="ghost" onClick={() => handleDownload(proof.id)}>
+                          <Paperclip className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
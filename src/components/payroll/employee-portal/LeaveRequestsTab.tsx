@@ -1,8 +1,11 @@
-import { useQuery } from "@tanstack/react-query";
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
 import { api } from "@/lib/api";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
 import { Skeleton } from "@/components/ui/skeleton";
+import { toast } from "sonner";
 import { format } from "date-fns";
 import { CalendarDays, Clock, FileText } from "lucide-react";
 
@@ -36,7 +39,15 @@ const getLeaveTypeLabel = (type: string) => {
   }
 };
 
+const todayKey = () => format(new Date(), "yyyy-MM-dd");
+
+// Pending leave can be withdrawn; approved leave only before it starts
+const canCancel = (leave: { status?: string; start_date?: string }) =>
+  leave.status === "pending" || (leave.status === "approved" && String(leave.start_date).slice(0, 10) > todayKey());
+
 export const LeaveRequestsTab = () => {
+  const queryClient = useQueryClient();
+  const [cancellingId, setCancellingId] = useState<string | null>(null);
   const { data, isLoading } = useQuery({
     queryKey: ["my-leaves"],
     queryFn: async () => {
@@ -45,6 +56,19 @@ export const LeaveRequestsTab = () => {
     },
   });
 
+  const handleCancel = async (leaveId: string) => {
+    setCancellingId(leaveId);
+    try {
+      await api.leaves.cancelMyLeave(leaveId);
+      toast.success("Leave cancelled");
+      queryClient.invalidateQueries({ queryKey: ["my-leaves"] });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to cancel leave");
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="space-y-4">
@@ -97,6 +121,16 @@ export const LeaveRequestsTab = () => {
                   {leave.approved_by_name && (
                     <span className="text-xs text-muted-foreground">Reviewed by {leave.approved_by_name}</span>
                   )}
+                  {canCancel(leave) && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={cancellingId === leave.id}
+                      onClick={() => handleCancel(leave.id)}
+                    >
+                      Cancel
+                    </Button>
+                  )}
                 </div>
               </div>
             </CardHeader>
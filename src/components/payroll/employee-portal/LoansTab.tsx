@@ -0,0 +1,290 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { api } from "@/lib/api";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { toast } from "sonner";
+import { HandCoins, Loader2 } from "lucide-react";
+
+interface LoanInstalment {
+  month: number;
+  year: number;
+  principal: number;
+  interest: number;
+  amount: number;
+  balance: number;
+  type?: string;
+  viaPayroll?: boolean;
+}
+
+interface LoanStatement {
+  principal: number;
+  principalRepaid: number;
+  interestPaid: number;
+  outstanding: number;
+  transactions: LoanInstalment[];
+  projection: LoanInstalment[];
+}
+
+interface EmployeeLoan {
+  id: string;
+  loan_type: "loan" | "advance";
+  purpose: string | null;
+  principal: number;
+  interest_rate: number;
+  tenure_months: number;
+  emi_amount: number | null;
+  start_month: number | null;
+  start_year: number | null;
+  status: string;
+  foreclose_in_payroll: boolean;
+  rejection_reason: string | null;
+  created_at: string;
+  statement: LoanStatement | null;
+}
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 2,
+  }).format(Number(amount) || 0);
+
+const formatPeriod = (month: number, year: number) =>
+  new Date(year, month - 1).toLocaleString("en-IN", { month: "short", year: "numeric" });
+
+const getStatusVariant = (status: string) => {
+  switch (status) {
+    case "active":
+      return "default" as const;
+    case "pending":
+      return "outline" as const;
+    case "rejected":
+      return "destructive" as const;
+    default:
+      return "secondary" as const;
+  }
+};
+
+const InstalmentTable = ({ rows, showType }: { rows: LoanInstalment[]; showType?: boolean }) => (
+  <div className="border rounded-lg overflow-hidden">
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>Month</TableHead>
+          {showType && <TableHead>Type</TableHead>}
+          <TableHead className="text-right">Principal</TableHead>
+          <TableHead className="text-right">Interest</TableHead>
+          <TableHead className="text-right">Instalment</TableHead>
+          <TableHead className="text-right">Balance</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {rows.map((row, index) => (
+          <TableRow key={`${row.year}-${row.month}-${index}`}>
+            <TableCell>{formatPeriod(row.month, row.year)}</TableCell>
+            {showType && (
+              <TableCell className="capitalize">
+                {row.type}
+                {row.viaPayroll === false && " (direct)"}
+              </TableCell>
+            )}
+            <TableCell className="text-right">{formatCurrency(row.principal)}</TableCell>
+            <TableCell className="text-right">{formatCurrency(row.interest)}</TableCell>
+            <TableCell className="text-right">{formatCurrency(row.amount)}</TableCell>
+            <TableCell className="text-right">{formatCurrency(row.balance)}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  </div>
+);
+
+export const LoansTab = () => {
+  const queryClient = useQueryClient();
+  const [loanType, setLoanType] = useState("loan");
+  const [principal, setPrincipal] = useState("");
+  const [tenure, setTenure] = useState("12");
+  const [purpose, setPurpose] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["my-loans"],
+    queryFn: async () => {
+      const result = await api.loans.getMyLoans();
+      return (result.loans || []) as EmployeeLoan[];
+    },
+  });
+
+  const handleRequest = async () => {
+    setSubmitting(true);
+    try {
+      await api.loans.requestLoan({
+        loan_type: loanType,
+        principal: Number(principal),
+        tenure_months: Number(tenure),
+        purpose: purpose || undefined,
+      });
+      toast.success("Request submitted for approval");
+      setPrincipal("");
+      setPurpose("");
+      queryClient.invalidateQueries({ queryKey: ["my-loans"] });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to submit request");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="space-y-4">
+        <Skeleton className="h-40 w-full" />
+        <Skeleton className="h-40 w-full" />
+      </div>
+    );
+  }
+
+  const loans = data || [];
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <HandCoins className="h-5 w-5" />
+            Request a Loan or Salary Advance
+          </CardTitle>
+          <CardDescription>Approved requests are recovered from your salary in monthly instalments</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="grid gap-4 md:grid-cols-4">
+            <div className="space-y-2">
+              <Label htmlFor="loan-type">Type</Label>
+              <Select value={loanType} onValueChange={setLoanType}>
+                <SelectTrigger id="loan-type">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="loan">Loan</SelectItem>
+                  <SelectItem value="advance">Salary Advance</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="loan-principal">Amount</Label>
+              <Input
+                id="loan-principal"
+                type="number"
+                min="1"
+                value={principal}
+                onChange={(e) => setPrincipal(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="loan-tenure">Tenure (months)</Label>
+              <Input
+                id="loan-tenure"
+                type="number"
+                min="1"
+                value={tenure}
+                onChange={(e) => setTenure(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="loan-purpose">Purpose</Label>
+              <Input id="loan-purpose" value={purpose} onChange={(e) => setPurpose(e.target.value)} />
+            </div>
+          </div>
+          <div className="flex justify-end mt-4">
+            <Button onClick={handleRequest} disabled={submitting || !(Number(principal) > 0) || !(Number(tenure) > 0)}>
+              {submitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Submit Request
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {loans.length === 0 && (
+        <Card>
+          <CardHeader>
+            <CardDescription>You have no loans or salary advances.</CardDescription>
+          </CardHeader>
+        </Card>
+      )}
+
+      {loans.map((loan) => (
+        <Card key={loan.id}>
+          <CardHeader className="pb-2">
+            <div className="flex items-center justify-between">
+              <div className="space-y-1">
+                <CardTitle className="text-base">
+                  {loan.loan_type === "advance" ? "Salary Advance" : "Loan"} of {formatCurrency(loan.principal)}
+                </CardTitle>
+                <CardDescription>
+                  {loan.tenure_months} month(s)
+                  {Number(loan.interest_rate) > 0 ? ` at ${Number(loan.interest_rate)}% p.a.` : " interest-free"}
+                  {loan.emi_amount ? ` · EMI ${formatCurrency(loan.emi_amount)}` : ""}
+                  {loan.start_month && loan.start_year ? ` from ${formatPeriod(loan.start_month, loan.start_year)}` : ""}
+                </CardDescription>
+              </div>
+              <Badge variant={getStatusVariant(loan.status)} className="uppercase">
+                {loan.status}
+              </Badge>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4 text-sm">
+            {loan.purpose && <p className="text-muted-foreground">{loan.purpose}</p>}
+            {loan.status === "rejected" && loan.rejection_reason && (
+              <p className="text-destructive">
+                <span className="font-medium">Rejection note:</span> {loan.rejection_reason}
+              </p>
+            )}
+            {loan.foreclose_in_payroll && loan.status === "active" && (
+              <p className="text-muted-foreground">The full balance will be recovered in the next payroll.</p>
+            )}
+
+            {loan.statement && (
+              <>
+                <div className="grid grid-cols-3 gap-4 text-center">
+                  <div>
+                    <p className="text-muted-foreground">Repaid</p>
+                    <p className="font-semibold">{formatCurrency(loan.statement.principalRepaid)}</p>
+                  </div>
+                  <div>
+                    <p className="text-muted-foreground">Interest Paid</p>
+                    <p className="font-semibold">{formatCurrency(loan.statement.interestPaid)}</p>
+                  </div>
+                  <div>
+                    <p className="text-muted-foreground">Outstanding</p>
+                    <p className="font-semibold text-primary">{formatCurrency(loan.statement.outstanding)}</p>
+                  </div>
+                </div>
+
+                {loan.statement.transactions.length > 0 && (
+                  <div className="space-y-2">
+                    <p className="font-medium">Recoveries</p>
+                    <InstalmentTable rows={loan.statement.transactions} showType />
+                  </div>
+                )}
+
+                {loan.statement.projection.length > 0 && (
+                  <div className="space-y-2">
+                    <p className="font-medium">Upcoming Instalments</p>
+                    <InstalmentTable rows={loan.statement.projection} />
+                  </div>
+                )}
+              </>
+            )}
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+};
@@ -1,6 +1,8 @@
 import { useQuery } from "@tanstack/react-query";
 import { api } from "@/lib/api";
+import { formatMoney } from "@/lib/utils";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { Skeleton } from "@/components/ui/skeleton";
 import { Download, Receipt } from "lucide-react";
@@ -46,16 +48,24 @@ export const PayslipsTab = () => {
           { month: "long" },
         );
         const year = payslip.payroll_cycles?.year || payslip.year;
+        const money = (amount: number | string | null) =>
+          formatMoney(Number(amount || 0), payslip.currency, payslip.locale);
 
         return (
           <Card key={payslip.id} className="border">
             <CardHeader className="pb-2">
               <div className="flex items-center justify-between">
                 <div>
-                  <CardTitle className="text-base">{monthName} {year}</CardTitle>
+                  <CardTitle className="text-base">
+                    {monthName} {year}
+                    {payslip.run_type === "off_cycle" && (
+                      <Badge variant="outline" className="ml-2 capitalize">
+                        {payslip.run_title || payslip.run_reason}
+                      </Badge>
+                    )}
+                  </CardTitle>
                   <CardDescription>
-                    Gross: ₹{Number(payslip.gross_salary || 0).toLocaleString("en-IN")} • Net Salary: ₹
-                    {Number(payslip.net_salary || 0).toLocaleString("en-IN")}
+                    Gross: {money(payslip.gross_salary)} • Net Salary: {money(payslip.net_salary)}
                   </CardDescription>
                 </div>
                 <Button
@@ -78,21 +88,80 @@ export const PayslipsTab = () => {
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                 <div>
                   <span className="font-medium text-foreground">Gross Salary</span>
-                  <p>₹{Number(payslip.gross_salary || 0).toLocaleString("en-IN")}</p>
+                  <p>{money(payslip.gross_salary)}</p>
                 </div>
                 <div>
                   <span className="font-medium text-foreground">Total Deductions</span>
-                  <p>₹{Number(payslip.deductions || 0).toLocaleString("en-IN")}</p>
+                  <p>{money(payslip.deductions)}</p>
                 </div>
                 <div>
                   <span className="font-medium text-foreground">Net Salary</span>
-                  <p>₹{Number(payslip.net_salary || 0).toLocaleString("en-IN")}</p>
+                  <p>{money(payslip.net_salary)}</p>
                 </div>
                 <div>
                   <span className="font-medium text-foreground">LOP Days</span>
                   <p>{payslip.lop_days || 0}</p>
                 </div>
               </div>
+              {payslip.run_type === "off_cycle" && (payslip.components || []).length > 0 ? (
+                <div className="mt-4 border-t pt-3">
+                  <ul className="space-y-0.5">
+                    {payslip.components.map((c: { code: string; name: string; amount: number; is_taxable?: boolean }) => (
+                      <li key={`${c.code}-${c.is_taxable}`}>
+                        {c.name}
+                        {c.is_taxable === false ? " (non-taxable)" : ""}: {money(c.amount)}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : null}
+              {Number(payslip.reimbursement_amount) ? (
+                <div className="mt-4 border-t pt-3">
+                  <span className="font-medium text-foreground">
+                    Reimbursements (non-taxable): {money(payslip.reimbursement_amount)}
+                  </span>
+                </div>
+              ) : null}
+              {payslip.hra_exemption &&
+              (Number(payslip.hra_exemption.rent_paid) || Number(payslip.hra_exemption.hra_received)) ? (
+                <div className="mt-4 border-t pt-3">
+                  <span className="font-medium text-foreground">
+                    HRA Exemption: {money(payslip.hra_exemption.exemption)}
+                  </span>
+                  <ul className="mt-1 space-y-0.5">
+                    <li>HRA received: {money(payslip.hra_exemption.hra_received)}</li>
+                    <li>Rent paid: {money(payslip.hra_exemption.rent_paid)}</li>
+                    <li>Rent less 10% of basic: {money(payslip.hra_exemption.rent_over_basic)}</li>
+                    <li>
+                      {payslip.hra_exemption.is_metro ? "50% of basic (metro)" : "40% of basic (non-metro)"}:{" "}
+                      {money(payslip.hra_exemption.basic_limit)}
+                    </li>
+                    <li>Exempt for the year (projected): {money(payslip.hra_exemption.annual)}</li>
+                  </ul>
+                </div>
+              ) : null}
+              {Number(payslip.loan_recovery) ? (
+                <div className="mt-4 border-t pt-3">
+                  <span className="font-medium text-foreground">
+                    Loan Recovery: {money(payslip.loan_recovery)}
+                  </span>
+                </div>
+              ) : null}
+              {Number(payslip.arrears_amount) ? (
+                <div className="mt-4 border-t pt-3">
+                  <span className="font-medium text-foreground">
+                    Arrears: {money(payslip.arrears_amount)}
+                  </span>
+                  <ul className="mt-1 space-y-0.5">
+                    {(payslip.arrears || []).map((entry: { month: number; year: number; amount: number }) => (
+                      <li key={`${entry.year}-${entry.month}`}>
+                        {new Date(entry.year, entry.month - 1).toLocaleString("default", { month: "long" })} {entry.year}:
+                        {" "}{money(entry.amount)}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : null}
             </CardContent>
           </Card>
         );
@@ -0,0 +1,144 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { api } from "@/lib/api";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { toast } from "sonner";
+import { format } from "date-fns";
+import { Home, Loader2 } from "lucide-react";
+
+interface RentDetails {
+  id: string;
+  effective_from: string;
+  monthly_rent: number;
+  is_metro: boolean;
+  city: string | null;
+}
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 2,
+  }).format(Number(amount) || 0);
+
+export const RentDetailsCard = () => {
+  const queryClient = useQueryClient();
+  const [effectiveFrom, setEffectiveFrom] = useState("");
+  const [monthlyRent, setMonthlyRent] = useState("");
+  const [city, setCity] = useState("");
+  const [isMetro, setIsMetro] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["my-rent-details"],
+    queryFn: () => api.me.rentDetails(),
+  });
+  const history: RentDetails[] = data?.rentDetails || [];
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await api.me.saveRentDetails({
+        effective_from: effectiveFrom,
+        monthly_rent: Number(monthlyRent),
+        is_metro: isMetro,
+        city: city || undefined,
+      });
+      toast.success("Rent details saved");
+      setEffectiveFrom("");
+      setMonthlyRent("");
+      queryClient.invalidateQueries({ queryKey: ["my-rent-details"] });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to save rent details");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Home className="h-5 w-5" />
+          Rent & City
+        </CardTitle>
+        <CardDescription>
+          Used to work out your HRA exemption under the old tax regime. Add a new entry from the month your rent
+          changes or you move; enter 0 rent if you stop renting.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-4 md:grid-cols-4">
+          <div className="space-y-2">
+            <Label htmlFor="rent-effective-from">Effective From</Label>
+            <Input
+              id="rent-effective-from"
+              type="date"
+              value={effectiveFrom}
+              onChange={(e) => setEffectiveFrom(e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="rent-monthly">Monthly Rent</Label>
+            <Input
+              id="rent-monthly"
+              type="number"
+              min="0"
+              step="0.01"
+              value={monthlyRent}
+              onChange={(e) => setMonthlyRent(e.target.value)}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="rent-city">City</Label>
+            <Input id="rent-city" value={city} onChange={(e) => setCity(e.target.value)} />
+          </div>
+          <div className="flex items-center gap-2 pt-8">
+            <Switch id="rent-metro" checked={isMetro} onCheckedChange={setIsMetro} />
+            <Label htmlFor="rent-metro">Metro city</Label>
+          </div>
+        </div>
+        <div className="flex justify-end">
+          <Button onClick={handleSave} disabled={saving || !effectiveFrom || monthlyRent === "" || Number(monthlyRent) < 0}>
+            {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Save
+          </Button>
+        </div>
+
+        {isLoading ? (
+          <Loader2 className="h-5 w-5 animate-spin" />
+        ) : history.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No rent details recorded.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Effective From</TableHead>
+                <TableHead className="text-right">Monthly Rent</TableHead>
+                <TableHead>City</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {history.map((row) => (
+                <TableRow key={row.id}>
+                  <TableCell>{format(new Date(row.effective_from), "dd MMM yyyy")}</TableCell>
+                  <TableCell className="text-right">{formatCurrency(row.monthly_rent)}</TableCell>
+                  <TableCell>
+                    {row.city || "-"}{" "}
+                    <Badge variant="outline">{row.is_metro ? "Metro" : "Non-metro"}</Badge>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -5,6 +5,7 @@ import { Skeleton } from "@/components/ui/skeleton";
 import { Badge } from "@/components/ui/badge";
 import { FileText } from "lucide-react";
 import { format } from "date-fns";
+import { InvestmentProofsCard } from "./InvestmentProofsCard";
 
 export const TaxDeclarationsTab = () => {
   const { data, isLoading } = useQuery({
@@ -26,15 +27,18 @@ export const TaxDeclarationsTab = () => {
 
   if (!data || data.length === 0) {
     return (
-      <Card>
-        <CardHeader>
-          <CardTitle className="flex items-center gap-2">
-            <FileText className="h-5 w-5" />
-            Tax Declarations
-          </CardTitle>
-          <CardDescription>No tax declarations have been submitted yet.</CardDescription>
-        </CardHeader>
-      </Card>
+      <div className="space-y-4">
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <FileText className="h-5 w-5" />
+              Tax Declarations
+            </CardTitle>
+            <CardDescription>No tax declarations have been submitted yet.</CardDescription>
+          </CardHeader>
+        </Card>
+        <InvestmentProofsCard />
+      </div>
     );
   }
 
@@ -73,6 +77,7 @@ export const TaxDeclarationsTab = () => {
           </CardContent>
         </Card>
       ))}
+      <InvestmentProofsCard />
     </div>
   );
 };
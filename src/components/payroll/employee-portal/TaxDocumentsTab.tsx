@@ -6,6 +6,10 @@ import { Button } from "@/components/ui/button";
 import { DownloadCloud, FileText } from "lucide-react";
 import { toast } from "sonner";
 
+const documentTypeLabels: Record<string, string> = {
+  annual_tax_statement: "Annual Tax Statement",
+};
+
 export const TaxDocumentsTab = () => {
   const { data, isLoading } = useQuery({
     queryKey: ["tax-documents"],
@@ -40,9 +44,12 @@ export const TaxDocumentsTab = () => {
           <CardHeader className="pb-2">
             <CardTitle className="text-base flex items-center gap-2">
               <FileText className="h-4 w-4 text-primary" />
-              {doc.document_type || "Document"}
+              {documentTypeLabels[doc.document_type] || doc.document_type || "Document"}
             </CardTitle>
-            <CardDescription>{doc.file_name}</CardDescription>
+            <CardDescription>
+              {doc.financial_year ? `FY ${doc.financial_year} · ` : ""}
+              {doc.file_name}
+            </CardDescription>
           </CardHeader>
           <CardContent className="flex items-center justify-between">
             <div className="text-sm text-muted-foreground">
@@ -51,9 +58,9 @@ export const TaxDocumentsTab = () => {
             <Button
               variant="outline"
               size="sm"
-              onClick={() => {
+              onClick={async () => {
                 try {
-                  window.open(doc.file_url, "_blank", "noreferrer");
+                  await api.tax.downloadDocument(doc.id);
                 } catch (err: any) {
                   toast.error(err.message || "Failed to download document");
                 }
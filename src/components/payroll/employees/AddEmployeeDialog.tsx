@@ -35,6 +35,7 @@ const initialState = {
   date_of_joining: "",
   date_of_birth: "",
   department: "",
+  cost_center: "",
   designation: "",
   status: "active" as const,
   pan_number: "",
@@ -42,6 +43,11 @@ const initialState = {
   bank_account_number: "",
   bank_ifsc: "",
   bank_name: "",
+  uan_number: "",
+  esic_ip_number: "",
+  work_state: "",
+  country: "",
+  currency: "",
 };
 
 export const AddEmployeeDialog = ({ open, onOpenChange }: AddEmployeeDialogProps) => {
@@ -171,6 +177,16 @@ export const AddEmployeeDialog = ({ open, onOpenChange }: AddEmployeeDialogProps
               />
             </div>
 
+            <div className="space-y-2">
+              <Label htmlFor="cost_center">Cost Center</Label>
+              <Input
+                id="cost_center"
+                value={formData.cost_center}
+                onChange={(e) => setFormData({ ...formData, cost_center: e.target.value })}
+                placeholder="CC-100"
+              />
+            </div>
+
             <div className="space-y-2">
               <Label htmlFor="designation">Designation</Label>
               <Input
@@ -248,6 +264,60 @@ export const AddEmployeeDialog = ({ open, onOpenChange }: AddEmployeeDialogProps
                 maxLength={11}
               />
             </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="uan_number">UAN</Label>
+              <Input
+                id="uan_number"
+                value={formData.uan_number}
+                onChange={(e) => setFormData({ ...formData, uan_number: e.target.value })}
+                placeholder="100123456789"
+                maxLength={12}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="esic_ip_number">ESIC IP Number</Label>
+              <Input
+                id="esic_ip_number"
+                value={formData.esic_ip_number}
+                onChange={(e) => setFormData({ ...formData, esic_ip_number: e.target.value })}
+                placeholder="1234567890"
+                maxLength={10}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="work_state">Work State</Label>
+              <Input
+                id="work_state"
+                value={formData.work_state}
+                onChange={(e) => setFormData({ ...formData, work_state: e.target.value })}
+                placeholder="Karnataka"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="country">Country (paid abroad)</Label>
+              <Input
+                id="country"
+                maxLength={2}
+                value={formData.country}
+                onChange={(e) => setFormData({ ...formData, country: e.target.value.toUpperCase() })}
+                placeholder="Organization default, e.g. US"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="currency">Currency</Label>
+              <Input
+                id="currency"
+                maxLength={3}
+                value={formData.currency}
+                onChange={(e) => setFormData({ ...formData, currency: e.target.value.toUpperCase() })}
+                placeholder="Country's currency, e.g. USD"
+              />
+            </div>
           </div>
 
           <DialogFooter>
@@ -12,6 +12,7 @@ import {
 } from "@/components/ui/dialog";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
 import { toast } from "sonner";
 import { DollarSign, Loader2 } from "lucide-react";
 
@@ -32,6 +33,8 @@ export const ManageCompensationDialog = ({
 }: ManageCompensationDialogProps) => {
   const queryClient = useQueryClient();
   const [loading, setLoading] = useState(false);
+  // Revisions reaching into a locked payroll month need explicit consent to pay arrears
+  const [payAsArrears, setPayAsArrears] = useState(false);
 
   const { data: existingCompensation, isLoading: isLoadingCompensation } = useQuery<{
     ctc?: number;
@@ -118,6 +121,10 @@ export const ManageCompensationDialog = ({
     }
   }, [existingCompensation, open, isLoadingCompensation, joiningDate]);
 
+  const currentMonthStart = new Date();
+  currentMonthStart.setDate(1);
+  const isBackdated = !!formData.effective_from && formData.effective_from < currentMonthStart.toISOString().split("T")[0];
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setLoading(true);
@@ -134,11 +141,19 @@ export const ManageCompensationDialog = ({
         bonus: Number(formData.bonus),
         pf_contribution: Number(formData.pf_contribution),
         esi_contribution: Number(formData.esi_contribution),
+        pay_as_arrears: isBackdated && payAsArrears,
       };
 
-      await api.employees.createCompensation(employeeId, body);
+      const result = await api.employees.createCompensation(employeeId, body);
 
-      toast.success("Compensation structure added successfully");
+      const arrearsMonths: { month: number; year: number }[] = result?.arrearsMonths || [];
+      if (arrearsMonths.length > 0) {
+        toast.success(
+          `Compensation structure added. Arrears for ${arrearsMonths.length} processed month(s) will be paid in the next payroll cycle`
+        );
+      } else {
+        toast.success("Compensation structure added successfully");
+      }
 
       queryClient.invalidateQueries({ queryKey: ["employees"] });
       queryClient.invalidateQueries({ queryKey: ["employee-compensation", employeeId] });
@@ -146,6 +161,7 @@ export const ManageCompensationDialog = ({
 
       onOpenChange(false);
 
+      setPayAsArrears(false);
       setFormData({
         ctc: "",
         basic_salary: "",
@@ -310,6 +326,19 @@ export const ManageCompensationDialog = ({
               </div>
             </div>
 
+            {isBackdated && (
+              <div className="flex items-start justify-between gap-4 rounded-lg border p-3">
+                <div>
+                  <Label htmlFor="pay_as_arrears">Pay locked months as arrears</Label>
+                  <p className="text-xs text-muted-foreground mt-1">
+                    Locked payroll months are not recomputed. Turn this on to pay the difference as arrears in the next
+                    open cycle.
+                  </p>
+                </div>
+                <Switch id="pay_as_arrears" checked={payAsArrears} onCheckedChange={setPayAsArrears} />
+              </div>
+            )}
+
             <DialogFooter>
               <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
                 Cancel
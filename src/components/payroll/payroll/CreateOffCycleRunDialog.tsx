@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { api } from "@/lib/api";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Gift } from "lucide-react";
+import { toast } from "sonner";
+
+interface CreateOffCycleRunDialogProps {
+  onSuccess: () => void;
+}
+
+export const CreateOffCycleRunDialog = ({ onSuccess }: CreateOffCycleRunDialogProps) => {
+  const queryClient = useQueryClient();
+  const today = new Date();
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [reason, setReason] = useState("bonus");
+  const [title, setTitle] = useState("");
+  const [month, setMonth] = useState((today.getMonth() + 1).toString());
+  const [year, setYear] = useState(today.getFullYear().toString());
+  const [payday, setPayday] = useState(today.toISOString().split("T")[0]);
+
+  const { data: reasonsData } = useQuery({
+    queryKey: ["off-cycle-reasons"],
+    queryFn: () => api.payroll.getOffCycleReasons(),
+    enabled: open,
+  });
+  const reasons: { id: string; name: string }[] = reasonsData?.reasons || [];
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await api.payroll.createCycle({
+        run_type: "off_cycle",
+        run_reason: reason,
+        title: title || undefined,
+        month: parseInt(month, 10),
+        year: parseInt(year, 10),
+        payday,
+      });
+
+      toast.success("Off-cycle run created. Add earning lines to choose who is paid.");
+      queryClient.invalidateQueries({ queryKey: ["payroll-cycles"] });
+      setOpen(false);
+      setTitle("");
+      onSuccess();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to create off-cycle run");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <Gift className="mr-2 h-4 w-4" />
+          Off-cycle Run
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>Create Off-cycle Run</DialogTitle>
+            <DialogDescription>
+              Pay bonuses, incentives, settlements or corrections to selected employees outside the monthly cycle
+            </DialogDescription>
+          </DialogHeader>
+          <div className="grid gap-4 py-4">
+            <div className="grid gap-2">
+              <Label htmlFor="off-cycle-reason">Reason</Label>
+              <Select value={reason} onValueChange={setReason}>
+                <SelectTrigger id="off-cycle-reason">
+                  <SelectValue placeholder="Select reason" />
+                </SelectTrigger>
+                <SelectContent>
+                  {reasons.map((r) => (
+                    <SelectItem key={r.id} value={r.id}>
+                      {r.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="off-cycle-title">Title</Label>
+              <Input
+                id="off-cycle-title"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder="e.g. Annual performance bonus"
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="grid gap-2">
+                <Label htmlFor="off-cycle-month">Tax Month</Label>
+                <Select value={month} onValueChange={setMonth}>
+                  <SelectTrigger id="off-cycle-month">
+                    <SelectValue placeholder="Select month" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Array.from({ length: 12 }, (_, i) => (
+                      <SelectItem key={i + 1} value={(i + 1).toString()}>
+                        {new Date(2000, i).toLocaleString("default", { month: "long" })}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="off-cycle-year">Year</Label>
+                <Input
+                  id="off-cycle-year"
+                  type="number"
+                  value={year}
+                  onChange={(e) => setYear(e.target.value)}
+                  min="2020"
+                  max="2100"
+                  required
+                />
+              </div>
+            </div>
+            <div className="grid gap-2">
+              <Label htmlFor="off-cycle-payday">Payment Date</Label>
+              <Input id="off-cycle-payday" type="date" value={payday} onChange={(e) => setPayday(e.target.value)} required />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button type="submit" disabled={loading}>
+              {loading ? "Creating..." : "Create Run"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,274 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { api } from "@/lib/api";
+import { toast } from "sonner";
+import { HandCoins, Loader2 } from "lucide-react";
+
+interface LoanRow {
+  id: string;
+  employee_code: string;
+  full_name: string;
+  loan_type: "loan" | "advance";
+  purpose: string | null;
+  principal: number;
+  tenure_months: number;
+  interest_rate: number;
+  emi_amount: number | null;
+  outstanding_principal: number;
+  status: string;
+  foreclose_in_payroll: boolean;
+}
+
+type LoanAction = "approve" | "reject" | "skip" | "foreclose";
+
+const ACTION_TITLES: Record<LoanAction, string> = {
+  approve: "Approve Request",
+  reject: "Reject Request",
+  skip: "Skip an Instalment",
+  foreclose: "Foreclose Loan",
+};
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 2,
+  }).format(Number(amount) || 0);
+
+const nextMonth = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+};
+
+export const EmployeeLoansCard = () => {
+  const queryClient = useQueryClient();
+  const [selected, setSelected] = useState<LoanRow | null>(null);
+  const [action, setAction] = useState<LoanAction>("approve");
+  const [interestRate, setInterestRate] = useState("0");
+  const [perquisiteRate, setPerquisiteRate] = useState("");
+  const [tenure, setTenure] = useState("");
+  const [month, setMonth] = useState(nextMonth());
+  const [reason, setReason] = useState("");
+  const [viaPayroll, setViaPayroll] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["payroll-loans"],
+    queryFn: async () => {
+      const result = await api.loans.list();
+      return (result.loans || []) as LoanRow[];
+    },
+  });
+
+  const openAction = (loan: LoanRow, nextAction: LoanAction) => {
+    setSelected(loan);
+    setAction(nextAction);
+    setTenure(String(loan.tenure_months));
+    setInterestRate("0");
+    setPerquisiteRate("");
+    setMonth(nextMonth());
+    setReason("");
+    setViaPayroll(true);
+  };
+
+  const handleSubmit = async () => {
+    if (!selected) return;
+    const [year, monthNumber] = month.split("-").map(Number);
+    setSaving(true);
+    try {
+      if (action === "approve") {
+        await api.loans.approve(selected.id, {
+          tenure_months: Number(tenure),
+          interest_rate: Number(interestRate) || 0,
+          perquisite_rate: perquisiteRate === "" ? null : Number(perquisiteRate),
+          start_month: monthNumber,
+          start_year: year,
+        });
+      } else if (action === "reject") {
+        await api.loans.reject(selected.id, reason);
+      } else if (action === "skip") {
+        await api.loans.skipInstalment(selected.id, monthNumber, year, reason || undefined);
+      } else {
+        await api.loans.foreclose(selected.id, viaPayroll, reason || undefined);
+      }
+      toast.success("Loan updated");
+      setSelected(null);
+      queryClient.invalidateQueries({ queryKey: ["payroll-loans"] });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to update loan");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loans = data || [];
+
+  return (
+    <Card className="shadow-md">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <HandCoins className="mr-2 h-5 w-5 text-primary" />
+          Loans &amp; Salary Advances
+        </CardTitle>
+        <CardDescription>Approve requests and manage EMIs recovered through payroll</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : loans.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No loans or advances yet.</p>
+        ) : (
+          <div className="border rounded-lg overflow-hidden">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Employee</TableHead>
+                  <TableHead>Type</TableHead>
+                  <TableHead className="text-right">Principal</TableHead>
+                  <TableHead className="text-right">EMI</TableHead>
+                  <TableHead className="text-right">Outstanding</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {loans.map((loan) => (
+                  <TableRow key={loan.id}>
+                    <TableCell>
+                      <div className="font-medium">{loan.full_name}</div>
+                      <div className="text-xs text-muted-foreground">{loan.employee_code}</div>
+                    </TableCell>
+                    <TableCell className="capitalize">{loan.loan_type}</TableCell>
+                    <TableCell className="text-right">{formatCurrency(loan.principal)}</TableCell>
+                    <TableCell className="text-right">{loan.emi_amount ? formatCurrency(loan.emi_amount) : "-"}</TableCell>
+                    <TableCell className="text-right">{formatCurrency(loan.outstanding_principal)}</TableCell>
+                    <TableCell>
+                      <Badge variant={loan.status === "pending" ? "outline" : "secondary"} className="uppercase">
+                        {loan.foreclose_in_payroll && loan.status === "active" ? "foreclosing" : loan.status}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-right space-x-2">
+                      {loan.status === "pending" && (
+                        <>
+                          <Button size="sm" onClick={() => openAction(loan, "approve")}>Approve</Button>
+                          <Button size="sm" variant="outline" onClick={() => openAction(loan, "reject")}>Reject</Button>
+                        </>
+                      )}
+                      {loan.status === "active" && (
+                        <>
+                          <Button size="sm" variant="outline" onClick={() => openAction(loan, "skip")}>Skip Month</Button>
+                          <Button size="sm" variant="outline" onClick={() => openAction(loan, "foreclose")}>Foreclose</Button>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={!!selected} onOpenChange={(open) => !open && setSelected(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{ACTION_TITLES[action]}</DialogTitle>
+            <DialogDescription>
+              {selected?.full_name} · {selected?.loan_type === "advance" ? "Salary advance" : "Loan"} of{" "}
+              {formatCurrency(selected?.principal || 0)}
+              {selected?.purpose ? ` · ${selected.purpose}` : ""}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            {action === "approve" && (
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="loan-tenure">Tenure (months)</Label>
+                  <Input id="loan-tenure" type="number" min="1" value={tenure} onChange={(e) => setTenure(e.target.value)} />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="loan-interest">Interest Rate (% p.a.)</Label>
+                  <Input
+                    id="loan-interest"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={interestRate}
+                    onChange={(e) => setInterestRate(e.target.value)}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="loan-perquisite">Perquisite Benchmark Rate (%)</Label>
+                  <Input
+                    id="loan-perquisite"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="Not taxable"
+                    value={perquisiteRate}
+                    onChange={(e) => setPerquisiteRate(e.target.value)}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="loan-start">First Recovery Month</Label>
+                  <Input id="loan-start" type="month" value={month} onChange={(e) => setMonth(e.target.value)} />
+                </div>
+              </div>
+            )}
+
+            {action === "skip" && (
+              <div className="space-y-2">
+                <Label htmlFor="loan-skip-month">Month to Skip</Label>
+                <Input id="loan-skip-month" type="month" value={month} onChange={(e) => setMonth(e.target.value)} />
+              </div>
+            )}
+
+            {action === "foreclose" && (
+              <div className="flex items-center justify-between">
+                <Label htmlFor="loan-via-payroll">Recover the balance in the next payroll</Label>
+                <Switch id="loan-via-payroll" checked={viaPayroll} onCheckedChange={setViaPayroll} />
+              </div>
+            )}
+
+            {action !== "approve" && (
+              <div className="space-y-2">
+                <Label htmlFor="loan-reason">Reason{action === "reject" ? "" : " (optional)"}</Label>
+                <Input id="loan-reason" value={reason} onChange={(e) => setReason(e.target.value)} />
+              </div>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setSelected(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSubmit} disabled={saving || (action === "reject" && !reason.trim())}>
+              {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              {ACTION_TITLES[action]}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
@@ -0,0 +1,358 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { api } from "@/lib/api";
+import { toast } from "sonner";
+import { format } from "date-fns";
+import { Loader2, Paperclip, Plus, Receipt } from "lucide-react";
+
+interface ExpenseCategory {
+  id: string;
+  name: string;
+  per_claim_limit: number | null;
+  monthly_limit: number | null;
+  requires_receipt: boolean;
+  is_active: boolean;
+}
+
+interface ExpenseClaimRow {
+  id: string;
+  employee_code: string;
+  full_name: string;
+  category: string;
+  expense_date: string;
+  amount: number;
+  description: string | null;
+  receipt_file_name: string | null;
+  status: string;
+  payout_mode: "payroll" | "off_cycle";
+  payout_reference: string | null;
+  paid_month: number | null;
+  paid_year: number | null;
+}
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 2,
+  }).format(Number(amount) || 0);
+
+export const ExpenseClaimsCard = () => {
+  const queryClient = useQueryClient();
+  const [statusFilter, setStatusFilter] = useState("approved");
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [payoutReference, setPayoutReference] = useState("");
+  const [paying, setPaying] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [newPerClaimLimit, setNewPerClaimLimit] = useState("");
+  const [newMonthlyLimit, setNewMonthlyLimit] = useState("");
+  const [newRequiresReceipt, setNewRequiresReceipt] = useState(true);
+  const [savingCategory, setSavingCategory] = useState(false);
+
+  const { data: claimsData, isLoading } = useQuery({
+    queryKey: ["expense-claims", statusFilter],
+    queryFn: () => api.expenses.list(statusFilter === "all" ? undefined : statusFilter),
+  });
+
+  const { data: categoriesData } = useQuery({
+    queryKey: ["expense-categories", "all"],
+    queryFn: () => api.expenses.getCategories(true),
+  });
+
+  const claims: ExpenseClaimRow[] = claimsData?.claims || [];
+  const categories: ExpenseCategory[] = categoriesData?.categories || [];
+  const offCycleClaims = claims.filter((c) => c.status === "approved" && c.payout_mode === "off_cycle");
+
+  const refreshClaims = () => {
+    setSelectedIds([]);
+    queryClient.invalidateQueries({ queryKey: ["expense-claims"] });
+  };
+
+  const refreshCategories = () => {
+    queryClient.invalidateQueries({ queryKey: ["expense-categories"] });
+  };
+
+  const toggleSelected = (claimId: string, checked: boolean) => {
+    setSelectedIds((ids) => (checked ? [...ids, claimId] : ids.filter((id) => id !== claimId)));
+  };
+
+  const handlePayoutMode = async (claim: ExpenseClaimRow, offCycle: boolean) => {
+    try {
+      await api.expenses.setPayoutMode(claim.id, offCycle ? "off_cycle" : "payroll");
+      refreshClaims();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to update payout");
+    }
+  };
+
+  const handleOffCyclePayout = async () => {
+    setPaying(true);
+    try {
+      const result = await api.expenses.payOffCycle(selectedIds, payoutReference);
+      toast.success(`${result.paidCount} claim(s) marked as paid`);
+      setPayoutReference("");
+      refreshClaims();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to record payout");
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  const handleReceipt = async (claimId: string) => {
+    try {
+      await api.expenses.downloadReceipt(claimId);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to download receipt");
+    }
+  };
+
+  const handleCreateCategory = async () => {
+    setSavingCategory(true);
+    try {
+      await api.expenses.createCategory({
+        name: newName,
+        per_claim_limit: newPerClaimLimit ? Number(newPerClaimLimit) : null,
+        monthly_limit: newMonthlyLimit ? Number(newMonthlyLimit) : null,
+        requires_receipt: newRequiresReceipt,
+      });
+      toast.success("Category added");
+      setNewName("");
+      setNewPerClaimLimit("");
+      setNewMonthlyLimit("");
+      setNewRequiresReceipt(true);
+      refreshCategories();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to add category");
+    } finally {
+      setSavingCategory(false);
+    }
+  };
+
+  const handleToggleCategory = async (category: ExpenseCategory) => {
+    try {
+      await api.expenses.updateCategory(category.id, { is_active: !category.is_active });
+      refreshCategories();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to update category");
+    }
+  };
+
+  const describePayout = (claim: ExpenseClaimRow) => {
+    if (claim.status !== "paid") return null;
+    if (claim.paid_month && claim.paid_year) {
+      return `Payroll ${new Date(claim.paid_year, claim.paid_month - 1).toLocaleString("en-IN", { month: "short", year: "numeric" })}`;
+    }
+    return `Off-cycle ${claim.payout_reference || ""}`.trim();
+  };
+
+  return (
+    <Card className="shadow-md">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Receipt className="mr-2 h-5 w-5 text-primary" />
+          Expense Claims
+        </CardTitle>
+        <CardDescription>Approved claims are reimbursed in the next payroll unless paid off-cycle</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Tabs defaultValue="claims">
+          <TabsList>
+            <TabsTrigger value="claims">Claims</TabsTrigger>
+            <TabsTrigger value="categories">Categories</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="claims" className="space-y-4">
+            <div className="flex items-center justify-between">
+              <Select value={statusFilter} onValueChange={(value) => { setStatusFilter(value); setSelectedIds([]); }}>
+                <SelectTrigger className="w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="approved">Approved, unpaid</SelectItem>
+                  <SelectItem value="pending">Pending approval</SelectItem>
+                  <SelectItem value="paid">Paid</SelectItem>
+                  <SelectItem value="rejected">Rejected</SelectItem>
+                  <SelectItem value="all">All</SelectItem>
+                </SelectContent>
+              </Select>
+              {offCycleClaims.length > 0 && (
+                <div className="flex items-center gap-2">
+                  <Input
+                    className="w-56"
+                    placeholder="Payment reference"
+                    value={payoutReference}
+                    onChange={(e) => setPayoutReference(e.target.value)}
+                  />
+                  <Button
+                    onClick={handleOffCyclePayout}
+                    disabled={paying || selectedIds.length === 0 || !payoutReference.trim()}
+                  >
+                    {paying && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                    Mark Paid Off-cycle ({selectedIds.length})
+                  </Button>
+                </div>
+              )}
+            </div>
+
+            {isLoading ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="h-6 w-6 animate-spin" />
+              </div>
+            ) : claims.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No claims.</p>
+            ) : (
+              <div className="border rounded-lg overflow-hidden">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-8" />
+                      <TableHead>Employee</TableHead>
+                      <TableHead>Category</TableHead>
+                      <TableHead>Date</TableHead>
+                      <TableHead className="text-right">Amount</TableHead>
+                      <TableHead>Status</TableHead>
+                      <TableHead>Off-cycle</TableHead>
+                      <TableHead />
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {claims.map((claim) => (
+                      <TableRow key={claim.id}>
+                        <TableCell>
+                          {claim.status === "approved" && claim.payout_mode === "off_cycle" && (
+                            <Checkbox
+                              checked={selectedIds.includes(claim.id)}
+                              onCheckedChange={(checked) => toggleSelected(claim.id, checked === true)}
+                            />
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <div className="font-medium">{claim.full_name}</div>
+                          <div className="text-xs text-muted-foreground">{claim.employee_code}</div>
+                        </TableCell>
+                        <TableCell>
+                          {claim.category}
+                          {claim.description && <div className="text-xs text-muted-foreground">{claim.description}</div>}
+                        </TableCell>
+                        <TableCell>{format(new Date(claim.expense_date), "dd MMM yyyy")}</TableCell>
+                        <TableCell className="text-right">{formatCurrency(claim.amount)}</TableCell>
+                        <TableCell>
+                          <Badge variant="outline" className="uppercase">
+                            {claim.status}
+                          </Badge>
+                          {describePayout(claim) && (
+                            <div className="text-xs text-muted-foreground mt-1">{describePayout(claim)}</div>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          {["pending", "approved"].includes(claim.status) && (
+                            <Switch
+                              checked={claim.payout_mode === "off_cycle"}
+                              onCheckedChange={(checked) => handlePayoutMode(claim, checked)}
+                            />
+                          )}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {claim.receipt_file_name && (
+                            <Button size="sm" variant="ghost" onClick={() => handleReceipt(claim.id)}>
+                              <Paperclip className="h-4 w-4" />
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </TabsContent>
+
+          <TabsContent value="categories" className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-5 items-end">
+              <div className="space-y-2 md:col-span-2">
+                <Label htmlFor="category-name">Name</Label>
+                <Input id="category-name" value={newName} onChange={(e) => setNewName(e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="category-per-claim">Per-claim Limit</Label>
+                <Input
+                  id="category-per-claim"
+                  type="number"
+                  min="0"
+                  placeholder="No limit"
+                  value={newPerClaimLimit}
+                  onChange={(e) => setNewPerClaimLimit(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="category-monthly">Monthly Limit</Label>
+                <Input
+                  id="category-monthly"
+                  type="number"
+                  min="0"
+                  placeholder="No limit"
+                  value={newMonthlyLimit}
+                  onChange={(e) => setNewMonthlyLimit(e.target.value)}
+                />
+              </div>
+              <div className="flex items-center gap-2 pb-2">
+                <Switch id="category-receipt" checked={newRequiresReceipt} onCheckedChange={setNewRequiresReceipt} />
+                <Label htmlFor="category-receipt">Receipt required</Label>
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <Button onClick={handleCreateCategory} disabled={savingCategory || !newName.trim()}>
+                {savingCategory ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="mr-2 h-4 w-4" />}
+                Add Category
+              </Button>
+            </div>
+
+            {categories.length > 0 && (
+              <div className="border rounded-lg overflow-hidden">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Category</TableHead>
+                      <TableHead className="text-right">Per Claim</TableHead>
+                      <TableHead className="text-right">Monthly</TableHead>
+                      <TableHead>Receipt</TableHead>
+                      <TableHead>Active</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {categories.map((category) => (
+                      <TableRow key={category.id}>
+                        <TableCell className="font-medium">{category.name}</TableCell>
+                        <TableCell className="text-right">
+                          {category.per_claim_limit ? formatCurrency(category.per_claim_limit) : "-"}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {category.monthly_limit ? formatCurrency(category.monthly_limit) : "-"}
+                        </TableCell>
+                        <TableCell>{category.requires_receipt ? "Required" : "Optional"}</TableCell>
+                        <TableCell>
+                          <Switch checked={category.is_active} onCheckedChange={() => handleToggleCategory(category)} />
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </TabsContent>
+        </Tabs>
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,456 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { api } from "@/lib/api";
+import { toast } from "sonner";
+import { Download, Loader2, Plus, Trash2, UserMinus } from "lucide-react";
+
+interface AssetRecovery {
+  description: string;
+  amount: number;
+}
+
+interface SettlementInputs {
+  leave_encashment_days?: number | null;
+  waive_notice_recovery?: boolean;
+  asset_recoveries?: AssetRecovery[];
+}
+
+interface SettlementStatement {
+  last_working_day: string;
+  salary: { paid_days: number; total_working_days: number; gross: number; deductions: number } | null;
+  salary_note: string | null;
+  leave_encashment: { days: number; computed_days: number; daily_rate: number; amount: number };
+  gratuity: { eligible: boolean; gratuity_years: number; service: { years: number; months: number }; amount: number };
+  notice: { notice_period_days: number; shortfall_days: number; amount: number; waived: boolean };
+  loans: { loan_id: string; loan_type: string; amount: number }[];
+  assets: AssetRecovery[];
+  assets_pending: number;
+  totals: { earnings: number; recoveries: number; net_before_tax: number };
+}
+
+interface SettlementRow {
+  id: string;
+  employee_id: string;
+  employee_code: string;
+  full_name: string;
+  last_working_day: string;
+  status: "draft" | "approved" | "rejected" | "paid";
+  inputs: SettlementInputs;
+  statement: SettlementStatement;
+  net_amount: number;
+  run_status: string | null;
+  rejection_reason: string | null;
+}
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 2,
+  }).format(Number(amount) || 0);
+
+const StatementLine = ({ label, amount, note }: { label: string; amount: number; note?: string }) => (
+  <div className="flex justify-between text-sm">
+    <span>
+      {label}
+      {note && <span className="text-muted-foreground"> · {note}</span>}
+    </span>
+    <span>{formatCurrency(amount)}</span>
+  </div>
+);
+
+export const FnfSettlementsCard = () => {
+  const queryClient = useQueryClient();
+  const [creating, setCreating] = useState(false);
+  const [employeeId, setEmployeeId] = useState("");
+  const [selected, setSelected] = useState<SettlementRow | null>(null);
+  const [leaveDays, setLeaveDays] = useState("");
+  const [waiveNotice, setWaiveNotice] = useState(false);
+  const [assets, setAssets] = useState<AssetRecovery[]>([]);
+  const [rejectReason, setRejectReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["fnf-settlements"],
+    queryFn: async () => {
+      const result = await api.payroll.getFnfSettlements();
+      return (result.settlements || []) as SettlementRow[];
+    },
+  });
+
+  const { data: employeesData } = useQuery({
+    queryKey: ["employees", ""],
+    queryFn: async () => {
+      const response = await api.employees.list();
+      return response.employees;
+    },
+    enabled: creating,
+  });
+  const employees: { id: string; full_name: string; employee_code: string }[] = employeesData || [];
+
+  const openSettlement = (settlement: SettlementRow) => {
+    setSelected(settlement);
+    setLeaveDays(
+      settlement.inputs.leave_encashment_days === undefined || settlement.inputs.leave_encashment_days === null
+        ? ""
+        : String(settlement.inputs.leave_encashment_days)
+    );
+    setWaiveNotice(Boolean(settlement.inputs.waive_notice_recovery));
+    setAssets(settlement.statement.assets);
+    setRejectReason("");
+  };
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ["fnf-settlements"] });
+    queryClient.invalidateQueries({ queryKey: ["payroll-cycles"] });
+  };
+
+  const runAction = async (action: () => Promise<{ settlement?: SettlementRow }>, message: string) => {
+    setSaving(true);
+    try {
+      const result = await action();
+      toast.success(message);
+      refresh();
+      return result;
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to update settlement");
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCompute = async () => {
+    const result = await runAction(() => api.payroll.computeFnfSettlement(employeeId), "Settlement computed");
+    if (result?.settlement) {
+      setCreating(false);
+      setEmployeeId("");
+      openSettlement(result.settlement);
+    }
+  };
+
+  const handleRecompute = async () => {
+    if (!selected) return;
+    const result = await runAction(
+      () =>
+        api.payroll.recomputeFnfSettlement(selected.id, {
+          leave_encashment_days: leaveDays === "" ? null : Number(leaveDays),
+          waive_notice_recovery: waiveNotice,
+          asset_recoveries: assets.filter((a) => a.description.trim() && Number(a.amount) > 0),
+        }),
+      "Settlement recomputed"
+    );
+    if (result?.settlement) openSettlement(result.settlement);
+  };
+
+  const handleApprove = async () => {
+    if (!selected) return;
+    const result = await runAction(
+      () => api.payroll.approveFnfSettlement(selected.id),
+      "Settlement approved. Process the settlement run to pay it."
+    );
+    if (result) setSelected(null);
+  };
+
+  const handleReject = async () => {
+    if (!selected) return;
+    const result = await runAction(() => api.payroll.rejectFnfSettlement(selected.id, rejectReason), "Settlement rejected");
+    if (result) setSelected(null);
+  };
+
+  const handleDownload = async (settlement: SettlementRow) => {
+    try {
+      await api.payroll.downloadFnfStatement(settlement.id);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to download statement");
+    }
+  };
+
+  const settlements = data || [];
+  const statement = selected?.statement;
+  const editable = selected?.status === "draft";
+
+  return (
+    <Card className="shadow-md">
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle className="flex items-center">
+            <UserMinus className="mr-2 h-5 w-5 text-primary" />
+            Full &amp; Final Settlements
+          </CardTitle>
+          <CardDescription>Settle leavers' final pay, leave encashment, gratuity and recoveries</CardDescription>
+        </div>
+        <Button variant="outline" onClick={() => setCreating(true)}>
+          <Plus className="mr-2 h-4 w-4" />
+          New Settlement
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : settlements.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No settlements yet.</p>
+        ) : (
+          <div className="border rounded-lg overflow-hidden">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Employee</TableHead>
+                  <TableHead>Last Working Day</TableHead>
+                  <TableHead className="text-right">Net Before Tax</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {settlements.map((settlement) => (
+                  <TableRow key={settlement.id}>
+                    <TableCell>
+                      <div className="font-medium">{settlement.full_name}</div>
+                      <div className="text-xs text-muted-foreground">{settlement.employee_code}</div>
+                    </TableCell>
+                    <TableCell>{new Date(settlement.last_working_day).toLocaleDateString("en-IN")}</TableCell>
+                    <TableCell className="text-right">{formatCurrency(settlement.net_amount)}</TableCell>
+                    <TableCell>
+                      <Badge variant={settlement.status === "draft" ? "outline" : "secondary"} className="uppercase">
+                        {settlement.status}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-right space-x-2">
+                      <Button size="sm" variant="outline" onClick={() => openSettlement(settlement)}>
+                        {settlement.status === "draft" ? "Review" : "View"}
+                      </Button>
+                      <Button size="icon" variant="ghost" onClick={() => handleDownload(settlement)}>
+                        <Download className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={creating} onOpenChange={setCreating}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>New Settlement</DialogTitle>
+            <DialogDescription>
+              Dates come from the employee's approved offboarding request, or their exit date in payroll.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2">
+            <Label htmlFor="fnf-employee">Employee</Label>
+            <Select value={employeeId} onValueChange={setEmployeeId}>
+              <SelectTrigger id="fnf-employee">
+                <SelectValue placeholder="Select employee" />
+              </SelectTrigger>
+              <SelectContent>
+                {employees.map((e) => (
+                  <SelectItem key={e.id} value={e.id}>
+                    {e.full_name} ({e.employee_code})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setCreating(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleCompute} disabled={saving || !employeeId}>
+              {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Compute
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!selected} onOpenChange={(open) => !open && setSelected(null)}>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Settlement - {selected?.full_name}</DialogTitle>
+            <DialogDescription>
+              Last working day {statement && new Date(statement.last_working_day).toLocaleDateString("en-IN")}
+              {selected?.rejection_reason ? ` · Rejected: ${selected.rejection_reason}` : ""}
+            </DialogDescription>
+          </DialogHeader>
+
+          {statement && (
+            <div className="space-y-4">
+              <div className="space-y-1">
+                <h4 className="font-medium">Earnings</h4>
+                {statement.salary ? (
+                  <StatementLine
+                    label="Final salary"
+                    note={`${statement.salary.paid_days} of ${statement.salary.total_working_days} days`}
+                    amount={statement.salary.gross}
+                  />
+                ) : (
+                  <p className="text-sm text-muted-foreground">{statement.salary_note}</p>
+                )}
+                <StatementLine
+                  label="Leave encashment"
+                  note={`${statement.leave_encashment.days} days at ${formatCurrency(statement.leave_encashment.daily_rate)}`}
+                  amount={statement.leave_encashment.amount}
+                />
+                <StatementLine
+                  label="Gratuity"
+                  note={
+                    statement.gratuity.eligible
+                      ? `${statement.gratuity.gratuity_years} years, non-taxable`
+                      : `not eligible, ${statement.gratuity.service.years} years of service`
+                  }
+                  amount={statement.gratuity.amount}
+                />
+              </div>
+
+              <div className="space-y-1">
+                <h4 className="font-medium">Recoveries</h4>
+                {statement.salary && statement.salary.deductions > 0 && (
+                  <StatementLine label="Salary deductions" amount={statement.salary.deductions} />
+                )}
+                <StatementLine
+                  label="Notice period shortfall"
+                  note={`${statement.notice.shortfall_days} of ${statement.notice.notice_period_days} days${statement.notice.waived ? ", waived" : ""}`}
+                  amount={statement.notice.amount}
+                />
+                {statement.loans.map((loan) => (
+                  <StatementLine
+                    key={loan.loan_id}
+                    label={loan.loan_type === "advance" ? "Salary advance foreclosure" : "Loan foreclosure"}
+                    amount={loan.amount}
+                  />
+                ))}
+                {statement.assets.map((asset, index) => (
+                  <StatementLine key={index} label={asset.description} amount={asset.amount} />
+                ))}
+                {statement.assets_pending > 0 && (
+                  <p className="text-sm text-muted-foreground">
+                    {statement.assets_pending} asset{statement.assets_pending !== 1 ? "s" : ""} still pending return on
+                    the exit checklist
+                  </p>
+                )}
+              </div>
+
+              <div className="border-t pt-2 space-y-1">
+                <StatementLine label="Total earnings" amount={statement.totals.earnings} />
+                <StatementLine label="Total recoveries" amount={statement.totals.recoveries} />
+                <div className="flex justify-between font-semibold">
+                  <span>Net payable before tax</span>
+                  <span>{formatCurrency(statement.totals.net_before_tax)}</span>
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  PF, ESI, professional tax and TDS are deducted when the settlement run is processed.
+                </p>
+              </div>
+
+              {editable && (
+                <div className="space-y-4 border-t pt-4">
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="fnf-leave-days">Leave days to encash</Label>
+                      <Input
+                        id="fnf-leave-days"
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        placeholder={String(statement.leave_encashment.computed_days)}
+                        value={leaveDays}
+                        onChange={(e) => setLeaveDays(e.target.value)}
+                      />
+                    </div>
+                    <div className="flex items-center gap-2 pt-8">
+                      <Switch id="fnf-waive-notice" checked={waiveNotice} onCheckedChange={setWaiveNotice} />
+                      <Label htmlFor="fnf-waive-notice">Waive notice recovery</Label>
+                    </div>
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Asset recoveries</Label>
+                    {assets.map((asset, index) => (
+                      <div key={index} className="flex gap-2">
+                        <Input
+                          value={asset.description}
+                          placeholder="Description"
+                          onChange={(e) =>
+                            setAssets(assets.map((a, i) => (i === index ? { ...a, description: e.target.value } : a)))
+                          }
+                        />
+                        <Input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          className="w-40"
+                          value={asset.amount}
+                          onChange={(e) =>
+                            setAssets(assets.map((a, i) => (i === index ? { ...a, amount: Number(e.target.value) } : a)))
+                          }
+                        />
+                        <Button size="icon" variant="ghost" onClick={() => setAssets(assets.filter((_, i) => i !== index))}>
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    ))}
+                    <Button size="sm" variant="outline" onClick={() => setAssets([...assets, { description: "", amount: 0 }])}>
+                      <Plus className="mr-2 h-4 w-4" />
+                      Add recovery
+                    </Button>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="fnf-reject-reason">Rejection reason</Label>
+                    <Input
+                      id="fnf-reject-reason"
+                      value={rejectReason}
+                      placeholder="Required to reject"
+                      onChange={(e) => setRejectReason(e.target.value)}
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          <DialogFooter>
+            {editable ? (
+              <>
+                <Button variant="outline" onClick={handleReject} disabled={saving || !rejectReason.trim()}>
+                  Reject
+                </Button>
+                <Button variant="outline" onClick={handleRecompute} disabled={saving}>
+                  Recompute
+                </Button>
+                <Button onClick={handleApprove} disabled={saving}>
+                  {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  Approve
+                </Button>
+              </>
+            ) : (
+              <Button variant="outline" onClick={() => setSelected(null)}>
+                Close
+              </Button>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
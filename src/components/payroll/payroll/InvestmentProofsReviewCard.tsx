@@ -0,0 +1,313 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { api } from "@/lib/api";
+import { toast } from "sonner";
+import { format } from "date-fns";
+import { Check, FileCheck, Loader2, Paperclip, X } from "lucide-react";
+
+interface InvestmentProofRow {
+  id: string;
+  employee_code: string;
+  full_name: string;
+  section: string;
+  description: string | null;
+  amount: number;
+  landlord_name: string | null;
+  landlord_pan: string | null;
+  rent_from: string | null;
+  rent_to: string | null;
+  status: "submitted" | "verified" | "rejected";
+  verified_amount: number | null;
+  review_comment: string | null;
+  reviewed_by_name: string | null;
+}
+
+const formatCurrency = (amount: number) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+    minimumFractionDigits: 2,
+  }).format(Number(amount) || 0);
+
+const toInputDate = (value: string | null | undefined) => (value ? format(new Date(value), "yyyy-MM-dd") : "");
+
+const currentFinancialYear = () => {
+  const now = new Date();
+  const startYear = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+export const InvestmentProofsReviewCard = () => {
+  const queryClient = useQueryClient();
+  const [financialYear, setFinancialYear] = useState(currentFinancialYear);
+  const [statusFilter, setStatusFilter] = useState("submitted");
+  const [actingId, setActingId] = useState<string | null>(null);
+  const [opensOn, setOpensOn] = useState<string | null>(null);
+  const [closesOn, setClosesOn] = useState<string | null>(null);
+  const [cutoffDate, setCutoffDate] = useState<string | null>(null);
+  const [savingWindow, setSavingWindow] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["tax-proofs", financialYear, statusFilter],
+    queryFn: () => api.tax.listProofs(financialYear, statusFilter === "all" ? undefined : statusFilter),
+    enabled: /^\d{4}-\d{2}$/.test(financialYear),
+  });
+
+  const proofs: InvestmentProofRow[] = data?.proofs || [];
+  const sections: Record<string, { label: string }> = data?.sections || {};
+  // Unedited fields show the saved window for the year
+  const windowFields = {
+    declaration_opens_on: opensOn ?? toInputDate(data?.window?.declaration_opens_on),
+    declaration_closes_on: closesOn ?? toInputDate(data?.window?.declaration_closes_on),
+    proof_cutoff_date: cutoffDate ?? toInputDate(data?.window?.proof_cutoff_date),
+  };
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ["tax-proofs"] });
+  };
+
+  const resetWindowFields = () => {
+    setOpensOn(null);
+    setClosesOn(null);
+    setCutoffDate(null);
+  };
+
+  const handleVerify = async (proof: InvestmentProofRow) => {
+    const input = window.prompt("Amount to accept", String(proof.amount));
+    if (input === null) return;
+    setActingId(proof.id);
+    try {
+      await api.tax.verifyProof(proof.id, { verified_amount: Number(input) });
+      toast.success("Proof verified");
+      refresh();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to verify proof");
+    } finally {
+      setActingId(null);
+    }
+  };
+
+  const handleReject = async (proof: InvestmentProofRow) => {
+    const comment = window.prompt("Reason for rejecting this proof")?.trim();
+    if (!comment) return;
+    setActingId(proof.id);
+    try {
+      await api.tax.rejectProof(proof.id, comment);
+      toast.success("Proof rejected");
+      refresh();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to reject proof");
+    } finally {
+      setActingId(null);
+    }
+  };
+
+  const handleDownload = async (proofId: string) => {
+    try {
+      await api.tax.downloadProof(proofId);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to download proof");
+    }
+  };
+
+  const handleSaveWindow = async () => {
+    setSavingWindow(true);
+    try {
+      await api.tax.saveDeclarationWindow(financialYear, {
+        declaration_opens_on: windowFields.declaration_opens_on || null,
+        declaration_closes_on: windowFields.declaration_closes_on || null,
+        proof_cutoff_date: windowFields.proof_cutoff_date || null,
+      });
+      toast.success("Declaration window saved");
+      resetWindowFields();
+      refresh();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to save declaration window");
+    } finally {
+      setSavingWindow(false);
+    }
+  };
+
+  return (
+    <Card className="shadow-md">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <FileCheck className="mr-2 h-5 w-5 text-primary" />
+          Investment Proofs
+        </CardTitle>
+        <CardDescription>
+          Verify proofs against declarations. From the proof cutoff date only verified amounts reduce TDS.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-end gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="proofs-financial-year">Financial Year</Label>
+            <Input
+              id="proofs-financial-year"
+              className="w-32"
+              value={financialYear}
+              onChange={(e) => {
+                setFinancialYear(e.target.value);
+                resetWindowFields();
+              }}
+            />
+          </div>
+        </div>
+
+        <Tabs defaultValue="proofs">
+          <TabsList>
+            <TabsTrigger value="proofs">Proofs</TabsTrigger>
+            <TabsTrigger value="window">Declaration Window</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="proofs" className="space-y-4">
+            <Select value={statusFilter} onValueChange={setStatusFilter}>
+              <SelectTrigger className="w-48">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="submitted">Awaiting verification</SelectItem>
+                <SelectItem value="verified">Verified</SelectItem>
+                <SelectItem value="rejected">Rejected</SelectItem>
+                <SelectItem value="all">All</SelectItem>
+              </SelectContent>
+            </Select>
+
+            {isLoading ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="h-6 w-6 animate-spin" />
+              </div>
+            ) : proofs.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No proofs found.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Employee</TableHead>
+                    <TableHead>Section</TableHead>
+                    <TableHead className="text-right">Claimed</TableHead>
+                    <TableHead className="text-right">Verified</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {proofs.map((proof) => (
+                    <TableRow key={proof.id}>
+                      <TableCell>
+                        <div className="font-medium">{proof.full_name}</div>
+                        <div className="text-xs text-muted-foreground">{proof.employee_code}</div>
+                      </TableCell>
+                      <TableCell>
+                        {sections[proof.section]?.label || proof.section}
+                        {proof.description && <div className="text-xs text-muted-foreground">{proof.description}</div>}
+                        {proof.landlord_name && (
+                          <div className="text-xs text-muted-foreground">
+                            {proof.landlord_name}
+                            {proof.landlord_pan ? ` (${proof.landlord_pan})` : ""}
+                            {proof.rent_from && proof.rent_to
+                              ? `, ${format(new Date(proof.rent_from), "dd MMM yyyy")} - ${format(new Date(proof.rent_to), "dd MMM yyyy")}`
+                              : ""}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">{formatCurrency(proof.amount)}</TableCell>
+                      <TableCell className="text-right">
+                        {proof.verified_amount !== null ? formatCurrency(proof.verified_amount) : "-"}
+                      </TableCell>
+                      <TableCell>
+                        <Badge
+                          variant={proof.status === "verified" ? "default" : proof.status === "rejected" ? "destructive" : "outline"}
+                          className="uppercase"
+                        >
+                          {proof.status}
+                        </Badge>
+                        {proof.review_comment && (
+                          <div className="text-xs text-muted-foreground mt-1">{proof.review_comment}</div>
+                        )}
+                        {proof.reviewed_by_name && (
+                          <div className="text-xs text-muted-foreground">by {proof.reviewed_by_name}</div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right space-x-2">
+                        <Button size="sm" variant="ghost" onClick={() => handleDownload(proof.id)}>
+                          <Paperclip className="h-4 w-4" />
+                        </Button>
+                        {proof.status === "submitted" && (
+                          <>
+                            <Button size="sm" disabled={actingId === proof.id} onClick={() => handleVerify(proof)}>
+                              <Check className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              disabled={actingId === proof.id}
+                              onClick={() => handleReject(proof)}
+                            >
+                              <X className="h-4 w-4" />
+                            </Button>
+                          </>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </TabsContent>
+
+          <TabsContent value="window" className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Employees can change their declaration for {financialYear} only between the open and close dates. Leave
+              a date empty for no limit.
+            </p>
+            <div className="grid gap-4 md:grid-cols-3">
+              <div className="space-y-2">
+                <Label htmlFor="declaration-opens-on">Declarations Open</Label>
+                <Input
+                  id="declaration-opens-on"
+                  type="date"
+                  value={windowFields.declaration_opens_on}
+                  onChange={(e) => setOpensOn(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="declaration-closes-on">Declarations Close</Label>
+                <Input
+                  id="declaration-closes-on"
+                  type="date"
+                  value={windowFields.declaration_closes_on}
+                  onChange={(e) => setClosesOn(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="proof-cutoff-date">Proof Cutoff</Label>
+                <Input
+                  id="proof-cutoff-date"
+                  type="date"
+                  value={windowFields.proof_cutoff_date}
+                  onChange={(e) => setCutoffDate(e.target.value)}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <Button onClick={handleSaveWindow} disabled={savingWindow}>
+                {savingWindow && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Save Window
+              </Button>
+            </div>
+          </TabsContent>
+        </Tabs>
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,240 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { api } from "@/lib/api";
+import { toast } from "sonner";
+import { Gift, Loader2, Plus, Trash2 } from "lucide-react";
+
+interface OffCycleEarningsDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  cycleId: string;
+  title: string;
+  editable: boolean;
+}
+
+interface EarningLine {
+  id: string;
+  employee_id: string;
+  employee_code: string;
+  full_name: string;
+  component_code: string;
+  component_name: string;
+  amount: number;
+  is_taxable: boolean;
+  description?: string;
+}
+
+export const OffCycleEarningsDialog = ({ open, onOpenChange, cycleId, title, editable }: OffCycleEarningsDialogProps) => {
+  const queryClient = useQueryClient();
+  const [employeeId, setEmployeeId] = useState("");
+  const [componentName, setComponentName] = useState("");
+  const [amount, setAmount] = useState("");
+  const [isTaxable, setIsTaxable] = useState(true);
+  const [description, setDescription] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["off-cycle-earnings", cycleId],
+    queryFn: () => api.payroll.getOffCycleEarnings(cycleId),
+    enabled: open && !!cycleId,
+  });
+
+  const { data: employeesData } = useQuery({
+    queryKey: ["employees", ""],
+    queryFn: async () => {
+      const response = await api.employees.list();
+      return response.employees;
+    },
+    enabled: open && editable,
+  });
+
+  const earnings: EarningLine[] = data?.earnings || [];
+  const employees: { id: string; full_name: string; employee_code: string }[] = employeesData || [];
+  const total = earnings.reduce((sum, line) => sum + Number(line.amount), 0);
+  const employeeCount = new Set(earnings.map((line) => line.employee_id)).size;
+
+  const formatCurrency = (value: number) =>
+    new Intl.NumberFormat("en-IN", {
+      style: "currency",
+      currency: "INR",
+      minimumFractionDigits: 2,
+    }).format(value);
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ["off-cycle-earnings", cycleId] });
+    queryClient.invalidateQueries({ queryKey: ["payroll-preview", cycleId] });
+  };
+
+  const handleAdd = async () => {
+    setSaving(true);
+    try {
+      await api.payroll.addOffCycleEarning(cycleId, {
+        employee_id: employeeId,
+        amount: Number(amount),
+        component_name: componentName || undefined,
+        is_taxable: isTaxable,
+        description: description || undefined,
+      });
+      toast.success("Earning line added");
+      setAmount("");
+      setDescription("");
+      refresh();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to add earning line");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (line: EarningLine) => {
+    try {
+      await api.payroll.removeOffCycleEarning(cycleId, line.id);
+      toast.success("Earning line removed");
+      refresh();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to remove earning line");
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <Gift className="mr-2 h-5 w-5" />
+            Earnings - {title}
+          </DialogTitle>
+          <DialogDescription>
+            Only employees with earning lines are paid in this run. Taxable lines have TDS deducted in full as
+            irregular income.
+          </DialogDescription>
+        </DialogHeader>
+
+        {editable && (
+          <div className="grid gap-4 md:grid-cols-6 items-end">
+            <div className="space-y-2 md:col-span-2">
+              <Label htmlFor="off-cycle-employee">Employee</Label>
+              <Select value={employeeId} onValueChange={setEmployeeId}>
+                <SelectTrigger id="off-cycle-employee">
+                  <SelectValue placeholder="Select employee" />
+                </SelectTrigger>
+                <SelectContent>
+                  {employees.map((e) => (
+                    <SelectItem key={e.id} value={e.id}>
+                      {e.full_name} ({e.employee_code})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="off-cycle-component">Label</Label>
+              <Input
+                id="off-cycle-component"
+                value={componentName}
+                onChange={(e) => setComponentName(e.target.value)}
+                placeholder="Default"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="off-cycle-amount">Amount</Label>
+              <Input
+                id="off-cycle-amount"
+                type="number"
+                min="0"
+                step="0.01"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+              />
+            </div>
+            <div className="flex items-center gap-2 pb-2">
+              <Switch id="off-cycle-taxable" checked={isTaxable} onCheckedChange={setIsTaxable} />
+              <Label htmlFor="off-cycle-taxable">Taxable</Label>
+            </div>
+            <Button onClick={handleAdd} disabled={saving || !employeeId || !(Number(amount) > 0)}>
+              {saving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="mr-2 h-4 w-4" />}
+              Add
+            </Button>
+            <div className="space-y-2 md:col-span-6">
+              <Label htmlFor="off-cycle-description">Note</Label>
+              <Input
+                id="off-cycle-description"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Optional"
+              />
+            </div>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center items-center py-12">
+            <Loader2 className="h-8 w-8 animate-spin" />
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              {employeeCount} employee{employeeCount !== 1 ? "s" : ""} - {formatCurrency(total)}
+            </p>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Employee</TableHead>
+                  <TableHead>Earning</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                  <TableHead>Note</TableHead>
+                  {editable && <TableHead />}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {earnings.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={editable ? 5 : 4} className="text-center text-muted-foreground py-6">
+                      No earning lines yet
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  earnings.map((line) => (
+                    <TableRow key={line.id}>
+                      <TableCell>
+                        <div className="font-medium">{line.full_name}</div>
+                        <div className="text-xs text-muted-foreground">{line.employee_code}</div>
+                      </TableCell>
+                      <TableCell>
+                        {line.component_name}{" "}
+                        {!line.is_taxable && <Badge variant="outline">Non-taxable</Badge>}
+                      </TableCell>
+                      <TableCell className="text-right">{formatCurrency(Number(line.amount))}</TableCell>
+                      <TableCell className="text-muted-foreground">{line.description || "—"}</TableCell>
+                      {editable && (
+                        <TableCell>
+                          <Button size="icon" variant="ghost" onClick={() => handleRemove(line)}>
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -2,9 +2,17 @@ import { useState } from "react";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
-import { Loader2, Play, Receipt } from "lucide-react";
+import { AlertTriangle, Check, CircleDollarSign, Gift, GitCompare, Landmark, Lock, Mail, Play, Receipt, RotateCcw, Send, X } from "lucide-react";
+import { api } from "@/lib/api";
+import { toast } from "sonner";
 import { PayrollReviewDialog } from "@/components/payroll/payroll/PayrollReviewDialog";
 import { PayrollCyclePayslipsDialog } from "@/components/payroll/payroll/PayrollCyclePayslipsDialog";
+import { PayrollDisbursementDialog } from "@/components/payroll/payroll/PayrollDisbursementDialog";
+import { PayrollVarianceDialog } from "@/components/payroll/payroll/PayrollVarianceDialog";
+import { OffCycleEarningsDialog } from "@/components/payroll/payroll/OffCycleEarningsDialog";
+import { PayrollReopenDialog } from "@/components/payroll/payroll/PayrollReopenDialog";
+import { PayslipEmailsDialog } from "@/components/payroll/payroll/PayslipEmailsDialog";
+import { PayrollExceptionsDialog } from "@/components/payroll/payroll/PayrollExceptionsDialog";
 
 interface PayrollCycle {
   id: string;
@@ -16,6 +24,15 @@ interface PayrollCycle {
   created_at: string;
   approved_at?: string;
   payday?: string;
+  run_type?: "regular" | "off_cycle";
+  run_reason?: string;
+  title?: string;
+  // Employees being corrected after a reopen
+  reopen_employee_ids?: string[] | null;
+  pending_reopen?: { id: string; reason: string; employee_ids: string[] } | null;
+  open_exceptions?: number;
+  // Open exceptions that stop the cycle from being approved
+  blocking_exceptions?: number;
 }
 
 interface PayrollCycleListProps {
@@ -26,7 +43,14 @@ interface PayrollCycleListProps {
 export const PayrollCycleList = ({ cycles, onRefresh }: PayrollCycleListProps) => {
   const [reviewDialogOpen, setReviewDialogOpen] = useState(false);
   const [payslipsDialogOpen, setPayslipsDialogOpen] = useState(false);
+  const [disbursementDialogOpen, setDisbursementDialogOpen] = useState(false);
+  const [varianceDialogOpen, setVarianceDialogOpen] = useState(false);
+  const [earningsDialogOpen, setEarningsDialogOpen] = useState(false);
+  const [reopenDialogOpen, setReopenDialogOpen] = useState(false);
+  const [emailsDialogOpen, setEmailsDialogOpen] = useState(false);
+  const [exceptionsDialogOpen, setExceptionsDialogOpen] = useState(false);
   const [selectedCycle, setSelectedCycle] = useState<PayrollCycle | null>(null);
+  const [actingCycleId, setActingCycleId] = useState<string | null>(null);
 
   const handleProcess = (cycle: PayrollCycle) => {
     setSelectedCycle(cycle);
@@ -38,28 +62,87 @@ export const PayrollCycleList = ({ cycles, onRefresh }: PayrollCycleListProps) =
     setPayslipsDialogOpen(true);
   };
 
+  const handleBankFile = (cycle: PayrollCycle) => {
+    setSelectedCycle(cycle);
+    setDisbursementDialogOpen(true);
+  };
+
+  const handleVariance = (cycle: PayrollCycle) => {
+    setSelectedCycle(cycle);
+    setVarianceDialogOpen(true);
+  };
+
+  const handleEarnings = (cycle: PayrollCycle) => {
+    setSelectedCycle(cycle);
+    setEarningsDialogOpen(true);
+  };
+
+  const handleEmails = (cycle: PayrollCycle) => {
+    setSelectedCycle(cycle);
+    setEmailsDialogOpen(true);
+  };
+
+  const handleExceptions = (cycle: PayrollCycle) => {
+    setSelectedCycle(cycle);
+    setExceptionsDialogOpen(true);
+  };
+
+  const handleReopen = (cycle: PayrollCycle) => {
+    setSelectedCycle(cycle);
+    setReopenDialogOpen(true);
+  };
+
   const handleProcessed = () => {
     if (onRefresh) {
       onRefresh();
     }
   };
 
+  const runAction = async (cycle: PayrollCycle, action: () => Promise<{ message?: string }>, fallbackError: string) => {
+    setActingCycleId(cycle.id);
+    try {
+      const result = await action();
+      toast.success(result.message || "Payroll updated");
+      handleProcessed();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : fallbackError);
+    } finally {
+      setActingCycleId(null);
+    }
+  };
+
+  const handleReject = (cycle: PayrollCycle) => {
+    const reason = window.prompt("Reason for sending this payroll back to draft");
+    if (reason === null) return;
+    runAction(cycle, () => api.payroll.rejectCycle(cycle.id, reason), "Failed to reject payroll");
+  };
+
+  const handleReviewReopen = (cycle: PayrollCycle, approve: boolean) => {
+    const request = cycle.pending_reopen;
+    if (!request) return;
+    const note = window.prompt(approve ? "Approval note (optional)" : "Reason for rejecting the reopen");
+    if (note === null) return;
+    runAction(
+      cycle,
+      () => (approve ? api.payroll.approveCycleReopen(request.id, note) : api.payroll.rejectCycleReopen(request.id, note)),
+      "Failed to review reopen request"
+    );
+  };
+
   const getStatusColor = (status: string) => {
     switch (status) {
       case "draft":
         return "secondary";
-      case "processing":
-        return "default";
-      case "pending_approval":
+      case "computed":
+        return "outline";
+      case "submitted":
         return "outline";
       case "approved":
         return "default";
-      case "completed":
+      case "locked":
         return "default";
       case "paid":
         return "default";
-      case "failed":
-        return "destructive";
       default:
         return "secondary";
     }
@@ -67,6 +150,13 @@ export const PayrollCycleList = ({ cycles, onRefresh }: PayrollCycleListProps) =
 
   const getMonthName = (month: number) => new Date(2000, month - 1).toLocaleString("default", { month: "long" });
 
+  const isOffCycle = (cycle: PayrollCycle) => cycle.run_type === "off_cycle";
+
+  const getRunLabel = (cycle: PayrollCycle) => {
+    const reason = (cycle.run_reason || "off-cycle").replace("_", " ");
+    return cycle.title ? `${reason}: ${cycle.title}` : reason;
+  };
+
   const getPayday = (cycle: PayrollCycle) => {
     if (cycle.payday) {
       if (cycle.status === "paid") {
@@ -91,7 +181,7 @@ export const PayrollCycleList = ({ cycles, onRefresh }: PayrollCycleListProps) =
     if (cycle.status === "paid") {
       return <span className="text-green-600 font-medium">Paid</span>;
     }
-    if (["approved", "processing", "completed"].includes(cycle.status)) {
+    if (["approved", "locked"].includes(cycle.status)) {
       return lastDay.toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" });
     }
     return <span className="text-muted-foreground">-</span>;
@@ -123,9 +213,23 @@ export const PayrollCycleList = ({ cycles, onRefresh }: PayrollCycleListProps) =
               <TableRow key={cycle.id}>
                 <TableCell className="font-medium">
                   {getMonthName(cycle.month)} {cycle.year}
+                  {isOffCycle(cycle) && (
+                    <div className="mt-1 flex items-center gap-2">
+                      <Badge variant="outline">Off-cycle</Badge>
+                      <span className="text-xs text-muted-foreground capitalize">{getRunLabel(cycle)}</span>
+                    </div>
+                  )}
                 </TableCell>
                 <TableCell>
-                  <Badge variant={getStatusColor(cycle.status)}>{cycle.status.replace("_", " ")}</Badge>
+                  <Badge variant={getStatusColor(cycle.status)}>{cycle.status}</Badge>
+                  {cycle.reopen_employee_ids && cycle.reopen_employee_ids.length > 0 && (
+                    <div className="mt-1 text-xs text-muted-foreground">
+                      Reopened for {cycle.reopen_employee_ids.length} employee(s)
+                    </div>
+                  )}
+                  {cycle.pending_reopen && (
+                    <div className="mt-1 text-xs text-amber-600">Reopen pending: {cycle.pending_reopen.reason}</div>
+                  )}
                 </TableCell>
                 <TableCell className="text-right font-medium">{cycle.total_employees || 0}</TableCell>
                 <TableCell className="text-right font-medium">
@@ -137,18 +241,130 @@ export const PayrollCycleList = ({ cycles, onRefresh }: PayrollCycleListProps) =
                 </TableCell>
                 <TableCell>
                   <div className="flex gap-2">
-                    {cycle.status === "draft" && (
+                    {isOffCycle(cycle) && (
+                      <Button size="sm" variant="outline" onClick={() => handleEarnings(cycle)}>
+                        <Gift className="mr-2 h-4 w-4" />
+                        Earnings
+                      </Button>
+                    )}
+                    {["draft", "computed"].includes(cycle.status) && (
                       <Button size="sm" variant="outline" onClick={() => handleProcess(cycle)}>
                         <Play className="mr-2 h-4 w-4" />
-                        Process
+                        {cycle.status === "draft" ? "Compute" : "Recompute"}
+                      </Button>
+                    )}
+                    {cycle.status === "computed" && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={actingCycleId === cycle.id}
+                        onClick={() => runAction(cycle, () => api.payroll.submitCycle(cycle.id), "Failed to submit payroll")}
+                      >
+                        <Send className="mr-2 h-4 w-4" />
+                        Submit
+                      </Button>
+                    )}
+                    {cycle.status === "submitted" && (
+                      <>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          disabled={actingCycleId === cycle.id}
+                          onClick={() => runAction(cycle, () => api.payroll.approveCycle(cycle.id), "Failed to approve payroll")}
+                        >
+                          <Check className="mr-2 h-4 w-4" />
+                          Approve
+                        </Button>
+                        <Button size="sm" variant="outline" disabled={actingCycleId === cycle.id} onClick={() => handleReject(cycle)}>
+                          <X className="mr-2 h-4 w-4" />
+                          Reject
+                        </Button>
+                      </>
+                    )}
+                    {cycle.status === "approved" && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={actingCycleId === cycle.id}
+                        onClick={() => runAction(cycle, () => api.payroll.lockCycle(cycle.id), "Failed to lock payroll")}
+                      >
+                        <Lock className="mr-2 h-4 w-4" />
+                        Lock
+                      </Button>
+                    )}
+                    {cycle.status === "locked" && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={actingCycleId === cycle.id}
+                        onClick={() => runAction(cycle, () => api.payroll.markCyclePaid(cycle.id), "Failed to mark payroll paid")}
+                      >
+                        <CircleDollarSign className="mr-2 h-4 w-4" />
+                        Mark Paid
+                      </Button>
+                    )}
+                    {["approved", "locked"].includes(cycle.status) && !cycle.pending_reopen && (
+                      <Button size="sm" variant="outline" onClick={() => handleReopen(cycle)}>
+                        <RotateCcw className="mr-2 h-4 w-4" />
+                        Reopen
+                      </Button>
+                    )}
+                    {cycle.pending_reopen && (
+                      <>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          disabled={actingCycleId === cycle.id}
+                          onClick={() => handleReviewReopen(cycle, true)}
+                        >
+                          <Check className="mr-2 h-4 w-4" />
+                          Approve Reopen
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          disabled={actingCycleId === cycle.id}
+                          onClick={() => handleReviewReopen(cycle, false)}
+                        >
+                          <X className="mr-2 h-4 w-4" />
+                          Reject Reopen
+                        </Button>
+                      </>
+                    )}
+                    {(cycle.open_exceptions || 0) > 0 && (
+                      <Button
+                        size="sm"
+                        variant={(cycle.blocking_exceptions || 0) > 0 ? "destructive" : "outline"}
+                        onClick={() => handleExceptions(cycle)}
+                      >
+                        <AlertTriangle className="mr-2 h-4 w-4" />
+                        Exceptions ({cycle.open_exceptions})
                       </Button>
                     )}
-                    {["completed", "approved", "processing"].includes(cycle.status) && (
+                    {["computed", "submitted", "approved", "locked", "paid"].includes(cycle.status) && (
                       <Button size="sm" variant="outline" onClick={() => handleViewPayslips(cycle)}>
                         <Receipt className="mr-2 h-4 w-4" />
                         View Payslips
                       </Button>
                     )}
+                    {["approved", "locked", "paid"].includes(cycle.status) && (
+                      <Button size="sm" variant="outline" onClick={() => handleEmails(cycle)}>
+                        <Mail className="mr-2 h-4 w-4" />
+                        Email Payslips
+                      </Button>
+                    )}
+                    {["approved", "locked", "paid"].includes(cycle.status) && (
+                      <Button size="sm" variant="outline" onClick={() => handleBankFile(cycle)}>
+                        <Landmark className="mr-2 h-4 w-4" />
+                        Bank File
+                      </Button>
+                    )}
+                    {!isOffCycle(cycle) && (
+                      <Button size="sm" variant="outline" onClick={() => handleVariance(cycle)}>
+                        <GitCompare className="mr-2 h-4 w-4" />
+                        Variance
+                      </Button>
+                    )}
                   </div>
                 </TableCell>
               </TableRow>
@@ -174,6 +390,49 @@ export const PayrollCycleList = ({ cycles, onRefresh }: PayrollCycleListProps) =
             cycleMonth={selectedCycle.month}
             cycleYear={selectedCycle.year}
           />
+          <PayrollDisbursementDialog
+            open={disbursementDialogOpen}
+            onOpenChange={setDisbursementDialogOpen}
+            cycleId={selectedCycle.id}
+            cycleMonth={selectedCycle.month}
+            cycleYear={selectedCycle.year}
+          />
+          <OffCycleEarningsDialog
+            open={earningsDialogOpen}
+            onOpenChange={setEarningsDialogOpen}
+            cycleId={selectedCycle.id}
+            title={`${getMonthName(selectedCycle.month)} ${selectedCycle.year}`}
+            editable={["draft", "computed"].includes(selectedCycle.status)}
+          />
+          <PayslipEmailsDialog
+            open={emailsDialogOpen}
+            onOpenChange={setEmailsDialogOpen}
+            cycleId={selectedCycle.id}
+            cycleMonth={selectedCycle.month}
+            cycleYear={selectedCycle.year}
+          />
+          <PayrollReopenDialog
+            open={reopenDialogOpen}
+            onOpenChange={setReopenDialogOpen}
+            cycleId={selectedCycle.id}
+            title={`${getMonthName(selectedCycle.month)} ${selectedCycle.year}`}
+            onRequested={handleProcessed}
+          />
+          <PayrollExceptionsDialog
+            open={exceptionsDialogOpen}
+            onOpenChange={setExceptionsDialogOpen}
+            cycleId={selectedCycle.id}
+            cycleMonth={selectedCycle.month}
+            cycleYear={selectedCycle.year}
+            onChanged={handleProcessed}
+          />
+          <PayrollVarianceDialog
+            open={varianceDialogOpen}
+            onOpenChange={setVarianceDialogOpen}
+            cycleId={selectedCycle.id}
+            cycleMonth={selectedCycle.month}
+            cycleYear={selectedCycle.year}
+          />
         </>
       )}
     </>
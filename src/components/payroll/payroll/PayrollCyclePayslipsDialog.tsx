@@ -11,6 +11,7 @@ import { Button } from "@/components/ui/button";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { Card, CardContent } from "@/components/ui/card";
 import { api } from "@/lib/api";
+import { formatMoney } from "@/lib/utils";
 import { toast } from "sonner";
 import { Loader2, Download, Receipt } from "lucide-react";
 
@@ -32,12 +33,8 @@ export const PayrollCyclePayslipsDialog = ({ open, onOpenChange, cycleId, cycleM
     enabled: open && !!cycleId,
   });
 
-  const formatCurrency = (amount: number) =>
-    new Intl.NumberFormat("en-IN", {
-      style: "currency",
-      currency: "INR",
-      maximumFractionDigits: 0,
-    }).format(amount);
+  const formatCurrency = (amount: number, payslip: { currency?: string; locale?: string }) =>
+    formatMoney(amount, payslip.currency, payslip.locale, 0);
 
   const handleDownloadPayslip = async (payslipId: string) => {
     try {
@@ -52,6 +49,20 @@ export const PayrollCyclePayslipsDialog = ({ open, onOpenChange, cycleId, cycleM
 
   const payslips = data || [];
 
+  // Employees paid abroad are totalled separately in their own currency
+  const formatTotal = (field: "gross_salary" | "net_salary") => {
+    const totals = new Map<string, { amount: number; locale?: string }>();
+    for (const payslip of payslips) {
+      const currency = payslip.currency || "INR";
+      const total = totals.get(currency) || { amount: 0, locale: payslip.locale };
+      total.amount += Number(payslip[field]) || 0;
+      totals.set(currency, total);
+    }
+    return [...totals.entries()]
+      .map(([currency, total]) => formatMoney(total.amount, currency, total.locale, 0))
+      .join(" + ");
+  };
+
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
       <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
@@ -80,6 +91,7 @@ export const PayrollCyclePayslipsDialog = ({ open, onOpenChange, cycleId, cycleM
                   <TableRow>
                     <TableHead>Employee</TableHead>
                     <TableHead>Code</TableHead>
+                    <TableHead className="text-right">Arrears</TableHead>
                     <TableHead className="text-right">Gross Salary</TableHead>
                     <TableHead className="text-right">Deductions</TableHead>
                     <TableHead className="text-right">Net Salary</TableHead>
@@ -91,9 +103,12 @@ export const PayrollCyclePayslipsDialog = ({ open, onOpenChange, cycleId, cycleM
                     <TableRow key={payslip.id}>
                       <TableCell className="font-medium">{payslip.full_name || "N/A"}</TableCell>
                       <TableCell className="text-muted-foreground">{payslip.employee_code || "N/A"}</TableCell>
-                      <TableCell className="text-right font-medium">{formatCurrency(Number(payslip.gross_salary) || 0)}</TableCell>
-                      <TableCell className="text-right text-destructive">{formatCurrency(Number(payslip.deductions) || 0)}</TableCell>
-                      <TableCell className="text-right font-bold text-primary">{formatCurrency(Number(payslip.net_salary) || 0)}</TableCell>
+                      <TableCell className="text-right text-muted-foreground">
+                        {Number(payslip.arrears_amount) ? formatCurrency(Number(payslip.arrears_amount), payslip) : "-"}
+                      </TableCell>
+                      <TableCell className="text-right font-medium">{formatCurrency(Number(payslip.gross_salary) || 0, payslip)}</TableCell>
+                      <TableCell className="text-right text-destructive">{formatCurrency(Number(payslip.deductions) || 0, payslip)}</TableCell>
+                      <TableCell className="text-right font-bold text-primary">{formatCurrency(Number(payslip.net_salary) || 0, payslip)}</TableCell>
                       <TableCell>
                         <Button size="sm" variant="outline" onClick={() => handleDownloadPayslip(payslip.id)}>
                           <Download className="h-4 w-4 mr-1" />
@@ -116,13 +131,13 @@ export const PayrollCyclePayslipsDialog = ({ open, onOpenChange, cycleId, cycleM
                   <div>
                     <p className="text-muted-foreground text-sm">Total Gross</p>
                     <p className="text-2xl font-bold">
-                      {formatCurrency(payslips.reduce((sum: number, p: any) => sum + (Number(p.gross_salary) || 0), 0))}
+                      {formatTotal("gross_salary")}
                     </p>
                   </div>
                   <div>
                     <p className="text-muted-foreground text-sm">Total Net Payable</p>
                     <p className="text-2xl font-bold text-primary">
-                      {formatCurrency(payslips.reduce((sum: number, p: any) => sum + (Number(p.net_salary) || 0), 0))}
+                      {formatTotal("net_salary")}
                     </p>
                   </div>
                 </div>
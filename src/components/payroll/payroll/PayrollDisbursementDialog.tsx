@@ -0,0 +1,211 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { api } from "@/lib/api";
+import { toast } from "sonner";
+import { Landmark, Loader2, Download } from "lucide-react";
+
+interface PayrollDisbursementDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  cycleId: string;
+  cycleMonth: number;
+  cycleYear: number;
+}
+
+interface ExcludedPayment {
+  employee_id: string;
+  employee_code: string;
+  full_name: string;
+  amount: number;
+  reason: string;
+}
+
+interface DisbursementBatch {
+  id: string;
+  format: string;
+  checksum: string;
+  payment_count: number;
+  total_amount: number;
+  created_at: string;
+}
+
+export const PayrollDisbursementDialog = ({ open, onOpenChange, cycleId, cycleMonth, cycleYear }: PayrollDisbursementDialogProps) => {
+  const queryClient = useQueryClient();
+  const [format, setFormat] = useState("");
+  const [debitAccount, setDebitAccount] = useState("");
+  const [valueDate, setValueDate] = useState("");
+  const [downloading, setDownloading] = useState(false);
+
+  const { data: formatsData } = useQuery({
+    queryKey: ["disbursement-formats"],
+    queryFn: () => api.payroll.getDisbursementFormats(),
+    enabled: open,
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["payroll-cycle-disbursement", cycleId],
+    queryFn: () => api.payroll.getDisbursement(cycleId),
+    enabled: open && !!cycleId,
+  });
+
+  const formats: { id: string; name: string }[] = formatsData?.formats || [];
+  const selectedFormat = format || formatsData?.defaultFormat || "";
+  const excluded: ExcludedPayment[] = data?.excluded || [];
+  const batches: DisbursementBatch[] = data?.batches || [];
+
+  const formatCurrency = (amount: number) =>
+    new Intl.NumberFormat("en-IN", {
+      style: "currency",
+      currency: "INR",
+      minimumFractionDigits: 2,
+    }).format(amount);
+
+  const getMonthName = (month: number) => new Date(2000, month - 1).toLocaleString("default", { month: "long" });
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await api.payroll.downloadDisbursementFile(cycleId, {
+        format: selectedFormat || undefined,
+        debit_account: debitAccount || undefined,
+        value_date: valueDate || undefined,
+      });
+      toast.success("Bank file generated");
+      queryClient.invalidateQueries({ queryKey: ["payroll-cycle-disbursement", cycleId] });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to generate bank file");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <Landmark className="mr-2 h-5 w-5" />
+            Bank Transfer File - {getMonthName(cycleMonth)} {cycleYear}
+          </DialogTitle>
+          <DialogDescription>Generate the bulk NEFT/RTGS upload for this processed payroll cycle</DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="flex justify-center items-center py-12">
+            <Loader2 className="h-8 w-8 animate-spin" />
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 gap-4 text-center">
+              <div>
+                <p className="text-muted-foreground text-sm">Payable Employees</p>
+                <p className="text-2xl font-bold">{data?.paymentCount || 0}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground text-sm">Total Transfer</p>
+                <p className="text-2xl font-bold text-primary">{formatCurrency(Number(data?.totalAmount) || 0)}</p>
+              </div>
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-3">
+              <div className="space-y-2">
+                <Label htmlFor="disbursement-format">File Format</Label>
+                <Select value={selectedFormat} onValueChange={setFormat}>
+                  <SelectTrigger id="disbursement-format">
+                    <SelectValue placeholder="Select format" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {formats.map((f) => (
+                      <SelectItem key={f.id} value={f.id}>
+                        {f.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="debit-account">Debit Account</Label>
+                <Input
+                  id="debit-account"
+                  value={debitAccount}
+                  onChange={(e) => setDebitAccount(e.target.value)}
+                  placeholder="Company account number"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="value-date">Value Date</Label>
+                <Input id="value-date" type="date" value={valueDate} onChange={(e) => setValueDate(e.target.value)} />
+              </div>
+            </div>
+
+            {excluded.length > 0 && (
+              <div className="space-y-2">
+                <p className="font-medium">Excluded from the file ({excluded.length})</p>
+                <div className="border rounded-lg overflow-hidden">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Employee</TableHead>
+                        <TableHead className="text-right">Net Pay</TableHead>
+                        <TableHead>Reason</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {excluded.map((item) => (
+                        <TableRow key={item.employee_id}>
+                          <TableCell>
+                            <div className="font-medium">{item.full_name}</div>
+                            <div className="text-xs text-muted-foreground">{item.employee_code}</div>
+                          </TableCell>
+                          <TableCell className="text-right">{formatCurrency(Number(item.amount) || 0)}</TableCell>
+                          <TableCell className="text-destructive">{item.reason}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </div>
+            )}
+
+            {batches.length > 0 && (
+              <div className="space-y-2">
+                <p className="font-medium">Previous Batches</p>
+                <ul className="space-y-1 text-sm text-muted-foreground">
+                  {batches.map((batch) => (
+                    <li key={batch.id}>
+                      {new Date(batch.created_at).toLocaleString("en-IN")} · {batch.payment_count} payments ·{" "}
+                      {formatCurrency(Number(batch.total_amount) || 0)} · SHA-256 {batch.checksum.slice(0, 12)}…
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+          <Button onClick={handleDownload} disabled={downloading || isLoading || !data?.paymentCount}>
+            {downloading ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Download className="mr-2 h-4 w-4" />}
+            Generate Bank File
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
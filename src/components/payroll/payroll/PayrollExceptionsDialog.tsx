@@ -0,0 +1,278 @@
+import { Fragment, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { useAuth } from "@/contexts/AuthContext";
+import { api } from "@/lib/api";
+import { toast } from "sonner";
+import { Check, Loader2, MessageSquare, UserPlus, XCircle } from "lucide-react";
+
+interface PayrollExceptionsDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  cycleId: string;
+  cycleMonth: number;
+  cycleYear: number;
+  onChanged?: () => void;
+}
+
+interface PayrollException {
+  id: string;
+  employee_code: string;
+  full_name: string;
+  exception_type: string;
+  severity: "blocking" | "warning";
+  status: "open" | "resolved" | "waived";
+  message: string;
+  owner_id: string | null;
+  owner_name: string | null;
+  resolution_note: string | null;
+  comment_count: number;
+}
+
+interface ExceptionComment {
+  id: string;
+  body: string;
+  author_name: string | null;
+  created_at: string;
+}
+
+const statusVariant = (status: PayrollException["status"]) => {
+  switch (status) {
+    case "open":
+      return "destructive";
+    case "waived":
+      return "secondary";
+    default:
+      return "default";
+  }
+};
+
+const ExceptionComments = ({ exceptionId, onAdded }: { exceptionId: string; onAdded: () => void }) => {
+  const [body, setBody] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const { data, isLoading, refetch } = useQuery({
+    queryKey: ["payroll-exception-comments", exceptionId],
+    queryFn: () => api.payroll.getExceptionComments(exceptionId),
+  });
+  const comments: ExceptionComment[] = data?.comments || [];
+
+  const handleAdd = async () => {
+    setSaving(true);
+    try {
+      await api.payroll.addExceptionComment(exceptionId, body);
+      setBody("");
+      refetch();
+      onAdded();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to add comment");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {isLoading ? (
+        <Loader2 className="h-4 w-4 animate-spin" />
+      ) : (
+        comments.map((comment) => (
+          <div key={comment.id} className="text-sm">
+            <span className="font-medium">{comment.author_name || "Unknown"}</span>{" "}
+            <span className="text-xs text-muted-foreground">
+              {new Date(comment.created_at).toLocaleString("en-IN")}
+            </span>
+            <div>{comment.body}</div>
+          </div>
+        ))
+      )}
+      <div className="flex gap-2">
+        <Textarea rows={2} value={body} placeholder="Add a comment" onChange={(e) => setBody(e.target.value)} />
+        <Button size="sm" disabled={saving || !body.trim()} onClick={handleAdd}>
+          Comment
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export const PayrollExceptionsDialog = ({
+  open,
+  onOpenChange,
+  cycleId,
+  cycleMonth,
+  cycleYear,
+  onChanged,
+}: PayrollExceptionsDialogProps) => {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const [actingId, setActingId] = useState<string | null>(null);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["payroll-exceptions", cycleId],
+    queryFn: () => api.payroll.getCycleExceptions(cycleId),
+    enabled: open && !!cycleId,
+  });
+
+  const exceptions: PayrollException[] = data?.exceptions || [];
+  const summary = data?.summary || { open: 0, blocking_open: 0, resolved: 0, waived: 0 };
+  const types: Record<string, { label: string }> = data?.types || {};
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ["payroll-exceptions", cycleId] });
+    onChanged?.();
+  };
+
+  const runAction = async (record: PayrollException, action: () => Promise<{ message?: string }>, fallbackError: string) => {
+    setActingId(record.id);
+    try {
+      const result = await action();
+      toast.success(result.message || "Exception updated");
+      refresh();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : fallbackError);
+    } finally {
+      setActingId(null);
+    }
+  };
+
+  const handleResolve = (record: PayrollException) => {
+    const note = window.prompt("How was this fixed? (optional)");
+    if (note === null) return;
+    runAction(record, () => api.payroll.resolveException(record.id, note), "Failed to resolve exception");
+  };
+
+  const handleWaive = (record: PayrollException) => {
+    const reason = window.prompt("Reason for paying this payroll despite the exception");
+    if (reason === null) return;
+    runAction(record, () => api.payroll.waiveException(record.id, reason), "Failed to waive exception");
+  };
+
+  const getMonthName = (month: number) => new Date(2000, month - 1).toLocaleString("default", { month: "long" });
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            Payroll Exceptions - {getMonthName(cycleMonth)} {cycleYear}
+          </DialogTitle>
+          <DialogDescription>
+            Exceptions are detected each time the payroll is previewed or computed. Blocking exceptions must be
+            resolved or waived before the payroll can be approved.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex gap-2 text-sm">
+          <Badge variant="destructive">{summary.blocking_open} blocking</Badge>
+          <Badge variant="outline">{summary.open} open</Badge>
+          <Badge variant="default">{summary.resolved} resolved</Badge>
+          <Badge variant="secondary">{summary.waived} waived</Badge>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : exceptions.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">No exceptions found for this payroll</div>
+        ) : (
+          <div className="border rounded-lg overflow-hidden">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Employee</TableHead>
+                  <TableHead>Exception</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Owner</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {exceptions.map((record) => (
+                  <Fragment key={record.id}>
+                    <TableRow>
+                      <TableCell>
+                        <div className="font-medium">{record.full_name}</div>
+                        <div className="text-xs text-muted-foreground">{record.employee_code}</div>
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex items-center gap-2">
+                          <span className="font-medium">{types[record.exception_type]?.label || record.exception_type}</span>
+                          {record.severity === "blocking" && <Badge variant="destructive">Blocking</Badge>}
+                        </div>
+                        <div className="text-xs text-muted-foreground">{record.message}</div>
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant={statusVariant(record.status)}>{record.status}</Badge>
+                        {record.resolution_note && (
+                          <div className="text-xs text-muted-foreground mt-1">{record.resolution_note}</div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">{record.owner_name || "Unassigned"}</TableCell>
+                      <TableCell>
+                        <div className="flex justify-end gap-2">
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => setExpandedId(expandedId === record.id ? null : record.id)}
+                          >
+                            <MessageSquare className="mr-1 h-4 w-4" />
+                            {record.comment_count}
+                          </Button>
+                          {record.status === "open" && (
+                            <>
+                              {user && record.owner_id !== user.id && (
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  disabled={actingId === record.id}
+                                  onClick={() =>
+                                    runAction(record, () => api.payroll.assignException(record.id, user.id), "Failed to assign exception")
+                                  }
+                                >
+                                  <UserPlus className="mr-2 h-4 w-4" />
+                                  Take
+                                </Button>
+                              )}
+                              <Button size="sm" variant="outline" disabled={actingId === record.id} onClick={() => handleResolve(record)}>
+                                <Check className="mr-2 h-4 w-4" />
+                                Resolve
+                              </Button>
+                              <Button size="sm" variant="outline" disabled={actingId === record.id} onClick={() => handleWaive(record)}>
+                                <XCircle className="mr-2 h-4 w-4" />
+                                Waive
+                              </Button>
+                            </>
+                          )}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                    {expandedId === record.id && (
+                      <TableRow>
+                        <TableCell colSpan={5} className="bg-muted/40">
+                          <ExceptionComments exceptionId={record.id} onAdded={refresh} />
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </Fragment>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
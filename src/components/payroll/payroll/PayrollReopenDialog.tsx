@@ -0,0 +1,140 @@
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { api } from "@/lib/api";
+import { toast } from "sonner";
+import { Loader2 } from "lucide-react";
+
+interface PayrollReopenDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  cycleId: string;
+  title: string;
+  onRequested: () => void;
+}
+
+interface CycleEmployee {
+  employee_id: string;
+  employee_code: string;
+  full_name: string;
+  net_salary: number;
+}
+
+// Reopening needs a reason and a second approver; only the selected employees are recomputed
+export const PayrollReopenDialog = ({ open, onOpenChange, cycleId, title, onRequested }: PayrollReopenDialogProps) => {
+  const [reason, setReason] = useState("");
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["payroll-cycle-payslips", cycleId],
+    queryFn: () => api.payroll.getCyclePayslips(cycleId),
+    enabled: open && !!cycleId,
+  });
+
+  const employees: CycleEmployee[] = data?.payslips || [];
+
+  const toggleEmployee = (employeeId: string, checked: boolean) => {
+    setSelectedIds((ids) => (checked ? [...ids, employeeId] : ids.filter((id) => id !== employeeId)));
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      await api.payroll.requestCycleReopen(cycleId, { reason: reason.trim(), employee_ids: selectedIds });
+      toast.success("Reopen requested. Another approver must approve it.");
+      setReason("");
+      setSelectedIds([]);
+      onRequested();
+      onOpenChange(false);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to request reopen");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Reopen Payroll - {title}</DialogTitle>
+          <DialogDescription>
+            Select the employees to correct. The cycle returns to draft once a second approver accepts the request.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="reopen-reason">Reason</Label>
+            <Textarea
+              id="reopen-reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Why does this payroll need correcting?"
+            />
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : (
+            <div className="border rounded-lg overflow-hidden">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-10" />
+                    <TableHead>Employee</TableHead>
+                    <TableHead className="text-right">Net Pay</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {employees.map((employee) => (
+                    <TableRow key={employee.employee_id}>
+                      <TableCell>
+                        <Checkbox
+                          checked={selectedIds.includes(employee.employee_id)}
+                          onCheckedChange={(checked) => toggleEmployee(employee.employee_id, checked === true)}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <div className="font-medium">{employee.full_name}</div>
+                        <div className="text-xs text-muted-foreground">{employee.employee_code}</div>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ₹{Number(employee.net_salary || 0).toLocaleString("en-IN", { minimumFractionDigits: 2 })}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={submitting || !reason.trim() || selectedIds.length === 0}>
+            {submitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Request Reopen
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
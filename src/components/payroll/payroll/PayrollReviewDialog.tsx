@@ -14,7 +14,8 @@ import { Label } from "@/components/ui/label";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { api } from "@/lib/api";
 import { toast } from "sonner";
-import { Loader2, Edit2, Check, X } from "lucide-react";
+import { Loader2, Edit2, Check, X, AlertTriangle } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Card, CardContent } from "@/components/ui/card";
 
 interface PayrollItem {
@@ -28,15 +29,28 @@ interface PayrollItem {
   da: number;
   lta: number;
   bonus: number;
+  // Backdated revision differences for earlier months, included in gross
+  arrears_amount?: number;
   gross_salary: number;
   pf_deduction: number;
   esi_deduction: number;
   pt_deduction: number;
   tds_deduction: number;
+  // Deduction components from the employee's salary structure template
+  other_deductions?: number;
+  // EMIs on employee loans and salary advances
+  loan_recovery?: number;
+  // Approved expense claims paid on top of net pay
+  reimbursement_amount?: number;
   deductions: number;
   net_salary: number;
 }
 
+interface ExceptionSummary {
+  open: number;
+  blocking_open: number;
+}
+
 interface PayrollReviewDialogProps {
   open: boolean;
   onOpenChange: (open: boolean) => void;
@@ -58,14 +72,13 @@ export const PayrollReviewDialog = ({
   const [editingIndex, setEditingIndex] = useState<number | null>(null);
   const [processing, setProcessing] = useState(false);
 
-  const { data, isLoading } = useQuery({
+  const { data: preview, isLoading } = useQuery({
     queryKey: ["payroll-preview", cycleId],
-    queryFn: async () => {
-      const result = await api.payroll.previewCycle(cycleId);
-      return result.payrollItems as PayrollItem[];
-    },
+    queryFn: () => api.payroll.previewCycle(cycleId),
     enabled: open && !!cycleId,
   });
+  const data = preview?.payrollItems as PayrollItem[] | undefined;
+  const exceptionSummary: ExceptionSummary | undefined = preview?.exceptionSummary;
 
   useEffect(() => {
     if (data) {
@@ -91,14 +104,15 @@ export const PayrollReviewDialog = ({
 
   const handleSaveEdit = (index: number) => {
     const item = payrollItems[index];
-    const grossSalary = item.basic_salary + item.hra + item.special_allowance + item.da + item.lta + item.bonus;
+    const grossSalary =
+      item.basic_salary + item.hra + item.special_allowance + item.da + item.lta + item.bonus + (item.arrears_amount || 0);
     const pfDeduction = (item.basic_salary * 12) / 100;
     const esiDeduction = grossSalary <= 21000 ? (grossSalary * 0.75) / 100 : 0;
     const ptDeduction = 200;
-    const annualIncome = grossSalary * 12;
-    const tdsDeduction = annualIncome > 250000 ? ((annualIncome - 250000) * 5) / 100 / 12 : 0;
-    const deductions = pfDeduction + esiDeduction + ptDeduction + tdsDeduction;
-    const netSalary = grossSalary - deductions;
+    // TDS is projected server-side from the employee's regime and declarations
+    const tdsDeduction = item.tds_deduction;
+    const deductions = pfDeduction + esiDeduction + ptDeduction + tdsDeduction + (item.other_deductions || 0) + (item.loan_recovery || 0);
+    const netSalary = grossSalary - deductions + (item.reimbursement_amount || 0);
 
     const updatedItems = [...payrollItems];
     updatedItems[index] = {
@@ -127,12 +141,12 @@ export const PayrollReviewDialog = ({
   const handleProcess = async () => {
     setProcessing(true);
     try {
-      const result = await api.payroll.processCycle(cycleId, payrollItems);
-      toast.success(result.message || "Payroll processed successfully");
+      const result = await api.payroll.computeCycle(cycleId);
+      toast.success(result.message || "Payroll computed successfully");
       onProcessed();
       onOpenChange(false);
     } catch (error: any) {
-      toast.error(error.message || "Failed to process payroll");
+      toast.error(error.message || "Failed to compute payroll");
     } finally {
       setProcessing(false);
     }
@@ -151,7 +165,7 @@ export const PayrollReviewDialog = ({
           <DialogTitle>
             Review Payroll - {getMonthName(cycleMonth)} {cycleYear}
           </DialogTitle>
-          <DialogDescription>Review and edit employee salaries before processing payroll</DialogDescription>
+          <DialogDescription>Review employee salaries before computing payroll for approval</DialogDescription>
         </DialogHeader>
 
         {isLoading ? (
@@ -162,6 +176,15 @@ export const PayrollReviewDialog = ({
           <div className="text-center py-12 text-muted-foreground">No employees found for this payroll cycle</div>
         ) : (
           <>
+            {exceptionSummary && exceptionSummary.open > 0 && (
+              <Alert variant={exceptionSummary.blocking_open > 0 ? "destructive" : "default"}>
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>
+                  {exceptionSummary.open} open exception(s), {exceptionSummary.blocking_open} blocking. Blocking
+                  exceptions must be resolved or waived from the payroll list before approval.
+                </AlertDescription>
+              </Alert>
+            )}
             <div className="border rounded-lg overflow-hidden">
               <Table>
                 <TableHeader>
@@ -211,8 +234,22 @@ export const PayrollReviewDialog = ({
                               className="w-24"
                             />
                           </TableCell>
-                          <TableCell className="text-right font-semibold">{formatCurrency(item.gross_salary)}</TableCell>
-                          <TableCell className="text-right">{formatCurrency(item.deductions)}</TableCell>
+                          <TableCell className="text-right font-semibold">
+                            {formatCurrency(item.gross_salary)}
+                            {item.arrears_amount ? (
+                              <div className="text-xs font-normal text-muted-foreground">
+                                incl. arrears {formatCurrency(item.arrears_amount)}
+                              </div>
+                            ) : null}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {formatCurrency(item.deductions)}
+                            {item.loan_recovery ? (
+                              <div className="text-xs text-muted-foreground">
+                                incl. loan EMI {formatCurrency(item.loan_recovery)}
+                              </div>
+                            ) : null}
+                          </TableCell>
                           <TableCell className="text-right font-semibold text-primary">
                             {formatCurrency(item.net_salary)}
                           </TableCell>
@@ -238,9 +275,30 @@ export const PayrollReviewDialog = ({
                           <TableCell className="text-right">{formatCurrency(item.basic_salary)}</TableCell>
                           <TableCell className="text-right">{formatCurrency(item.hra)}</TableCell>
                           <TableCell className="text-right">{formatCurrency(item.special_allowance)}</TableCell>
-                          <TableCell className="text-right font-semibold">{formatCurrency(item.gross_salary)}</TableCell>
-                          <TableCell className="text-right">{formatCurrency(item.deductions)}</TableCell>
-                          <TableCell className="text-right font-semibold text-primary">{formatCurrency(item.net_salary)}</TableCell>
+                          <TableCell className="text-right font-semibold">
+                            {formatCurrency(item.gross_salary)}
+                            {item.arrears_amount ? (
+                              <div className="text-xs font-normal text-muted-foreground">
+                                incl. arrears {formatCurrency(item.arrears_amount)}
+                              </div>
+                            ) : null}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {formatCurrency(item.deductions)}
+                            {item.loan_recovery ? (
+                              <div className="text-xs text-muted-foreground">
+                                incl. loan EMI {formatCurrency(item.loan_recovery)}
+                              </div>
+                            ) : null}
+                          </TableCell>
+                          <TableCell className="text-right font-semibold text-primary">
+                            {formatCurrency(item.net_salary)}
+                            {item.reimbursement_amount ? (
+                              <div className="text-xs font-normal text-muted-foreground">
+                                incl. reimbursements {formatCurrency(item.reimbursement_amount)}
+                              </div>
+                            ) : null}
+                          </TableCell>
                           <TableCell>
                             <Button size="sm" variant="outline" onClick={() => handleEdit(index)}>
                               <Edit2 className="h-4 w-4 mr-1" />
@@ -284,10 +342,10 @@ export const PayrollReviewDialog = ({
             {processing ? (
               <>
                 <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                Processing...
+                Computing...
               </>
             ) : (
-              "Process Payroll"
+              "Compute Payroll"
             )}
           </Button>
         </DialogFooter>
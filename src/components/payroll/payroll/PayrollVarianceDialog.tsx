@@ -0,0 +1,283 @@
+import { Fragment, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { api } from "@/lib/api";
+import { AlertTriangle, ChevronDown, ChevronRight, GitCompare, Loader2 } from "lucide-react";
+
+interface PayrollVarianceDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  cycleId: string;
+  cycleMonth: number;
+  cycleYear: number;
+}
+
+interface PayFigures {
+  gross: number;
+  net: number;
+  lop_days: number;
+}
+
+interface ComponentDelta {
+  code: string;
+  name: string;
+  previous: number;
+  current: number;
+  delta: number;
+}
+
+interface EmployeeVariance {
+  employee_id: string;
+  employee_code: string;
+  employee_name: string;
+  status: "continuing" | "new_joiner" | "exit";
+  previous: PayFigures | null;
+  current: PayFigures | null;
+  net_delta: number;
+  net_change_percent: number | null;
+  gross_change_percent: number | null;
+  lop_delta: number;
+  components: ComponentDelta[];
+  anomalies: { type: string; message: string }[];
+  flags: string[];
+}
+
+const FLAG_LABELS: Record<string, string> = {
+  new_joiner: "New joiner",
+  exit: "Exit",
+  gross_change: "Gross change",
+  net_change: "Net change",
+  lop_change: "LOP change",
+  anomaly: "Anomaly",
+};
+
+export const PayrollVarianceDialog = ({ open, onOpenChange, cycleId, cycleMonth, cycleYear }: PayrollVarianceDialogProps) => {
+  const [threshold, setThreshold] = useState("10");
+  const [flaggedOnly, setFlaggedOnly] = useState(true);
+  const [expanded, setExpanded] = useState<string | null>(null);
+
+  const thresholdValue = Number(threshold);
+  const validThreshold = threshold !== "" && thresholdValue >= 0 && thresholdValue <= 1000;
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ["payroll-cycle-variance", cycleId, thresholdValue],
+    queryFn: () => api.payroll.getVariance(cycleId, thresholdValue),
+    enabled: open && !!cycleId && validThreshold,
+  });
+
+  const employees: EmployeeVariance[] = data?.employees || [];
+  const visible = flaggedOnly ? employees.filter((e) => e.flags.length > 0) : employees;
+  const summary = data?.summary;
+
+  const formatCurrency = (amount: number) =>
+    new Intl.NumberFormat("en-IN", {
+      style: "currency",
+      currency: "INR",
+      minimumFractionDigits: 2,
+    }).format(amount);
+
+  const formatPercent = (value: number | null | undefined) =>
+    value === null || value === undefined ? "—" : `${value > 0 ? "+" : ""}${value.toFixed(1)}%`;
+
+  const deltaClass = (value: number) => (value > 0 ? "text-green-600" : value < 0 ? "text-red-600" : "text-muted-foreground");
+
+  const getMonthName = (month: number) => new Date(2000, month - 1).toLocaleString("default", { month: "long" });
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <GitCompare className="mr-2 h-5 w-5" />
+            Variance - {getMonthName(cycleMonth)} {cycleYear}
+          </DialogTitle>
+          <DialogDescription>
+            {data?.previousCycle
+              ? `Compared with ${getMonthName(data.previousCycle.month)} ${data.previousCycle.year}`
+              : "Employee-level changes against the previous processed cycle"}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-wrap items-end gap-6">
+          <div className="space-y-2">
+            <Label htmlFor="variance-threshold">Flag changes above (%)</Label>
+            <Input
+              id="variance-threshold"
+              type="number"
+              min="0"
+              max="1000"
+              className="w-32"
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+            />
+          </div>
+          <div className="flex items-center gap-2 pb-2">
+            <Switch id="variance-flagged-only" checked={flaggedOnly} onCheckedChange={setFlaggedOnly} />
+            <Label htmlFor="variance-flagged-only">Flagged only</Label>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center items-center py-12">
+            <Loader2 className="h-8 w-8 animate-spin" />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-destructive py-6">
+            {error instanceof Error ? error.message : "Failed to load variance report"}
+          </p>
+        ) : summary ? (
+          <div className="space-y-6">
+            {data.cycle?.computed && (
+              <p className="text-sm text-muted-foreground">
+                This cycle has not been processed yet; its figures are computed the same way as the review preview.
+              </p>
+            )}
+            {!data.previousCycle && (
+              <p className="text-sm text-muted-foreground">
+                There is no earlier processed cycle, so every employee is shown as a new joiner.
+              </p>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+              <div>
+                <p className="text-muted-foreground text-sm">Headcount</p>
+                <p className="text-2xl font-bold">
+                  {summary.previous_headcount} → {summary.current_headcount}
+                </p>
+              </div>
+              <div>
+                <p className="text-muted-foreground text-sm">Joiners / Exits</p>
+                <p className="text-2xl font-bold">
+                  {summary.new_joiners} / {summary.exits}
+                </p>
+              </div>
+              <div>
+                <p className="text-muted-foreground text-sm">Gross</p>
+                <p className={`text-lg font-bold ${deltaClass(summary.gross_delta)}`}>
+                  {formatCurrency(summary.gross_delta)} ({formatPercent(summary.gross_change_percent)})
+                </p>
+              </div>
+              <div>
+                <p className="text-muted-foreground text-sm">Net</p>
+                <p className={`text-lg font-bold ${deltaClass(summary.net_delta)}`}>
+                  {formatCurrency(summary.net_delta)} ({formatPercent(summary.net_change_percent)})
+                </p>
+              </div>
+            </div>
+
+            <p className="text-sm text-muted-foreground">
+              {summary.flagged} flagged, {summary.anomalies} with anomalies
+            </p>
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-8" />
+                  <TableHead>Employee</TableHead>
+                  <TableHead>Flags</TableHead>
+                  <TableHead className="text-right">Previous Net</TableHead>
+                  <TableHead className="text-right">Current Net</TableHead>
+                  <TableHead className="text-right">Change</TableHead>
+                  <TableHead className="text-right">LOP Δ</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {visible.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={7} className="text-center text-muted-foreground py-6">
+                      {flaggedOnly ? "No employees crossed the threshold" : "No payroll items to compare"}
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  visible.map((employee) => {
+                    const isExpanded = expanded === employee.employee_id;
+                    return (
+                      <Fragment key={employee.employee_id}>
+                        <TableRow>
+                          <TableCell>
+                            {employee.components.length > 0 && (
+                              <Button
+                                size="icon"
+                                variant="ghost"
+                                className="h-6 w-6"
+                                onClick={() => setExpanded(isExpanded ? null : employee.employee_id)}
+                              >
+                                {isExpanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                              </Button>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            <div className="font-medium">{employee.employee_name}</div>
+                            <div className="text-xs text-muted-foreground">{employee.employee_code}</div>
+                            {employee.anomalies.map((a) => (
+                              <div key={a.type} className="flex items-center text-xs text-destructive">
+                                <AlertTriangle className="mr-1 h-3 w-3" />
+                                {a.message}
+                              </div>
+                            ))}
+                          </TableCell>
+                          <TableCell>
+                            <div className="flex flex-wrap gap-1">
+                              {employee.flags.map((flag) => (
+                                <Badge key={flag} variant={flag === "anomaly" ? "destructive" : "outline"}>
+                                  {FLAG_LABELS[flag] || flag}
+                                </Badge>
+                              ))}
+                            </div>
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {employee.previous ? formatCurrency(employee.previous.net) : "—"}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {employee.current ? formatCurrency(employee.current.net) : "—"}
+                          </TableCell>
+                          <TableCell className={`text-right ${deltaClass(employee.net_delta)}`}>
+                            <div>{formatCurrency(employee.net_delta)}</div>
+                            <div className="text-xs">{formatPercent(employee.net_change_percent)}</div>
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {employee.lop_delta > 0 ? `+${employee.lop_delta}` : employee.lop_delta}
+                          </TableCell>
+                        </TableRow>
+                        {isExpanded && (
+                          <TableRow>
+                            <TableCell />
+                            <TableCell colSpan={6}>
+                              <div className="space-y-1 text-sm">
+                                {employee.components.map((c) => (
+                                  <div key={c.code} className="flex justify-between">
+                                    <span>{c.name}</span>
+                                    <span>
+                                      {formatCurrency(c.previous)} → {formatCurrency(c.current)}{" "}
+                                      <span className={deltaClass(c.delta)}>({formatCurrency(c.delta)})</span>
+                                    </span>
+                                  </div>
+                                ))}
+                              </div>
+                            </TableCell>
+                          </TableRow>
+                        )}
+                      </Fragment>
+                    );
+                  })
+                )}
+              </TableBody>
+            </Table>
+          </div>
+        ) : null}
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,188 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { api } from "@/lib/api";
+import { toast } from "sonner";
+import { Loader2, Mail, RotateCcw } from "lucide-react";
+
+interface PayslipEmailsDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  cycleId: string;
+  cycleMonth: number;
+  cycleYear: number;
+}
+
+interface PayslipDelivery {
+  id: string;
+  employee_code: string;
+  full_name: string;
+  email: string;
+  status: "pending" | "sending" | "sent" | "failed";
+  attempts: number;
+  next_attempt_at: string | null;
+  last_error: string | null;
+  sent_at: string | null;
+}
+
+const statusVariant = (status: PayslipDelivery["status"]) => {
+  switch (status) {
+    case "sent":
+      return "default";
+    case "failed":
+      return "destructive";
+    default:
+      return "outline";
+  }
+};
+
+export const PayslipEmailsDialog = ({ open, onOpenChange, cycleId, cycleMonth, cycleYear }: PayslipEmailsDialogProps) => {
+  const queryClient = useQueryClient();
+  const [sending, setSending] = useState(false);
+  const [resendingId, setResendingId] = useState<string | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["payslip-emails", cycleId],
+    queryFn: () => api.payroll.getPayslipEmails(cycleId),
+    enabled: open && !!cycleId,
+    // Keep polling while sends are in flight
+    refetchInterval: (query) => {
+      const summary = query.state.data?.summary;
+      return summary && (summary.pending > 0 || summary.sending > 0) ? 5000 : false;
+    },
+  });
+
+  const deliveries: PayslipDelivery[] = data?.deliveries || [];
+  const summary = data?.summary || { pending: 0, sending: 0, sent: 0, failed: 0 };
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ["payslip-emails", cycleId] });
+
+  const handleSendAll = async () => {
+    setSending(true);
+    try {
+      const result = await api.payroll.sendPayslipEmails(cycleId);
+      const skippedNote = result.skipped ? ` ${result.skipped} employee(s) have no email address.` : "";
+      toast.success(`${result.queued} payslip(s) queued for email.${skippedNote}`);
+      refresh();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to email payslips");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleResend = async (delivery: PayslipDelivery) => {
+    setResendingId(delivery.id);
+    try {
+      await api.payroll.resendPayslipEmail(delivery.id);
+      toast.success(`Payslip queued for ${delivery.full_name}`);
+      refresh();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to resend payslip");
+    } finally {
+      setResendingId(null);
+    }
+  };
+
+  const getMonthName = (month: number) => new Date(2000, month - 1).toLocaleString("default", { month: "long" });
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            Payslip Emails - {getMonthName(cycleMonth)} {cycleYear}
+          </DialogTitle>
+          <DialogDescription>
+            Payslips are emailed as PDFs protected with the first four letters of the employee's PAN and their date
+            of birth (DDMMYYYY). Failed sends are retried automatically.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-center justify-between">
+          <div className="flex gap-2 text-sm">
+            <Badge variant="default">{summary.sent} sent</Badge>
+            <Badge variant="outline">{summary.pending + summary.sending} pending</Badge>
+            <Badge variant="destructive">{summary.failed} failed</Badge>
+          </div>
+          <Button onClick={handleSendAll} disabled={sending}>
+            {sending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Mail className="mr-2 h-4 w-4" />}
+            Email Payslips
+          </Button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : deliveries.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">Payslips for this cycle have not been emailed yet</div>
+        ) : (
+          <div className="border rounded-lg overflow-hidden">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Employee</TableHead>
+                  <TableHead>Email</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead className="text-right">Attempts</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {deliveries.map((delivery) => (
+                  <TableRow key={delivery.id}>
+                    <TableCell>
+                      <div className="font-medium">{delivery.full_name}</div>
+                      <div className="text-xs text-muted-foreground">{delivery.employee_code}</div>
+                    </TableCell>
+                    <TableCell className="text-sm">{delivery.email}</TableCell>
+                    <TableCell>
+                      <Badge variant={statusVariant(delivery.status)}>{delivery.status}</Badge>
+                      {delivery.status === "sent" && delivery.sent_at && (
+                        <div className="text-xs text-muted-foreground mt-1">
+                          {new Date(delivery.sent_at).toLocaleString("en-IN")}
+                        </div>
+                      )}
+                      {delivery.last_error && (
+                        <div className="text-xs text-destructive mt-1">{delivery.last_error}</div>
+                      )}
+                      {delivery.status === "pending" && delivery.attempts > 0 && delivery.next_attempt_at && (
+                        <div className="text-xs text-muted-foreground mt-1">
+                          Retrying at {new Date(delivery.next_attempt_at).toLocaleTimeString("en-IN")}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right">{delivery.attempts}</TableCell>
+                    <TableCell className="text-right">
+                      {delivery.status !== "sending" && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          disabled={resendingId === delivery.id}
+                          onClick={() => handleResend(delivery)}
+                        >
+                          <RotateCcw className="mr-2 h-4 w-4" />
+                          Resend
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
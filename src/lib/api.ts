@@ -437,9 +437,20 @@ class ApiClient {
     leave_type: string;
     annual_entitlement: number;
     probation_entitlement?: number;
+    accrual_frequency?: 'monthly' | 'quarterly' | 'yearly';
     carry_forward_allowed?: boolean;
     max_carry_forward?: number;
     encashment_allowed?: boolean;
+    half_day_allowed?: boolean;
+    hourly_allowed?: boolean;
+    hours_per_day?: number;
+    rules?: {
+      sandwich?: boolean;
+      prohibited_clubbing?: string[];
+      min_notice_days?: number;
+      max_consecutive_days?: number | null;
+      document_required_above_days?: number | null;
+    };
   }) {
     return this.request('/api/leave-policies', {
       method: 'POST',
@@ -447,6 +458,28 @@ class ApiClient {
     });
   }
 
+  async getLeaveSettings() {
+    return this.request('/api/leave-policies/settings');
+  }
+
+  async saveLeaveSettings(data: { leave_year_start_month: number }) {
+    return this.request('/api/leave-policies/settings', {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async previewLeaveYearEnd(leaveYear: number, encash: boolean) {
+    return this.request(`/api/leave-policies/year-end/preview?leave_year=${leaveYear}&encash=${encash}`);
+  }
+
+  async runLeaveYearEnd(data: { leave_year: number; encash: boolean }) {
+    return this.request('/api/leave-policies/year-end/run', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
   // Leave request methods
   async getLeaveRequests() {
     return this.request('/api/leave-requests');
@@ -456,14 +489,37 @@ class ApiClient {
     leave_type_id: string;
     start_date: string;
     end_date: string;
+    start_session?: 'full' | 'first_half' | 'second_half';
+    end_session?: 'full' | 'first_half';
+    hours?: number;
     reason?: string;
+    employee_id?: string;
+    override_reason?: string;
+    document?: File;
   }) {
+    if (data.document) {
+      const formData = new FormData();
+      Object.entries(data).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') {
+          formData.append(key, value instanceof File ? value : String(value));
+        }
+      });
+      return this.request('/api/leave-requests', {
+        method: 'POST',
+        body: formData,
+        headers: {} as HeadersInit, // Let browser set Content-Type with boundary
+      }, true);
+    }
     return this.request('/api/leave-requests', {
       method: 'POST',
       body: JSON.stringify(data),
     });
   }
 
+  async downloadLeaveDocument(id: string) {
+    return this.reports.download(`/api/leave-requests/${id}/document`, `leave-document-${id}`);
+  }
+
   async approveLeaveRequest(id: string) {
     return this.request(`/api/leave-requests/${id}/approve`, {
       method: 'PATCH',
@@ -477,6 +533,29 @@ class ApiClient {
     });
   }
 
+  async cancelLeaveRequest(id: string, reason?: string) {
+    return this.request(`/api/leave-requests/${id}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  // Changes that add days come back as a new pending request replacing this one
+  async changeLeaveRequest(id: string, data: {
+    start_date: string;
+    end_date: string;
+    start_session?: 'full' | 'first_half' | 'second_half';
+    end_session?: 'full' | 'first_half';
+    hours?: number;
+    reason?: string;
+    override_reason?: string;
+  }) {
+    return this.request(`/api/leave-requests/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
   // Leave balance
   async getLeaveBalance() {
     return this.request('/api/stats/leave-balance');
@@ -987,6 +1066,12 @@ class ApiClient {
     profile: () => this.request('/api/payroll/profile'),
     employee: () => this.request('/api/payroll/employees/me'),
     compensation: () => this.request('/api/payroll/employees/me/compensation'),
+    rentDetails: () => this.request('/api/payroll/employees/me/rent'),
+    saveRentDetails: (data: { effective_from: string; monthly_rent: number; is_metro: boolean; city?: string }) =>
+      this.request('/api/payroll/employees/me/rent', {
+        method: 'PUT',
+        body: JSON.stringify(data),
+      }),
   };
 
   public dashboard = {
@@ -1022,17 +1107,124 @@ class ApiClient {
       body: JSON.stringify(data),
     }),
     previewCycle: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/preview`),
-    processCycle: (cycleId: string, payrollItems: any[]) => this.request(`/api/payroll/payroll-cycles/${cycleId}/process`, {
-      method: 'POST',
-      body: JSON.stringify({ payrollItems }),
-    }),
+    computeCycle: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/compute`, { method: 'POST' }),
     getCyclePayslips: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/payslips`),
+    getPayslipEmails: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/payslip-emails`),
+    sendPayslipEmails: (cycleId: string) =>
+      this.request(`/api/payroll/payroll-cycles/${cycleId}/payslip-emails`, { method: 'POST' }),
+    resendPayslipEmail: (deliveryId: string) =>
+      this.request(`/api/payroll/payslip-emails/${deliveryId}/resend`, { method: 'POST' }),
     submitCycle: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/submit`, { method: 'POST' }),
     approveCycle: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/approve`, { method: 'POST' }),
     rejectCycle: (cycleId: string, reason?: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/reject`, {
       method: 'POST',
       body: JSON.stringify({ reason }),
     }),
+    lockCycle: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/lock`, { method: 'POST' }),
+    markCyclePaid: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/pay`, { method: 'POST' }),
+    getReopenRequests: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/reopen-requests`),
+    requestCycleReopen: (cycleId: string, data: { reason: string; employee_ids: string[] }) =>
+      this.request(`/api/payroll/payroll-cycles/${cycleId}/reopen-requests`, {
+        method: 'POST',
+        body: JSON.stringify(data),
+      }),
+    approveCycleReopen: (requestId: string, note?: string) => this.request(`/api/payroll/payroll-reopen-requests/${requestId}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    }),
+    rejectCycleReopen: (requestId: string, note?: string) => this.request(`/api/payroll/payroll-reopen-requests/${requestId}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    }),
+    getVariance: (cycleId: string, threshold?: number) =>
+      this.request(
+        `/api/payroll/payroll-cycles/${cycleId}/variance${threshold !== undefined ? `?threshold=${threshold}` : ''}`
+      ),
+    getCycleExceptions: (cycleId: string, status?: string) =>
+      this.request(`/api/payroll/payroll-cycles/${cycleId}/exceptions${status ? `?status=${status}` : ''}`),
+    assignException: (exceptionId: string, ownerId: string | null) =>
+      this.request(`/api/payroll/payroll-exceptions/${exceptionId}/assign`, {
+        method: 'POST',
+        body: JSON.stringify({ owner_id: ownerId }),
+      }),
+    getExceptionComments: (exceptionId: string) => this.request(`/api/payroll/payroll-exceptions/${exceptionId}/comments`),
+    addExceptionComment: (exceptionId: string, body: string) =>
+      this.request(`/api/payroll/payroll-exceptions/${exceptionId}/comments`, {
+        method: 'POST',
+        body: JSON.stringify({ body }),
+      }),
+    resolveException: (exceptionId: string, note?: string) =>
+      this.request(`/api/payroll/payroll-exceptions/${exceptionId}/resolve`, {
+        method: 'POST',
+        body: JSON.stringify({ note }),
+      }),
+    waiveException: (exceptionId: string, note: string) =>
+      this.request(`/api/payroll/payroll-exceptions/${exceptionId}/waive`, {
+        method: 'POST',
+        body: JSON.stringify({ note }),
+      }),
+    getOffCycleReasons: () => this.request('/api/payroll/off-cycle-reasons'),
+    getOffCycleEarnings: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/off-cycle-earnings`),
+    addOffCycleEarning: (
+      cycleId: string,
+      data: {
+        employee_id: string;
+        amount: number;
+        component_code?: string;
+        component_name?: string;
+        is_taxable?: boolean;
+        description?: string;
+      }
+    ) =>
+      this.request(`/api/payroll/payroll-cycles/${cycleId}/off-cycle-earnings`, {
+        method: 'POST',
+        body: JSON.stringify(data),
+      }),
+    removeOffCycleEarning: (cycleId: string, earningId: string) =>
+      this.request(`/api/payroll/payroll-cycles/${cycleId}/off-cycle-earnings/${earningId}`, { method: 'DELETE' }),
+    getDisbursementFormats: () => this.request('/api/payroll/disbursement-formats'),
+    getDisbursement: (cycleId: string) => this.request(`/api/payroll/payroll-cycles/${cycleId}/disbursement`),
+    downloadDisbursementFile: (
+      cycleId: string,
+      data: { format?: string; debit_account?: string; value_date?: string }
+    ) =>
+      this.reports.download(
+        `/api/payroll/payroll-cycles/${cycleId}/disbursement-file`,
+        `salary-disbursement-${cycleId}.csv`,
+        data
+      ),
+    setPaymentHold: (employeeId: string, onHold: boolean, reason?: string) =>
+      this.request(`/api/payroll/employees/${employeeId}/payment-hold`, {
+        method: 'PATCH',
+        body: JSON.stringify({ on_hold: onHold, reason }),
+      }),
+    getFnfSettlements: (status?: string) =>
+      this.request(`/api/payroll/fnf-settlements${status ? `?status=${status}` : ''}`),
+    computeFnfSettlement: (
+      employeeId: string,
+      inputs: { leave_encashment_days?: number | null; waive_notice_recovery?: boolean; asset_recoveries?: { description: string; amount: number }[] } = {}
+    ) =>
+      this.request('/api/payroll/fnf-settlements', {
+        method: 'POST',
+        body: JSON.stringify({ employee_id: employeeId, inputs }),
+      }),
+    recomputeFnfSettlement: (
+      settlementId: string,
+      inputs: { leave_encashment_days?: number | null; waive_notice_recovery?: boolean; asset_recoveries?: { description: string; amount: number }[] }
+    ) =>
+      this.request(`/api/payroll/fnf-settlements/${settlementId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ inputs }),
+      }),
+    approveFnfSettlement: (settlementId: string) =>
+      this.request(`/api/payroll/fnf-settlements/${settlementId}/approve`, { method: 'POST' }),
+    rejectFnfSettlement: (settlementId: string, reason: string) =>
+      this.request(`/api/payroll/fnf-settlements/${settlementId}/reject`, {
+        method: 'POST',
+        body: JSON.stringify({ reason }),
+      }),
+    downloadFnfStatement: (settlementId: string) =>
+      this.reports.download(`/api/payroll/fnf-settlements/${settlementId}/pdf`, `fnf-statement-${settlementId}.pdf`),
   };
 
   public payslips = {
@@ -1083,6 +1275,9 @@ class ApiClient {
       method: 'POST',
       body: JSON.stringify(data),
     }),
+    cancelMyLeave: (leaveId: string) => this.request(`/api/payroll/leave-requests/me/${leaveId}/cancel`, {
+      method: 'POST',
+    }),
     getMyLeaveSummary: (month?: number, year?: number) => {
       const searchParams = new URLSearchParams();
       if (month) searchParams.set('month', month.toString());
@@ -1107,28 +1302,62 @@ class ApiClient {
   };
 
   public reports = {
-    getPayrollRegister: async (cycleId: string) => {
+    download: async (path: string, fallbackFilename: string, body?: unknown) => {
       const headers: HeadersInit = {};
       if (this.token) {
         headers['Authorization'] = `Bearer ${this.token}`;
       }
-      const response = await fetch(`${this.baseURL}/api/payroll/reports/payroll-register?cycleId=${encodeURIComponent(cycleId)}`, {
-        method: 'GET',
+      if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+      }
+      const response = await fetch(`${this.baseURL}${path}`, {
+        method: body === undefined ? 'GET' : 'POST',
         headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
       });
       if (!response.ok) {
-        throw new Error('Failed to download report');
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Failed to download report');
       }
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || fallbackFilename;
       const blob = await response.blob();
       const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `payroll-register-${cycleId}.csv`;
+      link.download = filename;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
       window.URL.revokeObjectURL(url);
     },
+    getPayrollRegister: (cycleId: string) =>
+      this.reports.download(
+        `/api/payroll/reports/payroll-register?cycleId=${encodeURIComponent(cycleId)}`,
+        `payroll-register-${cycleId}.csv`
+      ),
+    getPfEcr: (cycleId: string) =>
+      this.reports.download(
+        `/api/payroll/reports/pf-ecr?cycleId=${encodeURIComponent(cycleId)}`,
+        `pf-ecr-${cycleId}.txt`
+      ),
+    getEsiContribution: (cycleId: string) =>
+      this.reports.download(
+        `/api/payroll/reports/esi-contribution?cycleId=${encodeURIComponent(cycleId)}`,
+        `esi-contribution-${cycleId}.csv`
+      ),
+    getProfessionalTax: (cycleId: string) =>
+      this.reports.download(
+        `/api/payroll/reports/professional-tax?cycleId=${encodeURIComponent(cycleId)}`,
+        `professional-tax-${cycleId}.csv`
+      ),
+    getLiabilities: (month: number, year: number) =>
+      this.request(`/api/payroll/reports/liabilities?month=${month}&year=${year}`),
+    downloadLiabilities: (month: number, year: number, format: 'csv' | 'xlsx') =>
+      this.reports.download(
+        `/api/payroll/reports/liabilities?month=${month}&year=${year}&format=${format}`,
+        `liability-provisions-${year}-${month}.${format}`
+      ),
   };
 
   public tax = {
@@ -1138,6 +1367,164 @@ class ApiClient {
       body: JSON.stringify(data),
     }),
     getDocuments: () => this.request('/api/payroll/tax-documents'),
+    downloadDocument: (documentId: string) =>
+      this.reports.download(
+        `/api/payroll/tax-documents/${documentId}/download`,
+        `tax-document-${documentId}.pdf`
+      ),
+    generateAnnualStatements: (financialYear: string) =>
+      this.request('/api/payroll/tax-documents/annual-statements', {
+        method: 'POST',
+        body: JSON.stringify({ financial_year: financialYear }),
+      }),
+    generateAnnualStatement: (employeeId: string, financialYear: string) =>
+      this.request(`/api/payroll/tax-documents/annual-statements/${employeeId}`, {
+        method: 'POST',
+        body: JSON.stringify({ financial_year: financialYear }),
+      }),
+    getDocumentJob: (jobId: string) => this.request(`/api/payroll/tax-documents/jobs/${jobId}`),
+    getDeclarationWindows: () => this.request('/api/payroll/tax-declaration-windows'),
+    saveDeclarationWindow: (financialYear: string, data: {
+      declaration_opens_on: string | null;
+      declaration_closes_on: string | null;
+      proof_cutoff_date: string | null;
+    }) =>
+      this.request(`/api/payroll/tax-declaration-windows/${encodeURIComponent(financialYear)}`, {
+        method: 'PUT',
+        body: JSON.stringify(data),
+      }),
+    getMyProofs: (financialYear?: string) =>
+      this.request(financialYear
+        ? `/api/payroll/tax-proofs/me?financial_year=${encodeURIComponent(financialYear)}`
+        : '/api/payroll/tax-proofs/me'),
+    submitProof: (data: {
+      financial_year: string;
+      section: string;
+      amount: number;
+      description?: string;
+      landlord_name?: string;
+      landlord_pan?: string;
+      rent_from?: string;
+      rent_to?: string;
+      proof: File;
+    }) => {
+      const formData = new FormData();
+      formData.append('financial_year', data.financial_year);
+      formData.append('section', data.section);
+      formData.append('amount', String(data.amount));
+      if (data.description) formData.append('description', data.description);
+      if (data.landlord_name) formData.append('landlord_name', data.landlord_name);
+      if (data.landlord_pan) formData.append('landlord_pan', data.landlord_pan);
+      if (data.rent_from) formData.append('rent_from', data.rent_from);
+      if (data.rent_to) formData.append('rent_to', data.rent_to);
+      formData.append('proof', data.proof);
+      return this.request('/api/payroll/tax-proofs/me', {
+        method: 'POST',
+        body: formData,
+        headers: {} as HeadersInit, // Let browser set Content-Type with boundary
+      }, true);
+    },
+    listProofs: (financialYear: string, status?: string) => {
+      const params = new URLSearchParams({ financial_year: financialYear });
+      if (status) params.set('status', status);
+      return this.request(`/api/payroll/tax-proofs?${params.toString()}`);
+    },
+    verifyProof: (proofId: string, data: { verified_amount?: number; comment?: string }) =>
+      this.request(`/api/payroll/tax-proofs/${proofId}/verify`, {
+        method: 'POST',
+        body: JSON.stringify(data),
+      }),
+    rejectProof: (proofId: string, comment: string) => this.request(`/api/payroll/tax-proofs/${proofId}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ comment }),
+    }),
+    downloadProof: (proofId: string) =>
+      this.reports.download(`/api/payroll/tax-proofs/${proofId}/file`, `proof-${proofId}`),
+  };
+
+  public loans = {
+    getMyLoans: () => this.request('/api/payroll/loans/me'),
+    requestLoan: (data: { loan_type: string; principal: number; tenure_months: number; purpose?: string }) =>
+      this.request('/api/payroll/loans/me', {
+        method: 'POST',
+        body: JSON.stringify(data),
+      }),
+    list: (status?: string) =>
+      this.request(status ? `/api/payroll/loans?status=${encodeURIComponent(status)}` : '/api/payroll/loans'),
+    create: (data: Record<string, unknown>) => this.request('/api/payroll/loans', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+    approve: (loanId: string, data: Record<string, unknown>) => this.request(`/api/payroll/loans/${loanId}/approve`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+    reject: (loanId: string, reason: string) => this.request(`/api/payroll/loans/${loanId}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    }),
+    skipInstalment: (loanId: string, month: number, year: number, reason?: string) =>
+      this.request(`/api/payroll/loans/${loanId}/skip`, {
+        method: 'POST',
+        body: JSON.stringify({ month, year, reason }),
+      }),
+    foreclose: (loanId: string, recoverViaPayroll: boolean, reason?: string) =>
+      this.request(`/api/payroll/loans/${loanId}/foreclose`, {
+        method: 'POST',
+        body: JSON.stringify({ recover_via_payroll: recoverViaPayroll, reason }),
+      }),
+    getStatement: (loanId: string) => this.request(`/api/payroll/loans/${loanId}/statement`),
+  };
+
+  public expenses = {
+    getCategories: (includeInactive = false) =>
+      this.request(`/api/payroll/expense-categories${includeInactive ? '?include_inactive=true' : ''}`),
+    createCategory: (data: Record<string, unknown>) => this.request('/api/payroll/expense-categories', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+    updateCategory: (categoryId: string, data: Record<string, unknown>) =>
+      this.request(`/api/payroll/expense-categories/${categoryId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(data),
+      }),
+    getMyClaims: () => this.request('/api/payroll/expense-claims/me'),
+    submitClaim: (data: { category_id: string; expense_date: string; amount: number; description?: string; receipt?: File }) => {
+      const formData = new FormData();
+      formData.append('category_id', data.category_id);
+      formData.append('expense_date', data.expense_date);
+      formData.append('amount', String(data.amount));
+      if (data.description) formData.append('description', data.description);
+      if (data.receipt) formData.append('receipt', data.receipt);
+      return this.request('/api/payroll/expense-claims/me', {
+        method: 'POST',
+        body: formData,
+        headers: {} as HeadersInit, // Let browser set Content-Type with boundary
+      }, true);
+    },
+    getApprovals: () => this.request('/api/payroll/expense-claims/approvals'),
+    list: (status?: string) =>
+      this.request(status ? `/api/payroll/expense-claims?status=${encodeURIComponent(status)}` : '/api/payroll/expense-claims'),
+    approve: (claimId: string, comment?: string) => this.request(`/api/payroll/expense-claims/${claimId}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ comment }),
+    }),
+    reject: (claimId: string, comment: string) => this.request(`/api/payroll/expense-claims/${claimId}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ comment }),
+    }),
+    setPayoutMode: (claimId: string, payoutMode: 'payroll' | 'off_cycle') =>
+      this.request(`/api/payroll/expense-claims/${claimId}/payout-mode`, {
+        method: 'PATCH',
+        body: JSON.stringify({ payout_mode: payoutMode }),
+      }),
+    payOffCycle: (claimIds: string[], payoutReference: string) =>
+      this.request('/api/payroll/expense-claims/off-cycle-payout', {
+        method: 'POST',
+        body: JSON.stringify({ claim_ids: claimIds, payout_reference: payoutReference }),
+      }),
+    downloadReceipt: (claimId: string) =>
+      this.reports.download(`/api/payroll/expense-claims/${claimId}/receipt`, `receipt-${claimId}`),
   };
 }
 
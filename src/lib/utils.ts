@@ -4,3 +4,8 @@ import { twMerge } from "tailwind-merge";
 export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs));
 }
+
+// Amounts are rendered in their own currency; payslip rows carry the currency and locale
+export function formatMoney(amount: number, currency = "INR", locale = "en-IN", maximumFractionDigits?: number) {
+  return new Intl.NumberFormat(locale, { style: "currency", currency, maximumFractionDigits }).format(amount);
+}
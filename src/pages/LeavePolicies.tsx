@@ -18,7 +18,9 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Switch } from "@/components/ui/switch";
+import { Checkbox } from "@/components/ui/checkbox";
 import { useToast } from "@/hooks/use-toast";
+import { LeaveYearEndCard } from "@/components/leave/LeaveYearEndCard";
 
 interface LeavePolicy {
   id: string;
@@ -26,12 +28,35 @@ interface LeavePolicy {
   leave_type: string;
   annual_entitlement: number;
   probation_entitlement: number;
+  accrual_frequency: "monthly" | "quarterly" | "yearly" | null;
   carry_forward_allowed: boolean;
   max_carry_forward: number;
   encashment_allowed: boolean;
+  half_day_allowed: boolean;
+  hourly_allowed: boolean;
+  hours_per_day: number;
+  rules: LeaveRules | null;
   is_active: boolean;
 }
 
+interface LeaveRules {
+  sandwich?: boolean;
+  prohibited_clubbing?: string[];
+  min_notice_days?: number;
+  max_consecutive_days?: number | null;
+  document_required_above_days?: number | null;
+}
+
+const EMPTY_RULES = {
+  sandwich: false,
+  prohibited_clubbing: [] as string[],
+  min_notice_days: 0,
+  max_consecutive_days: "",
+  document_required_above_days: "",
+};
+
+const optionalNumber = (value: string) => (value === "" ? null : Number(value));
+
 export default function LeavePolicies() {
   const [policies, setPolicies] = useState<LeavePolicy[]>([]);
   const [open, setOpen] = useState(false);
@@ -44,10 +69,15 @@ export default function LeavePolicies() {
     leave_type: "annual" as const,
     annual_entitlement: 0,
     probation_entitlement: 0,
+    accrual_frequency: "yearly" as "monthly" | "quarterly" | "yearly",
     carry_forward_allowed: false,
     max_carry_forward: 0,
     encashment_allowed: false,
+    half_day_allowed: true,
+    hourly_allowed: false,
+    hours_per_day: 8,
   });
+  const [rules, setRules] = useState(EMPTY_RULES);
 
   useEffect(() => {
     fetchPolicies();
@@ -80,9 +110,20 @@ export default function LeavePolicies() {
         leave_type: formData.leave_type,
         annual_entitlement: formData.annual_entitlement,
         probation_entitlement: formData.probation_entitlement,
+        accrual_frequency: formData.accrual_frequency,
         carry_forward_allowed: formData.carry_forward_allowed,
         max_carry_forward: formData.max_carry_forward,
         encashment_allowed: formData.encashment_allowed,
+        half_day_allowed: formData.half_day_allowed,
+        hourly_allowed: formData.hourly_allowed,
+        hours_per_day: formData.hours_per_day,
+        rules: {
+          sandwich: rules.sandwich,
+          prohibited_clubbing: rules.prohibited_clubbing,
+          min_notice_days: rules.min_notice_days,
+          max_consecutive_days: optionalNumber(rules.max_consecutive_days),
+          document_required_above_days: optionalNumber(rules.document_required_above_days),
+        },
       });
 
       toast({
@@ -96,10 +137,15 @@ export default function LeavePolicies() {
         leave_type: "annual",
         annual_entitlement: 0,
         probation_entitlement: 0,
+        accrual_frequency: "yearly",
         carry_forward_allowed: false,
         max_carry_forward: 0,
         encashment_allowed: false,
+        half_day_allowed: true,
+        hourly_allowed: false,
+        hours_per_day: 8,
       });
+      setRules(EMPTY_RULES);
     } catch (error: any) {
       console.error("Error creating policy:", error);
       toast({
@@ -159,6 +205,7 @@ export default function LeavePolicies() {
                       <SelectItem value="maternity">Maternity Leave</SelectItem>
                       <SelectItem value="paternity">Paternity Leave</SelectItem>
                       <SelectItem value="bereavement">Bereavement Leave</SelectItem>
+                      <SelectItem value="loss_of_pay">Loss of Pay (unpaid)</SelectItem>
                     </SelectContent>
                   </Select>
                 </div>
@@ -187,6 +234,25 @@ export default function LeavePolicies() {
                   </div>
                 </div>
 
+                <div className="space-y-2">
+                  <Label htmlFor="accrual_frequency">Accrual</Label>
+                  <Select
+                    value={formData.accrual_frequency}
+                    onValueChange={(value: "monthly" | "quarterly" | "yearly") =>
+                      setFormData({ ...formData, accrual_frequency: value })
+                    }
+                  >
+                    <SelectTrigger id="accrual_frequency">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="monthly">Monthly</SelectItem>
+                      <SelectItem value="quarterly">Quarterly</SelectItem>
+                      <SelectItem value="yearly">Yearly (credited at the start of the year)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+
                 <div className="space-y-4">
                   <div className="flex items-center justify-between">
                     <Label htmlFor="carry_forward">Allow Carry Forward</Label>
@@ -218,6 +284,111 @@ export default function LeavePolicies() {
                       onCheckedChange={(checked) => setFormData({ ...formData, encashment_allowed: checked })}
                     />
                   </div>
+
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="half_day">Allow Half Days</Label>
+                    <Switch
+                      id="half_day"
+                      checked={formData.half_day_allowed}
+                      onCheckedChange={(checked) => setFormData({ ...formData, half_day_allowed: checked })}
+                    />
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="hourly">Allow Hourly Leave</Label>
+                    <Switch
+                      id="hourly"
+                      checked={formData.hourly_allowed}
+                      onCheckedChange={(checked) => setFormData({ ...formData, hourly_allowed: checked })}
+                    />
+                  </div>
+
+                  {formData.hourly_allowed && (
+                    <div className="space-y-2">
+                      <Label htmlFor="hours_per_day">Hours per Leave Day</Label>
+                      <Input
+                        id="hours_per_day"
+                        type="number"
+                        min="1"
+                        max="24"
+                        step="0.5"
+                        value={formData.hours_per_day}
+                        onChange={(e) => setFormData({ ...formData, hours_per_day: parseFloat(e.target.value) })}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <div className="space-y-4">
+                  <h3 className="text-sm font-medium">Rules</h3>
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="sandwich">Sandwich Rule (weekly offs and holidays between leave days count)</Label>
+                    <Switch
+                      id="sandwich"
+                      checked={rules.sandwich}
+                      onCheckedChange={(checked) => setRules({ ...rules, sandwich: checked })}
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-3 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="min_notice_days">Minimum Notice (days)</Label>
+                      <Input
+                        id="min_notice_days"
+                        type="number"
+                        min="0"
+                        value={rules.min_notice_days}
+                        onChange={(e) => setRules({ ...rules, min_notice_days: parseInt(e.target.value) || 0 })}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="max_consecutive_days">Max Consecutive Days</Label>
+                      <Input
+                        id="max_consecutive_days"
+                        type="number"
+                        min="1"
+                        placeholder="No limit"
+                        value={rules.max_consecutive_days}
+                        onChange={(e) => setRules({ ...rules, max_consecutive_days: e.target.value })}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="document_required_above_days">Document Above (days)</Label>
+                      <Input
+                        id="document_required_above_days"
+                        type="number"
+                        min="0.5"
+                        step="0.5"
+                        placeholder="Never"
+                        value={rules.document_required_above_days}
+                        onChange={(e) => setRules({ ...rules, document_required_above_days: e.target.value })}
+                      />
+                    </div>
+                  </div>
+
+                  {policies.length > 0 && (
+                    <div className="space-y-2">
+                      <Label>Cannot Be Combined With</Label>
+                      <div className="flex flex-wrap gap-4">
+                        {policies.map((policy) => (
+                          <label key={policy.id} className="flex items-center gap-2 text-sm">
+                            <Checkbox
+                              checked={rules.prohibited_clubbing.includes(policy.id)}
+                              onCheckedChange={(checked) =>
+                                setRules({
+                                  ...rules,
+                                  prohibited_clubbing: checked
+                                    ? [...rules.prohibited_clubbing, policy.id]
+                                    : rules.prohibited_clubbing.filter((id) => id !== policy.id),
+                                })
+                              }
+                            />
+                            {policy.name}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 <div className="flex gap-2">
@@ -252,6 +423,7 @@ export default function LeavePolicies() {
                       <CardDescription>
                         {policy.annual_entitlement} days annual entitlement
                         {policy.probation_entitlement > 0 && ` • ${policy.probation_entitlement} days during probation`}
+                        {` • accrued ${policy.accrual_frequency || "yearly"}`}
                       </CardDescription>
                     </div>
                     <div className="flex gap-2">
@@ -276,12 +448,43 @@ export default function LeavePolicies() {
                         <Badge variant="outline">Encashment Allowed</Badge>
                       </div>
                     )}
+                    {policy.half_day_allowed !== false && (
+                      <div className="flex items-center gap-2">
+                        <Badge variant="outline">Half Days</Badge>
+                      </div>
+                    )}
+                    {policy.hourly_allowed && (
+                      <div className="flex items-center gap-2">
+                        <Badge variant="outline">Hourly: {Number(policy.hours_per_day)} hours per day</Badge>
+                      </div>
+                    )}
+                    {policy.rules?.sandwich && <Badge variant="outline">Sandwich Rule</Badge>}
+                    {!!policy.rules?.min_notice_days && (
+                      <Badge variant="outline">{policy.rules.min_notice_days} days notice</Badge>
+                    )}
+                    {policy.rules?.max_consecutive_days != null && (
+                      <Badge variant="outline">Max {policy.rules.max_consecutive_days} consecutive days</Badge>
+                    )}
+                    {policy.rules?.document_required_above_days != null && (
+                      <Badge variant="outline">Document above {policy.rules.document_required_above_days} days</Badge>
+                    )}
+                    {(policy.rules?.prohibited_clubbing || []).length > 0 && (
+                      <Badge variant="outline">
+                        Not with{" "}
+                        {policies
+                          .filter((other) => policy.rules?.prohibited_clubbing?.includes(other.id))
+                          .map((other) => other.name)
+                          .join(", ")}
+                      </Badge>
+                    )}
                   </div>
                 </CardContent>
               </Card>
             ))
           )}
         </div>
+
+        {policies.length > 0 && <LeaveYearEndCard />}
       </div>
     </AppLayout>
   );
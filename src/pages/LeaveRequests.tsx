@@ -19,6 +19,15 @@ interface LeaveRequest {
   start_date: string;
   end_date: string;
   total_days: number;
+  start_session: LeaveSession;
+  end_session: LeaveSession;
+  leave_hours: number | null;
+  has_document?: boolean;
+  override_reason?: string | null;
+  replaces_leave_id?: string | null;
+  replaces_leave?: { start_date: string; end_date: string; total_days: number } | null;
+  has_pending_change?: boolean;
+  cancellation_reason?: string | null;
   reason: string;
   status: string;
   submitted_at: string;
@@ -45,6 +54,46 @@ interface LeavePolicy {
   id: string;
   name: string;
   annual_entitlement: number;
+  half_day_allowed: boolean;
+  hourly_allowed: boolean;
+  hours_per_day: number;
+  rules: { document_required_above_days?: number | null } | null;
+}
+
+interface EmployeeOption {
+  id: string;
+  profiles?: { first_name: string; last_name: string };
+}
+
+type LeaveSession = "full" | "first_half" | "second_half";
+
+const SESSION_LABELS: Record<LeaveSession, string> = {
+  full: "Full day",
+  first_half: "First half",
+  second_half: "Second half",
+};
+
+const formatLeaveDuration = (request: LeaveRequest) => {
+  if (request.leave_hours) return `${Number(request.leave_hours)} hours`;
+  const days = `${Number(request.total_days)} ${Number(request.total_days) === 1 ? "day" : "days"}`;
+  if (request.start_date === request.end_date && request.start_session && request.start_session !== "full") {
+    return `${days} (${SESSION_LABELS[request.start_session].toLowerCase()})`;
+  }
+  return days;
+};
+
+// Local YYYY-MM-DD, for comparing with leave dates
+const todayKey = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+};
+
+interface LeaveBalance {
+  leave_policy_id: string;
+  name: string;
+  credited: number;
+  used: number;
+  balance: number;
 }
 
 export default function LeaveRequests() {
@@ -52,9 +101,17 @@ export default function LeaveRequests() {
   const [teamRequests, setTeamRequests] = useState<LeaveRequest[]>([]);
   const [approvedRequests, setApprovedRequests] = useState<LeaveRequest[]>([]);
   const [policies, setPolicies] = useState<LeavePolicy[]>([]);
+  const [balances, setBalances] = useState<LeaveBalance[]>([]);
   const [loading, setLoading] = useState(true);
   const [dialogOpen, setDialogOpen] = useState(false);
   const [selectedPolicyId, setSelectedPolicyId] = useState<string>("");
+  const [startSession, setStartSession] = useState<LeaveSession>("full");
+  const [endSession, setEndSession] = useState<"full" | "first_half">("full");
+  const [employees, setEmployees] = useState<EmployeeOption[]>([]);
+  const [onBehalfOf, setOnBehalfOf] = useState<string>("self");
+  const [changingRequest, setChangingRequest] = useState<LeaveRequest | null>(null);
+  const [changeStartSession, setChangeStartSession] = useState<LeaveSession>("full");
+  const [changeEndSession, setChangeEndSession] = useState<"full" | "first_half">("full");
   const { user, userRole } = useAuth();
   const { toast } = useToast();
 
@@ -79,6 +136,21 @@ export default function LeaveRequests() {
         });
       }
 
+      if (userRole && ["hr", "director", "ceo"].includes(userRole)) {
+        try {
+          setEmployees((await api.getEmployees()) || []);
+        } catch (error) {
+          console.error("Error fetching employees:", error);
+        }
+      }
+
+      try {
+        const balanceData = await api.getLeaveBalance();
+        setBalances(balanceData.balances || []);
+      } catch (error) {
+        console.error("Error fetching leave balances:", error);
+      }
+
       // Fetch leave requests using API
       const requestsData = await api.getLeaveRequests();
       setMyRequests(requestsData.myRequests || []);
@@ -137,18 +209,35 @@ export default function LeaveRequests() {
     }
 
     const formData = new FormData(e.currentTarget);
+    const hours = formData.get("hours") as string | null;
+    const document = formData.get("document") as File | null;
 
     try {
-      await api.createLeaveRequest({
+      const leave = await api.createLeaveRequest({
         leave_type_id: selectedPolicyId,
         start_date: formData.get("start_date") as string,
         end_date: formData.get("end_date") as string,
+        start_session: startSession,
+        end_session: endSession,
+        hours: hours ? Number(hours) : undefined,
         reason: (formData.get("reason") as string) || undefined,
+        employee_id: onBehalfOf !== "self" ? onBehalfOf : undefined,
+        override_reason: (formData.get("override_reason") as string) || undefined,
+        document: document && document.size > 0 ? document : undefined,
       });
 
-      toast({ title: "Success", description: "Leave request submitted" });
+      const nonWorking = (leave.day_breakdown || []).filter((day: { type: string }) => day.type !== "working").length;
+      toast({
+        title: "Success",
+        description: `Leave request submitted for ${Number(leave.total_days)} working days${
+          nonWorking > 0 ? ` (${nonWorking} weekly off or holiday days not counted)` : ""
+        }`,
+      });
       setDialogOpen(false);
       setSelectedPolicyId("");
+      setStartSession("full");
+      setEndSession("full");
+      setOnBehalfOf("self");
       fetchData();
     } catch (error: any) {
       toast({ 
@@ -159,6 +248,101 @@ export default function LeaveRequests() {
     }
   };
 
+  const balanceByPolicy = new Map(balances.map((b) => [b.leave_policy_id, b.balance]));
+  const selectedPolicy = policies.find((policy) => policy.id === selectedPolicyId);
+  const isHr = !!userRole && ["hr", "director", "ceo"].includes(userRole);
+
+  // Employees can cancel leave that has not started and change leave that is not over; HR can do either anytime
+  const canCancel = (request: LeaveRequest) =>
+    request.status === "approved" && !request.has_pending_change && (isHr || request.start_date.slice(0, 10) > todayKey());
+  const canChange = (request: LeaveRequest) =>
+    request.status === "approved" && !request.has_pending_change && (isHr || request.end_date.slice(0, 10) >= todayKey());
+
+  const handleCancel = async (request: LeaveRequest) => {
+    const reason = prompt("Reason for cancelling (optional):");
+    if (reason === null) return;
+    try {
+      const result = await api.cancelLeaveRequest(request.id, reason || undefined);
+      toast({
+        title: "Leave cancelled",
+        description: result.adjustments?.length
+          ? "The days are back in the leave balance. Pay for months already processed is adjusted on the next payroll."
+          : "The days are back in the leave balance.",
+      });
+      fetchData();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to cancel leave",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const openChange = (request: LeaveRequest) => {
+    setChangingRequest(request);
+    setChangeStartSession(request.start_session || "full");
+    setChangeEndSession(request.end_session === "first_half" ? "first_half" : "full");
+  };
+
+  const handleChange = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!changingRequest) return;
+    const formData = new FormData(e.currentTarget);
+
+    try {
+      const leave = await api.changeLeaveRequest(changingRequest.id, {
+        start_date: formData.get("start_date") as string,
+        end_date: formData.get("end_date") as string,
+        start_session: changeStartSession,
+        end_session: changeEndSession,
+        reason: (formData.get("reason") as string) || undefined,
+        override_reason: (formData.get("override_reason") as string) || undefined,
+      });
+      toast({
+        title: "Success",
+        description: leave.replaces_leave_id
+          ? `The change to ${Number(leave.total_days)} days has been sent for approval; the approved leave stands until then`
+          : `Leave changed to ${Number(leave.total_days)} days`,
+      });
+      setChangingRequest(null);
+      fetchData();
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to change leave",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const renderChangeActions = (request: LeaveRequest) => (
+    <div className="flex gap-2">
+      {canChange(request) && (
+        <Button size="sm" variant="outline" onClick={() => openChange(request)}>
+          Change
+        </Button>
+      )}
+      {canCancel(request) && (
+        <Button size="sm" variant="outline" onClick={() => handleCancel(request)}>
+          Cancel
+        </Button>
+      )}
+    </div>
+  );
+
+  const handleDownloadDocument = async (requestId: string) => {
+    try {
+      await api.downloadLeaveDocument(requestId);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to download document",
+        variant: "destructive",
+      });
+    }
+  };
+
   if (loading) {
     return (
       <AppLayout>
@@ -175,6 +359,22 @@ export default function LeaveRequests() {
           <p className="text-muted-foreground">Manage leave applications and approvals</p>
         </div>
 
+        {balances.length > 0 && (
+          <div className="grid gap-4 md:grid-cols-3 lg:grid-cols-4">
+            {balances.map((balance) => (
+              <Card key={balance.leave_policy_id}>
+                <CardHeader className="pb-2">
+                  <CardDescription>{balance.name}</CardDescription>
+                  <CardTitle className="text-2xl">{balance.balance} days</CardTitle>
+                </CardHeader>
+                <CardContent className="text-xs text-muted-foreground">
+                  {balance.credited} credited • {balance.used} used
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+
         <Tabs defaultValue={userRole && ["manager", "hr", "director", "ceo"].includes(userRole) ? "pending" : "my-requests"}>
           <TabsList>
             {userRole && ["manager", "hr", "director", "ceo"].includes(userRole) && (
@@ -216,9 +416,32 @@ export default function LeaveRequests() {
                               {new Date(request.start_date).toLocaleDateString()} - {new Date(request.end_date).toLocaleDateString()}
                             </p>
                             <p className="text-sm text-muted-foreground">
-                              {request.total_days} days • {request.leave_type?.name || "General Leave"}
+                              {formatLeaveDuration(request)} • {request.leave_type?.name || "General Leave"}
                             </p>
+                            {request.replaces_leave && (
+                              <p className="text-xs text-muted-foreground mt-1">
+                                <Badge variant="outline" className="mr-1">Change</Badge>
+                                Replaces leave of {new Date(request.replaces_leave.start_date).toLocaleDateString()} -{" "}
+                                {new Date(request.replaces_leave.end_date).toLocaleDateString()} ({Number(request.replaces_leave.total_days)} days)
+                              </p>
+                            )}
                             {request.reason && <p className="text-xs text-muted-foreground mt-1">{request.reason}</p>}
+                            {request.override_reason && (
+                              <p className="text-xs text-muted-foreground mt-1">
+                                <Badge variant="outline" className="mr-1">Rules overridden</Badge>
+                                {request.override_reason}
+                              </p>
+                            )}
+                            {request.has_document && (
+                              <Button
+                                variant="link"
+                                size="sm"
+                                className="h-auto p-0 text-xs"
+                                onClick={() => handleDownloadDocument(request.id)}
+                              >
+                                Supporting document
+                              </Button>
+                            )}
                           </div>
                         </div>
                         <div className="flex gap-2">
@@ -274,12 +497,39 @@ export default function LeaveRequests() {
                               {new Date(request.start_date).toLocaleDateString()} - {new Date(request.end_date).toLocaleDateString()}
                             </p>
                             <p className="text-sm text-muted-foreground">
-                              {request.total_days} days • {request.leave_type?.name || "General Leave"}
+                              {formatLeaveDuration(request)} • {request.leave_type?.name || "General Leave"}
                             </p>
+                            {request.replaces_leave && (
+                              <p className="text-xs text-muted-foreground mt-1">
+                                <Badge variant="outline" className="mr-1">Change</Badge>
+                                Replaces leave of {new Date(request.replaces_leave.start_date).toLocaleDateString()} -{" "}
+                                {new Date(request.replaces_leave.end_date).toLocaleDateString()} ({Number(request.replaces_leave.total_days)} days)
+                              </p>
+                            )}
                             {request.reason && <p className="text-xs text-muted-foreground mt-1">{request.reason}</p>}
+                            {request.override_reason && (
+                              <p className="text-xs text-muted-foreground mt-1">
+                                <Badge variant="outline" className="mr-1">Rules overridden</Badge>
+                                {request.override_reason}
+                              </p>
+                            )}
+                            {request.has_document && (
+                              <Button
+                                variant="link"
+                                size="sm"
+                                className="h-auto p-0 text-xs"
+                                onClick={() => handleDownloadDocument(request.id)}
+                              >
+                                Supporting document
+                              </Button>
+                            )}
                           </div>
                         </div>
-                        <Badge variant="default">Approved</Badge>
+                        <div className="flex items-center gap-2">
+                          {isHr && renderChangeActions(request)}
+                          {request.has_pending_change && <Badge variant="outline">Change pending</Badge>}
+                          <Badge variant="default">Approved</Badge>
+                        </div>
                       </div>
                     ))
                   )}
@@ -311,6 +561,24 @@ export default function LeaveRequests() {
                         <DialogTitle>Submit Leave Request</DialogTitle>
                       </DialogHeader>
                       <form onSubmit={handleSubmit} className="space-y-4">
+                        {isHr && employees.length > 0 && (
+                          <div>
+                            <Label htmlFor="employee_id">Employee</Label>
+                            <Select value={onBehalfOf} onValueChange={setOnBehalfOf}>
+                              <SelectTrigger id="employee_id">
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="self">Myself</SelectItem>
+                                {employees.map((employee) => (
+                                  <SelectItem key={employee.id} value={employee.id}>
+                                    {employee.profiles?.first_name} {employee.profiles?.last_name}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          </div>
+                        )}
                         <div>
                           <Label htmlFor="leave_type_id">Leave Type</Label>
                           {policies.length === 0 ? (
@@ -329,7 +597,8 @@ export default function LeaveRequests() {
                               <SelectContent>
                                 {policies.map((policy) => (
                                   <SelectItem key={policy.id} value={policy.id}>
-                                    {policy.name} ({policy.annual_entitlement} days/year)
+                                    {policy.name} ({policy.annual_entitlement} days/year
+                                    {balanceByPolicy.has(policy.id) ? `, ${balanceByPolicy.get(policy.id)} available` : ""})
                                   </SelectItem>
                                 ))}
                               </SelectContent>
@@ -344,10 +613,70 @@ export default function LeaveRequests() {
                           <Label htmlFor="end_date">End Date</Label>
                           <Input type="date" name="end_date" required />
                         </div>
+                        {selectedPolicy?.half_day_allowed !== false && (
+                          <div className="grid grid-cols-2 gap-4">
+                            <div>
+                              <Label htmlFor="start_session">First Day</Label>
+                              <Select value={startSession} onValueChange={(value: LeaveSession) => setStartSession(value)}>
+                                <SelectTrigger id="start_session">
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  <SelectItem value="full">Full day</SelectItem>
+                                  <SelectItem value="first_half">First half (single day only)</SelectItem>
+                                  <SelectItem value="second_half">Second half</SelectItem>
+                                </SelectContent>
+                              </Select>
+                            </div>
+                            <div>
+                              <Label htmlFor="end_session">Last Day</Label>
+                              <Select value={endSession} onValueChange={(value: "full" | "first_half") => setEndSession(value)}>
+                                <SelectTrigger id="end_session">
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  <SelectItem value="full">Full day</SelectItem>
+                                  <SelectItem value="first_half">First half</SelectItem>
+                                </SelectContent>
+                              </Select>
+                            </div>
+                          </div>
+                        )}
+                        {selectedPolicy?.hourly_allowed && (
+                          <div>
+                            <Label htmlFor="hours">Hours</Label>
+                            <Input
+                              type="number"
+                              name="hours"
+                              min="0.5"
+                              step="0.5"
+                              max={Number(selectedPolicy.hours_per_day) - 0.5}
+                              placeholder={`Optional, for part of a single day (${Number(selectedPolicy.hours_per_day)} hours = 1 day)`}
+                            />
+                          </div>
+                        )}
+                        <div>
+                          <Label htmlFor="document">Supporting Document</Label>
+                          <Input type="file" name="document" accept="application/pdf,image/jpeg,image/png,image/webp" />
+                          {selectedPolicy?.rules?.document_required_above_days != null && (
+                            <p className="text-xs text-muted-foreground mt-1">
+                              Required for more than {selectedPolicy.rules.document_required_above_days} days
+                            </p>
+                          )}
+                        </div>
                         <div>
                           <Label htmlFor="reason">Reason</Label>
                           <Textarea name="reason" placeholder="Optional" />
                         </div>
+                        {isHr && (
+                          <div>
+                            <Label htmlFor="override_reason">Override Reason</Label>
+                            <Textarea
+                              name="override_reason"
+                              placeholder="Only needed to file leave that breaks the leave type's rules"
+                            />
+                          </div>
+                        )}
                         <Button type="submit" className="w-full">Submit Request</Button>
                       </form>
                     </DialogContent>
@@ -375,7 +704,7 @@ export default function LeaveRequests() {
                             {new Date(request.start_date).toLocaleDateString()} - {new Date(request.end_date).toLocaleDateString()}
                           </p>
                           <p className="text-sm text-muted-foreground">
-                            {request.total_days} days • {request.leave_type?.name || "General Leave"}
+                            {formatLeaveDuration(request)} • {request.leave_type?.name || "General Leave"}
                           </p>
                           {request.status === "approved" && request.reviewer?.profiles && (
                             <p className="text-xs text-muted-foreground">
@@ -385,19 +714,44 @@ export default function LeaveRequests() {
                           {request.status === "rejected" && (
                             <p className="text-xs text-destructive">{request.rejection_reason}</p>
                           )}
+                          {request.status === "cancelled" && request.cancellation_reason && (
+                            <p className="text-xs text-muted-foreground">{request.cancellation_reason}</p>
+                          )}
+                          {request.replaces_leave && (
+                            <p className="text-xs text-muted-foreground">
+                              Replaces leave of {new Date(request.replaces_leave.start_date).toLocaleDateString()} -{" "}
+                              {new Date(request.replaces_leave.end_date).toLocaleDateString()}
+                            </p>
+                          )}
+                          {request.has_document && (
+                            <Button
+                              variant="link"
+                              size="sm"
+                              className="h-auto p-0 text-xs"
+                              onClick={() => handleDownloadDocument(request.id)}
+                            >
+                              Supporting document
+                            </Button>
+                          )}
                         </div>
                       </div>
-                      <Badge
-                        variant={
-                          request.status === "approved"
-                            ? "default"
-                            : request.status === "rejected"
-                            ? "destructive"
-                            : "secondary"
-                        }
-                      >
-                        {request.status}
-                      </Badge>
+                      <div className="flex items-center gap-2">
+                        {renderChangeActions(request)}
+                        {request.has_pending_change && <Badge variant="outline">Change pending</Badge>}
+                        <Badge
+                          variant={
+                            request.status === "approved"
+                              ? "default"
+                              : request.status === "rejected"
+                              ? "destructive"
+                              : request.status === "cancelled"
+                              ? "outline"
+                              : "secondary"
+                          }
+                        >
+                          {request.status}
+                        </Badge>
+                      </div>
                     </div>
                   ))
                 )}
@@ -405,6 +759,84 @@ export default function LeaveRequests() {
             </Card>
           </TabsContent>
         </Tabs>
+
+        <Dialog open={!!changingRequest} onOpenChange={(open) => !open && setChangingRequest(null)}>
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>Change Leave</DialogTitle>
+            </DialogHeader>
+            {changingRequest && (
+              <form onSubmit={handleChange} className="space-y-4">
+                <p className="text-sm text-muted-foreground">
+                  {changingRequest.leave_type?.name || "General Leave"} • currently {formatLeaveDuration(changingRequest)}.
+                  Shortening within the approved dates is updated straight away; moving or adding days needs approval again.
+                </p>
+                <div>
+                  <Label htmlFor="change_start_date">Start Date</Label>
+                  <Input
+                    id="change_start_date"
+                    type="date"
+                    name="start_date"
+                    defaultValue={changingRequest.start_date.slice(0, 10)}
+                    required
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="change_end_date">End Date</Label>
+                  <Input
+                    id="change_end_date"
+                    type="date"
+                    name="end_date"
+                    defaultValue={changingRequest.end_date.slice(0, 10)}
+                    required
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <Label htmlFor="change_start_session">First Day</Label>
+                    <Select value={changeStartSession} onValueChange={(value: LeaveSession) => setChangeStartSession(value)}>
+                      <SelectTrigger id="change_start_session">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="full">Full day</SelectItem>
+                        <SelectItem value="first_half">First half (single day only)</SelectItem>
+                        <SelectItem value="second_half">Second half</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div>
+                    <Label htmlFor="change_end_session">Last Day</Label>
+                    <Select value={changeEndSession} onValueChange={(value: "full" | "first_half") => setChangeEndSession(value)}>
+                      <SelectTrigger id="change_end_session">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="full">Full day</SelectItem>
+                        <SelectItem value="first_half">First half</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+                <div>
+                  <Label htmlFor="change_reason">Reason</Label>
+                  <Textarea id="change_reason" name="reason" placeholder="Optional" />
+                </div>
+                {isHr && (
+                  <div>
+                    <Label htmlFor="change_override_reason">Override Reason</Label>
+                    <Textarea
+                      id="change_override_reason"
+                      name="override_reason"
+                      placeholder="Only needed for a change that breaks the leave type's rules"
+                    />
+                  </div>
+                )}
+                <Button type="submit" className="w-full">Save Change</Button>
+              </form>
+            )}
+          </DialogContent>
+        </Dialog>
       </div>
     </AppLayout>
   );
@@ -221,9 +221,9 @@ const PayrollDashboard = () => {
                 {recentCycles.map((cycle: any) => {
                   const monthName = new Date(2000, cycle.month - 1).toLocaleString('en-IN', { month: 'long' });
                   const statusColor =
-                    cycle.status === 'completed'
+                    cycle.status === 'paid'
                       ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300'
-                      : cycle.status === 'processing'
+                      : cycle.status === 'submitted'
                       ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300'
                       : cycle.status === 'draft'
                       ? 'bg-gray-100 text-gray-800 dark:bg-gray-800 dark:text-gray-300'
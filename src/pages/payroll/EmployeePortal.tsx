@@ -12,6 +12,9 @@ import { TaxDeclarationsTab } from "@/components/payroll/employee-portal/TaxDecl
 import { TaxDocumentsTab } from "@/components/payroll/employee-portal/TaxDocumentsTab";
 import { LeaveRequestsTab } from "@/components/payroll/employee-portal/LeaveRequestsTab";
 import { AttendanceTab } from "@/components/payroll/employee-portal/AttendanceTab";
+import { LoansTab } from "@/components/payroll/employee-portal/LoansTab";
+import { ExpensesTab } from "@/components/payroll/employee-portal/ExpensesTab";
+import { RentDetailsCard } from "@/components/payroll/employee-portal/RentDetailsCard";
 
 const PayrollEmployeePortal = () => {
   const navigate = useNavigate();
@@ -92,12 +95,14 @@ const PayrollEmployeePortal = () => {
           </Card>
         ) : (
           <Tabs defaultValue="overview" className="w-full">
-            <TabsList className="grid w-full grid-cols-7">
+            <TabsList className="grid w-full grid-cols-9">
               <TabsTrigger value="overview">Overview</TabsTrigger>
               <TabsTrigger value="salary">Salary</TabsTrigger>
               <TabsTrigger value="payslips">Payslips</TabsTrigger>
               <TabsTrigger value="leaves">Leaves</TabsTrigger>
               <TabsTrigger value="attendance">Attendance</TabsTrigger>
+              <TabsTrigger value="loans">Loans</TabsTrigger>
+              <TabsTrigger value="expenses">Expenses</TabsTrigger>
               <TabsTrigger value="declarations">Declarations</TabsTrigger>
               <TabsTrigger value="documents">Documents</TabsTrigger>
             </TabsList>
@@ -139,6 +144,7 @@ const PayrollEmployeePortal = () => {
                   </div>
                 </CardContent>
               </Card>
+              <RentDetailsCard />
             </TabsContent>
 
             <TabsContent value="salary">
@@ -157,6 +163,14 @@ const PayrollEmployeePortal = () => {
               <AttendanceTab />
             </TabsContent>
 
+            <TabsContent value="loans">
+              <LoansTab />
+            </TabsContent>
+
+            <TabsContent value="expenses">
+              <ExpensesTab />
+            </TabsContent>
+
             <TabsContent value="declarations">
               <TaxDeclarationsTab />
             </TabsContent>
@@ -5,7 +5,12 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { ArrowLeft, Calendar, Settings } from "lucide-react";
 import { api } from "@/lib/api";
 import { CreatePayrollDialog } from "@/components/payroll/payroll/CreatePayrollDialog";
+import { CreateOffCycleRunDialog } from "@/components/payroll/payroll/CreateOffCycleRunDialog";
 import { PayrollCycleList } from "@/components/payroll/payroll/PayrollCycleList";
+import { EmployeeLoansCard } from "@/components/payroll/payroll/EmployeeLoansCard";
+import { ExpenseClaimsCard } from "@/components/payroll/payroll/ExpenseClaimsCard";
+import { FnfSettlementsCard } from "@/components/payroll/payroll/FnfSettlementsCard";
+import { InvestmentProofsReviewCard } from "@/components/payroll/payroll/InvestmentProofsReviewCard";
 import { toast } from "sonner";
 
 const PayrollCycles = () => {
@@ -76,6 +81,7 @@ const PayrollCycles = () => {
                 <Settings className="mr-2 h-4 w-4" />
                 Configure Payroll
               </Button>
+              {isAdmin && <CreateOffCycleRunDialog onSuccess={() => fetchCycles()} />}
               {isAdmin && (
                 <CreatePayrollDialog
                   onSuccess={() => fetchCycles()}
@@ -86,7 +92,7 @@ const PayrollCycles = () => {
         </div>
       </header>
 
-      <main className="container mx-auto px-4 py-8">
+      <main className="container mx-auto px-4 py-8 space-y-6">
         <Card className="shadow-md">
           <CardHeader>
             <CardTitle className="flex items-center">
@@ -106,6 +112,11 @@ const PayrollCycles = () => {
             )}
           </CardContent>
         </Card>
+
+        {isAdmin && <EmployeeLoansCard />}
+        {isAdmin && <ExpenseClaimsCard />}
+        {isAdmin && <FnfSettlementsCard />}
+        {isAdmin && <InvestmentProofsReviewCard />}
       </main>
     </div>
   );
@@ -4,6 +4,8 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
 import { ArrowLeft, Save, Loader2 } from "lucide-react";
 import { api } from "@/lib/api";
 import { toast } from "sonner";
@@ -16,8 +18,17 @@ type PayrollSettingsData = {
   hra_percentage: string;
   special_allowance_percentage: string;
   basic_salary_percentage: string;
+  pf_wage_ceiling: string;
+  eps_rate: string;
+  esi_employee_rate: string;
+  esi_gross_limit: string;
 };
 
+type ProrationBasis = "calendar_days" | "working_days";
+
+type CountryOption = { name: string; currency: string; locale: string };
+type CurrencyOption = { name: string; minorUnits: number };
+
 const PayrollSettingsPage = () => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
@@ -30,7 +41,17 @@ const PayrollSettingsPage = () => {
     hra_percentage: "40.00",
     special_allowance_percentage: "30.00",
     basic_salary_percentage: "40.00",
+    pf_wage_ceiling: "15000.00",
+    eps_rate: "8.33",
+    esi_employee_rate: "0.75",
+    esi_gross_limit: "21000.00",
   });
+  const [restrictPfToCeiling, setRestrictPfToCeiling] = useState(true);
+  const [prorationBasis, setProrationBasis] = useState<ProrationBasis>("calendar_days");
+  const [country, setCountry] = useState("IN");
+  const [currency, setCurrency] = useState("INR");
+  const [countries, setCountries] = useState<Record<string, CountryOption>>({});
+  const [currencies, setCurrencies] = useState<Record<string, CurrencyOption>>({});
 
   const formatForInput = (data: any) => {
     const formatted: any = {};
@@ -50,9 +71,20 @@ const PayrollSettingsPage = () => {
           return;
         }
 
-        const { settings: fetchedSettings } = await api.payrollSettings.get();
+        const { settings: fetchedSettings, countries: countryOptions, currencies: currencyOptions } =
+          await api.payrollSettings.get();
+        setCountries(countryOptions || {});
+        setCurrencies(currencyOptions || {});
         if (fetchedSettings) {
           setSettings(formatForInput(fetchedSettings));
+          if (typeof fetchedSettings.restrict_pf_to_ceiling === "boolean") {
+            setRestrictPfToCeiling(fetchedSettings.restrict_pf_to_ceiling);
+          }
+          if (fetchedSettings.proration_basis) {
+            setProrationBasis(fetchedSettings.proration_basis);
+          }
+          if (fetchedSettings.country) setCountry(fetchedSettings.country);
+          if (fetchedSettings.currency) setCurrency(fetchedSettings.currency);
         } else {
           toast.info("No existing settings found. Using defaults.");
         }
@@ -82,10 +114,14 @@ const PayrollSettingsPage = () => {
 
     setLoading(true);
     try {
-      const payload: Record<string, number> = {};
+      const payload: Record<string, number | string | boolean> = {};
       for (const key in settings) {
         payload[key] = parseFloat(settings[key as keyof PayrollSettingsData]);
       }
+      payload.proration_basis = prorationBasis;
+      payload.restrict_pf_to_ceiling = restrictPfToCeiling;
+      payload.country = country;
+      payload.currency = currency;
 
       await api.payrollSettings.save(payload);
       toast.success("Payroll settings saved successfully!");
@@ -145,10 +181,39 @@ const PayrollSettingsPage = () => {
                 <p className="text-xs text-muted-foreground">Standard PF rate is 12%</p>
               </div>
 
+              <div className="space-y-2">
+                <Label htmlFor="pf_wage_ceiling">PF Wage Ceiling (₹)</Label>
+                <Input id="pf_wage_ceiling" type="number" step="0.01" value={settings.pf_wage_ceiling} onChange={handleSettingChange} />
+                <div className="flex items-center gap-2">
+                  <Switch id="restrict_pf_to_ceiling" checked={restrictPfToCeiling} onCheckedChange={setRestrictPfToCeiling} />
+                  <Label htmlFor="restrict_pf_to_ceiling" className="text-xs font-normal">
+                    Restrict PF contribution to the wage ceiling
+                  </Label>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="eps_rate">Employer EPS Rate (%)</Label>
+                <Input id="eps_rate" type="number" step="0.01" value={settings.eps_rate} onChange={handleSettingChange} />
+                <p className="text-xs text-muted-foreground">Share of the employer's PF diverted to pension, on wages up to the ceiling</p>
+              </div>
+
               <div className="space-y-2">
                 <Label htmlFor="esi_rate">ESI Rate (%)</Label>
                 <Input id="esi_rate" type="number" step="0.01" value={settings.esi_rate} onChange={handleSettingChange} />
-                <p className="text-xs text-muted-foreground">Standard ESI rate is 3.25%</p>
+                <p className="text-xs text-muted-foreground">Employer ESI rate, standard is 3.25%</p>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="esi_employee_rate">Employee ESI Rate (%)</Label>
+                <Input id="esi_employee_rate" type="number" step="0.01" value={settings.esi_employee_rate} onChange={handleSettingChange} />
+                <p className="text-xs text-muted-foreground">Standard employee ESI rate is 0.75%</p>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="esi_gross_limit">ESI Gross Limit (₹)</Label>
+                <Input id="esi_gross_limit" type="number" step="0.01" value={settings.esi_gross_limit} onChange={handleSettingChange} />
+                <p className="text-xs text-muted-foreground">Employees with monthly gross above this are not covered</p>
               </div>
 
               <div className="space-y-2">
@@ -232,6 +297,76 @@ const PayrollSettingsPage = () => {
             </CardContent>
           </Card>
 
+          <Card className="shadow-md md:col-span-2">
+            <CardHeader>
+              <CardTitle>Country &amp; Currency</CardTitle>
+              <CardDescription>
+                Defaults for employees without their own. The country decides which statutory deductions apply;
+                countries other than India have none.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label htmlFor="payroll_country">Payroll Country</Label>
+                <Select
+                  value={country}
+                  onValueChange={(value) => {
+                    setCountry(value);
+                    if (countries[value]) setCurrency(countries[value].currency);
+                  }}
+                >
+                  <SelectTrigger id="payroll_country">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(countries).map(([code, option]) => (
+                      <SelectItem key={code} value={code}>
+                        {option.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="payroll_currency">Payroll Currency</Label>
+                <Select value={currency} onValueChange={setCurrency}>
+                  <SelectTrigger id="payroll_currency">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(currencies).map(([code, option]) => (
+                      <SelectItem key={code} value={code}>
+                        {code} - {option.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card className="shadow-md md:col-span-2">
+            <CardHeader>
+              <CardTitle>Salary Proration</CardTitle>
+              <CardDescription>How LOP and paid days are counted for each payroll month</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              <Label htmlFor="proration_basis">Proration Basis</Label>
+              <Select value={prorationBasis} onValueChange={(value) => setProrationBasis(value as ProrationBasis)}>
+                <SelectTrigger id="proration_basis" className="md:w-80">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="calendar_days">Calendar days</SelectItem>
+                  <SelectItem value="working_days">Working days</SelectItem>
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                Working days exclude weekly offs and published holidays. Joining and exit dates are applied under both bases.
+              </p>
+            </CardContent>
+          </Card>
+
           <Card className="shadow-md md:col-span-2">
             <CardHeader>
               <CardTitle>Compliance Information</CardTitle>
@@ -5,13 +5,51 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Label } from "@/components/ui/label";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { ArrowLeft, FileText, Download } from "lucide-react";
 import { api } from "@/lib/api";
 import { toast } from "sonner";
 
+// Current and previous financial years, e.g. ["2026-27", "2025-26"]
+const financialYearOptions = () => {
+  const now = new Date();
+  const startYear = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+  return [0, 1].map((offset) => {
+    const year = startYear - offset;
+    return `${year}-${String((year + 1) % 100).padStart(2, "0")}`;
+  });
+};
+
+// The last twelve month ends, most recent first, as "month-year"
+const liabilityMonthOptions = () => {
+  const now = new Date();
+  return Array.from({ length: 12 }, (_, offset) => {
+    const date = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+    return {
+      value: `${date.getMonth() + 1}-${date.getFullYear()}`,
+      label: date.toLocaleString("en-IN", { month: "long", year: "numeric" }),
+    };
+  });
+};
+
+interface LiabilityRollup {
+  name: string;
+  employees: number;
+  opening_total: number;
+  total: number;
+  movement: number;
+}
+
+const formatAmount = (amount: number) =>
+  `₹${Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
 const PayrollReports = () => {
   const navigate = useNavigate();
   const [selectedCycleId, setSelectedCycleId] = useState<string>("");
+  const [statementYear, setStatementYear] = useState<string>(financialYearOptions()[1]);
+  const [statementJobId, setStatementJobId] = useState<string | null>(null);
+  const [liabilityMonth, setLiabilityMonth] = useState<string>(liabilityMonthOptions()[1].value);
+  const [liabilityGroup, setLiabilityGroup] = useState<"departments" | "cost_centers">("departments");
 
   const { data: cyclesData, isLoading: cyclesLoading } = useQuery({
     queryKey: ["payroll-cycles"],
@@ -20,6 +58,34 @@ const PayrollReports = () => {
 
   const cycles = cyclesData?.cycles || [];
 
+  const { data: statementJobData } = useQuery({
+    queryKey: ["tax-document-job", statementJobId],
+    queryFn: () => api.tax.getDocumentJob(statementJobId as string),
+    enabled: !!statementJobId,
+    refetchInterval: (query) => {
+      const status = query.state.data?.job?.status;
+      return status === "completed" || status === "failed" ? false : 3000;
+    },
+  });
+  const statementJob = statementJobData?.job;
+
+  const [liabilityMonthNumber, liabilityYear] = liabilityMonth.split("-").map(Number);
+  const { data: liabilityData, isLoading: liabilityLoading } = useQuery({
+    queryKey: ["liability-report", liabilityMonth],
+    queryFn: () => api.reports.getLiabilities(liabilityMonthNumber, liabilityYear),
+  });
+  const liabilityReport = liabilityData?.report;
+  const liabilityRollups: LiabilityRollup[] = liabilityReport?.[liabilityGroup] || [];
+
+  const handleDownloadLiabilities = async (format: "csv" | "xlsx") => {
+    try {
+      await api.reports.downloadLiabilities(liabilityMonthNumber, liabilityYear, format);
+      toast.success("Report downloaded!");
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to download liability report");
+    }
+  };
+
   const reportTypes = [
     {
       title: "Payroll Register",
@@ -28,17 +94,23 @@ const PayrollReports = () => {
       key: "payroll-register",
     },
     {
-      title: "PF Report",
-      description: "Provident Fund contribution report",
+      title: "PF ECR",
+      description: "EPFO electronic challan-cum-return text file",
       icon: FileText,
       key: "pf-report",
     },
     {
-      title: "ESI Report",
-      description: "Employee State Insurance contribution report",
+      title: "ESI Contribution",
+      description: "ESIC monthly contribution upload file",
       icon: FileText,
       key: "esi-report",
     },
+    {
+      title: "Professional Tax",
+      description: "State-wise professional tax summary",
+      icon: FileText,
+      key: "pt-report",
+    },
     {
       title: "TDS Report",
       description: "Tax Deducted at Source summary",
@@ -47,20 +119,37 @@ const PayrollReports = () => {
     },
   ];
 
-  const handleGeneratePayrollRegister = async () => {
+  const reportDownloads: Record<string, (cycleId: string) => Promise<void>> = {
+    "payroll-register": api.reports.getPayrollRegister,
+    "pf-report": api.reports.getPfEcr,
+    "esi-report": api.reports.getEsiContribution,
+    "pt-report": api.reports.getProfessionalTax,
+  };
+
+  const handleGenerateReport = async (key: string) => {
     if (!selectedCycleId) {
       toast.error("Please select a payroll cycle");
       return;
     }
 
     try {
-      await api.reports.getPayrollRegister(selectedCycleId);
+      await reportDownloads[key](selectedCycleId);
       toast.success("Report downloaded!");
     } catch (error: any) {
       toast.error(error.message || "Failed to download report");
     }
   };
 
+  const handleGenerateStatements = async () => {
+    try {
+      const result = await api.tax.generateAnnualStatements(statementYear);
+      setStatementJobId(result.job.id);
+      toast.success(`Generating annual tax statements for FY ${statementYear}`);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Failed to start annual tax statement generation");
+    }
+  };
+
   const formatCycleLabel = (cycle: { month: number; year: number }) => {
     const monthName = new Date(2000, cycle.month - 1).toLocaleString('en-IN', { month: 'long' });
     return `${monthName} ${cycle.year}`;
@@ -117,8 +206,8 @@ const PayrollReports = () => {
                   className="w-full"
                   variant="outline"
                   onClick={() => {
-                    if (report.key === "payroll-register") {
-                      handleGeneratePayrollRegister();
+                    if (reportDownloads[report.key]) {
+                      handleGenerateReport(report.key);
                     } else {
                       toast.info(`${report.title} generation will be implemented soon`);
                     }
@@ -131,6 +220,157 @@ const PayrollReports = () => {
             </Card>
           ))}
         </div>
+
+        <Card className="mt-6 shadow-md">
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <FileText className="mr-2 h-5 w-5 text-primary" />
+              Gratuity &amp; Leave Encashment Liability
+            </CardTitle>
+            <CardDescription>
+              Month-end provisions for accrued gratuity and unused encashable leave, with the movement since the
+              previous month end.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex flex-col gap-4 md:flex-row md:items-end">
+              <div className="space-y-2 md:w-64">
+                <Label htmlFor="liability-month">Month End</Label>
+                <Select value={liabilityMonth} onValueChange={setLiabilityMonth}>
+                  <SelectTrigger id="liability-month">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {liabilityMonthOptions().map((option) => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2 md:w-48">
+                <Label htmlFor="liability-group">Group By</Label>
+                <Select
+                  value={liabilityGroup}
+                  onValueChange={(value) => setLiabilityGroup(value as "departments" | "cost_centers")}
+                >
+                  <SelectTrigger id="liability-group">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="departments">Department</SelectItem>
+                    <SelectItem value="cost_centers">Cost Center</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <Button variant="outline" onClick={() => handleDownloadLiabilities("csv")}>
+                <Download className="mr-2 h-4 w-4" />
+                CSV
+              </Button>
+              <Button variant="outline" onClick={() => handleDownloadLiabilities("xlsx")}>
+                <Download className="mr-2 h-4 w-4" />
+                Excel
+              </Button>
+            </div>
+
+            {liabilityLoading ? (
+              <p className="text-sm text-muted-foreground">Calculating provisions...</p>
+            ) : liabilityReport ? (
+              <>
+                <div className="grid gap-4 md:grid-cols-4 text-sm">
+                  <div>
+                    <div className="text-muted-foreground">Gratuity</div>
+                    <div className="font-semibold">{formatAmount(liabilityReport.totals.gratuity)}</div>
+                  </div>
+                  <div>
+                    <div className="text-muted-foreground">Leave Encashment</div>
+                    <div className="font-semibold">{formatAmount(liabilityReport.totals.leave_encashment)}</div>
+                  </div>
+                  <div>
+                    <div className="text-muted-foreground">Total Liability</div>
+                    <div className="font-semibold">{formatAmount(liabilityReport.totals.total)}</div>
+                  </div>
+                  <div>
+                    <div className="text-muted-foreground">Movement</div>
+                    <div className="font-semibold">{formatAmount(liabilityReport.totals.movement)}</div>
+                  </div>
+                </div>
+                <div className="border rounded-lg overflow-hidden">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>{liabilityGroup === "departments" ? "Department" : "Cost Center"}</TableHead>
+                        <TableHead className="text-right">Employees</TableHead>
+                        <TableHead className="text-right">Opening</TableHead>
+                        <TableHead className="text-right">Closing</TableHead>
+                        <TableHead className="text-right">Movement</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {liabilityRollups.map((rollup) => (
+                        <TableRow key={rollup.name}>
+                          <TableCell>{rollup.name}</TableCell>
+                          <TableCell className="text-right">{rollup.employees}</TableCell>
+                          <TableCell className="text-right">{formatAmount(rollup.opening_total)}</TableCell>
+                          <TableCell className="text-right">{formatAmount(rollup.total)}</TableCell>
+                          <TableCell className="text-right">{formatAmount(rollup.movement)}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </>
+            ) : null}
+          </CardContent>
+        </Card>
+
+        <Card className="mt-6 shadow-md">
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <FileText className="mr-2 h-5 w-5 text-primary" />
+              Annual Tax Statements
+            </CardTitle>
+            <CardDescription>
+              Form 16 Part B style statements for every employee paid in the financial year.
+              Employees can download them from their Tax Documents tab.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex flex-col gap-4 md:flex-row md:items-end">
+              <div className="space-y-2 md:w-64">
+                <Label htmlFor="statement-year">Financial Year</Label>
+                <Select value={statementYear} onValueChange={setStatementYear}>
+                  <SelectTrigger id="statement-year">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {financialYearOptions().map((fy) => (
+                      <SelectItem key={fy} value={fy}>
+                        FY {fy}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <Button
+                onClick={handleGenerateStatements}
+                disabled={statementJob?.status === "queued" || statementJob?.status === "running"}
+              >
+                <Download className="mr-2 h-4 w-4" />
+                Generate for All Employees
+              </Button>
+            </div>
+            {statementJob && (
+              <p className="text-sm text-muted-foreground">
+                FY {statementJob.financial_year}: {statementJob.status}
+                {" - "}
+                {statementJob.generated_count} of {statementJob.total_employees} generated
+                {statementJob.failed_count > 0 && `, ${statementJob.failed_count} failed`}
+              </p>
+            )}
+          </CardContent>
+        </Card>
       </main>
     </div>
   );